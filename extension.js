@@ -9,6 +9,16 @@ const { AdvancedParser } = require('./src/advancedParser');
 const { EnhancedPerformanceAnalyzer } = require('./src/enhancedPerformance');
 const { WhiskerCodeLensProvider, WhiskerCodeActionProvider } = require('./src/codeLensProvider');
 const LearningPathManager = require('./src/learning/LearningPathManager');
+const WorkspaceTracer = require('./src/workspaceTracer');
+const WorkspaceIndex = require('./src/workspaceIndex');
+const WorkspaceSettings = require('./src/workspaceSettings');
+const { DeadCodeDiagnostics } = require('./src/deadCodeDiagnostics');
+const { FindingDiagnostics } = require('./src/findingDiagnostics');
+const AnalysisService = require('./src/analysisService');
+const AnalysisScheduler = require('./src/analysisScheduler');
+const { WorkerPool, CancelledError } = require('./src/workerPool');
+const { LanguageProvider } = require('./src/languages/languageProvider');
+const { languageRegistry } = require('./src/languages/languageRegistry');
 const fs = require('fs');
 const path = require('path');
 
@@ -29,8 +39,13 @@ function activate(context) {
         // Initialize components with error handling
         let parser, explainer, ui, complexityVisualizer, catThemeManager, performanceAnalyzer;
         let advancedParser, enhancedPerformanceAnalyzer;
+        let analysisScheduler;
         let codeLensProvider, codeActionProvider;
         let learningPathManager;
+        let workspaceIndex, workspaceTracer;
+        let workspaceSettings;
+        let deadCodeDiagnostics;
+        let findingDiagnostics;
         
         try {
             parser = new Parser();
@@ -41,7 +56,38 @@ function activate(context) {
         }
         
         try {
-            advancedParser = new AdvancedParser();
+            workspaceSettings = new WorkspaceSettings();
+            context.subscriptions.push(workspaceSettings);
+            console.log('WorkspaceSettings initialized successfully');
+        } catch (error) {
+            console.error('Error initializing WorkspaceSettings:', error);
+            workspaceSettings = null;
+        }
+        
+        try {
+            workspaceIndex = parser ? new WorkspaceIndex(parser, workspaceSettings) : null;
+            if (workspaceIndex) {
+                context.subscriptions.push(workspaceIndex);
+            }
+            workspaceTracer = workspaceIndex ? new WorkspaceTracer(parser, workspaceIndex) : null;
+            console.log('WorkspaceTracer initialized successfully');
+        } catch (error) {
+            console.error('Error initializing WorkspaceTracer:', error);
+            workspaceIndex = null;
+            workspaceTracer = null;
+        }
+        
+        try {
+            deadCodeDiagnostics = new DeadCodeDiagnostics();
+            context.subscriptions.push(deadCodeDiagnostics);
+            console.log('DeadCodeDiagnostics initialized successfully');
+        } catch (error) {
+            console.error('Error initializing DeadCodeDiagnostics:', error);
+            deadCodeDiagnostics = null;
+        }
+        
+        try {
+            advancedParser = parser ? new AdvancedParser(languageRegistry, parser) : new AdvancedParser();
             console.log('AdvancedParser initialized successfully');
         } catch (error) {
             console.error('Error initializing AdvancedParser:', error);
@@ -97,7 +143,39 @@ function activate(context) {
         }
         
         try {
-            codeLensProvider = new WhiskerCodeLensProvider();
+            if (parser && advancedParser && enhancedPerformanceAnalyzer) {
+                const analysisService = new AnalysisService({ parser, advancedParser, performanceAnalyzer: enhancedPerformanceAnalyzer });
+                let workerPool = null;
+                try {
+                    workerPool = new WorkerPool(path.join(__dirname, 'src', 'analysisWorker.js'));
+                } catch (error) {
+                    // Without worker threads, analysis runs on the extension host
+                    console.error('Error initializing WorkerPool:', error);
+                }
+                analysisScheduler = new AnalysisScheduler({ workerPool, analysisService });
+                context.subscriptions.push({ dispose: () => analysisScheduler.dispose() });
+            } else {
+                analysisScheduler = null;
+            }
+            console.log('AnalysisScheduler initialized successfully');
+        } catch (error) {
+            console.error('Error initializing AnalysisScheduler:', error);
+            analysisScheduler = null;
+        }
+        
+        try {
+            findingDiagnostics = analysisScheduler ? new FindingDiagnostics(analysisScheduler, workspaceSettings) : null;
+            if (findingDiagnostics) {
+                context.subscriptions.push(findingDiagnostics);
+            }
+            console.log('FindingDiagnostics initialized successfully');
+        } catch (error) {
+            console.error('Error initializing FindingDiagnostics:', error);
+            findingDiagnostics = null;
+        }
+        
+        try {
+            codeLensProvider = analysisScheduler ? new WhiskerCodeLensProvider(analysisScheduler, workspaceSettings) : null;
             console.log('CodeLensProvider initialized successfully');
         } catch (error) {
             console.error('Error initializing CodeLensProvider:', error);
@@ -105,7 +183,7 @@ function activate(context) {
         }
         
         try {
-            codeActionProvider = new WhiskerCodeActionProvider();
+            codeActionProvider = analysisScheduler ? new WhiskerCodeActionProvider(analysisScheduler, workspaceSettings, findingDiagnostics) : null;
             console.log('CodeActionProvider initialized successfully');
         } catch (error) {
             console.error('Error initializing CodeActionProvider:', error);
@@ -130,6 +208,24 @@ function activate(context) {
             learningPathManager = null;
         }
         
+        // Analysis follows the rule configuration of each workspace folder
+        if (workspaceSettings) {
+            context.subscriptions.push(workspaceSettings.onDidChange(() => {
+                if (analysisScheduler) {
+                    analysisScheduler.configure(workspaceSettings.folderConfigs());
+                }
+                if (codeLensProvider) {
+                    codeLensProvider.refresh();
+                }
+                if (findingDiagnostics) {
+                    findingDiagnostics.refresh();
+                }
+            }));
+            workspaceSettings.load().catch(error => {
+                console.error('Error loading WhiskerCode workspace settings:', error);
+            });
+        }
+        
         // Connect components that need references to each other
         if (complexityVisualizer && catThemeManager) {
             complexityVisualizer.setCatThemeManager(catThemeManager);
@@ -181,6 +277,9 @@ function activate(context) {
                 setTimeout(async () => {
                     try {
                         const parsedCode = parser.parseCode(text, language);
+                        if (workspaceSettings) {
+                            explainer.configure(workspaceSettings.forDocument(editor.document));
+                        }
                         const explanation = await explainer.generateExplanation(parsedCode);
                         ui.showExplanation(explanation, editor);
                     } catch (error) {
@@ -212,20 +311,27 @@ function activate(context) {
                     return;
                 }
                 
+                const document = editor.document;
                 const selection = editor.selection;
-                const text = editor.document.getText(selection);
+                
+                // Fall back to the word under the cursor when nothing is selected
+                const range = selection.isEmpty ? document.getWordRangeAtPosition(selection.active) : selection;
+                const text = range ? document.getText(range).trim() : '';
                 
                 if (!text) {
                     vscode.window.showWarningMessage('No variable selected. Please select a variable to trace.');
                     return;
                 }
                 
-                const document = editor.document;
                 const fileContent = document.getText();
                 const language = document.languageId;
                 
-                const trace = parser.traceVariable(text, fileContent, language);
-                ui.showVariableTraces(trace, text);
+                // The selection offset identifies which binding to follow when the name is shadowed
+                const offset = document.offsetAt(range.start);
+                const trace = workspaceTracer
+                    ? await workspaceTracer.traceSymbol(document, text, offset)
+                    : parser.traceVariable(text, fileContent, language, offset);
+                ui.showVariableTraces(trace, editor);
             } catch (error) {
                 console.error('Error tracing variable:', error);
                 vscode.window.showErrorMessage(`Error tracing variable: ${error.message}`);
@@ -234,6 +340,44 @@ function activate(context) {
             }
         });
 
+        const explainValueOriginCommand = vscode.commands.registerCommand('whiskercode.explainValueOrigin', async () => {
+            if (!parser || !ui) {
+                vscode.window.showErrorMessage('WhiskerCode is not fully initialized yet. Please try again in a moment.');
+                return;
+            }
+
+            const loadingMessage = vscode.window.setStatusBarMessage('WhiskerCode: Explaining value origin...');
+
+            try {
+                const editor = vscode.window.activeTextEditor;
+                if (!editor) {
+                    vscode.window.showWarningMessage('No active editor found. Please open a file.');
+                    return;
+                }
+
+                const document = editor.document;
+                const range = document.getWordRangeAtPosition(editor.selection.active);
+                const text = range ? document.getText(range) : '';
+
+                if (!text) {
+                    vscode.window.showWarningMessage('Place the cursor on a variable to explain where its value comes from.');
+                    return;
+                }
+
+                const origin = parser.explainValueOrigin(text, document, document.languageId, document.offsetAt(range.start));
+                if (!origin) {
+                    vscode.window.showInformationMessage(`'${text}' is not a variable WhiskerCode can follow here.`);
+                    return;
+                }
+                ui.showValueOrigin(origin, editor);
+            } catch (error) {
+                console.error('Error explaining value origin:', error);
+                vscode.window.showErrorMessage(`Error explaining value origin: ${error.message}`);
+            } finally {
+                loadingMessage.dispose();
+            }
+        });
+
         const suggestDocumentationCommand = vscode.commands.registerCommand('whiskercode.suggestDocumentation', async () => {
             if (!parser || !ui) {
                 vscode.window.showErrorMessage('WhiskerCode is not fully initialized yet. Please try again in a moment.');
@@ -254,7 +398,7 @@ function activate(context) {
                 const language = document.languageId;
                 
                 const undocumented = parser.findUndocumentedCode(fileContent, language);
-                ui.showDocumentationSuggestions(undocumented, language);
+                ui.showDocumentationSuggestions(undocumented, editor);
             } catch (error) {
                 console.error('Error suggesting documentation:', error);
                 vscode.window.showErrorMessage(`Error suggesting documentation: ${error.message}`);
@@ -308,6 +452,7 @@ function activate(context) {
         });
 
         // Register text editor change handler for real-time analysis with safety checks
+        let selectionAnalysis = null;
         const changeHandler = vscode.window.onDidChangeTextEditorSelection((event) => {
             if (!parser || !ui) {
                 return; // Silently skip if not initialized
@@ -325,15 +470,38 @@ function activate(context) {
                 const editor = event.textEditor;
                 const document = editor.document;
                 
-                // Only analyze JavaScript and TypeScript files
+                // Only analyze JavaScript and TypeScript files the workspace configuration includes
                 if (document.languageId !== 'javascript' && document.languageId !== 'typescript') {
                     return;
                 }
+                if (workspaceSettings && !workspaceSettings.includes(document)) {
+                    return;
+                }
                 
-                ui.updateWhiskerVisualization(
-                    parser.getCodeStructure(document),
-                    editor
-                );
+                if (!analysisScheduler) {
+                    ui.updateWhiskerVisualization(parser.getCodeStructure(document), editor);
+                    return;
+                }
+                
+                // Only the latest selection matters; drop analysis still waiting for an older one
+                if (selectionAnalysis) {
+                    selectionAnalysis.cancel();
+                    selectionAnalysis.dispose();
+                }
+                const tokenSource = new vscode.CancellationTokenSource();
+                selectionAnalysis = tokenSource;
+                
+                analysisScheduler.getStructure(document, tokenSource.token)
+                    .then(structure => {
+                        if (!tokenSource.token.isCancellationRequested) {
+                            ui.updateWhiskerVisualization(structure, editor);
+                        }
+                    })
+                    .catch(error => {
+                        if (!(error instanceof CancelledError)) {
+                            console.error('Error in real-time analysis:', error);
+                        }
+                    });
             } catch (error) {
                 // Silent fail for real-time analysis
                 console.error('Error in real-time analysis:', error);
@@ -342,13 +510,11 @@ function activate(context) {
 
         // Add command for code complexity analysis
         const analyzeComplexityCommand = vscode.commands.registerCommand('whiskercode.analyzeComplexity', async () => {
-            if (!parser || !complexityVisualizer || !ui || !advancedParser) {
+            if (!parser || !complexityVisualizer || !ui || !analysisScheduler) {
                 vscode.window.showErrorMessage('WhiskerCode is not fully initialized yet. Please try again in a moment.');
                 return;
             }
             
-            const loadingMessage = vscode.window.setStatusBarMessage('WhiskerCode: Analyzing code complexity...');
-            
             try {
                 const editor = vscode.window.activeTextEditor;
                 if (!editor) {
@@ -357,15 +523,16 @@ function activate(context) {
                 }
                 
                 const document = editor.document;
-                const fileContent = document.getText();
-                const language = document.languageId;
                 
-                // Use the advanced parser for enhanced metrics
-                const advancedMetrics = advancedParser.parseCode(fileContent, language);
-                const refactoringOpportunities = advancedParser.findRefactoringOpportunities(fileContent, language);
+                // Advanced parser metrics combined with traditional per-function metrics
+                const results = await runAnalysisSteps('WhiskerCode: Analyzing code complexity', [
+                    { message: 'Measuring functions...', run: token => analysisScheduler.getFunctionComplexity(document, token) },
+                    { message: 'Detecting patterns...', run: token => analysisScheduler.getAdvancedAnalysis(document, token) },
+                    { message: 'Looking for refactoring opportunities...', run: token => analysisScheduler.getRefactoringOpportunities(document, token) }
+                ]);
+                if (!results) return;
                 
-                // Combine with traditional metrics
-                const complexity = parser.analyzeFunctionComplexity(fileContent, language);
+                const [complexity, advancedMetrics, refactoringOpportunities] = results;
                 
                 // Create combined analysis
                 const combinedAnalysis = {
@@ -387,17 +554,13 @@ function activate(context) {
             } catch (error) {
                 console.error('Error analyzing complexity:', error);
                 vscode.window.showErrorMessage(`Error analyzing complexity: ${error.message}`);
-            } finally {
-                loadingMessage.dispose();
             }
         });
 
         // Add command for dependency graph visualization
         const visualizeDependenciesCommand = vscode.commands.registerCommand('whiskercode.visualizeDependencies', async () => {
-            const loadingMessage = vscode.window.setStatusBarMessage('WhiskerCode: Generating dependency graph...');
-            
             try {
-                if (!parser || !complexityVisualizer) {
+                if (!parser || !complexityVisualizer || !analysisScheduler) {
                     vscode.window.showErrorMessage('WhiskerCode is not fully initialized yet. Please try again in a moment.');
                     return;
                 }
@@ -409,32 +572,261 @@ function activate(context) {
                 }
                 
                 const document = editor.document;
-                const fileContent = document.getText();
-                const language = document.languageId;
                 const fileName = document.fileName.split('/').pop();
                 
-                // Use setTimeout to prevent UI blocking
-                setTimeout(async () => {
-                    try {
-                        const dependencyData = parser.analyzeDependencies(fileContent, language);
-                        
-                        if (dependencyData.nodes.length <= 1) {
-                            vscode.window.showInformationMessage('Not enough functions found to create a dependency graph.');
-                            return;
-                        }
-                        
-                        complexityVisualizer.showDependencyGraph(dependencyData, fileName);
-                    } catch (error) {
-                        console.error('Error generating dependency graph:', error);
-                        vscode.window.showErrorMessage(`Error generating dependency graph: ${error.message}`);
-                    } finally {
-                        loadingMessage.dispose();
+                const results = await runAnalysisSteps('WhiskerCode: Generating dependency graph', [
+                    { message: 'Finding function calls...', run: token => analysisScheduler.getDependencies(document, token) }
+                ]);
+                if (!results) return;
+                
+                const [dependencyData] = results;
+                if (dependencyData.nodes.length <= 1) {
+                    vscode.window.showInformationMessage('Not enough functions found to create a dependency graph.');
+                    return;
+                }
+                
+                complexityVisualizer.showDependencyGraph(dependencyData, fileName);
+            } catch (error) {
+                console.error('Error generating dependency graph:', error);
+                vscode.window.showErrorMessage(`Error generating dependency graph: ${error.message}`);
+            }
+        });
+
+        // Add command for the module dependency graph of the whole workspace
+        const showModuleGraphCommand = vscode.commands.registerCommand('whiskercode.showModuleGraph', async () => {
+            try {
+                if (!workspaceIndex || !complexityVisualizer) {
+                    vscode.window.showErrorMessage('WhiskerCode is not fully initialized yet. Please try again in a moment.');
+                    return;
+                }
+                
+                if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
+                    vscode.window.showWarningMessage('Open a folder to see its module graph.');
+                    return;
+                }
+                
+                const editor = vscode.window.activeTextEditor;
+                const workspaceName = vscode.workspace.name || vscode.workspace.workspaceFolders[0].name;
+                
+                const results = await runAnalysisSteps('WhiskerCode: Generating module graph', [
+                    { message: 'Resolving imports across the workspace...', run: token => workspaceIndex.getModuleGraph(editor ? editor.document : undefined, token) }
+                ]);
+                if (!results) return;
+                
+                const [moduleGraph] = results;
+                if (moduleGraph.nodes.length === 0) {
+                    vscode.window.showInformationMessage('No JavaScript or TypeScript modules found in the workspace.');
+                    return;
+                }
+                
+                complexityVisualizer.showDependencyGraph(moduleGraph, workspaceName);
+            } catch (error) {
+                console.error('Error generating module graph:', error);
+                vscode.window.showErrorMessage(`Error generating module graph: ${error.message}`);
+            }
+        });
+
+        // Add commands for the callers and callees of the function under the cursor, across the workspace
+        const showCallHierarchy = async direction => {
+            try {
+                if (!workspaceIndex || !complexityVisualizer) {
+                    vscode.window.showErrorMessage('WhiskerCode is not fully initialized yet. Please try again in a moment.');
+                    return;
+                }
+
+                const editor = vscode.window.activeTextEditor;
+                if (!editor) {
+                    vscode.window.showWarningMessage('No active editor found. Please open a file.');
+                    return;
+                }
+
+                const document = editor.document;
+                const results = await runAnalysisSteps('WhiskerCode: Building call graph', [
+                    { message: 'Resolving calls across the workspace...', run: token => workspaceIndex.getCallGraph(document, token) }
+                ]);
+                if (!results) return;
+
+                const [callGraph] = results;
+                const func = callGraph.functionAt(document.uri.fsPath, document.offsetAt(editor.selection.active));
+                if (!func) {
+                    vscode.window.showWarningMessage('Place the cursor inside a JavaScript or TypeScript function.');
+                    return;
+                }
+
+                const related = direction === 'callers' ? callGraph.callersOf(func.id) : callGraph.calleesOf(func.id);
+                if (related.length === 0) {
+                    vscode.window.showInformationMessage(direction === 'callers'
+                        ? `No calls to ${func.qualifiedName} found in the workspace.`
+                        : `${func.qualifiedName} calls no workspace functions.`);
+                    return;
+                }
+
+                complexityVisualizer.showDependencyGraph(callGraph.toGraphData(func.id, direction), func.qualifiedName);
+            } catch (error) {
+                console.error('Error building call graph:', error);
+                vscode.window.showErrorMessage(`Error building call graph: ${error.message}`);
+            }
+        };
+
+        const showCallersCommand = vscode.commands.registerCommand('whiskercode.showCallers', () => showCallHierarchy('callers'));
+        const showCalleesCommand = vscode.commands.registerCommand('whiskercode.showCallees', () => showCallHierarchy('callees'));
+
+        // Add command listing the unused functions, exports, parameters and variables of the workspace in the Problems panel
+        const findDeadCodeCommand = vscode.commands.registerCommand('whiskercode.findDeadCode', async (options = {}) => {
+            try {
+                if (!workspaceIndex || !deadCodeDiagnostics) {
+                    vscode.window.showErrorMessage('WhiskerCode is not fully initialized yet. Please try again in a moment.');
+                    return;
+                }
+
+                if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
+                    vscode.window.showWarningMessage('Open a folder to find its dead code.');
+                    return;
+                }
+
+                const editor = vscode.window.activeTextEditor;
+                const findDeadCode = token => workspaceIndex.findDeadCode(editor ? editor.document : undefined, token);
+
+                // Quick fixes re-run the search quietly once their edit is applied
+                let findings;
+                if (options.quiet) {
+                    findings = await findDeadCode();
+                } else {
+                    const results = await runAnalysisSteps('WhiskerCode: Finding dead code', [
+                        { message: 'Checking what the workspace uses...', run: findDeadCode }
+                    ]);
+                    if (!results) return;
+                    [findings] = results;
+                }
+
+                deadCodeDiagnostics.update(findings);
+                if (options.quiet) return;
+
+                if (findings.length === 0) {
+                    vscode.window.showInformationMessage('No dead code found in the workspace.');
+                    return;
+                }
+
+                const choice = await vscode.window.showInformationMessage(
+                    `Found ${findings.length} unused ${findings.length === 1 ? 'item' : 'items'} (functions, exports, parameters and variables).`,
+                    'Show Problems'
+                );
+                if (choice === 'Show Problems') {
+                    vscode.commands.executeCommand('workbench.actions.view.problems');
+                }
+            } catch (error) {
+                console.error('Error finding dead code:', error);
+                vscode.window.showErrorMessage(`Error finding dead code: ${error.message}`);
+            }
+        });
+
+        // Move the copies of a duplicate into a shared function, asking for its name
+        const extractDuplicate = async (detector, clone) => {
+            try {
+                const name = await vscode.window.showInputBox({
+                    prompt: 'Name of the shared function',
+                    value: 'sharedFunction',
+                    validateInput: value => /^[A-Za-z_$][\w$]*$/.test(value) ? null : 'Enter a valid function name'
+                });
+                if (!name) return;
+
+                const edits = detector.extractSharedFunction(clone, name);
+
+                // Offsets point into the analyzed text, so files changed since then are searched again
+                const workspaceEdit = new vscode.WorkspaceEdit();
+                for (const file of new Set(edits.map(edit => edit.file))) {
+                    const document = await vscode.workspace.openTextDocument(vscode.Uri.file(file));
+                    if (document.getText() !== detector.files.get(file).text) {
+                        vscode.window.showWarningMessage(`${vscode.workspace.asRelativePath(file, false)} changed since the duplicates were found. Please try again.`);
+                        vscode.commands.executeCommand('whiskercode.findDuplicates', { quiet: true });
+                        return;
                     }
-                }, 0);
+                    for (const edit of edits.filter(candidate => candidate.file === file)) {
+                        workspaceEdit.replace(document.uri, new vscode.Range(document.positionAt(edit.start), document.positionAt(edit.end)), edit.text);
+                    }
+                }
+
+                if (await vscode.workspace.applyEdit(workspaceEdit)) {
+                    vscode.commands.executeCommand('whiskercode.findDuplicates', { quiet: true });
+                }
             } catch (error) {
-                loadingMessage.dispose();
-                console.error('Error in dependency visualization command:', error);
-                vscode.window.showErrorMessage(`Error: ${error.message}`);
+                console.error('Error extracting shared function:', error);
+                vscode.window.showErrorMessage(`Could not extract a shared function: ${error.message}`);
+            }
+        };
+
+        // Add command listing the duplicated code of the workspace side by side
+        const findDuplicatesCommand = vscode.commands.registerCommand('whiskercode.findDuplicates', async (options = {}) => {
+            try {
+                if (!workspaceIndex || !ui) {
+                    vscode.window.showErrorMessage('WhiskerCode is not fully initialized yet. Please try again in a moment.');
+                    return;
+                }
+
+                if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
+                    vscode.window.showWarningMessage('Open a folder to find its duplicated code.');
+                    return;
+                }
+
+                const editor = vscode.window.activeTextEditor;
+                const detector = await workspaceIndex.getCloneDetector(editor ? editor.document : undefined);
+
+                // Extractions refresh the panel quietly once their edit is applied
+                let clones;
+                if (options.quiet) {
+                    clones = detector.find();
+                } else {
+                    const results = await runAnalysisSteps('WhiskerCode: Finding duplicates', [
+                        { message: 'Comparing the code of the workspace...', run: () => detector.find() }
+                    ]);
+                    if (!results) return;
+                    [clones] = results;
+                }
+
+                if (clones.length === 0 && !options.quiet) {
+                    vscode.window.showInformationMessage('No duplicated code found in the workspace.');
+                    return;
+                }
+
+                ui.showDuplicates(clones, clone => extractDuplicate(detector, clone));
+            } catch (error) {
+                console.error('Error finding duplicates:', error);
+                vscode.window.showErrorMessage(`Error finding duplicates: ${error.message}`);
+            }
+        });
+
+        // Add command for the control-flow graph of the function under the cursor
+        const showControlFlowCommand = vscode.commands.registerCommand('whiskercode.showControlFlow', async () => {
+            try {
+                if (!complexityVisualizer || !analysisScheduler) {
+                    vscode.window.showErrorMessage('WhiskerCode is not fully initialized yet. Please try again in a moment.');
+                    return;
+                }
+
+                const editor = vscode.window.activeTextEditor;
+                if (!editor) {
+                    vscode.window.showWarningMessage('No active editor found. Please open a file.');
+                    return;
+                }
+
+                const document = editor.document;
+                const offset = document.offsetAt(editor.selection.active);
+
+                const results = await runAnalysisSteps('WhiskerCode: Building control flow graph', [
+                    { message: 'Following branches and loops...', run: token => analysisScheduler.getControlFlow(document, offset, token) }
+                ]);
+                if (!results) return;
+
+                const [graph] = results;
+                if (!graph) {
+                    vscode.window.showInformationMessage('Place the cursor inside a JavaScript or TypeScript function to see its control flow.');
+                    return;
+                }
+
+                complexityVisualizer.showControlFlowGraph(graph, document.fileName.split('/').pop(), document.uri);
+            } catch (error) {
+                console.error('Error building control flow graph:', error);
+                vscode.window.showErrorMessage(`Error building control flow graph: ${error.message}`);
             }
         });
 
@@ -459,13 +851,11 @@ function activate(context) {
 
         // Add command for performance hotspot detection
         const detectPerformanceCommand = vscode.commands.registerCommand('whiskercode.detectPerformance', async () => {
-            if (!parser || !enhancedPerformanceAnalyzer || !ui) {
+            if (!parser || !analysisScheduler || !ui) {
                 vscode.window.showErrorMessage('WhiskerCode is not fully initialized yet. Please try again in a moment.');
                 return;
             }
             
-            const loadingMessage = vscode.window.setStatusBarMessage('WhiskerCode: Analyzing performance...');
-            
             try {
                 const editor = vscode.window.activeTextEditor;
                 if (!editor) {
@@ -474,12 +864,14 @@ function activate(context) {
                 }
                 
                 const document = editor.document;
-                const fileContent = document.getText();
                 const language = document.languageId;
                 
-                // Use both analyzers for comprehensive results
-                const basicResults = performanceAnalyzer ? performanceAnalyzer.analyzePerformance(fileContent, language) : [];
-                const enhancedResults = enhancedPerformanceAnalyzer.analyzePerformance(fileContent, language);
+                const results = await runAnalysisSteps('WhiskerCode: Analyzing performance', [
+                    { message: 'Looking for performance issues...', run: token => analysisScheduler.getPerformance(document, token) }
+                ]);
+                if (!results) return;
+                
+                const [enhancedResults] = results;
                 
                 // Combine results for display
                 const combinedAnalysis = {
@@ -504,13 +896,11 @@ function activate(context) {
             } catch (error) {
                 console.error('Error analyzing performance:', error);
                 vscode.window.showErrorMessage(`Error analyzing performance: ${error.message}`);
-            } finally {
-                loadingMessage.dispose();
             }
         });
 
         // Register the Code Lens provider
-        const supportedLanguages = ['javascript', 'typescript', 'javascriptreact', 'typescriptreact'];
+        const supportedLanguages = ['javascript', 'typescript', 'javascriptreact', 'typescriptreact', 'vue', 'svelte'];
         
         if (codeLensProvider) {
             for (const language of supportedLanguages) {
@@ -531,6 +921,51 @@ function activate(context) {
             );
         }
         
+        // Dead code positions go stale as soon as their document changes
+        if (deadCodeDiagnostics) {
+            context.subscriptions.push(
+                vscode.workspace.onDidChangeTextDocument(event => {
+                    if (event.contentChanges.length > 0) {
+                        deadCodeDiagnostics.clear(event.document.uri);
+                    }
+                }),
+                vscode.languages.registerCodeActionsProvider(
+                    supportedLanguages.map(language => ({ language })),
+                    deadCodeDiagnostics,
+                    { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+                )
+            );
+        }
+        
+        // Keep the findings of open documents in the Problems panel, analyzing them
+        // again on save or once their edits pause
+        if (findingDiagnostics) {
+            context.subscriptions.push(
+                vscode.workspace.onDidOpenTextDocument(document => findingDiagnostics.update(document)),
+                vscode.workspace.onDidSaveTextDocument(document => findingDiagnostics.update(document)),
+                vscode.workspace.onDidChangeTextDocument(event => {
+                    if (event.contentChanges.length > 0) {
+                        findingDiagnostics.schedule(event.document);
+                    }
+                }),
+                vscode.workspace.onDidCloseTextDocument(document => findingDiagnostics.clear(document.uri)),
+                vscode.commands.registerCommand('whiskercode.explainRule', ruleId => findingDiagnostics.explain(ruleId))
+            );
+            // Loading the workspace settings refreshes the diagnostics once they apply
+            if (!workspaceSettings) {
+                findingDiagnostics.refresh();
+            }
+        }
+        
+        // Drop cached analysis for documents that are closed
+        if (analysisScheduler) {
+            context.subscriptions.push(
+                vscode.workspace.onDidCloseTextDocument(document => {
+                    analysisScheduler.invalidate(document.uri);
+                })
+            );
+        }
+        
         // Register the Code Action provider
         if (codeActionProvider) {
             for (const language of supportedLanguages) {
@@ -596,6 +1031,14 @@ function activate(context) {
                         
                         ui.showReactComponentAnalysis(componentName, editor);
                         break;
+                    case 'component': {
+                        // Vue and Svelte components are named after their file
+                        const componentAnalysis = (await analysisScheduler.getAdvancedAnalysis(document)).componentAnalysis;
+                        const fileComponentName = path.basename(document.fileName, path.extname(document.fileName));
+                        
+                        ui.showComponentAnalysis(fileComponentName, componentAnalysis, editor);
+                        break;
+                    }
                 }
             } catch (error) {
                 console.error('Error showing code metrics:', error);
@@ -613,50 +1056,19 @@ function activate(context) {
                 const document = await vscode.workspace.openTextDocument(uri);
                 const editor = await vscode.window.showTextDocument(document);
                 
-                // Generate the fix based on the issue type
-                let replacement = '';
+                // Preview the fix of rules that can fix the issue, otherwise offer strategies for its category
+                if (issue.fixedCode) {
+                    ui.showPerformanceFixOptions(issue, editor);
+                    return;
+                }
                 switch (issue.category) {
                     case 'algorithmicComplexity':
-                        // Suggest code restructuring for algorithmic complexity issues
                         ui.showAlgorithmicComplexityFixOptions(issue, editor);
                         break;
-                    case 'memoryManagement':
-                        // Apply memory management fixes
-                        if (issue.match.includes('push')) {
-                            // Pre-allocate array fix
-                            const arrayNameMatch = /const\s+(\w+)\s*=\s*\[\s*\]/.exec(issue.match);
-                            if (arrayNameMatch) {
-                                const arrayName = arrayNameMatch[1];
-                                replacement = issue.match.replace(
-                                    `const ${arrayName} = []`,
-                                    `const ${arrayName} = new Array(estimatedSize)`
-                                );
-                                
-                                await editor.edit(editBuilder => {
-                                    editBuilder.replace(range, replacement);
-                                });
-                                
-                                // Show information message with further optimization suggestions
-                                vscode.window.showInformationMessage(
-                                    'Array pre-allocated. Replace "estimatedSize" with the expected length.'
-                                );
-                            }
-                        } else {
-                            // Default case: show optimization panel
-                            ui.showPerformanceFixOptions(issue, editor);
-                        }
-                        break;
                     case 'asyncPatterns':
-                        // Apply async pattern fixes
-                        if (issue.match.includes('for') && issue.match.includes('await')) {
-                            // Sequential await in loop fix
-                            ui.showAsyncFixOptions(issue, editor);
-                        } else {
-                            ui.showPerformanceFixOptions(issue, editor);
-                        }
+                        ui.showAsyncFixOptions(issue, editor);
                         break;
                     default:
-                        // Default: show options in UI
                         ui.showPerformanceFixOptions(issue, editor);
                 }
             } catch (error) {
@@ -694,11 +1106,18 @@ function activate(context) {
         context.subscriptions.push(
             explainCodeCommand,
             traceVariableCommand,
+            explainValueOriginCommand,
             suggestDocumentationCommand,
             analyzeFunctionsCommand,
             openSettingsCommand,
             analyzeComplexityCommand,
             visualizeDependenciesCommand,
+            showModuleGraphCommand,
+            showCallersCommand,
+            showCalleesCommand,
+            findDeadCodeCommand,
+            findDuplicatesCommand,
+            showControlFlowCommand,
             changeCatThemeCommand,
             detectPerformanceCommand,
             showCodeMetricsCommand,
@@ -729,12 +1148,69 @@ function activate(context) {
 
         // Register learning path status bar item with context
         context.subscriptions.push(learningPathStatusBarItem);
+
+        // API for other extensions, which contribute language packs through it
+        return {
+            LanguageProvider,
+            registerLanguageProvider: modulePath => registerLanguageProvider(modulePath, analysisScheduler)
+        };
     } catch (error) {
         console.error('Error during activation:', error);
         vscode.window.showErrorMessage(`WhiskerCode activation error: ${error.message}`);
     }
 }
 
+/**
+ * Register the language providers of a module in the extension host and the analysis workers
+ * @param {string} modulePath - Absolute path of the module, see LanguageRegistry.load()
+ * @param {AnalysisScheduler|null} analysisScheduler - Scheduler whose workers should load the module too
+ * @returns {vscode.Disposable} Disposable that unregisters the providers
+ */
+function registerLanguageProvider(modulePath, analysisScheduler) {
+    // Workers resolve the module on their own, so a relative path would not reach the same file
+    if (typeof modulePath !== 'string' || !path.isAbsolute(modulePath)) {
+        throw new Error('Language provider modules must be registered by absolute path');
+    }
+
+    const registration = languageRegistry.load(modulePath);
+    const workerRegistration = analysisScheduler ? analysisScheduler.registerLanguage(modulePath) : null;
+    console.log(`Registered language providers: ${registration.ids.join(', ')}`);
+
+    return new vscode.Disposable(() => {
+        registration.dispose();
+        if (workerRegistration) {
+            workerRegistration.dispose();
+        }
+    });
+}
+
+/**
+ * Run analysis steps one after another behind a cancellable progress notification
+ * @param {string} title - Notification title
+ * @param {Array<{message: string, run: Function}>} steps - Steps; `run` receives a CancellationToken and returns a promise
+ * @returns {Promise<Array|undefined>} Step results in order, or undefined if the user cancelled
+ */
+async function runAnalysisSteps(title, steps) {
+    return vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title,
+        cancellable: true
+    }, async (progress, token) => {
+        const results = [];
+        try {
+            for (const step of steps) {
+                progress.report({ message: step.message });
+                results.push(await step.run(token));
+                progress.report({ increment: 100 / steps.length });
+            }
+        } catch (error) {
+            if (error instanceof CancelledError) return undefined;
+            throw error;
+        }
+        return results;
+    });
+}
+
 // Helper function to update package.json contributions
 function updateContributionsToPackageJson() {
     try {
@@ -1,11 +1,26 @@
-const vscode = require('vscode');
+const { languageRegistry } = require('./languages/languageRegistry');
+const Parser = require('./parserModule');
+const { findTokenClones } = require('./cloneDetection');
+const { RuleSettings } = require('./ruleSettings');
+const { Suppressions } = require('./suppressions');
 
 /**
  * Advanced Parser Module for WhiskerCode
  * Extends parsing capabilities to handle more complex patterns and language features
  */
 class AdvancedParser {
-    constructor() {
+    /**
+     * @param {LanguageRegistry} [registry] - Languages to analyze; defaults to the shared registry
+     * @param {Parser} [parser] - Parser that measures cognitive complexity; shares its syntax trees when given
+     */
+    constructor(registry = languageRegistry, parser = new Parser(registry)) {
+        // Language providers, which split Vue and Svelte components into script and template
+        this.registry = registry;
+        this.parser = parser;
+
+        // Refactoring rules turned off, severity overrides and thresholds
+        this.settings = new RuleSettings();
+
         // Enhanced language patterns for more accurate parsing
         this.enhancedPatterns = {
             javascript: {
@@ -44,6 +59,22 @@ class AdvancedParser {
                 jsx: /<[A-Z]\w*[^>]*>[^<]*<\/[A-Z]\w*>|<[A-Z]\w*[^>]*\/>/g,
                 contextApi: /(?:React\.)?createContext|useContext\(/g,
                 propsDestructuring: /\(\s*{\s*([^}]*)\s*}\s*\)/g
+            },
+            vue: {
+                // Vue-specific patterns, matched in the component's script
+                reactiveState: /(?:const|let)\s+(\w+)\s*=\s*(?:ref|shallowRef|reactive|shallowReactive|computed|defineModel)\s*[(<]/g,
+                props: /defineProps\s*[(<]/g,
+                emits: /defineEmits\s*[(<]/g,
+                lifecycleHook: /\bon(?:Before)?(?:Mount|Update|Unmount)(?:ed)?\s*\(/g,
+                watcher: /\bwatch(?:Effect)?\s*\(/g
+            },
+            svelte: {
+                // Svelte-specific patterns, matched in the component's script
+                reactiveState: /^[ \t]*(?:export\s+)?let\s+(\w+)/gm,
+                reactiveStatement: /^[ \t]*\$:/gm,
+                store: /\$(?!(?:state|derived|effect|props)\b)([A-Za-z_]\w*)/g,
+                rune: /\$(?:state|derived|effect|props)\b/g,
+                lifecycleHook: /\b(?:onMount|onDestroy|beforeUpdate|afterUpdate)\s*\(/g
             }
         };
         
@@ -80,27 +111,9 @@ class AdvancedParser {
                 return maxDepth;
             },
             
-            cognitiveComplexity: code => {
-                // A simplified measure of cognitive complexity
-                let complexity = 0;
-                
-                // Count control flow structures
-                const controlFlow = (code.match(/if|else|for|while|do|switch|case|catch|return|break|continue/g) || []).length;
-                complexity += controlFlow;
-                
-                // Count logical operators (each one is a decision point)
-                const logicalOps = (code.match(/&&|\|\||\?\./g) || []).length;
-                complexity += logicalOps;
-                
-                // Count nested function declarations and lambda expressions
-                const nestedFuncs = (code.match(/function|=>/g) || []).length - 1; // -1 to account for the main function
-                complexity += nestedFuncs * 2; // Nested functions add more complexity
-                
-                // Count the ? operator in ternary expressions
-                const ternary = (code.match(/\?(?!\.)/g) || []).length;
-                complexity += ternary;
-                
-                return complexity;
+            cognitiveComplexity: (code, language) => {
+                // Cognitive complexity by the published rules, summed over the functions in the code
+                return this.registry.get(language) ? this.parser.calculateCognitiveComplexity(code, language).total : 0;
             }
         };
     }
@@ -112,6 +125,15 @@ class AdvancedParser {
      * @returns {object} Enhanced parsing results
      */
     parseCode(code, language) {
+        // Vue and Svelte components are matched in their script, at the offsets it has in the file
+        const provider = this.registry.get(language);
+        const component = provider ? provider.parseComponent(code) : null;
+        const resultLanguage = language;
+        if (component) {
+            code = component.script;
+            language = component.scriptLanguage;
+        }
+        
         // Determine appropriate pattern set
         let patterns = this.enhancedPatterns.javascript;
         if (language === 'typescript' || language === 'typescriptreact') {
@@ -123,12 +145,15 @@ class AdvancedParser {
         if (isReact) {
             patterns = {...patterns, ...this.enhancedPatterns.react};
         }
+        if (component) {
+            patterns = {...patterns, ...this.enhancedPatterns[component.framework]};
+        }
         
         const results = {
-            language,
+            language: resultLanguage,
             complexity: {
                 branchingDepth: this.complexityMetrics.branchingDepth(code),
-                cognitiveComplexity: this.complexityMetrics.cognitiveComplexity(code)
+                cognitiveComplexity: this.complexityMetrics.cognitiveComplexity(code, language)
             },
             patterns: {}
         };
@@ -164,9 +189,42 @@ class AdvancedParser {
             results.typeAnalysis = this._analyzeTypeScript(code, results.patterns);
         }
         
+        if (component) {
+            results.componentAnalysis = this._analyzeComponent(component, results.patterns);
+            
+            // Template loops and conditions are decisions a reader follows too
+            if (component.template) {
+                results.complexity.cognitiveComplexity += component.template.loops.length + component.template.conditionals.length;
+            }
+        }
+        
         return results;
     }
     
+    /**
+     * Analyze a Vue or Svelte component: where it starts, the components and
+     * directives its template uses, and its reactive state
+     * @private
+     */
+    _analyzeComponent(component, patterns) {
+        const template = component.template;
+        const unique = values => [...new Set(values)];
+        const reactiveState = (patterns.reactiveState || []).map(match => match.groups[0]);
+        if (patterns.store) {
+            reactiveState.push(...patterns.store.map(match => match.groups[0]));
+        }
+        
+        return {
+            framework: component.framework,
+            line: component.script.substring(0, component.start).split('\n').length,
+            components: template ? unique(template.components.map(child => child.name)) : [],
+            directives: template ? unique(template.directives.map(directive => directive.name)) : [],
+            reactiveState: unique(reactiveState),
+            loops: template ? template.loops.length : 0,
+            conditionals: template ? template.conditionals.length : 0
+        };
+    }
+    
     /**
      * Analyze React-specific code patterns
      * @private
@@ -253,20 +311,31 @@ class AdvancedParser {
         return analysis;
     }
     
+    /**
+     * Use another rule configuration for the next analyses
+     * @param {RuleSettings} settings - Rule configuration of the code's workspace folder
+     */
+    configure(settings) {
+        this.settings = settings;
+        this.parser.configure(settings);
+    }
+    
     /**
      * Analyze code for potential refactoring opportunities
      * @param {string} code - The code to analyze
      * @param {string} language - Language of the code
-     * @returns {object[]} List of refactoring suggestions
+     * @returns {object[]} List of refactoring suggestions, without those of rules the settings turn off
+     *     or that `whiskercode-disable` comments suppress; suggestions without a line count as line 1
      */
     findRefactoringOpportunities(code, language) {
         const opportunities = [];
+        const thresholds = this.settings.thresholds;
         
         // Parse code with enhanced patterns
         const parseResult = this.parseCode(code, language);
         
         // Check for complex functions
-        if (parseResult.complexity.cognitiveComplexity > 15) {
+        if (parseResult.complexity.cognitiveComplexity > thresholds.cognitiveComplexity) {
             opportunities.push({
                 type: 'high_complexity',
                 severity: 'high',
@@ -277,7 +346,7 @@ class AdvancedParser {
         }
         
         // Check for deep nesting
-        if (parseResult.complexity.branchingDepth > 3) {
+        if (parseResult.complexity.branchingDepth > thresholds.nestingDepth) {
             opportunities.push({
                 type: 'deep_nesting',
                 severity: 'medium',
@@ -287,16 +356,18 @@ class AdvancedParser {
             });
         }
         
-        // Check for duplicated code patterns
-        const duplicatedPatterns = this._findDuplicatedPatterns(code);
+        // Check for duplicated code, including copies with renamed variables
+        const duplicatedPatterns = this._findDuplicatedPatterns(code, language);
         if (duplicatedPatterns.length > 0) {
             duplicatedPatterns.forEach(pattern => {
                 opportunities.push({
                     type: 'duplicated_code',
                     severity: 'medium',
-                    description: `Duplicated code pattern (${pattern.count} instances)`,
-                    suggestion: 'Extract to a reusable function or constant',
-                    pattern: pattern.text.substring(0, 50) + (pattern.text.length > 50 ? '...' : '')
+                    description: `${pattern.kind === 'near-miss' ? 'Nearly duplicated' : 'Duplicated'} code at lines ${pattern.line} and ${pattern.otherLine}` +
+                        (pattern.kind === 'renamed' ? ' (with renamed names or literals)' : ''),
+                    suggestion: 'Extract to a reusable function, or use Find Duplicates to extract it',
+                    pattern: pattern.text.substring(0, 50) + (pattern.text.length > 50 ? '...' : ''),
+                    line: pattern.line
                 });
             });
         }
@@ -314,46 +385,31 @@ class AdvancedParser {
             }
         }
         
-        return opportunities;
+        const typeOf = opportunity => opportunity.type;
+        return new Suppressions(code, language, this.registry).apply(this.settings.apply(opportunities, typeOf), typeOf);
     }
     
     /**
-     * Find duplicated code patterns in the source
+     * Find duplicated code in the source by comparing token streams with names
+     * and literals abstracted, so renamed and near-miss copies are found too
      * @private
      */
-    _findDuplicatedPatterns(code) {
-        const minLength = 30; // Minimum characters to consider a duplication
-        const patterns = [];
-        const lines = code.split('\n');
-        
-        // Build a map of potential patterns
-        const patternMap = new Map();
-        
-        // Analyze consecutive lines as potential patterns
-        for (let i = 0; i < lines.length - 1; i++) {
-            for (let end = i + 1; end < Math.min(i + 5, lines.length); end++) {
-                const pattern = lines.slice(i, end + 1).join('\n').trim();
-                if (pattern.length >= minLength) {
-                    if (patternMap.has(pattern)) {
-                        patternMap.set(pattern, patternMap.get(pattern) + 1);
-                    } else {
-                        patternMap.set(pattern, 1);
-                    }
-                }
-            }
-        }
-        
-        // Filter for actual duplications
-        for (const [pattern, count] of patternMap.entries()) {
-            if (count > 1) {
-                patterns.push({
-                    text: pattern,
-                    count
-                });
-            }
-        }
-        
-        return patterns;
+    _findDuplicatedPatterns(code, language) {
+        const tree = this.parser.getSyntaxTree(code, language);
+        const provider = this.registry.get(language);
+        const tokens = tree ? tree.tokens : provider ? provider.lexTokens(code) : [];
+        const lineOf = offset => code.substring(0, offset).split('\n').length;
+
+        return findTokenClones([tokens]).map(clone => {
+            const start = tokens[clone.a.from].start;
+            return {
+                text: code.substring(start, tokens[clone.a.to - 1].end).trim(),
+                count: 2,
+                kind: clone.kind,
+                line: lineOf(start),
+                otherLine: lineOf(tokens[clone.b.from].start)
+            };
+        });
     }
 }
 
@@ -0,0 +1,340 @@
+const { CancelledError } = require('./workerPool');
+
+/**
+ * Cancellation of a request several callers share. It is cancelled once every
+ * caller has cancelled, never while one of them still waits for the result, and
+ * works as the CancellationToken of the request.
+ */
+class SharedCancellation {
+    constructor() {
+        this.isCancellationRequested = false;
+        this._listeners = new Set();
+
+        // Subscriptions to the callers' tokens, released once the request settles
+        this._subscriptions = [];
+
+        // Callers still waiting; those without a token never stop waiting
+        this._waiting = 0;
+        this._settled = false;
+    }
+
+    /**
+     * Listen for the cancellation of the shared request
+     * @param {function(): void} listener - Called once every caller has cancelled
+     * @returns {{dispose: function(): void}} Disposable that removes the listener
+     */
+    onCancellationRequested(listener) {
+        this._listeners.add(listener);
+        return { dispose: () => this._listeners.delete(listener) };
+    }
+
+    /**
+     * Add a caller waiting for the request
+     * @param {vscode.CancellationToken} [token] - The caller's token
+     */
+    join(token) {
+        this._waiting++;
+        if (token && !this._settled) {
+            this._subscriptions.push(token.onCancellationRequested(() => this._leave()));
+        }
+    }
+
+    /**
+     * Stop listening once the request has its result; later cancellations no longer matter
+     */
+    settle() {
+        this._settled = true;
+        this._listeners.clear();
+        this._subscriptions.forEach(subscription => subscription.dispose());
+        this._subscriptions = [];
+    }
+
+    /**
+     * @private
+     */
+    _leave() {
+        this._waiting--;
+        if (this._waiting === 0 && !this._settled && !this.isCancellationRequested) {
+            this.isCancellationRequested = true;
+            this._listeners.forEach(listener => listener());
+        }
+    }
+}
+
+/**
+ * Analysis Scheduler for WhiskerCode
+ * Asynchronous front end to AnalysisService used by commands and providers.
+ * Work runs on the worker pool when one is available, or in-process otherwise.
+ * Results are shared per document version, so repeated requests (such as one
+ * per selection change) do not post the document to a worker again.
+ */
+class AnalysisScheduler {
+    /**
+     * @param {object} options - Scheduler options
+     * @param {WorkerPool|null} options.workerPool - Pool running analysisWorker.js
+     * @param {AnalysisService} options.analysisService - In-process service used without a pool
+     */
+    constructor({ workerPool, analysisService }) {
+        this.workerPool = workerPool;
+        this.analysisService = analysisService;
+
+        // Pending and finished results by document URI
+        this._documents = new Map();
+
+        // Rule configuration every worker receives when it starts
+        this._configuration = null;
+    }
+
+    /**
+     * Get the code structure of a document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @param {vscode.CancellationToken} [token] - Cancels the request
+     * @returns {Promise<object>} Code structure
+     */
+    getStructure(document, token) {
+        return this._request(document, 'getStructure', [], token);
+    }
+
+    /**
+     * Get complexity metrics for every function in a document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @param {vscode.CancellationToken} [token] - Cancels the request
+     * @returns {Promise<Array<object>>} Function analyses
+     */
+    getFunctionComplexity(document, token) {
+        return this._request(document, 'getFunctionComplexity', [], token);
+    }
+
+    /**
+     * Get the call dependencies between the functions of a document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @param {vscode.CancellationToken} [token] - Cancels the request
+     * @returns {Promise<object>} Dependency graph
+     */
+    getDependencies(document, token) {
+        return this._request(document, 'getDependencies', [], token);
+    }
+
+    /**
+     * Get the control-flow graph of the function at an offset of a document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @param {number} offset - Offset inside the function, such as the cursor's
+     * @param {vscode.CancellationToken} [token] - Cancels the request
+     * @returns {Promise<object|null>} Control-flow graph, or null outside a function
+     */
+    getControlFlow(document, offset, token) {
+        // One graph per cursor position is not worth sharing
+        return this._execute(document, 'getControlFlow', [offset], token);
+    }
+
+    /**
+     * Get the advanced parser's metrics and patterns for a document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @param {vscode.CancellationToken} [token] - Cancels the request
+     * @returns {Promise<object>} Advanced parser results
+     */
+    getAdvancedAnalysis(document, token) {
+        return this._request(document, 'getAdvancedAnalysis', [], token);
+    }
+
+    /**
+     * Get refactoring opportunities for a whole document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @param {vscode.CancellationToken} [token] - Cancels the request
+     * @returns {Promise<Array<object>>} Refactoring opportunities
+     */
+    getRefactoringOpportunities(document, token) {
+        return this._request(document, 'getRefactoringOpportunities', [], token);
+    }
+
+    /**
+     * Get the performance analysis for a whole document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @param {vscode.CancellationToken} [token] - Cancels the request
+     * @returns {Promise<object>} Performance analysis
+     */
+    getPerformance(document, token) {
+        return this._request(document, 'getPerformance', [], token);
+    }
+
+    /**
+     * Get performance and refactoring results for each function of a document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @param {vscode.CancellationToken} [token] - Cancels the request
+     * @returns {Promise<Array<object>>} Results by function
+     */
+    getFunctionInsights(document, token) {
+        return this._request(document, 'getFunctionInsights', [], token);
+    }
+
+    /**
+     * Get the findings of a document to show as diagnostics
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @param {vscode.CancellationToken} [token] - Cancels the request
+     * @returns {Promise<Array<object>>} Findings from AnalysisService.getDiagnostics()
+     */
+    getDiagnostics(document, token) {
+        return this._request(document, 'getDiagnostics', [], token);
+    }
+
+    /**
+     * Analyze a piece of a document, such as the current selection
+     * @param {vscode.TextDocument} document - Document the text belongs to
+     * @param {string} text - Text to analyze
+     * @param {number} line - One-based line the text starts on, for the document's suppression comments
+     * @param {vscode.CancellationToken} [token] - Cancels the request
+     * @returns {Promise<{performance: object, refactoring: Array<object>}>} Performance and refactoring results
+     */
+    analyzeText(document, text, line, token) {
+        // Selections vary too much to be worth sharing here; the service
+        // still reuses results for text it has seen
+        return this._execute(document, 'analyzeText', [text, line], token);
+    }
+
+    /**
+     * Drop everything cached for a document
+     * @param {vscode.Uri} [uri] - URI of the document; without one, every document is dropped
+     */
+    invalidate(uri) {
+        const key = uri ? uri.toString() : null;
+        if (key) {
+            this._documents.delete(key);
+        } else {
+            this._documents.clear();
+        }
+
+        if (this.workerPool) {
+            this.workerPool.broadcast({ type: 'invalidate', uri: key });
+        } else {
+            this.analysisService.invalidate(uri);
+        }
+    }
+
+    /**
+     * Set the rule configuration of each workspace folder, dropping results computed
+     * with the previous one
+     * @param {Array<{folder: string, config: object}>} folders - Configuration by workspace folder URI,
+     *     see WorkspaceSettings.folderConfigs()
+     */
+    configure(folders) {
+        this._documents.clear();
+        if (!this.workerPool) {
+            this.analysisService.configure(folders);
+            return;
+        }
+
+        // Workers started later must get the latest configuration, not every one before it
+        if (this._configuration) {
+            this._configuration.dispose();
+        }
+        this._configuration = this.workerPool.addStartupMessage({ type: 'configure', folders });
+    }
+
+    /**
+     * Make the background workers load a language provider module. The extension host
+     * registers the module itself, so this only reaches the workers.
+     * @param {string} modulePath - Absolute path of the module, see LanguageRegistry.load()
+     * @returns {{dispose: function(): void}} Disposable that unregisters the module from the workers
+     */
+    registerLanguage(modulePath) {
+        // Results computed before the language was known are stale
+        this.invalidate();
+        if (!this.workerPool) {
+            return { dispose: () => this.invalidate() };
+        }
+
+        const registration = this.workerPool.addStartupMessage({ type: 'registerLanguage', modulePath });
+        return {
+            dispose: () => {
+                registration.dispose();
+                this.workerPool.broadcast({ type: 'unregisterLanguage', modulePath });
+                this.invalidate();
+            }
+        };
+    }
+
+    /**
+     * Stop background workers
+     */
+    dispose() {
+        if (this.workerPool) {
+            this.workerPool.dispose();
+        }
+        this._documents.clear();
+    }
+
+    /**
+     * Share one pending result per document version and method. The shared work is
+     * only cancelled once every caller waiting for it has cancelled.
+     * @private
+     */
+    _request(document, method, args, token) {
+        const key = document.uri.toString();
+        let entry = this._documents.get(key);
+
+        if (!entry || entry.version !== document.version || entry.language !== document.languageId) {
+            entry = { version: document.version, language: document.languageId, results: new Map() };
+            this._documents.set(key, entry);
+        }
+
+        if (token && token.isCancellationRequested) {
+            return Promise.reject(new CancelledError());
+        }
+
+        // A request every caller has cancelled is not shared with new ones
+        let request = entry.results.get(method);
+        if (!request || request.cancellation.isCancellationRequested) {
+            const cancellation = new SharedCancellation();
+            request = { cancellation, result: this._execute(document, method, args, cancellation) };
+            entry.results.set(method, request);
+
+            // A failed request must not be handed to later callers
+            const shared = request;
+            request.result.then(() => cancellation.settle(), () => {
+                cancellation.settle();
+                if (entry.results.get(method) === shared) {
+                    entry.results.delete(method);
+                }
+            });
+        }
+
+        request.cancellation.join(token);
+        return token ? this._followToken(request.result, token) : request.result;
+    }
+
+    /**
+     * Settle a shared result for one caller, rejecting as soon as the caller's own token is cancelled
+     * @private
+     */
+    _followToken(result, token) {
+        return new Promise((resolve, reject) => {
+            const listener = token.onCancellationRequested(() => reject(new CancelledError()));
+            result.then(resolve, reject).finally(() => listener.dispose());
+        });
+    }
+
+    /**
+     * Run one AnalysisService method on a worker or in-process
+     * @private
+     */
+    _execute(document, method, args, token) {
+        if (token && token.isCancellationRequested) {
+            return Promise.reject(new CancelledError());
+        }
+
+        if (!this.workerPool) {
+            return new Promise(resolve => resolve(this.analysisService[method](document, ...args)));
+        }
+
+        const key = document.uri.toString();
+        const snapshot = {
+            uri: key,
+            version: document.version,
+            languageId: document.languageId,
+            text: document.getText()
+        };
+        return this.workerPool.run(method, { document: snapshot, args }, { key, token });
+    }
+}
+
+module.exports = AnalysisScheduler;
@@ -0,0 +1,358 @@
+const { RuleSettings } = require('./ruleSettings');
+const { Suppressions } = require('./suppressions');
+const { LineIndex } = require('./syntax/lineIndex');
+
+// Rule id and default severity of functions without a documentation comment
+const MISSING_DOCUMENTATION_RULE = 'missing_documentation';
+const MISSING_DOCUMENTATION_SEVERITY = 'low';
+
+/**
+ * Results for pieces of text that outlive a single document version.
+ *
+ * Entries looked up while analyzing the current version are kept; anything not
+ * touched since the previous version is dropped when the next version starts,
+ * so edited-away functions do not pile up.
+ */
+class TextResultCache {
+    constructor() {
+        this._current = new Map();
+        this._previous = new Map();
+    }
+
+    /**
+     * Get a cached result
+     * @param {string} key - Cache key, usually the analyzed text
+     * @returns {*} Cached result, or undefined
+     */
+    get(key) {
+        if (this._current.has(key)) {
+            return this._current.get(key);
+        }
+        if (this._previous.has(key)) {
+            // Still present in the new version: carry it over
+            const value = this._previous.get(key);
+            this._current.set(key, value);
+            return value;
+        }
+        return undefined;
+    }
+
+    /**
+     * Store a result
+     * @param {string} key - Cache key, usually the analyzed text
+     * @param {*} value - Result to store
+     */
+    set(key, value) {
+        this._current.set(key, value);
+    }
+
+    /**
+     * Start a new document version, retiring entries unused since the last one
+     */
+    nextGeneration() {
+        this._previous = this._current;
+        this._current = new Map();
+    }
+}
+
+/**
+ * Analysis Service for WhiskerCode
+ * Single entry point for document analysis shared by commands, Code Lenses and
+ * Code Actions. Results are cached by document URI and version, and per-function
+ * results by the function's text, so an edit only recomputes what it changed.
+ */
+class AnalysisService {
+    /**
+     * @param {object} analyzers - Analyzer instances to share
+     * @param {Parser} analyzers.parser - Core parser
+     * @param {AdvancedParser} analyzers.advancedParser - Pattern-based parser
+     * @param {EnhancedPerformanceAnalyzer} analyzers.performanceAnalyzer - Performance analyzer
+     */
+    constructor({ parser, advancedParser, performanceAnalyzer }) {
+        this.parser = parser;
+        this.advancedParser = advancedParser;
+        this.performanceAnalyzer = performanceAnalyzer;
+
+        // Cache entries by document URI
+        this._documents = new Map();
+
+        // Rule configurations by workspace folder URI, longest first
+        this._folderSettings = [];
+        this._defaultSettings = new RuleSettings();
+    }
+
+    /**
+     * Set the rule configuration of each workspace folder. Cached results are dropped,
+     * since thresholds and rules change what the analyzers report.
+     * @param {Array<{folder: string, config: object}>} folders - Configuration by workspace folder URI
+     */
+    configure(folders) {
+        this._folderSettings = folders
+            .map(({ folder, config }) => ({ folder: folder.replace(/\/$/, ''), settings: new RuleSettings(config) }))
+            .sort((a, b) => b.folder.length - a.folder.length);
+        this.invalidate();
+    }
+
+    /**
+     * Get the code structure of a document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @returns {object} Code structure from Parser.getCodeStructure()
+     */
+    getStructure(document) {
+        return this._memo(document, 'structure', () => this.parser.getCodeStructure(document));
+    }
+
+    /**
+     * Get the functions of a document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @returns {Array<object>} Functions from Parser.findFunctions()
+     */
+    getFunctions(document) {
+        return this._memo(document, 'functions', entry => this.parser.findFunctions(entry.text, entry.language));
+    }
+
+    /**
+     * Get complexity metrics for every function in a document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @returns {Array<object>} Function analyses from Parser.analyzeFunctionComplexity()
+     */
+    getFunctionComplexity(document) {
+        return this._memo(document, 'complexity', entry =>
+            this.parser.analyzeFunctionComplexity(entry.text, entry.language, entry.functionComplexity));
+    }
+
+    /**
+     * Get the call dependencies between the functions of a document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @returns {object} Dependency graph from Parser.analyzeDependencies()
+     */
+    getDependencies(document) {
+        return this._memo(document, 'dependencies', entry => this.parser.analyzeDependencies(entry.text, entry.language));
+    }
+
+    /**
+     * Get the control-flow graph of the function at an offset of a document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @param {number} offset - Offset inside the function, such as the cursor's
+     * @returns {object|null} Graph from Parser.getControlFlowGraph()
+     */
+    getControlFlow(document, offset) {
+        const entry = this._entry(document);
+        return this.parser.getControlFlowGraph(entry.text, entry.language, offset);
+    }
+
+    /**
+     * Get the advanced parser's metrics and patterns for a document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @returns {object} Results from AdvancedParser.parseCode()
+     */
+    getAdvancedAnalysis(document) {
+        return this._memo(document, 'advanced', entry => this.advancedParser.parseCode(entry.text, entry.language));
+    }
+
+    /**
+     * Get refactoring opportunities for a whole document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @returns {Array<object>} Opportunities from AdvancedParser.findRefactoringOpportunities()
+     */
+    getRefactoringOpportunities(document) {
+        return this._memo(document, 'refactoring', entry =>
+            this.advancedParser.findRefactoringOpportunities(entry.text, entry.language));
+    }
+
+    /**
+     * Get the performance analysis for a whole document
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @returns {object} Results from EnhancedPerformanceAnalyzer.analyzePerformance()
+     */
+    getPerformance(document) {
+        return this._memo(document, 'performance', entry =>
+            this.performanceAnalyzer.analyzePerformance(entry.text, entry.language));
+    }
+
+    /**
+     * Get performance and refactoring results for each function the advanced parser finds
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @returns {Array<{line: number, performance: object, refactoring: Array<object>}>} Results by function
+     */
+    getFunctionInsights(document) {
+        return this._memo(document, 'functionInsights', () => {
+            const functions = this.getAdvancedAnalysis(document).patterns.function || [];
+            return functions.map(func => Object.assign({ line: func.line }, this.analyzeText(document, func.text, func.line)));
+        });
+    }
+
+    /**
+     * Get the findings of a document to show as diagnostics: its performance issues, the
+     * refactoring opportunities of each function, and functions without documentation.
+     * Rules the settings turn off and findings suppressed by comments are left out.
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @returns {Array<{ruleId: string, kind: string, severity: string, message: string, suggestion: string,
+     *     range: object, finding: object}>} Findings by position, at most one per rule and line, with
+     *     their zero-based `range` and the performance issue, refactoring opportunity or undocumented
+     *     section they come from as `finding`
+     */
+    getDiagnostics(document) {
+        return this._memo(document, 'diagnostics', entry => {
+            const lineIndex = new LineIndex(entry.text);
+            const diagnostics = [];
+            const reported = new Set();
+            const add = (kind, ruleId, severity, message, suggestion, range, finding) => {
+                const key = `${ruleId}:${range.start.line}`;
+                if (reported.has(key)) return;
+                reported.add(key);
+                diagnostics.push({ ruleId, kind, severity, message, suggestion, range, finding });
+            };
+
+            for (const issue of this.getPerformance(document).issues) {
+                add('performance', issue.ruleId, issue.severity, issue.description, issue.suggestion, issue.range, issue);
+            }
+
+            // Opportunities without a line of their own are about the whole function
+            for (const func of this.getFunctions(document)) {
+                const start = func.lineRange.start + 1;
+                const { refactoring } = this.analyzeText(document, entry.text.substring(func.range.start, func.range.end), start);
+                for (const opportunity of refactoring) {
+                    const line = start + (opportunity.line || 1) - 2;
+                    add('refactoring', opportunity.type, opportunity.severity, opportunity.description,
+                        opportunity.suggestion, this._lineRange(lineIndex, line), opportunity);
+                }
+            }
+
+            const settings = this._settingsFor(document.uri.toString());
+            if (settings.isEnabled(MISSING_DOCUMENTATION_RULE)) {
+                const suppressions = this._memo(document, 'suppressions', current => new Suppressions(current.text, current.language));
+                const sections = suppressions.apply(this.parser.findUndocumentedCode(entry.text, entry.language),
+                    () => MISSING_DOCUMENTATION_RULE, section => section.line + 1);
+                const severity = settings.severityOf(MISSING_DOCUMENTATION_RULE, MISSING_DOCUMENTATION_SEVERITY);
+                for (const section of sections) {
+                    add('documentation', MISSING_DOCUMENTATION_RULE, severity,
+                        section.name ? `Function ${section.name} has no documentation comment` : 'Function has no documentation comment',
+                        'Describe what the function does, its parameters and what it returns', this._lineRange(lineIndex, section.line), section);
+                }
+            }
+
+            return diagnostics.sort((a, b) => a.range.start.line - b.range.start.line || a.range.start.column - b.range.start.column);
+        });
+    }
+
+    /**
+     * Analyze a piece of a document, such as one function or the current selection.
+     * Results are reused for as long as the same text appears in the document.
+     * @param {vscode.TextDocument} document - Document the text belongs to
+     * @param {string} text - Text to analyze
+     * @param {number} [line] - One-based line the text starts on; when given, suppression
+     *     comments elsewhere in the document apply to the text too
+     * @returns {{performance: object, refactoring: Array<object>}} Performance and refactoring results
+     */
+    analyzeText(document, text, line = null) {
+        const entry = this._entry(document);
+        let result = entry.textResults.get(text);
+
+        if (!result) {
+            result = {
+                performance: this.performanceAnalyzer.analyzePerformance(text, entry.language),
+                refactoring: this.advancedParser.findRefactoringOpportunities(text, entry.language)
+            };
+            entry.textResults.set(text, result);
+        }
+        if (line === null) {
+            return result;
+        }
+
+        // A file-wide disable, or a comment just above a function, lies outside the text
+        const suppressions = this._memo(document, 'suppressions', current => new Suppressions(current.text, current.language));
+        const lineOf = finding => line + (finding.line || 1) - 1;
+        const issues = suppressions.apply(result.performance.issues, issue => issue.ruleId, lineOf);
+        const refactoring = suppressions.apply(result.refactoring, opportunity => opportunity.type, lineOf);
+        if (issues === result.performance.issues && refactoring === result.refactoring) {
+            return result;
+        }
+        return { performance: Object.assign({}, result.performance, { issues }), refactoring };
+    }
+
+    /**
+     * Drop everything cached for a document
+     * @param {vscode.Uri} [uri] - URI of the document; without one, every document is dropped
+     */
+    invalidate(uri) {
+        if (uri) {
+            this._documents.delete(uri.toString());
+        } else {
+            this._documents.clear();
+        }
+    }
+
+    /**
+     * Get the cache entry for the current version of a document
+     * @private
+     */
+    _entry(document) {
+        const key = document.uri.toString();
+        let entry = this._documents.get(key);
+
+        // Analyzers are shared by every folder, so they take on the document's settings before each use
+        const settings = this._settingsFor(key);
+        for (const analyzer of [this.parser, this.advancedParser, this.performanceAnalyzer]) {
+            if (typeof analyzer.configure === 'function') analyzer.configure(settings);
+        }
+
+        if (entry && entry.version === document.version && entry.language === document.languageId) {
+            return entry;
+        }
+
+        if (entry && entry.language === document.languageId) {
+            // New version: whole-document results are stale, but unchanged
+            // functions can still reuse their per-function results
+            entry.functionComplexity.nextGeneration();
+            entry.textResults.nextGeneration();
+        } else {
+            entry = {
+                functionComplexity: new TextResultCache(),
+                textResults: new TextResultCache()
+            };
+            this._documents.set(key, entry);
+        }
+
+        entry.version = document.version;
+        entry.language = document.languageId;
+        entry.text = document.getText();
+        entry.results = new Map();
+        return entry;
+    }
+
+    /**
+     * Get the range of a line's code, without its indentation
+     * @private
+     */
+    _lineRange(lineIndex, line) {
+        const text = lineIndex.lineText(line);
+        return {
+            start: { line, column: text.length - text.trimStart().length },
+            end: { line, column: text.trimEnd().length }
+        };
+    }
+
+    /**
+     * Get the rule configuration of the workspace folder a document belongs to
+     * @private
+     */
+    _settingsFor(uri) {
+        const match = this._folderSettings.find(({ folder }) => uri.startsWith(folder + '/'));
+        return match ? match.settings : this._defaultSettings;
+    }
+
+    /**
+     * Compute a whole-document result once per document version
+     * @private
+     */
+    _memo(document, name, compute) {
+        const entry = this._entry(document);
+        if (!entry.results.has(name)) {
+            entry.results.set(name, compute(entry));
+        }
+        return entry.results.get(name);
+    }
+}
+
+module.exports = AnalysisService;
@@ -0,0 +1,94 @@
+const { parentPort } = require('worker_threads');
+const Parser = require('./parserModule');
+const { AdvancedParser } = require('./advancedParser');
+const { EnhancedPerformanceAnalyzer } = require('./enhancedPerformance');
+const AnalysisService = require('./analysisService');
+const { languageRegistry } = require('./languages/languageRegistry');
+
+/**
+ * Analysis Worker for WhiskerCode
+ * Entry point of the worker threads started by WorkerPool. Each task names an
+ * AnalysisService method and carries a snapshot of the document to analyze.
+ */
+
+// AnalysisService methods the extension host may call
+const METHODS = new Set([
+    'getStructure',
+    'getFunctions',
+    'getFunctionComplexity',
+    'getDependencies',
+    'getControlFlow',
+    'getAdvancedAnalysis',
+    'getRefactoringOpportunities',
+    'getPerformance',
+    'getFunctionInsights',
+    'getDiagnostics',
+    'analyzeText'
+]);
+
+const parser = new Parser();
+const service = new AnalysisService({
+    parser,
+    advancedParser: new AdvancedParser(languageRegistry, parser),
+    performanceAnalyzer: new EnhancedPerformanceAnalyzer()
+});
+
+/**
+ * Turn a document snapshot back into the document shape AnalysisService expects
+ * @param {{uri: string, version: number, languageId: string, text: string}} snapshot - Document snapshot
+ * @returns {object} Document-like object
+ */
+function toDocument(snapshot) {
+    const uri = { toString: () => snapshot.uri };
+    return {
+        uri,
+        version: snapshot.version,
+        languageId: snapshot.languageId,
+        getText: () => snapshot.text
+    };
+}
+
+// Language provider modules loaded at the extension host's request, by module path
+const languageModules = new Map();
+
+parentPort.on('message', message => {
+    if (message.type === 'invalidate') {
+        service.invalidate(message.uri ? { toString: () => message.uri } : undefined);
+        return;
+    }
+
+    if (message.type === 'configure') {
+        service.configure(message.folders);
+        return;
+    }
+
+    if (message.type === 'registerLanguage') {
+        try {
+            languageModules.set(message.modulePath, languageRegistry.load(message.modulePath));
+        } catch (error) {
+            console.error(`Failed to load language provider ${message.modulePath}:`, error);
+        }
+        return;
+    }
+
+    if (message.type === 'unregisterLanguage') {
+        const registration = languageModules.get(message.modulePath);
+        if (registration) {
+            registration.dispose();
+            languageModules.delete(message.modulePath);
+        }
+        return;
+    }
+
+    const { id, method, payload } = message;
+    try {
+        if (!METHODS.has(method)) {
+            throw new Error(`Unknown analysis method '${method}'`);
+        }
+
+        const result = service[method](toDocument(payload.document), ...(payload.args || []));
+        parentPort.postMessage({ id, result });
+    } catch (error) {
+        parentPort.postMessage({ id, error: { message: error.message, stack: error.stack } });
+    }
+});
@@ -0,0 +1,1103 @@
+const path = require('path');
+const { walk, isFunctionNode } = require('./syntax/syntaxTree');
+const { collectFolders } = require('./moduleGraph');
+const { markCycles } = require('./graphCycles');
+
+// `fn.call()` and `fn.apply()` call the function they are read from
+const INVOKING_MEMBERS = new Set(['call', 'apply']);
+
+// Wrappers that leave the value of an expression unchanged
+const TRANSPARENT_NODES = new Set(['ParenthesizedExpression', 'TSNonNullExpression', 'AwaitExpression']);
+
+// Expressions whose value is never an object defined in the workspace
+const BUILTIN_VALUE_NODES = new Set([
+    'Literal', 'TemplateLiteral', 'ArrayExpression', 'ArrowFunctionExpression', 'FunctionExpression',
+    'BinaryExpression', 'UnaryExpression', 'UpdateExpression'
+]);
+
+/**
+ * Call Graph for WhiskerCode
+ * Resolves every call site of the workspace modules to the function it calls:
+ * local and imported functions (through re-exports and namespace imports), class
+ * and object-literal methods reached through `this`, `super`, typed properties,
+ * parameters and variables, and constructors called with `new`. A method call on
+ * a receiver of unknown type falls back to the only method with that name, and
+ * such calls are marked approximate.
+ */
+class CallGraph {
+    /**
+     * @param {Map<string, object>} files - Modules from WorkspaceIndex.load()
+     * @param {object} options - Graph options
+     * @param {Function} options.collectFunctions - Returns the named functions of a syntax tree (Parser.getTreeFunctions)
+     * @param {{resolveModule: Function}} [options.index] - Resolves import specifiers; without it imports stay unresolved
+     * @param {Function} [options.relativePath] - Turns an absolute path into the path shown for it
+     */
+    constructor(files, { collectFunctions, index = null, relativePath = file => file }) {
+        this.files = files;
+        this.index = index;
+        this.relativePath = relativePath;
+
+        /** @type {Map<string, object>} Functions by id (`path#qualifiedName`) */
+        this.functions = new Map();
+        /** @type {Array<object>} Resolved call sites: caller and callee ids, file, 1-based line, column, approximate */
+        this.calls = [];
+
+        this._modules = new Map();
+        this._classesByName = new Map();
+        this._methodsByName = new Map();
+        this._functionClasses = new Map();
+
+        for (const info of files.values()) {
+            this._indexModule(info, collectFunctions(info.tree));
+        }
+        for (const module of this._modules.values()) {
+            this._attachAssignedMembers(module);
+        }
+        for (const module of this._modules.values()) {
+            this._collectCalls(module);
+        }
+    }
+
+    /**
+     * Find the innermost function containing an offset
+     * @param {string} file - Absolute path of the module
+     * @param {number} offset - Character offset
+     * @returns {object|null} Function entry
+     */
+    functionAt(file, offset) {
+        const module = this._modules.get(file);
+        if (!module) return null;
+
+        let innermost = null;
+        for (const entry of module.functions) {
+            if (entry.start <= offset && offset <= entry.end &&
+                (!innermost || entry.end - entry.start < innermost.end - innermost.start)) {
+                innermost = entry;
+            }
+        }
+        return innermost;
+    }
+
+    /**
+     * List the functions that call a function, with their call sites
+     * @param {string} id - Function id
+     * @returns {Array<{function: object, sites: Array<object>}>} Callers in order of their first call
+     */
+    callersOf(id) {
+        return this._group(this.calls.filter(call => call.callee === id), 'caller');
+    }
+
+    /**
+     * List the functions a function calls, with the call sites
+     * @param {string} id - Function id
+     * @returns {Array<{function: object, sites: Array<object>}>} Callees in order of their first call
+     */
+    calleesOf(id) {
+        return this._group(this.calls.filter(call => call.caller === id), 'callee');
+    }
+
+    /**
+     * Build graph data for the dependency graph view: the callers or callees of a
+     * function, following calls up to a number of steps away
+     * @param {string} focusId - Id of the function the graph is about
+     * @param {string} direction - 'callers' or 'callees'
+     * @param {number} [depth=3] - How many calls away to follow
+     * @returns {object} Nodes, links, folders and the cycles among them, with the focus function and direction
+     */
+    toGraphData(focusId, direction, depth = 3) {
+        const [from, to] = direction === 'callers' ? ['callee', 'caller'] : ['caller', 'callee'];
+        const included = new Set([focusId]);
+        let frontier = [focusId];
+
+        for (let step = 0; step < depth && frontier.length > 0; step++) {
+            const next = [];
+            for (const call of this.calls) {
+                if (frontier.includes(call[from]) && !included.has(call[to])) {
+                    included.add(call[to]);
+                    next.push(call[to]);
+                }
+            }
+            frontier = next;
+        }
+
+        // One link per caller and callee; it is approximate only if every call behind it is
+        const links = new Map();
+        for (const call of this.calls) {
+            if (call.caller === call.callee || !included.has(call.caller) || !included.has(call.callee)) continue;
+
+            const key = `${call.caller}\u0000${call.callee}`;
+            const link = links.get(key);
+            if (link) {
+                link.count++;
+                link.approximate = link.approximate && call.approximate;
+            } else {
+                links.set(key, { source: call.caller, target: call.callee, count: 1, approximate: call.approximate });
+            }
+        }
+
+        const nodes = Array.from(included, id => {
+            const entry = this.functions.get(id);
+            const slash = entry.path.lastIndexOf('/');
+            return {
+                id,
+                label: entry.qualifiedName,
+                file: entry.file,
+                path: entry.path,
+                line: entry.line,
+                folder: slash === -1 ? '.' : entry.path.slice(0, slash),
+                calls: this.calleesOf(id).length,
+                calledBy: this.callersOf(id).length,
+                focus: id === focusId
+            };
+        });
+
+        const graph = {
+            focus: focusId,
+            direction,
+            nodes,
+            links: Array.from(links.values()),
+            folders: collectFolders(nodes)
+        };
+        graph.cycles = markCycles(graph);
+        return graph;
+    }
+
+    /**
+     * Group call sites by the function on one of their ends
+     * @private
+     */
+    _group(calls, end) {
+        const groups = new Map();
+        for (const call of calls) {
+            if (!groups.has(call[end])) {
+                groups.set(call[end], { function: this.functions.get(call[end]), sites: [] });
+            }
+            groups.get(call[end]).sites.push(call);
+        }
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Record the functions, classes and bindings of a module
+     * @private
+     */
+    _indexModule(info, functions) {
+        const module = {
+            info,
+            path: this.relativePath(info.file).split(path.sep).join('/'),
+            parents: new Map(),
+            references: new Map(),
+            functionsByNode: new Map(),
+            classesByNode: new Map(),
+            objectsByNode: new Map(),
+            bindings: new Map(),
+            values: new Map(),
+            functions: [],
+            assignedMembers: [],
+            topLevel: null
+        };
+        this._modules.set(info.file, module);
+
+        for (const reference of info.analysis.references) {
+            module.references.set(reference.identifier, reference);
+        }
+
+        walk(info.tree, {
+            enter: (node, parent) => {
+                if (parent) module.parents.set(node, parent);
+                if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+                    this._addClass(module, node, parent);
+                }
+            }
+        });
+
+        for (const func of functions) {
+            this._addFunction(module, func);
+        }
+    }
+
+    /**
+     * Record a class and the binding that names it
+     * @private
+     */
+    _addClass(module, node, parent) {
+        const declarator = parent && parent.type === 'VariableDeclarator' && parent.init === node && parent.id.type === 'Identifier'
+            ? parent.id
+            : null;
+        const id = node.id || declarator;
+        const cls = {
+            type: 'class',
+            name: id ? id.name : 'default',
+            module,
+            node,
+            methods: new Map(),
+            statics: new Map(),
+            constructorEntry: null,
+            properties: null,
+            superClass: undefined
+        };
+        module.classesByNode.set(node, cls);
+
+        for (const identifier of [node.id, declarator]) {
+            const variable = this._variableOf(module, identifier);
+            if (variable) module.bindings.set(variable, cls);
+        }
+
+        if (!this._classesByName.has(cls.name)) {
+            this._classesByName.set(cls.name, []);
+        }
+        this._classesByName.get(cls.name).push(cls);
+    }
+
+    /**
+     * Record a named function and attach it to the class, object or binding it belongs to
+     * @private
+     */
+    _addFunction(module, func) {
+        const { line, column } = module.info.tree.lineIndex.positionAt(func.start);
+        let id = `${module.path}#${func.qualifiedName}`;
+        if (this.functions.has(id)) {
+            id = `${id}@${line + 1}`;
+        }
+
+        const entry = {
+            type: 'function',
+            id,
+            name: func.name,
+            qualifiedName: func.qualifiedName,
+            className: func.className,
+            kind: func.kind,
+            isStatic: !!func.isStatic,
+            file: module.info.file,
+            path: module.path,
+            line: line + 1,
+            column,
+            node: func.node,
+            start: func.start,
+            end: func.node.end,
+            declarationStart: func.declarationStart
+        };
+        this.functions.set(id, entry);
+        module.functionsByNode.set(func.node, entry);
+        module.functions.push(entry);
+
+        const parent = module.parents.get(func.node);
+        if (!parent) return;
+
+        if ((parent.type === 'MethodDefinition' || parent.type === 'PropertyDefinition') && parent.value === func.node) {
+            const cls = module.classesByNode.get(module.parents.get(module.parents.get(parent)));
+            if (!cls) return;
+
+            if (func.kind === 'constructor') {
+                cls.constructorEntry = entry;
+            } else {
+                this._addMember(parent.static ? cls.statics : cls.methods, entry, !parent.static);
+            }
+        } else if (parent.type === 'Property' && parent.value === func.node) {
+            const object = module.parents.get(parent);
+            if (object && object.type === 'ObjectExpression') {
+                this._addMember(this._objectFor(module, object).members, entry, true);
+            }
+        } else if (parent.type === 'VariableDeclarator' && parent.init === func.node) {
+            const variable = this._variableOf(module, parent.id);
+            if (variable) module.bindings.set(variable, entry);
+        } else if (parent.type === 'AssignmentExpression' && parent.right === func.node && parent.left.type === 'MemberExpression') {
+            // Attached once every module is indexed, since the owner may be imported
+            module.assignedMembers.push({ target: parent.left, entry });
+        }
+
+        if (func.node.type === 'FunctionDeclaration' && func.node.id) {
+            const variable = this._variableOf(module, func.node.id);
+            if (variable) module.bindings.set(variable, entry);
+        }
+    }
+
+    /**
+     * Add a method to a member table, keeping the first definition of a name
+     * @private
+     */
+    _addMember(members, entry, callableByName) {
+        if (!members.has(entry.name)) {
+            members.set(entry.name, entry);
+        }
+        if (callableByName && entry.kind !== 'getter' && entry.kind !== 'setter') {
+            if (!this._methodsByName.has(entry.name)) {
+                this._methodsByName.set(entry.name, []);
+            }
+            this._methodsByName.get(entry.name).push(entry);
+        }
+    }
+
+    /**
+     * Attach functions assigned to members: `Foo.prototype.bar = function`,
+     * `Foo.bar = function`, `obj.bar = function` and `this.bar = function` in a class
+     * @private
+     */
+    _attachAssignedMembers(module) {
+        for (const { target, entry } of module.assignedMembers) {
+            if (target.computed || target.property.type !== 'Identifier') continue;
+            const object = target.object;
+
+            if (object.type === 'MemberExpression' && !object.computed && object.property.name === 'prototype') {
+                const cls = this._classValue(this._valueOf(module, object.object));
+                if (cls) {
+                    this._addMember(cls.methods, entry, true);
+                    entry.ownerClass = cls;
+                }
+                continue;
+            }
+
+            if (object.type === 'ThisExpression') {
+                const context = this._thisContext(module, target);
+                if (context && context.cls) {
+                    this._addMember(context.isStatic ? context.cls.statics : context.cls.methods, entry, !context.isStatic);
+                }
+                continue;
+            }
+
+            const owner = this._valueOf(module, object);
+            if (!owner || owner.instance) continue;
+            if (owner.entity.type === 'object') {
+                this._addMember(owner.entity.members, entry, true);
+            } else {
+                const cls = this._classValue(owner);
+                if (cls) this._addMember(cls.statics, entry, false);
+            }
+        }
+    }
+
+    /**
+     * Walk a module, resolving each call to the function it reaches
+     * @private
+     */
+    _collectCalls(module) {
+        const stack = [];
+
+        walk(module.info.tree, {
+            enter: node => {
+                if (module.functionsByNode.has(node)) {
+                    stack.push(module.functionsByNode.get(node));
+                }
+                if (node.type !== 'CallExpression' && node.type !== 'NewExpression') return;
+
+                const target = this._resolveCall(module, node);
+                if (!target) return;
+
+                const caller = stack.length > 0 ? stack[stack.length - 1] : this._topLevel(module);
+                const { line, column } = module.info.tree.lineIndex.positionAt(node.start);
+                this.calls.push({
+                    caller: caller.id,
+                    callee: target.entry.id,
+                    file: module.info.file,
+                    line: line + 1,
+                    column,
+                    approximate: target.approximate
+                });
+            },
+            leave: node => {
+                if (stack.length > 0 && stack[stack.length - 1].node === node) {
+                    stack.pop();
+                }
+            }
+        });
+    }
+
+    /**
+     * Get the entry standing for the top-level code of a module
+     * @private
+     */
+    _topLevel(module) {
+        if (!module.topLevel) {
+            module.topLevel = {
+                type: 'function',
+                id: `${module.path}#(top level)`,
+                name: '(top level)',
+                qualifiedName: '(top level)',
+                className: null,
+                kind: 'module',
+                isStatic: false,
+                file: module.info.file,
+                path: module.path,
+                line: 1,
+                column: 0,
+                node: module.info.tree,
+                start: 0,
+                end: 0
+            };
+            this.functions.set(module.topLevel.id, module.topLevel);
+        }
+        return module.topLevel;
+    }
+
+    /**
+     * Find the function a call or `new` expression runs
+     * @private
+     * @returns {{entry: object, approximate: boolean}|null}
+     */
+    _resolveCall(module, node) {
+        const callee = this._unwrap(node.callee);
+
+        if (callee.type === 'Super') {
+            const context = this._thisContext(module, callee);
+            const superClass = context && context.cls ? this._superclassOf(context.cls) : null;
+            const entry = superClass ? this._constructorOf(superClass) : null;
+            return entry ? { entry, approximate: false } : null;
+        }
+
+        if (node.type === 'NewExpression') {
+            const value = this._valueOf(module, callee);
+            if (!value || value.instance) return null;
+            if (value.entity.type === 'function') return { entry: value.entity, approximate: false };
+
+            const entry = this._constructorOf(this._classValue(value));
+            return entry ? { entry, approximate: false } : null;
+        }
+
+        if (callee.type !== 'MemberExpression') {
+            const value = this._valueOf(module, callee);
+            return value && !value.instance && value.entity.type === 'function'
+                ? { entry: value.entity, approximate: false }
+                : null;
+        }
+
+        if (callee.computed || callee.property.type !== 'Identifier') return null;
+        const name = callee.property.name;
+        const owner = this._valueOf(module, callee.object);
+
+        if (owner) {
+            if (INVOKING_MEMBERS.has(name) && !owner.instance && owner.entity.type === 'function') {
+                return { entry: owner.entity, approximate: false };
+            }
+            const member = this._memberOf(owner, name);
+            return member && !member.instance && member.entity.type === 'function'
+                ? { entry: member.entity, approximate: false }
+                : null;
+        }
+
+        // Unknown receiver: only a method name defined once in the workspace is a safe guess,
+        // and never for builtins (`console.log`, `new Map().get`) or package imports
+        if (this._isBuiltinValue(module, callee.object, new Set())) return null;
+        const candidates = this._methodsByName.get(name) || [];
+        return candidates.length === 1 ? { entry: candidates[0], approximate: true } : null;
+    }
+
+    /**
+     * Check whether an expression of unknown type certainly holds a value from
+     * outside the workspace: literals, globals, package imports and what they create
+     * @private
+     */
+    _isBuiltinValue(module, node, seen) {
+        node = this._unwrap(node);
+        if (BUILTIN_VALUE_NODES.has(node.type)) return true;
+
+        switch (node.type) {
+            case 'NewExpression':
+            case 'CallExpression':
+                return this._isBuiltinValue(module, node.callee, seen);
+
+            case 'MemberExpression': {
+                const object = this._unwrap(node.object);
+                if (object.type !== 'ThisExpression') {
+                    return this._isBuiltinValue(module, object, seen);
+                }
+
+                // this.items = [] and the like
+                const context = this._thisContext(module, object);
+                if (!context || !context.cls || node.computed || node.property.type !== 'Identifier') return false;
+                const property = this._propertiesOf(context.cls).get(node.property.name);
+                if (!property || seen.has(property)) return false;
+                seen.add(property);
+                return property.candidates.every(candidate => candidate.type === 'TypeAnnotation'
+                    ? !this._typeValue(module, candidate.text)
+                    : this._isBuiltinValue(module, candidate, seen));
+            }
+
+            case 'Identifier': {
+                const variable = this._variableOf(module, node);
+                if (!variable || variable.kind === 'global') return true;
+                if (seen.has(variable)) return false;
+                seen.add(variable);
+
+                const record = module.info.imports.find(entry => entry.local && variable.identifiers.includes(entry.local));
+                if (record) {
+                    return !(this.index && this.index.resolveModule(module.info.file, record.source, this.files));
+                }
+
+                // Declared with a type that is not a workspace class (`@param {vscode.TextDocument} document`)
+                const declaredType = this._declaredType(module, variable);
+                if (declaredType) {
+                    return !this._typeValue(module, declaredType);
+                }
+
+                const declarator = module.parents.get(variable.identifiers[0]);
+                return !!declarator && declarator.type === 'VariableDeclarator' && !!declarator.init &&
+                    this._isBuiltinValue(module, declarator.init, seen);
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Work out what an expression evaluates to, as far as calls are concerned: a
+     * function, class, object literal or module namespace (`instance: false`), or
+     * an instance of a class (`instance: true`)
+     * @private
+     * @returns {{entity: object, instance: boolean}|null}
+     */
+    _valueOf(module, node, seen = new Set()) {
+        if (!node) return null;
+        node = this._unwrap(node);
+
+        switch (node.type) {
+            case 'Identifier':
+                return this._valueOfIdentifier(module, node, seen);
+
+            case 'ThisExpression': {
+                const context = this._thisContext(module, node);
+                if (!context) return null;
+                if (context.object) return { entity: context.object, instance: false };
+                return { entity: context.cls, instance: !context.isStatic };
+            }
+
+            case 'Super':
+                return this._superValue(module, node);
+
+            case 'NewExpression': {
+                const cls = this._classValue(this._valueOf(module, node.callee, seen));
+                return cls ? { entity: cls, instance: true } : null;
+            }
+
+            case 'FunctionDeclaration':
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression': {
+                const entry = module.functionsByNode.get(node);
+                return entry ? { entity: entry, instance: false } : null;
+            }
+
+            case 'ClassExpression':
+            case 'ClassDeclaration': {
+                const cls = module.classesByNode.get(node);
+                return cls ? { entity: cls, instance: false } : null;
+            }
+
+            case 'ObjectExpression':
+                return { entity: this._objectFor(module, node), instance: false };
+
+            case 'MemberExpression': {
+                if (node.computed || node.property.type !== 'Identifier') return null;
+                const owner = this._valueOf(module, node.object, seen);
+                return owner ? this._memberOf(owner, node.property.name, seen) : null;
+            }
+
+            case 'CallExpression': {
+                // require('./x') used inline
+                const source = this._requireSource(node);
+                return source ? this._moduleValue(module, { source, imported: '*', kind: 'require' }, seen) : null;
+            }
+
+            case 'TSAsExpression':
+            case 'TSTypeAssertion':
+                return this._typeValue(module, node.typeAnnotation && node.typeAnnotation.text);
+
+            case 'LogicalExpression':
+                return this._valueOf(module, node.left, seen) || this._valueOf(module, node.right, seen);
+
+            case 'ConditionalExpression':
+                return this._valueOf(module, node.consequent, seen) || this._valueOf(module, node.alternate, seen);
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Work out what a name refers to, following its binding
+     * @private
+     */
+    _valueOfIdentifier(module, identifier, seen) {
+        // A function or class expression's own name
+        const parent = module.parents.get(identifier);
+        if (parent && parent.id === identifier && (isFunctionNode(parent) || parent.type === 'ClassExpression' || parent.type === 'ClassDeclaration')) {
+            return this._valueOf(module, parent, seen);
+        }
+
+        const variable = this._variableOf(module, identifier);
+        if (!variable || variable.kind === 'global') return null;
+        if (module.bindings.has(variable)) {
+            return { entity: module.bindings.get(variable), instance: false };
+        }
+        if (module.values.has(variable)) {
+            return module.values.get(variable);
+        }
+        if (seen.has(variable)) return null;
+        seen.add(variable);
+
+        const value = this._valueOfVariable(module, variable, seen);
+        module.values.set(variable, value);
+        return value;
+    }
+
+    /**
+     * Work out the value of a variable from its import, initializer, type annotation,
+     * default value or JSDoc type
+     * @private
+     */
+    _valueOfVariable(module, variable, seen) {
+        const record = module.info.imports.find(entry => entry.local && variable.identifiers.includes(entry.local));
+        if (record) {
+            return this._moduleValue(module, record, seen);
+        }
+
+        const identifier = variable.identifiers[0];
+        if (!identifier) return null;
+        const typed = this._typeValue(module, this._declaredType(module, variable));
+        if (typed) return typed;
+
+        const parent = module.parents.get(identifier);
+        if (parent && parent.type === 'VariableDeclarator' && parent.id === identifier) {
+            return parent.init
+                ? this._valueOf(module, parent.init, seen)
+                : this._assignedValue(module, variable, seen);
+        }
+        if (variable.kind !== 'param') return null;
+
+        const defaultValue = parent && parent.type === 'AssignmentPattern' && parent.left === identifier ? parent.right : null;
+        return defaultValue ? this._valueOf(module, defaultValue, seen) : null;
+    }
+
+    /**
+     * Work out the value of a variable declared without one from what is assigned to it (`let x; x = new X()`)
+     * @private
+     */
+    _assignedValue(module, variable, seen) {
+        for (const reference of variable.references) {
+            const parent = module.parents.get(reference.identifier);
+            if (reference.access === 'write' && parent && parent.type === 'AssignmentExpression' && parent.left === reference.identifier) {
+                const value = this._valueOf(module, parent.right, seen);
+                if (value) return value;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the type a variable is declared with: its annotation, or the JSDoc type of a parameter
+     * @private
+     */
+    _declaredType(module, variable) {
+        const identifier = variable.identifiers[0];
+        if (!identifier) return null;
+        if (identifier.typeAnnotation) return identifier.typeAnnotation.text;
+        if (variable.kind !== 'param') return null;
+
+        let parent = module.parents.get(identifier);
+        if (parent && parent.type === 'AssignmentPattern' && parent.left === identifier) {
+            parent = module.parents.get(parent);
+        }
+        return parent && isFunctionNode(parent) ? this._jsDocParamType(module, parent, identifier.name) : null;
+    }
+
+    /**
+     * Resolve an import or require() record to what the imported module exports
+     * @private
+     */
+    _moduleValue(module, record, seen) {
+        const file = this.index ? this.index.resolveModule(module.info.file, record.source, this.files) : null;
+        if (!file || !this._modules.has(file) || record.imported === null) return null;
+
+        if (record.imported !== '*') {
+            return this._exportValue(file, record.imported, seen);
+        }
+        // Whole-module require() of a `module.exports = value` module is that value
+        if (record.kind === 'require' && this._modules.get(file).info.exports.some(entry => entry.exported === 'default' && entry.commonjs)) {
+            return this._exportValue(file, 'default', seen);
+        }
+        return { entity: { type: 'namespace', file }, instance: false };
+    }
+
+    /**
+     * Find what a module exports under a name, following re-exports
+     * @private
+     */
+    _exportValue(file, name, seen) {
+        const key = `${file}\u0000${name}`;
+        const module = this._modules.get(file);
+        if (!module || seen.has(key)) return null;
+        seen.add(key);
+
+        for (const entry of module.info.exports) {
+            if (entry.exported !== name) continue;
+
+            if (entry.source) {
+                const target = this.index ? this.index.resolveModule(file, entry.source, this.files) : null;
+                if (!target) return null;
+                return entry.imported === '*'
+                    ? { entity: { type: 'namespace', file: target }, instance: false }
+                    : this._exportValue(target, entry.imported, seen);
+            }
+            return this._valueOf(module, entry.local || this._exportedExpression(entry.node), seen);
+        }
+
+        // export * from './x' passes on every named export of ./x
+        if (name !== 'default') {
+            for (const entry of module.info.exports) {
+                if (entry.exported !== '*' || !entry.source) continue;
+                const target = this.index ? this.index.resolveModule(file, entry.source, this.files) : null;
+                const value = target ? this._exportValue(target, name, seen) : null;
+                if (value) return value;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the exported expression of an export entry without a local binding
+     * @private
+     */
+    _exportedExpression(node) {
+        switch (node.type) {
+            case 'AssignmentExpression': return node.right;
+            case 'ExportDefaultDeclaration': return node.declaration;
+            case 'Property': return node.value;
+            case 'TSExportAssignment': return node.expression;
+            default: return null;
+        }
+    }
+
+    /**
+     * Look up a member of a value: methods and properties of instances, static
+     * methods of classes, object-literal members and namespace exports
+     * @private
+     */
+    _memberOf(owner, name, seen = new Set()) {
+        const entity = owner.entity;
+
+        if (entity.type === 'namespace') {
+            return this._exportValue(entity.file, name, seen);
+        }
+        if (entity.type === 'object') {
+            return this._objectMember(entity, name, seen);
+        }
+
+        const cls = this._classOf(entity);
+        if (!cls) return null;
+
+        for (let current = cls, depth = 0; current && depth < 20; current = this._superclassOf(current), depth++) {
+            const members = owner.instance ? current.methods : current.statics;
+            if (members.has(name)) {
+                return { entity: members.get(name), instance: false };
+            }
+            if (owner.instance) {
+                const property = this._propertyValue(current, name, seen);
+                if (property) return property;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the class a value is, unless it is an instance
+     * @private
+     */
+    _classValue(value) {
+        return value && !value.instance ? this._classOf(value.entity) : null;
+    }
+
+    /**
+     * Get the class an entity stands for: a class, or a function used as a
+     * constructor (which gets a class record for its prototype methods)
+     * @private
+     */
+    _classOf(entity) {
+        if (entity.type === 'class') return entity;
+        if (entity.type !== 'function') return null;
+
+        let cls = this._functionClasses.get(entity);
+        if (!cls) {
+            cls = {
+                type: 'class',
+                name: entity.name,
+                module: this._modules.get(entity.file),
+                node: null,
+                methods: new Map(),
+                statics: new Map(),
+                constructorEntry: entity,
+                properties: null,
+                superClass: null
+            };
+            this._functionClasses.set(entity, cls);
+        }
+        return cls;
+    }
+
+    /**
+     * Get the constructor a `new` expression runs, inherited if the class has none
+     * @private
+     */
+    _constructorOf(cls) {
+        for (let current = cls, depth = 0; current && depth < 20; current = this._superclassOf(current), depth++) {
+            if (current.constructorEntry) return current.constructorEntry;
+        }
+        return null;
+    }
+
+    /**
+     * Resolve the class a class extends
+     * @private
+     */
+    _superclassOf(cls) {
+        if (cls.superClass === undefined) {
+            cls.superClass = null;
+            cls.superClass = cls.node && cls.node.superClass
+                ? this._classValue(this._valueOf(cls.module, cls.node.superClass))
+                : null;
+        }
+        return cls.superClass;
+    }
+
+    /**
+     * Get the value of `super` for the class around a node
+     * @private
+     */
+    _superValue(module, node) {
+        const context = this._thisContext(module, node);
+        const superClass = context && context.cls ? this._superclassOf(context.cls) : null;
+        return superClass ? { entity: superClass, instance: !context.isStatic } : null;
+    }
+
+    /**
+     * Work out the value of an instance property: class field types and initializers,
+     * `this.x = ...` assignments in the class methods, and TypeScript constructor
+     * parameter properties
+     * @private
+     */
+    _propertyValue(cls, name, seen) {
+        const property = this._propertiesOf(cls).get(name);
+        if (!property || seen.has(property)) return null;
+        seen.add(property);
+
+        for (const candidate of property.candidates) {
+            const value = candidate.type === 'TypeAnnotation'
+                ? this._typeValue(cls.module, candidate.text)
+                : this._valueOf(cls.module, candidate, seen);
+            if (value) return value;
+        }
+        return null;
+    }
+
+    /**
+     * Get the expressions and types each instance property of a class is given
+     * @private
+     */
+    _propertiesOf(cls) {
+        if (cls.properties) return cls.properties;
+
+        const properties = new Map();
+        cls.properties = properties;
+        const add = (name, candidate) => {
+            if (!candidate) return;
+            if (!properties.has(name)) {
+                properties.set(name, { candidates: [] });
+            }
+            properties.get(name).candidates.push(candidate);
+        };
+
+        const module = cls.module;
+        const root = cls.node || (cls.constructorEntry && cls.constructorEntry.node);
+        if (!root) return properties;
+
+        if (cls.node) {
+            for (const member of cls.node.body.body) {
+                if (member.type === 'PropertyDefinition' && !member.static && !member.computed && member.key.type === 'Identifier') {
+                    add(member.key.name, member.typeAnnotation);
+                    add(member.key.name, member.value);
+                }
+            }
+        }
+
+        walk(root, {
+            enter: node => {
+                if (node.type === 'AssignmentExpression' && node.operator === '=' &&
+                    node.left.type === 'MemberExpression' && !node.left.computed &&
+                    node.left.object.type === 'ThisExpression' && node.left.property.type === 'Identifier') {
+                    const context = this._thisContext(module, node.left.object);
+                    if (context && context.cls === cls && !context.isStatic) {
+                        add(node.left.property.name, node.right);
+                    }
+                }
+            }
+        });
+
+        // constructor(private parser: Parser) declares this.parser
+        if (cls.constructorEntry && cls.node) {
+            for (const param of cls.constructorEntry.node.params) {
+                const target = param.type === 'AssignmentPattern' ? param.left : param;
+                if (target.type === 'Identifier' && target.typeAnnotation && !properties.has(target.name)) {
+                    add(target.name, target.typeAnnotation);
+                }
+            }
+        }
+
+        return properties;
+    }
+
+    /**
+     * Get the members of an object literal, resolving property values on demand
+     * @private
+     */
+    _objectMember(object, name, seen) {
+        if (object.members.has(name)) {
+            return { entity: object.members.get(name), instance: false };
+        }
+
+        for (const property of object.node.properties) {
+            if (property.type === 'Property' && !property.computed && property.key.type === 'Identifier' && property.key.name === name) {
+                return this._valueOf(object.module, property.value, seen);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the record of an object literal
+     * @private
+     */
+    _objectFor(module, node) {
+        let object = module.objectsByNode.get(node);
+        if (!object) {
+            object = { type: 'object', module, node, members: new Map() };
+            module.objectsByNode.set(node, object);
+
+            // const helpers = { ... }
+            const parent = module.parents.get(node);
+            if (parent && parent.type === 'VariableDeclarator' && parent.init === node) {
+                const variable = this._variableOf(module, parent.id);
+                if (variable) module.bindings.set(variable, object);
+            }
+        }
+        return object;
+    }
+
+    /**
+     * Find what `this` refers to at a node: the class of a method (and whether the
+     * method is static), or the object literal of an object method
+     * @private
+     * @returns {{cls?: object, isStatic?: boolean, object?: object}|null}
+     */
+    _thisContext(module, node) {
+        for (let current = module.parents.get(node); current; current = module.parents.get(current)) {
+            const parent = module.parents.get(current);
+
+            // Class field initializers and static blocks see the class
+            if (current.type === 'PropertyDefinition' || current.type === 'StaticBlock') {
+                const cls = module.classesByNode.get(module.parents.get(parent));
+                return cls ? { cls, isStatic: current.type === 'StaticBlock' || current.static } : null;
+            }
+            if (!isFunctionNode(current) || current.type === 'ArrowFunctionExpression') continue;
+
+            if (parent && (parent.type === 'MethodDefinition' || parent.type === 'PropertyDefinition') && parent.value === current) {
+                const cls = module.classesByNode.get(module.parents.get(module.parents.get(parent)));
+                return cls ? { cls, isStatic: parent.static } : null;
+            }
+            if (parent && parent.type === 'Property' && parent.value === current) {
+                const object = module.parents.get(parent);
+                return object && object.type === 'ObjectExpression' ? { object: this._objectFor(module, object) } : null;
+            }
+
+            const entry = module.functionsByNode.get(current);
+            if (entry && entry.ownerClass) {
+                return { cls: entry.ownerClass, isStatic: false };
+            }
+            // A constructor function with prototype methods
+            if (entry && this._functionClasses.has(entry)) {
+                return { cls: this._functionClasses.get(entry), isStatic: false };
+            }
+            return null;
+        }
+        return null;
+    }
+
+    /**
+     * Turn a type name (`Parser`, `Parser | null`, `Map<string, T>`) into an instance of a workspace class
+     * @private
+     */
+    _typeValue(module, text) {
+        if (!text) return null;
+        const match = /^\s*([A-Za-z_$][\w$]*)\s*(?:<[\s\S]*>)?\s*(?:\|\s*(?:null|undefined)\s*)*\??$/.exec(text);
+        if (!match) return null;
+
+        const name = match[1];
+        const variable = module.info.analysis.globalScope.variables.get(name);
+        const identifier = variable ? variable.identifiers[0] : null;
+        const cls = identifier ? this._classValue(this._valueOfIdentifier(module, identifier, new Set())) : null;
+        if (cls) return { entity: cls, instance: true };
+
+        // JSDoc often names classes the module never imports
+        const classes = this._classesByName.get(name) || [];
+        return classes.length === 1 ? { entity: classes[0], instance: true } : null;
+    }
+
+    /**
+     * Read the type of a parameter from the JSDoc comment above its function
+     * @private
+     */
+    _jsDocParamType(module, func, name) {
+        const entry = module.functionsByNode.get(func);
+        const parent = module.parents.get(func);
+        const start = entry ? entry.declarationStart : parent && parent.type === 'MethodDefinition' ? parent.start : func.start;
+
+        const tree = module.info.tree;
+        let preceding = null;
+        for (const comment of tree.comments) {
+            if (comment.end > start) break;
+            preceding = comment;
+        }
+        if (!preceding || preceding.type !== 'Block' || !preceding.value.startsWith('*') ||
+            tree.lineIndex.text.substring(preceding.end, start).trim() !== '') {
+            return null;
+        }
+
+        const escaped = name.replace(/[$]/g, '\\$&');
+        const match = new RegExp(`@param\\s+\\{([^}]+)\\}\\s+\\[?${escaped}\\b`).exec(preceding.value);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Find the variable an identifier declares or refers to
+     * @private
+     */
+    _variableOf(module, identifier) {
+        if (!identifier || identifier.type !== 'Identifier') return null;
+        const reference = module.references.get(identifier);
+        return reference ? reference.variable : null;
+    }
+
+    /**
+     * Get the specifier of a `require('x')` call
+     * @private
+     */
+    _requireSource(node) {
+        if (node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+            node.arguments.length === 1 && node.arguments[0].type === 'Literal' && typeof node.arguments[0].value === 'string') {
+            return node.arguments[0].value;
+        }
+        return null;
+    }
+
+    /**
+     * Skip wrappers that do not change a value: parentheses, `x!` and `await`
+     * @private
+     */
+    _unwrap(node) {
+        while (TRANSPARENT_NODES.has(node.type)) {
+            node = node.expression || node.argument;
+        }
+        return node;
+    }
+}
+
+module.exports = {
+    CallGraph
+};
@@ -0,0 +1,1087 @@
+const path = require('path');
+const { walk, isFunctionNode, isLoopNode } = require('./syntax/syntaxTree');
+const { Suppressions } = require('./suppressions');
+
+// Rule id that suppression comments use for duplicates
+const DUPLICATE_RULE = 'duplicated_code';
+
+// Fewest tokens a duplicate needs to be reported
+const MIN_TOKENS = 50;
+
+// Matches grow from windows of this many equal tokens
+const SEED_TOKENS = 12;
+
+// Most tokens that may differ between two matches joined into a near-miss clone
+const MAX_GAP = 10;
+
+// Share of tokens a near-miss clone needs in common with its copy
+const MIN_SIMILARITY = 0.8;
+
+// Windows found more often than this are boilerplate rather than copies
+const MAX_OCCURRENCES = 40;
+
+// Multiplier of the rolling window hash
+const HASH_BASE = 0x01000193;
+
+// Token types abstracted away, so renamed copies still match
+const NAME_TOKENS = new Set(['identifier', 'privateName']);
+const LITERAL_TOKENS = new Set(['string', 'number', 'regex', 'jsxText']);
+
+// Nodes holding a list of statements that a duplicate can be snapped to
+const STATEMENT_LISTS = {
+    Program: 'body',
+    BlockStatement: 'body',
+    StaticBlock: 'body',
+    TSModuleBlock: 'body',
+    SwitchCase: 'consequent'
+};
+
+/**
+ * Normalize a token so that names and literals compare equal
+ * @param {{type: string, value: string}} token - Token from the tokenizer or LanguageProvider.lexTokens()
+ * @returns {string} Normalized form of the token
+ */
+function normalizeToken(token) {
+    if (NAME_TOKENS.has(token.type)) return '$name';
+    if (LITERAL_TOKENS.has(token.type)) return '$literal';
+    if (token.type === 'template') {
+        // Keep the shape of the template, not its text
+        return '$template' + (token.head ? '`' : '}') + (token.tail ? '`' : '${');
+    }
+    return token.value;
+}
+
+/**
+ * Find duplicated token sequences in and across token streams. Copies that only
+ * differ in names and literals match in full; matches separated by a few
+ * different tokens are joined into near-miss clones.
+ * @param {Array<Array<object>>} streams - Tokens of each file, in source order
+ * @param {object} [options] - Detection settings
+ * @param {number} [options.minTokens] - Fewest tokens a clone needs
+ * @param {number} [options.minSimilarity] - Share of tokens a near-miss clone needs in common
+ * @returns {Array<object>} Clones with `a` and `b` sides ({stream, from, to} token indexes,
+ *     `to` exclusive, `a` first), `kind` (exact, renamed or near-miss) and `similarity`
+ */
+function findTokenClones(streams, options = {}) {
+    const minTokens = options.minTokens || MIN_TOKENS;
+    const minSimilarity = options.minSimilarity || MIN_SIMILARITY;
+    const seed = Math.min(SEED_TOKENS, minTokens);
+
+    // Tokens as numbers, equal when their normalized forms are
+    const vocabulary = new Map();
+    const codes = streams.map(tokens => Int32Array.from(tokens, token => {
+        const key = normalizeToken(token);
+        if (!vocabulary.has(key)) vocabulary.set(key, vocabulary.size + 1);
+        return vocabulary.get(key);
+    }));
+
+    // Hash every window of `seed` tokens, then sort the windows so equal hashes are adjacent
+    const total = codes.reduce((sum, code) => sum + Math.max(0, code.length - seed + 1), 0);
+    const hashes = new Int32Array(total);
+    const owners = new Int32Array(total);
+    const starts = new Int32Array(total);
+    let power = 1;
+    for (let i = 1; i < seed; i++) power = Math.imul(power, HASH_BASE);
+
+    let count = 0;
+    codes.forEach((code, stream) => {
+        let hash = 0;
+        for (let i = 0; i < code.length; i++) {
+            if (i >= seed) hash = (hash - Math.imul(code[i - seed], power)) | 0;
+            hash = (Math.imul(hash, HASH_BASE) + code[i]) | 0;
+            if (i >= seed - 1) {
+                hashes[count] = hash;
+                owners[count] = stream;
+                starts[count++] = i - seed + 1;
+            }
+        }
+    });
+    const order = new Uint32Array(total);
+    for (let i = 0; i < total; i++) order[i] = i;
+    order.sort((x, y) => hashes[x] - hashes[y]);
+
+    // Grow each pair of equal windows into the longest match it starts
+    const matches = [];
+    for (let first = 0; first < total;) {
+        let last = first + 1;
+        while (last < total && hashes[order[last]] === hashes[order[first]]) last++;
+
+        if (last - first > 1 && last - first <= MAX_OCCURRENCES) {
+            const group = Array.from(order.subarray(first, last))
+                .sort((x, y) => owners[x] - owners[y] || starts[x] - starts[y]);
+            for (let x = 0; x < group.length; x++) {
+                for (let y = x + 1; y < group.length; y++) {
+                    const match = growMatch(codes, owners[group[x]], starts[group[x]], owners[group[y]], starts[group[y]], seed);
+                    if (match) matches.push(match);
+                }
+            }
+        }
+        first = last;
+    }
+
+    const overlaps = (x, y) => x.stream === y.stream && x.from < y.to && y.from < x.to;
+    const clones = chainMatches(matches, minTokens, minSimilarity).map(clone => {
+        const tokensA = streams[clone.a.stream].slice(clone.a.from, clone.a.to);
+        const tokensB = streams[clone.b.stream].slice(clone.b.from, clone.b.to);
+        if (clone.parts === 1 && clone.a.to - clone.a.from === clone.b.to - clone.b.from) {
+            clone.kind = tokensA.every((token, i) => token.value === tokensB[i].value) ? 'exact' : 'renamed';
+        } else {
+            clone.kind = 'near-miss';
+        }
+        delete clone.parts;
+        return clone;
+    });
+    return withoutOverlapping(clones, overlaps, side => side.to - side.from);
+}
+
+/**
+ * Drop clones whose copies both overlap the copies of a larger clone, as repeated
+ * blocks of similar code match each other at several offsets
+ * @private
+ */
+function withoutOverlapping(clones, overlaps, sizeOf) {
+    const size = clone => sizeOf(clone.a) + sizeOf(clone.b);
+    const kept = [];
+
+    for (const clone of clones.slice().sort((x, y) => size(y) - size(x))) {
+        // Copies that only differ in names stay listed inside a larger near-miss clone
+        const covered = kept.some(other => (other.kind !== 'near-miss' || clone.kind === 'near-miss') &&
+            ((overlaps(other.a, clone.a) && overlaps(other.b, clone.b)) ||
+             (overlaps(other.a, clone.b) && overlaps(other.b, clone.a))));
+        if (!covered) kept.push(clone);
+    }
+    return kept;
+}
+
+/**
+ * Extend two equal windows into the longest match starting at them, or null when
+ * the windows only share a hash or the match already starts earlier
+ * @private
+ */
+function growMatch(codes, streamA, startA, streamB, startB, seed) {
+    const a = codes[streamA];
+    const b = codes[streamB];
+    if (startA > 0 && startB > 0 && a[startA - 1] === b[startB - 1]) return null;
+
+    // Copies in the same file may not overlap
+    const limit = streamA === streamB ? startB - startA : Infinity;
+    let length = 0;
+    while (length < limit && startA + length < a.length && startB + length < b.length &&
+        a[startA + length] === b[startB + length]) {
+        length++;
+    }
+    if (length < seed) return null;
+
+    return {
+        a: { stream: streamA, from: startA, to: startA + length },
+        b: { stream: streamB, from: startB, to: startB + length },
+        matched: length
+    };
+}
+
+/**
+ * Join matches between the same two files that follow each other with small gaps,
+ * and keep the chains long and similar enough to be clones
+ * @private
+ */
+function chainMatches(matches, minTokens, minSimilarity) {
+    const byPair = new Map();
+    for (const match of matches) {
+        const key = match.a.stream + ':' + match.b.stream;
+        if (!byPair.has(key)) byPair.set(key, []);
+        byPair.get(key).push(match);
+    }
+
+    const clones = [];
+    for (const pairMatches of byPair.values()) {
+        pairMatches.sort((x, y) => x.a.from - y.a.from || x.b.from - y.b.from);
+
+        const chains = [];
+        let open = [];
+        for (const match of pairMatches) {
+            // Matches come in order, so chains ending too far back cannot grow any more
+            open = open.filter(candidate => candidate.a.to >= match.a.from - MAX_GAP);
+            // A match may start inside the last one on one side; only its rest extends the chain
+            const overlapOf = candidate => Math.max(0, candidate.a.to - match.a.from, candidate.b.to - match.b.from);
+            const chain = open.find(candidate => {
+                const overlap = overlapOf(candidate);
+                const gapA = match.a.from + overlap - candidate.a.to;
+                const gapB = match.b.from + overlap - candidate.b.to;
+                return overlap < match.matched && gapA <= MAX_GAP && gapB <= MAX_GAP;
+            });
+            if (chain) {
+                chain.matched += match.matched - overlapOf(chain);
+                chain.a.to = match.a.to;
+                chain.b.to = match.b.to;
+                chain.parts.push(match);
+            } else {
+                const created = { a: { ...match.a }, b: { ...match.b }, matched: match.matched, parts: [match] };
+                chains.push(created);
+                open.push(created);
+            }
+        }
+
+        for (const chain of chains) {
+            const lengthA = chain.a.to - chain.a.from;
+            const lengthB = chain.b.to - chain.b.from;
+            const overlaps = chain.a.stream === chain.b.stream && chain.a.to > chain.b.from;
+            const similarity = chain.matched / Math.max(lengthA, lengthB);
+            if (!overlaps && Math.min(lengthA, lengthB) >= minTokens && similarity >= minSimilarity) {
+                clones.push({ a: chain.a, b: chain.b, similarity, parts: chain.parts.length });
+            }
+
+            // Long matches inside a near-miss clone are also copies on their own
+            if (chain.parts.length > 1) {
+                for (const part of chain.parts) {
+                    if (part.matched >= minTokens) {
+                        clones.push({ a: part.a, b: part.b, similarity: 1, parts: 1 });
+                    }
+                }
+            }
+        }
+    }
+    return clones;
+}
+
+/**
+ * Count the tokens two sequences have in common, in order (longest common subsequence)
+ * @private
+ */
+function commonTokenCount(a, b) {
+    let previous = new Uint32Array(b.length + 1);
+    let current = new Uint32Array(b.length + 1);
+    for (let i = 0; i < a.length; i++) {
+        for (let j = 0; j < b.length; j++) {
+            current[j + 1] = a[i] === b[j] ? previous[j] + 1 : Math.max(previous[j + 1], current[j]);
+        }
+        [previous, current] = [current, previous];
+    }
+    return previous[b.length];
+}
+
+/**
+ * Clone Detector for WhiskerCode
+ * Finds duplicated code across the workspace modules: exact copies, copies with
+ * renamed variables or changed literals, and near-miss copies with a few tokens
+ * added or removed. Duplicates are snapped to whole statements, so copies that
+ * only differ in names and literals can be extracted into a shared function.
+ */
+class CloneDetector {
+    /**
+     * @param {Map<string, object>} files - Modules from WorkspaceIndex.load()
+     * @param {object} [options] - Detection settings
+     * @param {number} [options.minTokens] - Fewest tokens a clone needs
+     * @param {number} [options.minSimilarity] - Share of tokens a near-miss clone needs in common
+     * @param {Function} [options.relativePath] - Turns an absolute path into the path shown for it
+     * @param {{resolveModule: Function}} [options.index] - Resolves import specifiers, to tell which imports the copies share
+     */
+    constructor(files, options = {}) {
+        this.files = files;
+        this.index = options.index || null;
+        this.minTokens = options.minTokens || MIN_TOKENS;
+        this.minSimilarity = options.minSimilarity || MIN_SIMILARITY;
+        this.relativePath = options.relativePath || (file => file);
+    }
+
+    /**
+     * Find the duplicated code of the workspace
+     * @returns {Array<object>} Clones, largest first: `kind` (exact, renamed or near-miss), `similarity`
+     *     (0-1), `tokens`, the two copies `a` and `b` ({file, path, start, end, range, text}), and whether
+     *     they can be extracted into a shared function (`extractable`, or the `reason` they cannot). A
+     *     `whiskercode-disable` comment for `duplicated_code` on the first line of either copy hides the clone.
+     */
+    find() {
+        const modules = Array.from(this.files.values()).filter(info => info.tree && !/\.d\.[mc]?ts$/.test(info.file));
+        const streams = modules.map(info => this._tokensOf(info));
+        const candidates = findTokenClones(streams, { minTokens: this.minTokens, minSimilarity: this.minSimilarity });
+        const suppressions = new Map(modules.map(info => [info, new Suppressions(info.text, info.language)]));
+        const isSuppressed = copy => suppressions.get(copy.info).isSuppressed(DUPLICATE_RULE, copy.info.tree.lineIndex.lineAt(copy.start) + 1);
+
+        const clones = [];
+        for (const candidate of candidates) {
+            const a = this._snap(modules[candidate.a.stream], streams[candidate.a.stream], candidate.a);
+            const b = this._snap(modules[candidate.b.stream], streams[candidate.b.stream], candidate.b);
+            if (!a || !b || isSuppressed(a) || isSuppressed(b)) continue;
+
+            const comparison = this._compare(a, b, candidate);
+            if (comparison) {
+                clones.push({ a, b, ...comparison });
+            }
+        }
+
+        const overlaps = (x, y) => x.info === y.info && x.start < y.end && y.start < x.end;
+        return withoutOverlapping(clones, overlaps, copy => copy.end - copy.start)
+            .sort((x, y) => y.tokens - x.tokens || x.a.info.file.localeCompare(y.a.info.file) || x.a.start - y.a.start)
+            .map(clone => {
+                const plan = this._planExtraction(clone);
+                return {
+                    kind: clone.kind,
+                    similarity: Math.round(clone.similarity * 100) / 100,
+                    tokens: clone.tokens,
+                    a: this._location(clone.a),
+                    b: this._location(clone.b),
+                    extractable: !plan.reason,
+                    reason: plan.reason || null
+                };
+            });
+    }
+
+    /**
+     * Build the edits that move a duplicate into a shared function and call it from both copies
+     * @param {object} clone - Clone from find()
+     * @param {string} name - Name of the new function
+     * @returns {Array<{file: string, start: number, end: number, text: string}>} Text replacements,
+     *     by offsets in the files as they were analyzed
+     */
+    extractSharedFunction(clone, name) {
+        if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+            throw new Error(`'${name}' is not a valid function name`);
+        }
+
+        const infoA = this.files.get(clone.a.file);
+        const infoB = this.files.get(clone.b.file);
+        const a = infoA && this._snapOffsets(infoA, clone.a.start, clone.a.end);
+        const b = infoB && this._snapOffsets(infoB, clone.b.start, clone.b.end);
+        if (!a || !b) {
+            throw new Error('The duplicate is no longer in the analyzed files');
+        }
+
+        const plan = this._planExtraction({ a, b });
+        if (plan.reason) {
+            throw new Error(plan.reason);
+        }
+        if (plan.method) {
+            if (plan.method.classBody.body.some(member => member.key && (member.key.name === name || member.key.value === name))) {
+                throw new Error(`'${name}' is already a member of the class`);
+            }
+        } else {
+            for (const info of new Set([infoA, infoB])) {
+                if (info.analysis && info.analysis.globalScope.variables.has(name)) {
+                    throw new Error(`'${name}' is already declared in ${this.relativePath(info.file)}`);
+                }
+            }
+        }
+
+        return this._extractionEdits(plan, name);
+    }
+
+    /**
+     * Tokens of a module that take part in matching
+     * @private
+     */
+    _tokensOf(info) {
+        return (info.tree.tokens || []).filter(token => token.type !== 'jsxText' || token.value.trim() !== '');
+    }
+
+    /**
+     * Shrink one side of a token match to the statements it fully covers
+     * @private
+     */
+    _snap(info, tokens, side) {
+        if (side.to <= side.from) return null;
+        return this._snapOffsets(info, tokens[side.from].start, tokens[side.to - 1].end, tokens);
+    }
+
+    /**
+     * Find the longest run of sibling statements between two offsets
+     * @private
+     */
+    _snapOffsets(info, start, end, tokens = this._tokensOf(info)) {
+        let best = null;
+        walk(info.tree, {
+            enter(node, parent) {
+                if (node.end <= start || node.start >= end) return false;
+
+                const list = STATEMENT_LISTS[node.type] ? node[STATEMENT_LISTS[node.type]] : null;
+                if (!Array.isArray(list)) return undefined;
+
+                // An exported declaration matches its copy without the `export`
+                const startOf = statement => statement.type.startsWith('Export') && statement.declaration
+                    ? statement.declaration.start
+                    : statement.start;
+
+                let first = -1;
+                for (let i = 0; i <= list.length; i++) {
+                    const inside = i < list.length && startOf(list[i]) >= start && list[i].end <= end;
+                    if (inside && first === -1) first = i;
+                    if (!inside && first !== -1) {
+                        const covered = list[i - 1].end - list[first].start;
+                        if (!best || covered > best.end - best.start) {
+                            best = {
+                                statements: list.slice(first, i),
+                                container: node,
+                                owner: parent,
+                                start: list[first].start,
+                                end: list[i - 1].end
+                            };
+                        }
+                        first = -1;
+                    }
+                }
+                return undefined;
+            }
+        });
+        if (!best) return null;
+
+        const from = lowerBound(tokens, best.start);
+        const to = lowerBound(tokens, best.end);
+        return { ...best, info, tokens: tokens.slice(from, to) };
+    }
+
+    /**
+     * Measure how alike two snapped copies still are
+     * @private
+     */
+    _compare(a, b, candidate) {
+        const tokens = Math.max(a.tokens.length, b.tokens.length);
+        if (Math.min(a.tokens.length, b.tokens.length) < this.minTokens) return null;
+
+        // Exporting one copy and not the other does not make them differ
+        const comparable = tokens => tokens.filter((token, i) => !(token.type === 'keyword' &&
+            (token.value === 'export' || (token.value === 'default' && i > 0 && tokens[i - 1].value === 'export'))));
+        const tokensA = comparable(a.tokens);
+        const tokensB = comparable(b.tokens);
+        const codesA = tokensA.map(normalizeToken);
+        const codesB = tokensB.map(normalizeToken);
+        if (codesA.length === codesB.length && codesA.every((code, i) => code === codesB[i])) {
+            const exact = tokensA.every((token, i) => token.value === tokensB[i].value);
+            return { kind: exact ? 'exact' : 'renamed', similarity: 1, tokens };
+        }
+
+        // Long copies keep the similarity of the token match instead of comparing every token pair
+        const similarity = codesA.length * codesB.length > 4000000
+            ? candidate.similarity
+            : commonTokenCount(codesA, codesB) / tokens;
+        return similarity >= this.minSimilarity ? { kind: 'near-miss', similarity, tokens } : null;
+    }
+
+    /**
+     * Describe one copy for the Duplicates panel
+     * @private
+     */
+    _location(copy) {
+        const { info, start, end } = copy;
+        const lineIndex = info.tree.lineIndex;
+        return {
+            file: info.file,
+            path: this.relativePath(info.file),
+            start,
+            end,
+            range: { start: lineIndex.positionAt(start), end: lineIndex.positionAt(end) },
+            text: info.text.substring(start - (lineIndex.positionAt(start).column), end)
+        };
+    }
+
+    /**
+     * Work out how two copies become calls to a shared function: its parameters, what it
+     * returns and whether it is async, or the reason they cannot
+     * @private
+     */
+    _planExtraction(clone) {
+        const a = this._extractionRegion(clone.a);
+        const b = this._extractionRegion(clone.b);
+        if (a.reason || b.reason) return { reason: a.reason || b.reason };
+        if (a.endsInReturn !== b.endsInReturn) {
+            return { reason: 'Only one of the copies returns from the function around it' };
+        }
+        if (!!a.method !== !!b.method || (a.method && (a.method.classBody !== b.method.classBody ||
+            !!a.method.definition.static !== !!b.method.definition.static))) {
+            return { reason: "The copies use 'this' of different classes" };
+        }
+        if (a.tokens.length !== b.tokens.length ||
+            a.tokens.some((token, i) => normalizeToken(token) !== normalizeToken(b.tokens[i]))) {
+            return { reason: 'Only copies that differ in names and literals can be extracted' };
+        }
+        if (a.info === b.info && !(a.end <= b.start || b.end <= a.start)) {
+            return { reason: 'The copies overlap' };
+        }
+
+        const rolesA = this._identifierRoles(a);
+        const rolesB = this._identifierRoles(b);
+        const referencesA = this._referencesOf(a.info);
+        const referencesB = this._referencesOf(b.info);
+        const parameters = [];
+        const replacements = [];
+        const localPairs = new Map();
+        const localTargets = new Map();
+        const nameParameters = new Map();
+        const usedNames = new Set(a.tokens.filter(token => NAME_TOKENS.has(token.type)).map(token => token.value));
+
+        // Names from the copy stay as they are; literals and properties get new names
+        const addParameter = (key, preferred, argumentA, argumentB, keepsName = false) => {
+            let parameter = parameters.find(candidate => candidate.key === key);
+            if (!parameter) {
+                let name = preferred;
+                for (let suffix = 2; parameters.some(candidate => candidate.name === name) || (!keepsName && usedNames.has(name)); suffix++) {
+                    name = preferred + suffix;
+                }
+                usedNames.add(name);
+                parameter = { key, name, argumentA, argumentB };
+                parameters.push(parameter);
+            }
+            return parameter;
+        };
+
+        for (let i = 0; i < a.tokens.length; i++) {
+            const tokenA = a.tokens[i];
+            const tokenB = b.tokens[i];
+
+            if (LITERAL_TOKENS.has(tokenA.type) || tokenA.type === 'template') {
+                if (tokenA.value === tokenB.value) continue;
+                if (tokenA.type === 'jsxText' || (tokenA.type === 'template' && !(tokenA.head && tokenA.tail))) {
+                    return { reason: 'The copies differ in text that cannot be passed as an argument' };
+                }
+                const parameter = addParameter('literal:' + tokenA.value + '\n' + tokenB.value, 'value', tokenA.value, tokenB.value);
+                replacements.push({ start: tokenA.start, end: tokenA.end, text: parameter.name });
+                continue;
+            }
+            if (!NAME_TOKENS.has(tokenA.type)) continue;
+
+            const roleA = rolesA.get(tokenA.start) || {};
+            const roleB = rolesB.get(tokenB.start) || {};
+            const referenceA = referencesA.get(tokenA.start);
+            const referenceB = referencesB.get(tokenB.start);
+            const hasReferenceA = !!referenceA;
+            const hasReferenceB = !!referenceB;
+
+            if (roleA.shorthand && tokenA.value !== tokenB.value) {
+                return { reason: `Shorthand property '${tokenA.value}' is named '${tokenB.value}' in the other copy` };
+            }
+
+            if (hasReferenceA && hasReferenceB) {
+                const variableA = referenceA.variable;
+                const variableB = referenceB.variable;
+                const localA = this._isLocal(variableA, a);
+                if (localA !== this._isLocal(variableB, b)) {
+                    return { reason: `'${tokenA.value}' and '${tokenB.value}' are declared differently in the copies` };
+                }
+
+                if (localA) {
+                    // Names declared inside the copy keep their name from the first copy
+                    if ((localPairs.has(variableA) && localPairs.get(variableA) !== variableB) ||
+                        (localTargets.has(variableB) && localTargets.get(variableB) !== variableA)) {
+                        return { reason: `'${tokenA.value}' does not match a single name in the other copy` };
+                    }
+                    localPairs.set(variableA, variableB);
+                    localTargets.set(variableB, variableA);
+                    continue;
+                }
+
+                if (this._isShared(variableA, variableB, a, b)) continue;
+
+                const existing = nameParameters.get(variableA);
+                if (existing && existing.variableB !== variableB) {
+                    return { reason: `'${tokenA.value}' does not match a single name in the other copy` };
+                }
+                if (referenceA.access === 'write' || referenceA.access === 'readwrite') {
+                    return { reason: `The copy assigns '${tokenA.value}', which is declared outside it` };
+                }
+                const parameter = existing || addParameter('name:' + parameters.length, tokenA.value, tokenA.value, tokenB.value, true);
+                parameter.variableB = variableB;
+                nameParameters.set(variableA, parameter);
+                if (parameter.name !== tokenA.value) {
+                    replacements.push({ start: tokenA.start, end: tokenA.end, text: parameter.name });
+                }
+                continue;
+            }
+            if (hasReferenceA !== hasReferenceB) {
+                return { reason: `'${tokenA.value}' and '${tokenB.value}' are used differently in the copies` };
+            }
+            if (tokenA.value === tokenB.value) continue;
+
+            // Property names that differ are read with a computed member instead
+            if (roleA.member && roleB.member) {
+                const parameter = addParameter('property:' + tokenA.value + '\n' + tokenB.value, 'key',
+                    `'${tokenA.value}'`, `'${tokenB.value}'`);
+                const dot = a.tokens[i - 1];
+                replacements.push(dot && dot.value === '.'
+                    ? { start: dot.start, end: tokenA.end, text: `[${parameter.name}]` }
+                    : { start: tokenA.start, end: tokenA.end, text: `[${parameter.name}]` });
+                continue;
+            }
+            return { reason: `'${tokenA.value}' is named '${tokenB.value}' in the other copy and cannot be passed as an argument` };
+        }
+
+        const outputA = this._outputsOf(a);
+        const outputB = this._outputsOf(b);
+        if (outputA.reason || outputB.reason) return { reason: outputA.reason || outputB.reason };
+        if (outputA.length > 1) {
+            return { reason: `The copy declares ${outputA.map(variable => `'${variable.name}'`).join(', ')}, which are used after it` };
+        }
+        if (outputA.length !== outputB.length || (outputA.length === 1 && localPairs.get(outputA[0]) !== outputB[0])) {
+            return { reason: 'The copies declare different variables that are used after them' };
+        }
+
+        return {
+            a,
+            b,
+            parameters,
+            replacements,
+            output: outputA.length === 1 ? { variableA: outputA[0], variableB: outputB[0] } : null,
+            isAsync: a.isAsync,
+            method: a.method
+        };
+    }
+
+    /**
+     * Statements a copy would move into the shared function, and what in them ties
+     * them to the surrounding function
+     * @private
+     */
+    _extractionRegion(copy) {
+        let region = copy;
+        let wholeBody = false;
+
+        // A copied function moves its body, and keeps delegating to the shared function
+        if (copy.statements.length === 1) {
+            const func = this._declaredFunction(copy.statements[0]);
+            if (func) {
+                if (func.body.type !== 'BlockStatement' || func.body.body.length === 0) {
+                    return { reason: 'Copies of empty or expression-bodied functions are not extracted' };
+                }
+                region = this._snapOffsets(copy.info, func.body.body[0].start, func.body.body[func.body.body.length - 1].end);
+                wholeBody = true;
+            }
+        }
+        if (!wholeBody && isFunctionNode(copy.owner) && copy.container === copy.owner.body &&
+            copy.statements.length === copy.container.body.length) {
+            wholeBody = true;
+        }
+        if (!region || !copy.info.analysis) {
+            return { reason: 'The copy is not inside JavaScript or TypeScript code' };
+        }
+
+        // Returns are kept when the copy always ends by returning, so its call can return too
+        const endsInReturn = wholeBody || region.statements[region.statements.length - 1].type === 'ReturnStatement';
+
+        // Look for what only works in the surrounding function
+        let reason = null;
+        let isAsync = false;
+        let returns = false;
+        let usesThis = false;
+        const labels = new Set();
+        for (const statement of region.statements) {
+            let functionDepth = 0;
+            let ownFunctions = 0;
+            let breakable = 0;
+            let loops = 0;
+            walk(statement, {
+                enter(node, parent) {
+                    if (isFunctionNode(node)) {
+                        functionDepth++;
+                        if (node.type !== 'ArrowFunctionExpression') ownFunctions++;
+                    } else if (node.type === 'MethodDefinition' || node.type === 'PropertyDefinition') {
+                        ownFunctions++;
+                    }
+                    if (isLoopNode(node)) {
+                        loops++;
+                        breakable++;
+                    } else if (node.type === 'SwitchStatement') {
+                        breakable++;
+                    } else if (node.type === 'LabeledStatement') {
+                        labels.add(node.label.name);
+                    }
+
+                    if (ownFunctions === 0 && (node.type === 'ThisExpression' || node.type === 'Super')) {
+                        usesThis = true;
+                    } else if (ownFunctions === 0 && node.type === 'Identifier' && node.name === 'arguments' && !isPropertyName(node, parent)) {
+                        reason = reason || "The copy uses 'arguments'";
+                    } else if (functionDepth === 0 && node.type === 'ReturnStatement') {
+                        returns = true;
+                        if (!endsInReturn) reason = reason || 'The copy returns from the function around it';
+                    } else if (functionDepth === 0 && node.type === 'YieldExpression') {
+                        reason = reason || "The copy uses 'yield'";
+                    } else if (functionDepth === 0 && (node.type === 'AwaitExpression' || (node.type === 'ForOfStatement' && node.await))) {
+                        isAsync = true;
+                    } else if (functionDepth === 0 && (node.type === 'BreakStatement' || node.type === 'ContinueStatement')) {
+                        const escapes = node.label
+                            ? !labels.has(node.label.name)
+                            : (node.type === 'BreakStatement' ? breakable : loops) === 0;
+                        if (escapes) reason = reason || `The copy uses '${node.type === 'BreakStatement' ? 'break' : 'continue'}' outside of it`;
+                    }
+                    return undefined;
+                },
+                leave(node) {
+                    if (isFunctionNode(node)) {
+                        functionDepth--;
+                        if (node.type !== 'ArrowFunctionExpression') ownFunctions--;
+                    } else if (node.type === 'MethodDefinition' || node.type === 'PropertyDefinition') {
+                        ownFunctions--;
+                    }
+                    if (isLoopNode(node)) {
+                        loops--;
+                        breakable--;
+                    } else if (node.type === 'SwitchStatement') {
+                        breakable--;
+                    }
+                }
+            });
+        }
+        if (reason) return { reason };
+
+        // Code using `this` can only move to another method of its class
+        const method = usesThis ? this._enclosingMethod(copy.info.tree, region.start) : null;
+        if (usesThis && !method) {
+            return { reason: "The copy uses 'this' outside a class method" };
+        }
+
+        return {
+            ...region,
+            wholeBody,
+            endsInReturn,
+            returns,
+            isAsync,
+            method,
+            topStatement: this._topStatement(copy.info.tree, region.start)
+        };
+    }
+
+    /**
+     * The class method whose `this` code at an offset uses
+     * @private
+     */
+    _enclosingMethod(tree, offset) {
+        let method = null;
+        walk(tree, {
+            enter(node, parent) {
+                if (node.end <= offset || node.start > offset) return false;
+
+                if (node.type === 'MethodDefinition' && parent && parent.type === 'ClassBody') {
+                    method = { definition: node, classBody: parent };
+                } else if (isFunctionNode(node) && node.type !== 'ArrowFunctionExpression' &&
+                    !(parent && parent.type === 'MethodDefinition')) {
+                    method = null;
+                }
+                return undefined;
+            }
+        });
+        return method;
+    }
+
+    /**
+     * The function a statement declares, if it declares exactly one
+     * @private
+     */
+    _declaredFunction(statement) {
+        let node = statement;
+        if ((node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration') && node.declaration) {
+            node = node.declaration;
+        }
+        if (node.type === 'FunctionDeclaration') return node;
+        if (node.type === 'VariableDeclaration' && node.declarations.length === 1 && isFunctionNode(node.declarations[0].init)) {
+            return node.declarations[0].init;
+        }
+        return null;
+    }
+
+    /**
+     * The top-level statement that contains an offset
+     * @private
+     */
+    _topStatement(tree, offset) {
+        return tree.body.find(statement => statement.start <= offset && offset < statement.end) || null;
+    }
+
+    /**
+     * Occurrences of names in a module by their offset
+     * @private
+     */
+    _referencesOf(info) {
+        if (!this._references) this._references = new Map();
+        if (!this._references.has(info)) {
+            this._references.set(info, new Map(info.analysis.references.map(reference => [reference.identifier.start, reference])));
+        }
+        return this._references.get(info);
+    }
+
+    /**
+     * Where each name in a copy is a property name or a shorthand property
+     * @private
+     */
+    _identifierRoles(region) {
+        const roles = new Map();
+        for (const statement of region.statements) {
+            walk(statement, {
+                enter(node) {
+                    if ((node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') && !node.computed &&
+                        node.property.type === 'Identifier') {
+                        roles.set(node.property.start, { member: true });
+                    } else if (node.type === 'Property' && node.shorthand) {
+                        roles.set(node.key.start, { shorthand: true });
+                    }
+                    return undefined;
+                }
+            });
+        }
+        return roles;
+    }
+
+    /**
+     * Whether all declarations of a variable are inside a copy
+     * @private
+     */
+    _isLocal(variable, region) {
+        return variable.kind !== 'global' && variable.identifiers.length > 0 &&
+            variable.identifiers.every(identifier => identifier.start >= region.start && identifier.end <= region.end);
+    }
+
+    /**
+     * Whether both copies refer to a binding the shared function can reach without a parameter:
+     * the same global, or the same top-level binding of the module the function goes in
+     * @private
+     */
+    _isShared(variableA, variableB, a, b) {
+        if (variableA.kind === 'global' || variableB.kind === 'global') {
+            return variableA.kind === 'global' && variableB.kind === 'global' && variableA.name === variableB.name;
+        }
+        if (variableA.scope !== a.info.analysis.globalScope || variableB.scope !== b.info.analysis.globalScope) {
+            return false;
+        }
+        return a.info === b.info ? variableA === variableB : this._sameImport(variableA, variableB, a.info, b.info);
+    }
+
+    /**
+     * Whether two top-level bindings import the same export of the same module
+     * @private
+     */
+    _sameImport(variableA, variableB, infoA, infoB) {
+        const importOf = (variable, info) => info.imports.find(entry => entry.local && variable.identifiers.includes(entry.local));
+        const moduleOf = (entry, info) => {
+            if (!entry.source.startsWith('.')) return entry.source;
+            const resolved = this.index && this.index.resolveModule(info.file, entry.source, this.files);
+            return resolved || path.resolve(path.dirname(info.file), entry.source).replace(/\.[jt]sx?$/, '');
+        };
+
+        const importA = importOf(variableA, infoA);
+        const importB = importOf(variableB, infoB);
+        return !!importA && !!importB && importA.imported === importB.imported &&
+            moduleOf(importA, infoA) === moduleOf(importB, infoB);
+    }
+
+    /**
+     * Variables a copy declares that are used after it
+     * @private
+     */
+    _outputsOf(region) {
+        if (region.endsInReturn) return [];
+
+        const outputs = [];
+        for (const scope of region.info.analysis.scopes) {
+            for (const variable of scope.variables.values()) {
+                if (!this._isLocal(variable, region)) continue;
+                const outside = variable.references.filter(reference =>
+                    reference.identifier.start < region.start || reference.identifier.start >= region.end);
+                if (outside.some(reference => reference.identifier.start < region.start)) {
+                    return { reason: `'${variable.name}' is used before the copy` };
+                }
+                if (outside.length > 0) outputs.push(variable);
+            }
+        }
+        return outputs;
+    }
+
+    /**
+     * Turn an extraction plan into text edits
+     * @private
+     */
+    _extractionEdits(plan, name) {
+        const { a, b, parameters, output } = plan;
+        const textA = a.info.text;
+        const unit = indentUnit(textA);
+
+        // Body of the shared function: the first copy with its differences replaced by parameters
+        let body = '';
+        let position = a.start;
+        for (const replacement of plan.replacements.slice().sort((x, y) => x.start - y.start)) {
+            body += textA.substring(position, replacement.start) + replacement.text;
+            position = replacement.end;
+        }
+        body += textA.substring(position, a.end);
+
+        // The shared function goes before the first statement or method holding a copy
+        const anchors = plan.method ? [a.method.definition, b.method.definition] : [a.topStatement];
+        if (!plan.method && b.info === a.info) anchors.push(b.topStatement);
+        const anchor = anchors.filter(Boolean).sort((x, y) => x.start - y.start)[0];
+        const insertAt = lineStart(textA, this._leadingCommentsStart(a.info, anchor));
+        const baseIndent = textA.substring(insertAt, anchor.start).match(/^[ \t]*/)[0];
+
+        const regionIndent = textA.substring(lineStart(textA, a.start), a.start);
+        const bodyLines = body.split('\n').map((line, index) =>
+            index > 0 && line.startsWith(regionIndent) ? line.substring(regionIndent.length) : line);
+        if (output) bodyLines.push(`return ${output.variableA.name};`);
+
+        const exported = a.info !== b.info;
+        const moduleStyle = exported ? moduleStyleOf(a.info) : null;
+        const header = plan.method
+            ? `${plan.method.definition.static ? 'static ' : ''}${plan.isAsync ? 'async ' : ''}${name}`
+            : `${moduleStyle === 'esm' ? 'export ' : ''}${plan.isAsync ? 'async ' : ''}function ${name}`;
+        const declaration = [
+            `${baseIndent}${header}(${parameters.map(parameter => parameter.name).join(', ')}) {`,
+            ...bodyLines.map(line => line.trim() === '' ? '' : baseIndent + unit + line.replace(/\s+$/, '')),
+            `${baseIndent}}`
+        ].join('\n');
+
+        const callFor = (region, side) => {
+            const call = `${plan.isAsync ? 'await ' : ''}${plan.method ? 'this.' : ''}${name}(${parameters.map(parameter => parameter['argument' + side]).join(', ')})`;
+            if (output) {
+                const variable = output['variable' + side];
+                const keyword = variable.kind === 'let' || variable.kind === 'var' ? variable.kind : 'const';
+                return `${keyword} ${variable.name} = ${call};`;
+            }
+            return region.returns ? `return ${call};` : `${call};`;
+        };
+
+        const edits = [
+            { file: a.info.file, start: insertAt, end: insertAt, text: declaration + '\n\n' },
+            { file: a.info.file, start: a.start, end: a.end, text: callFor(a, 'A') },
+            { file: b.info.file, start: b.start, end: b.end, text: callFor(b, 'B') }
+        ];
+        if (exported) {
+            edits.push(...this._exportEdits(a.info, name, moduleStyle), ...this._importEdits(b.info, a.info, name));
+        }
+
+        // An insertion where a replacement starts becomes part of the replacement
+        return edits.filter(edit => {
+            const replaced = edit.start === edit.end && edits.find(other => other !== edit &&
+                other.file === edit.file && other.start === edit.start && other.end > other.start);
+            if (replaced) replaced.text = edit.text + replaced.text;
+            return !replaced;
+        });
+    }
+
+    /**
+     * Start of the comments directly above a statement, or of the statement
+     * @private
+     */
+    _leadingCommentsStart(info, statement) {
+        let start = statement.start;
+        const comments = (info.tree.comments || []).filter(comment => comment.end <= start).sort((x, y) => y.end - x.end);
+        for (const comment of comments) {
+            const between = info.text.substring(comment.end, start);
+            if (!/^[ \t]*\r?\n?[ \t]*$/.test(between)) break;
+            start = comment.start;
+        }
+        return start;
+    }
+
+    /**
+     * Export the shared function from the module it is declared in
+     * @private
+     */
+    _exportEdits(info, name, moduleStyle) {
+        if (moduleStyle === 'esm') return [];
+
+        // Add it to a `module.exports = { ... }` object, or export it on its own at the end
+        const assignment = info.tree.body.find(statement => statement.type === 'ExpressionStatement' &&
+            statement.expression.type === 'AssignmentExpression' &&
+            info.text.substring(statement.expression.left.start, statement.expression.left.end).replace(/\s/g, '') === 'module.exports' &&
+            statement.expression.right.type === 'ObjectExpression');
+        if (assignment) {
+            const object = assignment.expression.right;
+            const last = object.properties[object.properties.length - 1];
+            if (!last) {
+                return [{ file: info.file, start: object.start + 1, end: object.end - 1, text: ` ${name} ` }];
+            }
+            const multiline = info.text.substring(object.start, object.end).includes('\n');
+            const indent = info.text.substring(lineStart(info.text, last.start), last.start);
+            return [{ file: info.file, start: last.end, end: last.end, text: multiline ? `,\n${indent}${name}` : `, ${name}` }];
+        }
+
+        const text = info.text;
+        const trailing = text.endsWith('\n') ? '' : '\n';
+        return [{ file: info.file, start: text.length, end: text.length, text: `${trailing}module.exports.${name} = ${name};\n` }];
+    }
+
+    /**
+     * Import the shared function into the module of the other copy
+     * @private
+     */
+    _importEdits(info, from, name) {
+        const esm = moduleStyleOf(info) === 'esm';
+        let specifier = path.relative(path.dirname(info.file), from.file).split(path.sep).join('/');
+        if (!specifier.startsWith('.')) specifier = './' + specifier;
+
+        // Keep the extension only where the module writes its relative imports with one
+        const keepsExtension = info.imports.some(entry => entry.source.startsWith('.') && /\.[cm]?[jt]sx?$/.test(entry.source));
+        if (!keepsExtension) specifier = specifier.replace(/\.[jt]sx?$/, '');
+
+        const statement = esm
+            ? `import { ${name} } from '${specifier}';`
+            : `const { ${name} } = require('${specifier}');`;
+
+        const body = info.tree.body;
+        const imports = body.filter(node => esm
+            ? node.type === 'ImportDeclaration'
+            : node.type === 'VariableDeclaration' && info.imports.some(entry => entry.kind === 'require' && entry.node && entry.node.start >= node.start && entry.node.end <= node.end));
+        if (imports.length > 0) {
+            const last = imports[imports.length - 1];
+            return [{ file: info.file, start: last.end, end: last.end, text: '\n' + statement }];
+        }
+
+        const first = body.length > 0 ? body[0].start : info.tree.start;
+        return [{ file: info.file, start: first, end: first, text: statement + '\n\n' }];
+    }
+}
+
+/**
+ * Whether an identifier names a property rather than a variable
+ * @private
+ */
+function isPropertyName(node, parent) {
+    if (!parent) return false;
+    if (parent.type === 'MemberExpression') return parent.property === node && !parent.computed;
+    if (parent.type === 'Property') return parent.key === node && !parent.computed && !parent.shorthand;
+    return (parent.type === 'MethodDefinition' || parent.type === 'PropertyDefinition') && parent.key === node;
+}
+
+/**
+ * Index of the first token starting at or after an offset
+ * @private
+ */
+function lowerBound(tokens, offset) {
+    let low = 0;
+    let high = tokens.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (tokens[middle].start < offset) low = middle + 1;
+        else high = middle;
+    }
+    return low;
+}
+
+/**
+ * Offset of the start of the line containing an offset
+ * @private
+ */
+function lineStart(text, offset) {
+    return text.lastIndexOf('\n', offset - 1) + 1;
+}
+
+/**
+ * The indentation step a file uses, from its least indented line
+ * @private
+ */
+function indentUnit(text) {
+    let unit = null;
+    for (const match of text.matchAll(/^([ \t]+)[^\s*]/gm)) {
+        if (match[1].startsWith('\t')) return '\t';
+        if (!unit || match[1].length < unit.length) unit = match[1];
+    }
+    return unit || '    ';
+}
+
+/**
+ * Whether a module uses ES modules or CommonJS
+ * @private
+ */
+function moduleStyleOf(info) {
+    const esm = info.imports.some(entry => entry.kind === 'import') || info.exports.some(entry => !entry.commonjs);
+    const commonjs = info.imports.some(entry => entry.kind === 'require') || info.exports.some(entry => entry.commonjs);
+    return esm || !commonjs ? 'esm' : 'commonjs';
+}
+
+module.exports = {
+    CloneDetector,
+    findTokenClones,
+    normalizeToken
+};
@@ -1,15 +1,36 @@
 const vscode = require('vscode');
-const { AdvancedParser } = require('./advancedParser');
-const { EnhancedPerformanceAnalyzer } = require('./enhancedPerformance');
+const { CancelledError } = require('./workerPool');
+const { FRAMEWORK_NAMES } = require('./syntax/singleFileComponent');
+const { suppressionComment } = require('./suppressions');
+const { languageRegistry } = require('./languages/languageRegistry');
+
+/**
+ * Create the quick fix that silences a rule on one line with a suppression comment
+ * @param {vscode.TextDocument} document - Document of the finding
+ * @param {number} line - Zero-based line of the finding
+ * @param {string} ruleId - Rule id of the finding
+ * @returns {vscode.CodeAction} Action inserting a `whiskercode-disable-next-line` comment above the line
+ */
+function createSuppressAction(document, line, ruleId) {
+    const { offset, text } = suppressionComment(document.getText(), line, ruleId, document.languageId, languageRegistry);
+    const action = new vscode.CodeAction(`🐱 Suppress ${ruleId} on this line`, vscode.CodeActionKind.QuickFix);
+    action.edit = new vscode.WorkspaceEdit();
+    action.edit.insert(document.uri, document.positionAt(offset), text);
+    return action;
+}
 
 /**
  * Code Lens Provider for WhiskerCode
  * Shows metrics and insights directly in the editor
  */
 class WhiskerCodeLensProvider {
-    constructor() {
-        this.advancedParser = new AdvancedParser();
-        this.performanceAnalyzer = new EnhancedPerformanceAnalyzer();
+    /**
+     * @param {AnalysisScheduler} analysisScheduler - Shared, cached background analysis
+     * @param {WorkspaceSettings} [workspaceSettings] - Include and exclude globs of the workspace folders
+     */
+    constructor(analysisScheduler, workspaceSettings = null) {
+        this.analysisScheduler = analysisScheduler;
+        this.workspaceSettings = workspaceSettings;
         this.codeLenses = [];
         this._onDidChangeCodeLenses = new vscode.EventEmitter();
         this.onDidChangeCodeLenses = this._onDidChangeCodeLenses.event;
@@ -26,43 +47,70 @@ class WhiskerCodeLensProvider {
      * Provides code lenses for the given document
      * @param {vscode.TextDocument} document - The document to provide code lenses for
      * @param {vscode.CancellationToken} token - A cancellation token
-     * @returns {vscode.CodeLens[] | Promise<vscode.CodeLens[]>} An array of code lenses or a promise that resolves to an array of code lenses
+     * @returns {Promise<vscode.CodeLens[]>} A promise that resolves to an array of code lenses
      */
-    provideCodeLenses(document, token) {
+    async provideCodeLenses(document, token) {
         if (token.isCancellationRequested) return [];
         
         const codeLenses = [];
-        const text = document.getText();
         const language = document.languageId;
         
         // Only provide code lenses for supported languages
-        if (!['javascript', 'typescript', 'javascriptreact', 'typescriptreact'].includes(language)) {
+        if (!['javascript', 'typescript', 'javascriptreact', 'typescriptreact', 'vue', 'svelte'].includes(language)) {
+            return [];
+        }
+        
+        // Skip files the workspace configuration excludes
+        if (this.workspaceSettings && !this.workspaceSettings.includes(document)) {
             return [];
         }
         
         try {
             // Parse the document with advanced parser
-            const parseResult = this.advancedParser.parseCode(text, language);
+            const [parseResult, functionInsights, functionComplexity] = await Promise.all([
+                this.analysisScheduler.getAdvancedAnalysis(document, token),
+                this.analysisScheduler.getFunctionInsights(document, token),
+                this.analysisScheduler.getFunctionComplexity(document, token)
+            ]);
             
             // Find functions to add code lenses
             if (parseResult.patterns && parseResult.patterns.function) {
-                parseResult.patterns.function.forEach(func => {
+                parseResult.patterns.function.forEach((func, index) => {
                     // Get the first line of the function declaration
                     const position = new vscode.Position(func.line - 1, 0);
                     const range = new vscode.Range(position, position);
                     
+                    // Metrics of the function the parser found on this line
+                    const metrics = functionComplexity.find(analysis => analysis.lineRange.start === func.line - 1);
+                    
                     // Create code lens for complexity metrics
                     const complexityLens = new vscode.CodeLens(range, {
-                        title: `🐱 Complexity: ${parseResult.complexity.cognitiveComplexity}`,
+                        title: `🐱 Cognitive complexity: ${metrics ? metrics.cognitiveComplexity : parseResult.complexity.cognitiveComplexity}`,
+                        tooltip: metrics && metrics.cognitiveBreakdown.length > 0
+                            ? metrics.cognitiveBreakdown.map(entry => `Line ${entry.line + 1}: +${entry.complexity} (${entry.reasons.join(', ')})`).join('\n')
+                            : 'Cognitive complexity',
                         command: 'whiskercode.showCodeMetrics',
                         arguments: [document.uri, func.line, 'complexity']
                     });
                     
                     codeLenses.push(complexityLens);
                     
-                    // Check if there are performance concerns with this function
-                    const functionText = func.text;
-                    const perfAnalysis = this.performanceAnalyzer.analyzePerformance(functionText, language);
+                    // Show the function's maintainability next to it
+                    if (metrics) {
+                        const maintainabilityLens = new vscode.CodeLens(range, {
+                            title: `🐱 Maintainability: ${metrics.maintainabilityIndex} (${metrics.maintainabilityLevel.level})`,
+                            tooltip: `Halstead volume ${metrics.halstead.volume}, difficulty ${metrics.halstead.difficulty}, estimated bugs ${metrics.halstead.bugs}`,
+                            command: 'whiskercode.showCodeMetrics',
+                            arguments: [document.uri, func.line, 'complexity']
+                        });
+                        
+                        codeLenses.push(maintainabilityLens);
+                    }
+                    
+                    // Check if there are performance concerns with this function; unchanged
+                    // functions reuse their results from earlier versions of the document
+                    const functionAnalysis = functionInsights[index];
+                    const perfAnalysis = functionAnalysis.performance;
                     
                     if (perfAnalysis.issues && perfAnalysis.issues.length > 0) {
                         // Create code lens for performance issues
@@ -76,7 +124,7 @@ class WhiskerCodeLensProvider {
                     }
                     
                     // Check if this function has refactoring opportunities
-                    const refactorOpportunities = this.advancedParser.findRefactoringOpportunities(functionText, language);
+                    const refactorOpportunities = functionAnalysis.refactoring;
                     
                     if (refactorOpportunities && refactorOpportunities.length > 0) {
                         // Create code lens for refactoring opportunities
@@ -133,9 +181,25 @@ class WhiskerCodeLensProvider {
                 });
             }
             
+            // A Vue or Svelte file is a single component, described where its first block starts
+            if (parseResult.componentAnalysis) {
+                const analysis = parseResult.componentAnalysis;
+                const position = new vscode.Position(analysis.line - 1, 0);
+                const range = new vscode.Range(position, position);
+                
+                const componentLens = new vscode.CodeLens(range, {
+                    title: `🐱 ${FRAMEWORK_NAMES[analysis.framework]} component insights`,
+                    command: 'whiskercode.showCodeMetrics',
+                    arguments: [document.uri, analysis.line, 'component']
+                });
+                
+                codeLenses.push(componentLens);
+            }
+            
             this.codeLenses = codeLenses;
             return codeLenses;
         } catch (error) {
+            if (error instanceof CancelledError) return [];
             console.error('Error providing code lenses:', error);
             return [];
         }
@@ -156,12 +220,19 @@ class WhiskerCodeLensProvider {
 
 /**
  * Code Action Provider for WhiskerCode
- * Provides quick fixes and refactoring suggestions
+ * Provides quick fixes and refactoring suggestions, attached to the diagnostics
+ * of the findings they address
  */
 class WhiskerCodeActionProvider {
-    constructor() {
-        this.advancedParser = new AdvancedParser();
-        this.performanceAnalyzer = new EnhancedPerformanceAnalyzer();
+    /**
+     * @param {AnalysisScheduler} analysisScheduler - Shared, cached background analysis
+     * @param {WorkspaceSettings} [workspaceSettings] - Include and exclude globs of the workspace folders
+     * @param {FindingDiagnostics} [findingDiagnostics] - Diagnostics of the findings in the Problems panel
+     */
+    constructor(analysisScheduler, workspaceSettings = null, findingDiagnostics = null) {
+        this.analysisScheduler = analysisScheduler;
+        this.workspaceSettings = workspaceSettings;
+        this.findingDiagnostics = findingDiagnostics;
     }
 
     /**
@@ -170,82 +241,141 @@ class WhiskerCodeActionProvider {
      * @param {vscode.Range | vscode.Selection} range - The range or selection to provide code actions for
      * @param {vscode.CodeActionContext} context - The code action context
      * @param {vscode.CancellationToken} token - A cancellation token
-     * @returns {vscode.CodeAction[] | Promise<vscode.CodeAction[]>} An array of code actions or a promise that resolves to an array of code actions
+     * @returns {Promise<vscode.CodeAction[]>} A promise that resolves to an array of code actions
      */
-    provideCodeActions(document, range, context, token) {
+    async provideCodeActions(document, range, context, token) {
         if (token.isCancellationRequested) return [];
         
         const text = document.getText(range);
         const language = document.languageId;
         
         // Only provide code actions for supported languages
-        if (!['javascript', 'typescript', 'javascriptreact', 'typescriptreact'].includes(language)) {
+        if (!['javascript', 'typescript', 'javascriptreact', 'typescriptreact', 'vue', 'svelte'].includes(language)) {
+            return [];
+        }
+        
+        // Skip files the workspace configuration excludes
+        if (this.workspaceSettings && !this.workspaceSettings.includes(document)) {
             return [];
         }
         
         const codeActions = [];
         
+        // Actions by rule and zero-based line, so a finding gets each action once
+        const fixActions = new Map();
+        const suppressActions = new Map();
+        const addActions = (ruleId, line, createFix, diagnostic = null) => {
+            const key = `${ruleId}:${line}`;
+            if (!fixActions.has(key)) {
+                const action = createFix();
+                fixActions.set(key, action);
+                if (action) codeActions.push(action);
+            }
+            if (ruleId && !suppressActions.has(key)) {
+                suppressActions.set(key, createSuppressAction(document, line, ruleId));
+            }
+            if (diagnostic) {
+                [fixActions.get(key), suppressActions.get(key)].forEach(action => {
+                    if (action) action.diagnostics = (action.diagnostics || []).concat([diagnostic]);
+                });
+            }
+        };
+        
+        // Fix the findings the Problems panel shows here
+        if (this.findingDiagnostics) {
+            for (const diagnostic of context.diagnostics) {
+                const finding = this.findingDiagnostics.findingOf(document, diagnostic);
+                if (!finding) continue;
+                
+                const line = diagnostic.range.start.line;
+                if (finding.kind === 'performance') {
+                    addActions(finding.ruleId, line, () => this._createFixAction(document, diagnostic.range, finding.finding), diagnostic);
+                } else if (finding.kind === 'refactoring') {
+                    addActions(finding.ruleId, line, () => this._createRefactorAction(document, diagnostic.range, finding.finding), diagnostic);
+                } else {
+                    addActions(finding.ruleId, line, () => null, diagnostic);
+                }
+            }
+        }
+        
         try {
             // Analyze the selected code
-            const perfAnalysis = this.performanceAnalyzer.analyzePerformance(text, language);
+            const selectionAnalysis = await this.analysisScheduler.analyzeText(document, text, range.start.line + 1, token);
+            const perfAnalysis = selectionAnalysis.performance;
+            const lineOf = finding => range.start.line + (finding.line || 1) - 1;
             
             // Find performance issues that can be fixed
             if (perfAnalysis.issues && perfAnalysis.issues.length > 0) {
                 perfAnalysis.issues.forEach(issue => {
-                    if (issue.suggestion && issue.match) {
-                        // Create code action for performance issue
-                        const action = new vscode.CodeAction(
-                            `🐱 Fix: ${issue.description}`,
-                            vscode.CodeActionKind.QuickFix
-                        );
-                        
-                        // Generate fix based on the issue
-                        action.command = {
-                            title: 'Apply fix',
-                            command: 'whiskercode.applyQuickFix',
-                            arguments: [document.uri, range, issue]
-                        };
-                        
-                        action.isPreferred = issue.severity === 'critical' || issue.severity === 'high';
-                        codeActions.push(action);
-                    }
+                    addActions(issue.ruleId, lineOf(issue), () => this._createFixAction(document, range, issue));
                 });
             }
             
             // Find refactoring opportunities
-            const refactorOpportunities = this.advancedParser.findRefactoringOpportunities(text, language);
+            const refactorOpportunities = selectionAnalysis.refactoring;
             
             if (refactorOpportunities && refactorOpportunities.length > 0) {
                 refactorOpportunities.forEach(opportunity => {
-                    if (opportunity.suggestion) {
-                        // Create code action for refactoring opportunity
-                        const action = new vscode.CodeAction(
-                            `🐱 Refactor: ${opportunity.description}`,
-                            vscode.CodeActionKind.Refactor
-                        );
-                        
-                        // Generate refactoring command
-                        action.command = {
-                            title: 'Apply refactoring',
-                            command: 'whiskercode.applyRefactoring',
-                            arguments: [document.uri, range, opportunity]
-                        };
-                        
-                        action.isPreferred = opportunity.severity === 'high';
-                        codeActions.push(action);
-                    }
+                    addActions(opportunity.type, lineOf(opportunity), () => this._createRefactorAction(document, range, opportunity));
                 });
             }
-            
-            return codeActions;
         } catch (error) {
+            if (error instanceof CancelledError) return [];
             console.error('Error providing code actions:', error);
-            return [];
         }
+        
+        return codeActions.concat([...suppressActions.values()]);
+    }
+
+    /**
+     * Create the quick fix of a performance issue, or null when it has nothing to fix
+     * @private
+     */
+    _createFixAction(document, range, issue) {
+        if (!issue.suggestion || !issue.code) return null;
+        
+        const action = new vscode.CodeAction(
+            `🐱 Fix: ${issue.description}`,
+            vscode.CodeActionKind.QuickFix
+        );
+        
+        // Generate fix based on the issue
+        action.command = {
+            title: 'Apply fix',
+            command: 'whiskercode.applyQuickFix',
+            arguments: [document.uri, range, issue]
+        };
+        
+        action.isPreferred = issue.severity === 'critical' || issue.severity === 'high';
+        return action;
+    }
+
+    /**
+     * Create the action of a refactoring opportunity, or null when it suggests nothing
+     * @private
+     */
+    _createRefactorAction(document, range, opportunity) {
+        if (!opportunity.suggestion) return null;
+        
+        const action = new vscode.CodeAction(
+            `🐱 Refactor: ${opportunity.description}`,
+            vscode.CodeActionKind.Refactor
+        );
+        
+        // Generate refactoring command
+        action.command = {
+            title: 'Apply refactoring',
+            command: 'whiskercode.applyRefactoring',
+            arguments: [document.uri, range, opportunity]
+        };
+        
+        action.isPreferred = opportunity.severity === 'high';
+        return action;
     }
 }
 
 module.exports = {
     WhiskerCodeLensProvider,
-    WhiskerCodeActionProvider
+    WhiskerCodeActionProvider,
+    createSuppressAction
 }; 
\ No newline at end of file
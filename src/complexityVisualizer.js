@@ -60,8 +60,9 @@ class ComplexityVisualizer {
     
     /**
      * Show dependency graph in a webview panel
-     * @param {object} dependencyData - Dependency graph data
-     * @param {string} fileName - Name of the file being analyzed
+     * @param {object} dependencyData - Function dependency graph, module graph from WorkspaceIndex.getModuleGraph(),
+     *     or callers/callees graph from CallGraph.toGraphData()
+     * @param {string} fileName - Name of the file, workspace or function being analyzed
      */
     showDependencyGraph(dependencyData, fileName) {
         // Create or show webview panel
@@ -71,7 +72,8 @@ class ComplexityVisualizer {
         
         this._panel = vscode.window.createWebviewPanel(
             'dependencyGraph',
-            `Function Dependencies: ${fileName}`,
+            dependencyData.focus ? `${dependencyData.direction === 'callers' ? 'Callers' : 'Callees'}: ${fileName}` :
+                `${Array.isArray(dependencyData.folders) ? 'Module' : 'Function'} Dependencies: ${fileName}`,
             vscode.ViewColumn.One,
             {
                 enableScripts: true,
@@ -95,6 +97,9 @@ class ComplexityVisualizer {
                     case 'showFunctionDetail':
                         this._showFunctionDetail(message.functionName);
                         return;
+                    case 'openFile':
+                        this._openFile(message.file, message.line);
+                        return;
                 }
             },
             undefined,
@@ -110,17 +115,98 @@ class ComplexityVisualizer {
             this._disposables
         );
     }
-    
+
+    /**
+     * Show the control-flow graph of a function in a webview panel
+     * @param {object} graph - Control-flow graph from Parser.getControlFlowGraph()
+     * @param {string} fileName - Name of the file the function is in
+     * @param {vscode.Uri} uri - URI of the document, opened when a node is clicked
+     */
+    showControlFlowGraph(graph, fileName, uri) {
+        if (this._panel) {
+            this._panel.dispose();
+        }
+
+        this._panel = vscode.window.createWebviewPanel(
+            'controlFlowGraph',
+            `Control Flow: ${graph.name}`,
+            vscode.ViewColumn.Beside,
+            {
+                enableScripts: true,
+                retainContextWhenHidden: true
+            }
+        );
+
+        this._panel.webview.html = this._generateControlFlowGraphHTML(graph, fileName);
+
+        // Clicking a node jumps to its line in the source
+        this._panel.webview.onDidReceiveMessage(
+            message => {
+                if (message.command === 'revealLine') {
+                    this._revealLine(uri, message.line);
+                }
+            },
+            undefined,
+            this._disposables
+        );
+
+        this._panel.onDidDispose(
+            () => {
+                this._panel = undefined;
+            },
+            null,
+            this._disposables
+        );
+    }
+
+    /**
+     * Open a document and move the cursor to a line
+     * @private
+     */
+    async _revealLine(uri, line) {
+        try {
+            const document = await vscode.workspace.openTextDocument(uri);
+            const editor = await vscode.window.showTextDocument(document, vscode.ViewColumn.One);
+            const position = new vscode.Position(line, 0);
+            editor.selection = new vscode.Selection(position, position);
+            editor.revealRange(new vscode.Range(position, position), vscode.TextEditorRevealType.InCenter);
+        } catch (error) {
+            console.error('Error revealing control flow node:', error);
+            vscode.window.showErrorMessage(`Could not open ${uri.fsPath}`);
+        }
+    }
+
+    /**
+     * Open a module or function of a workspace graph beside the graph
+     * @private
+     */
+    async _openFile(file, line) {
+        try {
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.file(file));
+            const editor = await vscode.window.showTextDocument(document, vscode.ViewColumn.Beside);
+            if (typeof line === 'number') {
+                const position = new vscode.Position(line - 1, 0);
+                editor.selection = new vscode.Selection(position, position);
+                editor.revealRange(new vscode.Range(position, position), vscode.TextEditorRevealType.InCenter);
+            }
+        } catch (error) {
+            console.error('Error opening module:', error);
+            vscode.window.showErrorMessage(`Could not open ${file}`);
+        }
+    }
+
     /**
      * Show details for a specific function
      * @private
      */
     _showFunctionDetail(functionName, functionAnalyses) {
-        const func = functionAnalyses.find(f => f.name === functionName);
+        const func = functionAnalyses.find(f => (f.qualifiedName || f.name) === functionName);
         if (!func) return;
         
         vscode.window.showInformationMessage(
-            'Function "' + functionName + '" has cyclomatic complexity ' + func.cyclomaticComplexity + ' (' + func.complexityLevel.level + ')'
+            'Function "' + functionName + '" has cyclomatic complexity ' + func.cyclomaticComplexity + ' (' + func.complexityLevel.level + ')' +
+            ', cognitive complexity ' + func.cognitiveComplexity +
+            ' and maintainability index ' + func.maintainabilityIndex + ' (' + func.maintainabilityLevel.level + ')'
         );
     }
     
@@ -140,6 +226,8 @@ class ComplexityVisualizer {
         const maxComplexity = Math.max(...functionAnalyses.map(f => f.cyclomaticComplexity));
         const avgLineCount = functionAnalyses.reduce((sum, func) => 
             sum + func.lineCount, 0) / totalFunctions || 0;
+        const avgMaintainability = functionAnalyses.reduce((sum, func) => 
+            sum + func.maintainabilityIndex, 0) / totalFunctions || 0;
         
         // Count complexity levels
         const complexityLevels = {
@@ -151,7 +239,7 @@ class ComplexityVisualizer {
         
         // Generate chart data
         const complexityChartData = sortedFunctions.map(f => ({
-            name: f.name,
+            name: f.qualifiedName || f.name,
             value: f.cyclomaticComplexity,
             color: f.complexityLevel.color
         })).slice(0, 10); // Show top 10 most complex functions
@@ -330,6 +418,30 @@ class ComplexityVisualizer {
                     background-color: var(--card-bg);
                 }
                 
+                .cognitive-breakdown summary {
+                    cursor: pointer;
+                }
+                
+                .cognitive-breakdown ul {
+                    margin: 6px 0 0;
+                    padding-left: 18px;
+                    font-size: 12px;
+                    opacity: 0.85;
+                }
+                
+                th[data-sort] {
+                    cursor: pointer;
+                    user-select: none;
+                }
+                
+                th[data-sort].sorted-asc::after {
+                    content: ' ▲';
+                }
+                
+                th[data-sort].sorted-desc::after {
+                    content: ' ▼';
+                }
+                
                 tr {
                     transition: background-color 0.2s ease;
                 }
@@ -467,6 +579,10 @@ class ComplexityVisualizer {
                         <div class="metric-label">Average Function Length</div>
                         <div class="metric-value" data-value="${avgLineCount.toFixed(1)}">${avgLineCount.toFixed(1)} lines</div>
                     </div>
+                    <div class="metric-card">
+                        <div class="metric-label">Average Maintainability</div>
+                        <div class="metric-value" data-value="${avgMaintainability.toFixed(1)}">${avgMaintainability.toFixed(1)}</div>
+                    </div>
                 </div>
             </div>
             
@@ -491,30 +607,51 @@ class ComplexityVisualizer {
             
             <div class="section">
                 <h2>Functions Details</h2>
-                <table>
+                <p>Click a column to sort by it. The maintainability index (0-100) combines Halstead volume, cyclomatic complexity and length; lower is harder to maintain. Expand a function to see which lines add to its cognitive complexity.</p>
+                <table id="functions-table">
                     <thead>
                         <tr>
-                            <th>Function</th>
-                            <th>Lines</th>
-                            <th>Cyclomatic Complexity</th>
-                            <th>Nesting Level</th>
-                            <th>Parameters</th>
+                            <th data-sort="name">Function</th>
+                            <th data-sort="lines">Lines</th>
+                            <th data-sort="complexity" class="sorted-desc">Cyclomatic Complexity</th>
+                            <th data-sort="cognitive">Cognitive Complexity</th>
+                            <th data-sort="maintainability">Maintainability</th>
+                            <th data-sort="volume">Halstead Volume</th>
+                            <th data-sort="difficulty">Difficulty</th>
+                            <th data-sort="effort">Effort</th>
+                            <th data-sort="bugs">Est. Bugs</th>
+                            <th data-sort="nesting">Nesting Level</th>
+                            <th data-sort="parameters">Parameters</th>
                             <th>Recommendation</th>
                         </tr>
                     </thead>
                     <tbody>
                         ${sortedFunctions.map(func => `
-                        <tr>
-                            <td>${func.name}</td>
+                        <tr data-name="${func.qualifiedName || func.name}" data-lines="${func.lineCount}"
+                            data-complexity="${func.cyclomaticComplexity}" data-cognitive="${func.cognitiveComplexity}" data-maintainability="${func.maintainabilityIndex}"
+                            data-volume="${func.halstead.volume}" data-difficulty="${func.halstead.difficulty}"
+                            data-effort="${func.halstead.effort}" data-bugs="${func.halstead.bugs}"
+                            data-nesting="${func.nestingLevel}" data-parameters="${func.parameterCount}">
+                            <td>${this._generateCognitiveBreakdown(func)}</td>
                             <td>${func.lineCount}</td>
                             <td>
                                 <span class="complexity-badge" style="background-color: ${func.complexityLevel.color}">
                                     ${func.cyclomaticComplexity}
                                 </span>
                             </td>
+                            <td>${func.cognitiveComplexity}</td>
+                            <td>
+                                <span class="complexity-badge" style="background-color: ${func.maintainabilityLevel.color}">
+                                    ${func.maintainabilityIndex}
+                                </span>
+                            </td>
+                            <td>${func.halstead.volume}</td>
+                            <td>${func.halstead.difficulty}</td>
+                            <td>${func.halstead.effort}</td>
+                            <td>${func.halstead.bugs}</td>
                             <td>${func.nestingLevel}</td>
                             <td>${func.parameterCount}</td>
-                            <td>${func.complexityLevel.description}</td>
+                            <td>${func.maintainabilityIndex < 20 ? func.maintainabilityLevel.description : func.complexityLevel.description}</td>
                         </tr>
                         `).join('')}
                     </tbody>
@@ -622,6 +759,28 @@ class ComplexityVisualizer {
                         tooltip.style.top = (event.pageY + 10) + 'px';
                     }
                     
+                    // Sort the function table by the clicked column; a second click reverses the order
+                    const table = document.getElementById('functions-table');
+                    table.querySelectorAll('th[data-sort]').forEach(header => {
+                        header.addEventListener('click', () => {
+                            const key = header.getAttribute('data-sort');
+                            const descending = !header.classList.contains('sorted-desc');
+                            const tbody = table.querySelector('tbody');
+                            const rows = Array.from(tbody.querySelectorAll('tr'));
+                            
+                            rows.sort((a, b) => {
+                                const valueA = a.getAttribute('data-' + key);
+                                const valueB = b.getAttribute('data-' + key);
+                                const order = key === 'name' ? valueA.localeCompare(valueB) : parseFloat(valueA) - parseFloat(valueB);
+                                return descending ? -order : order;
+                            });
+                            rows.forEach(row => tbody.appendChild(row));
+                            
+                            table.querySelectorAll('th[data-sort]').forEach(other => other.classList.remove('sorted-asc', 'sorted-desc'));
+                            header.classList.add(descending ? 'sorted-desc' : 'sorted-asc');
+                        });
+                    });
+                    
                     // Add hover effects for table rows
                     document.querySelectorAll('tr').forEach(row => {
                         row.addEventListener('mouseenter', () => {
@@ -681,6 +840,26 @@ class ComplexityVisualizer {
         `;
     }
     
+    /**
+     * Generate a function's name with the lines that add to its cognitive complexity
+     * @private
+     */
+    _generateCognitiveBreakdown(func) {
+        const name = func.qualifiedName || func.name;
+        if (func.cognitiveBreakdown.length === 0) return name;
+        
+        return `
+            <details class="cognitive-breakdown">
+                <summary>${name}</summary>
+                <ul>
+                    ${func.cognitiveBreakdown.map(entry => `
+                    <li>Line ${entry.line + 1}: +${entry.complexity} (${entry.reasons.join(', ')})</li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+    
     /**
      * Generate dependency graph HTML
      * @private
@@ -692,6 +871,15 @@ class ComplexityVisualizer {
         const catThemeCSS = this._catThemeManager ? this._catThemeManager.getThemeCSS() : '';
         const backgroundElements = this._catThemeManager ? this._catThemeManager.getBackgroundElements() : '';
         
+        // Workspace graphs (modules, or the callers/callees of a function) come with the folders their nodes are grouped in
+        const isCallGraph = !!dependencyData.focus;
+        const isModuleGraph = Array.isArray(dependencyData.folders) && !isCallGraph;
+        const unresolvedCount = isModuleGraph ? dependencyData.unresolved.length : 0;
+        const title = isCallGraph ? (dependencyData.direction === 'callers' ? 'Callers' : 'Callees') :
+            isModuleGraph ? 'Module Dependency Graph' : 'Function Dependency Graph';
+        const subject = isCallGraph ? 'Function' : isModuleGraph ? 'Workspace' : 'File';
+        const cycleCount = (dependencyData.cycles || []).length;
+        
         return `
         <!DOCTYPE html>
         <html lang="en">
@@ -737,6 +925,34 @@ class ComplexityVisualizer {
                     stroke: var(--vscode-editor-foreground);
                     stroke-opacity: 0.4;
                 }
+                .link.cyclic {
+                    stroke: #F44336;
+                    stroke-opacity: 0.9;
+                    stroke-width: 2px;
+                }
+                .cycle-summary {
+                    color: #F44336;
+                }
+                .cycle-list {
+                    margin-top: 20px;
+                    max-height: 200px;
+                    overflow-y: auto;
+                }
+                .cycle-item {
+                    padding: 6px 10px;
+                    margin-bottom: 4px;
+                    border-left: 3px solid #F44336;
+                    border-radius: 3px;
+                    cursor: pointer;
+                    font-size: 12px;
+                }
+                .cycle-item:hover, .cycle-item.selected {
+                    background: var(--vscode-list-hoverBackground);
+                }
+                .cycle-path {
+                    font-family: var(--vscode-editor-font-family);
+                    word-break: break-all;
+                }
                 .cat-image {
                     width: 80px;
                     margin-top: 15px;
@@ -857,6 +1073,41 @@ class ComplexityVisualizer {
                     transition: all 0.3s ease;
                 }
                 
+                .folder-panel {
+                    position: absolute;
+                    top: 10px;
+                    left: 10px;
+                    background: rgba(0, 0, 0, 0.7);
+                    color: white;
+                    padding: 10px;
+                    border-radius: 5px;
+                    max-height: 250px;
+                    overflow-y: auto;
+                    z-index: 10;
+                    font-size: 12px;
+                }
+                
+                .folder-item {
+                    display: flex;
+                    align-items: center;
+                    gap: 4px;
+                    white-space: nowrap;
+                    cursor: pointer;
+                }
+                
+                .folder-swatch {
+                    width: 10px;
+                    height: 10px;
+                    border-radius: 50%;
+                    display: inline-block;
+                }
+                
+                .folder-actions {
+                    display: flex;
+                    gap: 5px;
+                    margin-top: 8px;
+                }
+                
                 @keyframes pawWiggle {
                     0%, 100% { transform: rotate(0deg); }
                     50% { transform: rotate(-10deg); }
@@ -871,8 +1122,11 @@ class ComplexityVisualizer {
             
             <div class="cat-container">
                 <div class="cat-image">${catEmoji}</div>
-                <h1>Function Dependency Graph</h1>
-                <p>File: ${fileName}</p>
+                <h1>${title}</h1>
+                <p>${subject}: ${fileName}</p>
+                ${isCallGraph ? '<p><small>Dashed links are method calls matched by name only</small></p>' : ''}
+                ${cycleCount > 0 ? `<p class="cycle-summary">🔁 ${cycleCount} ${isModuleGraph ? 'import' : 'call'} cycle${cycleCount === 1 ? '' : 's'} found, shown in red</p>` : ''}
+                ${unresolvedCount > 0 ? `<p><small>${unresolvedCount} relative import${unresolvedCount === 1 ? '' : 's'} could not be resolved</small></p>` : ''}
             </div>
             
             <div id="graph-container">
@@ -886,9 +1140,18 @@ class ComplexityVisualizer {
                     <div class="zoom-label">Wheel: Zoom</div>
                 </div>
                 <div id="node-info"></div>
+                ${isModuleGraph || isCallGraph ? `
+                <div class="folder-panel">
+                    <strong>📁 Collapse folders</strong>
+                    <div id="folder-list"></div>
+                    <div class="folder-actions">
+                        <button class="control-btn" id="collapse-all">Collapse all</button>
+                        <button class="control-btn" id="expand-all">Expand all</button>
+                    </div>
+                </div>` : ''}
             </div>
             
-            <div class="legend">
+            <div class="legend" id="legend">
                 <div class="legend-item">
                     <div class="legend-color" style="background-color: #4CAF50;"></div>
                     <span>Low Complexity (1-5)</span>
@@ -907,10 +1170,22 @@ class ComplexityVisualizer {
                 </div>
             </div>
             
+            ${cycleCount > 0 ? `
+            <div class="cycle-list">
+                <h2>🔁 Cycles</h2>
+                <p><small>Click a cycle to highlight it in the graph</small></p>
+                <div id="cycle-list"></div>
+            </div>` : ''}
+            
             <script>
                 (function() {
-                    // Graph data
-                    const data = ${JSON.stringify(dependencyData)};
+                    const vscode = acquireVsCodeApi();
+                    
+                    // Graph data; module paths may contain anything, so keep them from closing the script element
+                    const data = ${JSON.stringify(dependencyData).replace(/</g, '\\u003c')};
+                    const isGrouped = ${isModuleGraph || isCallGraph};
+                    const isCallGraph = ${isCallGraph};
+                    const cycles = data.cycles || [];
                     
                     // Initialize D3 graph
                     const container = document.getElementById('graph-container');
@@ -927,32 +1202,91 @@ class ComplexityVisualizer {
                     
                     // Node size based on complexity and importance
                     const getNodeSize = (complexity, dependencyCount) => {
-                        // Base size on complexity
-                        const baseSize = 15 + complexity * 0.8;
+                        // Base size on complexity (modules and folders have none)
+                        const baseSize = 15 + (complexity || 0) * 0.8;
                         // Adjust for number of connections (in or out)
                         const connectionBonus = Math.sqrt(dependencyCount) * 2;
                         return Math.min(45, baseSize + connectionBonus);
                     };
                     
-                    // Calculate dependency counts for each node
-                    const dependencyCounts = {};
-                    data.nodes.forEach(node => {
-                        dependencyCounts[node.id] = 0;
-                    });
+                    // Workspace graphs color modules by top-level folder (functions by file) and can collapse folders into one node
+                    const folderColor = d3.scaleOrdinal(d3.schemeTableau10);
+                    const topFolder = folder => folder.split('/')[0];
+                    const groupOf = d => isCallGraph && d.path ? d.path : topFolder(d.folder);
+                    const nodeColor = d => isGrouped ? folderColor(groupOf(d)) : getNodeColor(d.complexity);
+                    const idOf = end => typeof end === 'object' ? end.id : end;
+                    const escapeHtml = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
                     
-                    data.links.forEach(link => {
-                        if (dependencyCounts[link.source.id] !== undefined) {
-                            dependencyCounts[link.source.id]++;
-                        }
-                        if (dependencyCounts[link.target.id] !== undefined) {
-                            dependencyCounts[link.target.id]++;
-                        }
-                    });
+                    // Folders shown as a single node; large workspaces start with their top-level folders collapsed
+                    const collapsed = new Set();
+                    if (isGrouped && data.nodes.length > 60) {
+                        data.folders.filter(folder => folder.parent === '.').forEach(folder => collapsed.add(folder.path));
+                    }
                     
-                    // Add dependency count to node data
-                    data.nodes.forEach(node => {
-                        node.dependencyCount = dependencyCounts[node.id] || 0;
-                    });
+                    // The outermost collapsed folder a module is in, if any
+                    const collapsedFolderOf = folder => {
+                        let found = null;
+                        collapsed.forEach(candidate => {
+                            if ((folder === candidate || folder.startsWith(candidate + '/')) &&
+                                (!found || candidate.length < found.length)) {
+                                found = candidate;
+                            }
+                        });
+                        return found;
+                    };
+                    
+                    // Nodes and links left once collapsed folders replace their modules
+                    const visibleGraph = () => {
+                        if (!isGrouped) {
+                            return { nodes: data.nodes, links: data.links };
+                        }
+                        
+                        const nodesById = new Map();
+                        const visibleId = new Map();
+                        data.nodes.forEach(module => {
+                            const folder = collapsedFolderOf(module.folder);
+                            if (!folder) {
+                                nodesById.set(module.id, module);
+                                visibleId.set(module.id, module.id);
+                                return;
+                            }
+                            
+                            const id = folder + '/';
+                            if (!nodesById.has(id)) {
+                                const info = data.folders.find(entry => entry.path === folder);
+                                nodesById.set(id, {
+                                    id,
+                                    label: '📁 ' + folder.split('/').pop(),
+                                    folder,
+                                    isFolder: true,
+                                    modules: info ? info.modules : 0,
+                                    complexity: 0
+                                });
+                            }
+                            // A folder takes part in the first cycle of its modules
+                            if (module.cycle !== undefined && nodesById.get(id).cycle === undefined) {
+                                nodesById.get(id).cycle = module.cycle;
+                            }
+                            visibleId.set(module.id, id);
+                        });
+                        
+                        // Links between modules of the same collapsed folder disappear, the rest are merged
+                        const links = new Map();
+                        data.links.forEach(link => {
+                            const source = visibleId.get(idOf(link.source));
+                            const target = visibleId.get(idOf(link.target));
+                            if (!source || !target || source === target) return;
+                            
+                            const key = source + ' -> ' + target;
+                            if (!links.has(key)) {
+                                links.set(key, { source, target, count: 0, cyclic: false });
+                            }
+                            links.get(key).count++;
+                            links.get(key).cyclic = links.get(key).cyclic || !!link.cyclic;
+                        });
+                        
+                        return { nodes: Array.from(nodesById.values()), links: Array.from(links.values()) };
+                    };
 
                     // Create SVG with zoom support
                     const svg = d3.select('#graph')
@@ -974,169 +1308,333 @@ class ComplexityVisualizer {
                     // Create a group for all elements that should be zoomed
                     const g = svg.append('g');
                         
-                    // Create arrow marker for links
-                    svg.append('defs').append('marker')
-                        .attr('id', 'arrowhead')
-                        .attr('viewBox', '-0 -5 10 10')
-                        .attr('refX', 20)
-                        .attr('refY', 0)
-                        .attr('orient', 'auto')
-                        .attr('markerWidth', 10)
-                        .attr('markerHeight', 10)
-                        .attr('xoverflow', 'visible')
-                        .append('svg:path')
-                        .attr('d', 'M 0,-5 L 10 ,0 L 0,5')
-                        .attr('fill', '#999')
-                        .style('stroke', 'none');
-                    
-                    // Create paw prints along the links
-                    const pawPrintsGroup = g.append('g').attr('class', 'paw-prints');
+                    // Create arrow markers for links, red for links inside a cycle
+                    const markers = svg.append('defs');
+                    [['arrowhead', '#999'], ['arrowhead-cycle', '#F44336']].forEach(([id, color]) => {
+                        markers.append('marker')
+                            .attr('id', id)
+                            .attr('viewBox', '-0 -5 10 10')
+                            .attr('refX', 20)
+                            .attr('refY', 0)
+                            .attr('orient', 'auto')
+                            .attr('markerWidth', 10)
+                            .attr('markerHeight', 10)
+                            .attr('xoverflow', 'visible')
+                            .append('svg:path')
+                            .attr('d', 'M 0,-5 L 10 ,0 L 0,5')
+                            .attr('fill', color)
+                            .style('stroke', 'none');
+                    });
                     
                     // Paw print path data (small cat paw SVG)
                     const pawPrintPath = "M0,0 C1,0.5 2,-0.5 3,0 C4,0.5 5,-0.5 6,0 C6.5,1 6,-0.5 7,0.5 C8,1.5 7,2.5 6,2 C5,1.5 4,3 3,2 C2,1 1,2.5 0,2 C-1,1.5 -1,0.5 0,0";
                     
-                    // Add paw prints to each link
-                    data.links.forEach(link => {
-                        // Create 2-3 paw prints along each link with different sizes/rotations
-                        const numPaws = 2 + Math.floor(Math.random() * 2);
-                        const linkId = typeof link.source === 'object' ? 
-                            link.source.id + "-" + link.target.id :
-                            link.source + "-" + link.target;
+                    // Drawn graph, replaced whenever a folder is collapsed or expanded
+                    let simulation = null;
+                    let currentNodes = [];
+                    let currentLinks = [];
+                    let link = g.selectAll('line');
+                    let node = g.selectAll('.node');
+                    
+                    function render() {
+                        const graph = visibleGraph();
+                        currentNodes = graph.nodes;
+                        currentLinks = graph.links;
+                        
+                        if (simulation) {
+                            simulation.stop();
+                        }
+                        g.selectAll('*').remove();
                         
-                        for (let i = 0; i < numPaws; i++) {
-                            // Position along the path (distribute evenly)
-                            const position = (i + 1) / (numPaws + 1);
+                        // Calculate dependency counts for each node
+                        const dependencyCounts = {};
+                        currentNodes.forEach(node => {
+                            dependencyCounts[node.id] = 0;
+                        });
+                        
+                        currentLinks.forEach(link => {
+                            if (dependencyCounts[idOf(link.source)] !== undefined) {
+                                dependencyCounts[idOf(link.source)]++;
+                            }
+                            if (dependencyCounts[idOf(link.target)] !== undefined) {
+                                dependencyCounts[idOf(link.target)]++;
+                            }
+                        });
+                        
+                        // Add dependency count to node data
+                        currentNodes.forEach(node => {
+                            node.dependencyCount = dependencyCounts[node.id] || 0;
+                        });
+                        
+                        // Create paw prints along the links
+                        const pawPrintsGroup = g.append('g').attr('class', 'paw-prints');
+                        
+                        // Add paw prints to each link
+                        currentLinks.forEach(link => {
+                            // Create 2-3 paw prints along each link with different sizes/rotations
+                            const numPaws = 2 + Math.floor(Math.random() * 2);
+                            const linkId = idOf(link.source) + ' -> ' + idOf(link.target);
+                            const target = currentNodes.find(n => n.id === idOf(link.target));
                             
-                            // Random rotation and size variation
-                            const rotation = Math.random() * 360;
-                            const size = 0.8 + Math.random() * 0.4; // 0.8-1.2
+                            for (let i = 0; i < numPaws; i++) {
+                                // Position along the path (distribute evenly)
+                                const position = (i + 1) / (numPaws + 1);
+                                
+                                // Random rotation and size variation
+                                const rotation = Math.random() * 360;
+                                const size = 0.8 + Math.random() * 0.4; // 0.8-1.2
+                                
+                                pawPrintsGroup.append('path')
+                                    .attr('class', 'paw-print')
+                                    .attr('d', pawPrintPath)
+                                    .attr('fill', nodeColor(target))
+                                    .attr('transform', 'scale(' + size + ')')
+                                    .attr('data-linkId', linkId)
+                                    .attr('data-position', position)
+                                    .attr('linkId', linkId)
+                                    .attr('opacity', 0.3)
+                                    .attr('stroke', 'none')
+                                    .style('pointer-events', 'none');
+                            }
+                        });
+                        
+                        // Create force simulation
+                        simulation = d3.forceSimulation(currentNodes)
+                            .force('link', d3.forceLink(currentLinks).id(d => d.id).distance(150))
+                            .force('charge', d3.forceManyBody().strength(-500))
+                            .force('center', d3.forceCenter(width / 2, height / 2))
+                            .force('collision', d3.forceCollide().radius(60));
+                        
+                        // Create links
+                        link = g.append('g')
+                            .selectAll('line')
+                            .data(currentLinks)
+                            .enter().append('line')
+                            .attr('class', d => d.cyclic ? 'link cyclic' : 'link')
+                            .attr('stroke-dasharray', d => d.approximate ? '4 3' : null)
+                            .attr('marker-end', d => d.cyclic ? 'url(#arrowhead-cycle)' : 'url(#arrowhead)');
+                        
+                        // Create nodes
+                        node = g.append('g')
+                            .selectAll('.node')
+                            .data(currentNodes)
+                            .enter().append('g')
+                            .attr('class', 'node')
+                            .on('mouseover', highlightConnectedNodes)
+                            .on('mouseout', resetHighlighting)
+                            .on('click', nodeClicked)
+                            .call(d3.drag()
+                                .on('start', dragstarted)
+                                .on('drag', dragged)
+                                .on('end', dragended));
+                        
+                        // Add circles to nodes with gradient fills
+                        node.append('circle')
+                            .attr('class', 'cat-gradient-node')
+                            .attr('r', d => getNodeSize(d.complexity, d.dependencyCount))
+                            .attr('fill', d => {
+                                if (isGrouped) return nodeColor(d);
+                                if (d.complexity <= 5) return 'url(#gradient-low)';
+                                if (d.complexity <= 10) return 'url(#gradient-medium)';
+                                if (d.complexity <= 20) return 'url(#gradient-high)';
+                                return 'url(#gradient-veryhigh)';
+                            })
+                            .attr('stroke', d => d.focus ? '#FFFFFF' : d.cycle !== undefined ? '#F44336' : nodeColor(d))
+                            .attr('stroke-width', d => d.focus ? 4 : d.cycle !== undefined ? 3 : 2)
+                            .attr('stroke-opacity', 0.8);
+                        
+                        // Add a hidden larger circle for better hovering
+                        node.append('circle')
+                            .attr('r', d => getNodeSize(d.complexity, d.dependencyCount) + 10)
+                            .attr('fill', 'transparent')
+                            .style('pointer-events', 'all');
+                        
+                        // Add a pounce animation circle (initially hidden)
+                        node.append('circle')
+                            .attr('class', 'pounce-circle')
+                            .attr('r', d => getNodeSize(d.complexity, d.dependencyCount))
+                            .attr('fill', 'rgba(255, 255, 255, 0.5)')
+                            .attr('stroke', '#FFF')
+                            .attr('stroke-width', 1)
+                            .style('opacity', 0)
+                            .style('pointer-events', 'none');
+                        
+                        // Add text to nodes
+                        node.append('text')
+                            .attr('dy', 4)
+                            .attr('text-anchor', 'middle')
+                            .text(d => d.label || d.id)
+                            .style('pointer-events', 'none')
+                            .attr('class', 'node-text');
+                        
+                        // Update positions on simulation tick
+                        simulation.on('tick', () => {
+                            link
+                                .attr('x1', d => d.source.x)
+                                .attr('y1', d => d.source.y)
+                                .attr('x2', d => d.target.x)
+                                .attr('y2', d => d.target.y);
                             
-                            pawPrintsGroup.append('path')
-                                .attr('class', 'paw-print')
-                                .attr('d', pawPrintPath)
-                                .attr('fill', typeof link.target === 'object' ? 
-                                    getNodeColor(link.target.complexity) :
-                                    getNodeColor(data.nodes.find(n => n.id === link.target).complexity))
-                                .attr('transform', 'scale(' + size + ')')
-                                .attr('data-linkId', linkId)
-                                .attr('data-position', position)
-                                .attr('linkId', linkId)
-                                .attr('opacity', 0.3)
-                                .attr('stroke', 'none')
-                                .style('pointer-events', 'none');
-                        }
-                    });
-                    
-                    // Create force simulation
-                    const simulation = d3.forceSimulation(data.nodes)
-                        .force('link', d3.forceLink(data.links).id(d => d.id).distance(150))
-                        .force('charge', d3.forceManyBody().strength(-500))
-                        .force('center', d3.forceCenter(width / 2, height / 2))
-                        .force('collision', d3.forceCollide().radius(60));
-                    
-                    // Create links
-                    const link = g.append('g')
-                        .selectAll('line')
-                        .data(data.links)
-                        .enter().append('line')
-                        .attr('class', 'link')
-                        .attr('marker-end', 'url(#arrowhead)');
-                    
-                    // Create nodes
-                    const node = g.append('g')
-                        .selectAll('.node')
-                        .data(data.nodes)
-                        .enter().append('g')
-                        .attr('class', 'node')
-                        .on('mouseover', highlightConnectedNodes)
-                        .on('mouseout', resetHighlighting)
-                        .on('click', pounceAnimation)
-                        .call(d3.drag()
-                            .on('start', dragstarted)
-                            .on('drag', dragged)
-                            .on('end', dragended));
-                    
-                    // Add circles to nodes with gradient fills
-                    node.append('circle')
-                        .attr('class', 'cat-gradient-node')
-                        .attr('r', d => getNodeSize(d.complexity, d.dependencyCount))
-                        .attr('fill', d => {
-                            if (d.complexity <= 5) return 'url(#gradient-low)';
-                            if (d.complexity <= 10) return 'url(#gradient-medium)';
-                            if (d.complexity <= 20) return 'url(#gradient-high)';
-                            return 'url(#gradient-veryhigh)';
-                        })
-                        .attr('stroke', d => getNodeColor(d.complexity))
-                        .attr('stroke-width', 2)
-                        .attr('stroke-opacity', 0.8);
-                    
-                    // Add a hidden larger circle for better hovering
-                    node.append('circle')
-                        .attr('r', d => getNodeSize(d.complexity, d.dependencyCount) + 10)
-                        .attr('fill', 'transparent')
-                        .style('pointer-events', 'all');
+                            // Update paw prints positions along the links
+                            pawPrintsGroup.selectAll('.paw-print').each(function() {
+                                const pawPrint = d3.select(this);
+                                const linkId = pawPrint.attr('linkId');
+                                const position = parseFloat(pawPrint.attr('data-position'));
+                                const rotation = Math.random() * 360; // Random rotation for playfulness
+                                
+                                // Find the corresponding link
+                                const sourceTargetIds = linkId.split(' -> ');
+                                const sourceId = sourceTargetIds[0];
+                                const targetId = sourceTargetIds[1];
+                                
+                                // Find the actual nodes
+                                const sourceNode = currentNodes.find(n => n.id === sourceId);
+                                const targetNode = currentNodes.find(n => n.id === targetId);
+                                
+                                if (sourceNode && targetNode) {
+                                    // Calculate position along the path
+                                    const x = sourceNode.x + (targetNode.x - sourceNode.x) * position;
+                                    const y = sourceNode.y + (targetNode.y - sourceNode.y) * position;
+                                    
+                                    // Calculate angle for proper rotation along the path
+                                    const angle = Math.atan2(targetNode.y - sourceNode.y, targetNode.x - sourceNode.x) * 180 / Math.PI;
+                                    
+                                    // Set the transform with proper positioning and rotation
+                                    const scales = pawPrint.attr('transform').match(/scale\\(([^)]+)\\)/);
+                                    if (scales && scales[1]) {
+                                        pawPrint.attr('transform', 'translate(' + x + ', ' + y + ') rotate(' + angle + ' ' + rotation + ') scale(' + scales[1] + ')');
+                                    }
+                                }
+                            });
+                            
+                            node
+                                .attr('transform', d => 'translate(' + d.x + ', ' + d.y + ')');
+                        });
+                        
+                        highlightCycle();
+                    }
                     
-                    // Add a pounce animation circle (initially hidden)
-                    node.append('circle')
-                        .attr('class', 'pounce-circle')
-                        .attr('r', d => getNodeSize(d.complexity, d.dependencyCount))
-                        .attr('fill', 'rgba(255, 255, 255, 0.5)')
-                        .attr('stroke', '#FFF')
-                        .attr('stroke-width', 1)
-                        .style('opacity', 0)
-                        .style('pointer-events', 'none');
+                    // List each cycle with the path that goes around it
+                    let selectedCycle = null;
+                    function renderCycleList() {
+                        const list = document.getElementById('cycle-list');
+                        if (!list) return;
+                        
+                        const labelOf = id => {
+                            const entry = data.nodes.find(candidate => candidate.id === id);
+                            return isCallGraph && entry ? entry.label : id;
+                        };
+                        const unit = isCallGraph || !isGrouped ? 'functions' : 'modules';
+                        
+                        cycles.forEach((cycle, position) => {
+                            const item = document.createElement('div');
+                            item.className = 'cycle-item';
+                            item.innerHTML = '<strong></strong><div class="cycle-path"></div>';
+                            item.firstChild.textContent = 'Cycle ' + (position + 1) + ' · ' + cycle.nodes.length + ' ' + unit;
+                            item.lastChild.textContent = cycle.path.map(labelOf).join(' → ');
+                            item.addEventListener('click', () => {
+                                selectedCycle = selectedCycle === position ? null : position;
+                                list.querySelectorAll('.cycle-item').forEach((other, index) => {
+                                    other.classList.toggle('selected', index === selectedCycle);
+                                });
+                                
+                                // Expand the folders hiding the modules of the cycle
+                                let expanded = false;
+                                if (selectedCycle !== null && isGrouped) {
+                                    data.nodes.filter(entry => entry.cycle === position).forEach(entry => {
+                                        const folder = collapsedFolderOf(entry.folder);
+                                        if (folder) {
+                                            collapsed.delete(folder);
+                                            expanded = true;
+                                        }
+                                    });
+                                }
+                                if (expanded) {
+                                    renderFolderPanel();
+                                    render();
+                                } else {
+                                    highlightCycle();
+                                }
+                            });
+                            list.appendChild(item);
+                        });
+                    }
                     
-                    // Add text to nodes
-                    node.append('text')
-                        .attr('dy', 4)
-                        .attr('text-anchor', 'middle')
-                        .text(d => d.id)
-                        .style('pointer-events', 'none')
-                        .attr('class', 'node-text');
+                    // Dim everything outside the selected cycle
+                    function highlightCycle() {
+                        const inCycle = d => selectedCycle === null || d.cycle === selectedCycle;
+                        
+                        node.selectAll('circle')
+                            .filter(function() { return !this.classList.contains('pounce-circle'); })
+                            .transition().duration(200)
+                            .attr('fill-opacity', d => inCycle(d) ? 1.0 : 0.2);
+                        node.selectAll('text')
+                            .transition().duration(200)
+                            .attr('fill-opacity', d => inCycle(d) ? 1.0 : 0.2);
+                        link.style('opacity', d => selectedCycle === null || (d.cyclic && d.source.cycle === selectedCycle) ? null : 0.15);
+                    }
                     
-                    // Update positions on simulation tick
-                    simulation.on('tick', () => {
-                        link
-                            .attr('x1', d => d.source.x)
-                            .attr('y1', d => d.source.y)
-                            .attr('x2', d => d.target.x)
-                            .attr('y2', d => d.target.y);
+                    // List the folders with a checkbox to collapse each one
+                    function renderFolderPanel() {
+                        const list = document.getElementById('folder-list');
+                        list.innerHTML = '';
                         
-                        // Update paw prints positions along the links
-                        pawPrintsGroup.selectAll('.paw-print').each(function() {
-                            const pawPrint = d3.select(this);
-                            const linkId = pawPrint.attr('linkId');
-                            const position = parseFloat(pawPrint.attr('data-position'));
-                            const rotation = Math.random() * 360; // Random rotation for playfulness
+                        data.folders.filter(folder => folder.path !== '.').forEach(folder => {
+                            const item = document.createElement('label');
+                            item.className = 'folder-item';
+                            item.style.paddingLeft = ((folder.path.split('/').length - 1) * 12) + 'px';
                             
-                            // Find the corresponding link
-                            const sourceTargetIds = linkId.split('-');
-                            const sourceId = sourceTargetIds[0];
-                            const targetId = sourceTargetIds[1];
+                            const checkbox = document.createElement('input');
+                            checkbox.type = 'checkbox';
+                            checkbox.checked = collapsed.has(folder.path);
+                            checkbox.addEventListener('change', () => {
+                                if (checkbox.checked) {
+                                    collapsed.add(folder.path);
+                                } else {
+                                    collapsed.delete(folder.path);
+                                }
+                                render();
+                            });
                             
-                            // Find the actual nodes
-                            const sourceNode = data.nodes.find(n => n.id === sourceId);
-                            const targetNode = data.nodes.find(n => n.id === targetId);
+                            const swatch = document.createElement('span');
+                            swatch.className = 'folder-swatch';
+                            swatch.style.backgroundColor = folderColor(topFolder(folder.path));
                             
-                            if (sourceNode && targetNode) {
-                                // Calculate position along the path
-                                const x = sourceNode.x + (targetNode.x - sourceNode.x) * position;
-                                const y = sourceNode.y + (targetNode.y - sourceNode.y) * position;
-                                
-                                // Calculate angle for proper rotation along the path
-                                const angle = Math.atan2(targetNode.y - sourceNode.y, targetNode.x - sourceNode.x) * 180 / Math.PI;
-                                
-                                // Set the transform with proper positioning and rotation
-                                const scales = pawPrint.attr('transform').match(/scale\(([^)]+)\)/);
-                                if (scales && scales[1]) {
-                                    pawPrint.attr('transform', 'translate(' + x + ', ' + y + ') rotate(' + angle + ' ' + rotation + ') scale(' + scales[1] + ')');
-                                }
-                            }
+                            item.appendChild(checkbox);
+                            if (!isCallGraph) item.appendChild(swatch);
+                            item.appendChild(document.createTextNode(folder.path.split('/').pop() + ' (' + folder.modules + ')'));
+                            list.appendChild(item);
+                        });
+                    }
+                    
+                    if (isGrouped) {
+                        // Folder (or file) colors replace the complexity legend
+                        const legend = document.getElementById('legend');
+                        legend.innerHTML = '';
+                        Array.from(new Set(data.nodes.map(groupOf))).forEach(group => {
+                            const item = document.createElement('div');
+                            item.className = 'legend-item';
+                            item.innerHTML = '<div class="legend-color"></div><span></span>';
+                            item.firstChild.style.backgroundColor = folderColor(group);
+                            item.lastChild.textContent = group === '.' ? '(workspace root)' : group;
+                            legend.appendChild(item);
                         });
                         
-                        node
-                            .attr('transform', d => 'translate(' + d.x + ', ' + d.y + ')');
-                    });
+                        document.getElementById('collapse-all').addEventListener('click', () => {
+                            data.folders.filter(folder => folder.parent === '.').forEach(folder => collapsed.add(folder.path));
+                            renderFolderPanel();
+                            render();
+                        });
+                        document.getElementById('expand-all').addEventListener('click', () => {
+                            collapsed.clear();
+                            renderFolderPanel();
+                            render();
+                        });
+                        renderFolderPanel();
+                    }
+                    
+                    renderCycleList();
+                    render();
                     
                     // Drag functions
                     function dragstarted(event, d) {
@@ -1160,16 +1658,14 @@ class ComplexityVisualizer {
                     // Highlight connected nodes function
                     function highlightConnectedNodes(event, d) {
                         // Show node info
-                        document.getElementById('node-info').innerHTML = 
-                            '<strong>' + d.id + '</strong><br>' +
-                            '<small>Complexity: ' + d.complexity + '</small><br>';
+                        document.getElementById('node-info').innerHTML = describeNode(d);
                         document.getElementById('node-info').style.display = 'block';
                         
                         // Get connected nodes
                         const connectedNodeIds = new Set();
                         
                         // Find all nodes connected to the hovered node
-                        data.links.forEach(link => {
+                        currentLinks.forEach(link => {
                             if (typeof link.source === 'object') {
                                 if (link.source.id === d.id) {
                                     connectedNodeIds.add(typeof link.target === 'object' ? link.target.id : link.target);
@@ -1213,6 +1709,46 @@ class ComplexityVisualizer {
                             });
                     }
                     
+                    // Text shown for the hovered node
+                    function describeNode(d) {
+                        if (!isGrouped) {
+                            // Function graphs list what each function calls and is called by
+                            const dependencies = data.dependencies && data.dependencies[d.id];
+                            return '<strong>' + escapeHtml(d.label || d.id) + '</strong><br>' +
+                                '<small>Complexity: ' + d.complexity + '</small><br>' +
+                                (dependencies && dependencies.calls.length ? '<small>Calls: ' + escapeHtml(dependencies.calls.join(', ')) + '</small><br>' : '') +
+                                (dependencies && dependencies.calledBy.length ? '<small>Called by: ' + escapeHtml(dependencies.calledBy.join(', ')) + '</small><br>' : '');
+                        }
+                        if (d.isFolder) {
+                            return '<strong>📁 ' + escapeHtml(d.folder) + '/</strong><br>' +
+                                '<small>' + d.modules + (isCallGraph ? ' functions' : ' modules') + ', click to expand</small>';
+                        }
+                        if (isCallGraph) {
+                            return '<strong>' + escapeHtml(d.label) + '</strong><br>' +
+                                '<small>' + escapeHtml(d.path) + ':' + d.line + '</small><br>' +
+                                '<small>Calls ' + d.calls + ' functions, called by ' + d.calledBy + '</small>' +
+                                '<br><small>Click to open</small>';
+                        }
+                        return '<strong>' + escapeHtml(d.id) + '</strong><br>' +
+                            '<small>Imports ' + d.imports + ' modules, imported by ' + d.importedBy + '</small>' +
+                            (d.packages.length ? '<br><small>Packages: ' + escapeHtml(d.packages.join(', ')) + '</small>' : '') +
+                            '<br><small>Click to open</small>';
+                    }
+                    
+                    // Pounce on the node; modules and functions open in the editor and folder nodes expand
+                    function nodeClicked(event, d) {
+                        pounceAnimation.call(this, event, d);
+                        if (!isGrouped) return;
+                        
+                        if (d.isFolder) {
+                            collapsed.delete(d.folder);
+                            renderFolderPanel();
+                            render();
+                        } else {
+                            vscode.postMessage({ command: 'openFile', file: d.file, line: d.line });
+                        }
+                    }
+                    
                     // Reset node and link highlighting
                     function resetHighlighting() {
                         // Hide node info
@@ -1232,6 +1768,8 @@ class ComplexityVisualizer {
                         link.transition().duration(200)
                             .attr('stroke-opacity', 0.4)
                             .attr('stroke-width', 1);
+                        
+                        highlightCycle();
                     }
                     
                     // Add a cat "pounce" animation to nodes when clicked
@@ -1327,6 +1865,390 @@ class ComplexityVisualizer {
         `;
     }
     
+    /**
+     * Generate control-flow graph HTML: nodes are laid out in layers from the entry
+     * down to the exit, with loops drawn as edges curving back up
+     * @private
+     */
+    _generateControlFlowGraphHTML(graph, fileName) {
+        const catEmoji = this._catThemeManager ? this._catThemeManager.getCatEmoji() : '🐱';
+        const catThemeCSS = this._catThemeManager ? this._catThemeManager.getThemeCSS() : '';
+        const backgroundElements = this._catThemeManager ? this._catThemeManager.getBackgroundElements() : '';
+
+        const reachableNodes = graph.nodes.filter(node => node.reachable);
+        const reachableEdges = graph.edges.filter(edge => graph.nodes[edge.from].reachable);
+        const unreachableCount = graph.nodes.length - reachableNodes.length;
+
+        // Labels are source code, so keep them from closing the script element
+        const data = JSON.stringify({ nodes: graph.nodes, edges: graph.edges }).replace(/</g, '\\u003c');
+
+        return `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>WhiskerCode Control Flow Graph</title>
+            <script src="https://d3js.org/d3.v7.min.js"></script>
+            <style>
+                body {
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
+                    padding: 20px;
+                    color: var(--vscode-foreground);
+                    background-color: var(--vscode-editor-background);
+                    margin: 0;
+                }
+                h1 {
+                    color: var(--vscode-editor-foreground);
+                }
+                .cat-container {
+                    text-align: center;
+                    margin-bottom: 20px;
+                }
+                .cat-image {
+                    font-size: 60px;
+                    line-height: 1;
+                }
+                .formula {
+                    font-size: 16px;
+                    font-weight: bold;
+                }
+                #graph-container {
+                    width: 100%;
+                    height: 600px;
+                    border: 1px solid var(--vscode-panel-border);
+                    border-radius: 8px;
+                    overflow: hidden;
+                    position: relative;
+                }
+                #graph {
+                    width: 100%;
+                    height: 100%;
+                }
+                .node {
+                    cursor: pointer;
+                }
+                .node text {
+                    font-family: var(--vscode-editor-font-family, monospace);
+                    font-size: 12px;
+                    fill: #fff;
+                    pointer-events: none;
+                    user-select: none;
+                }
+                .node.unreachable {
+                    opacity: 0.5;
+                }
+                .node.unreachable .shape {
+                    stroke-dasharray: 4 3;
+                }
+                .node:hover .shape {
+                    stroke-width: 3px;
+                }
+                .edge {
+                    fill: none;
+                    stroke: var(--vscode-editor-foreground);
+                    stroke-opacity: 0.5;
+                    stroke-width: 1.5px;
+                }
+                .edge.back {
+                    stroke-dasharray: 6 3;
+                }
+                .edge-label {
+                    font-size: 11px;
+                    fill: var(--vscode-descriptionForeground);
+                }
+                .controls {
+                    position: absolute;
+                    top: 10px;
+                    right: 10px;
+                    background: rgba(0, 0, 0, 0.7);
+                    padding: 10px;
+                    border-radius: 5px;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 5px;
+                    z-index: 10;
+                }
+                .control-btn {
+                    cursor: pointer;
+                    background: var(--vscode-button-background);
+                    color: var(--vscode-button-foreground);
+                    border: none;
+                    border-radius: 3px;
+                    padding: 5px 10px;
+                    font-size: 14px;
+                }
+                .control-btn:hover {
+                    background: var(--vscode-button-hoverBackground);
+                }
+                .legend {
+                    display: flex;
+                    margin-top: 20px;
+                    gap: 20px;
+                    justify-content: center;
+                    flex-wrap: wrap;
+                }
+                .legend-item {
+                    display: flex;
+                    align-items: center;
+                    gap: 5px;
+                }
+                .legend-color {
+                    width: 15px;
+                    height: 15px;
+                    border-radius: 3px;
+                }
+
+                /* Add cat theme CSS */
+                ${catThemeCSS}
+            </style>
+        </head>
+        <body>
+            ${backgroundElements}
+
+            <div class="cat-container">
+                <div class="cat-image">${catEmoji}</div>
+                <h1>Control Flow Graph</h1>
+                <p>Function <strong>${graph.name}</strong> in ${fileName}</p>
+                <p class="formula">Cyclomatic complexity: E - N + 2 = ${reachableEdges.length} - ${reachableNodes.length} + 2 = ${graph.cyclomaticComplexity}</p>
+                ${unreachableCount ? `<p>${unreachableCount} unreachable node${unreachableCount === 1 ? '' : 's'} (dashed) left out of the count</p>` : ''}
+                <p>Click a node to jump to its line.</p>
+            </div>
+
+            <div id="graph-container">
+                <div id="graph"></div>
+                <div class="controls">
+                    <button class="control-btn" id="zoom-in">➕ Zoom In</button>
+                    <button class="control-btn" id="zoom-out">➖ Zoom Out</button>
+                    <button class="control-btn" id="zoom-reset">🔄 Reset</button>
+                </div>
+            </div>
+
+            <div class="legend">
+                <div class="legend-item"><div class="legend-color" style="background-color: #4CAF50;"></div><span>Entry / Exit</span></div>
+                <div class="legend-item"><div class="legend-color" style="background-color: #607D8B;"></div><span>Statements</span></div>
+                <div class="legend-item"><div class="legend-color" style="background-color: #FF9800;"></div><span>Condition / Case</span></div>
+                <div class="legend-item"><div class="legend-color" style="background-color: #2196F3;"></div><span>try / catch / finally</span></div>
+                <div class="legend-item"><div class="legend-color" style="background-color: #9C27B0;"></div><span>break / continue</span></div>
+                <div class="legend-item"><div class="legend-color" style="background-color: #F44336;"></div><span>return / throw</span></div>
+            </div>
+
+            <script>
+                (function() {
+                    const vscode = acquireVsCodeApi();
+                    const data = ${data};
+
+                    const NODE_COLORS = {
+                        entry: '#4CAF50', exit: '#4CAF50',
+                        block: '#607D8B', loop: '#607D8B',
+                        condition: '#FF9800', case: '#FF9800',
+                        try: '#2196F3', catch: '#2196F3', finally: '#2196F3',
+                        break: '#9C27B0', continue: '#9C27B0',
+                        return: '#F44336', throw: '#F44336'
+                    };
+                    const NODE_HEIGHT = 32;
+                    const LAYER_GAP = 90;
+                    const COLUMN_GAP = 220;
+
+                    // Loops show up as edges back to a node still on the depth-first path
+                    const outgoing = new Map(data.nodes.map(node => [node.id, []]));
+                    data.edges.forEach(edge => outgoing.get(edge.from).push(edge));
+                    const state = new Map();
+                    const backEdges = new Set();
+                    const visit = id => {
+                        state.set(id, 'open');
+                        outgoing.get(id).forEach(edge => {
+                            if (state.get(edge.to) === 'open') {
+                                backEdges.add(edge);
+                            } else if (!state.has(edge.to)) {
+                                visit(edge.to);
+                            }
+                        });
+                        state.set(id, 'done');
+                    };
+                    data.nodes.forEach(node => {
+                        if (!state.has(node.id)) visit(node.id);
+                    });
+
+                    // Each node sits one layer below the deepest node leading to it
+                    const layer = new Map(data.nodes.map(node => [node.id, 0]));
+                    const incoming = new Map(data.nodes.map(node => [node.id, 0]));
+                    const forwardEdges = data.edges.filter(edge => !backEdges.has(edge));
+                    forwardEdges.forEach(edge => incoming.set(edge.to, incoming.get(edge.to) + 1));
+                    const queue = data.nodes.filter(node => incoming.get(node.id) === 0).map(node => node.id);
+                    while (queue.length) {
+                        const id = queue.shift();
+                        outgoing.get(id).filter(edge => !backEdges.has(edge)).forEach(edge => {
+                            layer.set(edge.to, Math.max(layer.get(edge.to), layer.get(id) + 1));
+                            incoming.set(edge.to, incoming.get(edge.to) - 1);
+                            if (incoming.get(edge.to) === 0) queue.push(edge.to);
+                        });
+                    }
+                    layer.set(1, Math.max(...layer.values()) + 1);
+
+                    const layers = new Map();
+                    data.nodes.forEach(node => {
+                        const row = layers.get(layer.get(node.id)) || [];
+                        row.push(node);
+                        layers.set(layer.get(node.id), row);
+                    });
+                    layers.forEach((row, index) => {
+                        row.forEach((node, column) => {
+                            node.x = (column - (row.length - 1) / 2) * COLUMN_GAP;
+                            node.y = index * LAYER_GAP;
+                            node.width = Math.max(70, node.label.length * 7 + 24);
+                        });
+                    });
+
+                    // Edges between the same two nodes are drawn once, with both labels
+                    const drawnEdges = new Map();
+                    data.edges.forEach(edge => {
+                        const key = edge.from + '>' + edge.to;
+                        const drawn = drawnEdges.get(key);
+                        if (drawn) {
+                            if (edge.label) drawn.labels.push(edge.label);
+                        } else {
+                            drawnEdges.set(key, {
+                                source: data.nodes[edge.from],
+                                target: data.nodes[edge.to],
+                                labels: edge.label ? [edge.label] : [],
+                                back: backEdges.has(edge)
+                            });
+                        }
+                    });
+
+                    const container = document.getElementById('graph-container');
+                    const width = container.clientWidth;
+                    const height = container.clientHeight;
+
+                    const svg = d3.select('#graph')
+                        .append('svg')
+                        .attr('width', width)
+                        .attr('height', height);
+                    const g = svg.append('g');
+
+                    const zoom = d3.zoom()
+                        .scaleExtent([0.1, 4])
+                        .on('zoom', event => g.attr('transform', event.transform));
+                    svg.call(zoom);
+
+                    svg.append('defs').append('marker')
+                        .attr('id', 'arrowhead')
+                        .attr('viewBox', '0 -5 10 10')
+                        .attr('refX', 10)
+                        .attr('refY', 0)
+                        .attr('orient', 'auto')
+                        .attr('markerWidth', 8)
+                        .attr('markerHeight', 8)
+                        .append('path')
+                        .attr('d', 'M 0,-5 L 10,0 L 0,5')
+                        .attr('fill', '#999');
+
+                    const edgePath = edge => {
+                        const { source, target } = edge;
+                        if (edge.back || source === target) {
+                            // Loop back along the right-hand side of both nodes
+                            const x1 = source.x + source.width / 2;
+                            const x2 = target.x + target.width / 2;
+                            const bulge = Math.max(x1, x2) + 60 + Math.abs(source.y - target.y) / 4;
+                            return 'M ' + x1 + ',' + source.y + ' C ' + bulge + ',' + source.y + ' ' +
+                                bulge + ',' + target.y + ' ' + x2 + ',' + target.y;
+                        }
+                        const y1 = source.y + NODE_HEIGHT / 2;
+                        const y2 = target.y - NODE_HEIGHT / 2;
+                        const middle = (y1 + y2) / 2;
+                        return 'M ' + source.x + ',' + y1 + ' C ' + source.x + ',' + middle + ' ' +
+                            target.x + ',' + middle + ' ' + target.x + ',' + y2;
+                    };
+
+                    const edges = Array.from(drawnEdges.values());
+                    g.append('g').selectAll('path')
+                        .data(edges)
+                        .join('path')
+                        .attr('class', edge => 'edge' + (edge.back ? ' back' : ''))
+                        .attr('d', edgePath)
+                        .attr('marker-end', 'url(#arrowhead)');
+
+                    g.append('g').selectAll('text')
+                        .data(edges.filter(edge => edge.labels.length))
+                        .join('text')
+                        .attr('class', 'edge-label')
+                        .attr('x', edge => edge.back
+                            ? Math.max(edge.source.x + edge.source.width / 2, edge.target.x + edge.target.width / 2) + 50
+                            : (edge.source.x + edge.target.x) / 2 + 6)
+                        .attr('y', edge => (edge.source.y + edge.target.y) / 2)
+                        .text(edge => edge.labels.join(' / '));
+
+                    const nodes = g.append('g').selectAll('g')
+                        .data(data.nodes)
+                        .join('g')
+                        .attr('class', node => 'node' + (node.reachable ? '' : ' unreachable'))
+                        .attr('transform', node => 'translate(' + node.x + ',' + node.y + ')')
+                        .on('click', (event, node) => {
+                            vscode.postMessage({ command: 'revealLine', line: node.line });
+                        });
+
+                    nodes.each(function(node) {
+                        const group = d3.select(this);
+                        const color = NODE_COLORS[node.type] || '#607D8B';
+                        const w = node.width / 2;
+                        const h = NODE_HEIGHT / 2;
+
+                        let shape;
+                        if (node.type === 'condition' || node.type === 'case') {
+                            // Decisions are drawn as hexagons
+                            shape = group.append('polygon')
+                                .attr('points', [[-w, 0], [-w + 12, -h], [w - 12, -h], [w, 0], [w - 12, h], [-w + 12, h]].join(' '));
+                        } else {
+                            const radius = node.type === 'entry' || node.type === 'exit' ? h : 4;
+                            shape = group.append('rect')
+                                .attr('x', -w)
+                                .attr('y', -h)
+                                .attr('width', node.width)
+                                .attr('height', NODE_HEIGHT)
+                                .attr('rx', radius);
+                        }
+
+                        shape
+                            .attr('class', 'shape')
+                            .attr('fill', color)
+                            .attr('stroke', d3.color(color).darker(1));
+
+                        group.append('text')
+                            .attr('text-anchor', 'middle')
+                            .attr('dy', '0.35em')
+                            .text(node.label);
+
+                        group.append('title')
+                            .text('Line ' + (node.line + 1) + ': ' + node.label);
+                    });
+
+                    // Start with the whole graph in view
+                    const fit = () => {
+                        const bounds = g.node().getBBox();
+                        const scale = Math.min(1.5, 0.9 * Math.min(width / bounds.width, height / bounds.height));
+                        const transform = d3.zoomIdentity
+                            .translate(width / 2, height / 2)
+                            .scale(scale)
+                            .translate(-(bounds.x + bounds.width / 2), -(bounds.y + bounds.height / 2));
+                        svg.transition().duration(500).call(zoom.transform, transform);
+                    };
+                    fit();
+
+                    document.getElementById('zoom-in').addEventListener('click', () => {
+                        svg.transition().duration(300).call(zoom.scaleBy, 1.3);
+                    });
+                    document.getElementById('zoom-out').addEventListener('click', () => {
+                        svg.transition().duration(300).call(zoom.scaleBy, 0.7);
+                    });
+                    document.getElementById('zoom-reset').addEventListener('click', fit);
+                })();
+            </script>
+        </body>
+        </html>
+        `;
+    }
+
     /**
      * Generate distribution segment
      * @private
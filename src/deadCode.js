@@ -0,0 +1,794 @@
+const { walk, isFunctionNode, getBindingIdentifiers } = require('./syntax/syntaxTree');
+const { Suppressions } = require('./suppressions');
+
+// Expressions that can be deleted without losing a side effect
+const REMOVABLE_NODES = new Set([
+    'Literal', 'Identifier', 'ThisExpression', 'FunctionExpression', 'ArrowFunctionExpression', 'ClassExpression'
+]);
+
+// TypeScript modifiers that turn a constructor parameter into a class property
+const PARAMETER_PROPERTY_PATTERN = /\b(?:public|private|protected|readonly|override)\b|@/;
+
+// Marks a module whose exports are all in use
+const ALL_EXPORTS = '*';
+
+/**
+ * Dead Code Finder for WhiskerCode
+ * Finds code nothing uses across the workspace: functions and methods that are
+ * never called or referenced, exports no other module imports, trailing
+ * parameters that are never read, and variables that are never read. Each
+ * finding carries the edits that delete it, when they can be made safely.
+ *
+ * Modules no other module imports are treated as entry points (the extension
+ * main module, tests, tool configs), so their exports are not reported.
+ */
+class DeadCodeFinder {
+    /**
+     * @param {Map<string, object>} files - Modules from WorkspaceIndex.load()
+     * @param {CallGraph} callGraph - Call graph of the same modules
+     * @param {{resolveModule: Function}} [index] - Resolves import specifiers; without it no export is reported
+     */
+    constructor(files, callGraph, index = null) {
+        this.files = files;
+        this.callGraph = callGraph;
+        this.index = index;
+
+        this._modules = new Map();
+        this._accessedNames = new Set();
+        this._passedNames = new Set();
+        this._escapedClasses = new Set();
+        this._classNames = new Set();
+        this._superClassNames = new Map();
+        this._methodClasses = new Map();
+        this._instanceNames = [];
+    }
+
+    /**
+     * Find the dead code of the workspace
+     * @returns {Array<object>} Findings sorted by file and position: `rule` (unused-function, unused-export,
+     *     unused-parameter or unused-variable), `file`, `name`, `message`, `start`/`end` offsets and zero-based
+     *     line/column `range` of the name, and `fix` with a `title` and `edits` ({start, end, range, text})
+     *     that delete the code, or null
+     */
+    find() {
+        for (const info of this.files.values()) {
+            if (!/\.d\.[mc]?ts$/.test(info.file)) {
+                this._indexModule(info);
+            }
+        }
+        for (const { name, className } of this._instanceNames) {
+            if (this._passedNames.has(name)) this._escapedClasses.add(className);
+        }
+
+        const usedExports = this._collectUsedExports();
+        const findings = [];
+        for (const module of this._modules.values()) {
+            const moduleFindings = [
+                ...this._findUnusedExports(module, usedExports.get(module.info.file)),
+                ...this._findUnusedFunctions(module),
+                ...this._findUnusedParameters(module),
+                ...this._findUnusedVariables(module)
+            ];
+            findings.push(...new Suppressions(module.info.text, module.info.language)
+                .apply(moduleFindings, finding => finding.rule, finding => finding.range.start.line + 1));
+        }
+
+        return findings.sort((a, b) => a.file.localeCompare(b.file) || a.start - b.start);
+    }
+
+    /**
+     * Record the parents, references and exported bindings of a module, and the
+     * member names and arguments it uses
+     * @private
+     */
+    _indexModule(info) {
+        const component = info.tree.component;
+        const module = {
+            info,
+            parents: new Map(),
+            references: new Map(),
+            exportedIdentifiers: new Set(info.exports.map(entry => entry.local).filter(Boolean)),
+            // Top-level names of plain scripts may be used by other scripts on the page
+            isScript: !component && info.imports.length === 0 && info.exports.length === 0,
+            templateNames: new Set(component && component.template ? component.template.references.map(reference => reference.name) : []),
+            functionNames: new Map()
+        };
+        this._modules.set(info.file, module);
+
+        for (const reference of info.analysis.references) {
+            module.references.set(reference.identifier, reference);
+        }
+
+        walk(info.tree, {
+            enter: (node, parent) => {
+                if (parent) module.parents.set(node, parent);
+
+                if ((node.type === 'ClassDeclaration' || node.type === 'ClassExpression') && node.id) {
+                    this._classNames.add(node.id.name);
+                    if (node.superClass && node.superClass.type === 'Identifier') {
+                        this._superClassNames.set(node.id.name, node.superClass.name);
+                    }
+                } else if (node.type === 'MethodDefinition' && !node.computed) {
+                    const cls = module.parents.get(parent);
+                    const name = this._keyName(node.key);
+                    if (cls && cls.id) {
+                        if (!this._methodClasses.has(name)) this._methodClasses.set(name, new Set());
+                        this._methodClasses.get(name).add(cls.id.name);
+                    }
+                } else if (node.type === 'MemberExpression') {
+                    const name = node.computed ? this._stringValue(node.property) : this._keyName(node.property);
+                    const isDefinition = parent && parent.type === 'AssignmentExpression' && parent.operator === '=' && parent.left === node;
+                    if (name && !isDefinition) this._accessedNames.add(name);
+                } else if (node.type === 'Property' && parent && parent.type === 'ObjectPattern' && !node.computed) {
+                    this._accessedNames.add(this._keyName(node.key));
+                } else if (node.type === 'Literal' && typeof node.value === 'string' && /^[A-Za-z_$#][\w$]*$/.test(node.value)) {
+                    // Names used for dynamic access: obj[name], 'name' in obj
+                    this._accessedNames.add(node.value);
+                } else if (node.type === 'CallExpression' || node.type === 'NewExpression') {
+                    node.arguments.forEach(argument => this._recordEscape(argument));
+                } else if (node.type === 'ReturnStatement' || node.type === 'ExportDefaultDeclaration') {
+                    this._recordEscape(node.argument || node.declaration);
+                } else if (node.type === 'VariableDeclarator' || node.type === 'AssignmentExpression') {
+                    // Instances stored under a name escape when that name is passed on
+                    const target = node.type === 'VariableDeclarator' ? node.id : node.left;
+                    const value = this._unwrap(node.type === 'VariableDeclarator' ? node.init : node.right);
+                    const name = target.type === 'Identifier' ? target.name :
+                        target.type === 'MemberExpression' && !target.computed ? this._keyName(target.property) : null;
+                    if (name) {
+                        this._constructedClasses(value).forEach(className => this._instanceNames.push({ name, className }));
+                    }
+                }
+            }
+        });
+
+        for (const entry of this.callGraph.functions.values()) {
+            if (entry.file === info.file && entry.kind !== 'module') {
+                module.functionNames.set(entry.node, entry);
+            }
+        }
+    }
+
+    /**
+     * Record a value handed to code outside the module's control
+     * @private
+     */
+    _recordEscape(node) {
+        const value = this._unwrap(node);
+        if (!value) return;
+
+        if (value.type === 'Identifier') {
+            this._passedNames.add(value.name);
+        } else if (value.type === 'MemberExpression' && !value.computed) {
+            this._passedNames.add(this._keyName(value.property));
+        } else if (value.type === 'SpreadElement') {
+            this._recordEscape(value.argument);
+        } else {
+            this._constructedClasses(value).forEach(className => this._escapedClasses.add(className));
+        }
+    }
+
+    /**
+     * Get the classes an expression may construct: `new Foo()`, also as a branch of `?:`, `&&` or `||`
+     * @private
+     */
+    _constructedClasses(node) {
+        const value = this._unwrap(node);
+        if (!value) return [];
+        if (value.type === 'NewExpression') {
+            return value.callee.type === 'Identifier' ? [value.callee.name] : [];
+        }
+        if (value.type === 'ConditionalExpression') {
+            return this._constructedClasses(value.consequent).concat(this._constructedClasses(value.alternate));
+        }
+        if (value.type === 'LogicalExpression') {
+            return this._constructedClasses(value.left).concat(this._constructedClasses(value.right));
+        }
+        return [];
+    }
+
+    /**
+     * Collect the export names each module has imported from it
+     * @private
+     * @returns {Map<string, Set<string>|string>} Used names by file, or ALL_EXPORTS
+     */
+    _collectUsedExports() {
+        const used = new Map();
+        if (!this.index) return used;
+
+        const use = (file, name) => {
+            if (!file || used.get(file) === ALL_EXPORTS) return;
+            if (name === ALL_EXPORTS) {
+                used.set(file, ALL_EXPORTS);
+                return;
+            }
+            if (!used.has(file)) used.set(file, new Set());
+            if (name !== null) used.get(file).add(name);
+        };
+
+        for (const info of this.files.values()) {
+            for (const record of info.imports) {
+                const file = this.index.resolveModule(info.file, record.source, this.files);
+                const target = file && this.files.get(file);
+                if (!target) continue;
+
+                // A bare require() or import() hands out the whole module
+                const wholeModule = record.imported === '*' || (record.imported === null && record.kind !== 'import') ||
+                    (record.imported === 'default' && target.exports.some(entry => entry.commonjs));
+                use(file, wholeModule ? ALL_EXPORTS : record.imported);
+            }
+            for (const entry of info.exports) {
+                if (!entry.source) continue;
+                const file = this.index.resolveModule(info.file, entry.source, this.files);
+                if (file && this.files.has(file)) use(file, entry.imported);
+            }
+        }
+        return used;
+    }
+
+    /**
+     * Report the exports no other module imports, for modules that are imported
+     * @private
+     */
+    _findUnusedExports(module, used) {
+        if (!used || used === ALL_EXPORTS) return [];
+
+        const findings = [];
+        for (const entry of module.info.exports) {
+            // Re-exports, `export *` and whole-module CommonJS exports stay
+            if (entry.source || entry.exported === '*' || used.has(entry.exported)) continue;
+            if (entry.commonjs && (entry.exported === 'default' || entry.node.type === 'TSExportAssignment')) continue;
+
+            const nameNode = entry.local || (entry.node.type === 'Property' ? entry.node.key : entry.node);
+            const fix = this._exportRemoval(module, entry);
+            findings.push(this._finding(module, 'unused-export', entry.exported, nameNode,
+                `Export '${entry.exported}' is never imported in the workspace` +
+                (fix && fix.keepsDeclaration ? ', only used in its own module' : ''),
+                fix && { title: fix.keepsDeclaration ? `Remove the export of '${entry.exported}'` : `Delete unused export '${entry.exported}'`, edits: fix.edits }));
+        }
+        return findings;
+    }
+
+    /**
+     * Report the functions and methods that are never called or referenced
+     * @private
+     */
+    _findUnusedFunctions(module) {
+        const findings = [];
+        for (const entry of module.functionNames.values()) {
+            if (['constructor', 'getter', 'setter'].includes(entry.kind)) continue;
+            if (this.callGraph.callersOf(entry.id).some(caller => caller.function.id !== entry.id)) continue;
+
+            const declaration = this._functionDeclaration(module, entry);
+            if (!declaration || this._isFunctionUsed(module, entry, declaration)) continue;
+
+            const edits = this._removalOf(module, declaration.node);
+            findings.push(this._finding(module, 'unused-function', entry.qualifiedName, declaration.nameNode,
+                `Function '${entry.qualifiedName}' is never called`,
+                edits && { title: `Delete unused function '${entry.qualifiedName}'`, edits }));
+        }
+        return findings;
+    }
+
+    /**
+     * Find what declares a function: its binding, class member, object member or
+     * prototype assignment. Functions handed straight to other code have none.
+     * @private
+     * @returns {{node: object, nameNode: object, variable: object|null, memberName: string|null}|null}
+     */
+    _functionDeclaration(module, entry) {
+        const node = entry.node;
+        const parent = module.parents.get(node);
+        if (!parent) return null;
+
+        if (node.type === 'FunctionDeclaration') {
+            if (!node.id || parent.type === 'ExportNamedDeclaration' || parent.type === 'ExportDefaultDeclaration') return null;
+            return { node, nameNode: node.id, variable: this._variableOf(module, node.id), memberName: null };
+        }
+
+        if (parent.type === 'VariableDeclarator' && parent.init === node && parent.id.type === 'Identifier') {
+            if (this._isExported(module, parent)) return null;
+            return { node: parent, nameNode: parent.id, variable: this._variableOf(module, parent.id), memberName: null };
+        }
+
+        if ((parent.type === 'MethodDefinition' || parent.type === 'PropertyDefinition') && parent.value === node && !parent.computed) {
+            const cls = module.parents.get(module.parents.get(parent));
+            if (!cls || (parent.decorators && parent.decorators.length > 0) || this._isOpenClass(cls)) return null;
+            return { node: parent, nameNode: parent.key, variable: null, memberName: this._keyName(parent.key) };
+        }
+
+        if (parent.type === 'Property' && parent.value === node && !parent.computed) {
+            // Only members of an object kept in a variable that is never passed on
+            const object = module.parents.get(parent);
+            const declarator = object && module.parents.get(object);
+            if (!declarator || declarator.type !== 'VariableDeclarator' || declarator.init !== object || declarator.id.type !== 'Identifier') return null;
+
+            const variable = this._variableOf(module, declarator.id);
+            const onlyMemberAccess = variable && variable.references.every(reference => {
+                if (reference.isDeclaration) return true;
+                const referenceParent = module.parents.get(reference.identifier);
+                return referenceParent && referenceParent.type === 'MemberExpression' && referenceParent.object === reference.identifier;
+            });
+            if (!onlyMemberAccess || this._isExported(module, declarator)) return null;
+            return { node: parent, nameNode: parent.key, variable: null, memberName: this._keyName(parent.key) };
+        }
+
+        if (parent.type === 'AssignmentExpression' && parent.right === node && this._isPrototypeMember(parent.left)) {
+            const statement = module.parents.get(parent);
+            return statement && statement.type === 'ExpressionStatement'
+                ? { node: statement, nameNode: parent.left.property, variable: null, memberName: parent.left.property.name }
+                : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a function is referenced other than by calls the call graph saw
+     * @private
+     */
+    _isFunctionUsed(module, entry, declaration) {
+        if (declaration.memberName !== null) {
+            return this._accessedNames.has(declaration.memberName);
+        }
+
+        const variable = declaration.variable;
+        if (!variable || module.templateNames.has(variable.name)) return true;
+        if (module.isScript && variable.scope === module.info.analysis.globalScope) return true;
+        if (variable.identifiers.some(identifier => module.exportedIdentifiers.has(identifier))) return true;
+
+        // Passed as a callback, stored or exported; recursion does not count
+        return variable.references.some(reference => !reference.isDeclaration &&
+            reference.access !== 'write' &&
+            !(reference.identifier.start >= entry.node.start && reference.identifier.end <= entry.node.end));
+    }
+
+    /**
+     * Report the trailing parameters of each function that are never read
+     * @private
+     */
+    _findUnusedParameters(module) {
+        const findings = [];
+        const text = module.info.text;
+
+        walk(module.info.tree, {
+            enter: (node, parent) => {
+                if (!isFunctionNode(node) || !node.body || node.params.length === 0) return;
+                if (parent && parent.type === 'MethodDefinition' && parent.kind === 'set') return;
+                if (node.type !== 'ArrowFunctionExpression' && this._usesArguments(node)) return;
+                if (parent && parent.type === 'MethodDefinition' && this._isOverridden(module, parent)) return;
+
+                const entry = module.functionNames.get(node);
+                // Parameters before a used one keep their position, so only trailing ones can go
+                for (let index = node.params.length - 1; index >= 0; index--) {
+                    const param = node.params[index];
+                    const identifiers = getBindingIdentifiers(param);
+                    if (identifiers.some(identifier => this._isRead(module, identifier))) break;
+
+                    const target = param.type === 'AssignmentPattern' ? param.left :
+                        param.type === 'RestElement' ? param.argument : param;
+                    if (target.type !== 'Identifier' || target.name === 'this' || target.name.startsWith('_')) continue;
+
+                    const before = text.substring(index === 0 ? node.start : node.params[index - 1].end, param.start);
+                    if (PARAMETER_PROPERTY_PATTERN.test(before.slice(before.lastIndexOf(index === 0 ? '(' : ',') + 1))) break;
+
+                    findings.push(this._finding(module, 'unused-parameter', target.name, target,
+                        `Parameter '${target.name}'${entry ? ` of '${entry.qualifiedName}'` : ''} is never read`,
+                        { title: `Delete unused parameter '${target.name}'`, edits: this._parameterRemoval(module, node, index) }));
+                }
+            }
+        });
+        return findings;
+    }
+
+    /**
+     * Report variables that are never read
+     * @private
+     */
+    _findUnusedVariables(module) {
+        const findings = [];
+        const analysis = module.info.analysis;
+
+        for (const scope of analysis.scopes) {
+            for (const variable of scope.variables.values()) {
+                if (!['var', 'let', 'const'].includes(variable.kind) || variable.name.startsWith('_')) continue;
+                if (variable.references.some(reference => reference.access === 'read' || reference.access === 'readwrite')) continue;
+                if (module.templateNames.has(variable.name) || (module.isScript && scope === analysis.globalScope)) continue;
+
+                const identifier = variable.identifiers[0];
+                if (!identifier || module.exportedIdentifiers.has(identifier)) continue;
+
+                const declarator = this._declaratorOf(module, identifier);
+                if (!declarator || isFunctionNode(declarator.init) || (declarator.init && declarator.init.type === 'ClassExpression')) continue;
+
+                const declaration = module.parents.get(declarator);
+                const statement = module.parents.get(declaration);
+                if (declaration.declare || this._isExported(module, declarator) ||
+                    (statement && (statement.type === 'ForInStatement' || statement.type === 'ForOfStatement') && statement.left === declaration)) {
+                    continue;
+                }
+                if (!this._isRemovableBinding(module, identifier, declarator)) continue;
+
+                const writes = variable.references.filter(reference => !reference.isDeclaration && reference.access === 'write');
+                const edits = declarator.id === identifier ? this._variableRemoval(module, declarator, writes) : null;
+                findings.push(this._finding(module, 'unused-variable', variable.name, identifier,
+                    `Variable '${variable.name}' is ${declarator.init || writes.length > 0 ? 'assigned' : 'declared'} but never used`,
+                    edits && { title: `Delete unused variable '${variable.name}'`, edits }));
+            }
+        }
+        return findings;
+    }
+
+    /**
+     * Check whether a destructured binding can go on its own: array elements hold
+     * a position and object properties next to a rest element pick what it leaves out
+     * @private
+     */
+    _isRemovableBinding(module, identifier, declarator) {
+        for (let node = identifier; node !== declarator; node = module.parents.get(node)) {
+            const parent = module.parents.get(node);
+            if (parent.type === 'ArrayPattern') return false;
+            if (parent.type === 'ObjectPattern' && parent.properties.some(property => property.type === 'RestElement')) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Build the edits deleting an unused variable with its declaration and the
+     * statements that only assign it
+     * @private
+     */
+    _variableRemoval(module, declarator, writes) {
+        const edits = [];
+        for (const write of writes) {
+            const assignment = module.parents.get(write.identifier);
+            const statement = assignment && module.parents.get(assignment);
+            if (!assignment || assignment.type !== 'AssignmentExpression' || assignment.left !== write.identifier ||
+                !statement || statement.type !== 'ExpressionStatement' || !this._isRemovable(assignment.right)) {
+                return null;
+            }
+            edits.push(...this._lineRemoval(module, statement.start, statement.end));
+        }
+
+        if (!declarator.init || this._isRemovable(declarator.init)) {
+            edits.push(...this._removalOf(module, declarator));
+            return edits;
+        }
+
+        // Keep the side effects of the initializer as a statement of its own
+        const declaration = module.parents.get(declarator);
+        const statement = module.parents.get(declaration);
+        if (declaration.declarations.length !== 1 || !statement || !Array.isArray(statement.body)) return null;
+        const init = module.info.text.substring(declarator.init.start, declarator.init.end);
+        const needsParentheses = /^\s*(?:\{|function\b|class\b)/.test(init);
+        edits.push({ start: declaration.start, end: declaration.end, text: needsParentheses ? `(${init});` : `${init};` });
+        return edits;
+    }
+
+    /**
+     * Build the edits deleting an export, or just its `export` keyword when the
+     * module still uses the binding
+     * @private
+     * @returns {{edits: Array<object>, keepsDeclaration: boolean}|null}
+     */
+    _exportRemoval(module, entry) {
+        const statement = entry.node;
+
+        if (statement.type === 'Property') {
+            const object = module.parents.get(statement);
+            return { edits: this._listItemRemoval(object.properties, statement), keepsDeclaration: false };
+        }
+
+        if (statement.type === 'AssignmentExpression') {
+            // exports.name = value
+            const expressionStatement = module.parents.get(statement);
+            if (!expressionStatement || expressionStatement.type !== 'ExpressionStatement' || !this._isRemovable(statement.right)) return null;
+            return { edits: this._lineRemoval(module, expressionStatement.start, expressionStatement.end), keepsDeclaration: false };
+        }
+
+        if (statement.type === 'ExportNamedDeclaration' && !statement.declaration) {
+            const specifier = statement.specifiers.find(item => this._keyName(item.exported) === entry.exported);
+            const edits = statement.specifiers.length === 1
+                ? this._lineRemoval(module, statement.start, statement.end)
+                : this._listItemRemoval(statement.specifiers, specifier);
+            return { edits, keepsDeclaration: false };
+        }
+
+        const declaration = statement.declaration;
+        if (declaration.type === 'VariableDeclaration' &&
+            (declaration.declarations.length !== 1 || declaration.declarations[0].id.type !== 'Identifier')) {
+            return null;
+        }
+
+        const isDeclaration = /Declaration$/.test(declaration.type);
+        const variable = entry.local ? this._variableOf(module, entry.local) : null;
+        const usedLocally = variable && variable.references.some(reference => !reference.isDeclaration &&
+            reference.access !== 'write' &&
+            !(reference.identifier.start >= statement.start && reference.identifier.end <= statement.end));
+
+        if (usedLocally && isDeclaration) {
+            return { edits: [{ start: statement.start, end: declaration.start, text: '' }], keepsDeclaration: true };
+        }
+        if (usedLocally || (!isDeclaration && !this._isRemovable(declaration))) return null;
+        return { edits: this._lineRemoval(module, statement.start, statement.end), keepsDeclaration: false };
+    }
+
+    /**
+     * Build the edits deleting a declaration node: a whole statement or class
+     * member, a variable declarator or an object-literal property
+     * @private
+     */
+    _removalOf(module, node) {
+        if (node.type === 'VariableDeclarator') {
+            const declaration = module.parents.get(node);
+            if (declaration.declarations.length > 1) {
+                return this._listItemRemoval(declaration.declarations, node);
+            }
+            return this._lineRemoval(module, declaration.start, declaration.end);
+        }
+        if (node.type === 'Property') {
+            return this._listItemRemoval(module.parents.get(node).properties, node);
+        }
+        return this._lineRemoval(module, node.start, node.end);
+    }
+
+    /**
+     * Build the edit deleting a parameter with its separating comma
+     * @private
+     */
+    _parameterRemoval(module, func, index) {
+        const param = func.params[index];
+
+        // `x => ...` needs its parentheses back once the only parameter is gone
+        if (func.params.length === 1 && func.type === 'ArrowFunctionExpression' &&
+            !module.info.text.substring(func.start, param.start).includes('(')) {
+            return [{ start: param.start, end: param.end, text: '()' }];
+        }
+        return this._listItemRemoval(func.params, param);
+    }
+
+    /**
+     * Build the edit deleting one item of a comma-separated list
+     * @private
+     */
+    _listItemRemoval(items, item) {
+        const index = items.indexOf(item);
+        if (index < items.length - 1) {
+            return [{ start: item.start, end: items[index + 1].start, text: '' }];
+        }
+        if (index > 0) {
+            return [{ start: items[index - 1].end, end: item.end, text: '' }];
+        }
+        return [{ start: item.start, end: item.end, text: '' }];
+    }
+
+    /**
+     * Build the edit deleting a range, taking its comments and whole lines along
+     * when nothing else shares them
+     * @private
+     */
+    _lineRemoval(module, start, end) {
+        const text = module.info.text;
+
+        // Doc comments directly above describe the code being deleted; line comments
+        // only do when nothing else follows before a blank line
+        const following = text.substring(end).match(/^[ \t;]*\r?\n([^\n]*)/);
+        const endsGroup = !following || /^\s*(?:\}.*)?$/.test(following[1]);
+        const comments = module.info.tree.comments || [];
+        for (let i = comments.length - 1; i >= 0; i--) {
+            const comment = comments[i];
+            if (comment.end > start) continue;
+            const gap = text.substring(comment.end, start);
+            if (!/^\s*$/.test(gap) || /\n[ \t]*\r?\n/.test(gap)) break;
+            if (comment.type === 'Line' ? !endsGroup : !comment.value.startsWith('*')) break;
+            start = comment.start;
+        }
+
+        const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+        let lineEnd = text.indexOf('\n', end);
+        if (lineEnd === -1) lineEnd = text.length;
+
+        if (/^[ \t]*$/.test(text.substring(lineStart, start)) && /^[ \t;]*\r?$/.test(text.substring(end, lineEnd))) {
+            // Take the blank line above along when the code stood between blank lines or ended a block
+            const removeEnd = Math.min(lineEnd + 1, text.length);
+            const previousStart = lineStart > 0 ? text.lastIndexOf('\n', lineStart - 2) + 1 : lineStart;
+            const nextLine = text.substring(removeEnd).split('\n', 1)[0];
+            const removeStart = lineStart > 0 && /^[ \t]*\r?$/.test(text.substring(previousStart, lineStart - 1)) &&
+                /^[ \t]*(?:\r?$|[}\]])/.test(nextLine) ? previousStart : lineStart;
+            return [{ start: removeStart, end: removeEnd, text: '' }];
+        }
+        return [{ start, end, text: '' }];
+    }
+
+    /**
+     * Check whether an expression can be deleted without losing a side effect
+     * @private
+     */
+    _isRemovable(node) {
+        if (!node) return true;
+        if (REMOVABLE_NODES.has(node.type)) return true;
+
+        switch (node.type) {
+            case 'TemplateLiteral':
+                return node.expressions.every(expression => this._isRemovable(expression));
+            case 'ArrayExpression':
+                return node.elements.every(element => !element || this._isRemovable(element));
+            case 'ObjectExpression':
+                return node.properties.every(property => property.type === 'Property' &&
+                    (!property.computed || this._isRemovable(property.key)) && this._isRemovable(property.value));
+            case 'UnaryExpression':
+                return node.operator !== 'delete' && this._isRemovable(node.argument);
+            case 'BinaryExpression':
+            case 'LogicalExpression':
+                return this._isRemovable(node.left) && this._isRemovable(node.right);
+            case 'ConditionalExpression':
+                return this._isRemovable(node.test) && this._isRemovable(node.consequent) && this._isRemovable(node.alternate);
+            case 'MemberExpression':
+                return !node.computed && this._isRemovable(node.object);
+            case 'ParenthesizedExpression':
+            case 'TSAsExpression':
+            case 'TSNonNullExpression':
+                return this._isRemovable(node.expression);
+            case 'CallExpression':
+                // Unused require() calls are dropped along with their binding
+                return node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+                    node.arguments.length === 1 && node.arguments[0].type === 'Literal';
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Check whether a class may have its methods called by code outside the
+     * workspace: it extends an outside class, implements an interface, or its
+     * instances are handed to other code
+     * @private
+     */
+    _isOpenClass(cls) {
+        if (cls.implements && cls.implements.length > 0) return true;
+        if (cls.decorators && cls.decorators.length > 0) return true;
+
+        const name = cls.id ? cls.id.name : null;
+        if (!name || this._escapedClasses.has(name)) return true;
+        return !!cls.superClass && (cls.superClass.type !== 'Identifier' || !this._classNames.has(cls.superClass.name));
+    }
+
+    /**
+     * Check whether a method overrides, or is overridden by, a method of another
+     * workspace class, so its parameters are part of a shared signature
+     * @private
+     */
+    _isOverridden(module, method) {
+        const cls = module.parents.get(module.parents.get(method));
+        const owners = this._methodClasses.get(this._keyName(method.key));
+        if (!cls || !cls.id || !owners || owners.size < 2) return false;
+
+        const extendsClass = (name, ancestor) => {
+            const seen = new Set();
+            for (let current = this._superClassNames.get(name); current && !seen.has(current); current = this._superClassNames.get(current)) {
+                if (current === ancestor) return true;
+                seen.add(current);
+            }
+            return false;
+        };
+        return Array.from(owners).some(owner => owner !== cls.id.name &&
+            (extendsClass(owner, cls.id.name) || extendsClass(cls.id.name, owner)));
+    }
+
+    /**
+     * Check whether any binding identifier of a parameter is read
+     * @private
+     */
+    _isRead(module, identifier) {
+        const variable = this._variableOf(module, identifier);
+        return !variable || variable.references.some(reference => reference.access === 'read' || reference.access === 'readwrite');
+    }
+
+    /**
+     * Check whether a non-arrow function reads `arguments`
+     * @private
+     */
+    _usesArguments(func) {
+        let found = false;
+        walk(func.body, {
+            enter: node => {
+                if (found || (isFunctionNode(node) && node.type !== 'ArrowFunctionExpression')) return false;
+                if (node.type === 'Identifier' && node.name === 'arguments') found = true;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Check whether a declarator belongs to an exported declaration
+     * @private
+     */
+    _isExported(module, declarator) {
+        const declaration = module.parents.get(declarator);
+        const parent = declaration && module.parents.get(declaration);
+        return !!parent && parent.type === 'ExportNamedDeclaration';
+    }
+
+    /**
+     * Check whether a node is `Foo.prototype.bar`
+     * @private
+     */
+    _isPrototypeMember(node) {
+        return node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier' &&
+            node.object.type === 'MemberExpression' && !node.object.computed && node.object.property.name === 'prototype';
+    }
+
+    /**
+     * Find the declarator a binding identifier belongs to
+     * @private
+     */
+    _declaratorOf(module, identifier) {
+        let node = module.parents.get(identifier);
+        while (node && node.type !== 'VariableDeclarator') {
+            if (!['Property', 'ObjectPattern', 'ArrayPattern', 'AssignmentPattern', 'RestElement'].includes(node.type)) return null;
+            node = module.parents.get(node);
+        }
+        return node || null;
+    }
+
+    /**
+     * @private
+     */
+    _variableOf(module, identifier) {
+        const reference = identifier && module.references.get(identifier);
+        return reference ? reference.variable : null;
+    }
+
+    /**
+     * Get the name of a property key or member
+     * @private
+     */
+    _keyName(node) {
+        if (!node) return null;
+        if (node.type === 'Identifier') return node.name;
+        if (node.type === 'PrivateIdentifier') return `#${node.name}`;
+        if (node.type === 'Literal') return String(node.value);
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _stringValue(node) {
+        return node && node.type === 'Literal' && typeof node.value === 'string' ? node.value : null;
+    }
+
+    /**
+     * @private
+     */
+    _unwrap(node) {
+        while (node && (node.type === 'ParenthesizedExpression' || node.type === 'TSAsExpression' || node.type === 'TSNonNullExpression')) {
+            node = node.expression;
+        }
+        return node;
+    }
+
+    /**
+     * @private
+     */
+    _finding(module, rule, name, node, message, fix) {
+        const lineIndex = module.info.tree.lineIndex;
+        const rangeOf = (start, end) => ({ start: lineIndex.positionAt(start), end: lineIndex.positionAt(end) });
+        return {
+            rule,
+            file: module.info.file,
+            name,
+            message,
+            start: node.start,
+            end: node.end,
+            range: rangeOf(node.start, node.end),
+            fix: fix ? {
+                title: fix.title,
+                edits: fix.edits.map(edit => Object.assign({ range: rangeOf(edit.start, edit.end) }, edit))
+            } : null
+        };
+    }
+}
+
+module.exports = {
+    DeadCodeFinder
+};
@@ -0,0 +1,120 @@
+const vscode = require('vscode');
+const { createSuppressAction } = require('./codeLensProvider');
+
+// Diagnostic codes of the dead code findings
+const DEAD_CODE_RULES = new Set(['unused-function', 'unused-export', 'unused-parameter', 'unused-variable']);
+
+/**
+ * Dead Code Diagnostics for WhiskerCode
+ * Shows the findings of Find Dead Code in the Problems panel, faded out in the
+ * editor, and provides the quick fixes that delete or suppress them
+ */
+class DeadCodeDiagnostics {
+    constructor() {
+        this.collection = vscode.languages.createDiagnosticCollection('whiskercode-dead-code');
+        this._fixes = new Map();
+    }
+
+    /**
+     * Replace the reported dead code with new findings
+     * @param {Array<object>} findings - Findings from DeadCodeFinder.find()
+     */
+    update(findings) {
+        this.collection.clear();
+        this._fixes.clear();
+
+        const byFile = new Map();
+        for (const finding of findings) {
+            if (!byFile.has(finding.file)) byFile.set(finding.file, []);
+            byFile.get(finding.file).push(finding);
+        }
+
+        for (const [file, fileFindings] of byFile) {
+            const uri = vscode.Uri.file(file);
+            const entries = fileFindings.map(finding => {
+                const diagnostic = new vscode.Diagnostic(this._toRange(finding.range), finding.message, vscode.DiagnosticSeverity.Information);
+                diagnostic.source = 'WhiskerCode';
+                diagnostic.code = finding.rule;
+                diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
+                return { diagnostic, fix: finding.fix };
+            });
+
+            this.collection.set(uri, entries.map(entry => entry.diagnostic));
+            this._fixes.set(uri.toString(), entries);
+        }
+    }
+
+    /**
+     * Drop the findings of a document, whose positions no longer hold once it is edited
+     * @param {vscode.Uri} uri - Document URI
+     */
+    clear(uri) {
+        if (this._fixes.delete(uri.toString())) {
+            this.collection.delete(uri);
+        }
+    }
+
+    /**
+     * Provides the quick fixes deleting the dead code under the cursor, or suppressing it
+     * @param {vscode.TextDocument} document - The document to provide code actions for
+     * @param {vscode.Range | vscode.Selection} range - The range or selection to provide code actions for
+     * @param {vscode.CodeActionContext} context - The code action context
+     * @returns {vscode.CodeAction[]} Quick fixes for the dead code diagnostics in the context
+     */
+    provideCodeActions(document, range, context) {
+        const entries = this._fixes.get(document.uri.toString());
+        if (!entries) return [];
+
+        const actions = [];
+        for (const diagnostic of context.diagnostics) {
+            if (diagnostic.source !== 'WhiskerCode' || !DEAD_CODE_RULES.has(diagnostic.code)) continue;
+
+            // Positions elsewhere in the file are stale after either edit, so look again
+            const findAgain = {
+                title: 'Find dead code',
+                command: 'whiskercode.findDeadCode',
+                arguments: [{ quiet: true }]
+            };
+
+            const entry = entries.find(candidate => candidate.fix &&
+                candidate.diagnostic.code === diagnostic.code && candidate.diagnostic.range.isEqual(diagnostic.range));
+            if (entry) {
+                const action = new vscode.CodeAction(`🐱 ${entry.fix.title}`, vscode.CodeActionKind.QuickFix);
+                action.edit = new vscode.WorkspaceEdit();
+                for (const edit of entry.fix.edits) {
+                    action.edit.replace(document.uri, this._toRange(edit.range), edit.text);
+                }
+                action.diagnostics = [diagnostic];
+                action.isPreferred = true;
+                action.command = findAgain;
+                actions.push(action);
+            }
+
+            const suppress = createSuppressAction(document, diagnostic.range.start.line, diagnostic.code);
+            suppress.diagnostics = [diagnostic];
+            suppress.command = findAgain;
+            actions.push(suppress);
+        }
+        return actions;
+    }
+
+    /**
+     * Dispose the diagnostic collection
+     */
+    dispose() {
+        this.collection.dispose();
+        this._fixes.clear();
+    }
+
+    /**
+     * @private
+     */
+    _toRange(range) {
+        return new vscode.Range(range.start.line, range.start.column, range.end.line, range.end.column);
+    }
+}
+
+module.exports = {
+    DeadCodeDiagnostics,
+    DEAD_CODE_RULES
+};
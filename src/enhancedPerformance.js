@@ -1,173 +1,28 @@
-const vscode = require('vscode');
 const { AdvancedParser } = require('./advancedParser');
+const { PerformanceRuleEngine } = require('./performanceRules');
+const { languageRegistry } = require('./languages/languageRegistry');
 
 /**
  * Enhanced Performance Analyzer Module for WhiskerCode
  * Advanced detection of performance issues, optimizations, and best practices
  */
 class EnhancedPerformanceAnalyzer {
-    constructor() {
-        this.advancedParser = new AdvancedParser();
-        
-        // Advanced performance patterns
-        this.advancedPatterns = {
-            javascript: {
-                algorithmicComplexity: [
-                    {
-                        pattern: /for\s*\([^)]*\)\s*{[^}]*for\s*\([^)]*\)\s*{[^}]*for\s*\([^)]*\)\s*{/g,
-                        description: "O(n³) complexity detected - triple nested loops",
-                        severity: "critical",
-                        suggestion: "This will perform poorly on large datasets. Consider algorithm redesign."
-                    },
-                    {
-                        pattern: /for\s*\([^)]*\)\s*{[^}]*for\s*\([^)]*\)\s*{[^}]*}/g,
-                        description: "O(n²) complexity detected - nested loops",
-                        severity: "high", 
-                        suggestion: "For large datasets, consider a more efficient algorithm or data structure."
-                    }
-                ],
-                memoryManagement: [
-                    {
-                        pattern: /const\s+\w+\s*=\s*\[\s*\];\s*(?:[\s\S]*?)for\s*\([^)]*\)\s*{[^}]*\1\.push/g,
-                        description: "Array pre-allocation opportunity",
-                        severity: "medium",
-                        suggestion: "Pre-allocate array with known size to avoid reallocation: new Array(size)"
-                    },
-                    {
-                        pattern: /(?:map|filter|reduce|forEach)\([^)]*\)\.\s*(?:map|filter|reduce|forEach)\(/g,
-                        description: "Chained array methods creating intermediate arrays",
-                        severity: "medium",
-                        suggestion: "Consider combining operations into a single pass with reduce()"
-                    },
-                    {
-                        pattern: /new\s+(?:Map|Set|WeakMap|WeakSet)\s*\(\s*\)/g,
-                        description: "Using proper data structures",
-                        severity: "positive",
-                        suggestion: "Good use of efficient data structures for lookups/unique values"
-                    }
-                ],
-                asyncPatterns: [
-                    {
-                        pattern: /Promise\.all\(\s*\[\s*[^\]]*\]\s*\)/g,
-                        description: "Efficient parallel async operations",
-                        severity: "positive",
-                        suggestion: "Good use of Promise.all for parallel execution"
-                    },
-                    {
-                        pattern: /async\s+function\s*\w*\s*\([^)]*\)\s*{[^}]*await\s+Promise\.all\(/g,
-                        description: "Optimal async/await with Promise.all",
-                        severity: "positive",
-                        suggestion: "Excellent pattern for parallel async operations"
-                    },
-                    {
-                        pattern: /async\s+function\s*\w*\s*\([^)]*\)\s*{[^{}]*for\s*\([^)]*\)\s*{[^{}]*await\s+[^;]*;[^{}]*}/g,
-                        description: "Sequential await in loop",
-                        severity: "high",
-                        suggestion: "Create an array of promises and use Promise.all instead"
-                    }
-                ],
-                resourceManagement: [
-                    {
-                        pattern: /const\s+\w+\s*=\s*document\.querySelector[All]*\s*\(\s*['"][^'"]*['"]\s*\)[^;]*;\s*(?:[\s\S]{0,100}?)const\s+\w+\s*=\s*document\.querySelector[All]*\s*\(\s*['"][^'"]*['"]\s*\)/g,
-                        description: "Multiple DOM queries",
-                        severity: "medium",
-                        suggestion: "Cache DOM queries at the beginning of your function"
-                    },
-                    {
-                        pattern: /(canvas|ctx|context).(?:createLinearGradient|createPattern|createRadialGradient|drawImage|getImageData|putImageData)/g, 
-                        description: "Expensive canvas operations",
-                        severity: "medium",
-                        suggestion: "Consider caching results of canvas operations when possible"
-                    },
-                    {
-                        pattern: /new\s+Worker\s*\(/g,
-                        description: "Web Worker usage",
-                        severity: "positive",
-                        suggestion: "Good use of Web Workers for CPU-intensive tasks"
-                    }
-                ],
-                modernJavaScript: [
-                    {
-                        pattern: /const\s+\{[^}]*\}\s*=\s*\w+/g,
-                        description: "Object destructuring",
-                        severity: "positive",
-                        suggestion: "Good use of modern JavaScript for cleaner code"
-                    },
-                    {
-                        pattern: /(?:\w+)\.(?:map|filter|reduce|some|every|find|findIndex)/g,
-                        description: "Functional array methods",
-                        severity: "positive",
-                        suggestion: "Good use of declarative array methods"
-                    },
-                    {
-                        pattern: /new\s+RegExp\s*\(\s*['"][^'"]*['"]\s*,\s*['"]g['"]\s*\)/g,
-                        description: "RegExp with global flag",
-                        severity: "medium",
-                        suggestion: "Be careful with global RegExp and reset lastIndex when reusing"
-                    }
-                ]
-            },
-            react: {
-                rendering: [
-                    {
-                        pattern: /React\.memo\s*\(\s*(?:function|const\s+\w+\s*=\s*(?:function|\([^)]*\)\s*=>))/g,
-                        description: "Memoized component",
-                        severity: "positive",
-                        suggestion: "Good use of memoization to prevent unnecessary renders"
-                    },
-                    {
-                        pattern: /const\s+\w+\s*=\s*useMemo\s*\(\s*\(\s*\)\s*=>/g,
-                        description: "Computed value caching",
-                        severity: "positive",
-                        suggestion: "Good use of useMemo to cache expensive calculations"
-                    },
-                    {
-                        pattern: /const\s+\w+\s*=\s*useState\s*\(\s*\{[^}]*\}\s*\)/g, 
-                        description: "Complex state object",
-                        severity: "medium",
-                        suggestion: "Consider splitting into multiple state variables for more targeted renders"
-                    },
-                    {
-                        pattern: /(?:onClick|onMouseMove|onScroll)=\{[^}]*setTimeout\(/g,
-                        description: "Debouncing needed for event handler",
-                        severity: "medium",
-                        suggestion: "Use a proper debounce function for better performance"
-                    }
-                ],
-                hooks: [
-                    {
-                        pattern: /useEffect\s*\(\s*\(\s*\)\s*=>\s*{[^}]*}\s*\)/g,
-                        description: "useEffect without dependency array",
-                        severity: "high",
-                        suggestion: "Add dependency array to prevent infinite renders"
-                    },
-                    {
-                        pattern: /const\s+\w+\s*=\s*useCallback\s*\(\s*(?:function|\([^)]*\)\s*=>)[^}]*},\s*\[\s*\]\s*\)/g,
-                        description: "Empty dependency array in useCallback",
-                        severity: "medium",
-                        suggestion: "Ensure all dependencies are properly listed to prevent stale closures"
-                    },
-                    {
-                        pattern: /useEffect\s*\(\s*\(\s*\)\s*=>\s*{[^}]*fetch\s*\([^)]*\)[^}]*},\s*\[\s*\]\s*\)/g,
-                        description: "Data fetching in useEffect with empty dependency array",
-                        severity: "positive",
-                        suggestion: "Good pattern for one-time data fetching on component mount"
-                    }
-                ]
-            }
-        };
-        
-        // Additional patterns for other languages
-        this.advancedPatterns.typescript = { ...this.advancedPatterns.javascript };
-        this.advancedPatterns.javascriptreact = { 
-            ...this.advancedPatterns.javascript,
-            ...this.advancedPatterns.react
-        };
-        this.advancedPatterns.typescriptreact = { 
-            ...this.advancedPatterns.javascript,
-            ...this.advancedPatterns.react,
-            ...this.advancedPatterns.typescript
-        };
+    /**
+     * @param {LanguageRegistry} [registry] - Languages whose performance rules apply; defaults to the shared registry
+     */
+    constructor(registry = languageRegistry) {
+        this.advancedParser = new AdvancedParser(registry);
+        this.registry = registry;
+        this.rules = new PerformanceRuleEngine({ parser: this.advancedParser.parser, registry });
+    }
+    
+    /**
+     * Use another rule configuration for the next analyses
+     * @param {RuleSettings} settings - Rule configuration of the code's workspace folder
+     */
+    configure(settings) {
+        this.advancedParser.configure(settings);
+        this.rules.configure(settings);
     }
     
     /**
@@ -180,8 +35,8 @@ class EnhancedPerformanceAnalyzer {
         // Use advanced parser first
         const parserResults = this.advancedParser.parseCode(code, language);
         
-        // Find performance issues using pattern matching
-        const issues = this._findPerformanceIssues(code, language);
+        // Find performance issues with every rule that applies to the language
+        const issues = this.rules.analyze(code, language);
         
         // Calculate algorithmic complexity metrics
         const complexityMetrics = this._calculateComplexityMetrics(code, parserResults);
@@ -201,68 +56,6 @@ class EnhancedPerformanceAnalyzer {
         };
     }
     
-    /**
-     * Find performance issues using advanced pattern matching
-     * @private
-     */
-    _findPerformanceIssues(code, language) {
-        const normalizedLanguage = this._normalizeLanguage(language);
-        const patterns = this.advancedPatterns[normalizedLanguage] || this.advancedPatterns.javascript;
-        const issues = [];
-        
-        // Check each pattern category
-        for (const [category, categoryPatterns] of Object.entries(patterns)) {
-            for (const patternInfo of categoryPatterns) {
-                const { pattern, description, severity, suggestion } = patternInfo;
-                
-                // Skip "positive" patterns when looking for issues
-                if (severity === 'positive') continue;
-                
-                // Reset pattern for new search
-                pattern.lastIndex = 0;
-                
-                // Find matches
-                let match;
-                while ((match = pattern.exec(code)) !== null) {
-                    // Calculate line number and context
-                    const upToMatch = code.substring(0, match.index);
-                    const lineNumber = upToMatch.split('\n').length;
-                    
-                    // Get context (line of code)
-                    const lines = code.split('\n');
-                    const contextLine = lines[lineNumber - 1].trim();
-                    
-                    // Determine issue type based on pattern or category
-                    let issueType = category;
-                    
-                    // More specific type mapping for fix button functionality
-                    if (match[0].includes('for') && match[0].includes('+=')) {
-                        issueType = 'stringConcatenation';
-                    } else if (match[0].includes('for') && match[0].match(/for\s*\(.*\)\s*{\s*for/)) {
-                        issueType = 'nestedLoops';
-                    } else if (match[0].includes('document') && match[0].includes('appendChild')) {
-                        issueType = 'domOperations';
-                    } else if (match[0].includes('for') && match[0].includes('await')) {
-                        issueType = 'asyncAwait';
-                    }
-                    
-                    issues.push({
-                        category,
-                        type: issueType, // Add type property for fix button logic
-                        description,
-                        severity,
-                        suggestion,
-                        lineNumber,
-                        context: contextLine,
-                        match: match[0]
-                    });
-                }
-            }
-        }
-        
-        return issues;
-    }
-    
     /**
      * Calculate algorithmic complexity metrics
      * @private
@@ -331,8 +124,7 @@ class EnhancedPerformanceAnalyzer {
      * @private
      */
     _findOptimizationOpportunities(code, language, parserResults) {
-        const normalizedLanguage = this._normalizeLanguage(language);
-        const patterns = this.advancedPatterns[normalizedLanguage] || this.advancedPatterns.javascript;
+        const patterns = this._performancePatterns(language);
         const opportunities = [];
         
         // Look for positive patterns that aren't used but could be
@@ -342,7 +134,7 @@ class EnhancedPerformanceAnalyzer {
         }
         
         // React-specific optimizations
-        if (normalizedLanguage === 'javascriptreact' || normalizedLanguage === 'typescriptreact') {
+        if (language === 'javascriptreact' || language === 'typescriptreact') {
             // Check for components that could be memoized
             const componentWithPropsPattern = /function\s+([A-Z]\w*)\s*\(\s*{\s*([^}]*)\s*}\s*\)/g;
             let match;
@@ -386,8 +178,7 @@ class EnhancedPerformanceAnalyzer {
      * @private
      */
     _evaluateBestPractices(code, language, parserResults) {
-        const normalizedLanguage = this._normalizeLanguage(language);
-        const patterns = this.advancedPatterns[normalizedLanguage] || this.advancedPatterns.javascript;
+        const patterns = this._performancePatterns(language);
         const practices = [];
         
         // Check for positive patterns
@@ -453,31 +244,12 @@ class EnhancedPerformanceAnalyzer {
     }
     
     /**
-     * Normalize language identifier
+     * Get the performance rules of a language, falling back to the JavaScript rules
      * @private
      */
-    _normalizeLanguage(language) {
-        if (!language) {
-            return 'javascript';
-        }
-        
-        if (this.advancedPatterns[language]) {
-            return language;
-        }
-        
-        if (language === 'javascriptreact') {
-            return 'javascriptreact';
-        }
-        
-        if (language === 'typescriptreact') {
-            return 'typescriptreact';
-        }
-        
-        if (language === 'typescript') {
-            return 'typescript';
-        }
-        
-        return 'javascript';
+    _performancePatterns(language) {
+        const provider = this.registry.get(language);
+        return (provider && provider.performancePatterns) || this.registry.get('javascript').performancePatterns;
     }
 }
 
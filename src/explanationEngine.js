@@ -1,14 +1,21 @@
+const { FRAMEWORK_NAMES } = require('./syntax/singleFileComponent');
+const { DEFAULT_THRESHOLDS } = require('./ruleSettings');
+
 /**
  * ExplanationEngine for CodeWhiskers
  * Generates human-readable explanations of code
  */
 class ExplanationEngine {
     constructor() {
-        this.complexityThresholds = {
-            low: 3,
-            medium: 7,
-            high: 15
-        };
+        this.complexityThresholds = DEFAULT_THRESHOLDS.explanationComplexity;
+    }
+
+    /**
+     * Use the thresholds of a rule configuration for the next explanations
+     * @param {RuleSettings} settings - Rule configuration of the code's workspace folder
+     */
+    configure(settings) {
+        this.complexityThresholds = settings.thresholds.explanationComplexity;
     }
 
     /**
@@ -72,13 +79,23 @@ class ExplanationEngine {
         
         // Describe main purpose based on structure
         if (structure.functions.length === 1) {
-            explanation += `defines a function called '${structure.functions[0].name}' `;
+            const func = structure.functions[0];
+            explanation += `defines a function called '${func.name}' `;
             
-            if (structure.loops.length > 0) {
-                explanation += `that uses a ${structure.loops[0].type} loop `;
+            // With a structure hierarchy, only describe what sits inside the function itself
+            const inFunction = entry => !structure.hierarchy || entry.container === (func.qualifiedName || func.name);
+            const loops = structure.loops.filter(inFunction);
+            const conditionals = structure.conditionals.filter(inFunction);
+            
+            if (loops.length > 0) {
+                explanation += `that uses a ${loops[0].type} loop `;
+                
+                if (structure.hierarchy && this._hasNestedLoop(structure.hierarchy)) {
+                    explanation += `with another loop nested inside it `;
+                }
             }
             
-            if (structure.conditionals.length > 0) {
+            if (conditionals.length > 0) {
                 explanation += `with some conditional logic `;
             }
         } else if (structure.functions.length > 1) {
@@ -89,6 +106,18 @@ class ExplanationEngine {
             explanation += `sets up some variables `;
         }
         
+        // Vue and Svelte components also render a template
+        if (structure.template) {
+            const components = [...new Set(structure.template.components.map(component => component.name))];
+            explanation += structure.functions.length + structure.classes.length + structure.variables.length > 0
+                ? `and renders a ${FRAMEWORK_NAMES[structure.template.framework]} template `
+                : `renders a ${FRAMEWORK_NAMES[structure.template.framework]} template `;
+            
+            if (components.length > 0) {
+                explanation += `built from ${components.map(name => `<${name}>`).join(', ')} `;
+            }
+        }
+        
         // Add more detail about operations - only for the selected code and in order of specificity
         if (selectedCode.includes("reduce(")) {
             explanation += "that performs array reduction to calculate a total. ";
@@ -153,6 +182,15 @@ class ExplanationEngine {
             }
         }
         
+        // Add info about component state and what the template does with it
+        if (structure.reactiveState && structure.reactiveState.length > 0) {
+            const shown = structure.reactiveState.filter(state => state.usedInTemplate);
+            explanation += `\n\nIts reactive state is ${structure.reactiveState.map(state => `'${state.name}' (${state.kind})`).join(', ')}`;
+            explanation += shown.length > 0
+                ? `, of which the template reads ${shown.map(state => `'${state.name}'`).join(', ')}.`
+                : '.';
+        }
+        
         return explanation;
     }
 
@@ -170,7 +208,12 @@ class ExplanationEngine {
         explanation += `- Classes: ${structure.classes.length}\n`;
         explanation += `- Variables: ${structure.variables.length}\n`;
         explanation += `- Loops: ${structure.loops.length}\n`;
-        explanation += `- Conditionals: ${structure.conditionals.length}\n\n`;
+        explanation += `- Conditionals: ${structure.conditionals.length}\n`;
+        
+        if (structure.hierarchy) {
+            explanation += `- Maximum nesting depth: ${this._maxNestingDepth(structure.hierarchy)}\n`;
+        }
+        explanation += '\n';
         
         // Functions details
         if (structure.functions.length > 0) {
@@ -206,6 +249,19 @@ class ExplanationEngine {
             });
         }
         
+        // Template details
+        if (structure.template) {
+            const components = [...new Set(structure.template.components.map(component => component.name))];
+            const directives = [...new Set(structure.template.directives.map(directive => directive.name))];
+            
+            explanation += `\n### Template (${FRAMEWORK_NAMES[structure.template.framework]})\n`;
+            explanation += `- Child components: ${components.length > 0 ? components.map(name => `\`${name}\``).join(', ') : 'none'}\n`;
+            explanation += `- Directives: ${directives.length > 0 ? directives.map(name => `\`${name}\``).join(', ') : 'none'}\n`;
+            (structure.reactiveState || []).forEach(state => {
+                explanation += `- State \`${state.name}\` (${state.kind})${state.usedInTemplate ? ', read by the template' : ''}\n`;
+            });
+        }
+        
         // Add code patterns detected
         explanation += "\n### Patterns\n";
         
@@ -233,6 +289,25 @@ class ExplanationEngine {
         return explanation;
     }
 
+    /**
+     * Check whether a structure hierarchy has a loop inside another loop
+     * @private
+     */
+    _hasNestedLoop(node, insideLoop = false) {
+        return node.children.some(child => {
+            if (child.type === 'loop' && insideLoop) return true;
+            return this._hasNestedLoop(child, insideLoop || child.type === 'loop');
+        });
+    }
+
+    /**
+     * Get the depth of the most deeply nested node in a structure hierarchy
+     * @private
+     */
+    _maxNestingDepth(node) {
+        return node.children.reduce((max, child) => Math.max(max, this._maxNestingDepth(child)), node.depth);
+    }
+
     /**
      * Assess code complexity based on various factors
      * @private
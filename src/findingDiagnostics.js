@@ -0,0 +1,201 @@
+const vscode = require('vscode');
+const { CancelledError } = require('./workerPool');
+
+// Languages whose findings are published, and the documents that can have any; not
+// the read-only copies of source control or diff views
+const LANGUAGES = ['javascript', 'typescript', 'javascriptreact', 'typescriptreact', 'vue', 'svelte'];
+const SCHEMES = ['file', 'untitled'];
+
+// Time without edits before a changed document is analyzed again
+const IDLE_DELAY = 1500;
+
+// Diagnostic severity of each finding severity; hints would not reach the Problems panel
+const DIAGNOSTIC_SEVERITIES = {
+    critical: vscode.DiagnosticSeverity.Error,
+    high: vscode.DiagnosticSeverity.Warning,
+    medium: vscode.DiagnosticSeverity.Warning,
+    low: vscode.DiagnosticSeverity.Information
+};
+
+/**
+ * Finding Diagnostics for WhiskerCode
+ * Keeps the performance issues, refactoring opportunities and undocumented functions
+ * of open documents in the Problems panel, analyzing a document again when it is
+ * saved or once its edits pause. Each diagnostic's code links to an explanation of its rule.
+ */
+class FindingDiagnostics {
+    /**
+     * @param {AnalysisScheduler} analysisScheduler - Shared, cached background analysis
+     * @param {WorkspaceSettings} [workspaceSettings] - Include and exclude globs of the workspace folders
+     */
+    constructor(analysisScheduler, workspaceSettings = null) {
+        this.analysisScheduler = analysisScheduler;
+        this.workspaceSettings = workspaceSettings;
+        this.collection = vscode.languages.createDiagnosticCollection('whiskercode');
+
+        // Pending idle timers, running analyses, and published findings by document URI
+        this._timers = new Map();
+        this._pending = new Map();
+        this._findings = new Map();
+
+        // Latest finding of each rule, for its explanation
+        this._explanations = new Map();
+    }
+
+    /**
+     * Analyze a document once its edits pause
+     * @param {vscode.TextDocument} document - Document that changed
+     */
+    schedule(document) {
+        const key = document.uri.toString();
+        clearTimeout(this._timers.get(key));
+        this._timers.set(key, setTimeout(() => {
+            this._timers.delete(key);
+            this.update(document);
+        }, IDLE_DELAY));
+    }
+
+    /**
+     * Analyze a document now and publish its findings
+     * @param {vscode.TextDocument} document - Document to analyze
+     * @returns {Promise<void>} Resolves once the findings are published, or skipped for a newer version
+     */
+    async update(document) {
+        const key = document.uri.toString();
+        clearTimeout(this._timers.get(key));
+        this._timers.delete(key);
+
+        if (!LANGUAGES.includes(document.languageId) || !SCHEMES.includes(document.uri.scheme) ||
+            (this.workspaceSettings && !this.workspaceSettings.includes(document))) {
+            this.clear(document.uri);
+            return;
+        }
+
+        // An analysis of this version is already on its way; only older ones are worth cancelling
+        const pending = this._pending.get(key);
+        if (pending && pending.version === document.version) {
+            return pending.published;
+        }
+        if (pending) {
+            pending.source.cancel();
+        }
+
+        const source = new vscode.CancellationTokenSource();
+        const request = { version: document.version, source, published: null };
+        this._pending.set(key, request);
+        request.published = this._publish(document, request);
+        return request.published;
+    }
+
+    /**
+     * Analyze every open document again, such as after the rule configuration changed
+     */
+    refresh() {
+        // Analyses under way may have started with the previous configuration
+        this._pending.forEach(request => request.source.cancel());
+        this._pending.clear();
+        vscode.workspace.textDocuments.forEach(document => this.update(document));
+    }
+
+    /**
+     * Drop the diagnostics of a document, such as when it is closed
+     * @param {vscode.Uri} uri - Document URI
+     */
+    clear(uri) {
+        const key = uri.toString();
+        clearTimeout(this._timers.get(key));
+        this._timers.delete(key);
+        if (this._pending.has(key)) {
+            this._pending.get(key).source.cancel();
+            this._pending.delete(key);
+        }
+        this._findings.delete(key);
+        this.collection.delete(uri);
+    }
+
+    /**
+     * Get the finding a WhiskerCode diagnostic reports
+     * @param {vscode.TextDocument} document - Document of the diagnostic
+     * @param {vscode.Diagnostic} diagnostic - Diagnostic from the code action context
+     * @returns {object|null} Finding from AnalysisService.getDiagnostics(), or null for other diagnostics
+     */
+    findingOf(document, diagnostic) {
+        const entries = this._findings.get(document.uri.toString());
+        if (!entries || diagnostic.source !== 'WhiskerCode' || !diagnostic.code) return null;
+
+        const entry = entries.find(candidate => candidate.diagnostic.code.value === diagnostic.code.value &&
+            candidate.diagnostic.range.isEqual(diagnostic.range));
+        return entry ? entry.finding : null;
+    }
+
+    /**
+     * Explain a rule from its latest finding, for the links of diagnostic codes
+     * @param {string} ruleId - Rule id
+     */
+    explain(ruleId) {
+        const finding = this._explanations.get(ruleId);
+        const detail = [
+            finding && finding.suggestion,
+            `Silence it on one line with \`// whiskercode-disable-next-line ${ruleId}\`, or set "${ruleId}": "off" under "rules" in .whiskercode.json.`
+        ].filter(Boolean).join('\n\n');
+        vscode.window.showInformationMessage(`🐱 ${ruleId}${finding ? `: ${finding.message}` : ''}`, { modal: true, detail });
+    }
+
+    /**
+     * Dispose the diagnostic collection and stop pending analyses
+     */
+    dispose() {
+        this._timers.forEach(timer => clearTimeout(timer));
+        this._timers.clear();
+        this._pending.forEach(request => request.source.cancel());
+        this._pending.clear();
+        this._findings.clear();
+        this.collection.dispose();
+    }
+
+    /**
+     * Analyze one version of a document and publish its findings unless a newer request replaced it
+     * @private
+     */
+    async _publish(document, request) {
+        const key = document.uri.toString();
+        const { source, version } = request;
+        try {
+            const findings = await this.analysisScheduler.getDiagnostics(document, source.token);
+            if (source.token.isCancellationRequested || document.isClosed || document.version !== version) return;
+
+            const entries = findings.map(finding => ({ diagnostic: this._toDiagnostic(finding), finding }));
+            findings.forEach(finding => this._explanations.set(finding.ruleId, finding));
+            this.collection.set(document.uri, entries.map(entry => entry.diagnostic));
+            this._findings.set(key, entries);
+        } catch (error) {
+            if (error instanceof CancelledError) return;
+            console.error('Error updating diagnostics:', error);
+        } finally {
+            if (this._pending.get(key) === request) {
+                this._pending.delete(key);
+            }
+            source.dispose();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _toDiagnostic(finding) {
+        const { start, end } = finding.range;
+        const range = new vscode.Range(start.line, start.column, end.line, end.column);
+        const diagnostic = new vscode.Diagnostic(range, finding.message,
+            DIAGNOSTIC_SEVERITIES[finding.severity] || vscode.DiagnosticSeverity.Information);
+        diagnostic.source = 'WhiskerCode';
+        diagnostic.code = {
+            value: finding.ruleId,
+            target: vscode.Uri.parse(`command:whiskercode.explainRule?${encodeURIComponent(JSON.stringify([finding.ruleId]))}`)
+        };
+        return diagnostic;
+    }
+}
+
+module.exports = {
+    FindingDiagnostics
+};
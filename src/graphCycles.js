@@ -0,0 +1,151 @@
+/**
+ * Graph Cycles for WhiskerCode
+ * Finds the cycles of a dependency graph (functions calling each other, modules
+ * importing each other) as its strongly connected components, using Tarjan's
+ * algorithm without recursion so deep graphs cannot overflow the stack.
+ */
+
+/**
+ * Find the cycles of a directed graph
+ * @param {Array<{id: string}>} nodes - Graph nodes
+ * @param {Array<{source: string, target: string}>} links - Links between node ids
+ * @param {Function} [includeLink] - Decides which links take part, all by default
+ * @returns {Array<{nodes: string[], path: string[]}>} One entry per strongly connected component
+ *     with more than one node (or a node linking to itself): its node ids in graph order, and the
+ *     shortest cycle through the first of them, which ends where it starts
+ */
+function findCycles(nodes, links, includeLink = () => true) {
+    const order = new Map(nodes.map((node, position) => [node.id, position]));
+    const successors = new Map(nodes.map(node => [node.id, []]));
+    const selfLinked = new Set();
+
+    for (const link of links) {
+        if (!includeLink(link) || !successors.has(link.source) || !successors.has(link.target)) continue;
+        if (link.source === link.target) {
+            selfLinked.add(link.source);
+        } else if (!successors.get(link.source).includes(link.target)) {
+            successors.get(link.source).push(link.target);
+        }
+    }
+
+    const components = [];
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    let counter = 0;
+
+    for (const root of successors.keys()) {
+        if (index.has(root)) continue;
+
+        // Each frame is a node and how many of its successors were visited
+        const frames = [{ id: root, next: 0 }];
+        index.set(root, counter);
+        lowLink.set(root, counter++);
+        stack.push(root);
+        onStack.add(root);
+
+        while (frames.length > 0) {
+            const frame = frames[frames.length - 1];
+            const targets = successors.get(frame.id);
+
+            if (frame.next < targets.length) {
+                const target = targets[frame.next++];
+                if (!index.has(target)) {
+                    index.set(target, counter);
+                    lowLink.set(target, counter++);
+                    stack.push(target);
+                    onStack.add(target);
+                    frames.push({ id: target, next: 0 });
+                } else if (onStack.has(target)) {
+                    lowLink.set(frame.id, Math.min(lowLink.get(frame.id), index.get(target)));
+                }
+                continue;
+            }
+
+            frames.pop();
+            if (frames.length > 0) {
+                const parent = frames[frames.length - 1].id;
+                lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.id)));
+            }
+
+            if (lowLink.get(frame.id) === index.get(frame.id)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== frame.id);
+
+                if (component.length > 1 || selfLinked.has(frame.id)) {
+                    components.push(component.sort((a, b) => order.get(a) - order.get(b)));
+                }
+            }
+        }
+    }
+
+    return components
+        .sort((a, b) => order.get(a[0]) - order.get(b[0]))
+        .map(component => ({ nodes: component, path: shortestCycle(component, successors, selfLinked) }));
+}
+
+/**
+ * Find the shortest cycle through the first node of a strongly connected component
+ * @private
+ */
+function shortestCycle(component, successors, selfLinked) {
+    const start = component[0];
+    if (selfLinked.has(start)) return [start, start];
+
+    const members = new Set(component);
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        for (const target of successors.get(current)) {
+            if (target === start) {
+                const path = [start];
+                for (let step = current; step !== null; step = previous.get(step)) {
+                    path.unshift(step);
+                }
+                return path;
+            }
+            if (members.has(target) && !previous.has(target)) {
+                previous.set(target, current);
+                queue.push(target);
+            }
+        }
+    }
+    return [start, start];
+}
+
+/**
+ * Find the cycles of a graph and mark what takes part in them: nodes get the
+ * `cycle` index of their cycle, and links inside a cycle get `cyclic: true`
+ * @param {{nodes: Array<object>, links: Array<object>}} graph - Graph with string link ends
+ * @param {Function} [includeLink] - Decides which links take part, all by default
+ * @returns {Array<{nodes: string[], path: string[]}>} Cycles from findCycles()
+ */
+function markCycles(graph, includeLink = () => true) {
+    const cycles = findCycles(graph.nodes, graph.links, includeLink);
+
+    const cycleOf = new Map();
+    cycles.forEach((cycle, position) => cycle.nodes.forEach(id => cycleOf.set(id, position)));
+
+    for (const node of graph.nodes) {
+        if (cycleOf.has(node.id)) node.cycle = cycleOf.get(node.id);
+    }
+    for (const link of graph.links) {
+        if (includeLink(link) && cycleOf.has(link.source) && cycleOf.get(link.source) === cycleOf.get(link.target)) {
+            link.cyclic = true;
+        }
+    }
+    return cycles;
+}
+
+module.exports = {
+    findCycles,
+    markCycles
+};
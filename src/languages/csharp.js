@@ -0,0 +1,61 @@
+const { JavaProvider } = require('./java');
+
+/**
+ * C#: declared like Java, with verbatim strings and XML doc comments
+ */
+class CSharpProvider extends JavaProvider {
+    constructor() {
+        super({
+            id: 'csharp',
+            patterns: {
+                function: /(?:public|private|protected|internal|static|\s)+[\w\<\>\[\]]+\s+(\w+)\s*\(([^)]*)\)\s*(?:\{|=>)/g,
+                class: /class\s+(\w+)(?:\s*:\s*([^{]+))?/g,
+                interface: /interface\s+(\w+)/g,
+                loop: /\b(for|foreach|while|do)\b/g,
+                conditional: /\b(if|else|switch)\b/g,
+                variable: /(?:(?:readonly|const|static)\s+)?(?:[\w\<\>\[\]]+)\s+(\w+)\s*(?:=|;)/g,
+                comment: /\/\/.*|\/\*[\s\S]*?\*\//g,
+                docComment: /\/\/\/.*|\/\*\*[\s\S]*?\*\//g
+            },
+            lexical: {
+                // @"..." strings escape quotes by doubling them
+                verbatimStringPrefix: '@'
+            }
+        });
+    }
+
+    docTemplate(functionLine) {
+        let name;
+        let params = [];
+        const match = functionLine.match(/(?:public|private|protected|internal|static|\s)+[\w\<\>\[\]]+\s+(\w+)\s*\(([^)]*)\)/);
+        if (match) {
+            name = match[1];
+            params = match[2].split(',').map(p => p.trim()).filter(p => p);
+        }
+
+        let template = '/// <summary>\n';
+        template += `/// ${name}\n`;
+        template += '/// </summary>\n';
+
+        for (const param of params) {
+            const paramParts = param.split(' ');
+            const paramName = paramParts[paramParts.length - 1];
+            template += `/// <param name="${paramName}">Description</param>\n`;
+        }
+
+        template += '/// <returns>Description</returns>';
+        return template;
+    }
+
+    detectFeatures(code) {
+        const features = [];
+        if (code.includes('async') && code.includes('await')) features.push('async/await');
+        if (code.includes('LINQ')) features.push('LINQ');
+        if (code.includes('=>')) features.push('lambda expressions');
+        if (code.includes('<') && code.includes('>')) features.push('generics');
+        if (code.includes('yield')) features.push('iterators');
+        return features;
+    }
+}
+
+module.exports = { CSharpProvider };
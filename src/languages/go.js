@@ -0,0 +1,243 @@
+const { LanguageProvider, braceBody, braceBlockEnd, escapeRegExp } = require('./languageProvider');
+
+/**
+ * Go: methods are declared outside their type, with a receiver
+ */
+class GoProvider extends LanguageProvider {
+    constructor() {
+        super({
+            id: 'go',
+            patterns: {
+                // Groups: receiver name, receiver type, function name, parameters
+                function: /\bfunc\s+(?:\(\s*(?:(\w+)\s+)?\*?\s*(\w+)(?:\[[^\]]*\])?\s*\)\s*)?(\w+)\s*(?:\[[^\]]*\])?\s*\(([^)]*)\)/g,
+                class: /\btype\s+(\w+)(?:\[[^\]]*\])?\s+(?:struct|interface)\b/g,
+                interface: /\btype\s+(\w+)(?:\[[^\]]*\])?\s+interface\b/g,
+                loop: /\b(for)\b/g,
+                conditional: /\b(if|else|switch|select)\b/g,
+                variable: /\b(var|const)\s+(\w+)|\b(\w+)\s*:=/g,
+                goroutine: /\bgo\s+(?:func\b|[\w.]+\s*\()/g,
+                defer: /\bdefer\b/g,
+                select: /\bselect\s*\{/g,
+                channel: /\bchan\b|<-/g,
+                comment: /\/\/.*|\/\*[\s\S]*?\*\//g,
+                docComment: /(?:^[ \t]*\/\/.*\n)+/gm
+            },
+            lexical: {
+                // Raw strings span lines and have no escapes
+                rawStrings: ['`']
+            },
+            decisionPoints: {
+                // Go has no ternary operator or catch blocks; select is a switch over channels
+                conditionals: /\bif\b/g,
+                loops: /\bfor\b/g,
+                switches: /\bswitch\b|\bselect\b/g,
+                logicalOperators: /&&|\|\|/g
+            }
+        });
+    }
+
+    matchFunction(match) {
+        // Methods are named after their receiver type: (s *Server) Start -> Server.Start
+        return { name: match[3], params: match[4], className: match[2] || null };
+    }
+
+    matchVariable(match) {
+        // var/const declarations, or short declarations with :=
+        return { name: match[2] || match[3], kind: match[1] || 'variable' };
+    }
+
+    findBody(scanText, text, match) {
+        // Signatures can contain braces (`v interface{}`); the body starts at the
+        // first `{` outside the parameter and result lists
+        return braceBody(scanText, match.index, { signatureParens: true });
+    }
+
+    estimateBlockEnd(maskedCode, position) {
+        // Go always uses braces but allows `;` in headers (`for i := 0; i < n; i++ {`)
+        return braceBlockEnd(maskedCode, position, { semicolons: false, bracesInParens: false });
+    }
+
+    parseParams(paramsStr) {
+        if (!paramsStr) return [];
+
+        // Consecutive names share the type written after the last one: (a, b int, s string)
+        const params = [];
+        let untyped = [];
+        for (const part of paramsStr.split(',').map(p => p.trim()).filter(p => p)) {
+            const space = part.search(/\s/);
+            if (space === -1) {
+                untyped.push({ name: part, type: undefined });
+                continue;
+            }
+            const type = part.substring(space).trim();
+            for (const param of untyped) param.type = type;
+            params.push(...untyped, { name: part.substring(0, space), type });
+            untyped = [];
+        }
+        // A list of bare types (func(int, string)) has no parameter names
+        for (const param of untyped) {
+            params.push({ name: '_', type: param.name });
+        }
+        return params;
+    }
+
+    docTemplate(functionLine) {
+        // Go doc comments are plain // lines that start with the declared name
+        const match = functionLine.match(/\bfunc\s+(?:\([^)]*\)\s*)?(\w+)/);
+        return `// ${match ? match[1] : 'function'} Description`;
+    }
+
+    isDefinition(lineText, index, varName) {
+        // var/const declarations, parameters, or the left-hand side of :=
+        // (`a, b := f()`, `for i, v := range xs`)
+        const prefix = lineText.substring(0, index);
+        const rest = lineText.substring(index);
+        return /\b(var|const|type)\s+$/.test(prefix) ||
+               (/\bfunc\b[^{]*[(,]\s*$/.test(prefix) && new RegExp(`^${escapeRegExp(varName)}\\s*(?:,|\\s[^,)])`).test(rest)) ||
+               (/^\s*(?:(?:for|if|switch)\s+)?(?:\w+\s*,\s*)*$/.test(prefix) &&
+                new RegExp(`^${escapeRegExp(varName)}\\s*(?:,\\s*\\w+\\s*)*:=`).test(rest));
+    }
+
+    referencePattern(variableName) {
+        // Ignore usage in comments
+        return new RegExp(`(?<!//|/\\*)\\b${escapeRegExp(variableName)}\\b(?!\\s*\\()`, 'g');
+    }
+
+    detectFeatures(code, maskedCode) {
+        const features = [];
+        const has = pattern => {
+            pattern.lastIndex = 0;
+            return pattern.test(maskedCode);
+        };
+        if (has(this.patterns.goroutine)) features.push('goroutines');
+        if (has(this.patterns.channel)) features.push('channels');
+        if (has(this.patterns.select)) features.push('select');
+        if (has(this.patterns.defer)) features.push('defer');
+        if (/\bfunc\s*\(\s*\w*\s*\*?\s*\w+(?:\[[^\]]*\])?\s*\)\s*\w+\s*\(/.test(maskedCode)) features.push('methods');
+        if (has(this.patterns.interface)) features.push('interfaces');
+        if (/\bfunc\s+\w+\s*\[|\btype\s+\w+\s*\[\w+\s+\w+/.test(maskedCode)) features.push('generics');
+        if (/\berr\s*!=\s*nil\b/.test(maskedCode)) features.push('error handling');
+        return features;
+    }
+
+    analyzePerformance(code, functionName) {
+        const hotspots = [];
+        const lines = code.split('\n');
+        const scanCode = this.maskCommentsAndStrings(code);
+        const reported = new Set();
+        const report = (type, severity, description, suggestion, offset) => {
+            const line = scanCode.substring(0, offset).split('\n').length;
+            if (reported.has(`${type}:${line}`)) return;
+            reported.add(`${type}:${line}`);
+            hotspots.push({
+                type,
+                severity,
+                description,
+                suggestion,
+                function: functionName,
+                line,
+                code: lines[line - 1].trim()
+            });
+        };
+        const eachMatch = (pattern, callback) => {
+            let match;
+            pattern.lastIndex = 0;
+            while ((match = pattern.exec(scanCode)) !== null) callback(match);
+        };
+
+        // Loop bodies and function literals, innermost last, so a statement can be
+        // attributed to the closest construct around it
+        const blocks = [];
+        eachMatch(/\b(for|func)\b/g, match => {
+            const bodyStart = scanCode.indexOf('{', match.index);
+            if (bodyStart === -1) return;
+            blocks.push({
+                kind: match[1] === 'for' ? 'loop' : 'func',
+                start: match.index,
+                bodyStart,
+                end: this.estimateBlockEnd(scanCode, match.index)
+            });
+        });
+        const enclosing = offset => blocks.filter(block => block.bodyStart < offset && offset < block.end);
+        // Runs once per iteration: the closest loop is not separated from the offset by a function literal
+        const inLoop = offset => {
+            const around = enclosing(offset);
+            return around.length > 0 && around[around.length - 1].kind === 'loop';
+        };
+
+        for (const loop of blocks.filter(block => block.kind === 'loop')) {
+            if (blocks.some(block => block.kind === 'loop' && block.start > loop.bodyStart && block.start < loop.end)) {
+                report('nested_loop', 'high', 'Nested loop detected (potential O(n²) time complexity)',
+                    'Consider a map lookup or restructuring to avoid nested loops', loop.start);
+            }
+        }
+
+        eachMatch(/\bmake\s*\(|\bnew\s*\(|&[\w.]+\s*\{/g, match => {
+            if (inLoop(match.index)) {
+                report('allocation_in_loop', 'medium', 'Memory is allocated on every loop iteration',
+                    'Allocate once before the loop and reuse it, or use a sync.Pool', match.index);
+            }
+        });
+
+        eachMatch(/\bappend\s*\(\s*(\w+)/g, match => {
+            // make([]T, n) or make([]T, 0, n) reserves capacity up front
+            const preallocated = new RegExp(`\\b${match[1]}\\s*:?=\\s*make\\s*\\(\\s*\\[\\][^,)]+,[^)]+\\)`).test(scanCode);
+            if (inLoop(match.index) && !preallocated) {
+                report('array_resize_in_loop', 'low', `Slice ${match[1]} grows with append inside a loop`,
+                    'Preallocate with make([]T, 0, n) when the final size is known', match.index);
+            }
+        });
+
+        eachMatch(/\b\w+\s*\+=\s*(?:["`]|fmt\.Sprint)/g, match => {
+            if (inLoop(match.index)) {
+                report('string_concat', 'medium', 'String built with += inside a loop',
+                    'Use a strings.Builder to avoid copying the string on every iteration', match.index);
+            }
+        });
+
+        eachMatch(/\bdefer\b/g, match => {
+            if (inLoop(match.index)) {
+                report('defer_in_loop', 'high', 'defer inside a loop only runs when the function returns',
+                    'Move the loop body into a function, or release the resource explicitly', match.index);
+            }
+        });
+
+        eachMatch(/\bregexp\.(?:MustCompile|Compile)\s*\(/g, match => {
+            if (inLoop(match.index)) {
+                report('complex_regex', 'high', 'Regular expression compiled on every loop iteration',
+                    'Compile the expression once, outside the loop or at package level', match.index);
+            }
+        });
+
+        eachMatch(/\btime\.After\s*\(/g, match => {
+            if (inLoop(match.index)) {
+                report('timer_in_loop', 'medium', 'time.After creates a timer on every iteration that lives until it fires',
+                    'Create one time.Timer before the loop and Reset it', match.index);
+            }
+        });
+
+        const goroutines = [];
+        eachMatch(this.patterns.goroutine, match => {
+            goroutines.push(match.index);
+            if (inLoop(match.index)) {
+                report('goroutine_in_loop', 'medium', 'A goroutine is started on every loop iteration',
+                    'Bound concurrency with a worker pool or semaphore, and pass loop variables as arguments', match.index);
+            }
+        });
+
+        // A send on an unbuffered channel blocks until another goroutine receives it
+        eachMatch(/\b(\w+)\s*:?=\s*make\s*\(\s*chan\b[^,()]*(?:\([^)]*\)[^,()]*)*\)/g, match => {
+            const send = new RegExp(`\\b${match[1]}\\s*<-`, 'g');
+            send.lastIndex = match.index + match[0].length;
+            const sendMatch = send.exec(scanCode);
+            if (sendMatch && !goroutines.some(offset => offset < sendMatch.index)) {
+                report('unbuffered_channel_send', 'high', `Send on unbuffered channel ${match[1]} with no goroutine to receive it`,
+                    'Start the receiving goroutine before sending, or give the channel a buffer: make(chan T, n)', sendMatch.index);
+            }
+        });
+
+        return hotspots;
+    }
+}
+
+module.exports = { GoProvider };
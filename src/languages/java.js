@@ -0,0 +1,110 @@
+const { LanguageProvider, escapeRegExp } = require('./languageProvider');
+
+// Statements whose `keyword (...) {` has the shape of a method declaration
+const STATEMENT_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'synchronized', 'using', 'foreach', 'lock']);
+
+/**
+ * Java
+ */
+class JavaProvider extends LanguageProvider {
+    /**
+     * @param {object} [definition] - Overrides for languages derived from Java
+     */
+    constructor(definition = {}) {
+        super(Object.assign({
+            id: 'java',
+            patterns: {
+                function: /(?:public|private|protected|static|\s)+[\w\<\>\[\]]+\s+(\w+)\s*\(([^)]*)\)\s*(?:\{|throws)/g,
+                class: /class\s+(\w+)(?:\s+extends\s+(\w+))?(?:\s+implements\s+([^{]+))?/g,
+                interface: /interface\s+(\w+)/g,
+                loop: /\b(for|while|do)\b/g,
+                conditional: /\b(if|else|switch)\b/g,
+                variable: /(?:(?:final|static)\s+)?(?:[\w\<\>\[\]]+)\s+(\w+)\s*(?:=|;)/g,
+                comment: /\/\/.*|\/\*[\s\S]*?\*\//g,
+                docComment: /\/\*\*[\s\S]*?\*\//g
+            },
+            decisionPoints: {
+                conditionals: /\bif\b/g,
+                loops: /\bfor\b|\bwhile\b|\bdo\b|\bforeach\b/g,
+                switches: /\bswitch\b/g,
+                catchBlocks: /\bcatch\b/g,
+                logicalOperators: /&&|\|\|/g,
+                ternaryOperators: /\?.*:/g
+            }
+        }, definition));
+    }
+
+    matchFunction(match, context) {
+        // `else if (...) {` reads as a method `if` returning `else`
+        if (STATEMENT_KEYWORDS.has(match[1])) return null;
+        return super.matchFunction(match, context);
+    }
+
+    matchVariable(match) {
+        return {
+            name: match[1],
+            kind: match[0].includes('final') || match[0].includes('const') ? 'constant' : 'variable'
+        };
+    }
+
+    parseParams(paramsStr) {
+        if (!paramsStr) return [];
+
+        return paramsStr.split(',')
+            .map(p => p.trim())
+            .filter(p => p)
+            .map(p => {
+                const parts = p.split(' ');
+                // Last part is the name, everything before is the type
+                const name = parts[parts.length - 1];
+                const type = parts.slice(0, parts.length - 1).join(' ');
+                return { name, type };
+            });
+    }
+
+    docTemplate(functionLine) {
+        let name;
+        let params = [];
+        const match = functionLine.match(/(?:public|private|protected|static|\s)+[\w\<\>\[\]]+\s+(\w+)\s*\(([^)]*)\)/);
+        if (match) {
+            name = match[1];
+            params = match[2].split(',').map(p => p.trim()).filter(p => p);
+        }
+
+        let template = '/**\n';
+        template += ` * ${name}\n`;
+        template += ` *\n`;
+
+        for (const param of params) {
+            const paramParts = param.split(' ');
+            const paramName = paramParts[paramParts.length - 1];
+            template += ` * @param ${paramName} Description\n`;
+        }
+
+        template += ` * @return Description\n`;
+        template += ` */`;
+        return template;
+    }
+
+    isDefinition(lineText, index, varName) {
+        return /\b(int|float|double|String|boolean|var|object|class|struct|interface)\s+$/.test(lineText.substring(0, index)) ||
+               new RegExp(`\\b(public|private|protected)\\s+[\\w<>\\[\\]]+\\s+${escapeRegExp(varName)}\\s*`).test(lineText);
+    }
+
+    referencePattern(variableName) {
+        // Ignore usage in comments
+        return new RegExp(`(?<!//|/\\*)\\b${escapeRegExp(variableName)}\\b(?!\\s*\\()`, 'g');
+    }
+
+    detectFeatures(code) {
+        const features = [];
+        if (code.includes('@Override')) features.push('annotations');
+        if (code.includes('extends')) features.push('inheritance');
+        if (code.includes('implements')) features.push('interfaces');
+        if (code.includes('<') && code.includes('>')) features.push('generics');
+        if (code.includes('try') && code.includes('catch')) features.push('exception handling');
+        return features;
+    }
+}
+
+module.exports = { JavaProvider };
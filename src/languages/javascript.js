@@ -0,0 +1,401 @@
+const { LanguageProvider, escapeRegExp } = require('./languageProvider');
+
+// Pattern rules of PerformanceRuleEngine, also applied to languages without their own. Each
+// rule has a stable `id`; `positive` entries are best practices rather than findings. Nested
+// loops and awaits inside loops are found on the syntax tree, by the engine's own rules.
+const JAVASCRIPT_PERFORMANCE_PATTERNS = {
+    loops: [
+        {
+            id: 'template_in_loop',
+            pattern: /for\s*\([^)]*\)\s*{[^}]*\$\{[^}]*\}/g,
+            description: "String interpolation inside loops is inefficient",
+            severity: "high",
+            suggestion: "Move string interpolation outside the loop if possible"
+        }
+    ],
+    memoryManagement: [
+        {
+            id: 'array_preallocation',
+            pattern: /const\s+\w+\s*=\s*\[\s*\];\s*(?:[\s\S]*?)for\s*\([^)]*\)\s*{[^}]*\1\.push/g,
+            description: "Array pre-allocation opportunity",
+            severity: "medium",
+            suggestion: "Pre-allocate array with known size to avoid reallocation: new Array(size)"
+        },
+        {
+            id: 'chained_array_methods',
+            pattern: /(?:map|filter|reduce|forEach)\([^)]*\)\.\s*(?:map|filter|reduce|forEach)\(/g,
+            description: "Chained array methods creating intermediate arrays",
+            severity: "medium",
+            suggestion: "Consider combining operations into a single pass with reduce()"
+        },
+        {
+            pattern: /new\s+(?:Map|Set|WeakMap|WeakSet)\s*\(\s*\)/g,
+            description: "Using proper data structures",
+            severity: "positive",
+            suggestion: "Good use of efficient data structures for lookups/unique values"
+        },
+        {
+            id: 'json_deep_clone',
+            pattern: /JSON\.parse\(\s*JSON\.stringify\(([^()]*)\)\s*\)/g,
+            description: "Deep cloning with JSON is inefficient",
+            severity: "medium",
+            suggestion: "Use structuredClone(), which is faster and keeps dates, maps and sets",
+            fix: match => `structuredClone(${match[1].trim()})`
+        },
+        {
+            id: 'uncleared_interval',
+            pattern: /setInterval\([^)]*,\s*\d+\)/g,
+            description: "Potential memory leak from uncleaned intervals",
+            severity: "high",
+            suggestion: "Ensure intervals are cleared with clearInterval when no longer needed"
+        }
+    ],
+    asyncPatterns: [
+        {
+            pattern: /Promise\.all\(\s*\[\s*[^\]]*\]\s*\)/g,
+            description: "Efficient parallel async operations",
+            severity: "positive",
+            suggestion: "Good use of Promise.all for parallel execution"
+        },
+        {
+            pattern: /async\s+function\s*\w*\s*\([^)]*\)\s*{[^}]*await\s+Promise\.all\(/g,
+            description: "Optimal async/await with Promise.all",
+            severity: "positive",
+            suggestion: "Excellent pattern for parallel async operations"
+        },
+        {
+            id: 'promise_all_batch',
+            pattern: /await\s+Promise\.all\(\s*\[\s*[^\]]*\]\s*\)/g,
+            description: "Inefficient Promise.all batch",
+            severity: "low",
+            suggestion: "Ensure promises are created before calling Promise.all"
+        }
+    ],
+    resourceManagement: [
+        {
+            id: 'repeated_dom_query',
+            pattern: /const\s+\w+\s*=\s*document\.querySelector[All]*\s*\(\s*['"][^'"]*['"]\s*\)[^;]*;\s*(?:[\s\S]{0,100}?)const\s+\w+\s*=\s*document\.querySelector[All]*\s*\(\s*['"][^'"]*['"]\s*\)/g,
+            description: "Multiple DOM queries",
+            severity: "medium",
+            suggestion: "Cache DOM queries at the beginning of your function"
+        },
+        {
+            id: 'query_selector_all',
+            pattern: /document\.querySelectorAll\([^)]*\)/g,
+            description: "querySelectorAll can be expensive on large DOM trees",
+            severity: "medium",
+            suggestion: "Cache DOM queries outside of frequently called functions"
+        },
+        {
+            id: 'dom_in_foreach',
+            pattern: /\.forEach\([^)]*=>\s*{[^}]*document\./g,
+            description: "DOM operations inside loops can cause reflows",
+            severity: "high",
+            suggestion: "Batch DOM operations or use DocumentFragment"
+        },
+        {
+            id: 'canvas_operation',
+            pattern: /(canvas|ctx|context).(?:createLinearGradient|createPattern|createRadialGradient|drawImage|getImageData|putImageData)/g,
+            description: "Expensive canvas operations",
+            severity: "medium",
+            suggestion: "Consider caching results of canvas operations when possible"
+        },
+        {
+            pattern: /new\s+Worker\s*\(/g,
+            description: "Web Worker usage",
+            severity: "positive",
+            suggestion: "Good use of Web Workers for CPU-intensive tasks"
+        }
+    ],
+    modernJavaScript: [
+        {
+            pattern: /const\s+\{[^}]*\}\s*=\s*\w+/g,
+            description: "Object destructuring",
+            severity: "positive",
+            suggestion: "Good use of modern JavaScript for cleaner code"
+        },
+        {
+            pattern: /(?:\w+)\.(?:map|filter|reduce|some|every|find|findIndex)/g,
+            description: "Functional array methods",
+            severity: "positive",
+            suggestion: "Good use of declarative array methods"
+        },
+        {
+            id: 'excessive_params',
+            pattern: /function\s+\w+\s*\([^)]{50,}\)/g,
+            description: "Functions with many parameters can be inefficient",
+            severity: "low",
+            suggestion: "Use object parameters instead of many individual parameters"
+        },
+        {
+            id: 'global_regexp',
+            pattern: /new\s+RegExp\s*\(\s*['"][^'"]*['"]\s*,\s*['"]g['"]\s*\)/g,
+            description: "RegExp with global flag",
+            severity: "medium",
+            suggestion: "Be careful with global RegExp and reset lastIndex when reusing"
+        }
+    ]
+};
+
+// Pattern rules of TypeScript code, added to the JavaScript ones
+const TYPESCRIPT_PERFORMANCE_PATTERNS = {
+    typeAssertions: [
+        {
+            id: 'array_type_assertion',
+            pattern: /as\s+[A-Za-z]+\[\]/g,
+            description: "Type assertions in critical path",
+            severity: "low",
+            suggestion: "Use proper typing to avoid runtime assertions"
+        }
+    ]
+};
+
+const REACT_PERFORMANCE_PATTERNS = {
+    rendering: [
+        {
+            pattern: /React\.memo\s*\(\s*(?:function|const\s+\w+\s*=\s*(?:function|\([^)]*\)\s*=>))/g,
+            description: "Memoized component",
+            severity: "positive",
+            suggestion: "Good use of memoization to prevent unnecessary renders"
+        },
+        {
+            pattern: /const\s+\w+\s*=\s*useMemo\s*\(\s*\(\s*\)\s*=>/g,
+            description: "Computed value caching",
+            severity: "positive",
+            suggestion: "Good use of useMemo to cache expensive calculations"
+        },
+        {
+            id: 'object_state',
+            pattern: /useState\s*\(\s*\{[^}]*\}\s*\)/g,
+            description: "Complex state object",
+            severity: "medium",
+            suggestion: "Consider splitting into multiple state variables for more targeted renders"
+        },
+        {
+            id: 'undebounced_handler',
+            pattern: /(?:onClick|onMouseMove|onScroll)=\{[^}]*setTimeout\(/g,
+            description: "Debouncing needed for event handler",
+            severity: "medium",
+            suggestion: "Use a proper debounce function for better performance"
+        },
+        {
+            id: 'unmemoized_list_item',
+            pattern: />\s*{[^}]*\.map\([^)]*=>\s*<[^>]*>\s*{/g,
+            description: "Nested component in map without memoization",
+            severity: "medium",
+            suggestion: "Use React.memo or extract to a memoized component"
+        },
+        {
+            id: 'object_creation_in_render',
+            pattern: /new\s+[A-Z][A-Za-z]*\(/g,
+            description: "Creating new objects during render",
+            severity: "medium",
+            suggestion: "Move object creation outside component or use useMemo"
+        }
+    ],
+    hooks: [
+        {
+            id: 'effect_without_deps',
+            pattern: /useEffect\s*\(\s*\(\s*\)\s*=>\s*{[^}]*}\s*\)/g,
+            description: "useEffect without dependency array",
+            severity: "high",
+            suggestion: "Add dependency array to prevent infinite renders"
+        },
+        {
+            id: 'empty_callback_deps',
+            pattern: /const\s+\w+\s*=\s*useCallback\s*\(\s*(?:function|\([^)]*\)\s*=>)[^}]*},\s*\[\s*\]\s*\)/g,
+            description: "Empty dependency array in useCallback",
+            severity: "medium",
+            suggestion: "Ensure all dependencies are properly listed to prevent stale closures"
+        },
+        {
+            pattern: /useEffect\s*\(\s*\(\s*\)\s*=>\s*{[^}]*fetch\s*\([^)]*\)[^}]*},\s*\[\s*\]\s*\)/g,
+            description: "Data fetching in useEffect with empty dependency array",
+            severity: "positive",
+            suggestion: "Good pattern for one-time data fetching on component mount"
+        }
+    ]
+};
+
+/**
+ * JavaScript and TypeScript. Most analysis of these languages runs on the syntax
+ * tree; the patterns here cover code the tree is not built for.
+ */
+class JavaScriptProvider extends LanguageProvider {
+    /**
+     * @param {string} id - 'javascript' or 'typescript'
+     */
+    constructor(id) {
+        const typescript = id.startsWith('typescript');
+        const patterns = {
+            function: /function\s+(\w+)\s*\(([^)]*)\)|const\s+(\w+)\s*=\s*(\([^)]*\))\s*=>|(\w+)\s*=\s*function\s*\(/g,
+            class: /class\s+(\w+)/g,
+            loop: /\b(for|while|do)\b/g,
+            conditional: /\b(if|else|switch)\b/g,
+            variable: /\b(var|let|const)\s+(\w+)\b/g,
+            comment: /\/\/.*|\/\*[\s\S]*?\*\//g,
+            docComment: /\/\*\*[\s\S]*?\*\//g
+        };
+        if (typescript) {
+            patterns.interface = /interface\s+(\w+)/g;
+            patterns.type = /type\s+(\w+)\s*=/g;
+        }
+
+        super({
+            id,
+            patterns,
+            decisionPoints: {
+                conditionals: /\bif\b/g,
+                loops: /\bfor\b|\bwhile\b|\bdo\b/g,
+                switches: /\bswitch\b/g,
+                catchBlocks: /\bcatch\b/g,
+                logicalOperators: /&&|\|\||\?\?/g,
+                ternaryOperators: /\?.*:/g
+            },
+            performancePatterns: typescript
+                ? Object.assign({}, JAVASCRIPT_PERFORMANCE_PATTERNS, TYPESCRIPT_PERFORMANCE_PATTERNS)
+                : JAVASCRIPT_PERFORMANCE_PATTERNS
+        });
+
+        this.typescript = typescript;
+    }
+
+    matchFunction(match) {
+        return { name: match[1] || match[3] || match[5], params: match[2] || match[4] };
+    }
+
+    matchVariable(match) {
+        return { name: match[2], kind: match[1] };
+    }
+
+    isDefinition(lineText, index, varName) {
+        return /\b(var|let|const)\s+$/.test(lineText.substring(0, index)) ||
+               new RegExp(`\\b(function)\\s+${escapeRegExp(varName)}\\s*\\(`).test(lineText);
+    }
+
+    detectFeatures(code) {
+        const features = [];
+        if (code.includes('async') && code.includes('await')) features.push('async/await');
+        if (code.includes('=>')) features.push('arrow functions');
+        if (code.includes('...')) features.push('spread/rest');
+        if (code.match(/`[^`]*`/)) features.push('template literals');
+        if (this.typescript) {
+            if (code.includes('interface ')) features.push('interfaces');
+            if (code.includes('<') && code.includes('>')) features.push('generics');
+        }
+        return features;
+    }
+}
+
+/**
+ * JSX and TSX: JavaScript plus React components, hooks and elements
+ */
+class ReactProvider extends JavaScriptProvider {
+    /**
+     * @param {string} id - 'javascriptreact' or 'typescriptreact'
+     */
+    constructor(id) {
+        super(id);
+
+        const typescript = this.typescript;
+        this.patterns = Object.assign({}, this.patterns, {
+            component: typescript
+                ? /const\s+(\w+)\s*=\s*(?:React\.)?(?:memo\()?(?:forwardRef\()?(?:function|React\.FC<[^>]*>|\(\{[^}]*\}(?::\s*[^)]+)?\))/g
+                : /const\s+(\w+)\s*=\s*(?:React\.)?(?:memo\()?(?:forwardRef\()?(?:function|React\.FC|\(\{[^}]*\}\))/g,
+            hooks: /use[A-Z]\w+/g,
+            jsx: /<([A-Z]\w*)/g, // Component JSX tags start with capital letters
+            props: /\{([^{}]+)\}/g,
+            class: typescript
+                ? /class\s+(\w+)(?:\s+extends\s+(?:React\.)?Component<[^,>]+(?:,\s*[^>]+)?>)?/g
+                : /class\s+(\w+)(?:\s+extends\s+(?:React\.)?Component)?/g,
+            loop: /\b(for|while|do|map|forEach|filter)\b/g,
+            conditional: /\b(if|else|switch|&&|\?)\b/g
+        });
+        if (typescript) {
+            this.patterns.interface = /interface\s+(\w+)(?:Props)?\s*(?:extends\s+[^{]+)?/g;
+            this.patterns.type = /type\s+(\w+)(?:Props)?\s*=/g;
+        }
+
+        this.performancePatterns = Object.assign({}, this.performancePatterns, REACT_PERFORMANCE_PATTERNS);
+    }
+
+    docTemplate(functionLine, types) {
+        // Check if this is a React component
+        const componentMatch = functionLine.match(/const\s+(\w+)\s*=\s*(?:React\.)?(?:memo\()?(?:forwardRef\()?(?:function|React\.FC)/);
+        if (!componentMatch) {
+            // Regular function
+            return super.docTemplate(functionLine, types);
+        }
+
+        const name = componentMatch[1];
+        let template = '/**\n';
+        template += ` * ${name} Component\n`;
+        template += ` *\n`;
+
+        if (this.typescript) {
+            template += ` * @param {${name}Props} props - Component props\n`;
+        } else {
+            template += ` * @param {Object} props - Component props\n`;
+        }
+
+        template += ` * @returns {JSX.Element} - Rendered component\n`;
+        template += ` */`;
+        return template;
+    }
+
+    detectFeatures(code) {
+        const features = [];
+
+        // React specific features
+        if (code.includes('useState(') || code.includes('React.useState(')) features.push('hooks:state');
+        if (code.includes('useEffect(') || code.includes('React.useEffect(')) features.push('hooks:effects');
+        if (code.includes('useContext(') || code.includes('React.useContext(')) features.push('hooks:context');
+        if (code.includes('useRef(') || code.includes('React.useRef(')) features.push('hooks:refs');
+        if (code.includes('useCallback(') || code.includes('React.useCallback(')) features.push('hooks:callback');
+        if (code.includes('useMemo(') || code.includes('React.useMemo(')) features.push('hooks:memo');
+        if (code.includes('<') && code.includes('/>')) features.push('JSX');
+        if (code.includes('props')) features.push('props');
+        if (code.includes('Fragment') || code.includes('<>')) features.push('fragment');
+        if (code.includes('React.memo') || code.includes('memo(')) features.push('memoization');
+        if (code.includes('styled')) features.push('styled-components');
+        if (code.includes('StyleSheet')) features.push('react-native:stylesheet');
+        if (code.includes('Animated.')) features.push('react-native:animated');
+        if (code.includes('<View') || code.includes('<Text') || code.includes('<ScrollView')) features.push('react-native:components');
+
+        // Also include basic JS features
+        if (code.includes('async') && code.includes('await')) features.push('async/await');
+        if (code.includes('=>')) features.push('arrow functions');
+        if (code.includes('...')) features.push('spread/rest');
+        if (code.match(/`[^`]*`/)) features.push('template literals');
+
+        if (this.typescript) {
+            if (code.includes('interface ')) features.push('interfaces');
+            if (code.includes('<') && code.includes('>') && code.includes('type ')) features.push('generics');
+            if (code.includes('Props')) features.push('typescript:props');
+        }
+        return features;
+    }
+
+    extendStructure(maskedCode, structure) {
+        structure.components = [];
+        structure.hooks = [];
+        structure.jsxElements = [];
+
+        const collect = (pattern, list, group) => {
+            let match;
+            pattern.lastIndex = 0;
+            while ((match = pattern.exec(maskedCode)) !== null) {
+                list.push({ name: match[group], position: match.index });
+            }
+        };
+
+        collect(this.patterns.component, structure.components, 1);
+        collect(this.patterns.hooks, structure.hooks, 0);
+        collect(this.patterns.jsx, structure.jsxElements, 1);
+    }
+}
+
+module.exports = {
+    JavaScriptProvider,
+    ReactProvider
+};
@@ -0,0 +1,528 @@
+// Keywords counted as Halstead operators; other words are operands
+const OPERATOR_KEYWORDS = [
+    'if', 'else', 'elif', 'elsif', 'unless', 'then', 'for', 'foreach', 'while', 'until', 'do',
+    'switch', 'case', 'when', 'default', 'select', 'break', 'continue', 'return', 'yield',
+    'try', 'catch', 'except', 'finally', 'rescue', 'ensure', 'throw', 'throws', 'raise',
+    'new', 'delete', 'in', 'is', 'as', 'and', 'or', 'not', 'instanceof', 'typeof', 'sizeof',
+    'await', 'async', 'go', 'defer', 'goto', 'lambda', 'fn', 'func', 'function', 'def',
+    'var', 'let', 'const', 'val', 'end', 'begin', 'with', 'using', 'pass', 'match', 'range'
+];
+
+// Halstead tokens of code with comments and strings blanked: names, numbers,
+// string delimiters with their (blanked) contents, then operators longest first
+const HALSTEAD_TOKEN = /([A-Za-z_$@][\w$]*)|(\d[\w.]*)|(["'`])[^]*?\3|(===|!==|<=>|\*\*=?|<<=?|>>>?=?|\.\.\.?|::|->|=>|&&=?|\|\|=?|\?\?=?|\?\.|\+\+|--|:=|<-|[=!<>+\-*\/%&|^]=|[^\s\w])/g;
+
+/**
+ * Language Provider for WhiskerCode
+ * Describes one language to the pattern-based analysis that runs when no syntax tree
+ * is available: how functions are found, which keywords are decision points, how
+ * doc comments look and which performance rules apply.
+ *
+ * The defaults describe a C-like language with braces and // and /* *\/ comments.
+ * Providers override what differs, either by subclassing or by passing a definition
+ * object with the same properties and methods (see LanguageRegistry.register).
+ */
+class LanguageProvider {
+    /**
+     * @param {object} definition - Properties and methods that replace the defaults
+     * @param {string} definition.id - VS Code language identifier
+     * @param {object} definition.patterns - Global regular expressions; `function`, `class`, `loop`, `conditional` and `variable` are required
+     * @param {object} [definition.lexical] - Comment and string syntax, merged with the C-like defaults
+     * @param {object} [definition.decisionPoints] - Global regular expressions counted for cyclomatic complexity
+     * @param {object} [definition.performancePatterns] - Performance pattern rules by category, each with a stable `id`
+     * @param {Set<string>} [definition.operatorKeywords] - Keywords counted as Halstead operators
+     */
+    constructor(definition) {
+        // Regular expressions counted as decision points: conditionals, loops, switches,
+        // catchBlocks, logicalOperators and ternaryOperators (missing ones count zero)
+        this.decisionPoints = {};
+
+        // Performance pattern rules by category; null applies the JavaScript rules
+        this.performancePatterns = null;
+
+        // Keywords counted as Halstead operators rather than operands
+        this.operatorKeywords = new Set(OPERATOR_KEYWORDS);
+
+        Object.assign(this, definition);
+
+        this.lexical = Object.assign({
+            // Tokens that start a comment running to the end of the line
+            lineComments: ['//'],
+            // Tokens that look like a line comment but start code (PHP #[Attribute])
+            notComments: [],
+            // Opening and closing tokens of block comments
+            blockComments: [['/*', '*/']],
+            // Block comments delimited by whole lines (Ruby =begin / =end)
+            lineBlockComments: [],
+            // Delimiters of strings that span lines and have no escapes (Go `raw`)
+            rawStrings: [],
+            // Character before a string that escapes quotes by doubling them (C# @"...")
+            verbatimStringPrefix: null,
+            // Sticky pattern matching a heredoc opener; its last group is the closing label
+            heredoc: null
+        }, definition.lexical);
+    }
+
+    /**
+     * Get the name and parameters of a function matched by `patterns.function`
+     * @param {RegExpExecArray} match - Match of the function pattern
+     * @param {{enclosingClass: function(number): (string|null)}} context - Lookups on the scanned code
+     * @returns {{name: string, params: string, className?: string, kind?: string, isStatic?: boolean}|null} Function, or null to skip the match
+     */
+    matchFunction(match, context) {
+        return { name: match[1], params: match[2] };
+    }
+
+    /**
+     * Find the body of a function matched by `patterns.function`
+     * @param {string} scanText - Code with comments and strings blanked out
+     * @param {string} text - Original code
+     * @param {RegExpExecArray} match - Match of the function pattern
+     * @param {object} func - Result of matchFunction()
+     * @returns {{start: number, end: number}} Body offsets; the end is exclusive
+     */
+    findBody(scanText, text, match, func) {
+        return braceBody(scanText, match.index);
+    }
+
+    /**
+     * Get the name and kind of a variable matched by `patterns.variable`
+     * @param {RegExpExecArray} match - Match of the variable pattern
+     * @returns {{name: string, kind: string}} Variable
+     */
+    matchVariable(match) {
+        return { name: match[1], kind: 'variable' };
+    }
+
+    /**
+     * Estimate where a block starting at an offset ends
+     * @param {string} maskedCode - Code with comments and strings blanked out
+     * @param {number} position - Offset of the block's first keyword
+     * @returns {number} Offset just past the block
+     */
+    estimateBlockEnd(maskedCode, position) {
+        return braceBlockEnd(maskedCode, position);
+    }
+
+    /**
+     * Get the deepest block nesting of some code
+     * @param {string} maskedCode - Code with comments and strings blanked out
+     * @returns {number} Maximum nesting level
+     */
+    nestingLevel(maskedCode) {
+        let maxNestingLevel = 0;
+        let currentLevel = 0;
+        for (const line of maskedCode.split('\n')) {
+            currentLevel += (line.match(/{/g) || []).length - (line.match(/}/g) || []).length;
+            maxNestingLevel = Math.max(maxNestingLevel, currentLevel);
+        }
+        return maxNestingLevel;
+    }
+
+    /**
+     * Parse a function's parameter list
+     * @param {string} paramsStr - Text between the parentheses
+     * @returns {Array<{name: string, type?: string, defaultValue?: string}>} Parameters
+     */
+    parseParams(paramsStr) {
+        if (!paramsStr) return [];
+
+        return paramsStr.split(',')
+            .map(p => p.trim())
+            .filter(p => p)
+            .map(p => {
+                // name: type = default
+                const [name, type] = p.split(':').map(s => s.trim());
+                const [paramName, defaultValue] = name.split('=').map(s => s.trim());
+                return { name: paramName, type, defaultValue };
+            });
+    }
+
+    /**
+     * Generate a documentation comment for a function
+     * @param {string} functionLine - Line declaring the function
+     * @param {object} [types] - Function `name` and inferred types from TypeInferrer.infer(); without them every type is `any`
+     * @returns {string} Doc comment template
+     */
+    docTemplate(functionLine, types) {
+        const nameMatch = functionLine.match(/function\s+(\w+)|(\w+)\s*=\s*function|(\w+)\s*\(/);
+        const name = (types && types.name) || (nameMatch ? (nameMatch[1] || nameMatch[2] || nameMatch[3]) : 'function');
+
+        let template = '/**\n';
+        template += ` * ${name}\n`;
+        template += ` *\n`;
+
+        if (types) {
+            for (const param of types.params) {
+                // Optional parameters are bracketed, with their default value when it is short
+                const name = param.optional
+                    ? `[${param.name}${param.defaultValue !== null ? `=${param.defaultValue}` : ''}]`
+                    : param.name;
+                template += ` * @param {${param.type}} ${name} - Description\n`;
+            }
+            if (types.returns === 'void') {
+                template += ` * @returns {void}\n`;
+            } else if (types.returns) {
+                template += ` * @returns {${types.returns}} - Description\n`;
+            }
+            for (const thrown of types.throws) {
+                template += ` * @throws {${thrown.type}} ${thrown.description || 'Description'}\n`;
+            }
+            template += ` */`;
+            return template;
+        }
+
+        const paramsMatch = functionLine.match(/\(([^)]*)\)/);
+        for (const param of this.parseParams(paramsMatch ? paramsMatch[1] : '')) {
+            template += ` * @param {any} ${param.name} - Description\n`;
+        }
+
+        template += ` * @returns {any} - Description\n`;
+        template += ` */`;
+        return template;
+    }
+
+    /**
+     * Check whether a line is a comment
+     * @param {string} line - Line of code
+     * @returns {boolean} True for comment lines
+     */
+    isComment(line) {
+        const text = line.trim();
+        const { lineComments, notComments, blockComments, lineBlockComments } = this.lexical;
+
+        // Continuation lines of /* */ comments start with *
+        return (lineComments.some(token => text.startsWith(token)) && !notComments.some(token => text.startsWith(token))) ||
+               blockComments.some(([open]) => text.startsWith(open) || (open === '/*' && text.startsWith('*'))) ||
+               lineBlockComments.some(([open, close]) => line.startsWith(open) || line.startsWith(close));
+    }
+
+    /**
+     * Check whether an occurrence of a variable defines it
+     * @param {string} lineText - Line containing the occurrence
+     * @param {number} index - Column of the occurrence
+     * @param {string} varName - Variable name
+     * @returns {boolean} True for definitions
+     */
+    isDefinition(lineText, index, varName) {
+        return new RegExp(`^${escapeRegExp(varName)}\\s*=(?![=>])`).test(lineText.substring(index));
+    }
+
+    /**
+     * Get the pattern matching uses of a variable
+     * @param {string} variableName - Variable name
+     * @returns {RegExp} Global pattern
+     */
+    referencePattern(variableName) {
+        return new RegExp(`\\b${escapeRegExp(variableName)}\\b`, 'g');
+    }
+
+    /**
+     * Get the pattern matching calls of a function
+     * @param {string} functionName - Function name
+     * @returns {RegExp} Pattern
+     */
+    callPattern(functionName) {
+        return new RegExp(`\\b${escapeRegExp(functionName)}\\s*\\(`);
+    }
+
+    /**
+     * Detect language features used by some code
+     * @param {string} code - Original code
+     * @param {string} maskedCode - Code with comments and strings blanked out
+     * @returns {Array<string>} Feature names
+     */
+    detectFeatures(code, maskedCode) {
+        return [];
+    }
+
+    /**
+     * Add language-specific entries to a code structure, such as React components or
+     * Ruby blocks; entries in `structure.blocks` get their end estimated afterwards
+     * @param {string} maskedCode - Code with comments and strings blanked out
+     * @param {object} structure - Structure being built
+     */
+    extendStructure(maskedCode, structure) {
+    }
+
+    /**
+     * Find performance hotspots in a function
+     * @param {string} code - Function code
+     * @param {string} functionName - Function name reported with each hotspot
+     * @returns {Array<object>|null} Hotspots, or null to apply the generic rules
+     */
+    analyzePerformance(code, functionName) {
+        return null;
+    }
+
+    /**
+     * Split a file that embeds its script in markup, such as a Vue or Svelte component.
+     * The script of the returned component is analyzed on the syntax tree as its
+     * `scriptLanguage`, at the offsets it has in the file.
+     * @param {string} code - File content
+     * @returns {object|null} Component from parseSingleFileComponent(), or null for plain code
+     */
+    parseComponent(code) {
+        return null;
+    }
+
+    /**
+     * Split code into Halstead operators and operands. Keywords and punctuation are
+     * operators, with a bracket pair counted once at its opening bracket; names,
+     * numbers and string literals are operands.
+     * @param {string} code - Code of one function
+     * @returns {{operators: string[], operands: string[]}} Tokens in order of appearance
+     */
+    halsteadTokens(code) {
+        const operators = [];
+        const operands = [];
+
+        for (const token of this.lexTokens(code)) {
+            if (token.type === 'keyword' || token.type === 'punctuator') {
+                if (!')]}'.includes(token.value)) operators.push(token.value);
+            } else {
+                operands.push(token.value);
+            }
+        }
+
+        return { operators, operands };
+    }
+
+    /**
+     * Split code into tokens with their offsets, skipping comments. Names that are
+     * operator keywords are `keyword` tokens, other names `identifier` tokens.
+     * @param {string} code - Code to split
+     * @returns {Array<{type: string, value: string, start: number, end: number}>} Identifier, keyword,
+     *     number, string and punctuator tokens in order of appearance
+     */
+    lexTokens(code) {
+        const masked = this.maskCommentsAndStrings(code);
+        const tokens = [];
+
+        HALSTEAD_TOKEN.lastIndex = 0;
+        let match;
+        while ((match = HALSTEAD_TOKEN.exec(masked)) !== null) {
+            const start = match.index;
+            const end = HALSTEAD_TOKEN.lastIndex;
+            let type = 'punctuator';
+            if (match[1]) {
+                type = this.operatorKeywords.has(match[1]) ? 'keyword' : 'identifier';
+            } else if (match[2]) {
+                type = 'number';
+            } else if (match[3]) {
+                type = 'string';
+            }
+
+            // The masked string only keeps its delimiters; its value is in the original code
+            tokens.push({ type, value: code.substring(start, end), start, end });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Blank out comments and string literals so regex scans only see code.
+     * Offsets and line breaks are preserved.
+     * @param {string} code - Code to mask
+     * @returns {string} Masked code
+     */
+    maskCommentsAndStrings(code) {
+        const chars = code.split('');
+        for (const span of this._lexicalSpans(code)) {
+            // Keep string delimiters so string boundaries are still visible
+            for (let i = span.start + span.delimiter; i < span.end - span.delimiter && i < chars.length; i++) {
+                if (chars[i] !== '\n' && chars[i] !== '\r') chars[i] = ' ';
+            }
+        }
+        return chars.join('');
+    }
+
+    /**
+     * Find the comments of some code
+     * @param {string} code - Code to scan
+     * @returns {Array<{start: number, end: number}>} Offsets of each comment, including its delimiters
+     */
+    commentRanges(code) {
+        return this._lexicalSpans(code)
+            .filter(span => span.comment)
+            .map(({ start, end }) => ({ start, end }));
+    }
+
+    /**
+     * Find the comments and string literals of some code by the language's lexical syntax
+     * @private
+     */
+    _lexicalSpans(code) {
+        const { lineComments, notComments, blockComments, lineBlockComments, rawStrings, verbatimStringPrefix, heredoc } = this.lexical;
+        const spans = [];
+
+        let i = 0;
+        while (i < code.length) {
+            const ch = code[i];
+            const startsLine = i === 0 || code[i - 1] === '\n';
+            const block = blockComments.find(([open]) => code.startsWith(open, i));
+            const lineBlock = startsLine && lineBlockComments.find(([open]) => code.startsWith(open, i));
+            const rawString = rawStrings.find(delimiter => code.startsWith(delimiter, i));
+            let end = -1;
+            let delimiter = 0;
+            let comment = false;
+
+            if (lineComments.some(token => code.startsWith(token, i)) && !notComments.some(token => code.startsWith(token, i))) {
+                end = code.indexOf('\n', i);
+                if (end === -1) end = code.length;
+                comment = true;
+            } else if (block) {
+                end = code.indexOf(block[1], i + block[0].length);
+                end = end === -1 ? code.length : end + block[1].length;
+                comment = true;
+            } else if (lineBlock) {
+                // Runs to the end of the line holding the closing token
+                const close = code.indexOf(`\n${lineBlock[1]}`, i);
+                end = close === -1 ? -1 : code.indexOf('\n', close + 1);
+                if (end === -1) end = code.length;
+                comment = true;
+            } else if (rawString) {
+                end = code.indexOf(rawString, i + rawString.length);
+                end = end === -1 ? code.length : end + rawString.length;
+                delimiter = rawString.length;
+            } else if (heredoc && ch === '<') {
+                heredoc.lastIndex = i;
+                const match = heredoc.exec(code);
+                const bodyStart = match ? code.indexOf('\n', i) + 1 : 0;
+                if (bodyStart > 0) {
+                    // The body runs up to the line holding the closing label
+                    const closing = new RegExp(`^[ \\t]*${match[match.length - 1]}\\b`, 'gm');
+                    closing.lastIndex = bodyStart;
+                    const close = closing.exec(code);
+                    spans.push({ start: bodyStart, end: close ? close.index : code.length, delimiter: 0, comment: false });
+                    i = close ? close.index + close[0].length : code.length;
+                    continue;
+                }
+            } else if ((ch === '"' || ch === '\'') && code.startsWith(ch.repeat(3), i)) {
+                // Python docstrings and Java text blocks
+                end = code.indexOf(ch.repeat(3), i + 3);
+                end = end === -1 ? code.length : end + 3;
+                delimiter = 1;
+            } else if (ch === '"' || ch === '\'') {
+                const verbatim = verbatimStringPrefix !== null && code[i - 1] === verbatimStringPrefix;
+                end = i + 1;
+                while (end < code.length && code[end] !== '\n') {
+                    if (verbatim && code[end] === '"' && code[end + 1] === '"') {
+                        end += 2;
+                    } else if (!verbatim && code[end] === '\\') {
+                        end += 2;
+                    } else if (code[end] === ch) {
+                        end++;
+                        break;
+                    } else {
+                        end++;
+                    }
+                }
+                delimiter = 1;
+            }
+
+            if (end > i) {
+                spans.push({ start: i, end, delimiter, comment });
+                i = end;
+            } else {
+                i++;
+            }
+        }
+
+        return spans;
+    }
+}
+
+/**
+ * Find the body of a brace-delimited function
+ * @param {string} scanText - Code with comments and strings blanked out
+ * @param {number} from - Offset of the function declaration
+ * @param {object} [options] - Scanning options
+ * @param {boolean} [options.signatureParens] - Ignore braces inside the parameter and result lists (`v interface{}`)
+ * @param {boolean} [options.bodiless] - A `;` before the body ends a declaration without one (abstract methods)
+ * @returns {{start: number, end: number}} Body offsets; the end is exclusive
+ */
+function braceBody(scanText, from, options = {}) {
+    let braceCount = 0;
+    let foundOpen = false;
+    let parens = 0;
+    let start = from;
+
+    for (let i = from; i < scanText.length; i++) {
+        if (options.signatureParens && !foundOpen) {
+            if (scanText[i] === '(') parens++;
+            else if (scanText[i] === ')') parens--;
+            if (parens > 0) continue;
+
+            if (options.bodiless && scanText[i] === ';') {
+                return { start: i, end: i };
+            }
+        }
+
+        if (scanText[i] === '{') {
+            if (!foundOpen) {
+                foundOpen = true;
+                start = i + 1;
+            }
+            braceCount++;
+        } else if (scanText[i] === '}') {
+            braceCount--;
+            if (braceCount === 0 && foundOpen) {
+                return { start, end: i };
+            }
+        }
+    }
+
+    return { start, end: scanText.length };
+}
+
+/**
+ * Estimate where a brace-delimited block ends: at the brace matching the first `{`,
+ * unless a `;` outside parentheses (a braceless body or a declaration) comes first
+ * @param {string} maskedCode - Code with comments and strings blanked out
+ * @param {number} position - Offset of the block's first keyword
+ * @param {object} [options] - Scanning options
+ * @param {boolean} [options.semicolons=true] - Whether `;` can end a block (Go allows it in headers: `for i := 0; i < n; i++ {`)
+ * @param {boolean} [options.bracesInParens=true] - Whether braces inside parentheses before the block count (Go signatures: `v interface{}`)
+ * @returns {number} Offset just past the block
+ */
+function braceBlockEnd(maskedCode, position, options = {}) {
+    const { semicolons = true, bracesInParens = true } = options;
+    let depth = 0;
+    let parens = 0;
+    for (let i = position; i < maskedCode.length; i++) {
+        const ch = maskedCode[i];
+        if (ch === '(') {
+            parens++;
+        } else if (ch === ')') {
+            parens--;
+        } else if (!bracesInParens && depth === 0 && parens > 0) {
+            continue;
+        } else if (ch === '{') {
+            depth++;
+        } else if (ch === '}') {
+            depth--;
+            if (depth === 0) return i + 1;
+            if (depth < 0) return i;
+        } else if (ch === ';' && depth === 0 && parens <= 0 && semicolons) {
+            return i + 1;
+        }
+    }
+    return maskedCode.length;
+}
+
+/**
+ * Escape special characters in regex
+ * @param {string} string - Text to match literally
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+    LanguageProvider,
+    braceBody,
+    braceBlockEnd,
+    escapeRegExp
+};
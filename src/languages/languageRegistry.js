@@ -0,0 +1,144 @@
+const { createRequire } = require('module');
+const { LanguageProvider } = require('./languageProvider');
+const { JavaScriptProvider, ReactProvider } = require('./javascript');
+const { PythonProvider } = require('./python');
+const { JavaProvider } = require('./java');
+const { CSharpProvider } = require('./csharp');
+const { GoProvider } = require('./go');
+const { PhpProvider } = require('./php');
+const { RubyProvider } = require('./ruby');
+const { VueProvider } = require('./vue');
+const { SvelteProvider } = require('./svelte');
+
+// Patterns every provider must define, matched against code with comments and strings masked
+const REQUIRED_PATTERNS = ['function', 'class', 'loop', 'conditional', 'variable'];
+
+/**
+ * Language Registry for WhiskerCode
+ * Keeps the language providers the parser and performance analyzer look languages up in
+ */
+class LanguageRegistry {
+    constructor() {
+        this._providers = new Map();
+    }
+
+    /**
+     * Register a language provider, replacing any provider registered for the same language
+     * @param {LanguageProvider|object} provider - Provider, or a definition to create one from
+     * @returns {{dispose: function(): void}} Disposable that unregisters the provider
+     */
+    register(provider) {
+        if (!(provider instanceof LanguageProvider)) {
+            provider = new LanguageProvider(provider);
+        }
+
+        if (typeof provider.id !== 'string' || !provider.id) {
+            throw new Error('Language provider must have a language id');
+        }
+        for (const name of REQUIRED_PATTERNS) {
+            const pattern = provider.patterns && provider.patterns[name];
+            if (!(pattern instanceof RegExp) || !pattern.global) {
+                throw new Error(`Language provider '${provider.id}' must define patterns.${name} as a global regular expression`);
+            }
+        }
+        for (const [name, pattern] of Object.entries(provider.decisionPoints || {})) {
+            if (!(pattern instanceof RegExp) || !pattern.global) {
+                throw new Error(`Language provider '${provider.id}' must define decisionPoints.${name} as a global regular expression`);
+            }
+        }
+
+        // Unregistering a provider that replaced another one brings the replaced one back
+        const replaced = this._providers.get(provider.id);
+        this._providers.set(provider.id, provider);
+        return {
+            dispose: () => {
+                if (this._providers.get(provider.id) !== provider) return;
+                if (replaced) {
+                    this._providers.set(provider.id, replaced);
+                } else {
+                    this._providers.delete(provider.id);
+                }
+            }
+        };
+    }
+
+    /**
+     * Load and register the language providers exported by a module. The module exports
+     * a provider or definition, an array of them, or a function that receives the
+     * LanguageProvider class and returns either.
+     * @param {string} modulePath - Absolute path of the module
+     * @returns {{ids: Array<string>, dispose: function(): void}} Registered languages and a disposable that unregisters them
+     */
+    load(modulePath) {
+        // Provider modules live outside the bundle, so load them with Node's own require
+        let exported = createRequire(__filename)(modulePath);
+        if (typeof exported === 'function' && !(exported.prototype instanceof LanguageProvider)) {
+            exported = exported(LanguageProvider);
+        }
+
+        const providers = (Array.isArray(exported) ? exported : [exported])
+            .map(provider => typeof provider === 'function' ? new provider() : provider);
+        const registrations = providers.map(provider => this.register(provider));
+
+        return {
+            ids: providers.map(provider => provider.id),
+            dispose: () => registrations.forEach(registration => registration.dispose())
+        };
+    }
+
+    /**
+     * Get the provider of a language
+     * @param {string} language - Language identifier
+     * @returns {LanguageProvider|undefined} Provider, if the language is registered
+     */
+    get(language) {
+        return this._providers.get(language);
+    }
+
+    /**
+     * Check whether a language is registered
+     * @param {string} language - Language identifier
+     * @returns {boolean} True if a provider is registered
+     */
+    has(language) {
+        return this._providers.has(language);
+    }
+
+    /**
+     * Get the registered language identifiers
+     * @returns {Array<string>} Language identifiers in registration order
+     */
+    ids() {
+        return [...this._providers.keys()];
+    }
+}
+
+/**
+ * Create a registry holding the built-in languages
+ * @returns {LanguageRegistry} Registry
+ */
+function createDefaultRegistry() {
+    const registry = new LanguageRegistry();
+    registry.register(new JavaScriptProvider('javascript'));
+    registry.register(new JavaScriptProvider('typescript'));
+    registry.register(new PythonProvider());
+    registry.register(new JavaProvider());
+    registry.register(new CSharpProvider());
+    registry.register(new GoProvider());
+    registry.register(new PhpProvider());
+    registry.register(new RubyProvider());
+    registry.register(new ReactProvider('javascriptreact'));
+    registry.register(new ReactProvider('typescriptreact'));
+    registry.register(new VueProvider());
+    registry.register(new SvelteProvider());
+    return registry;
+}
+
+// Registry shared by every parser of this thread, so registered languages are seen everywhere
+const languageRegistry = createDefaultRegistry();
+
+module.exports = {
+    LanguageRegistry,
+    createDefaultRegistry,
+    languageRegistry
+};
@@ -0,0 +1,166 @@
+const { LanguageProvider, braceBody, escapeRegExp } = require('./languageProvider');
+
+/**
+ * PHP: $-prefixed variables, # comments next to #[Attributes], and heredocs
+ */
+class PhpProvider extends LanguageProvider {
+    constructor() {
+        super({
+            id: 'php',
+            patterns: {
+                // Groups: function name, parameters; or the variable a closure (function) or
+                // arrow function (fn) is assigned to, then its parameters
+                function: /\bfunction\s+&?(\w+)\s*\(([^)]*)\)|\$(\w+)\s*=\s*(?:static\s+)?(?:function\s*&?\s*\(([^)]*)\)|fn\s*&?\s*\(([^)]*)\)[^;=]*=>)/g,
+                class: /(?<!::|\bnew\s+)\b(?:class|trait|interface|enum)\s+(\w+)/g,
+                interface: /\binterface\s+(\w+)/g,
+                trait: /\btrait\s+(\w+)/g,
+                loop: /\b(for|foreach|while|do)\b/g,
+                conditional: /\b(if|elseif|else|switch|match)\b/g,
+                variable: /\$(\w+)\s*=(?![=>])/g,
+                closure: /\b(function|fn)\s*&?\s*\(/g,
+                comment: /\/\/.*|#.*|\/\*[\s\S]*?\*\//g,
+                docComment: /\/\*\*[\s\S]*?\*\//g
+            },
+            lexical: {
+                lineComments: ['//', '#'],
+                // #[...] is an attribute, not a comment
+                notComments: ['#['],
+                // <<<EOT and <<<'EOT' open a heredoc or nowdoc on the next line
+                heredoc: /<<<[ \t]*(['"]?)(\w+)\1[ \t]*\r?\n/y
+            },
+            decisionPoints: {
+                // `?int` is a nullable type rather than a ternary; ?? and ?: branch like || does
+                conditionals: /\bif\b|\belseif\b/g,
+                loops: /\bfor\b|\bforeach\b|\bwhile\b/g,
+                switches: /\bswitch\b|\bmatch\s*\(/g,
+                catchBlocks: /\bcatch\b/g,
+                logicalOperators: /&&|\|\||\?\?|\?:|\band\b|\bor\b|\bxor\b/g,
+                ternaryOperators: /(?<![(,:]\s*)\?(?![?:>-])[^;?\n]*?[^:]:(?!:)/g
+            }
+        });
+    }
+
+    matchFunction(match, context) {
+        if (match[1]) {
+            // Methods are named after the class, trait or interface they are declared in
+            const className = context.enclosingClass(match.index);
+            const scanText = context.scanText;
+            const lineStart = scanText.lastIndexOf('\n', match.index) + 1;
+            return {
+                name: match[1],
+                params: match[2],
+                className,
+                isStatic: className !== null && /\bstatic\s+(?:\w+\s+)*$/.test(scanText.substring(lineStart, match.index))
+            };
+        }
+
+        // $handler = function (...) use (...) {...} or $double = fn($x) => $x * 2
+        return {
+            name: match[3],
+            params: match[4] !== undefined ? match[4] : match[5],
+            kind: match[4] !== undefined ? 'closure' : 'arrow'
+        };
+    }
+
+    findBody(scanText, text, match, func) {
+        // Abstract and interface methods have no body; arrow functions end with their expression
+        const body = braceBody(scanText, match.index, { signatureParens: true, bodiless: true });
+        if (func.kind === 'arrow' && body.start === body.end) {
+            body.start = match.index + match[0].length;
+        }
+        return body;
+    }
+
+    parseParams(paramsStr) {
+        if (!paramsStr) return [];
+
+        // [visibility] [?Type] [&][...]$name [= default]; names are kept without the $
+        return paramsStr.split(',')
+            .map(p => p.trim())
+            .filter(p => p)
+            .map(p => {
+                const match = p.match(/^(?:(?:public|private|protected|readonly)\s+)*([?\w\\|]+\s+)?&?(?:\.\.\.)?\$(\w+)\s*(?:=\s*(.+))?$/);
+                if (!match) return { name: p };
+                return { name: match[2], type: match[1] ? match[1].trim() : undefined, defaultValue: match[3] };
+            });
+    }
+
+    docTemplate(functionLine) {
+        let name;
+        let params = [];
+        const match = functionLine.match(/\bfunction\s+&?(\w+)\s*\(([^)]*)\)|\$(\w+)\s*=\s*(?:static\s+)?(?:function|fn)\s*&?\s*\(([^)]*)\)/);
+        if (match) {
+            name = match[1] || match[3];
+            params = this.parseParams(match[1] ? match[2] : match[4]);
+        }
+        const returnMatch = functionLine.match(/\)\s*:\s*(\??[\w\\|]+)/);
+
+        let template = '/**\n';
+        template += ` * ${name || 'function'}\n`;
+        template += ` *\n`;
+
+        for (const param of params) {
+            template += ` * @param ${param.type || 'mixed'} $${param.name} Description\n`;
+        }
+
+        // Constructors do not document a return value
+        if (name !== '__construct') {
+            template += ` * @return ${returnMatch ? returnMatch[1] : 'mixed'} Description\n`;
+        }
+        template += ` */`;
+        return template;
+    }
+
+    isDefinition(lineText, index) {
+        // Assignments, parameters, foreach and catch variables, global and static declarations;
+        // variables a closure captures with use (...) are reads
+        const prefix = lineText.substring(0, index);
+        const rest = lineText.substring(index);
+        return /^\$\w+\s*=(?![=>])/.test(rest) ||
+               (/\b(?:function|fn)\b[^{;]*[(,]\s*(?:(?:public|private|protected|readonly)\s+)*(?:[?\w\\|]+\s+)?&?(?:\.\.\.)?$/.test(prefix) &&
+                !/\buse\s*\([^)]*$/.test(prefix)) ||
+               /\bas\s+(?:&?\$\w+\s*=>\s*)?&?$/.test(prefix) ||
+               /\bcatch\s*\([^)$]*$/.test(prefix) ||
+               /\b(?:global|static)\s+(?:\$\w+\s*,\s*)*$/.test(prefix);
+    }
+
+    referencePattern(variableName) {
+        // Variables carry a $ sigil, which the selected word may or may not include
+        return new RegExp(`\\$${escapeRegExp(variableName.replace(/^\$/, ''))}\\b`, 'g');
+    }
+
+    detectFeatures(code, maskedCode) {
+        const features = [];
+        const has = pattern => {
+            pattern.lastIndex = 0;
+            return pattern.test(maskedCode);
+        };
+        if (/^\s*namespace\s+[\w\\]+/m.test(maskedCode)) features.push('namespaces');
+        if (has(this.patterns.trait) || /^\s*use\s+\w+(?:\s*,\s*\w+)*\s*;/m.test(maskedCode)) features.push('traits');
+        if (has(this.patterns.interface)) features.push('interfaces');
+        if (/\bfunction\s*&?\s*\(/.test(maskedCode)) features.push('closures');
+        if (/\bfn\s*&?\s*\(/.test(maskedCode)) features.push('arrow functions');
+        if (/\bdeclare\s*\(\s*strict_types\s*=\s*1/.test(maskedCode) || /\)\s*:\s*\??[\w\\]+\s*\{/.test(maskedCode)) features.push('type declarations');
+        if (/^\s*#\[/m.test(code)) features.push('attributes');
+        if (/\bmatch\s*\(/.test(maskedCode)) features.push('match expressions');
+        if (/\benum\s+\w+/.test(maskedCode)) features.push('enums');
+        if (/\byield\b/.test(maskedCode)) features.push('generators');
+        if (/\btry\s*\{/.test(maskedCode) && /\bcatch\s*\(/.test(maskedCode)) features.push('exception handling');
+        return features;
+    }
+
+    extendStructure(maskedCode, structure) {
+        // Closures and arrow functions
+        const closurePattern = this.patterns.closure;
+        let match;
+        closurePattern.lastIndex = 0;
+        while ((match = closurePattern.exec(maskedCode)) !== null) {
+            structure.blocks.push({
+                type: match[1] === 'fn' ? 'arrow function' : 'closure',
+                position: match.index
+            });
+        }
+    }
+}
+
+module.exports = { PhpProvider };
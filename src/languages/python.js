@@ -0,0 +1,152 @@
+const { LanguageProvider, escapeRegExp } = require('./languageProvider');
+
+/**
+ * Python: blocks are delimited by indentation rather than braces
+ */
+class PythonProvider extends LanguageProvider {
+    constructor() {
+        super({
+            id: 'python',
+            patterns: {
+                function: /def\s+(\w+)\s*\(([^)]*)\):/g,
+                class: /class\s+(\w+)(?:\(([^)]*)\))?:/g,
+                loop: /\b(for|while)\b/g,
+                conditional: /\b(if|elif|else)\b/g,
+                variable: /(\w+)\s*=/g,
+                comment: /#.*/g,
+                docComment: /\"\"\"[\s\S]*?\"\"\"/g,
+                indentation: /^(\s+)/gm
+            },
+            lexical: {
+                lineComments: ['#'],
+                blockComments: []
+            },
+            decisionPoints: {
+                conditionals: /\bif\b|\belif\b/g,
+                loops: /\bfor\b|\bwhile\b/g,
+                catchBlocks: /\bexcept\b/g,
+                logicalOperators: /\band\b|\bor\b/g
+            }
+        });
+    }
+
+    findBody(scanText, text, match) {
+        const start = scanText.indexOf(':', match.index) + 1;
+
+        // Find the end of the indented block, indented like its first line of code
+        const indentationMatch = /^([ \t]+)\S/m.exec(text.substring(start));
+        if (!indentationMatch) {
+            return { start, end: text.length };
+        }
+
+        const indentation = indentationMatch[1];
+        const nextLineWithLessIndentation = new RegExp(`\\n(?!${indentation}|\\s{${indentation.length},})`, 'g');
+        nextLineWithLessIndentation.lastIndex = start;
+
+        const endMatch = nextLineWithLessIndentation.exec(text);
+        return { start, end: endMatch ? endMatch.index : text.length };
+    }
+
+    estimateBlockEnd(maskedCode, position) {
+        // The block is every following line indented deeper than the header line
+        const lineStart = maskedCode.lastIndexOf('\n', position - 1) + 1;
+        const indent = maskedCode.substring(lineStart).search(/\S|$/);
+        let end = maskedCode.indexOf('\n', position);
+        if (end === -1) return maskedCode.length;
+
+        for (;;) {
+            const next = maskedCode.indexOf('\n', end + 1);
+            const line = maskedCode.substring(end + 1, next === -1 ? maskedCode.length : next);
+            if (line.trim() !== '' && line.search(/\S/) <= indent) break;
+            if (next === -1) return maskedCode.length;
+            end = next;
+        }
+        return end;
+    }
+
+    nestingLevel(maskedCode) {
+        // Count indentation levels, assuming 4 spaces per level
+        let maxNestingLevel = 0;
+        let currentLevel = 0;
+        let previousIndentation = 0;
+
+        for (const line of maskedCode.split('\n')) {
+            if (line.trim() === '') continue;
+
+            const indentation = line.search(/\S|$/);
+
+            if (indentation > previousIndentation) {
+                currentLevel += Math.floor((indentation - previousIndentation) / 4);
+            } else if (indentation < previousIndentation) {
+                currentLevel -= Math.floor((previousIndentation - indentation) / 4);
+            }
+
+            maxNestingLevel = Math.max(maxNestingLevel, currentLevel);
+            previousIndentation = indentation;
+        }
+        return maxNestingLevel;
+    }
+
+    parseParams(paramsStr) {
+        if (!paramsStr) return [];
+
+        return paramsStr.split(',')
+            .map(p => p.trim())
+            .filter(p => p)
+            .map(p => {
+                const [nameAndType, defaultValue] = p.split('=').map(s => s.trim());
+                const [name, type] = nameAndType.split(':').map(s => s.trim());
+                return { name, type, defaultValue };
+            });
+    }
+
+    docTemplate(functionLine) {
+        let name;
+        let params = [];
+        const match = functionLine.match(/def\s+(\w+)\s*\(([^)]*)\):/);
+        if (match) {
+            name = match[1];
+            params = match[2].split(',').map(p => p.trim()).filter(p => p);
+        }
+
+        let template = '"""\n';
+        template += `${name}\n\n`;
+
+        for (const param of params) {
+            const paramName = param.split('=')[0].trim();
+            template += `Args:\n    ${paramName}: Description\n`;
+        }
+
+        template += '\nReturns:\n    Description\n"""\n';
+        return template;
+    }
+
+    isComment(line) {
+        return line.trim().startsWith('#') || line.trim().startsWith('"""');
+    }
+
+    isDefinition(lineText, index, varName) {
+        // Assigned (`x = ...`, `x += ...`, `a, x = ...`), or bound by `for x in` / `as x`
+        const prefix = lineText.substring(0, index);
+        const rest = lineText.substring(index + varName.length);
+        return /^\s*(,[\w\s,]*)?(\*\*|\/\/|>>|<<|[-+*/%&|^@])?=(?!=)/.test(rest) ||
+            /\b(for|as)\s+([\w\s,]*,\s*)?$/.test(prefix);
+    }
+
+    referencePattern(variableName) {
+        // In Python, variable usage doesn't typically have type declarations
+        return new RegExp(`\\b${escapeRegExp(variableName)}\\b(?!\\s*\\()`, 'g');
+    }
+
+    detectFeatures(code) {
+        const features = [];
+        if (code.includes('async def') && code.includes('await')) features.push('async/await');
+        if (code.includes('yield')) features.push('generators');
+        if (code.includes('with')) features.push('context managers');
+        if (code.includes('lambda')) features.push('lambda functions');
+        if (code.includes('comprehension')) features.push('list comprehensions');
+        return features;
+    }
+}
+
+module.exports = { PythonProvider };
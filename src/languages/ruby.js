@@ -0,0 +1,279 @@
+const { LanguageProvider, escapeRegExp } = require('./languageProvider');
+
+/**
+ * Ruby: blocks are mostly closed by `end`, calls need no parentheses and
+ * @ivars, @@cvars, $globals and :symbols are distinct from local names
+ */
+class RubyProvider extends LanguageProvider {
+    constructor() {
+        super({
+            id: 'ruby',
+            patterns: {
+                // Groups: receiver (def self.name), method name, parenthesized or bare parameters;
+                // or the variable a lambda is assigned to, then its -> or |block| parameters
+                function: /\bdef\s+(?:(\w+)\s*\.\s*)?(\w+[?!=]?)(?:\s*\(([^)]*)\)|[ \t]+(?!=)([^\n;]+))?|(?<![\w@$.:])(\w+)\s*=\s*(?:->\s*(?:\(([^)]*)\))?|(?:lambda|proc|Proc\.new)\s*(?:\{|do\b)\s*(?:\|([^|]*)\|)?)/g,
+                class: /\b(?:class|module)\s+([A-Z][\w:]*)/g,
+                module: /\bmodule\s+([A-Z][\w:]*)/g,
+                loop: /\b(for|while|until|loop(?=\s*(?:do\b|\{)))\b/g,
+                conditional: /\b(if|elsif|else|unless|case|when)\b/g,
+                variable: /(?<![\w@$.:]|\bdef\s+)(@{0,2}\w+|\$\w+)\s*=(?![=~>])/g,
+                block: /\bdo\b(?:\s*\|([^|]*)\|)?|\{\s*\|([^|]*)\|/g,
+                lambda: /->|\blambda\b|\bproc\b|\bProc\.new\b/g,
+                comment: /#.*|^=begin[\s\S]*?^=end/gm,
+                docComment: /(?:^[ \t]*#.*\n)+/gm
+            },
+            lexical: {
+                lineComments: ['#'],
+                blockComments: [],
+                lineBlockComments: [['=begin', '=end']],
+                // <<~EOT, <<-EOT and <<EOT open a heredoc on the next line
+                heredoc: /<<[~-]?(['"`]?)([A-Z_][A-Z0-9_]*)\1/y
+            },
+            decisionPoints: {
+                // Modifier forms (`return if done`) are decisions too; a ternary is spaced (`a ? b : c`)
+                // so it is not confused with predicate methods and symbols
+                conditionals: /\bif\b|\belsif\b|\bunless\b/g,
+                loops: /\bwhile\b|\buntil\b|\bfor\b|\bloop\s*(?:do\b|\{)/g,
+                switches: /(?<![.:])\bcase\b/g,
+                catchBlocks: /\brescue\b/g,
+                logicalOperators: /&&|\|\||\band\b|\bor\b/g,
+                ternaryOperators: /\s\?\s[^\n]*?\s:\s/g
+            }
+        });
+
+        // Block tokens of the most recently scanned code
+        this._tokenCache = null;
+    }
+
+    matchFunction(match, context) {
+        if (match[2]) {
+            // Methods are named after their class or module; def self.name declares a class method
+            return {
+                name: match[2],
+                params: match[3] !== undefined ? match[3] : match[4],
+                className: context.enclosingClass(match.index) || (match[1] && match[1] !== 'self' ? match[1] : null),
+                isStatic: Boolean(match[1])
+            };
+        }
+
+        // handler = ->(x) { ... } or handler = lambda { |x| ... }
+        return {
+            name: match[5],
+            params: match[6] !== undefined ? match[6] : match[7],
+            kind: 'lambda'
+        };
+    }
+
+    matchVariable(match) {
+        // Capitalized names are constants
+        return { name: match[1], kind: /^[A-Z]/.test(match[1]) ? 'constant' : 'variable' };
+    }
+
+    findBody(scanText, text, match, func) {
+        // Bodies are closed by the `end` matching the def, do or brace block
+        const signatureEnd = match.index + match[0].length;
+        let end = this.estimateBlockEnd(scanText, match.index);
+        if (scanText.endsWith('end', end)) {
+            end -= 3;
+        } else if (scanText[end - 1] === '}') {
+            end--;
+        }
+        const lineEnd = scanText.indexOf('\n', signatureEnd);
+        return {
+            start: Math.min(end, func.kind === 'lambda' || lineEnd === -1 ? signatureEnd : lineEnd + 1),
+            end
+        };
+    }
+
+    estimateBlockEnd(maskedCode, position) {
+        // The block runs to the `end` or `}` matching the first opener on its line;
+        // a modifier (`return if done`) or an `else` has no block of its own
+        const lineEnd = maskedCode.indexOf('\n', position);
+        let depth = 0;
+        for (const token of this._blockTokens(maskedCode)) {
+            if (token.index < position) continue;
+            if (depth === 0 && (!token.opens || (lineEnd !== -1 && token.index > lineEnd))) break;
+            depth += token.opens ? 1 : -1;
+            if (depth === 0) return token.index + token.length;
+        }
+        return lineEnd === -1 ? maskedCode.length : lineEnd;
+    }
+
+    nestingLevel(maskedCode) {
+        let maxNestingLevel = 0;
+        let currentLevel = 0;
+        for (const token of this._blockTokens(maskedCode)) {
+            currentLevel += token.opens ? 1 : -1;
+            maxNestingLevel = Math.max(maxNestingLevel, currentLevel);
+        }
+        return maxNestingLevel;
+    }
+
+    parseParams(paramsStr) {
+        if (!paramsStr) return [];
+
+        // a, b = 1, *rest, key:, key: 1, **options, &block
+        return paramsStr.split(',')
+            .map(p => p.trim())
+            .filter(p => p)
+            .map(p => {
+                const match = p.match(/^[*&]{0,2}(\w+)\s*(?::\s*(.*)|=\s*(.*))?$/);
+                if (!match) return { name: p };
+                return { name: match[1], defaultValue: match[2] || match[3] || undefined };
+            });
+    }
+
+    docTemplate(functionLine) {
+        // YARD tags: @param name [Type], with splats and blocks documented by kind
+        let name;
+        let params = [];
+        const match = functionLine.match(/\bdef\s+(?:\w+\s*\.\s*)?(\w+[?!=]?)(?:\s*\(([^)]*)\)|[ \t]+(?!=)([^\n;#]+))?/);
+        if (match) {
+            name = match[1];
+            params = (match[2] !== undefined ? match[2] : match[3] || '').split(',').map(p => p.trim()).filter(p => p);
+        }
+
+        let template = `# ${name || 'method'}\n`;
+        template += '#\n';
+
+        let yields = false;
+        for (const param of params) {
+            const paramName = param.replace(/^[*&]+/, '').split(/[:=]/)[0].trim();
+            if (param.startsWith('&')) {
+                yields = true;
+            } else if (param.startsWith('**')) {
+                template += `# @param ${paramName} [Hash] Description\n`;
+            } else if (param.startsWith('*')) {
+                template += `# @param ${paramName} [Array] Description\n`;
+            } else {
+                template += `# @param ${paramName} [Object] Description\n`;
+            }
+        }
+
+        if (yields) {
+            template += '# @yield Description\n';
+        }
+        template += '# @return [Object] Description';
+        return template;
+    }
+
+    isDefinition(lineText, index, varName) {
+        // Assignments (including a, b = ...), method and block parameters, for and rescue variables
+        const prefix = lineText.substring(0, index);
+        const rest = lineText.substring(index);
+        return (/^\s*(?:[@$]{0,2}\w+\s*,\s*)*$/.test(prefix) &&
+                new RegExp(`^${escapeRegExp(varName)}\\s*(?:,\\s*[@$]{0,2}\\w+\\s*)*(?:\\|\\||&&)?=(?![=~>])`).test(rest)) ||
+               /\bdef\s+(?:\w+\s*\.\s*)?\w+[?!=]?(?:\s*\(|\s+)(?:[^)]*,\s*)?[*&]{0,2}$/.test(prefix) ||
+               /(?:\bdo|\{)\s*\|[^|]*$/.test(prefix) ||
+               /->\s*\([^)]*$/.test(prefix) ||
+               /\bfor\s+(?:\w+\s*,\s*)*$/.test(prefix) ||
+               /\brescue\b[^=\n]*=>\s*$/.test(prefix);
+    }
+
+    referencePattern(variableName) {
+        // @name, @@name and $name are different variables from name, and :name is a symbol
+        return new RegExp(`(?<![\\w@$:])${escapeRegExp(variableName)}\\b(?![?!(])`, 'g');
+    }
+
+    callPattern(functionName) {
+        // Calls need no parentheses
+        return new RegExp(`(?<![\\w@$:])${escapeRegExp(functionName)}(?![\\w?!]|\\s*=[^=~>])`);
+    }
+
+    detectFeatures(code, maskedCode) {
+        const features = [];
+        const has = pattern => {
+            pattern.lastIndex = 0;
+            return pattern.test(maskedCode);
+        };
+        if (has(this.patterns.block)) features.push('blocks');
+        if (has(this.patterns.lambda)) features.push('lambdas');
+        if (has(this.patterns.module)) features.push('modules');
+        if (/^\s*(?:include|extend|prepend)\s+[A-Z]/m.test(maskedCode)) features.push('mixins');
+        if (/\b(?:define_method|method_missing|instance_variable_[gs]et|class_eval|instance_eval|send)\b/.test(maskedCode)) features.push('metaprogramming');
+        if (/\battr_(?:accessor|reader|writer)\b/.test(maskedCode)) features.push('attribute accessors');
+        if (/\byield\b|&block\b/.test(maskedCode)) features.push('yield');
+        if (/#\{/.test(code)) features.push('string interpolation');
+        if (/\brescue\b/.test(maskedCode)) features.push('exception handling');
+        return features;
+    }
+
+    extendStructure(maskedCode, structure) {
+        let match;
+        const lambdaPattern = this.patterns.lambda;
+        lambdaPattern.lastIndex = 0;
+        while ((match = lambdaPattern.exec(maskedCode)) !== null) {
+            structure.blocks.push({ type: 'lambda', position: match.index });
+        }
+
+        const blockPattern = this.patterns.block;
+        blockPattern.lastIndex = 0;
+        while ((match = blockPattern.exec(maskedCode)) !== null) {
+            // The block of lambda { |x| } is the lambda itself, and the one of
+            // `loop do` is the loop; `while x do` has no block
+            const before = maskedCode.substring(maskedCode.lastIndexOf('\n', match.index - 1) + 1, match.index);
+            if (/(?:->\s*(?:\([^)]*\))?|\blambda|\bproc|\bProc\.new|\bloop)\s*$|\b(?:while|until|for)\b/.test(before)) continue;
+
+            structure.blocks.push({
+                type: 'block',
+                params: this.parseParams(match[1] !== undefined ? match[1] : match[2]).map(param => param.name),
+                position: match.index
+            });
+        }
+        structure.blocks.sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Find the tokens that open and close blocks: keywords closed by `end`, and braces.
+     * Modifiers (`x += 1 while busy`), endless methods and the optional `do` of a
+     * while/until/for loop are left out. Results are kept for the last code scanned.
+     * @private
+     */
+    _blockTokens(maskedCode) {
+        if (this._tokenCache && this._tokenCache.code === maskedCode) {
+            return this._tokenCache.tokens;
+        }
+
+        const tokens = [];
+        const pattern = /(?<![\w.:$@])(def|class|module|begin|case|do|if|unless|while|until|for|end)(?![\w?!:])|[{}]/g;
+        const endlessMethod = /def[ \t]+[\w.]+[?!]?(?:[ \t]*\([^)]*\)[ \t]*|[ \t]+)=(?![=~>])/y;
+        let loopLine = -1;
+        let match;
+        while ((match = pattern.exec(maskedCode)) !== null) {
+            const word = match[1];
+            const lineStart = maskedCode.lastIndexOf('\n', match.index - 1) + 1;
+
+            if (!word) {
+                tokens.push({ index: match.index, length: 1, opens: match[0] === '{' });
+                continue;
+            }
+            if (word === 'end') {
+                tokens.push({ index: match.index, length: 3, opens: false });
+                continue;
+            }
+
+            const before = maskedCode.substring(lineStart, match.index);
+            if (word === 'do' && lineStart === loopLine) {
+                loopLine = -1;
+                continue;
+            }
+            if (['if', 'unless', 'while', 'until'].includes(word) &&
+                !/(?:^|[;=(\[,!{]|\|\||&&|\b(?:then|else|do|begin))\s*$/.test(before)) {
+                continue;
+            }
+            if (word === 'def') {
+                endlessMethod.lastIndex = match.index;
+                if (endlessMethod.test(maskedCode)) continue;
+            }
+            if (word === 'while' || word === 'until' || word === 'for') {
+                loopLine = lineStart;
+            }
+            tokens.push({ index: match.index, length: word.length, opens: true });
+        }
+
+        this._tokenCache = { code: maskedCode, tokens };
+        return tokens;
+    }
+}
+
+module.exports = { RubyProvider };
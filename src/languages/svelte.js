@@ -0,0 +1,47 @@
+const { JavaScriptProvider } = require('./javascript');
+const { parseSingleFileComponent } = require('../syntax/singleFileComponent');
+
+// Markup rules, matched against the whole component file
+const SVELTE_PERFORMANCE_PATTERNS = {
+    templateRendering: [
+        {
+            id: 'each_without_key',
+            pattern: /\{#each\s[^}]*?\sas\s[^}(]*\}/g,
+            description: "{#each} block without a key",
+            severity: "medium",
+            suggestion: "Add a key, as in {#each items as item (item.id)}, so Svelte can reuse and reorder the rendered elements"
+        },
+        {
+            pattern: /\{#each\s[^}]*?\sas\s[^}]*\([^)]*\)\s*\}/g,
+            description: "Keyed {#each} block",
+            severity: "positive",
+            suggestion: "Good use of keys for efficient list updates"
+        }
+    ],
+    reactivity: [
+        {
+            id: 'manual_store_subscription',
+            pattern: /\.subscribe\s*\(/g,
+            description: "Manual store subscription",
+            severity: "low",
+            suggestion: "Use the $store auto-subscription, or unsubscribe in onDestroy to avoid leaks"
+        }
+    ]
+};
+
+/**
+ * Svelte components: the <script> blocks are analyzed as JavaScript or TypeScript,
+ * and the markup around them for components, directives, {#blocks} and state
+ */
+class SvelteProvider extends JavaScriptProvider {
+    constructor() {
+        super('svelte');
+        this.performancePatterns = Object.assign({}, this.performancePatterns, SVELTE_PERFORMANCE_PATTERNS);
+    }
+
+    parseComponent(code) {
+        return parseSingleFileComponent(code, 'svelte');
+    }
+}
+
+module.exports = { SvelteProvider };
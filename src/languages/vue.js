@@ -0,0 +1,60 @@
+const { JavaScriptProvider } = require('./javascript');
+const { parseSingleFileComponent } = require('../syntax/singleFileComponent');
+
+// Template rules, matched against the whole component file
+const VUE_PERFORMANCE_PATTERNS = {
+    templateRendering: [
+        {
+            id: 'vfor_without_key',
+            pattern: /<[\w-]+(?=(?:[^>"']|"[^"]*"|'[^']*')*\sv-for=)(?!(?:[^>"']|"[^"]*"|'[^']*')*\s(?::key|v-bind:key)=)(?:[^>"']|"[^"]*"|'[^']*')*>/g,
+            description: "v-for without a :key",
+            severity: "medium",
+            suggestion: "Bind a stable :key so Vue can reuse and reorder the rendered elements"
+        },
+        {
+            id: 'vfor_with_vif',
+            pattern: /<[\w-]+(?=(?:[^>"']|"[^"]*"|'[^']*')*\sv-for=)(?=(?:[^>"']|"[^"]*"|'[^']*')*\sv-if=)(?:[^>"']|"[^"]*"|'[^']*')*>/g,
+            description: "v-if on the same element as v-for",
+            severity: "high",
+            suggestion: "Filter the list in a computed property, or move v-if to a wrapping <template>"
+        },
+        {
+            pattern: /\sv-(?:once|memo)\b/g,
+            description: "Skipped re-renders with v-once/v-memo",
+            severity: "positive",
+            suggestion: "Good use of v-once/v-memo for content that rarely changes"
+        }
+    ],
+    reactivity: [
+        {
+            id: 'deep_watcher',
+            pattern: /\bdeep\s*:\s*true\b/g,
+            description: "Deep watcher",
+            severity: "medium",
+            suggestion: "Deep watchers traverse the whole object on every change; watch the specific properties instead"
+        },
+        {
+            pattern: /\bcomputed\s*\(/g,
+            description: "Cached derived state",
+            severity: "positive",
+            suggestion: "Good use of computed() to cache values derived from reactive state"
+        }
+    ]
+};
+
+/**
+ * Vue single-file components: the <script> (or <script setup>) block is analyzed as
+ * JavaScript or TypeScript, and the <template> for components, directives and state
+ */
+class VueProvider extends JavaScriptProvider {
+    constructor() {
+        super('vue');
+        this.performancePatterns = Object.assign({}, this.performancePatterns, VUE_PERFORMANCE_PATTERNS);
+    }
+
+    parseComponent(code) {
+        return parseSingleFileComponent(code, 'vue');
+    }
+}
+
+module.exports = { VueProvider };
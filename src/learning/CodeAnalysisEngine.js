@@ -72,6 +72,7 @@ class CodeAnalysisEngine {
         const ext = path.extname(filePath).toLowerCase();
         const supportedExtensions = [
             '.js', '.ts', '.jsx', '.tsx',  // JavaScript/TypeScript
+            '.vue', '.svelte',             // Vue/Svelte components
             '.py',                         // Python
             '.java',                       // Java
             '.cs',                         // C#
@@ -101,6 +102,8 @@ class CodeAnalysisEngine {
             '.ts': 'TypeScript',
             '.jsx': 'React (JS)',
             '.tsx': 'React (TS)',
+            '.vue': 'Vue',
+            '.svelte': 'Svelte',
             '.py': 'Python',
             '.java': 'Java',
             '.cs': 'C#',
@@ -122,6 +125,8 @@ class CodeAnalysisEngine {
             case '.jsx':
             case '.ts':
             case '.tsx':
+            case '.vue':
+            case '.svelte':
                 this.analyzeJavaScript(content, extension);
                 break;
             case '.py':
@@ -130,6 +135,12 @@ class CodeAnalysisEngine {
             case '.java':
                 this.analyzeJava(content);
                 break;
+            case '.php':
+                this.analyzePHP(content);
+                break;
+            case '.rb':
+                this.analyzeRuby(content);
+                break;
             // Add more language analyzers as needed
             default:
                 // Generic analysis for other languages
@@ -202,6 +213,36 @@ class CodeAnalysisEngine {
         });
     }
 
+    analyzePHP(content) {
+        // PHP-specific analysis
+        const patterns = {
+            closures: (content.match(/\bfunction\s*\(|\bfn\s*\(/g) || []).length,
+            traits: (content.match(/\btrait\s+\w+/g) || []).length,
+            typeDeclarations: (content.match(/\)\s*:\s*\??[\w\\]+/g) || []).length,
+            attributes: (content.match(/#\[\w+/g) || []).length,
+        };
+        
+        // Update metrics
+        Object.keys(patterns).forEach(key => {
+            this.codeMetrics.patterns[key] = (this.codeMetrics.patterns[key] || 0) + patterns[key];
+        });
+    }
+
+    analyzeRuby(content) {
+        // Ruby-specific analysis
+        const patterns = {
+            blocks: (content.match(/\bdo\b\s*\||\{\s*\|/g) || []).length,
+            lambdas: (content.match(/->|\blambda\b/g) || []).length,
+            mixins: (content.match(/^\s*(?:include|extend|prepend)\s+[A-Z]/gm) || []).length,
+            metaprogramming: (content.match(/\bdefine_method\b|\bmethod_missing\b/g) || []).length,
+        };
+        
+        // Update metrics
+        Object.keys(patterns).forEach(key => {
+            this.codeMetrics.patterns[key] = (this.codeMetrics.patterns[key] || 0) + patterns[key];
+        });
+    }
+
     analyzeGeneric(content) {
         // Generic code metrics for any language
         const lines = content.split('\n').length;
@@ -287,7 +328,9 @@ class CodeAnalysisEngine {
             'Modern JavaScript': ['arrowFunctions', 'destructuring', 'templateLiterals', 'asyncAwait'],
             'React Development': ['reactHooks', 'reactComponents'],
             'Python Idioms': ['listComprehensions', 'decorators', 'fStrings'],
-            'Java Modern Features': ['streamAPI', 'lambdaExpressions']
+            'Java Modern Features': ['streamAPI', 'lambdaExpressions'],
+            'Modern PHP': ['closures', 'traits', 'typeDeclarations', 'attributes'],
+            'Ruby Idioms': ['blocks', 'lambdas', 'mixins', 'metaprogramming']
         };
         
         Object.keys(patternStrengths).forEach(strength => {
@@ -0,0 +1,113 @@
+const path = require('path');
+const { markCycles } = require('./graphCycles');
+
+/**
+ * List every folder on the way to the given nodes, so nested folders can be
+ * collapsed one level at a time
+ * @param {Iterable<{folder: string}>} nodes - Graph nodes with their folder ('.' for the root)
+ * @returns {Array<{path: string, parent: string|null, modules: number}>} Folders with the number
+ *     of nodes below them, the root first and parents before children
+ */
+function collectFolders(nodes) {
+    const folders = new Map();
+    for (const node of nodes) {
+        const parts = node.folder === '.' ? [] : node.folder.split('/');
+        for (let depth = 0; depth <= parts.length; depth++) {
+            const folder = depth === 0 ? '.' : parts.slice(0, depth).join('/');
+            if (!folders.has(folder)) {
+                const parent = depth === 0 ? null : depth === 1 ? '.' : parts.slice(0, depth - 1).join('/');
+                folders.set(folder, { path: folder, parent, modules: 0 });
+            }
+            folders.get(folder).modules++;
+        }
+    }
+
+    return Array.from(folders.values())
+        .sort((a, b) => a.path === '.' ? -1 : b.path === '.' ? 1 : a.path.localeCompare(b.path));
+}
+
+/**
+ * Build the import graph of the workspace modules
+ * @param {Map<string, object>} files - Modules from WorkspaceIndex.load()
+ * @param {{resolveModule: Function}} index - Resolves specifiers between the modules
+ * @param {Function} relativePath - Turns an absolute path into the path shown for it
+ * @returns {{nodes: Array<object>, links: Array<object>, folders: Array<object>, unresolved: Array<object>, cycles: Array<object>}}
+ *     Modules as nodes (`id` is the relative path, `folder` its directory), one link per
+ *     importing module and imported module with the kinds and names imported, every
+ *     folder with its module count (parents before children), the relative
+ *     specifiers that matched no file, and the import cycles from markCycles()
+ */
+function buildModuleGraph(files, index, relativePath) {
+    const nodes = new Map();
+    const links = new Map();
+    const unresolved = [];
+
+    const nodeFor = file => {
+        let node = nodes.get(file);
+        if (!node) {
+            const id = relativePath(file).split(path.sep).join('/');
+            const slash = id.lastIndexOf('/');
+            node = {
+                id,
+                label: id.slice(slash + 1),
+                file,
+                folder: slash === -1 ? '.' : id.slice(0, slash),
+                imports: 0,
+                importedBy: 0,
+                packages: []
+            };
+            nodes.set(file, node);
+        }
+        return node;
+    };
+
+    for (const info of files.values()) {
+        const source = nodeFor(info.file);
+
+        // Re-exports (`export ... from`) depend on their module just like imports do
+        const records = info.imports.concat(info.exports
+            .filter(entry => entry.source)
+            .map(entry => ({ source: entry.source, imported: entry.imported, kind: 'export' })));
+
+        for (const record of records) {
+            const file = index.resolveModule(info.file, record.source, files);
+            if (!file) {
+                if (record.source.startsWith('.')) {
+                    unresolved.push({ from: source.id, specifier: record.source });
+                } else if (!source.packages.includes(record.source)) {
+                    source.packages.push(record.source);
+                }
+                continue;
+            }
+            if (file === info.file) continue;
+
+            const target = nodeFor(file);
+            const key = `${source.id}\u0000${target.id}`;
+            let link = links.get(key);
+            if (!link) {
+                link = { source: source.id, target: target.id, kinds: [], names: [] };
+                links.set(key, link);
+                source.imports++;
+                target.importedBy++;
+            }
+            if (!link.kinds.includes(record.kind)) link.kinds.push(record.kind);
+            if (record.imported && !link.names.includes(record.imported)) link.names.push(record.imported);
+        }
+    }
+
+    const graph = {
+        nodes: Array.from(nodes.values()).sort((a, b) => a.id.localeCompare(b.id)),
+        links: Array.from(links.values()),
+        folders: collectFolders(nodes.values()),
+        unresolved
+    };
+
+    // Import cycles; dynamic imports load later, so they cannot cause startup-order problems
+    graph.cycles = markCycles(graph, link => link.kinds.some(kind => kind !== 'dynamic'));
+    return graph;
+}
+
+module.exports = {
+    buildModuleGraph,
+    collectFolders
+};
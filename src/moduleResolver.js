@@ -0,0 +1,170 @@
+const path = require('path');
+
+// Extensions tried, in order, when an import specifier omits one
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts'];
+
+/**
+ * Read a tsconfig.json or jsconfig.json, which may contain comments and trailing commas
+ * @param {string} text - File content
+ * @returns {object|null} Parsed configuration, or null when it is not valid JSON
+ */
+function parseConfigText(text) {
+    // Drop comments outside strings, then trailing commas
+    const stripped = text
+        .replace(/("(?:[^"\\\n]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+        .replace(/("(?:[^"\\\n]|\\.)*")|,(\s*[}\]])/g, (match, string, closing) => string || closing);
+
+    try {
+        return JSON.parse(stripped);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Module Resolver for WhiskerCode
+ * Maps import and require() specifiers to workspace files the way TypeScript and
+ * bundlers do: relative paths with or without an extension, directory index files,
+ * and the `baseUrl` and `paths` aliases of tsconfig.json / jsconfig.json files
+ */
+class ModuleResolver {
+    /**
+     * @param {Array<{file: string, config: object}>} [configs] - Parsed tsconfig/jsconfig files of the workspace
+     */
+    constructor(configs = []) {
+        const byFile = new Map(configs.map(entry => [path.resolve(entry.file), entry.config]));
+
+        // Each config applies to the files under its directory; the nearest one wins, even
+        // without aliases of its own, since only the configs it extends pass theirs on
+        this.aliases = configs
+            .map(entry => this._aliasesOf(path.resolve(entry.file), byFile))
+            .sort((a, b) => b.directory.length - a.directory.length || b.primary - a.primary);
+    }
+
+    /**
+     * Resolve a module specifier to a workspace file
+     * @param {string} fromFile - Absolute path of the importing file
+     * @param {string} specifier - Specifier as written in the import
+     * @param {Map<string, object>|Set<string>} files - Known workspace files, by absolute path
+     * @returns {string|null} Absolute path of the imported file, or null for packages and missing files
+     */
+    resolve(fromFile, specifier, files) {
+        if (!specifier) return null;
+
+        if (specifier.startsWith('.')) {
+            return this._resolvePath(path.resolve(path.dirname(fromFile), specifier), files);
+        }
+        if (path.isAbsolute(specifier)) {
+            return this._resolvePath(specifier, files);
+        }
+
+        const aliases = this.aliases.find(entry => fromFile.startsWith(entry.directory + path.sep));
+        if (!aliases) {
+            // Package imports never point into the workspace files
+            return null;
+        }
+
+        for (const { pattern, targets } of aliases.paths) {
+            const match = this._matchPattern(pattern, specifier);
+            if (match === null) continue;
+
+            for (const target of targets) {
+                const resolved = this._resolvePath(path.resolve(aliases.baseDirectory, target.replace('*', match)), files);
+                if (resolved) return resolved;
+            }
+        }
+
+        // With a baseUrl, non-relative specifiers are also looked up from it
+        return aliases.baseUrl ? this._resolvePath(path.resolve(aliases.baseUrl, specifier), files) : null;
+    }
+
+    /**
+     * Find the file a path refers to: the path itself, with an extension added or
+     * swapped, or the index file of a directory
+     * @private
+     */
+    _resolvePath(base, files) {
+        const candidates = [base];
+
+        // TypeScript sources are imported with the extension of their compiled output
+        const extension = path.extname(base);
+        const stem = extension ? base.slice(0, -extension.length) : base;
+        for (const candidateExtension of RESOLVE_EXTENSIONS) {
+            candidates.push(base + candidateExtension);
+            if (extension) candidates.push(stem + candidateExtension);
+        }
+        for (const candidateExtension of RESOLVE_EXTENSIONS) {
+            candidates.push(path.join(base, 'index' + candidateExtension));
+        }
+
+        return candidates.find(candidate => files.has(candidate)) || null;
+    }
+
+    /**
+     * Match a `paths` pattern, with at most one `*`, returning what the `*` stands for
+     * @private
+     */
+    _matchPattern(pattern, specifier) {
+        const star = pattern.indexOf('*');
+        if (star === -1) return pattern === specifier ? '' : null;
+
+        const prefix = pattern.slice(0, star);
+        const suffix = pattern.slice(star + 1);
+        if (specifier.length < prefix.length + suffix.length ||
+            !specifier.startsWith(prefix) || !specifier.endsWith(suffix)) {
+            return null;
+        }
+        return specifier.slice(prefix.length, specifier.length - suffix.length);
+    }
+
+    /**
+     * Read the aliases a config file sets up, following `extends` to other workspace configs;
+     * a config without any still claims its directory
+     * @private
+     */
+    _aliasesOf(file, byFile) {
+        const directory = path.dirname(file);
+        let baseUrl = null;
+        let paths = null;
+        let pathsDirectory = directory;
+
+        // Settings of the config itself override the ones it extends
+        const seen = new Set();
+        for (let current = file; current && byFile.has(current) && !seen.has(current);) {
+            seen.add(current);
+            const config = byFile.get(current);
+            const options = config.compilerOptions || {};
+
+            if (baseUrl === null && typeof options.baseUrl === 'string') {
+                baseUrl = path.resolve(path.dirname(current), options.baseUrl);
+            }
+            if (paths === null && options.paths && typeof options.paths === 'object') {
+                paths = options.paths;
+                pathsDirectory = path.dirname(current);
+            }
+
+            const parent = typeof config.extends === 'string' && config.extends.startsWith('.')
+                ? path.resolve(path.dirname(current), config.extends)
+                : null;
+            current = parent && !parent.endsWith('.json') && !byFile.has(parent) ? parent + '.json' : parent;
+        }
+
+        return {
+            directory,
+            // tsconfig.json itself wins over tsconfig.base.json and the like in the same directory
+            primary: /^[tj]sconfig\.json$/.test(path.basename(file)),
+            baseUrl,
+            // Paths are relative to the baseUrl, or to their config file without one
+            baseDirectory: baseUrl || pathsDirectory,
+            paths: Object.keys(paths || {}).map(pattern => ({
+                pattern,
+                targets: Array.isArray(paths[pattern]) ? paths[pattern].filter(target => typeof target === 'string') : []
+            }))
+        };
+    }
+}
+
+module.exports = {
+    ModuleResolver,
+    parseConfigText
+};
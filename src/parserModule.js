@@ -1,96 +1,134 @@
-const vscode = require('vscode');
+const { parse, getParseOptions, walk, getBindingIdentifiers, isFunctionNode, isLoopNode } = require('./syntax/syntaxTree');
+const { analyzeScopes } = require('./syntax/scopeAnalyzer');
+const { analyzeCognitiveComplexity } = require('./syntax/cognitiveComplexity');
+const { buildControlFlowGraph } = require('./syntax/controlFlowGraph');
+const { explainValueOrigin } = require('./syntax/valueOrigin');
+const { TypeInferrer } = require('./syntax/typeInference');
+const { collectImports, collectExports } = require('./syntax/moduleSymbols');
+const { CallGraph } = require('./callGraph');
+const { markCycles } = require('./graphCycles');
+const { LineIndex } = require('./syntax/lineIndex');
+const { languageRegistry } = require('./languages/languageRegistry');
+const { escapeRegExp } = require('./languages/languageProvider');
+const { DEFAULT_THRESHOLDS } = require('./ruleSettings');
+
+// Vue functions that create reactive state, by the kind of state they create
+const VUE_STATE_FUNCTIONS = {
+    ref: 'ref',
+    shallowRef: 'ref',
+    customRef: 'ref',
+    toRef: 'ref',
+    toRefs: 'ref',
+    reactive: 'reactive',
+    shallowReactive: 'reactive',
+    computed: 'computed',
+    defineModel: 'model',
+    defineProps: 'props',
+    withDefaults: 'props',
+    inject: 'injected'
+};
+
+// Contextual keywords the tokenizer reads as names but Halstead counts as operators
+const OPERATOR_IDENTIFIERS = new Set(['let', 'async', 'await', 'of', 'yield']);
+
+// Keywords that stand for a value and so count as Halstead operands
+const OPERAND_KEYWORDS = new Set(['this', 'super', 'null', 'true', 'false']);
+
+// Svelte 5 runes that declare state, by the kind of state they declare
+const SVELTE_RUNES = {
+    $state: 'state',
+    $derived: 'derived',
+    $props: 'prop'
+};
 
 /**
  * Parser Module for CodeWhiskers
  * Analyzes code structure, identifies patterns, and extracts information
  */
 class Parser {
-    constructor() {
-        this.supportedLanguages = ['javascript', 'typescript', 'python', 'java', 'csharp', 'javascriptreact', 'typescriptreact'];
-        
-        // Define language-specific patterns for parsing
-        this.languagePatterns = {
-            javascript: {
-                function: /function\s+(\w+)\s*\(([^)]*)\)|const\s+(\w+)\s*=\s*(\([^)]*\))\s*=>|(\w+)\s*=\s*function\s*\(/g,
-                class: /class\s+(\w+)/g,
-                loop: /\b(for|while|do)\b/g,
-                conditional: /\b(if|else|switch)\b/g,
-                variable: /\b(var|let|const)\s+(\w+)\b/g,
-                comment: /\/\/.*|\/\*[\s\S]*?\*\//g,
-                docComment: /\/\*\*[\s\S]*?\*\//g
-            },
-            typescript: {
-                function: /function\s+(\w+)\s*\(([^)]*)\)|const\s+(\w+)\s*=\s*(\([^)]*\))\s*=>|(\w+)\s*=\s*function\s*\(/g,
-                class: /class\s+(\w+)/g,
-                interface: /interface\s+(\w+)/g,
-                loop: /\b(for|while|do)\b/g,
-                conditional: /\b(if|else|switch)\b/g,
-                variable: /\b(var|let|const)\s+(\w+)\b/g,
-                type: /type\s+(\w+)\s*=/g,
-                comment: /\/\/.*|\/\*[\s\S]*?\*\//g,
-                docComment: /\/\*\*[\s\S]*?\*\//g
-            },
-            // Adding React (JSX) patterns
-            javascriptreact: {
-                function: /function\s+(\w+)\s*\(([^)]*)\)|const\s+(\w+)\s*=\s*(\([^)]*\))\s*=>|(\w+)\s*=\s*function\s*\(/g,
-                component: /const\s+(\w+)\s*=\s*(?:React\.)?(?:memo\()?(?:forwardRef\()?(?:function|React\.FC|\(\{[^}]*\}\))/g,
-                hooks: /use[A-Z]\w+/g,
-                jsx: /<([A-Z]\w*)/g, // Component JSX tags start with capital letters
-                props: /\{([^{}]+)\}/g,
-                class: /class\s+(\w+)(?:\s+extends\s+(?:React\.)?Component)?/g,
-                loop: /\b(for|while|do|map|forEach|filter)\b/g,
-                conditional: /\b(if|else|switch|&&|\?)\b/g,
-                variable: /\b(var|let|const)\s+(\w+)\b/g,
-                comment: /\/\/.*|\/\*[\s\S]*?\*\//g,
-                docComment: /\/\*\*[\s\S]*?\*\//g
-            },
-            // Adding TypeScript React (TSX) patterns
-            typescriptreact: {
-                function: /function\s+(\w+)\s*\(([^)]*)\)|const\s+(\w+)\s*=\s*(\([^)]*\))\s*=>|(\w+)\s*=\s*function\s*\(/g,
-                component: /const\s+(\w+)\s*=\s*(?:React\.)?(?:memo\()?(?:forwardRef\()?(?:function|React\.FC<[^>]*>|\(\{[^}]*\}(?::\s*[^)]+)?\))/g,
-                hooks: /use[A-Z]\w+/g,
-                jsx: /<([A-Z]\w*)/g,
-                props: /\{([^{}]+)\}/g,
-                interface: /interface\s+(\w+)(?:Props)?\s*(?:extends\s+[^{]+)?/g,
-                type: /type\s+(\w+)(?:Props)?\s*=/g,
-                class: /class\s+(\w+)(?:\s+extends\s+(?:React\.)?Component<[^,>]+(?:,\s*[^>]+)?>)?/g,
-                loop: /\b(for|while|do|map|forEach|filter)\b/g,
-                conditional: /\b(if|else|switch|&&|\?)\b/g,
-                variable: /\b(var|let|const)\s+(\w+)\b/g,
-                comment: /\/\/.*|\/\*[\s\S]*?\*\//g,
-                docComment: /\/\*\*[\s\S]*?\*\//g
-            },
-            python: {
-                function: /def\s+(\w+)\s*\(([^)]*)\):/g,
-                class: /class\s+(\w+)(?:\(([^)]*)\))?:/g,
-                loop: /\b(for|while)\b/g,
-                conditional: /\b(if|elif|else)\b/g,
-                variable: /(\w+)\s*=/g,
-                comment: /#.*/g,
-                docComment: /\"\"\"[\s\S]*?\"\"\"/g,
-                indentation: /^(\s+)/gm
-            },
-            java: {
-                function: /(?:public|private|protected|static|\s)+[\w\<\>\[\]]+\s+(\w+)\s*\(([^)]*)\)\s*(?:\{|throws)/g,
-                class: /class\s+(\w+)(?:\s+extends\s+(\w+))?(?:\s+implements\s+([^{]+))?/g,
-                interface: /interface\s+(\w+)/g,
-                loop: /\b(for|while|do)\b/g,
-                conditional: /\b(if|else|switch)\b/g,
-                variable: /(?:(?:final|static)\s+)?(?:[\w\<\>\[\]]+)\s+(\w+)\s*(?:=|;)/g,
-                comment: /\/\/.*|\/\*[\s\S]*?\*\//g,
-                docComment: /\/\*\*[\s\S]*?\*\//g
-            },
-            csharp: {
-                function: /(?:public|private|protected|internal|static|\s)+[\w\<\>\[\]]+\s+(\w+)\s*\(([^)]*)\)\s*(?:\{|=>)/g,
-                class: /class\s+(\w+)(?:\s*:\s*([^{]+))?/g,
-                interface: /interface\s+(\w+)/g,
-                loop: /\b(for|foreach|while|do)\b/g,
-                conditional: /\b(if|else|switch)\b/g,
-                variable: /(?:(?:readonly|const|static)\s+)?(?:[\w\<\>\[\]]+)\s+(\w+)\s*(?:=|;)/g,
-                comment: /\/\/.*|\/\*[\s\S]*?\*\//g,
-                docComment: /\/\/\/.*|\/\*\*[\s\S]*?\*\//g
-            }
-        };
+    /**
+     * @param {LanguageRegistry} [registry] - Languages to analyze; defaults to the shared registry
+     */
+    constructor(registry = languageRegistry) {
+        // Language providers for code without a syntax tree
+        this.registry = registry;
+
+        // Most recent syntax tree, reused while the same text is analyzed repeatedly
+        this._treeCache = null;
+
+        // Scope analyses by syntax tree, so bindings stay identical while a tree is in use
+        this._scopeCache = new WeakMap();
+
+        // Highest cyclomatic complexity of each complexity level
+        this.complexityLevels = DEFAULT_THRESHOLDS.complexityLevels;
+    }
+
+    /**
+     * Languages of the registered language providers
+     * @returns {Array<string>} Language identifiers
+     */
+    get supportedLanguages() {
+        return this.registry.ids();
+    }
+
+    /**
+     * Use the thresholds of a rule configuration for the next analyses
+     * @param {RuleSettings} settings - Rule configuration of the code's workspace folder
+     */
+    configure(settings) {
+        this.complexityLevels = settings.thresholds.complexityLevels;
+    }
+
+    /**
+     * Get the syntax tree for JavaScript/TypeScript code. For Vue and Svelte components
+     * the tree holds their script, at the offsets it has in the file, and the split
+     * component is kept as the tree's `component`.
+     * @param {string} code - Source code
+     * @param {string} language - Language identifier
+     * @returns {object|null} Program node, or null for languages without a syntax tree
+     */
+    getSyntaxTree(code, language) {
+        const cache = this._treeCache;
+        if (cache && cache.code === code && cache.language === language) {
+            return cache.tree;
+        }
+
+        const component = this._provider(language).parseComponent(code);
+        const options = getParseOptions(component ? component.scriptLanguage : language);
+        if (!options) {
+            return null;
+        }
+
+        const tree = parse(component ? component.script : code, options);
+        if (component) {
+            tree.component = component;
+        }
+        this._treeCache = { code, language, tree };
+        return tree;
+    }
+
+    /**
+     * Get the scope analysis for a syntax tree
+     * @param {object} tree - Program node returned by getSyntaxTree()
+     * @returns {object} Scope analysis with resolved references
+     */
+    getScopeAnalysis(tree) {
+        let analysis = this._scopeCache.get(tree);
+        if (!analysis) {
+            analysis = analyzeScopes(tree);
+            this._scopeCache.set(tree, analysis);
+        }
+        return analysis;
+    }
+
+    /**
+     * Get the named functions of a syntax tree: declarations, bound function
+     * expressions and arrows, assigned functions, class members and object methods
+     * @param {object} tree - Program node returned by getSyntaxTree()
+     * @returns {Array<object>} Functions with name, qualifiedName, className, kind, node and declaration offsets
+     */
+    getTreeFunctions(tree) {
+        return this._collectFunctions(tree);
     }
 
     /**
@@ -131,9 +169,10 @@ class Parser {
      * @param {string} variableName - Name of variable to trace
      * @param {string|vscode.TextDocument} documentOrText - Document or text content to search in
      * @param {string} language - Language of the code
+     * @param {number} [offset] - Offset of the selected occurrence, used to pick the binding when the name is shadowed
      * @returns {Array<object>} List of variable occurrences
      */
-    traceVariable(variableName, documentOrText, language) {
+    traceVariable(variableName, documentOrText, language, offset) {
         let text;
         
         // Handle either document object or direct text input
@@ -151,26 +190,21 @@ class Parser {
         if (!language) {
             throw new Error('Language must be specified');
         }
-        
-        let pattern;
-        
-        // Use language-specific patterns for variable detection
-        if (language === 'python') {
-            // In Python, variable usage doesn't typically have type declarations
-            pattern = new RegExp(`\\b${this._escapeRegExp(variableName)}\\b(?!\\s*\\()`, 'g');
-        } else if (language === 'java' || language === 'csharp') {
-            // For Java and C#, ignore usage in comments
-            pattern = new RegExp(`(?<!//|/\\*)\\b${this._escapeRegExp(variableName)}\\b(?!\\s*\\()`, 'g');
-        } else {
-            // Default for JS/TS
-            pattern = new RegExp(`\\b${this._escapeRegExp(variableName)}\\b`, 'g');
+
+        const tree = this.getSyntaxTree(text, language);
+        if (tree) {
+            return this._traceVariableInTree(variableName, tree, offset);
         }
         
+        const provider = this._provider(language);
+        const pattern = provider.referencePattern(variableName);
+        
         const occurrences = [];
         const lines = text.split('\n');
+        const scanText = provider.maskCommentsAndStrings(text);
         
         let match;
-        while ((match = pattern.exec(text)) !== null) {
+        while ((match = pattern.exec(scanText)) !== null) {
             // Calculate line and character position
             let lineIndex = 0;
             let charPosition = match.index;
@@ -186,20 +220,118 @@ class Parser {
             }
             
             const lineText = lines[lineIndex];
+            const isDefinition = provider.isDefinition(lineText, charPosition, variableName);
             
             occurrences.push({
+                name: variableName,
+                type: isDefinition ? 'declaration' : 'read',
+                access: isDefinition ? null : 'read',
+                line: lineIndex + 1,
+                column: charPosition,
+                context: lineText,
+                description: isDefinition ? 'Definition' : 'Usage',
                 position: {
                     line: lineIndex,
                     character: charPosition
                 },
                 lineText: lineText,
-                isDefinition: this._isDefinition(lineText, charPosition, variableName, language)
+                isDefinition: isDefinition
             });
         }
         
         return occurrences;
     }
 
+    /**
+     * Explain where the value of a variable comes from at one of its occurrences:
+     * the definitions that can reach it, and where each of their values comes from
+     * in turn, through assignments, parameters, destructuring and local calls
+     * @param {string} variableName - Name of the variable
+     * @param {string|vscode.TextDocument} documentOrText - Document or text content
+     * @param {string} language - Language of the code
+     * @param {number} offset - Offset of the occurrence to explain
+     * @returns {{name: string, line: number, column: number, origins: Array<object>, approximate: boolean}|null}
+     *     Origin steps from explainValueOrigin() with one-based lines; approximate when the
+     *     language has no syntax tree and definitions are only matched by text. Null when
+     *     no occurrence of the name is found.
+     */
+    explainValueOrigin(variableName, documentOrText, language, offset) {
+        let text;
+
+        // Handle either document object or direct text input
+        if (typeof documentOrText === 'string') {
+            text = documentOrText;
+        } else if (documentOrText && typeof documentOrText.getText === 'function') {
+            text = documentOrText.getText();
+            if (!language) {
+                language = documentOrText.languageId;
+            }
+        } else {
+            throw new Error('Invalid document or text provided');
+        }
+
+        if (!language) {
+            throw new Error('Language must be specified');
+        }
+
+        const tree = this.getSyntaxTree(text, language);
+        if (tree) {
+            const analysis = this.getScopeAnalysis(tree);
+            const reference = analysis.referenceAt(offset);
+            if (!reference || reference.name !== variableName || !reference.variable) {
+                return null;
+            }
+
+            const { line, column } = tree.lineIndex.positionAt(reference.identifier.start);
+            return {
+                name: variableName,
+                line: line + 1,
+                column,
+                origins: explainValueOrigin(tree, analysis, reference, text),
+                approximate: false
+            };
+        }
+
+        return this._explainValueOriginByText(variableName, text, language, offset);
+    }
+
+    /**
+     * Approximate the origin of a value for languages without a syntax tree: the
+     * last definitions of the name before the offset, within the enclosing function
+     * @private
+     */
+    _explainValueOriginByText(variableName, text, language, offset) {
+        const line = text.substring(0, offset).split('\n').length;
+        const occurrences = this.traceVariable(variableName, text, language);
+        if (!occurrences.length) {
+            return null;
+        }
+
+        // Functions are listed outer first, so the last one containing the offset is the innermost
+        const enclosing = this.findFunctions(text, language)
+            .filter(func => func.range.start <= offset && offset <= func.range.end)
+            .pop();
+        const definitions = occurrences.filter(occurrence => occurrence.isDefinition &&
+            occurrence.line < line &&
+            (!enclosing || (occurrence.line - 1 >= enclosing.lineRange.start && occurrence.line - 1 <= enclosing.lineRange.end)));
+        const cursor = occurrences.find(occurrence => occurrence.line === line) || { line, column: 0 };
+
+        return {
+            name: variableName,
+            line: cursor.line,
+            column: cursor.column,
+            origins: definitions.slice(-1).map(definition => ({
+                kind: 'other',
+                description: `Last set on line ${definition.line} before this point`,
+                line: definition.line,
+                column: definition.column,
+                lineText: definition.lineText,
+                from: []
+            })),
+            approximate: true
+        };
+    }
+
     /**
      * Find sections of code that lack proper documentation
      * @param {string|vscode.TextDocument} documentOrText - Document or text content to analyze
@@ -224,20 +356,40 @@ class Parser {
         if (!language) {
             throw new Error('Language must be specified');
         }
+
+        const tree = this.getSyntaxTree(text, language);
+        if (tree) {
+            const inferrer = new TypeInferrer(tree, this.getScopeAnalysis(tree), text);
+            return this._collectFunctions(tree)
+                .filter(func => !this._hasLeadingComment(tree, func.declarationStart))
+                .map(func => {
+                    const line = tree.lineIndex.lineAt(func.declarationStart);
+                    const lineText = tree.lineIndex.lineText(line);
+                    return {
+                        line,
+                        name: func.qualifiedName,
+                        text: lineText,
+                        type: 'function',
+                        suggestion: this._generateDocTemplate(lineText, language,
+                            Object.assign({ name: func.name }, inferrer.infer(func.node)))
+                    };
+                });
+        }
         
+        const provider = this._provider(language);
         const lines = text.split('\n');
+        const scanLines = provider.maskCommentsAndStrings(text).split('\n');
         const undocumented = [];
         
         // Get language-specific patterns
-        const patterns = this.languagePatterns[language] || this.languagePatterns.javascript;
-        const functionPattern = patterns.function;
+        const functionPattern = provider.patterns.function;
         
         let lineIndex = 0;
         for (const line of lines) {
             // Reset lastIndex to avoid issues with global regex
             functionPattern.lastIndex = 0;
             
-            if (functionPattern.test(line)) {
+            if (functionPattern.test(scanLines[lineIndex])) {
                 // Check if the previous line(s) have a comment
                 let isDocumented = false;
                 
@@ -246,7 +398,7 @@ class Parser {
                     if (lineIndex - i < 0) break;
                     
                     const prevLine = lines[lineIndex - i];
-                    if (this._isComment(prevLine, language)) {
+                    if (provider.isComment(prevLine)) {
                         isDocumented = true;
                         break;
                     }
@@ -291,76 +443,36 @@ class Parser {
         if (!language) {
             throw new Error('Language must be specified');
         }
+
+        const tree = this.getSyntaxTree(text, language);
+        if (tree) {
+            return this._collectFunctions(tree).map(func => this._describeFunction(func, tree, text, language));
+        }
         
         // Get language-specific function pattern
-        const patterns = this.languagePatterns[language] || this.languagePatterns.javascript;
-        const functionPattern = patterns.function;
+        const provider = this._provider(language);
+        const functionPattern = provider.patterns.function;
         
+        // Match against a copy with comments and strings blanked out
+        const scanText = provider.maskCommentsAndStrings(text);
+        const context = this._functionContext(scanText, provider);
         const functions = [];
         let match;
-        
+
         // Reset lastIndex to ensure we start from the beginning
         functionPattern.lastIndex = 0;
-        
-        while ((match = functionPattern.exec(text)) !== null) {
+
+        while ((match = functionPattern.exec(scanText)) !== null) {
             // Extract name and parameters based on language
-            let name, params;
-            
-            if (language === 'python') {
-                name = match[1];
-                params = match[2];
-            } else if (language === 'java' || language === 'csharp') {
-                name = match[1];
-                params = match[2];
-            } else {
-                // JavaScript/TypeScript
-                name = match[1] || match[3] || match[5];
-                params = match[2] || match[4];
-            }
+            const found = provider.matchFunction(match, context);
+            if (!found) continue;
+
+            const { name, params, kind } = found;
+            const receiver = found.className || null;
             
             // Get function body (with language-specific logic)
-            let bodyStart, bodyEnd;
             const matchIndex = match.index;
-            
-            if (language === 'python') {
-                // Python uses indentation, so we need to find the indented block
-                bodyStart = text.indexOf(':', matchIndex) + 1;
-                
-                // Find the end of the indented block
-                const indentationMatch = /^(\s+)/m.exec(text.substring(bodyStart));
-                if (indentationMatch) {
-                    const indentation = indentationMatch[1];
-                    const nextLineWithLessIndentation = new RegExp(`\\n(?!${indentation}|\\s{${indentation.length},})`, 'g');
-                    nextLineWithLessIndentation.lastIndex = bodyStart;
-                    
-                    const endMatch = nextLineWithLessIndentation.exec(text);
-                    bodyEnd = endMatch ? endMatch.index : text.length;
-                } else {
-                    bodyEnd = text.length;
-                }
-            } else {
-                // For languages with braces
-                let braceCount = 0;
-                let foundOpen = false;
-                bodyStart = matchIndex;
-                bodyEnd = text.length;
-                
-                for (let i = matchIndex; i < text.length; i++) {
-                    if (text[i] === '{') {
-                        if (!foundOpen) {
-                            foundOpen = true;
-                            bodyStart = i + 1;
-                        }
-                        braceCount++;
-                    } else if (text[i] === '}') {
-                        braceCount--;
-                        if (braceCount === 0 && foundOpen) {
-                            bodyEnd = i;
-                            break;
-                        }
-                    }
-                }
-            }
+            const { start: bodyStart, end: bodyEnd } = provider.findBody(scanText, text, match, found);
             
             const body = text.substring(bodyStart, bodyEnd).trim();
             
@@ -370,9 +482,12 @@ class Parser {
             const textBeforeEnd = text.substring(0, bodyEnd);
             const endLine = (textBeforeEnd.match(/\n/g) || []).length;
             
-            functions.push({
+            const func = {
                 name,
-                params: this._parseParams(params, language),
+                qualifiedName: receiver ? `${receiver}.${name}` : name,
+                className: receiver,
+                kind: kind || (receiver ? 'method' : 'function'),
+                params: provider.parseParams(params),
                 body,
                 position: {
                     line: startLine,
@@ -387,7 +502,9 @@ class Parser {
                     end: endLine
                 },
                 language
-            });
+            };
+            if (found.isStatic) func.isStatic = true;
+            functions.push(func);
         }
         
         return functions;
@@ -410,8 +527,18 @@ class Parser {
      * @private
      */
     _analyzeStructure(code, language) {
+        const tree = this.getSyntaxTree(code, language);
+        if (tree) {
+            return this._analyzeTreeStructure(tree, language);
+        }
+
         // Get language-specific patterns
-        const patterns = this.languagePatterns[language] || this.languagePatterns.javascript;
+        const provider = this._provider(language);
+        const patterns = provider.patterns;
+
+        // Match against a copy with comments and strings blanked out
+        const lineIndex = new LineIndex(code);
+        code = provider.maskCommentsAndStrings(code);
         
         const structure = {
             blocks: [],
@@ -422,44 +549,6 @@ class Parser {
             variables: []
         };
         
-        // Special handling for React-based languages
-        if (language === 'javascriptreact' || language === 'typescriptreact') {
-            structure.components = [];
-            structure.hooks = [];
-            structure.jsxElements = [];
-            
-            // Find React components
-            const componentPattern = patterns.component;
-            componentPattern.lastIndex = 0;
-            let match;
-            while ((match = componentPattern.exec(code)) !== null) {
-                structure.components.push({
-                    name: match[1],
-                    position: match.index
-                });
-            }
-            
-            // Find React hooks
-            const hooksPattern = patterns.hooks;
-            hooksPattern.lastIndex = 0;
-            while ((match = hooksPattern.exec(code)) !== null) {
-                structure.hooks.push({
-                    name: match[0],
-                    position: match.index
-                });
-            }
-            
-            // Find JSX elements
-            const jsxPattern = patterns.jsx;
-            jsxPattern.lastIndex = 0;
-            while ((match = jsxPattern.exec(code)) !== null) {
-                structure.jsxElements.push({
-                    name: match[1],
-                    position: match.index
-                });
-            }
-        }
-        
         // Find loops
         const loopPattern = patterns.loop;
         loopPattern.lastIndex = 0;
@@ -483,21 +572,17 @@ class Parser {
         
         // Find function declarations
         const functionPattern = patterns.function;
+        const context = this._functionContext(code, provider);
         functionPattern.lastIndex = 0;
         while ((match = functionPattern.exec(code)) !== null) {
-            // Extract name based on language
-            let name;
-            if (language === 'python') {
-                name = match[1];
-            } else if (language === 'java' || language === 'csharp') {
-                name = match[1];
-            } else {
-                name = match[1] || match[3] || match[5];
-            }
+            const found = provider.matchFunction(match, context);
+            if (!found) continue;
             
+            // Java/C# matches start with the whitespace before the modifiers
             structure.functions.push({
-                name,
-                position: match.index
+                name: found.name,
+                qualifiedName: found.className ? `${found.className}.${found.name}` : found.name,
+                position: match.index + Math.max(0, match[0].search(/\S/))
             });
         }
         
@@ -515,21 +600,7 @@ class Parser {
         const varPattern = patterns.variable;
         varPattern.lastIndex = 0;
         while ((match = varPattern.exec(code)) !== null) {
-            // Extract variable name based on language
-            let name, kind;
-            
-            if (language === 'python') {
-                name = match[1];
-                kind = 'variable';
-            } else if (language === 'java' || language === 'csharp') {
-                name = match[1];
-                kind = match[0].includes('final') || match[0].includes('const') ? 'constant' : 'variable';
-            } else {
-                // JavaScript/TypeScript/React
-                name = match[2];
-                kind = match[1];
-            }
-            
+            const { name, kind } = provider.matchVariable(match);
             structure.variables.push({
                 name,
                 kind,
@@ -537,6 +608,15 @@ class Parser {
             });
         }
         
+        // Language-specific entries: React components, PHP closures, Ruby blocks and lambdas
+        provider.extendStructure(code, structure);
+
+        // Estimate where each block ends so entries can be nested
+        for (const entry of [...structure.loops, ...structure.conditionals, ...structure.functions, ...structure.classes, ...structure.blocks]) {
+            entry.end = provider.estimateBlockEnd(code, entry.position);
+        }
+        
+        structure.hierarchy = this._buildHierarchy(structure, lineIndex);
         return structure;
     }
 
@@ -546,7 +626,7 @@ class Parser {
      */
     _determineComplexity(structure, language) {
         // Special handling for React-based code
-        if (language === 'javascriptreact' || language === 'typescriptreact') {
+        if (structure.components) {
             const totalItems = 
                 structure.loops.length + 
                 structure.conditionals.length * 0.5 + 
@@ -584,66 +664,13 @@ class Parser {
      * @private
      */
     _detectLanguageFeatures(code, language) {
-        const features = [];
-        
-        if (language === 'javascript' || language === 'typescript') {
-            if (code.includes('async') && code.includes('await')) features.push('async/await');
-            if (code.includes('=>')) features.push('arrow functions');
-            if (code.includes('...')) features.push('spread/rest');
-            if (code.match(/`[^`]*`/)) features.push('template literals');
-            if (language === 'typescript') {
-                if (code.includes('interface ')) features.push('interfaces');
-                if (code.includes('<') && code.includes('>')) features.push('generics');
-            }
-        } else if (language === 'javascriptreact' || language === 'typescriptreact') {
-            // React specific features
-            if (code.includes('useState(') || code.includes('React.useState(')) features.push('hooks:state');
-            if (code.includes('useEffect(') || code.includes('React.useEffect(')) features.push('hooks:effects');
-            if (code.includes('useContext(') || code.includes('React.useContext(')) features.push('hooks:context');
-            if (code.includes('useRef(') || code.includes('React.useRef(')) features.push('hooks:refs');
-            if (code.includes('useCallback(') || code.includes('React.useCallback(')) features.push('hooks:callback');
-            if (code.includes('useMemo(') || code.includes('React.useMemo(')) features.push('hooks:memo');
-            if (code.includes('<') && code.includes('/>')) features.push('JSX');
-            if (code.includes('props')) features.push('props');
-            if (code.includes('Fragment') || code.includes('<>')) features.push('fragment');
-            if (code.includes('React.memo') || code.includes('memo(')) features.push('memoization');
-            if (code.includes('styled')) features.push('styled-components');
-            if (code.includes('StyleSheet')) features.push('react-native:stylesheet');
-            if (code.includes('Animated.')) features.push('react-native:animated');
-            if (code.includes('<View') || code.includes('<Text') || code.includes('<ScrollView')) features.push('react-native:components');
-            
-            // Also include basic JS features
-            if (code.includes('async') && code.includes('await')) features.push('async/await');
-            if (code.includes('=>')) features.push('arrow functions');
-            if (code.includes('...')) features.push('spread/rest');
-            if (code.match(/`[^`]*`/)) features.push('template literals');
-            
-            if (language === 'typescriptreact') {
-                if (code.includes('interface ')) features.push('interfaces');
-                if (code.includes('<') && code.includes('>') && code.includes('type ')) features.push('generics');
-                if (code.includes('Props')) features.push('typescript:props');
-            }
-        } else if (language === 'python') {
-            if (code.includes('async def') && code.includes('await')) features.push('async/await');
-            if (code.includes('yield')) features.push('generators');
-            if (code.includes('with')) features.push('context managers');
-            if (code.includes('lambda')) features.push('lambda functions');
-            if (code.includes('comprehension')) features.push('list comprehensions');
-        } else if (language === 'java') {
-            if (code.includes('@Override')) features.push('annotations');
-            if (code.includes('extends')) features.push('inheritance');
-            if (code.includes('implements')) features.push('interfaces');
-            if (code.includes('<') && code.includes('>')) features.push('generics');
-            if (code.includes('try') && code.includes('catch')) features.push('exception handling');
-        } else if (language === 'csharp') {
-            if (code.includes('async') && code.includes('await')) features.push('async/await');
-            if (code.includes('LINQ')) features.push('LINQ');
-            if (code.includes('=>')) features.push('lambda expressions');
-            if (code.includes('<') && code.includes('>')) features.push('generics');
-            if (code.includes('yield')) features.push('iterators');
+        const tree = this.getSyntaxTree(code, language);
+        if (tree) {
+            return this._detectTreeFeatures(tree, language);
         }
-        
-        return features;
+
+        const provider = this._provider(language);
+        return provider.detectFeatures(code, provider.maskCommentsAndStrings(code));
     }
 
     /**
@@ -651,15 +678,7 @@ class Parser {
      * @private
      */
     _isComment(line, language = 'javascript') {
-        if (language === 'python') {
-            return line.trim().startsWith('#') || line.trim().startsWith('"""');
-        } else if (language === 'java' || language === 'csharp' || language === 'javascript' || language === 'typescript') {
-            return line.trim().startsWith('//') || 
-                   line.trim().startsWith('/*') || 
-                   line.trim().startsWith('*') ||
-                   line.trim().startsWith('/**');
-        }
-        return false;
+        return this._provider(language).isComment(line);
     }
 
     /**
@@ -667,133 +686,15 @@ class Parser {
      * @private
      */
     _isDefinition(lineText, index, varName, language = 'javascript') {
-        const prefix = lineText.substring(0, index);
-        
-        if (language === 'python') {
-            return prefix.endsWith('=') || prefix.includes(varName + ' =');
-        } else if (language === 'java' || language === 'csharp') {
-            return /\b(int|float|double|String|boolean|var|object|class|struct|interface)\s+$/.test(prefix) ||
-                   new RegExp(`\\b(public|private|protected)\\s+[\\w<>\\[\\]]+\\s+${varName}\\s*`).test(lineText);
-        } else {
-            // JavaScript/TypeScript
-            return /\b(var|let|const)\s+$/.test(prefix) || 
-                   new RegExp(`\\b(function)\\s+${varName}\\s*\\(`).test(lineText);
-        }
+        return this._provider(language).isDefinition(lineText, index, varName);
     }
 
     /**
      * Generate a documentation template
      * @private
      */
-    _generateDocTemplate(functionLine, language = 'javascript') {
-        let name, params = [];
-        
-        if (language === 'python') {
-            const match = functionLine.match(/def\s+(\w+)\s*\(([^)]*)\):/);
-            if (match) {
-                name = match[1];
-                params = match[2].split(',').map(p => p.trim()).filter(p => p);
-            }
-            
-            let template = '"""\n';
-            template += `${name}\n\n`;
-            
-            for (const param of params) {
-                const paramName = param.split('=')[0].trim();
-                template += `Args:\n    ${paramName}: Description\n`;
-            }
-            
-            template += '\nReturns:\n    Description\n"""\n';
-            return template;
-            
-        } else if (language === 'java') {
-            const match = functionLine.match(/(?:public|private|protected|static|\s)+[\w\<\>\[\]]+\s+(\w+)\s*\(([^)]*)\)/);
-            if (match) {
-                name = match[1];
-                params = match[2].split(',').map(p => p.trim()).filter(p => p);
-            }
-            
-            let template = '/**\n';
-            template += ` * ${name}\n`;
-            template += ` *\n`;
-            
-            for (const param of params) {
-                const paramParts = param.split(' ');
-                const paramName = paramParts[paramParts.length - 1];
-                template += ` * @param ${paramName} Description\n`;
-            }
-            
-            template += ` * @return Description\n`;
-            template += ` */`;
-            return template;
-            
-        } else if (language === 'csharp') {
-            const match = functionLine.match(/(?:public|private|protected|internal|static|\s)+[\w\<\>\[\]]+\s+(\w+)\s*\(([^)]*)\)/);
-            if (match) {
-                name = match[1];
-                params = match[2].split(',').map(p => p.trim()).filter(p => p);
-            }
-            
-            let template = '/// <summary>\n';
-            template += `/// ${name}\n`;
-            template += '/// </summary>\n';
-            
-            for (const param of params) {
-                const paramParts = param.split(' ');
-                const paramName = paramParts[paramParts.length - 1];
-                template += `/// <param name="${paramName}">Description</param>\n`;
-            }
-            
-            template += '/// <returns>Description</returns>';
-            return template;
-            
-        } else if (language === 'javascriptreact' || language === 'typescriptreact') {
-            // Check if this is a React component
-            const componentMatch = functionLine.match(/const\s+(\w+)\s*=\s*(?:React\.)?(?:memo\()?(?:forwardRef\()?(?:function|React\.FC)/);
-            if (componentMatch) {
-                name = componentMatch[1];
-                
-                let template = '/**\n';
-                template += ` * ${name} Component\n`;
-                template += ` *\n`;
-                
-                if (language === 'typescriptreact') {
-                    template += ` * @param {${name}Props} props - Component props\n`;
-                } else {
-                    template += ` * @param {Object} props - Component props\n`;
-                }
-                
-                template += ` * @returns {JSX.Element} - Rendered component\n`;
-                template += ` */`;
-                
-                return template;
-            } else {
-                // Regular function
-                return this._generateDocTemplate(functionLine, 'javascript');
-            }
-        } else {
-            // JavaScript/TypeScript
-            const nameMatch = functionLine.match(/function\s+(\w+)|(\w+)\s*=\s*function|(\w+)\s*\(/);
-            const name = nameMatch ? (nameMatch[1] || nameMatch[2] || nameMatch[3]) : 'function';
-            
-            const paramsMatch = functionLine.match(/\(([^)]*)\)/);
-            const params = paramsMatch ? paramsMatch[1].split(',').map(p => p.trim()).filter(p => p) : [];
-            
-            let template = '/**\n';
-            template += ` * ${name}\n`;
-            template += ` *\n`;
-            
-            for (const param of params) {
-                // Extract just the parameter name, ignoring type annotations
-                const paramName = param.split(':')[0].split('=')[0].trim();
-                template += ` * @param {any} ${paramName} - Description\n`;
-            }
-            
-            template += ` * @returns {any} - Description\n`;
-            template += ` */`;
-            
-            return template;
-        }
+    _generateDocTemplate(functionLine, language = 'javascript', types = null) {
+        return this._provider(language).docTemplate(functionLine, types);
     }
 
     /**
@@ -801,41 +702,7 @@ class Parser {
      * @private
      */
     _parseParams(paramsStr, language = 'javascript') {
-        if (!paramsStr) return [];
-        
-        if (language === 'python') {
-            return paramsStr.split(',')
-                .map(p => p.trim())
-                .filter(p => p)
-                .map(p => {
-                    const [nameAndType, defaultValue] = p.split('=').map(s => s.trim());
-                    const [name, type] = nameAndType.split(':').map(s => s.trim());
-                    return { name, type, defaultValue };
-                });
-        } else if (language === 'java' || language === 'csharp') {
-            return paramsStr.split(',')
-                .map(p => p.trim())
-                .filter(p => p)
-                .map(p => {
-                    const parts = p.split(' ');
-                    // Last part is the name, everything before is the type
-                    const name = parts[parts.length - 1];
-                    const type = parts.slice(0, parts.length - 1).join(' ');
-                    return { name, type };
-                });
-        } else {
-            // JavaScript/TypeScript
-            return paramsStr.split(',')
-                .map(p => p.trim())
-                .filter(p => p)
-                .map(p => {
-                    // Handle TypeScript parameter syntax
-                    let [name, type] = p.split(':').map(s => s.trim());
-                    // Handle default values
-                    const [paramName, defaultValue] = name.split('=').map(s => s.trim());
-                    return { name: paramName, type, defaultValue };
-                });
-        }
+        return this._provider(language).parseParams(paramsStr);
     }
 
     /**
@@ -843,94 +710,1514 @@ class Parser {
      * @private
      */
     _escapeRegExp(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return escapeRegExp(string);
     }
 
     /**
-     * Calculate cyclomatic complexity for a function
-     * @param {string} code - Function code
-     * @param {string} language - Programming language
-     * @returns {object} Complexity metrics
+     * Blank out comments and string literals so regex scans only see code.
+     * Offsets and line breaks are preserved.
+     * @private
      */
-    calculateCyclomaticComplexity(code, language) {
-        if (!this.supportedLanguages.includes(language)) {
-            throw new Error(`Language '${language}' is not currently supported`);
-        }
+    _maskCommentsAndStrings(code, language) {
+        return this._provider(language).maskCommentsAndStrings(code);
+    }
 
-        let complexity = 1; // Base complexity starts at 1
-        let lines = code.split('\n');
-        let lineCount = lines.length;
-        
-        // Get language-specific patterns
-        const patterns = this.languagePatterns[language] || this.languagePatterns.javascript;
-        
-        // Count decision points based on language
-        const decisionPoints = this._countDecisionPoints(code, language);
-        console.log('Decision points:', decisionPoints);
-        
-        complexity += decisionPoints.total;
-        console.log('Calculated complexity:', complexity);
-        
-        // Calculate cognitive complexity factors
-        const nestingLevel = this._calculateNestingLevel(code, language);
-        const numberOfParameters = this._countParameters(code, language);
-        
-        const result = {
-            cyclomaticComplexity: complexity,
-            lineCount: lineCount,
-            decisionPoints: decisionPoints,
-            nestingLevel: nestingLevel,
-            parameterCount: numberOfParameters,
-            complexityLevel: this._determineComplexityLevel(complexity)
-        };
-        
-        console.log('Final complexity result:', result);
-        return result;
+    /**
+     * Get the provider describing a language, falling back to JavaScript
+     * @private
+     */
+    _provider(language) {
+        return this.registry.get(language) || this.registry.get('javascript');
     }
-    
+
     /**
-     * Analyze all functions in a file and compute complexity metrics
-     * @param {string} code - File content
-     * @param {string} language - Programming language
-     * @returns {object[]} Array of function analyses
+     * Lookups a language provider can make while matching functions in masked code
+     * @private
      */
-    analyzeFunctionComplexity(code, language) {
-        if (!this.supportedLanguages.includes(language)) {
-            throw new Error(`Language '${language}' is not currently supported`);
-        }
-        
-        const functions = this.findFunctions(code, language);
-        const functionAnalyses = [];
-        
-        for (const func of functions) {
+    _functionContext(scanText, provider) {
+        let classRanges = null;
+        return {
+            scanText,
+            // Name of the innermost class (or trait, interface, module...) containing an offset
+            enclosingClass: offset => {
+                if (!classRanges) {
+                    classRanges = [];
+                    const classPattern = provider.patterns.class;
+                    let match;
+                    classPattern.lastIndex = 0;
+                    while ((match = classPattern.exec(scanText)) !== null) {
+                        classRanges.push({
+                            name: match[1],
+                            start: match.index,
+                            end: provider.estimateBlockEnd(scanText, match.index)
+                        });
+                    }
+                }
+
+                let name = null;
+                for (const range of classRanges) {
+                    if (range.start < offset && offset < range.end) {
+                        name = range.name;
+                    }
+                }
+                return name;
+            }
+        };
+    }
+
+    /**
+     * Trace the binding selected at an offset through its scope
+     * @private
+     */
+    _traceVariableInTree(variableName, tree, offset) {
+        const variable = this.resolveBinding(variableName, tree, offset);
+        if (!variable) {
+            return [];
+        }
+
+        return this.describeReferences(variable.references, tree);
+    }
+
+    /**
+     * Find the binding a name refers to at an offset
+     * @param {string} variableName - Name of the variable
+     * @param {object} tree - Program node returned by getSyntaxTree()
+     * @param {number} [offset] - Offset of an occurrence of the name
+     * @returns {object|null} Resolved variable, or null if the name never occurs
+     */
+    resolveBinding(variableName, tree, offset) {
+        const analysis = this.getScopeAnalysis(tree);
+
+        if (typeof offset === 'number') {
+            const reference = analysis.referenceAt(offset);
+            if (reference && reference.name === variableName) {
+                return reference.variable;
+            }
+        }
+
+        // No usable selection offset - fall back to the first binding with this name
+        return analysis.variablesNamed(variableName)[0] || null;
+    }
+
+    /**
+     * Convert resolved references into trace entries for the variable traces panel
+     * @param {Array<object>} references - References from a scope analysis
+     * @param {object} tree - Program node the references belong to
+     * @returns {Array<object>} Trace entries sorted by position
+     */
+    describeReferences(references, tree) {
+        return references
+            .slice()
+            .sort((a, b) => a.identifier.start - b.identifier.start)
+            .map(reference => {
+                const { line, column } = tree.lineIndex.positionAt(reference.identifier.start);
+                const lineText = tree.lineIndex.lineText(line);
+                const type = reference.isDeclaration ? 'declaration' :
+                    reference.isCapture ? 'capture' :
+                    reference.access === 'read' ? 'read' : 'write';
+
+                return {
+                    name: reference.name,
+                    type,
+                    access: reference.access,
+                    line: line + 1,
+                    column,
+                    context: lineText,
+                    description: this._describeReference(reference),
+                    position: {
+                        line,
+                        character: column
+                    },
+                    lineText,
+                    isDefinition: reference.isDeclaration
+                };
+            });
+    }
+
+    /**
+     * Describe how a reference uses its variable
+     * @private
+     */
+    _describeReference(reference) {
+        const kind = reference.variable.kind;
+
+        if (reference.isDeclaration) {
+            if (kind === 'param') return 'Declared as a parameter';
+            if (kind === 'import') return 'Imported';
+            return reference.access === 'write' ? `Declared with ${kind} and initialized` : `Declared with ${kind}`;
+        }
+
+        const action = reference.access === 'write' ? 'Assigned' :
+            reference.access === 'readwrite' ? 'Updated' : 'Read';
+
+        return reference.isCapture ? `${action} inside a closure` : action;
+    }
+
+    /**
+     * Collect named functions from a syntax tree: declarations, function
+     * expressions and arrows bound to variables, assigned functions, class
+     * members and object-literal methods
+     * @private
+     */
+    _collectFunctions(tree) {
+        const functions = [];
+        const add = (node, name, owner, details) => {
+            functions.push(Object.assign({
+                name,
+                qualifiedName: owner ? `${owner}.${name}` : name,
+                className: null,
+                kind: node.type === 'ArrowFunctionExpression' ? 'arrow' : 'function',
+                node
+            }, details));
+        };
+
+        walk(tree, {
+            enter: (node, parent, ancestors) => {
+                if (node.type === 'FunctionDeclaration') {
+                    // `export default function () {}` has no name of its own
+                    const name = node.id ? node.id.name :
+                        parent && parent.type === 'ExportDefaultDeclaration' ? 'default' : null;
+                    if (name) {
+                        add(node, name, null, {
+                            start: node.start,
+                            declarationStart: this._statementStart(node, ancestors)
+                        });
+                    }
+                } else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && isFunctionNode(node.init)) {
+                    const start = parent.declarations[0] === node ? parent.start : node.start;
+                    add(node.init, node.id.name, null, {
+                        start,
+                        declarationStart: this._statementStart(parent, ancestors.slice(0, -1))
+                    });
+                } else if (node.type === 'AssignmentExpression' && isFunctionNode(node.right)) {
+                    const target = this._assignmentTarget(node.left, ancestors);
+                    if (target) {
+                        add(node.right, target.name, target.owner, {
+                            className: target.className,
+                            start: node.start,
+                            declarationStart: parent && parent.type === 'ExpressionStatement' ? parent.start : node.start
+                        });
+                    }
+                } else if (node.type === 'MethodDefinition' || (node.type === 'PropertyDefinition' && isFunctionNode(node.value))) {
+                    const className = this._className(ancestors[ancestors.length - 2], ancestors[ancestors.length - 3]);
+                    const kind = node.type === 'PropertyDefinition' ? (node.value.type === 'ArrowFunctionExpression' ? 'arrow' : 'function') :
+                        node.kind === 'get' ? 'getter' : node.kind === 'set' ? 'setter' : node.kind;
+                    add(node.value, this._memberName(node), className, {
+                        className,
+                        kind,
+                        isStatic: node.static,
+                        start: node.start,
+                        declarationStart: node.start
+                    });
+                } else if (node.type === 'Property' && parent && parent.type === 'ObjectExpression' && isFunctionNode(node.value)) {
+                    const kind = node.kind === 'get' ? 'getter' : node.kind === 'set' ? 'setter' :
+                        node.method ? 'method' : node.value.type === 'ArrowFunctionExpression' ? 'arrow' : 'function';
+                    add(node.value, this._memberName(node), this._objectName(ancestors.length - 1, ancestors), {
+                        kind,
+                        start: node.start,
+                        declarationStart: node.start
+                    });
+                } else if (node.type === 'ExportDefaultDeclaration' && isFunctionNode(node.declaration) &&
+                           node.declaration.type !== 'FunctionDeclaration') {
+                    add(node.declaration, 'default', null, {
+                        start: node.start,
+                        declarationStart: node.start
+                    });
+                } else if (node.type === 'FunctionExpression' && node.id && !this._isNamedByParent(node, parent)) {
+                    add(node, node.id.name, null, {
+                        start: node.start,
+                        declarationStart: node.start
+                    });
+                }
+            }
+        });
+
+        return functions;
+    }
+
+    /**
+     * Check whether a function expression is already collected under the name its parent gives it
+     * @private
+     */
+    _isNamedByParent(node, parent) {
+        if (!parent) return false;
+
+        switch (parent.type) {
+            case 'VariableDeclarator':
+                return parent.init === node && parent.id.type === 'Identifier';
+            case 'AssignmentExpression':
+                return parent.right === node;
+            case 'Property':
+            case 'MethodDefinition':
+            case 'PropertyDefinition':
+                return parent.value === node;
+            case 'ExportDefaultDeclaration':
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Get the name, owner and class of an assignment target: `x`, `obj.x`,
+     * `Foo.prototype.x`, `this.x` inside a class, or `module.exports.x`
+     * @private
+     */
+    _assignmentTarget(target, ancestors) {
+        if (target.type === 'Identifier') {
+            return { name: target.name, owner: null, className: null };
+        }
+        if (target.type !== 'MemberExpression' || target.computed || target.property.type !== 'Identifier') {
+            return null;
+        }
+
+        const name = target.property.name;
+        const object = target.object;
+
+        // Foo.prototype.bar = function () {}
+        if (object.type === 'MemberExpression' && !object.computed && object.property.name === 'prototype' &&
+            object.object.type === 'Identifier') {
+            return { name, owner: object.object.name, className: object.object.name };
+        }
+
+        if (object.type === 'ThisExpression' || (object.type === 'Identifier' && object.name === 'this')) {
+            const classNode = this._enclosingClass(ancestors);
+            const className = classNode ? this._className(classNode, ancestors[ancestors.indexOf(classNode) - 1]) : null;
+            return { name, owner: className, className };
+        }
+
+        const owner = this._expressionName(object);
+        if (owner === 'exports' || owner === 'module.exports') {
+            return { name, owner: null, className: null };
+        }
+        return { name, owner, className: null };
+    }
+
+    /**
+     * Get the dotted name of an identifier or member chain (`a.b.c`), or null
+     * @private
+     */
+    _expressionName(node) {
+        if (node.type === 'Identifier') {
+            return node.name;
+        }
+        if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+            const objectName = this._expressionName(node.object);
+            return objectName ? `${objectName}.${node.property.name}` : null;
+        }
+        return null;
+    }
+
+    /**
+     * Find the class whose methods a `this` at the current position belongs to
+     * @private
+     */
+    _enclosingClass(ancestors) {
+        for (let i = ancestors.length - 1; i >= 0; i--) {
+            const node = ancestors[i];
+            if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+                return node;
+            }
+            // A plain function has its own `this`, unless it is the body of a class member
+            if ((node.type === 'FunctionExpression' || node.type === 'FunctionDeclaration') &&
+                !(ancestors[i - 1] && (ancestors[i - 1].type === 'MethodDefinition' || ancestors[i - 1].type === 'PropertyDefinition'))) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the name of a class, falling back to the name it is bound to
+     * @private
+     */
+    _className(classNode, parent) {
+        if (classNode.id) {
+            return classNode.id.name;
+        }
+        if (parent && parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+            return parent.id.name;
+        }
+        if (parent && parent.type === 'AssignmentExpression') {
+            return this._expressionName(parent.left);
+        }
+        if (parent && parent.type === 'ExportDefaultDeclaration') {
+            return 'default';
+        }
+        return '<anonymous>';
+    }
+
+    /**
+     * Get the display name of a class member or object property key
+     * @private
+     */
+    _memberName(member) {
+        const key = member.key;
+        if (member.computed) {
+            return `[${this._expressionName(key) || '…'}]`;
+        }
+        if (key.type === 'Identifier') {
+            return key.name;
+        }
+        if (key.type === 'PrivateIdentifier') {
+            return `#${key.name}`;
+        }
+        return String(key.value);
+    }
+
+    /**
+     * Get the name an object literal is bound to, e.g. `api` for `const api = { ... }`
+     * or `api.users` for a nested object
+     * @private
+     */
+    _objectName(objectIndex, ancestors) {
+        const parent = ancestors[objectIndex - 1];
+        if (!parent) return null;
+
+        switch (parent.type) {
+            case 'VariableDeclarator':
+                return parent.id.type === 'Identifier' ? parent.id.name : null;
+            case 'AssignmentExpression': {
+                const name = this._expressionName(parent.left);
+                return name === 'module.exports' || name === 'exports' ? null : name;
+            }
+            case 'Property': {
+                if (ancestors[objectIndex - 2] && ancestors[objectIndex - 2].type === 'ObjectExpression') {
+                    const owner = this._objectName(objectIndex - 2, ancestors);
+                    const key = this._memberName(parent);
+                    return owner ? `${owner}.${key}` : key;
+                }
+                return null;
+            }
+            case 'PropertyDefinition':
+                return this._memberName(parent);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Get the start of the statement declaring a node, including any export keyword
+     * @private
+     */
+    _statementStart(node, ancestors) {
+        const parent = ancestors[ancestors.length - 1];
+        if (parent && (parent.type === 'ExportNamedDeclaration' || parent.type === 'ExportDefaultDeclaration')) {
+            return parent.start;
+        }
+        return node.start;
+    }
+
+    /**
+     * Convert a collected function into the shape returned by findFunctions
+     * @private
+     */
+    _describeFunction(func, tree, text, language) {
+        const { node } = func;
+        let body = '';
+
+        if (node.body && node.body.type === 'BlockStatement') {
+            const closed = text[node.body.end - 1] === '}';
+            body = text.substring(node.body.start + 1, closed ? node.body.end - 1 : node.body.end);
+        } else if (node.body) {
+            body = text.substring(node.body.start, node.body.end);
+        }
+
+        const position = tree.lineIndex.positionAt(func.start);
+
+        const description = {
+            name: func.name,
+            qualifiedName: func.qualifiedName,
+            className: func.className,
+            kind: func.kind,
+            params: node.params.map(param => this._describeParam(param, text)),
+            body: body.trim(),
+            position: {
+                line: position.line,
+                character: position.column
+            },
+            range: {
+                start: func.start,
+                end: node.end
+            },
+            lineRange: {
+                start: position.line,
+                end: tree.lineIndex.lineAt(Math.max(func.start, node.end - 1))
+            },
+            language
+        };
+        if (func.isStatic) description.isStatic = true;
+        return description;
+    }
+
+    /**
+     * Describe a parameter node as { name, type, defaultValue }
+     * @private
+     */
+    _describeParam(param, text) {
+        let target = param;
+        let defaultValue;
+
+        if (param.type === 'AssignmentPattern') {
+            target = param.left;
+            defaultValue = text.substring(param.right.start, param.right.end);
+        }
+
+        let name;
+        let typeNode = target.typeAnnotation;
+        if (target.type === 'Identifier') {
+            name = target.name;
+        } else if (target.type === 'RestElement') {
+            name = '...' + text.substring(target.argument.start, target.argument.end);
+            typeNode = target.argument.typeAnnotation;
+        } else {
+            name = text.substring(target.start, target.end);
+        }
+
+        return { name, type: typeNode ? typeNode.text : undefined, defaultValue };
+    }
+
+    /**
+     * Check whether a comment directly precedes an offset (only whitespace between)
+     * @private
+     */
+    _hasLeadingComment(tree, offset) {
+        let preceding = null;
+        for (const comment of tree.comments) {
+            if (comment.end > offset) break;
+            preceding = comment;
+        }
+
+        if (!preceding) return false;
+        return tree.lineIndex.text.substring(preceding.end, offset).trim() === '';
+    }
+
+    /**
+     * Get the name of a called function: `foo()` gives foo, `obj.foo()` gives foo
+     * @private
+     */
+    _calleeName(callee) {
+        if (callee.type === 'Identifier') {
+            return callee.name;
+        }
+        if (callee.type === 'MemberExpression' && !callee.computed && callee.property.type === 'Identifier') {
+            return callee.property.name;
+        }
+        return null;
+    }
+
+    /**
+     * Build the structure summary from a syntax tree
+     * @private
+     */
+    _analyzeTreeStructure(tree, language) {
+        const isReact = language === 'javascriptreact' || language === 'typescriptreact';
+        const structure = {
+            blocks: [],
+            loops: [],
+            conditionals: [],
+            functions: [],
+            classes: [],
+            variables: []
+        };
+
+        if (isReact) {
+            structure.components = [];
+            structure.hooks = [];
+            structure.jsxElements = [];
+        }
+
+        walk(tree, {
+            enter: node => {
+                switch (node.type) {
+                    case 'ForStatement':
+                    case 'ForInStatement':
+                    case 'ForOfStatement':
+                        structure.loops.push({ type: 'for', position: node.start, end: node.end });
+                        break;
+                    case 'WhileStatement':
+                        structure.loops.push({ type: 'while', position: node.start, end: node.end });
+                        break;
+                    case 'DoWhileStatement':
+                        structure.loops.push({ type: 'do', position: node.start, end: node.end });
+                        break;
+                    case 'IfStatement':
+                        structure.conditionals.push({ type: 'if', position: node.start, end: node.end });
+                        if (node.alternate) {
+                            structure.conditionals.push({ type: 'else', position: node.elseStart, end: node.alternate.end });
+                        }
+                        break;
+                    case 'SwitchStatement':
+                        structure.conditionals.push({ type: 'switch', position: node.start, end: node.end });
+                        break;
+                    case 'ClassDeclaration':
+                    case 'ClassExpression':
+                        if (node.id) {
+                            structure.classes.push({ name: node.id.name, position: node.start, end: node.end });
+                        }
+                        break;
+                    case 'VariableDeclaration':
+                        for (const declarator of node.declarations) {
+                            for (const id of getBindingIdentifiers(declarator.id)) {
+                                structure.variables.push({ name: id.name, kind: node.kind, position: id.start });
+                            }
+                        }
+                        break;
+                }
+
+                if (!isReact) return;
+
+                // React-specific patterns: rendering conditions, list rendering, hooks and JSX tags
+                if (node.type === 'LogicalExpression' && node.operator === '&&') {
+                    structure.conditionals.push({ type: '&&', position: node.start, end: node.end });
+                } else if (node.type === 'ConditionalExpression') {
+                    structure.conditionals.push({ type: '?', position: node.start, end: node.end });
+                } else if (node.type === 'CallExpression') {
+                    const name = this._calleeName(node.callee);
+                    if (node.callee.type === 'MemberExpression' && ['map', 'forEach', 'filter'].includes(name)) {
+                        structure.loops.push({ type: name, position: node.callee.property.start, end: node.end });
+                    } else if (name && /^use[A-Z]/.test(name)) {
+                        const position = node.callee.type === 'MemberExpression' ? node.callee.property.start : node.callee.start;
+                        structure.hooks.push({ name, position });
+                    }
+                } else if (node.type === 'JSXOpeningElement' && node.name.type !== 'JSXNamespacedName') {
+                    const name = tree.lineIndex.text.substring(node.name.start, node.name.end);
+                    if (/^[A-Z]/.test(name)) {
+                        structure.jsxElements.push({ name, position: node.start });
+                    }
+                }
+            }
+        });
+
+        const functions = this._collectFunctions(tree);
+        structure.functions = functions.map(func => ({
+            name: func.name,
+            qualifiedName: func.qualifiedName,
+            position: func.start,
+            end: func.node.end
+        }));
+
+        if (isReact) {
+            structure.components = this._findComponents(tree, functions);
+        }
+        if (tree.component) {
+            this._addComponentStructure(tree, structure);
+        }
+
+        structure.hierarchy = this._buildHierarchy(structure, tree.lineIndex);
+        return structure;
+    }
+
+    /**
+     * Nest the loops, conditionals, functions and classes of a structure by containment.
+     *
+     * Every node records its type, name or kind, offsets, lines and depth (the module
+     * root has depth 0, top-level entries depth 1). The flat entries are annotated
+     * with the same `depth` and with the qualified name of their innermost
+     * enclosing function or class as `container`.
+     * @private
+     */
+    _buildHierarchy(structure, lineIndex) {
+        const length = lineIndex.text.length;
+        const root = {
+            type: 'module',
+            name: null,
+            kind: null,
+            start: 0,
+            end: length,
+            line: 0,
+            endLine: lineIndex.lineAt(length),
+            depth: 0,
+            children: []
+        };
+
+        // Classes before functions before loops before conditionals when ranges coincide
+        const order = ['class', 'function', 'loop', 'conditional'];
+        const items = [];
+        const collect = (type, entries) => {
+            for (const entry of entries) {
+                // `else` shares its if statement's node
+                if (entry.end === undefined || entry.type === 'else') continue;
+                items.push({ type, entry });
+            }
+        };
+        collect('class', structure.classes);
+        collect('function', structure.functions);
+        collect('loop', structure.loops);
+        collect('conditional', structure.conditionals);
+
+        items.sort((a, b) => a.entry.position - b.entry.position ||
+            b.entry.end - a.entry.end ||
+            order.indexOf(a.type) - order.indexOf(b.type));
+
+        const stack = [root];
+        for (const { type, entry } of items) {
+            // Leave containers that end before this entry (or that it overlaps only partially)
+            while (stack.length > 1 && (stack[stack.length - 1].end <= entry.position || stack[stack.length - 1].end < entry.end)) {
+                stack.pop();
+            }
+
+            const parent = stack[stack.length - 1];
+            const node = {
+                type,
+                name: type === 'class' || type === 'function' ? (entry.qualifiedName || entry.name) : null,
+                kind: type === 'loop' || type === 'conditional' ? entry.type : null,
+                start: entry.position,
+                end: entry.end,
+                line: lineIndex.lineAt(entry.position),
+                endLine: lineIndex.lineAt(Math.max(entry.position, entry.end - 1)),
+                depth: parent.depth + 1,
+                children: []
+            };
+            parent.children.push(node);
+            stack.push(node);
+
+            entry.depth = node.depth;
+            entry.container = this._containerName(stack.slice(0, -1));
+        }
+
+        // An else branch sits at the depth of its if statement
+        for (const entry of structure.conditionals) {
+            if (entry.type !== 'else') continue;
+            const path = this.getStructurePath(root, entry.position);
+            entry.depth = path.length > 0 ? path[path.length - 1].depth : 1;
+            entry.container = this._containerName(path);
+        }
+
+        return root;
+    }
+
+    /**
+     * Get the name of the innermost function or class in a chain of structure nodes
+     * @private
+     */
+    _containerName(nodes) {
+        for (let i = nodes.length - 1; i >= 0; i--) {
+            if (nodes[i].type === 'function' || nodes[i].type === 'class') {
+                return nodes[i].name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the chain of structure nodes containing an offset
+     * @param {object} hierarchy - Root node from a structure's `hierarchy`
+     * @param {number} offset - Character offset
+     * @returns {Array<object>} Nodes from outermost to innermost, excluding the module root
+     */
+    getStructurePath(hierarchy, offset) {
+        const path = [];
+        let node = hierarchy;
+
+        while (node) {
+            node = node.children.find(child => child.start <= offset && offset < child.end);
+            if (node) path.push(node);
+        }
+        return path;
+    }
+
+    /**
+     * Find React components: capitalized functions, memo/forwardRef wrappers and component classes
+     * @private
+     */
+    _findComponents(tree, functions) {
+        const components = functions
+            .filter(func => /^[A-Z]/.test(func.name))
+            .map(func => ({ name: func.name, position: func.start }));
+
+        walk(tree, {
+            enter: (node, parent) => {
+                if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && /^[A-Z]/.test(node.id.name) &&
+                    node.init && node.init.type === 'CallExpression' &&
+                    ['memo', 'forwardRef'].includes(this._calleeName(node.init.callee))) {
+                    const start = parent.declarations[0] === node ? parent.start : node.start;
+                    components.push({ name: node.id.name, position: start });
+                } else if ((node.type === 'ClassDeclaration' || node.type === 'ClassExpression') && node.id && node.superClass &&
+                           ['Component', 'PureComponent'].includes(this._calleeName(node.superClass))) {
+                    components.push({ name: node.id.name, position: node.start });
+                }
+            }
+        });
+
+        return components.sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Add the template and reactive state of a Vue or Svelte component to its structure.
+     * List and conditional rendering join the loops and conditionals, so they nest in
+     * the hierarchy; `template` lists the child components and directives, and
+     * `reactiveState` the state the script declares and whether the template reads it.
+     * @private
+     */
+    _addComponentStructure(tree, structure) {
+        const { framework, template } = tree.component;
+        const reactiveState = this._findReactiveState(tree);
+
+        if (template) {
+            for (const loop of template.loops) {
+                structure.loops.push({ type: loop.type, position: loop.position, end: loop.end, expression: loop.expression });
+            }
+            for (const conditional of template.conditionals) {
+                structure.conditionals.push({ type: conditional.type, position: conditional.position, end: conditional.end });
+            }
+            structure.loops.sort((a, b) => a.position - b.position);
+            structure.conditionals.sort((a, b) => a.position - b.position);
+
+            // Svelte markup reads stores as $name
+            const read = new Set(template.references.map(reference => reference.name));
+            for (const state of reactiveState) {
+                state.usedInTemplate = read.has(state.name) || read.has(`$${state.name}`);
+            }
+        }
+
+        structure.template = {
+            framework,
+            components: template ? template.components : [],
+            directives: template
+                ? template.directives.map(({ name, argument, position }) => ({ name, argument, position }))
+                : []
+        };
+        structure.reactiveState = reactiveState;
+    }
+
+    /**
+     * Find the reactive state a component script declares. Vue: refs, reactive objects,
+     * computed values, models, props and Options API data. Svelte: top-level `let`s of
+     * the instance script, `export let` props, `$:` values, runes and stores.
+     * @private
+     */
+    _findReactiveState(tree) {
+        const state = [];
+        const seen = new Set();
+        const add = (name, kind, position) => {
+            if (seen.has(name)) return;
+            seen.add(name);
+            state.push({ name, kind, position });
+        };
+
+        if (tree.component.framework === 'vue') {
+            walk(tree, {
+                enter: (node, parent) => {
+                    if (node.type === 'VariableDeclarator' && node.init && node.init.type === 'CallExpression') {
+                        const kind = VUE_STATE_FUNCTIONS[this._calleeName(node.init.callee)];
+                        if (kind) {
+                            // const { title } = defineProps(...) binds props one by one
+                            const bindingKind = kind === 'props' && node.id.type !== 'Identifier' ? 'prop' : kind;
+                            for (const id of getBindingIdentifiers(node.id)) {
+                                add(id.name, bindingKind, id.start);
+                            }
+                        }
+                    } else if (node.type === 'CallExpression' && this._calleeName(node.callee) === 'defineProps') {
+                        for (const prop of this._propNames(node.arguments[0], node.typeArguments)) {
+                            add(prop.name, 'prop', prop.position);
+                        }
+                    } else if (node.type === 'ObjectExpression' && parent &&
+                               (parent.type === 'ExportDefaultDeclaration' ||
+                                (parent.type === 'CallExpression' && this._calleeName(parent.callee) === 'defineComponent'))) {
+                        this._addOptionsState(node, add);
+                    }
+                }
+            });
+            return state;
+        }
+
+        // Only the instance script is reactive; <script context="module"> runs once
+        const instanceScripts = tree.component.scripts.filter(script => !script.module);
+        const inInstance = node => instanceScripts.some(script => script.start <= node.start && node.end <= script.end);
+        const topLevel = new Map();
+
+        for (const statement of tree.body) {
+            const exported = statement.type === 'ExportNamedDeclaration' && statement.declaration;
+            const declaration = exported ? statement.declaration : statement;
+
+            if (declaration.type === 'VariableDeclaration') {
+                for (const declarator of declaration.declarations) {
+                    const init = declarator.init;
+                    const callee = init && init.type === 'CallExpression' ? init.callee : null;
+                    // $state(0), $derived.by(() => ...)
+                    const rune = callee && (callee.type === 'Identifier' ? callee.name
+                        : callee.type === 'MemberExpression' && callee.object.type === 'Identifier' ? callee.object.name : null);
+
+                    for (const id of getBindingIdentifiers(declarator.id)) {
+                        topLevel.set(id.name, id.start);
+                        if (!inInstance(statement)) continue;
+
+                        if (SVELTE_RUNES[rune]) {
+                            add(id.name, SVELTE_RUNES[rune], id.start);
+                        } else if (exported && declaration.kind !== 'const') {
+                            add(id.name, 'prop', id.start);
+                        } else if (declaration.kind !== 'const') {
+                            add(id.name, 'state', id.start);
+                        }
+                    }
+                }
+            } else if (statement.type === 'ImportDeclaration') {
+                for (const specifier of statement.specifiers) {
+                    topLevel.set(specifier.local.name, specifier.local.start);
+                }
+            } else if (statement.type === 'LabeledStatement' && statement.label.name === '$' &&
+                       statement.body.type === 'ExpressionStatement' &&
+                       statement.body.expression.type === 'AssignmentExpression' &&
+                       statement.body.expression.left.type === 'Identifier') {
+                // $: total = price * quantity declares a value kept up to date
+                const id = statement.body.expression.left;
+                add(id.name, 'derived', id.start);
+            }
+        }
+
+        // Reading $name subscribes to the store declared or imported as name
+        const template = tree.component.template;
+        const dollarNames = tree.tokens
+            .filter(token => token.type === 'identifier')
+            .concat(template ? template.references : [])
+            .map(token => token.value || token.name)
+            .filter(name => name.length > 1 && name.startsWith('$'));
+        for (const name of dollarNames) {
+            const storeName = name.substring(1);
+            if (topLevel.has(storeName)) {
+                add(storeName, 'store', topLevel.get(storeName));
+            }
+        }
+
+        return state;
+    }
+
+    /**
+     * Get the props declared by the argument or type argument of defineProps()
+     * @private
+     */
+    _propNames(argument, typeArguments) {
+        const props = [];
+        if (argument && argument.type === 'ObjectExpression') {
+            // defineProps({ title: String })
+            for (const property of argument.properties) {
+                if (property.type === 'Property' && !property.computed) {
+                    props.push({ name: this._memberName(property), position: property.key.start });
+                }
+            }
+        } else if (argument && argument.type === 'ArrayExpression') {
+            // defineProps(['title'])
+            for (const element of argument.elements) {
+                if (element && element.type === 'Literal' && typeof element.value === 'string') {
+                    props.push({ name: element.value, position: element.start });
+                }
+            }
+        } else if (typeArguments) {
+            // defineProps<{ title: string; count?: number }>()
+            const memberPattern = /[{;,\n]\s*(?:readonly\s+)?(\w+)\??\s*:/g;
+            let match;
+            while ((match = memberPattern.exec(typeArguments.text)) !== null) {
+                props.push({ name: match[1], position: typeArguments.start + match.index + match[0].indexOf(match[1]) });
+            }
+        }
+        return props;
+    }
+
+    /**
+     * Add the data, computed properties and props of an Options API component
+     * @private
+     */
+    _addOptionsState(options, add) {
+        for (const property of options.properties) {
+            if (property.type !== 'Property' || property.computed) continue;
+
+            const option = this._memberName(property);
+            const value = property.value;
+            if (option === 'data' && isFunctionNode(value)) {
+                // data() returns the component's reactive data
+                let returned = value.expression ? value.body : null;
+                if (!returned) {
+                    walk(value.body, {
+                        enter: node => {
+                            if (returned || isFunctionNode(node)) return false;
+                            if (node.type === 'ReturnStatement') {
+                                returned = node.argument;
+                                return false;
+                            }
+                        }
+                    });
+                }
+                if (returned && returned.type === 'ObjectExpression') {
+                    for (const member of returned.properties) {
+                        if (member.type === 'Property' && !member.computed) {
+                            add(this._memberName(member), 'data', member.key.start);
+                        }
+                    }
+                }
+            } else if (option === 'computed' && value.type === 'ObjectExpression') {
+                for (const member of value.properties) {
+                    if (member.type === 'Property' && !member.computed) {
+                        add(this._memberName(member), 'computed', member.key.start);
+                    }
+                }
+            } else if (option === 'props') {
+                for (const prop of this._propNames(value, null)) {
+                    add(prop.name, 'prop', prop.position);
+                }
+            }
+        }
+    }
+
+    /**
+     * Detect features of a Vue or Svelte component
+     * @private
+     */
+    _detectComponentFeatures(tree, calledNames) {
+        const { framework, scripts, template } = tree.component;
+        const directives = new Set(template ? template.directives.map(directive => directive.name) : []);
+        const features = [];
+
+        if (framework === 'vue') {
+            const optionsApi = tree.body.some(statement => {
+                if (statement.type !== 'ExportDefaultDeclaration') return false;
+                const declaration = statement.declaration;
+                const options = declaration.type === 'CallExpression' && this._calleeName(declaration.callee) === 'defineComponent'
+                    ? declaration.arguments[0]
+                    : declaration;
+                return options && options.type === 'ObjectExpression' && options.properties.some(property =>
+                    property.type === 'Property' && ['data', 'methods', 'computed', 'watch'].includes(this._memberName(property)));
+            });
+
+            if (scripts.some(script => script.setup)) features.push('vue:script-setup');
+            if (['ref', 'reactive', 'computed', 'watch', 'watchEffect'].some(name => calledNames.has(name))) features.push('vue:composition-api');
+            if (optionsApi) features.push('vue:options-api');
+            if (calledNames.has('defineProps')) features.push('vue:props');
+            if (calledNames.has('defineEmits')) features.push('vue:emits');
+            if (directives.has('v-model')) features.push('vue:v-model');
+            if (directives.has('v-slot')) features.push('vue:slots');
+            if (directives.has('v-on')) features.push('vue:events');
+            if (template && template.loops.length > 0) features.push('vue:list-rendering');
+            if (template && template.conditionals.length > 0) features.push('vue:conditional-rendering');
+        } else {
+            const state = this._findReactiveState(tree);
+            if (tree.body.some(statement => statement.type === 'LabeledStatement' && statement.label.name === '$')) {
+                features.push('svelte:reactive-statements');
+            }
+            if (['$state', '$derived', '$effect', '$props'].some(name => calledNames.has(name))) features.push('svelte:runes');
+            if (state.some(entry => entry.kind === 'store')) features.push('svelte:stores');
+            if (directives.has('bind')) features.push('svelte:bindings');
+            if (directives.has('on')) features.push('svelte:events');
+            if (['transition', 'in', 'out', 'animate'].some(name => directives.has(name))) features.push('svelte:transitions');
+            if (template && template.loops.length > 0) features.push('svelte:each-blocks');
+            if (template && template.conditionals.length > 0) features.push('svelte:if-blocks');
+        }
+
+        if (template && template.components.length > 0) features.push(`${framework}:components`);
+        return features;
+    }
+
+    /**
+     * Detect language features from a syntax tree
+     * @private
+     */
+    _detectTreeFeatures(tree, language) {
+        const features = [];
+        const nodeTypes = new Set();
+        const calledNames = new Set();
+        const identifiers = new Set();
+        let hasAsyncFunction = false;
+        let hasGenerics = false;
+        let hasAnimated = false;
+
+        for (const token of tree.tokens) {
+            if (token.type === 'identifier' || token.type === 'jsxName') {
+                identifiers.add(token.value);
+            }
+        }
+
+        walk(tree, {
+            enter: node => {
+                nodeTypes.add(node.type);
+
+                if (isFunctionNode(node) && node.async) {
+                    hasAsyncFunction = true;
+                }
+                if (node.typeParameters || node.typeArguments || node.superTypeArguments ||
+                    (node.type === 'TypeAnnotation' && node.text.includes('<'))) {
+                    hasGenerics = true;
+                }
+                if (node.type === 'CallExpression') {
+                    const name = this._calleeName(node.callee);
+                    if (name) calledNames.add(name);
+                }
+                if (node.type === 'MemberExpression' && node.object.type === 'Identifier' && node.object.name === 'Animated') {
+                    hasAnimated = true;
+                }
+            }
+        });
+
+        const hasAsyncAwait = hasAsyncFunction && (nodeTypes.has('AwaitExpression') || tree.tokens.some(t => t.value === 'await'));
+        const hasSpread = tree.tokens.some(token => token.type === 'punctuator' && token.value === '...');
+        const hasTemplates = tree.tokens.some(token => token.type === 'template');
+        const hasJsx = nodeTypes.has('JSXElement') || nodeTypes.has('JSXFragment');
+
+        // Components are analyzed as the language of their script
+        if (tree.component) {
+            language = tree.component.scriptLanguage;
+            features.push(...this._detectComponentFeatures(tree, calledNames));
+        }
+
+        if (language === 'javascriptreact' || language === 'typescriptreact') {
+            // React specific features
+            if (calledNames.has('useState')) features.push('hooks:state');
+            if (calledNames.has('useEffect')) features.push('hooks:effects');
+            if (calledNames.has('useContext')) features.push('hooks:context');
+            if (calledNames.has('useRef')) features.push('hooks:refs');
+            if (calledNames.has('useCallback')) features.push('hooks:callback');
+            if (calledNames.has('useMemo')) features.push('hooks:memo');
+            if (hasJsx) features.push('JSX');
+            if (identifiers.has('props')) features.push('props');
+            if (nodeTypes.has('JSXFragment') || identifiers.has('Fragment')) features.push('fragment');
+            if (calledNames.has('memo')) features.push('memoization');
+            if (identifiers.has('styled')) features.push('styled-components');
+            if (identifiers.has('StyleSheet')) features.push('react-native:stylesheet');
+            if (hasAnimated) features.push('react-native:animated');
+            if (['View', 'Text', 'ScrollView'].some(name => identifiers.has(name))) features.push('react-native:components');
+        }
+
+        if (hasAsyncAwait) features.push('async/await');
+        if (nodeTypes.has('ArrowFunctionExpression')) features.push('arrow functions');
+        if (hasSpread) features.push('spread/rest');
+        if (hasTemplates) features.push('template literals');
+
+        if (language === 'typescript' || language === 'typescriptreact') {
+            if (nodeTypes.has('TSInterfaceDeclaration')) features.push('interfaces');
+            if (hasGenerics) features.push('generics');
+            if (language === 'typescriptreact' && [...identifiers].some(name => name.includes('Props'))) {
+                features.push('typescript:props');
+            }
+        }
+
+        return features;
+    }
+
+    /**
+     * Calculate cyclomatic complexity for a function
+     * @param {string} code - Function code
+     * @param {string} language - Programming language
+     * @returns {object} Complexity metrics; for a function with a syntax tree, the same ones
+     *     analyzeFunctionComplexity() reports, read off its control-flow graph
+     */
+    calculateCyclomaticComplexity(code, language) {
+        if (!this.supportedLanguages.includes(language)) {
+            throw new Error(`Language '${language}' is not currently supported`);
+        }
+
+        // Count keywords only without a tree, or for code that is not a single function
+        const tree = this.getSyntaxTree(code, language);
+        if (tree && !tree.component && tree.errors.length === 0 && tree.body.length === 1) {
+            const [func] = this._collectFunctions(tree);
+            if (func && func.declarationStart === tree.body[0].start) {
+                return this._calculateNodeComplexity(func.node, tree, code, 0, func.name);
+            }
+        }
+
+        let complexity = 1; // Base complexity starts at 1
+        let lines = code.split('\n');
+        let lineCount = lines.length;
+        
+        // Count decision points based on language
+        const decisionPoints = this._countDecisionPoints(code, language);
+        console.log('Decision points:', decisionPoints);
+        
+        complexity += decisionPoints.total;
+        console.log('Calculated complexity:', complexity);
+        
+        // Calculate cognitive complexity factors
+        const nestingLevel = this._calculateNestingLevel(code, language);
+        const numberOfParameters = this._countParameters(code, language);
+        
+        // Cognitive complexity, with the lines that cost points
+        const cognitiveIncrements = this._estimateCognitiveIncrements(code, language);
+        
+        // Halstead measures and the maintainability index built on them
+        const { operators, operands } = this._provider(language).halsteadTokens(code);
+        const halstead = this._calculateHalstead(operators, operands);
+        const maintainabilityIndex = this._calculateMaintainabilityIndex(halstead.volume, complexity, lineCount);
+        
+        const result = {
+            cyclomaticComplexity: complexity,
+            lineCount: lineCount,
+            decisionPoints: decisionPoints,
+            nestingLevel: nestingLevel,
+            parameterCount: numberOfParameters,
+            complexityLevel: this._determineComplexityLevel(complexity),
+            cognitiveComplexity: cognitiveIncrements.reduce((sum, entry) => sum + entry.increment, 0),
+            cognitiveBreakdown: this._cognitiveBreakdown(cognitiveIncrements, new LineIndex(code), 0),
+            halstead,
+            maintainabilityIndex,
+            maintainabilityLevel: this._determineMaintainabilityLevel(maintainabilityIndex)
+        };
+        
+        console.log('Final complexity result:', result);
+        return result;
+    }
+    
+    /**
+     * Calculate complexity metrics for a function node of a parsed file
+     * @param {object} node - Function node
+     * @param {object} tree - Syntax tree of the file
+     * @param {string} functionCode - Source of the function
+     * @param {number} functionStart - Offset of the function source in the file
+     * @param {string} name - Name the function calls itself by
+     * @private
+     */
+    _calculateNodeComplexity(node, tree, functionCode, functionStart, name) {
+        // The cyclomatic number is read off the function's control-flow graph: E - N + 2
+        const decisionPoints = this._countTreeDecisionPoints(node);
+        const complexity = buildControlFlowGraph(node).cyclomaticComplexity;
+        const cognitive = analyzeCognitiveComplexity(node, name);
+
+        // Deepest brace nesting within the function, and its Halstead operators and operands
+        let maxNestingLevel = 0;
+        let currentLevel = 0;
+        const operators = [];
+        const operands = [];
+        for (const token of tree.tokens) {
+            if (token.start < node.start) continue;
+            if (token.start >= node.end) break;
+
+            if (token.value === '{') {
+                currentLevel++;
+                maxNestingLevel = Math.max(maxNestingLevel, currentLevel);
+            } else if (token.value === '}') {
+                currentLevel--;
+            }
+
+            if (token.type === 'punctuator') {
+                // A bracket pair counts once, at its opening bracket
+                if (!')]}'.includes(token.value)) operators.push(token.value);
+            } else if (token.type === 'keyword') {
+                (OPERAND_KEYWORDS.has(token.value) ? operands : operators).push(token.value);
+            } else if (token.type === 'identifier' && OPERATOR_IDENTIFIERS.has(token.value)) {
+                operators.push(token.value);
+            } else if (token.type !== 'eof' && token.type !== 'unknown') {
+                operands.push(token.value);
+            }
+        }
+
+        const lineCount = functionCode.split('\n').length;
+        const halstead = this._calculateHalstead(operators, operands);
+        const maintainabilityIndex = this._calculateMaintainabilityIndex(halstead.volume, complexity, lineCount);
+
+        return {
+            cyclomaticComplexity: complexity,
+            lineCount,
+            decisionPoints,
+            nestingLevel: maxNestingLevel,
+            parameterCount: node.params.length,
+            complexityLevel: this._determineComplexityLevel(complexity),
+            cognitiveComplexity: cognitive.total,
+            cognitiveBreakdown: this._cognitiveBreakdown(cognitive.increments, tree.lineIndex, tree.lineIndex.lineAt(functionStart)),
+            halstead,
+            maintainabilityIndex,
+            maintainabilityLevel: this._determineMaintainabilityLevel(maintainabilityIndex)
+        };
+    }
+
+    /**
+     * Calculate the cognitive complexity of some code: how hard its control flow is to
+     * follow, by the published rules (see src/syntax/cognitiveComplexity.js). Code in
+     * several functions adds up their complexities.
+     * @param {string} code - Code to measure
+     * @param {string} language - Programming language
+     * @returns {{total: number, breakdown: Array<{line: number, complexity: number, reasons: string[]}>}} Total, and the zero-based lines that cost points
+     */
+    calculateCognitiveComplexity(code, language) {
+        if (!this.supportedLanguages.includes(language)) {
+            throw new Error(`Language '${language}' is not currently supported`);
+        }
+
+        const tree = this.getSyntaxTree(code, language);
+        const increments = tree
+            ? analyzeCognitiveComplexity(tree).increments
+            : this._estimateCognitiveIncrements(code, language);
+
+        return {
+            total: increments.reduce((sum, entry) => sum + entry.increment, 0),
+            breakdown: this._cognitiveBreakdown(increments, tree ? tree.lineIndex : new LineIndex(code), 0)
+        };
+    }
+
+    /**
+     * Find the cognitive complexity increments of code without a syntax tree. Structures
+     * come from the language's decision point patterns, and nesting from the blocks
+     * that contain them, as estimated by the language provider.
+     * @param {string} code - Code to measure
+     * @param {string} language - Programming language
+     * @returns {Array<{position: number, increment: number, nesting: number, reason: string}>} Increments in source order
+     * @private
+     */
+    _estimateCognitiveIncrements(code, language) {
+        const provider = this._provider(language);
+        const maskedCode = this._maskCommentsAndStrings(code, language);
+        const { conditionals, loops, switches, catchBlocks, logicalOperators, ternaryOperators } = provider.decisionPoints;
+        const matchAll = pattern => {
+            const matches = [];
+            if (!pattern) return matches;
+            const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+            let match;
+            while ((match = global.exec(maskedCode)) !== null) {
+                if (match[0] === '') global.lastIndex++;
+                else matches.push(match);
+            }
+            return matches;
+        };
+
+        // Structures nest what follows them; else branches and else-ifs cost 1 without nesting
+        const structures = [];
+        for (const match of matchAll(conditionals)) {
+            const keyword = match[0].trim();
+            const elseBefore = /\belse\s+$/.exec(maskedCode.substring(0, match.index));
+            if (elseBefore || ['elif', 'elsif', 'elseif'].includes(keyword)) {
+                structures.push({ position: elseBefore ? elseBefore.index : match.index, reason: 'else if', hybrid: true });
+            } else {
+                structures.push({ position: match.index, reason: keyword, hybrid: false });
+            }
+        }
+        for (const match of matchAll(/\belse\b(?!\s*if\b)/g)) {
+            structures.push({ position: match.index, reason: 'else', hybrid: true });
+        }
+        for (const pattern of [loops, switches, catchBlocks]) {
+            for (const match of matchAll(pattern)) {
+                structures.push({ position: match.index, reason: match[0].match(/\w+/)[0], hybrid: false });
+            }
+        }
+        for (const match of matchAll(ternaryOperators)) {
+            structures.push({ position: match.index, reason: 'ternary', hybrid: false, ternary: true });
+        }
+
+        // Blocks that raise the nesting of code inside them, including functions inside functions
+        const functions = this.findFunctions(code, language);
+        const blocks = structures
+            .filter(structure => !structure.ternary)
+            .map(structure => ({ start: structure.position, end: provider.estimateBlockEnd(maskedCode, structure.position) }));
+        for (const func of functions) {
+            const outer = functions.some(other => other !== func && other.range.start < func.range.start && func.range.end <= other.range.end);
+            if (outer) blocks.push({ start: func.range.start, end: func.range.end });
+        }
+        const nestingAt = position => blocks.filter(block => block.start < position && position < block.end).length;
+
+        const increments = structures.map(({ position, reason, hybrid }) => {
+            const nesting = hybrid ? 0 : nestingAt(position);
+            return { position, increment: 1 + nesting, nesting, reason };
+        });
+
+        // Each run of the same logical operator within one condition costs 1
+        let previous = null;
+        for (const match of matchAll(logicalOperators)) {
+            // Word operators (`and`) continue a run of their symbol (`&&`)
+            const operator = { and: '&&', or: '||' }[match[0]] || match[0];
+            const sameCondition = previous && !/[;{},\n]/.test(maskedCode.substring(previous.end, match.index));
+            if (!sameCondition || operator !== previous.operator) {
+                increments.push({ position: match.index, increment: 1, nesting: 0, reason: `${match[0]} sequence` });
+            }
+            previous = { operator, end: match.index + match[0].length };
+        }
+
+        // Jumps to a label
+        for (const match of matchAll(/\b(break|continue|goto)\s+(?!(?:if|unless|and|or|when)\b)[A-Za-z_]\w*/g)) {
+            increments.push({ position: match.index, increment: 1, nesting: 0, reason: `${match[1]} to label` });
+        }
+
+        // Recursion: calls to a function after the name in its own declaration
+        for (const func of functions) {
+            const declaration = new RegExp(`\\b${escapeRegExp(func.name)}\\b`).exec(maskedCode.substring(func.range.start, func.range.end));
+            if (!declaration) continue;
+            const bodyStart = func.range.start + declaration.index + func.name.length;
+            const call = provider.callPattern(func.name);
+            const calls = new RegExp(call.source, 'g');
+            const body = maskedCode.substring(bodyStart, func.range.end);
+            let match;
+            while ((match = calls.exec(body)) !== null) {
+                increments.push({ position: bodyStart + match.index, increment: 1, nesting: 0, reason: 'recursion' });
+            }
+        }
+
+        return increments.sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Group cognitive complexity increments by line
+     * @param {Array<object>} increments - Increments in source order
+     * @param {LineIndex} lineIndex - Lines of the measured source
+     * @param {number} firstLine - Line that becomes line 0 of the breakdown
+     * @returns {Array<{line: number, complexity: number, reasons: string[]}>} Lines that cost points
+     * @private
+     */
+    _cognitiveBreakdown(increments, lineIndex, firstLine) {
+        const lines = new Map();
+        for (const { position, increment, nesting, reason } of increments) {
+            const line = lineIndex.lineAt(position) - firstLine;
+            if (!lines.has(line)) {
+                lines.set(line, { line, complexity: 0, reasons: [] });
+            }
+            const entry = lines.get(line);
+            entry.complexity += increment;
+            entry.reasons.push(nesting > 0 ? `${reason} (+1, nesting +${nesting})` : `${reason} (+1)`);
+        }
+        return [...lines.values()];
+    }
+
+    /**
+     * Calculate Halstead measures from the operators and operands of a function
+     * @param {string[]} operators - Operators in order of appearance
+     * @param {string[]} operands - Operands in order of appearance
+     * @returns {object} Vocabulary, length, volume, difficulty, effort and estimated bugs
+     * @private
+     */
+    _calculateHalstead(operators, operands) {
+        const distinctOperators = new Set(operators).size;
+        const distinctOperands = new Set(operands).size;
+        const vocabulary = distinctOperators + distinctOperands;
+        const length = operators.length + operands.length;
+
+        const volume = vocabulary > 1 ? length * Math.log2(vocabulary) : 0;
+        const difficulty = distinctOperands > 0 ? (distinctOperators / 2) * (operands.length / distinctOperands) : 0;
+        const effort = difficulty * volume;
+        const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+        return {
+            distinctOperators,
+            distinctOperands,
+            totalOperators: operators.length,
+            totalOperands: operands.length,
+            vocabulary,
+            length,
+            volume: round(volume),
+            difficulty: round(difficulty),
+            effort: round(effort),
+            // Delivered bugs are estimated at one per 3000 units of volume
+            bugs: round(volume / 3000, 3)
+        };
+    }
+
+    /**
+     * Calculate the maintainability index of a function, on the 0-100 scale Visual Studio uses
+     * @param {number} volume - Halstead volume
+     * @param {number} complexity - Cyclomatic complexity
+     * @param {number} lineCount - Lines of code
+     * @returns {number} Maintainability index; higher is easier to maintain
+     * @private
+     */
+    _calculateMaintainabilityIndex(volume, complexity, lineCount) {
+        const index = 171 - 5.2 * Math.log(Math.max(volume, 1)) - 0.23 * complexity - 16.2 * Math.log(Math.max(lineCount, 1));
+        return Math.round(Math.max(0, index * 100 / 171));
+    }
+
+    /**
+     * Build the control-flow graph of the function at an offset: the innermost
+     * function, named or not, whose source contains it
+     * @param {string} code - File content
+     * @param {string} language - Programming language
+     * @param {number} offset - Offset in the file, such as the cursor's
+     * @returns {object|null} Graph from buildControlFlowGraph() with the function's `name` and
+     *     `line`, and the zero-based `line` of each node; null when no function contains the
+     *     offset or the language has no syntax tree
+     */
+    getControlFlowGraph(code, language, offset) {
+        const tree = this.getSyntaxTree(code, language);
+        if (!tree) return null;
+
+        // Functions are entered before the functions nested in them, so the last match is the innermost
+        let target = null;
+        walk(tree, {
+            enter: node => {
+                if (node.start > offset || node.end < offset) return false;
+                if (isFunctionNode(node)) target = node;
+            }
+        });
+        if (!target) return null;
+
+        const named = this._collectFunctions(tree).find(func => func.node === target);
+        const graph = buildControlFlowGraph(target, code);
+        graph.nodes.forEach(node => {
+            node.line = tree.lineIndex.lineAt(node.start);
+        });
+
+        return Object.assign({
+            name: named ? named.qualifiedName : 'anonymous function',
+            line: tree.lineIndex.lineAt(target.start)
+        }, graph);
+    }
+
+    /**
+     * Analyze all functions in a file and compute complexity metrics
+     * @param {string} code - File content
+     * @param {string} language - Programming language
+     * @param {{get: Function, set: Function}} [functionCache] - Metrics keyed by function text, reused for unchanged functions
+     * @returns {object[]} Array of function analyses
+     */
+    analyzeFunctionComplexity(code, language, functionCache) {
+        if (!this.supportedLanguages.includes(language)) {
+            throw new Error(`Language '${language}' is not currently supported`);
+        }
+        
+        const functions = this.findFunctions(code, language);
+        const tree = this.getSyntaxTree(code, language);
+        const treeFunctions = tree ? this._collectFunctions(tree) : null;
+        const functionAnalyses = [];
+        
+        functions.forEach((func, index) => {
             // Extract function code
             const startLine = code.substring(0, func.range.start).split('\n').length - 1;
             const endLine = code.substring(0, func.range.end).split('\n').length - 1;
             const functionCode = code.substring(func.range.start, func.range.end);
             
-            // Calculate metrics
-            const complexity = this.calculateCyclomaticComplexity(functionCode, language);
+            // Calculate metrics - methods and accessors do not parse on their own, so
+            // functions found in a syntax tree are measured on their node
+            let complexity = functionCache ? functionCache.get(functionCode) : undefined;
+            if (!complexity) {
+                complexity = treeFunctions
+                    ? this._calculateNodeComplexity(treeFunctions[index].node, tree, functionCode, func.range.start, func.name)
+                    : this.calculateCyclomaticComplexity(functionCode, language);
+                if (functionCache) functionCache.set(functionCode, complexity);
+            }
             
             functionAnalyses.push({
                 name: func.name,
+                qualifiedName: func.qualifiedName,
+                className: func.className,
                 lineRange: { start: startLine, end: endLine },
                 lineCount: complexity.lineCount,
                 cyclomaticComplexity: complexity.cyclomaticComplexity,
                 nestingLevel: complexity.nestingLevel,
                 parameterCount: complexity.parameterCount,
                 complexityLevel: complexity.complexityLevel,
-                decisionPoints: complexity.decisionPoints
+                decisionPoints: complexity.decisionPoints,
+                cognitiveComplexity: complexity.cognitiveComplexity,
+                // Breakdown lines are stored relative to the function, which may have moved since it was cached
+                cognitiveBreakdown: complexity.cognitiveBreakdown.map(entry => Object.assign({}, entry, { line: startLine + entry.line })),
+                halstead: complexity.halstead,
+                maintainabilityIndex: complexity.maintainabilityIndex,
+                maintainabilityLevel: complexity.maintainabilityLevel
             });
-        }
+        });
         
         return functionAnalyses;
     }
     
+    /**
+     * Build the call graph of a single module; imports stay unresolved
+     * @private
+     */
+    _fileCallGraph(tree) {
+        const info = {
+            file: '',
+            tree,
+            analysis: this.getScopeAnalysis(tree),
+            imports: collectImports(tree),
+            exports: collectExports(tree)
+        };
+        return new CallGraph(new Map([['', info]]), { collectFunctions: root => this._collectFunctions(root) });
+    }
+
     /**
      * Analyze dependencies between functions in code
      * @param {string} code - File content
      * @param {string} language - Programming language
-     * @returns {object} Dependency graph data
+     * @returns {object} Dependency graph data: nodes, links, each function's calls and callers, and the cycles of functions calling each other
      */
     analyzeDependencies(code, language) {
         if (!this.supportedLanguages.includes(language)) {
@@ -938,44 +2225,66 @@ class Parser {
         }
 
         const functions = this.findFunctions(code, language);
+        const tree = this.getSyntaxTree(code, language);
+        const treeFunctions = tree ? this._collectFunctions(tree) : null;
         const dependencies = {};
         
         // Initialize dependency object for each function
         for (const func of functions) {
-            dependencies[func.name] = {
+            dependencies[this._functionKey(func)] = {
                 calls: [],
                 calledBy: []
             };
         }
+
+        const addCall = (callerName, calleeName) => {
+            // Skip self references
+            if (callerName === calleeName || dependencies[callerName].calls.includes(calleeName)) return;
+            dependencies[callerName].calls.push(calleeName);
+            dependencies[calleeName].calledBy.push(callerName);
+        };
         
-        // Find call relationships
-        for (const caller of functions) {
-            const callerCode = code.substring(caller.range.start, caller.range.end);
-            
-            for (const callee of functions) {
-                // Skip self references
-                if (caller.name === callee.name) continue;
-                
-                // Check if caller calls callee
-                const calleePattern = new RegExp(`\\b${callee.name}\\s*\\(`, 'g');
-                if (calleePattern.test(callerCode)) {
-                    dependencies[caller.name].calls.push(callee.name);
-                    dependencies[callee.name].calledBy.push(caller.name);
+        if (tree) {
+            // With a syntax tree, each call is resolved to the function it reaches, so
+            // `this.save()` in one class is not confused with `save()` in another
+            const graph = this._fileCallGraph(tree);
+            for (const call of graph.calls) {
+                const caller = graph.functions.get(call.caller);
+                if (caller.kind !== 'module') {
+                    addCall(this._functionKey(caller), this._functionKey(graph.functions.get(call.callee)));
+                }
+            }
+        } else {
+            // Otherwise fall back to text matching
+            const scanCode = this._maskCommentsAndStrings(code, language);
+            for (const caller of functions) {
+                const callerCode = scanCode.substring(caller.range.start, caller.range.end);
+                for (const callee of functions) {
+                    if (this._provider(language).callPattern(callee.name).test(callerCode)) {
+                        addCall(this._functionKey(caller), this._functionKey(callee));
+                    }
                 }
             }
         }
         
-        // Generate nodes and links for visualization
-        const nodes = functions.map(func => {
+        // Generate nodes and links for visualization (the overloads of a function share one node)
+        const nodes = [];
+        functions.forEach((func, index) => {
+            const id = this._functionKey(func);
+            if (nodes.some(node => node.id === id)) return;
+            
             const funcCode = code.substring(func.range.start, func.range.end);
-            const complexityResult = this.calculateCyclomaticComplexity(funcCode, language);
+            const complexityResult = treeFunctions
+                ? this._calculateNodeComplexity(treeFunctions[index].node, tree, funcCode, func.range.start, func.name)
+                : this.calculateCyclomaticComplexity(funcCode, language);
             
-            console.log(`Function ${func.name} complexity: ${complexityResult.cyclomaticComplexity}`);
+            console.log(`Function ${func.qualifiedName} complexity: ${complexityResult.cyclomaticComplexity}`);
             
-            return {
-                id: func.name,
+            nodes.push({
+                id,
+                label: func.qualifiedName,
                 complexity: complexityResult.cyclomaticComplexity
-            };
+            });
         });
         
         const links = [];
@@ -988,18 +2297,72 @@ class Parser {
             }
         }
         
+        // Functions calling each other in a loop
+        const cycles = markCycles({ nodes, links });
+        
         return {
             nodes,
             links,
-            dependencies
+            dependencies,
+            cycles
         };
     }
 
+    /**
+     * Key a function in dependency data: its qualified name, with the accessor kind
+     * of a getter or setter so that a pair sharing a name stays apart
+     * @private
+     */
+    _functionKey(func) {
+        if (func.kind === 'getter') return `${func.qualifiedName}@get`;
+        if (func.kind === 'setter') return `${func.qualifiedName}@set`;
+        return func.qualifiedName;
+    }
+
     /**
      * Count the number of decision points in code
      * @private
      */
     _countDecisionPoints(code, language) {
+        const tree = this.getSyntaxTree(code, language);
+        if (tree) {
+            return this._countTreeDecisionPoints(tree);
+        }
+
+        // Keywords inside comments and strings are not decision points
+        const provider = this._provider(language);
+        code = provider.maskCommentsAndStrings(code);
+        const count = name => {
+            const pattern = provider.decisionPoints[name];
+            return pattern ? (code.match(pattern) || []).length : 0;
+        };
+
+        const conditionals = count('conditionals');
+        const loops = count('loops');
+        const switches = count('switches');
+        const catchBlocks = count('catchBlocks');
+        const logicalOperators = count('logicalOperators');
+        const ternaryOperators = count('ternaryOperators');
+
+        const total = conditionals + loops + switches + catchBlocks + 
+                     Math.floor(logicalOperators / 2) + ternaryOperators;
+
+        return {
+            conditionals,
+            loops,
+            switches,
+            catchBlocks,
+            logicalOperators,
+            ternaryOperators,
+            total
+        };
+    }
+
+    /**
+     * Count the decision points below a syntax tree node
+     * @private
+     */
+    _countTreeDecisionPoints(root) {
         let conditionals = 0;
         let loops = 0;
         let switches = 0;
@@ -1007,34 +2370,32 @@ class Parser {
         let logicalOperators = 0;
         let ternaryOperators = 0;
 
-        // Common patterns across languages
-        const commonPatterns = {
-            logicalOperators: /&&|\|\|/g,
-            ternaryOperators: /\?.*:/g,
-        };
+        walk(root, {
+            enter: node => {
+                if (isLoopNode(node)) {
+                    loops++;
+                    return;
+                }
 
-        // Count based on language
-        if (language === 'javascript' || language === 'typescript' || 
-            language === 'javascriptreact' || language === 'typescriptreact') {
-            conditionals = (code.match(/\bif\b/g) || []).length;
-            loops = (code.match(/\bfor\b|\bwhile\b|\bdo\b/g) || []).length;
-            switches = (code.match(/\bswitch\b/g) || []).length;
-            catchBlocks = (code.match(/\bcatch\b/g) || []).length;
-            logicalOperators = (code.match(commonPatterns.logicalOperators) || []).length;
-            ternaryOperators = (code.match(commonPatterns.ternaryOperators) || []).length;
-        } else if (language === 'python') {
-            conditionals = (code.match(/\bif\b|\belif\b/g) || []).length;
-            loops = (code.match(/\bfor\b|\bwhile\b/g) || []).length;
-            catchBlocks = (code.match(/\bexcept\b/g) || []).length;
-            logicalOperators = (code.match(/\band\b|\bor\b/g) || []).length;
-        } else if (language === 'java' || language === 'csharp') {
-            conditionals = (code.match(/\bif\b/g) || []).length;
-            loops = (code.match(/\bfor\b|\bwhile\b|\bdo\b|\bforeach\b/g) || []).length;
-            switches = (code.match(/\bswitch\b/g) || []).length;
-            catchBlocks = (code.match(/\bcatch\b/g) || []).length;
-            logicalOperators = (code.match(commonPatterns.logicalOperators) || []).length;
-            ternaryOperators = (code.match(commonPatterns.ternaryOperators) || []).length;
-        }
+                switch (node.type) {
+                    case 'IfStatement':
+                        conditionals++;
+                        break;
+                    case 'SwitchStatement':
+                        switches++;
+                        break;
+                    case 'CatchClause':
+                        catchBlocks++;
+                        break;
+                    case 'LogicalExpression':
+                        logicalOperators++;
+                        break;
+                    case 'ConditionalExpression':
+                        ternaryOperators++;
+                        break;
+                }
+            }
+        });
 
         const total = conditionals + loops + switches + catchBlocks + 
                      Math.floor(logicalOperators / 2) + ternaryOperators;
@@ -1055,38 +2416,23 @@ class Parser {
      * @private
      */
     _calculateNestingLevel(code, language) {
-        const lines = code.split('\n');
+        const tree = this.getSyntaxTree(code, language);
+        if (!tree) {
+            const provider = this._provider(language);
+            return provider.nestingLevel(provider.maskCommentsAndStrings(code));
+        }
+
+        // Count brace tokens so braces in strings, comments and templates are ignored
         let maxNestingLevel = 0;
         let currentLevel = 0;
-        
-        if (language === 'python') {
-            // For Python, we count indentation level
-            let previousIndentation = 0;
-            
-            for (const line of lines) {
-                if (line.trim() === '') continue;
-                
-                const indentation = line.search(/\S|$/);
-                
-                if (indentation > previousIndentation) {
-                    currentLevel += Math.floor((indentation - previousIndentation) / 4); // Assuming 4 spaces per level
-                } else if (indentation < previousIndentation) {
-                    currentLevel -= Math.floor((previousIndentation - indentation) / 4);
-                }
-                
-                maxNestingLevel = Math.max(maxNestingLevel, currentLevel);
-                previousIndentation = indentation;
-            }
-        } else {
-            // For C-like languages, we count braces
-            for (const line of lines) {
-                // Count opening braces
-                const openBraces = (line.match(/{/g) || []).length;
-                // Count closing braces
-                const closeBraces = (line.match(/}/g) || []).length;
-                
-                currentLevel += openBraces - closeBraces;
+        for (const token of tree.tokens) {
+            if (token.type !== 'punctuator') continue;
+
+            if (token.value === '{') {
+                currentLevel++;
                 maxNestingLevel = Math.max(maxNestingLevel, currentLevel);
+            } else if (token.value === '}') {
+                currentLevel--;
             }
         }
         
@@ -1099,25 +2445,31 @@ class Parser {
      */
     _countParameters(code, language) {
         let parameterCount = 0;
-        
-        if (language === 'javascript' || language === 'typescript' || 
-            language === 'javascriptreact' || language === 'typescriptreact') {
-            const paramMatch = code.match(/function\s+\w*\s*\(([^)]*)\)|(\w+|\([^)]*\))\s*=>\s*{/);
-            if (paramMatch) {
-                const params = paramMatch[1] || '';
-                parameterCount = params.split(',').filter(p => p.trim()).length;
-            }
-        } else if (language === 'python') {
-            const paramMatch = code.match(/def\s+\w+\s*\(([^)]*)\)/);
-            if (paramMatch) {
-                const params = paramMatch[1] || '';
-                parameterCount = params.split(',').filter(p => p.trim()).length;
-            }
-        } else if (language === 'java' || language === 'csharp') {
-            const paramMatch = code.match(/\w+\s+\w+\s*\(([^)]*)\)/);
-            if (paramMatch) {
-                const params = paramMatch[1] || '';
-                parameterCount = params.split(',').filter(p => p.trim()).length;
+        const tree = this.getSyntaxTree(code, language);
+
+        if (tree) {
+            // Parameters of the first (outermost) function in the code
+            let firstFunction = null;
+            walk(tree, {
+                enter: node => {
+                    if (firstFunction) return false;
+                    if (isFunctionNode(node)) {
+                        firstFunction = node;
+                        return false;
+                    }
+                }
+            });
+            parameterCount = firstFunction ? firstFunction.params.length : 0;
+        } else {
+            // Parameters of the first function, closure or lambda in the code
+            const provider = this._provider(language);
+            const scanCode = provider.maskCommentsAndStrings(code);
+            const functionPattern = provider.patterns.function;
+            functionPattern.lastIndex = 0;
+            const match = functionPattern.exec(scanCode);
+            const found = match && provider.matchFunction(match, this._functionContext(scanCode, provider));
+            if (found) {
+                parameterCount = provider.parseParams(found.params).length;
             }
         }
         
@@ -1125,15 +2477,15 @@ class Parser {
     }
 
     /**
-     * Determine complexity level based on cyclomatic complexity
+     * Determine complexity level based on cyclomatic complexity and the configured cutoffs
      * @private
      */
     _determineComplexityLevel(complexity) {
-        if (complexity <= 5) {
+        if (complexity <= this.complexityLevels.low) {
             return { level: 'low', color: '#4CAF50', description: 'Easy to maintain' };
-        } else if (complexity <= 10) {
+        } else if (complexity <= this.complexityLevels.moderate) {
             return { level: 'moderate', color: '#FFC107', description: 'Moderately complex' };
-        } else if (complexity <= 20) {
+        } else if (complexity <= this.complexityLevels.high) {
             return { level: 'high', color: '#FF9800', description: 'Complex, consider refactoring' };
         } else {
             return { level: 'very high', color: '#F44336', description: 'Highly complex, difficult to maintain, refactoring recommended' };
@@ -1141,10 +2493,27 @@ class Parser {
     }
 
     /**
-     * Detect performance hotspots in code
+     * Determine the maintainability level of a maintainability index
+     * @private
+     */
+    _determineMaintainabilityLevel(index) {
+        if (index >= 20) {
+            return { level: 'good', color: '#4CAF50', description: 'Maintainable' };
+        } else if (index >= 10) {
+            return { level: 'moderate', color: '#FFC107', description: 'Moderately maintainable, consider simplifying' };
+        } else {
+            return { level: 'poor', color: '#F44336', description: 'Hard to maintain, refactoring recommended' };
+        }
+    }
+
+    /**
+     * Detect performance hotspots in code. These feed the hotspot rules of
+     * PerformanceRuleEngine, which turns them into findings; each hotspot's `type`
+     * is the id of its rule.
      * @param {string} code - File content
      * @param {string} language - Programming language
-     * @returns {object[]} Array of performance hotspots
+     * @returns {object[]} Array of performance hotspots, with the `start` and `end`
+     *     offsets of the flagged code when the syntax tree provides them
      */
     detectPerformanceHotspots(code, language) {
         if (!this.supportedLanguages.includes(language)) {
@@ -1155,22 +2524,29 @@ class Parser {
         const hotspots = [];
         
         // Analyze functions for performance issues
-        const functions = this.findFunctions(code, language);
+        const tree = this.getSyntaxTree(code, language);
         
-        for (const func of functions) {
-            const functionCode = code.substring(func.range.start, func.range.end);
-            const functionName = func.name;
-            const hotspotInfo = this._analyzeCodePerformance(functionCode, functionName, language);
-            
-            if (hotspotInfo.length > 0) {
-                // Calculate absolute line numbers for the hotspots
-                const functionStartLine = code.substring(0, func.range.start).split('\n').length;
+        if (tree) {
+            // Analyze each function node in place, so methods and accessors are covered too
+            for (const func of this._collectFunctions(tree)) {
+                hotspots.push(...this._analyzeTreePerformance(tree, code, func.name, func.node));
+            }
+        } else {
+            for (const func of this.findFunctions(code, language)) {
+                const functionCode = code.substring(func.range.start, func.range.end);
+                const functionName = func.name;
+                const hotspotInfo = this._analyzeCodePerformance(functionCode, functionName, language);
                 
-                hotspotInfo.forEach(hotspot => {
-                    // Adjust line number to be absolute in the file
-                    hotspot.line += functionStartLine - 1;
-                    hotspots.push(hotspot);
-                });
+                if (hotspotInfo.length > 0) {
+                    // Calculate absolute line numbers for the hotspots
+                    const functionStartLine = code.substring(0, func.range.start).split('\n').length;
+                    
+                    hotspotInfo.forEach(hotspot => {
+                        // Adjust line number to be absolute in the file
+                        hotspot.line += functionStartLine - 1;
+                        hotspots.push(hotspot);
+                    });
+                }
             }
         }
         
@@ -1186,6 +2562,15 @@ class Parser {
      * @private
      */
     _analyzeCodePerformance(code, functionName, language) {
+        const tree = this.getSyntaxTree(code, language);
+        if (tree) {
+            return this._analyzeTreePerformance(tree, code, functionName);
+        }
+        const languageHotspots = this._provider(language).analyzePerformance(code, functionName);
+        if (languageHotspots) {
+            return languageHotspots;
+        }
+
         const hotspots = [];
         const lines = code.split('\n');
         
@@ -1334,6 +2719,11 @@ class Parser {
      * @private
      */
     _analyzeGlobalPerformance(code, language) {
+        const tree = this.getSyntaxTree(code, language);
+        if (tree) {
+            return this._analyzeTreeGlobalPerformance(tree);
+        }
+
         const hotspots = [];
         
         // Check for large array/object literals
@@ -1420,6 +2810,347 @@ class Parser {
         
         return hotspots;
     }
+
+    /**
+     * Analyze a function's syntax tree for performance issues
+     * @private
+     */
+    _analyzeTreePerformance(tree, code, functionName, root = tree) {
+        const hotspots = [];
+        const lineIndex = tree.lineIndex;
+        const lineOf = offset => lineIndex.lineAt(offset) + 1;
+        const lineTextOf = offset => lineIndex.lineText(lineIndex.lineAt(offset)).trim();
+
+        walk(root, {
+            enter: node => {
+                if (isLoopNode(node)) {
+                    this._checkLoop(node, code, functionName, lineOf, lineTextOf, hotspots);
+                }
+
+                // Three or more consecutive `x += 'literal'` statements
+                const statements = node.type === 'Program' || node.type === 'BlockStatement' ? node.body :
+                    node.type === 'SwitchCase' ? node.consequent : null;
+                if (statements) {
+                    this._checkStringConcatenation(statements, code, functionName, lineOf, hotspots);
+                }
+            }
+        });
+
+        // Check for potentially slow regular expressions
+        for (const token of tree.tokens) {
+            if (token.start < root.start || token.end > root.end) continue;
+            if (token.type !== 'regex' || !/[+*{}|]/.test(token.pattern)) continue;
+
+            if (token.pattern.length > 20 || /[+*]{2,}/.test(token.pattern)) {
+                hotspots.push({
+                    type: 'complex_regex',
+                    severity: 'medium',
+                    description: 'Complex regular expression',
+                    suggestion: 'Simplify regex or use regex caching',
+                    function: functionName,
+                    line: lineOf(token.start),
+                    start: token.start,
+                    end: token.end,
+                    code: token.value
+                });
+            }
+        }
+
+        return hotspots.sort((a, b) => a.line - b.line);
+    }
+
+    /**
+     * Check a loop for nested loops and expensive operations in its body
+     * @private
+     */
+    _checkLoop(loop, code, functionName, lineOf, lineTextOf, hotspots) {
+        let loopDepth = 0;
+        let nestedDepth = 0;
+        let functionDepth = 0;
+        let hasAwait = false;
+        let hasDomAccess = false;
+        let hasArrayResize = false;
+        let hasObjectCreation = false;
+        let callCount = 0;
+
+        walk(loop.body, {
+            enter: node => {
+                if (isLoopNode(node)) {
+                    nestedDepth = Math.max(nestedDepth, ++loopDepth);
+                } else if (isFunctionNode(node)) {
+                    functionDepth++;
+                } else if (node.type === 'AwaitExpression' && functionDepth === 0) {
+                    // Awaits inside callbacks do not hold up the loop itself
+                    hasAwait = true;
+                } else if (node.type === 'CallExpression') {
+                    callCount++;
+                    const callee = node.callee;
+                    const name = this._calleeName(callee);
+
+                    if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier' &&
+                        callee.object.name === 'document' && name && /^(querySelector|getElement)/.test(name)) {
+                        hasDomAccess = true;
+                    }
+                    if (callee.type === 'MemberExpression' && ['push', 'splice', 'shift', 'unshift'].includes(name)) {
+                        hasArrayResize = true;
+                    }
+                } else if (node.type === 'NewExpression' && node.callee.type === 'Identifier' && /^[A-Z]/.test(node.callee.name)) {
+                    hasObjectCreation = true;
+                }
+            },
+            leave: node => {
+                if (isLoopNode(node)) {
+                    loopDepth--;
+                } else if (isFunctionNode(node)) {
+                    functionDepth--;
+                }
+            }
+        });
+
+        const line = lineOf(loop.start);
+        const lineText = lineTextOf(loop.start);
+        const { start, end } = loop;
+
+        if (nestedDepth >= 2) {
+            hotspots.push({
+                type: 'deeply_nested_loop',
+                severity: 'critical',
+                description: 'Triple nested loop detected (potential O(n³) time complexity)',
+                suggestion: 'This will perform poorly on large datasets. Consider an algorithm redesign.',
+                function: functionName,
+                line,
+                start,
+                end,
+                code: code.substring(loop.start, loop.start + 50) + '...'
+            });
+        } else if (nestedDepth === 1) {
+            hotspots.push({
+                type: 'nested_loop',
+                severity: 'high',
+                description: 'Nested loop detected (potential O(n²) time complexity)',
+                suggestion: 'Consider restructuring to avoid nested loops',
+                function: functionName,
+                line,
+                start,
+                end,
+                code: code.substring(loop.start, loop.start + 50) + '...'
+            });
+        }
+
+        if (hasAwait) {
+            hotspots.push({
+                type: 'await_in_loop',
+                severity: 'high',
+                description: 'Sequential await in loop',
+                suggestion: 'Start the operations together and await them with Promise.all',
+                function: functionName,
+                line,
+                start,
+                end,
+                code: lineText
+            });
+        }
+
+        if (hasDomAccess) {
+            hotspots.push({
+                type: 'dom_in_loop',
+                severity: 'high',
+                description: 'DOM operation inside loop',
+                suggestion: 'Cache DOM elements outside the loop',
+                function: functionName,
+                line,
+                start,
+                end,
+                code: lineText
+            });
+        }
+
+        if (hasArrayResize) {
+            hotspots.push({
+                type: 'array_resize_in_loop',
+                severity: 'medium',
+                description: 'Array resizing operation inside loop',
+                suggestion: 'Pre-allocate arrays when possible',
+                function: functionName,
+                line,
+                start,
+                end,
+                code: lineText
+            });
+        }
+
+        if (hasObjectCreation) {
+            hotspots.push({
+                type: 'object_creation_in_loop',
+                severity: 'medium',
+                description: 'Object instantiation inside loop',
+                suggestion: 'Move object creation outside the loop or reuse objects',
+                function: functionName,
+                line,
+                start,
+                end,
+                code: lineText
+            });
+        }
+
+        if (callCount > 3) {
+            hotspots.push({
+                type: 'many_function_calls_in_loop',
+                severity: 'low',
+                description: 'Multiple function calls inside loop',
+                suggestion: 'Consider inlining or optimizing function calls',
+                function: functionName,
+                line,
+                start,
+                end,
+                code: lineText
+            });
+        }
+    }
+
+    /**
+     * Check a statement list for runs of string concatenation with +=
+     * @private
+     */
+    _checkStringConcatenation(statements, code, functionName, lineOf, hotspots) {
+        const isConcat = statement => statement.type === 'ExpressionStatement' &&
+            statement.expression.type === 'AssignmentExpression' &&
+            statement.expression.operator === '+=' &&
+            (statement.expression.right.type === 'TemplateLiteral' ||
+             (statement.expression.right.type === 'Literal' && typeof statement.expression.right.value === 'string'));
+
+        let runStart = -1;
+        for (let i = 0; i <= statements.length; i++) {
+            if (i < statements.length && isConcat(statements[i])) {
+                if (runStart === -1) runStart = i;
+                continue;
+            }
+
+            if (runStart !== -1 && i - runStart >= 3) {
+                const first = statements[runStart];
+                hotspots.push({
+                    type: 'string_concat',
+                    severity: 'low',
+                    description: 'Excessive string concatenation with += operator',
+                    suggestion: 'Use array.join() or template literals instead',
+                    function: functionName,
+                    line: lineOf(first.start),
+                    start: first.start,
+                    end: statements[i - 1].end,
+                    code: code.substring(first.start, first.start + 50) + '...'
+                });
+            }
+            runStart = -1;
+        }
+    }
+
+    /**
+     * Analyze a file's syntax tree for global performance issues
+     * @private
+     */
+    _analyzeTreeGlobalPerformance(tree) {
+        const hotspots = [];
+        const code = tree.lineIndex.text;
+        const lineOf = offset => tree.lineIndex.lineAt(offset) + 1;
+        // Calls by event name, and the first synchronous open() and console call
+        const addEvents = [];
+        const removeEvents = [];
+        let createsXhr = false;
+        let syncOpen = null;
+        let firstConsole = null;
+        let consoleCount = 0;
+
+        walk(tree, {
+            enter: node => {
+                // Check for large array/object literals
+                const entries = node.type === 'ArrayExpression' ? node.elements :
+                    node.type === 'ObjectExpression' ? node.properties : null;
+                if (entries && entries.length >= 50) {
+                    hotspots.push({
+                        type: 'large_literal',
+                        severity: 'medium',
+                        description: 'Large array/object literal',
+                        suggestion: 'Consider loading data dynamically or chunking',
+                        function: 'global',
+                        line: lineOf(node.start),
+                        start: node.start,
+                        end: node.end,
+                        code: code.substring(node.start, node.start + 50) + '...'
+                    });
+                    return false;
+                }
+
+                if (node.type === 'NewExpression' && node.callee.type === 'Identifier' && node.callee.name === 'XMLHttpRequest') {
+                    createsXhr = true;
+                }
+
+                if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return;
+
+                const name = this._calleeName(node.callee);
+                const firstArg = node.arguments[0];
+                const eventName = firstArg && firstArg.type === 'Literal' && typeof firstArg.value === 'string' ? firstArg.value : null;
+
+                if (name === 'addEventListener' && eventName) {
+                    addEvents.push({ eventName, node });
+                } else if (name === 'removeEventListener' && eventName) {
+                    removeEvents.push(eventName);
+                } else if (name === 'open' && node.arguments[2] && node.arguments[2].type === 'Literal' && node.arguments[2].value === false) {
+                    syncOpen = syncOpen || node;
+                } else if (node.callee.object.type === 'Identifier' && node.callee.object.name === 'console' &&
+                           ['log', 'debug', 'info', 'warn', 'error'].includes(name)) {
+                    firstConsole = firstConsole || node;
+                    consoleCount++;
+                }
+            }
+        });
+
+        // Find uncleaned event listeners
+        if (addEvents.length > removeEvents.length) {
+            // Simple heuristic: if there are more adds than removes, point at a listener never removed
+            const uncleaned = addEvents.find(added => !removeEvents.includes(added.eventName)) || addEvents[0];
+            hotspots.push({
+                type: 'uncleaned_event_listeners',
+                severity: 'medium',
+                description: 'Potential memory leak: more event listeners added than removed',
+                suggestion: 'Ensure all event listeners are removed when no longer needed',
+                function: 'global',
+                line: lineOf(uncleaned.node.start),
+                start: uncleaned.node.start,
+                end: uncleaned.node.end,
+                code: 'addEventListener detected without matching removeEventListener'
+            });
+        }
+
+        if (createsXhr && syncOpen) {
+            hotspots.push({
+                type: 'sync_xhr',
+                severity: 'high',
+                description: 'Synchronous XMLHttpRequest detected',
+                suggestion: 'Use asynchronous requests to avoid blocking the main thread',
+                function: 'global',
+                line: lineOf(syncOpen.start),
+                start: syncOpen.start,
+                end: syncOpen.end,
+                code: 'XMLHttpRequest with synchronous flag'
+            });
+        }
+
+        if (consoleCount > 5) {
+            hotspots.push({
+                type: 'excessive_console',
+                severity: 'low',
+                description: `${consoleCount} console statements detected`,
+                suggestion: 'Remove console statements from production code',
+                function: 'global',
+                line: lineOf(firstConsole.start),
+                start: firstConsole.start,
+                end: firstConsole.end,
+                code: 'console.* statements'
+            });
+        }
+
+        return hotspots;
+    }
 }
 
 module.exports = Parser; 
\ No newline at end of file
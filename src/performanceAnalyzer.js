@@ -1,137 +1,18 @@
 const vscode = require('vscode');
+const { PerformanceRuleEngine } = require('./performanceRules');
 
 /**
  * Performance Analyzer Module for CodeWhiskers
  * Identifies potential performance bottlenecks in code
  */
 class PerformanceAnalyzer {
-    constructor() {
+    /**
+     * @param {PerformanceRuleEngine} [rules] - Rules that find the issues
+     */
+    constructor(rules = new PerformanceRuleEngine()) {
         this._panel = null;
         this._catThemeManager = null;
-        
-        // Define performance patterns to search for
-        this.performancePatterns = {
-            javascript: {
-                inefficientLoops: [
-                    { 
-                        pattern: /for\s*\([^)]*\)\s*{[^}]*\$\{[^}]*\}/g, 
-                        description: "String interpolation inside loops is inefficient",
-                        severity: "high",
-                        suggestion: "Move string interpolation outside the loop if possible"
-                    },
-                    { 
-                        pattern: /for\s*\([^)]*\)\s*{[^}]*\s+new\s+/g, 
-                        description: "Object instantiation inside loops can cause memory churn",
-                        severity: "medium",
-                        suggestion: "Try to move object creation outside the loop"
-                    },
-                    { 
-                        pattern: /for\s*\([^)]*\)\s*{[^}]*\s+splice\s*\(/g, 
-                        description: "Array splice inside loops can be slow",
-                        severity: "medium",
-                        suggestion: "Consider alternative data manipulation approaches"
-                    }
-                ],
-                expensiveOperations: [
-                    { 
-                        pattern: /document\.querySelectorAll\([^)]*\)/g, 
-                        description: "querySelectorAll can be expensive on large DOM trees",
-                        severity: "medium",
-                        suggestion: "Cache DOM queries outside of frequently called functions"
-                    },
-                    { 
-                        pattern: /\.forEach\([^)]*=>\s*{[^}]*document\./g, 
-                        description: "DOM operations inside loops can cause reflows",
-                        severity: "high",
-                        suggestion: "Batch DOM operations or use DocumentFragment"
-                    },
-                    { 
-                        pattern: /JSON\.parse\([^)]*JSON\.stringify\([^)]*\)/g, 
-                        description: "Deep cloning with JSON is inefficient",
-                        severity: "medium",
-                        suggestion: "Consider structured cloning or libraries like lodash.cloneDeep"
-                    }
-                ],
-                memoryLeaks: [
-                    { 
-                        pattern: /setInterval\([^)]*,\s*\d+\)/g, 
-                        description: "Potential memory leak from uncleaned intervals",
-                        severity: "high",
-                        suggestion: "Ensure intervals are cleared with clearInterval when no longer needed"
-                    },
-                    { 
-                        pattern: /addEventListener\([^)]*\)/g, 
-                        description: "Potential memory leak from event listeners",
-                        severity: "medium",
-                        suggestion: "Remove event listeners with removeEventListener when no longer needed"
-                    }
-                ],
-                asyncIssues: [
-                    { 
-                        pattern: /await\s+Promise\.all\(\s*\[\s*[^\]]*\]\s*\)/g, 
-                        description: "Inefficient Promise.all batch",
-                        severity: "low",
-                        suggestion: "Ensure promises are created before calling Promise.all"
-                    },
-                    { 
-                        pattern: /for\s*\([^)]*\)\s*{[^}]*await\s+/g, 
-                        description: "Sequential await in loop is slow",
-                        severity: "high",
-                        suggestion: "Use Promise.all to parallelize async operations"
-                    }
-                ]
-            },
-            typescript: {
-                // Inherit JavaScript patterns
-                // Add TypeScript specific patterns
-                inefficientLoops: null,
-                expensiveOperations: [
-                    { 
-                        pattern: /as\s+[A-Za-z]+\[\]/g, 
-                        description: "Type assertions in critical path",
-                        severity: "low",
-                        suggestion: "Use proper typing to avoid runtime assertions"
-                    }
-                ],
-                memoryLeaks: null,
-                asyncIssues: null
-            },
-            react: {
-                inefficientHooks: [
-                    { 
-                        pattern: /useEffect\(\s*\(\s*\)\s*=>\s*{\s*[^}]*\s*}\s*\)/g, 
-                        description: "useEffect without dependencies array",
-                        severity: "medium",
-                        suggestion: "Add dependencies array to prevent unnecessary re-renders"
-                    },
-                    { 
-                        pattern: /useState\(\s*{[^}]*}\s*\)/g, 
-                        description: "useState with object state",
-                        severity: "low",
-                        suggestion: "Consider splitting into multiple state variables"
-                    }
-                ],
-                rerenderIssues: [
-                    { 
-                        pattern: />\s*{[^}]*\.map\([^)]*=>\s*<[^>]*>\s*{/g, 
-                        description: "Nested component in map without memoization",
-                        severity: "medium",
-                        suggestion: "Use React.memo or extract to a memoized component"
-                    },
-                    {
-                        pattern: /new\s+[A-Z][A-Za-z]*\(/g,
-                        description: "Creating new objects during render",
-                        severity: "medium",
-                        suggestion: "Move object creation outside component or use useMemo"
-                    }
-                ]
-            }
-        };
-        
-        // Initialize TypeScript patterns by copying JavaScript ones
-        this.performancePatterns.typescript.inefficientLoops = [...this.performancePatterns.javascript.inefficientLoops];
-        this.performancePatterns.typescript.memoryLeaks = [...this.performancePatterns.javascript.memoryLeaks];
-        this.performancePatterns.typescript.asyncIssues = [...this.performancePatterns.javascript.asyncIssues];
+        this.rules = rules;
     }
     
     /**
@@ -146,115 +27,10 @@ class PerformanceAnalyzer {
      * Analyze code for performance issues
      * @param {string} code - Code to analyze
      * @param {string} language - Language of the code
-     * @returns {object[]} Array of detected performance issues
+     * @returns {object[]} Findings from PerformanceRuleEngine.analyze()
      */
     analyzePerformance(code, language) {
-        // Normalize language
-        let effectiveLanguage = language;
-        if (['javascriptreact', 'typescriptreact'].includes(language)) {
-            effectiveLanguage = language.replace('react', '');
-        }
-        
-        if (!this.performancePatterns[effectiveLanguage]) {
-            effectiveLanguage = 'javascript'; // Fallback to JavaScript
-        }
-        
-        const issues = [];
-        const patterns = this.performancePatterns[effectiveLanguage];
-        
-        // Check each pattern category
-        for (const [category, categoryPatterns] of Object.entries(patterns)) {
-            if (!categoryPatterns) continue;
-            
-            for (const patternInfo of categoryPatterns) {
-                const { pattern, description, severity, suggestion } = patternInfo;
-                
-                // Reset regex last index to ensure fresh search
-                pattern.lastIndex = 0;
-                
-                // Find all matches
-                let match;
-                while ((match = pattern.exec(code)) !== null) {
-                    // Calculate line number and context
-                    const upToMatch = code.substring(0, match.index);
-                    const lineNumber = upToMatch.split('\n').length;
-                    
-                    // Get context (the specific code line)
-                    const lines = code.split('\n');
-                    const contextLine = lines[lineNumber - 1];
-                    
-                    // Determine issue type based on pattern or category
-                    let issueType = category;
-                    
-                    // More specific type mapping for fix button functionality
-                    if (match[0].includes('for') && match[0].includes('+=')) {
-                        issueType = 'stringConcatenation';
-                    } else if (match[0].includes('for') && match[0].match(/for\s*\(.*\)\s*{\s*for/)) {
-                        issueType = 'nestedLoops';
-                    } else if (match[0].includes('document') && match[0].includes('appendChild')) {
-                        issueType = 'domOperations';
-                    } else if (match[0].includes('for') && match[0].includes('await')) {
-                        issueType = 'asyncAwait';
-                    }
-                    
-                    issues.push({
-                        category,
-                        type: issueType, // Add type property for fix button logic
-                        description,
-                        severity,
-                        suggestion,
-                        lineNumber,
-                        context: contextLine.trim(),
-                        match: match[0]
-                    });
-                }
-            }
-        }
-        
-        // Check React patterns if applicable
-        if (['javascriptreact', 'typescriptreact'].includes(language)) {
-            const reactPatterns = this.performancePatterns.react;
-            
-            for (const [category, categoryPatterns] of Object.entries(reactPatterns)) {
-                for (const patternInfo of categoryPatterns) {
-                    const { pattern, description, severity, suggestion } = patternInfo;
-                    
-                    // Reset regex last index
-                    pattern.lastIndex = 0;
-                    
-                    // Find all matches
-                    let match;
-                    while ((match = pattern.exec(code)) !== null) {
-                        // Calculate line number and context
-                        const upToMatch = code.substring(0, match.index);
-                        const lineNumber = upToMatch.split('\n').length;
-                        
-                        // Get context (the specific code line)
-                        const lines = code.split('\n');
-                        const contextLine = lines[lineNumber - 1];
-                        
-                        // Determine React-specific issue type
-                        let issueType = 'react_' + category;
-                        
-                        issues.push({
-                            category: 'react_' + category,
-                            type: issueType, // Add type property for fix button logic
-                            description,
-                            severity,
-                            suggestion,
-                            lineNumber,
-                            context: contextLine.trim(),
-                            match: match[0]
-                        });
-                    }
-                }
-            }
-        }
-        
-        // Add additional deep analysis for specific cases
-        this._addPerformanceMetrics(issues, code, language);
-        
-        return issues;
+        return this.rules.analyze(code, language);
     }
     
     /**
@@ -312,102 +88,13 @@ class PerformanceAnalyzer {
         );
     }
     
-    /**
-     * Add deeper performance metrics analysis
-     * @private
-     */
-    _addPerformanceMetrics(issues, code, language) {
-        // Count total loops
-        const loopMatches = code.match(/for\s*\(|while\s*\(|do\s*{/g) || [];
-        const totalLoops = loopMatches.length;
-        
-        // Count nested loops (a simple heuristic)
-        const nestedLoopPattern = /for\s*\([^{]*{[^}]*for\s*\(/g;
-        const nestedLoopMatches = code.match(nestedLoopPattern) || [];
-        const nestedLoops = nestedLoopMatches.length;
-        
-        if (nestedLoops > 0) {
-            // Add an issue for each nested loop
-            issues.push({
-                category: 'performance_metric',
-                type: 'nestedLoops', // Add type property for fix button
-                description: `Found ${nestedLoops} nested loops which can lead to O(n²) complexity`,
-                severity: nestedLoops > 2 ? 'high' : 'medium',
-                suggestion: 'Consider restructuring to avoid nested loops or use more efficient algorithms',
-                metric: { type: 'nested_loops', count: nestedLoops }
-            });
-        }
-        
-        // Check for large array literals
-        const largeArrayPattern = /\[[^\]]{1000,}\]/g;
-        const largeArrayMatches = code.match(largeArrayPattern) || [];
-        if (largeArrayMatches.length > 0) {
-            issues.push({
-                category: 'performance_metric',
-                type: 'largeArrays', // Add type property for fix button
-                description: 'Large array literals can impact load and parse time',
-                severity: 'medium',
-                suggestion: 'Consider loading large datasets dynamically or chunking',
-                metric: { type: 'large_arrays', count: largeArrayMatches.length }
-            });
-        }
-        
-        // Check for excessive function parameters
-        const functionParamPattern = /function\s+\w+\s*\([^)]{50,}\)/g;
-        const excessiveParamsMatches = code.match(functionParamPattern) || [];
-        if (excessiveParamsMatches.length > 0) {
-            issues.push({
-                category: 'performance_metric',
-                type: 'excessiveParams', // Add type property for fix button
-                description: 'Functions with many parameters can be inefficient',
-                severity: 'low',
-                suggestion: 'Use object parameters instead of many individual parameters',
-                metric: { type: 'excessive_params', count: excessiveParamsMatches.length }
-            });
-        }
-        
-        // Check React specific metrics
-        if (['javascriptreact', 'typescriptreact'].includes(language)) {
-            // Find components without memoization
-            const componentPattern = /function\s+([A-Z]\w+)\s*\([^)]*\)\s*{/g;
-            let match;
-            let componentCount = 0;
-            let nonMemoizedCount = 0;
-            
-            while ((match = componentPattern.exec(code)) !== null) {
-                componentCount++;
-                const componentName = match[1];
-                // Check if component is exported with memo
-                if (!code.includes(`export default memo(${componentName})`) && 
-                    !code.includes(`export default React.memo(${componentName})`)) {
-                    nonMemoizedCount++;
-                }
-            }
-            
-            if (nonMemoizedCount > 2) {
-                issues.push({
-                    category: 'react_optimization',
-                    type: 'nonMemoizedComponents', // Add type property for fix button
-                    description: `${nonMemoizedCount} of ${componentCount} components are not memoized`,
-                    severity: 'medium',
-                    suggestion: 'Use React.memo for components that render often with the same props',
-                    metric: { 
-                        type: 'non_memoized', 
-                        count: nonMemoizedCount,
-                        total: componentCount
-                    }
-                });
-            }
-        }
-    }
-    
     /**
      * Generate HTML for performance analysis
      * @private
      */
     _generatePerformanceHTML(issues, fileName) {
         // Group issues by severity
-        const highSeverity = issues.filter(issue => issue.severity === 'high');
+        const highSeverity = issues.filter(issue => issue.severity === 'critical' || issue.severity === 'high');
         const mediumSeverity = issues.filter(issue => issue.severity === 'medium');
         const lowSeverity = issues.filter(issue => issue.severity === 'low');
         
@@ -763,12 +450,10 @@ class PerformanceAnalyzer {
         }
         
         return issues.map((issue, index) => {
-            // Don't show line number for metric-based issues
-            const hasLineNumber = issue.lineNumber !== undefined;
-            const lineDisplay = hasLineNumber ? `Line ${issue.lineNumber}: ` : '';
+            const lineDisplay = `Line ${issue.line}: `;
             
             return `
-            <div class="issue-card ${issue.severity}" data-line="${issue.lineNumber || ''}" data-index="${index}">
+            <div class="issue-card ${issue.severity}" data-line="${issue.line}" data-index="${index}">
                 <span class="severity-badge ${issue.severity}">${issue.severity.toUpperCase()}</span>
                 <h3 class="issue-title">${lineDisplay}${issue.description}</h3>
                 ${issue.context ? `<div class="code-context">${issue.context}</div>` : ''}
@@ -0,0 +1,410 @@
+const Parser = require('./parserModule');
+const { languageRegistry } = require('./languages/languageRegistry');
+const { walk, isFunctionNode, isLoopNode } = require('./syntax/syntaxTree');
+const { LineIndex } = require('./syntax/lineIndex');
+const { RuleSettings, SEVERITIES } = require('./ruleSettings');
+const { Suppressions } = require('./suppressions');
+
+/**
+ * Performance Rules for WhiskerCode
+ * One engine for every performance check: the syntax tree hotspots found by the
+ * parser, the pattern rules of each language, and file-wide checks. Each rule has
+ * a stable id, a category, a default severity, the languages it applies to, a
+ * detector and optionally a fixer, and every rule reports the same kind of finding.
+ */
+
+const JAVASCRIPT_LANGUAGES = ['javascript', 'typescript', 'javascriptreact', 'typescriptreact', 'vue', 'svelte'];
+const REACT_LANGUAGES = ['javascriptreact', 'typescriptreact'];
+
+/**
+ * Create a rule for the hotspots of one type from Parser.detectPerformanceHotspots()
+ * @private
+ */
+function hotspotRule(id, category, severity, description, languages = null, fix = null) {
+    return {
+        id,
+        category,
+        severity,
+        description,
+        languages,
+        detect: context => context.hotspots.filter(hotspot => hotspot.type === id),
+        fix
+    };
+}
+
+// Rules built into the engine; the pattern rules of each language are added to these
+const BUILT_IN_RULES = [
+    hotspotRule('nested_loop', 'algorithmicComplexity', 'high', 'Nested loop detected (potential O(n²) time complexity)'),
+    hotspotRule('deeply_nested_loop', 'algorithmicComplexity', 'critical', 'Triple nested loop detected (potential O(n³) time complexity)', JAVASCRIPT_LANGUAGES),
+    hotspotRule('await_in_loop', 'asyncPatterns', 'high', 'Sequential await in loop', JAVASCRIPT_LANGUAGES, fixAwaitInLoop),
+    hotspotRule('dom_in_loop', 'domOperations', 'high', 'DOM operation inside loop'),
+    hotspotRule('array_resize_in_loop', 'memoryManagement', 'medium', 'Array resizing operation inside loop'),
+    hotspotRule('object_creation_in_loop', 'memoryManagement', 'medium', 'Object instantiation inside loop'),
+    hotspotRule('many_function_calls_in_loop', 'loops', 'low', 'Multiple function calls inside loop'),
+    hotspotRule('string_concat', 'memoryManagement', 'low', 'Excessive string concatenation with += operator', null, fixStringConcatenation),
+    hotspotRule('complex_regex', 'resourceManagement', 'medium', 'Complex regular expression'),
+    hotspotRule('large_literal', 'memoryManagement', 'medium', 'Large array/object literal'),
+    hotspotRule('uncleaned_event_listeners', 'memoryLeaks', 'medium', 'Potential memory leak: more event listeners added than removed'),
+    hotspotRule('sync_xhr', 'asyncPatterns', 'high', 'Synchronous XMLHttpRequest detected'),
+    hotspotRule('excessive_console', 'resourceManagement', 'low', 'Console statements detected'),
+    hotspotRule('allocation_in_loop', 'memoryManagement', 'medium', 'Memory is allocated on every loop iteration', ['go']),
+    hotspotRule('defer_in_loop', 'resourceManagement', 'high', 'defer inside a loop only runs when the function returns', ['go']),
+    hotspotRule('timer_in_loop', 'memoryLeaks', 'medium', 'Timer created on every loop iteration', ['go']),
+    hotspotRule('goroutine_in_loop', 'concurrency', 'medium', 'Goroutine started on every loop iteration', ['go']),
+    hotspotRule('unbuffered_channel_send', 'concurrency', 'high', 'Send on an unbuffered channel with no receiver', ['go']),
+    {
+        id: 'unmemoized_components',
+        category: 'rendering',
+        severity: 'medium',
+        description: 'Components are not memoized',
+        suggestion: 'Use React.memo for components that render often with the same props',
+        languages: REACT_LANGUAGES,
+        detect: findUnmemoizedComponents,
+        fix: null
+    }
+];
+
+/**
+ * Runs the performance rules that apply to a language and reports their findings
+ */
+class PerformanceRuleEngine {
+    /**
+     * @param {object} [options] - Engine settings
+     * @param {Parser} [options.parser] - Parser whose syntax tree hotspots feed the hotspot rules
+     * @param {LanguageRegistry} [options.registry] - Languages whose pattern rules apply; defaults to the shared registry
+     * @param {RuleSettings} [options.settings] - Rules turned off and severity overrides
+     */
+    constructor(options = {}) {
+        this.registry = options.registry || languageRegistry;
+        this.parser = options.parser || new Parser(this.registry);
+        this.settings = options.settings || new RuleSettings();
+    }
+
+    /**
+     * Use another rule configuration for the next analyses
+     * @param {RuleSettings} settings - Rules turned off and severity overrides
+     */
+    configure(settings) {
+        this.settings = settings;
+    }
+
+    /**
+     * List every rule: the built-in rules and the pattern rules of the registered languages
+     * @returns {Array<object>} Rules with `id`, `category`, `severity`, `description`, `languages`
+     *     (null when the rule applies to every language), `detect` and `fix`
+     */
+    rules() {
+        const builtInIds = new Set(BUILT_IN_RULES.map(rule => rule.id));
+        const patternRules = new Map();
+
+        // Languages share pattern rules, so each rule lists every language it applies to
+        for (const language of this.registry.ids()) {
+            for (const rule of this._patternRules(language)) {
+                if (builtInIds.has(rule.id)) continue;
+                if (patternRules.has(rule.id)) {
+                    patternRules.get(rule.id).languages.push(language);
+                } else {
+                    patternRules.set(rule.id, rule);
+                }
+            }
+        }
+        return BUILT_IN_RULES.concat([...patternRules.values()]);
+    }
+
+    /**
+     * Get the rules that apply to a language
+     * @param {string} language - Language identifier
+     * @returns {Array<object>} Built-in rules for the language followed by its pattern rules
+     */
+    rulesFor(language) {
+        const builtIn = BUILT_IN_RULES.filter(rule => !rule.languages || rule.languages.includes(language));
+        return builtIn.concat(this._patternRules(language));
+    }
+
+    /**
+     * Find the performance issues of some code
+     * @param {string} code - Code to analyze
+     * @param {string} language - Language of the code
+     * @returns {Array<object>} Findings by position, at most one per category and line: `ruleId`,
+     *     `category`, `severity`, `description`, `suggestion`, `function` (or null), one-based
+     *     `line`, zero-based `range`, `start`/`end` offsets, the flagged `code`, the trimmed
+     *     `context` line and `fixedCode`, the replacement for `code` when the rule can fix it.
+     *     Rules the settings turn off are skipped, configured severities replace the found ones,
+     *     and findings suppressed by `whiskercode-disable` comments in the code are dropped.
+     */
+    analyze(code, language) {
+        const context = this._createContext(code, language);
+        const findings = [];
+        const reported = new Set();
+        const add = (rule, detection) => {
+            const finding = this._toFinding(rule, detection, context);
+            const key = `${finding.category}:${finding.line}`;
+            if (reported.has(key)) return;
+            reported.add(key);
+            findings.push(finding);
+        };
+
+        const rules = this.rulesFor(language);
+        for (const rule of rules) {
+            if (!this.settings.isEnabled(rule.id)) continue;
+            try {
+                rule.detect(context).forEach(detection => add(rule, detection));
+            } catch (error) {
+                console.error(`Error running performance rule ${rule.id}:`, error);
+            }
+        }
+
+        // Hotspots of languages with their own checks may have types no rule knows yet
+        const known = new Set(rules.map(rule => rule.id));
+        for (const hotspot of context.hotspots) {
+            if (known.has(hotspot.type) || !this.settings.isEnabled(hotspot.type)) continue;
+            add({ id: hotspot.type, category: 'performance', severity: 'medium', description: hotspot.type, fix: null }, hotspot);
+        }
+
+        return new Suppressions(code, language, this.registry).apply(findings).sort((a, b) => a.start - b.start ||
+            SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    }
+
+    /**
+     * Build the rules of a language's performance patterns, or of the JavaScript
+     * patterns when the language has none. Positive patterns are best practices,
+     * not rules.
+     * @private
+     */
+    _patternRules(language) {
+        const provider = this.registry.get(language);
+        const fallback = this.registry.get('javascript');
+        const patterns = (provider && provider.performancePatterns) || (fallback && fallback.performancePatterns) || {};
+        const rules = [];
+
+        for (const [category, categoryPatterns] of Object.entries(patterns)) {
+            for (const definition of categoryPatterns) {
+                if (definition.severity === 'positive') continue;
+                rules.push({
+                    id: definition.id || ruleIdOf(definition.description),
+                    category,
+                    severity: definition.severity,
+                    description: definition.description,
+                    suggestion: definition.suggestion,
+                    languages: [language],
+                    detect: context => matchPattern(definition.pattern, context.code),
+                    fix: definition.fix ? detection => definition.fix(detection.match) : null
+                });
+            }
+        }
+        return rules;
+    }
+
+    /**
+     * Create what the rules of one analysis share, computing the syntax tree and
+     * hotspots only when a rule asks for them
+     * @private
+     */
+    _createContext(code, language) {
+        const parser = this.parser;
+        let tree;
+        let hotspots;
+        return {
+            code,
+            language,
+            lineIndex: new LineIndex(code),
+            get tree() {
+                if (tree === undefined) {
+                    tree = parser.getSyntaxTree(code, language) || null;
+                }
+                return tree;
+            },
+            get hotspots() {
+                if (hotspots === undefined) {
+                    hotspots = parser.supportedLanguages.includes(language) ? parser.detectPerformanceHotspots(code, language) : [];
+                }
+                return hotspots;
+            }
+        };
+    }
+
+    /**
+     * Turn a detection into a finding. Detections without offsets cover the code on their line.
+     * @private
+     */
+    _toFinding(rule, detection, context) {
+        const lineIndex = context.lineIndex;
+        let start = detection.start;
+        let end = detection.end;
+        if (start === undefined) {
+            const line = Math.min(Math.max(0, (detection.line || 1) - 1), lineIndex.lineCount - 1);
+            const text = lineIndex.lineText(line);
+            start = lineIndex.offsetAt(line, text.length - text.trimStart().length);
+            end = lineIndex.offsetAt(line, text.trimEnd().length);
+        }
+
+        const position = lineIndex.positionAt(start);
+        const finding = {
+            ruleId: rule.id,
+            category: rule.category,
+            severity: this.settings.severityOf(rule.id, detection.severity || rule.severity),
+            description: detection.description || rule.description,
+            suggestion: detection.suggestion || rule.suggestion || '',
+            function: detection.function || null,
+            line: position.line + 1,
+            range: { start: position, end: lineIndex.positionAt(end) },
+            start,
+            end,
+            code: context.code.substring(start, end),
+            context: lineIndex.lineText(position.line).trim(),
+            fixedCode: null
+        };
+
+        if (rule.fix) {
+            try {
+                finding.fixedCode = rule.fix(detection, context) || null;
+            } catch (error) {
+                console.error(`Error fixing performance rule ${rule.id}:`, error);
+            }
+        }
+        return finding;
+    }
+}
+
+/**
+ * Find every match of a global pattern, with the offsets of the matched code
+ * @private
+ */
+function matchPattern(pattern, code) {
+    const detections = [];
+    pattern.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+        if (match[0].length === 0) {
+            pattern.lastIndex++;
+            continue;
+        }
+        detections.push({ start: match.index, end: match.index + match[0].length, match });
+    }
+    return detections;
+}
+
+/**
+ * Derive a rule id from the description of a pattern without one
+ * @private
+ */
+function ruleIdOf(description) {
+    return description.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Report React function components when more than two of them are not memoized
+ * @private
+ */
+function findUnmemoizedComponents(context) {
+    const code = context.code;
+    const componentPattern = /function\s+([A-Z]\w+)\s*\([^)]*\)\s*{/g;
+    const unmemoized = [];
+    let componentCount = 0;
+
+    let match;
+    while ((match = componentPattern.exec(code)) !== null) {
+        componentCount++;
+        const componentName = match[1];
+        if (!code.includes(`export default memo(${componentName})`) &&
+            !code.includes(`export default React.memo(${componentName})`)) {
+            unmemoized.push(match);
+        }
+    }
+
+    if (unmemoized.length <= 2) return [];
+    return [{
+        start: unmemoized[0].index,
+        end: unmemoized[0].index + unmemoized[0][0].length,
+        description: `${unmemoized.length} of ${componentCount} components are not memoized`
+    }];
+}
+
+/**
+ * Find the loop a hotspot points at
+ * @private
+ */
+function loopAt(tree, start) {
+    let loop = null;
+    walk(tree, {
+        enter: node => {
+            if (loop || node.end <= start || node.start > start) return false;
+            if (node.start === start && isLoopNode(node)) loop = node;
+        }
+    });
+    return loop;
+}
+
+/**
+ * Rewrite `for (const item of items) { await ... }` to run the iterations together with Promise.all
+ * @private
+ */
+function fixAwaitInLoop(hotspot, context) {
+    const tree = context.tree;
+    const loop = tree && loopAt(tree, hotspot.start);
+    if (!loop || loop.type !== 'ForOfStatement' || loop.await ||
+        loop.left.type !== 'VariableDeclaration' || loop.left.declarations.length !== 1) {
+        return null;
+    }
+
+    // Jumps out of the loop body mean something else once the body is a callback
+    let jumps = false;
+    let functionDepth = 0;
+    walk(loop.body, {
+        enter: node => {
+            if (isFunctionNode(node)) {
+                functionDepth++;
+            } else if (functionDepth === 0 && ['ReturnStatement', 'BreakStatement', 'ContinueStatement', 'YieldExpression'].includes(node.type)) {
+                jumps = true;
+            }
+        },
+        leave: node => {
+            if (isFunctionNode(node)) functionDepth--;
+        }
+    });
+    if (jumps) return null;
+
+    const code = context.code;
+    const textOf = node => code.substring(node.start, node.end);
+    const simple = ['Identifier', 'MemberExpression', 'CallExpression', 'ArrayExpression'].includes(loop.right.type);
+    const items = simple ? textOf(loop.right) : `(${textOf(loop.right)})`;
+    const body = loop.body.type === 'BlockStatement' ? textOf(loop.body) : `{ ${textOf(loop.body)} }`;
+
+    return `await Promise.all(${items}.map(async (${textOf(loop.left.declarations[0].id)}) => ${body}));`;
+}
+
+/**
+ * Rewrite a run of `text += ...` statements on the same target as a single join
+ * @private
+ */
+function fixStringConcatenation(hotspot, context) {
+    const tree = context.tree;
+    if (!tree || hotspot.start === undefined) return null;
+
+    const statements = [];
+    walk(tree, {
+        enter: node => {
+            if (node.end <= hotspot.start || node.start >= hotspot.end) return false;
+            if (node.type === 'ExpressionStatement' && node.start >= hotspot.start) {
+                statements.push(node.expression);
+                return false;
+            }
+        }
+    });
+
+    const code = context.code;
+    const textOf = node => code.substring(node.start, node.end);
+    const target = statements.length > 0 && textOf(statements[0].left);
+    if (!target || statements.some(statement => statement.type !== 'AssignmentExpression' ||
+        statement.operator !== '+=' || textOf(statement.left) !== target)) {
+        return null;
+    }
+
+    return `${target} += [${statements.map(statement => textOf(statement.right)).join(', ')}].join('');`;
+}
+
+module.exports = {
+    PerformanceRuleEngine,
+    SEVERITIES
+};
@@ -0,0 +1,224 @@
+// Severities from most to least severe
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Values used when the configuration sets no threshold
+const DEFAULT_THRESHOLDS = {
+    // Highest cyclomatic complexity of each level; anything above `high` is very high
+    complexityLevels: { low: 5, moderate: 10, high: 20 },
+    // Highest structure score of each level in code explanations
+    explanationComplexity: { low: 3, medium: 7, high: 15 },
+    // Cognitive complexity above which code is a refactoring opportunity
+    cognitiveComplexity: 15,
+    // Conditional nesting depth above which code is a refactoring opportunity
+    nestingDepth: 3
+};
+
+const KNOWN_KEYS = ['rules', 'thresholds', 'include', 'exclude'];
+
+/**
+ * Convert a glob to a regular expression matching workspace-relative paths.
+ * Supports `**`, `*`, `?` and `{a,b}`.
+ * @param {string} glob - Glob such as `src/**\/*.test.js`
+ * @returns {RegExp} Expression matching whole paths with `/` separators
+ */
+function globToRegExp(glob) {
+    let source = '';
+    let braces = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // `**/` matches any number of directories, a trailing `**` everything below
+            if (glob[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            source += '(?:';
+            braces++;
+        } else if (char === '}' && braces > 0) {
+            source += ')';
+            braces--;
+        } else if (char === ',' && braces > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Rule Settings for WhiskerCode
+ * A team's rule configuration, read from `.whiskercode.json` or the `whiskercode`
+ * key of package.json: which performance and refactoring rules run, the severity
+ * they report, the thresholds of the complexity checks, and which files are analyzed.
+ *
+ *     {
+ *       "rules": { "excessive_console": "off", "nested_loop": "medium" },
+ *       "thresholds": { "cognitiveComplexity": 20 },
+ *       "include": ["src/**"],
+ *       "exclude": ["src/generated/**", "**\/*.min.js"]
+ *     }
+ */
+class RuleSettings {
+    /**
+     * @param {object} [config] - Parsed configuration; missing settings keep their defaults
+     */
+    constructor(config = {}) {
+        // Kept as given, so the configuration can be posted to the analysis workers
+        this.config = config;
+
+        // Messages about settings that were ignored
+        this.problems = [];
+
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            this.problems.push('The configuration must be an object');
+            config = {};
+        }
+        for (const key of Object.keys(config)) {
+            if (!KNOWN_KEYS.includes(key)) {
+                this.problems.push(`Unknown setting '${key}'`);
+            }
+        }
+
+        this.rules = this._readRules(config.rules);
+        this.thresholds = this._readThresholds(config.thresholds);
+        this.include = this._readGlobs('include', config.include);
+        this.exclude = this._readGlobs('exclude', config.exclude);
+    }
+
+    /**
+     * Check whether a rule runs
+     * @param {string} ruleId - Rule id, such as `nested_loop` or `high_complexity`
+     * @returns {boolean} False when the configuration turns the rule off
+     */
+    isEnabled(ruleId) {
+        const rule = this.rules.get(ruleId);
+        return !rule || rule.enabled;
+    }
+
+    /**
+     * Get the severity a rule reports
+     * @param {string} ruleId - Rule id
+     * @param {string} severity - Severity the rule found
+     * @returns {string} The configured severity of the rule, or the one it found
+     */
+    severityOf(ruleId, severity) {
+        const rule = this.rules.get(ruleId);
+        return (rule && rule.severity) || severity;
+    }
+
+    /**
+     * Drop the findings of rules that are off and set the configured severities
+     * @param {Array<object>} findings - Findings to filter
+     * @param {function(object): string} [idOf] - Rule id of a finding
+     * @returns {Array<object>} Findings of enabled rules; findings whose severity changes are copied
+     */
+    apply(findings, idOf = finding => finding.ruleId) {
+        return findings
+            .filter(finding => this.isEnabled(idOf(finding)))
+            .map(finding => {
+                const severity = this.severityOf(idOf(finding), finding.severity);
+                return severity === finding.severity ? finding : Object.assign({}, finding, { severity });
+            });
+    }
+
+    /**
+     * Check whether a file is analyzed
+     * @param {string} relativePath - Path relative to the workspace folder, with `/` separators
+     * @returns {boolean} True when the path matches an include glob (or none are set) and no exclude glob.
+     *     A glob matching a directory covers the files below it.
+     */
+    includes(relativePath) {
+        const matches = patterns => patterns.some(pattern => {
+            // Try the path itself and each of its directories
+            for (let end = relativePath.length; end > 0; end = relativePath.lastIndexOf('/', end - 1)) {
+                if (pattern.test(relativePath.substring(0, end))) return true;
+            }
+            return false;
+        });
+        return (this.include.length === 0 || matches(this.include)) && !matches(this.exclude);
+    }
+
+    /**
+     * Read rule settings: "off", a severity, or true/false
+     * @private
+     */
+    _readRules(rules = {}) {
+        const result = new Map();
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            this.problems.push("'rules' must map rule ids to \"off\", \"on\" or a severity");
+            return result;
+        }
+
+        for (const [id, value] of Object.entries(rules)) {
+            if (value === false || value === 'off') {
+                result.set(id, { enabled: false, severity: null });
+            } else if (value === true || value === 'on') {
+                result.set(id, { enabled: true, severity: null });
+            } else if (SEVERITIES.includes(value)) {
+                result.set(id, { enabled: true, severity: value });
+            } else {
+                this.problems.push(`Rule '${id}' must be "off", "on" or one of ${SEVERITIES.join(', ')}`);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Read thresholds over the defaults
+     * @private
+     */
+    _readThresholds(thresholds = {}) {
+        const result = JSON.parse(JSON.stringify(DEFAULT_THRESHOLDS));
+        if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+            this.problems.push("'thresholds' must be an object");
+            return result;
+        }
+
+        const isNumber = value => typeof value === 'number' && value >= 0;
+        for (const [key, value] of Object.entries(thresholds)) {
+            if (!(key in DEFAULT_THRESHOLDS)) {
+                this.problems.push(`Unknown threshold '${key}'`);
+            } else if (typeof DEFAULT_THRESHOLDS[key] === 'number') {
+                if (isNumber(value)) {
+                    result[key] = value;
+                } else {
+                    this.problems.push(`Threshold '${key}' must be a number`);
+                }
+            } else {
+                // Levels must stay in ascending order to mean anything
+                const levels = Object.assign({}, result[key], value);
+                const ordered = Object.keys(result[key]).map(level => levels[level]);
+                if (value && typeof value === 'object' && ordered.every(isNumber) &&
+                    ordered.every((limit, index) => index === 0 || limit >= ordered[index - 1])) {
+                    result[key] = levels;
+                } else {
+                    this.problems.push(`Threshold '${key}' must set ascending numbers for ${Object.keys(result[key]).join(', ')}`);
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Read a list of globs
+     * @private
+     */
+    _readGlobs(name, globs = []) {
+        if (!Array.isArray(globs) || !globs.every(glob => typeof glob === 'string')) {
+            this.problems.push(`'${name}' must be a list of globs`);
+            return [];
+        }
+        return globs.map(glob => globToRegExp(glob.replace(/^\.\//, '').replace(/\/$/, '')));
+    }
+}
+
+module.exports = { RuleSettings, DEFAULT_THRESHOLDS, SEVERITIES, globToRegExp };
@@ -0,0 +1,188 @@
+const { LineIndex } = require('./syntax/lineIndex');
+const { parseSingleFileComponent } = require('./syntax/singleFileComponent');
+const { getParseOptions } = require('./syntax/syntaxTree');
+const { tokenize } = require('./syntax/tokenizer');
+const { languageRegistry } = require('./languages/languageRegistry');
+
+// Suppression directive at the start of a //, #, /* */, /** */ or <!-- --> comment, with the rules it names
+const DIRECTIVE_PATTERN = /^(?:\/\/|#|\/\*\*?|<!--)[ \t]*whiskercode-(disable-next-line|disable-file|disable|enable)\b([^\n]*)/;
+
+// HTML comments in the markup of single-file components
+const HTML_COMMENT_PATTERN = /<!--[\s\S]*?(?:-->|$)/g;
+
+// Stands for every rule when a directive names none
+const ALL_RULES = '*';
+
+/**
+ * Suppressions for WhiskerCode
+ * The findings a file silences with comments:
+ *
+ *     // whiskercode-disable-next-line excessive_console
+ *     // whiskercode-disable nested_loop, await_in_loop
+ *     // whiskercode-enable nested_loop
+ *     // whiskercode-disable-file duplicated_code
+ *
+ * A directive without rule ids covers every rule, and `enable` without rule ids
+ * ends every open `disable`. A `disable` that is never enabled again runs to the end
+ * of the file. Text after ` -- ` is a reason and is ignored.
+ */
+class Suppressions {
+    /**
+     * @param {string} code - Code of the whole file
+     * @param {string} language - Language identifier, which tells comments from strings
+     * @param {LanguageRegistry} [registry] - Languages, for the comment syntax of those without a syntax tree
+     */
+    constructor(code, language, registry = languageRegistry) {
+        // Rules suppressed in the whole file, on single lines, and in line ranges
+        this.file = new Set();
+        this.lines = new Map();
+        this.blocks = [];
+
+        // Only comments hold directives, so the same text in a string suppresses nothing
+        const lineIndex = new LineIndex(code);
+        const open = new Map();
+        for (const comment of this._comments(code, language, registry)) {
+            const match = DIRECTIVE_PATTERN.exec(code.slice(comment.start, comment.end));
+            if (!match) continue;
+
+            const line = lineIndex.lineAt(comment.start) + 1;
+            const rules = this._readRules(match[2]);
+
+            switch (match[1]) {
+                case 'disable-next-line':
+                    if (!this.lines.has(line + 1)) this.lines.set(line + 1, new Set());
+                    rules.forEach(rule => this.lines.get(line + 1).add(rule));
+                    break;
+                case 'disable-file':
+                    rules.forEach(rule => this.file.add(rule));
+                    break;
+                case 'disable':
+                    rules.forEach(rule => {
+                        if (!open.has(rule)) open.set(rule, line);
+                    });
+                    break;
+                case 'enable':
+                    for (const rule of rules[0] === ALL_RULES ? [...open.keys()] : rules) {
+                        if (open.has(rule)) {
+                            this.blocks.push({ rule, from: open.get(rule), to: line });
+                            open.delete(rule);
+                        }
+                    }
+                    break;
+            }
+        }
+        for (const [rule, from] of open) {
+            this.blocks.push({ rule, from, to: Infinity });
+        }
+    }
+
+    /**
+     * Check whether a comment silences a rule on a line
+     * @param {string} ruleId - Rule id, such as `excessive_console` or `unused-function`
+     * @param {number} line - One-based line number
+     * @returns {boolean} True when the rule's findings on the line are suppressed
+     */
+    isSuppressed(ruleId, line) {
+        const covers = rules => rules.has(ALL_RULES) || rules.has(ruleId);
+        const lineRules = this.lines.get(line);
+        return covers(this.file) ||
+            Boolean(lineRules && covers(lineRules)) ||
+            this.blocks.some(block => (block.rule === ALL_RULES || block.rule === ruleId) && block.from <= line && line <= block.to);
+    }
+
+    /**
+     * Drop suppressed findings
+     * @param {Array<object>} findings - Findings to filter
+     * @param {function(object): string} [idOf] - Rule id of a finding
+     * @param {function(object): number} [lineOf] - One-based line of a finding in this file
+     * @returns {Array<object>} Findings no comment suppresses
+     */
+    apply(findings, idOf = finding => finding.ruleId, lineOf = finding => finding.line || 1) {
+        if (this.file.size === 0 && this.lines.size === 0 && this.blocks.length === 0) {
+            return findings;
+        }
+        return findings.filter(finding => !this.isSuppressed(idOf(finding), lineOf(finding)));
+    }
+
+    /**
+     * Find the comments of a file: from the tokenizer for JavaScript and TypeScript, from
+     * the script blocks and markup of Vue and Svelte components, and from the comment
+     * syntax of other languages
+     * @private
+     */
+    _comments(code, language, registry) {
+        if (!code.includes('whiskercode-')) return [];
+
+        if (language === 'vue' || language === 'svelte') {
+            const { scripts } = parseSingleFileComponent(code, language);
+            const inScript = offset => scripts.some(script => script.start <= offset && offset < script.end);
+            const comments = [];
+            for (const script of scripts) {
+                comments.push(...this._comments(code.slice(script.start, script.end), 'typescript', registry)
+                    .map(comment => ({ start: script.start + comment.start, end: script.start + comment.end })));
+            }
+            HTML_COMMENT_PATTERN.lastIndex = 0;
+            let match;
+            while ((match = HTML_COMMENT_PATTERN.exec(code)) !== null) {
+                if (match[0].length === 0) break;
+                if (!inScript(match.index)) comments.push({ start: match.index, end: match.index + match[0].length });
+            }
+            return comments.sort((a, b) => a.start - b.start);
+        }
+
+        const provider = registry.get(language);
+        if (getParseOptions(language) || !provider) {
+            try {
+                return tokenize(code).comments;
+            } catch (error) {
+                // Code the tokenizer gives up on still has the comments the C-like syntax finds
+                if (!provider) return [];
+            }
+        }
+        return provider.commentRanges(code);
+    }
+
+    /**
+     * Read the rule ids after a directive, up to the end of its comment or a ` -- ` reason
+     * @private
+     */
+    _readRules(text) {
+        const rules = text
+            .replace(/\*\/.*|-->.*/, '')
+            .replace(/(?:^|\s)--(?:\s.*|$)/, '')
+            .split(/[\s,]+/)
+            .filter(Boolean);
+        return rules.length > 0 ? rules : [ALL_RULES];
+    }
+}
+
+/**
+ * Build the comment that suppresses a rule on one line of a file
+ * @param {string} code - Code of the whole file
+ * @param {number} line - Zero-based line of the finding
+ * @param {string} ruleId - Rule id to suppress
+ * @param {string} language - Language identifier
+ * @param {LanguageRegistry} registry - Languages, for their line comment syntax
+ * @returns {{offset: number, text: string}} Text to insert at the offset: a
+ *     `whiskercode-disable-next-line` comment above the line, indented like it
+ */
+function suppressionComment(code, line, ruleId, language, registry) {
+    const lineIndex = new LineIndex(code);
+    const offset = lineIndex.offsetAt(line);
+    const indent = /^[ \t]*/.exec(lineIndex.lineText(line))[0];
+    const directive = `whiskercode-disable-next-line ${ruleId}`;
+
+    let comment = null;
+    if (language === 'vue' || language === 'svelte') {
+        // Component markup takes HTML comments, script blocks their language's
+        const { scripts } = parseSingleFileComponent(code, language);
+        comment = scripts.some(script => script.start <= offset && offset < script.end) ? `// ${directive}` : `<!-- ${directive} -->`;
+    } else {
+        const provider = registry.get(language);
+        const lineComments = provider ? provider.lexical.lineComments : ['//'];
+        comment = lineComments.length > 0 ? `${lineComments[0]} ${directive}` : `/* ${directive} */`;
+    }
+    return { offset, text: `${indent}${comment}\n` };
+}
+
+module.exports = { Suppressions, suppressionComment };
@@ -0,0 +1,176 @@
+const { forEachChild, isFunctionNode } = require('./syntaxTree');
+
+/**
+ * Cognitive Complexity for WhiskerCode
+ * Measures how hard code is to follow, using the rules published by SonarSource
+ * ("Cognitive Complexity", G. Ann Campbell):
+ *   - +1 for each break in the linear flow: if, else if, else, ternary, switch,
+ *     loops, catch, each sequence of like logical operators, jumps to a label and
+ *     recursive calls
+ *   - +nesting on top for if, ternary, switch, loops and catch, where nesting grows
+ *     inside those structures and inside nested functions
+ *   - nothing for try/finally, case labels or shorthand like `?.`
+ */
+
+// Labels of the structures that earn a nesting increment
+const STRUCTURE_LABELS = {
+    IfStatement: 'if',
+    ConditionalExpression: 'ternary',
+    SwitchStatement: 'switch',
+    ForStatement: 'for',
+    ForInStatement: 'for...in',
+    ForOfStatement: 'for...of',
+    WhileStatement: 'while',
+    DoWhileStatement: 'do...while',
+    CatchClause: 'catch'
+};
+
+// Children of a structure that are read one nesting level deeper
+const NESTED_KEYS = new Set(['body', 'consequent', 'alternate', 'cases']);
+
+/**
+ * Get the name a function is called by, from its declaration or the binding it is assigned to
+ * @private
+ */
+function functionName(node, parent) {
+    if (node.id) return node.id.name;
+    if (!parent) return null;
+
+    if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+    if ((parent.type === 'MethodDefinition' || parent.type === 'Property' || parent.type === 'PropertyDefinition') &&
+        !parent.computed && parent.key.type === 'Identifier') {
+        return parent.key.name;
+    }
+    return null;
+}
+
+/**
+ * Check whether a call invokes the named function, directly or as `this.name()`
+ * @private
+ */
+function callsItself(call, name) {
+    const callee = call.callee;
+    if (callee.type === 'Identifier') return callee.name === name;
+    return callee.type === 'MemberExpression' && !callee.computed &&
+        callee.object.type === 'ThisExpression' && callee.property.name === name;
+}
+
+/**
+ * Get the operators of a chain of logical expressions, in source order
+ * @private
+ */
+function logicalOperators(node, operators = []) {
+    if (node.type !== 'LogicalExpression') return operators;
+    logicalOperators(node.left, operators);
+    operators.push(node.operator);
+    logicalOperators(node.right, operators);
+    return operators;
+}
+
+/**
+ * Calculate the cognitive complexity of a function, or of every function in a
+ * program when given its root
+ * @param {object} root - Function node, or a Program node
+ * @param {string|null} [name] - Name the function calls itself by; defaults to its declared name
+ * @returns {{total: number, increments: Array<{position: number, increment: number, nesting: number, reason: string}>}}
+ *     Total and each increment in source order; `increment` includes `nesting`
+ */
+function analyzeCognitiveComplexity(root, name = null) {
+    const increments = [];
+    const add = (position, reason, nesting = 0) => {
+        increments.push({ position, increment: 1 + nesting, nesting, reason });
+    };
+
+    // `scope.name` is the function whose recursion is counted; nesting only starts inside a function
+    const visit = (node, parent, nesting, scope) => {
+        if (!node) return;
+
+        if (isFunctionNode(node)) {
+            if (!scope.inFunction) {
+                const own = node === root && name ? name : functionName(node, parent);
+                visitChildren(node, nesting, { inFunction: true, name: own });
+            } else {
+                // Nested functions and callbacks are read as part of their enclosing function
+                visitChildren(node, nesting + 1, scope);
+            }
+            return;
+        }
+
+        const label = STRUCTURE_LABELS[node.type];
+        if (node.type === 'IfStatement') {
+            visitIf(node, nesting, scope, null);
+            return;
+        } else if (label) {
+            add(node.start, label, nesting);
+
+            // Conditions stay at the structure's level; bodies, branches and cases nest one deeper
+            forEachChild(node, (child, key) => {
+                visit(child, node, NESTED_KEYS.has(key) ? nesting + 1 : nesting, scope);
+            });
+            return;
+        }
+
+        switch (node.type) {
+            case 'LogicalExpression':
+                if (!parent || parent.type !== 'LogicalExpression') {
+                    // Each run of the same operator is one increment: a && b && c || d costs 2
+                    const operators = logicalOperators(node);
+                    operators.forEach((operator, index) => {
+                        if (index === 0 || operator !== operators[index - 1]) {
+                            add(node.start, `${operator} sequence`);
+                        }
+                    });
+                }
+                break;
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                if (node.label) {
+                    add(node.start, `${node.type === 'BreakStatement' ? 'break' : 'continue'} to label`);
+                }
+                break;
+            case 'CallExpression':
+                if (scope.name && callsItself(node, scope.name)) {
+                    add(node.start, 'recursion');
+                }
+                break;
+        }
+
+        visitChildren(node, nesting, scope);
+    };
+
+    const visitChildren = (node, nesting, scope) => {
+        forEachChild(node, child => visit(child, node, nesting, scope));
+    };
+
+    // An else if continues its chain: it costs 1 without nesting, and its branches
+    // nest like those of the first if
+    const visitIf = (node, nesting, scope, elseStart) => {
+        if (elseStart === null) {
+            add(node.start, 'if', nesting);
+        } else {
+            add(elseStart, 'else if');
+        }
+
+        visit(node.test, node, nesting, scope);
+        visit(node.consequent, node, nesting + 1, scope);
+
+        if (node.alternate && node.alternate.type === 'IfStatement') {
+            visitIf(node.alternate, nesting, scope, node.elseStart);
+        } else if (node.alternate) {
+            add(node.elseStart, 'else');
+            visit(node.alternate, node, nesting + 1, scope);
+        }
+    };
+
+    visit(root, null, 0, { inFunction: false, name: null });
+
+    increments.sort((a, b) => a.position - b.position);
+    return {
+        total: increments.reduce((sum, entry) => sum + entry.increment, 0),
+        increments
+    };
+}
+
+module.exports = {
+    analyzeCognitiveComplexity
+};
@@ -0,0 +1,562 @@
+const { forEachChild, isFunctionNode } = require('./syntaxTree');
+
+/**
+ * Control Flow Graph for WhiskerCode
+ * Builds the control-flow graph of one function from its syntax tree:
+ *   - straight-line statements are merged into basic blocks
+ *   - each condition of an if, loop or ternary is a node of its own, and `&&`, `||`
+ *     and `??` split a condition into one node per operand, as they short-circuit
+ *   - break, continue, return and throw jump to their targets, running the
+ *     finally blocks they leave on the way
+ *   - a try block may throw into its catch block
+ * Nested functions and classes are not entered: each function has its own graph.
+ */
+
+// Longest node label, in characters
+const MAX_LABEL_LENGTH = 40;
+
+class ControlFlowGraphBuilder {
+    /**
+     * @param {string} [code] - Source the function was parsed from; without it nodes have no labels
+     */
+    constructor(code) {
+        this.code = code;
+        this.nodes = [];
+        this.edges = [];
+        this._edgeKeys = new Set();
+
+        // Enclosing loops, switches, labelled statements and try blocks, innermost last
+        this.contexts = [];
+
+        // Basic block that the next straight-line statement may join
+        this.extendable = null;
+    }
+
+    /**
+     * Build the graph of a function, or of the top-level code of a program
+     * @param {object} func - Function or Program node
+     * @returns {object} Graph, see buildControlFlowGraph()
+     */
+    build(func) {
+        const entry = this._addNode('entry', func.start, func.start, 'start');
+        this.exit = this._addNode('exit', func.end, func.end, 'end');
+
+        let exits = [{ from: entry.id, label: null }];
+        if (func.type === 'Program') {
+            exits = this._statements(func.body, exits);
+        } else if (!func.body) {
+            // Overload signatures and abstract methods have no code: entry flows straight to exit
+        } else if (func.body.type === 'BlockStatement') {
+            exits = this._statements(func.body.body, exits);
+        } else {
+            // An expression-bodied arrow returns its expression
+            exits = this._expression(func.body, exits);
+            const value = this._addNode('return', func.body.start, func.body.end);
+            this._connect(exits, value.id);
+            exits = [{ from: value.id, label: null }];
+        }
+        this._connect(exits, this.exit.id);
+
+        return this._finish();
+    }
+
+    /**
+     * Add a node to the graph
+     * @private
+     */
+    _addNode(type, start, end, label) {
+        const node = { id: this.nodes.length, type, start, end };
+        if (this.code !== undefined) {
+            node.label = label || this._label(start, end);
+        }
+        this.nodes.push(node);
+        this.extendable = null;
+        return node;
+    }
+
+    /**
+     * Label a node with the first line of its source, shortened
+     * @private
+     */
+    _label(start, end) {
+        const text = this.code.slice(start, end).trim();
+        const firstLine = text.split('\n')[0].replace(/\s+/g, ' ').trim();
+        let label = firstLine.length > MAX_LABEL_LENGTH
+            ? `${firstLine.slice(0, MAX_LABEL_LENGTH - 1)}…`
+            : firstLine;
+        if (firstLine.length <= MAX_LABEL_LENGTH && text.includes('\n')) {
+            label += ' …';
+        }
+        return label;
+    }
+
+    /**
+     * Connect pending edges to a node. An edge already in the graph is not added
+     * twice, as when a return and a throw both leave through the same finally block.
+     * @param {Array<{from: number, label: string|null}>} pending - Edges still missing their target
+     * @param {number} to - Target node id
+     * @private
+     */
+    _connect(pending, to) {
+        for (const edge of pending) {
+            const key = `${edge.from}>${to}:${edge.label}`;
+            if (this._edgeKeys.has(key)) continue;
+            this._edgeKeys.add(key);
+            this.edges.push({ from: edge.from, to, label: edge.label });
+        }
+    }
+
+    /**
+     * Run a build step and report the first node it created, which is where
+     * loops jump back to
+     * @private
+     */
+    _firstNodeOf(step) {
+        const index = this.nodes.length;
+        this.extendable = null;
+        const result = step();
+        return { entry: index < this.nodes.length ? index : null, result };
+    }
+
+    /**
+     * Add a straight-line statement, joining the basic block that flows into it
+     * @private
+     */
+    _simple(node, pending) {
+        pending = this._expression(node, pending);
+
+        const [only] = pending;
+        if (pending.length === 1 && only.label === null && only.from === this.extendable) {
+            const block = this.nodes[only.from];
+            block.end = node.end;
+            if (this.code !== undefined) {
+                block.label = this._label(block.start, block.end);
+            }
+            return pending;
+        }
+
+        const block = this._addNode('block', node.start, node.end);
+        this._connect(pending, block.id);
+        this.extendable = block.id;
+        return [{ from: block.id, label: null }];
+    }
+
+    /**
+     * Add a list of statements in order
+     * @private
+     */
+    _statements(statements, pending) {
+        for (const statement of statements) {
+            pending = this._statement(statement, pending);
+        }
+        return pending;
+    }
+
+    /**
+     * Add a statement
+     * @param {object} statement - Statement node
+     * @param {Array<object>} pending - Edges flowing into the statement
+     * @param {string[]} [labels] - Labels naming the statement
+     * @returns {Array<object>} Edges flowing out of it to the next statement
+     * @private
+     */
+    _statement(statement, pending, labels = []) {
+        switch (statement.type) {
+            case 'BlockStatement':
+                return this._statements(statement.body, pending);
+            case 'EmptyStatement':
+                return pending;
+            case 'LabeledStatement':
+                return this._labeled(statement, pending, labels);
+            case 'IfStatement': {
+                const branches = this._condition(statement.test, pending);
+                const consequent = this._statement(statement.consequent, branches.whenTrue);
+                const alternate = statement.alternate
+                    ? this._statement(statement.alternate, branches.whenFalse)
+                    : branches.whenFalse;
+                return consequent.concat(alternate);
+            }
+            case 'WhileStatement':
+                return this._while(statement, pending, labels);
+            case 'DoWhileStatement':
+                return this._doWhile(statement, pending, labels);
+            case 'ForStatement':
+                return this._for(statement, pending, labels);
+            case 'ForInStatement':
+            case 'ForOfStatement':
+                return this._forEach(statement, pending, labels);
+            case 'SwitchStatement':
+                return this._switch(statement, pending, labels);
+            case 'TryStatement':
+                return this._try(statement, pending);
+            case 'ReturnStatement':
+            case 'ThrowStatement': {
+                if (statement.argument) {
+                    pending = this._expression(statement.argument, pending);
+                }
+                const type = statement.type === 'ReturnStatement' ? 'return' : 'throw';
+                const node = this._addNode(type, statement.start, statement.end);
+                this._connect(pending, node.id);
+                this._jump([{ from: node.id, label: null }], type, null);
+                return [];
+            }
+            case 'BreakStatement':
+            case 'ContinueStatement': {
+                const type = statement.type === 'BreakStatement' ? 'break' : 'continue';
+                const node = this._addNode(type, statement.start, statement.end);
+                this._connect(pending, node.id);
+                this._jump([{ from: node.id, label: null }], type, statement.label ? statement.label.name : null);
+                return [];
+            }
+            default:
+                return this._simple(statement, pending);
+        }
+    }
+
+    /**
+     * Add a labelled statement; loops and switches take the labels as their own
+     * @private
+     */
+    _labeled(statement, pending, labels) {
+        labels = labels.concat(statement.label.name);
+        const body = statement.body;
+        if (body.type === 'LabeledStatement' || body.type === 'SwitchStatement' ||
+            /^(For|ForIn|ForOf|While|DoWhile)Statement$/.test(body.type)) {
+            return this._statement(body, pending, labels);
+        }
+
+        const context = this._pushContext('label', labels);
+        const exits = this._statement(body, pending);
+        this.contexts.pop();
+        return exits.concat(context.breaks);
+    }
+
+    /**
+     * Add a while loop
+     * @private
+     */
+    _while(statement, pending, labels) {
+        const { entry, result: branches } = this._firstNodeOf(() => this._condition(statement.test, pending));
+        const context = this._pushContext('loop', labels);
+        const exits = this._statement(statement.body, branches.whenTrue);
+        this.contexts.pop();
+
+        this._connect(exits.concat(context.continues), entry);
+        return branches.whenFalse.concat(context.breaks);
+    }
+
+    /**
+     * Add a do...while loop, whose body runs before its condition
+     * @private
+     */
+    _doWhile(statement, pending, labels) {
+        const context = this._pushContext('loop', labels);
+        const body = this._firstNodeOf(() => this._statement(statement.body, pending));
+        this.contexts.pop();
+
+        const test = this._firstNodeOf(() => this._condition(statement.test, body.result.concat(context.continues)));
+        this._connect(test.result.whenTrue, body.entry !== null ? body.entry : test.entry);
+        return test.result.whenFalse.concat(context.breaks);
+    }
+
+    /**
+     * Add a for loop: init, condition, body, then the update before the condition again
+     * @private
+     */
+    _for(statement, pending, labels) {
+        if (statement.init) {
+            pending = this._simple(statement.init, pending);
+        }
+
+        let entry;
+        let whenTrue;
+        let whenFalse = [];
+        if (statement.test) {
+            const test = this._firstNodeOf(() => this._condition(statement.test, pending));
+            entry = test.entry;
+            ({ whenTrue, whenFalse } = test.result);
+        } else {
+            // for (;;) only leaves through a jump
+            const header = this._addNode('loop', statement.start, statement.body.start);
+            this._connect(pending, header.id);
+            entry = header.id;
+            whenTrue = [{ from: header.id, label: null }];
+        }
+
+        const context = this._pushContext('loop', labels);
+        let exits = this._statement(statement.body, whenTrue);
+        this.contexts.pop();
+
+        exits = exits.concat(context.continues);
+        if (statement.update) {
+            this.extendable = null;
+            exits = this._simple(statement.update, exits);
+        }
+        this._connect(exits, entry);
+        return whenFalse.concat(context.breaks);
+    }
+
+    /**
+     * Add a for...in or for...of loop, which takes the next item or finishes
+     * @private
+     */
+    _forEach(statement, pending, labels) {
+        pending = this._expression(statement.right, pending);
+        const header = this._addNode('condition', statement.start, statement.body.start);
+        this._connect(pending, header.id);
+
+        const context = this._pushContext('loop', labels);
+        const exits = this._statement(statement.body, [{ from: header.id, label: 'next' }]);
+        this.contexts.pop();
+
+        this._connect(exits.concat(context.continues), header.id);
+        return [{ from: header.id, label: 'done' }].concat(context.breaks);
+    }
+
+    /**
+     * Add a switch: one edge to each case, cases falling through to the next
+     * @private
+     */
+    _switch(statement, pending, labels) {
+        pending = this._expression(statement.discriminant, pending);
+        const header = this._addNode('condition', statement.start, statement.discriminant.end + 1);
+        this._connect(pending, header.id);
+
+        const context = this._pushContext('switch', labels);
+        let fallthrough = [];
+        for (const switchCase of statement.cases) {
+            const caseEnd = switchCase.consequent.length ? switchCase.consequent[0].start : switchCase.end;
+            const node = this._addNode('case', switchCase.start, caseEnd);
+            this._connect([{ from: header.id, label: switchCase.test ? null : 'default' }].concat(fallthrough), node.id);
+            fallthrough = this._statements(switchCase.consequent, [{ from: node.id, label: null }]);
+        }
+        this.contexts.pop();
+
+        const exits = fallthrough.concat(context.breaks);
+        if (!statement.cases.some(switchCase => !switchCase.test)) {
+            exits.push({ from: header.id, label: 'no match' });
+        }
+        return exits;
+    }
+
+    /**
+     * Add a try statement. The try block may throw into the catch block; every way
+     * out of the try and catch blocks runs the finally block first.
+     * @private
+     */
+    _try(statement, pending) {
+        const tryNode = this._addNode('try', statement.start, statement.block.start, 'try');
+        this._connect(pending, tryNode.id);
+
+        const finallyContext = statement.finalizer ? this._pushContext('finally') : null;
+        const catchContext = statement.handler ? this._pushContext('catch') : null;
+
+        let exits = this._statement(statement.block, [{ from: tryNode.id, label: null }]);
+
+        if (statement.handler) {
+            this.contexts.pop();
+            const handler = statement.handler;
+            const catchNode = this._addNode('catch', handler.start, handler.body.start);
+            this._connect([{ from: tryNode.id, label: 'exception' }].concat(catchContext.throws), catchNode.id);
+            exits = exits.concat(this._statement(handler.body, [{ from: catchNode.id, label: null }]));
+        }
+
+        if (!statement.finalizer) {
+            return exits;
+        }
+
+        this.contexts.pop();
+        const finallyNode = this._addNode('finally', statement.finalizer.start, statement.finalizer.start, 'finally');
+        this._connect(exits.concat(finallyContext.incoming), finallyNode.id);
+        const after = this._statement(statement.finalizer, [{ from: finallyNode.id, label: null }]);
+
+        // Jumps that entered the finally block carry on to their own targets afterwards,
+        // so code after the try statement starts a block of its own
+        for (const jump of finallyContext.jumps) {
+            this._jump(after, jump.type, jump.label);
+        }
+        this.extendable = null;
+
+        return exits.length ? after : [];
+    }
+
+    /**
+     * Open a context that jumps can target
+     * @private
+     */
+    _pushContext(kind, labels = []) {
+        const context = { kind, labels, breaks: [], continues: [], throws: [], incoming: [], jumps: [] };
+        this.contexts.push(context);
+        return context;
+    }
+
+    /**
+     * Send edges to the target of a break, continue, return or throw
+     * @param {Array<object>} pending - Edges making the jump
+     * @param {string} type - 'break', 'continue', 'return' or 'throw'
+     * @param {string|null} label - Label a break or continue names
+     * @private
+     */
+    _jump(pending, type, label) {
+        for (let i = this.contexts.length - 1; i >= 0; i--) {
+            const context = this.contexts[i];
+            const named = label === null || context.labels.includes(label);
+
+            if (context.kind === 'finally') {
+                context.incoming.push(...pending);
+                if (!context.jumps.some(jump => jump.type === type && jump.label === label)) {
+                    context.jumps.push({ type, label });
+                }
+                return;
+            }
+            if (context.kind === 'catch' && type === 'throw') {
+                context.throws.push(...pending);
+                return;
+            }
+            if (type === 'break' && named && (context.kind !== 'label' || label !== null) &&
+                context.kind !== 'catch') {
+                context.breaks.push(...pending);
+                return;
+            }
+            if (type === 'continue' && named && context.kind === 'loop') {
+                context.continues.push(...pending);
+                return;
+            }
+        }
+
+        // Returns, uncaught throws and jumps without a target leave the function
+        this._connect(pending, this.exit.id);
+    }
+
+    /**
+     * Add a condition, splitting short-circuit operators into one node per operand
+     * @param {object} test - Condition expression
+     * @param {Array<object>} pending - Edges flowing into the condition
+     * @returns {{whenTrue: Array<object>, whenFalse: Array<object>}} Edges taken when it holds and when it does not
+     * @private
+     */
+    _condition(test, pending) {
+        if (test.type === 'LogicalExpression' && test.operator !== '??') {
+            const left = this._condition(test.left, pending);
+            if (test.operator === '&&') {
+                const right = this._condition(test.right, left.whenTrue);
+                return { whenTrue: right.whenTrue, whenFalse: left.whenFalse.concat(right.whenFalse) };
+            }
+            const right = this._condition(test.right, left.whenFalse);
+            return { whenTrue: left.whenTrue.concat(right.whenTrue), whenFalse: right.whenFalse };
+        }
+
+        if (test.type === 'UnaryExpression' && test.operator === '!') {
+            const inner = this._condition(test.argument, pending);
+            return { whenTrue: inner.whenFalse, whenFalse: inner.whenTrue };
+        }
+
+        if (test.type === 'ConditionalExpression') {
+            const branches = this._condition(test.test, pending);
+            const consequent = this._condition(test.consequent, branches.whenTrue);
+            const alternate = this._condition(test.alternate, branches.whenFalse);
+            return {
+                whenTrue: consequent.whenTrue.concat(alternate.whenTrue),
+                whenFalse: consequent.whenFalse.concat(alternate.whenFalse)
+            };
+        }
+
+        pending = this._expression(test, pending);
+        const node = this._addNode('condition', test.start, test.end);
+        this._connect(pending, node.id);
+        return {
+            whenTrue: [{ from: node.id, label: 'true' }],
+            whenFalse: [{ from: node.id, label: 'false' }]
+        };
+    }
+
+    /**
+     * Add the branches inside an expression: ternaries and short-circuit operators
+     * whose value is used. Expressions without branches add nothing.
+     * @private
+     */
+    _expression(node, pending) {
+        if (!node || isFunctionNode(node) || node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+            return pending;
+        }
+
+        if (node.type === 'ConditionalExpression') {
+            const branches = this._condition(node.test, pending);
+            return this._expression(node.consequent, branches.whenTrue)
+                .concat(this._expression(node.alternate, branches.whenFalse));
+        }
+
+        if (node.type === 'LogicalExpression') {
+            if (node.operator === '??') {
+                pending = this._expression(node.left, pending);
+                const test = this._addNode('condition', node.left.start, node.left.end);
+                this._connect(pending, test.id);
+                return this._expression(node.right, [{ from: test.id, label: 'nullish' }])
+                    .concat({ from: test.id, label: 'defined' });
+            }
+
+            // The right operand only runs when the left one does not decide the result
+            const left = this._condition(node.left, pending);
+            const [runs, skips] = node.operator === '&&'
+                ? [left.whenTrue, left.whenFalse]
+                : [left.whenFalse, left.whenTrue];
+            return this._expression(node.right, runs).concat(skips);
+        }
+
+        forEachChild(node, child => {
+            pending = this._expression(child, pending);
+        });
+        return pending;
+    }
+
+    /**
+     * Mark the nodes reachable from the entry and measure the graph
+     * @private
+     */
+    _finish() {
+        const outgoing = this.nodes.map(() => []);
+        for (const edge of this.edges) {
+            outgoing[edge.from].push(edge.to);
+        }
+
+        const reachable = new Set([0]);
+        const queue = [0];
+        while (queue.length) {
+            for (const next of outgoing[queue.shift()]) {
+                if (!reachable.has(next)) {
+                    reachable.add(next);
+                    queue.push(next);
+                }
+            }
+        }
+
+        for (const node of this.nodes) {
+            node.reachable = reachable.has(node.id);
+        }
+
+        // Unreachable code plays no part in the paths through the function
+        const edgeCount = this.edges.filter(edge => reachable.has(edge.from)).length;
+        return {
+            nodes: this.nodes,
+            edges: this.edges,
+            cyclomaticComplexity: edgeCount - reachable.size + 2
+        };
+    }
+}
+
+/**
+ * Build the control-flow graph of a function, or of a program's top-level code
+ * @param {object} func - Function or Program node from the syntax tree
+ * @param {string} [code] - Source the tree was parsed from, used to label nodes
+ * @returns {{nodes: Array<{id: number, type: string, start: number, end: number, label?: string, reachable: boolean}>,
+ *     edges: Array<{from: number, to: number, label: string|null}>, cyclomaticComplexity: number}}
+ *     Nodes (0 is the entry and 1 the exit), edges with the branch they take, and the
+ *     cyclomatic number E - N + 2 of the reachable part of the graph
+ */
+function buildControlFlowGraph(func, code) {
+    return new ControlFlowGraphBuilder(code).build(func);
+}
+
+module.exports = {
+    buildControlFlowGraph
+};
@@ -0,0 +1,88 @@
+/**
+ * Line Index for WhiskerCode
+ * Converts between character offsets and zero-based line/column positions
+ */
+class LineIndex {
+    /**
+     * @param {string} text - Source text to index
+     */
+    constructor(text) {
+        this.text = text;
+        this.lineStarts = [0];
+
+        for (let i = 0; i < text.length; i++) {
+            if (text.charCodeAt(i) === 10) {
+                this.lineStarts.push(i + 1);
+            }
+        }
+    }
+
+    /**
+     * Get the zero-based line and column for an offset
+     * @param {number} offset - Character offset in the text
+     * @returns {{line: number, column: number}} Position of the offset
+     */
+    positionAt(offset) {
+        const line = this.lineAt(offset);
+        return { line, column: offset - this.lineStarts[line] };
+    }
+
+    /**
+     * Get the zero-based line number containing an offset
+     * @param {number} offset - Character offset in the text
+     * @returns {number} Line number
+     */
+    lineAt(offset) {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+
+        // Binary search for the last line start at or before the offset
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * Get the offset of a zero-based line/column position
+     * @param {number} line - Line number
+     * @param {number} column - Column number
+     * @returns {number} Character offset
+     */
+    offsetAt(line, column = 0) {
+        if (line >= this.lineStarts.length) {
+            return this.text.length;
+        }
+        return Math.min(this.lineStarts[Math.max(0, line)] + column, this.text.length);
+    }
+
+    /**
+     * Get the text of a zero-based line without its line terminator
+     * @param {number} line - Line number
+     * @returns {string} Line text
+     */
+    lineText(line) {
+        const start = this.lineStarts[line];
+        if (start === undefined) return '';
+
+        const next = this.lineStarts[line + 1];
+        const end = next === undefined ? this.text.length : next - 1;
+        return this.text.substring(start, end).replace(/\r$/, '');
+    }
+
+    /**
+     * Number of lines in the text
+     * @returns {number} Line count
+     */
+    get lineCount() {
+        return this.lineStarts.length;
+    }
+}
+
+module.exports = { LineIndex };
@@ -0,0 +1,73 @@
+const { isFunctionNode } = require('./syntaxTree');
+
+/**
+ * Local Functions for WhiskerCode
+ * Links calls to the functions declared in the same file and functions to the
+ * variables they are bound to, for the tracers that follow values through calls.
+ * Both take the references of a scope analysis by identifier node and the parent
+ * of each node in the tree.
+ */
+
+/**
+ * Get the function a declaring reference binds: a function declaration, or a
+ * function expression or arrow initializing a variable
+ * @private
+ */
+function declaredFunction(reference, parents) {
+    const parent = parents.get(reference.identifier);
+    if (!parent) return null;
+    if (parent.type === 'FunctionDeclaration' && parent.id === reference.identifier) return parent;
+    if (parent.type === 'VariableDeclarator' && parent.id === reference.identifier && isFunctionNode(parent.init)) {
+        return parent.init;
+    }
+    return null;
+}
+
+/**
+ * Find the function a callee names, when it is declared in the same file; of
+ * overloads, the implementation rather than its signatures
+ * @param {object} callee - Callee node of a call expression
+ * @param {Map<object, object>} references - Scope analysis references by identifier node
+ * @param {Map<object, object>} parents - Parent of each node
+ * @returns {object|null} Function node, or null for other callees
+ */
+function localFunction(callee, references, parents) {
+    if (callee.type !== 'Identifier') return null;
+
+    const reference = references.get(callee);
+    if (!reference || !reference.variable) return null;
+
+    let signature = null;
+    for (const candidate of reference.variable.references) {
+        if (!candidate.isDeclaration) continue;
+        const func = declaredFunction(candidate, parents);
+        if (func && func.body) return func;
+        signature = signature || func;
+    }
+    return signature;
+}
+
+/**
+ * Find the variable a function is bound to: its declared name, or the variable it initializes
+ * @param {object} func - Function node
+ * @param {Map<object, object>} references - Scope analysis references by identifier node
+ * @param {Map<object, object>} parents - Parent of each node
+ * @returns {Variable|null} Bound variable, or null for anonymous functions
+ */
+function functionBinding(func, references, parents) {
+    let identifier = func.type === 'FunctionDeclaration' ? func.id : null;
+    const parent = parents.get(func);
+    if (!identifier && parent && parent.type === 'VariableDeclarator' && parent.init === func &&
+        parent.id.type === 'Identifier') {
+        identifier = parent.id;
+    }
+    if (!identifier) return null;
+
+    const reference = references.get(identifier);
+    return reference ? reference.variable : null;
+}
+
+module.exports = {
+    localFunction,
+    functionBinding
+};
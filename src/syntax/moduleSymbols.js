@@ -0,0 +1,238 @@
+const { walk, getBindingIdentifiers } = require('./syntaxTree');
+
+/**
+ * Module Symbols for WhiskerCode
+ * Extracts the imports and exports of a module from its syntax tree,
+ * covering ES modules, CommonJS (require/module.exports) and TypeScript
+ * `import x = require()` / `export =`.
+ */
+
+/**
+ * Get the name of an identifier or string literal used as a module export name
+ * @private
+ */
+function exportName(node) {
+    if (!node) return null;
+    return node.type === 'Identifier' ? node.name : String(node.value);
+}
+
+/**
+ * Get the module specifier of a `require('x')` call
+ * @private
+ */
+function requireSource(node) {
+    if (node && node.type === 'CallExpression' &&
+        node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+        node.arguments.length === 1 && node.arguments[0].type === 'Literal' &&
+        typeof node.arguments[0].value === 'string') {
+        return node.arguments[0].value;
+    }
+    return null;
+}
+
+/**
+ * Check whether a node is `module.exports`
+ * @private
+ */
+function isModuleExports(node) {
+    return node.type === 'MemberExpression' && !node.computed &&
+        node.object.type === 'Identifier' && node.object.name === 'module' &&
+        node.property.name === 'exports';
+}
+
+/**
+ * Get the export name assigned by `exports.x = ...` or `module.exports.x = ...`
+ * @private
+ */
+function commonJsExportName(node) {
+    if (node.type !== 'MemberExpression' || node.computed) return null;
+
+    const object = node.object;
+    if ((object.type === 'Identifier' && object.name === 'exports') || isModuleExports(object)) {
+        return node.property.name;
+    }
+    return null;
+}
+
+/**
+ * Get the identifier a value refers to or declares, if any
+ * @private
+ */
+function valueIdentifier(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return node;
+    if ((node.type === 'FunctionExpression' || node.type === 'ClassExpression' ||
+        node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') && node.id) {
+        return node.id;
+    }
+    return null;
+}
+
+/**
+ * Collect the imports of a module.
+ *
+ * `imported` is the export name requested from the source module: a name,
+ * 'default', or '*' for namespace imports and whole-module `require()` bindings.
+ *
+ * @param {object} tree - Program node returned by parse()
+ * @returns {Array<{source: string, imported: string, local: object|null, kind: string, node: object}>} Imports
+ */
+function collectImports(tree) {
+    const imports = [];
+
+    walk(tree, {
+        enter: node => {
+            if (node.type === 'ImportDeclaration') {
+                for (const specifier of node.specifiers) {
+                    const imported = specifier.type === 'ImportDefaultSpecifier' ? 'default' :
+                        specifier.type === 'ImportNamespaceSpecifier' ? '*' : exportName(specifier.imported);
+                    imports.push({ source: node.source.value, imported, local: specifier.local, kind: 'import', node });
+                }
+                if (node.specifiers.length === 0) {
+                    // Side-effect import
+                    imports.push({ source: node.source.value, imported: null, local: null, kind: 'import', node });
+                }
+                return false;
+            }
+
+            if (node.type === 'TSImportEqualsDeclaration') {
+                const source = requireSource(node.moduleReference);
+                if (source !== null) {
+                    imports.push({ source, imported: '*', local: node.id, kind: 'require', node });
+                }
+                return false;
+            }
+
+            if (node.type === 'VariableDeclarator' && node.init) {
+                let init = node.init;
+                let imported = '*';
+
+                // const x = require('y').x
+                if (init.type === 'MemberExpression' && !init.computed && requireSource(init.object) !== null) {
+                    imported = init.property.name;
+                    init = init.object;
+                }
+
+                const source = requireSource(init);
+                if (source === null) return;
+
+                if (node.id.type === 'Identifier') {
+                    imports.push({ source, imported, local: node.id, kind: 'require', node });
+                } else if (node.id.type === 'ObjectPattern' && imported === '*') {
+                    // const { a, b: c } = require('y')
+                    for (const property of node.id.properties) {
+                        if (property.type !== 'Property' || property.computed) continue;
+                        const local = getBindingIdentifiers(property.value)[0] || null;
+                        imports.push({ source, imported: exportName(property.key), local, kind: 'require', node });
+                    }
+                }
+                return false;
+            }
+
+            if (node.type === 'CallExpression' || node.type === 'ImportExpression') {
+                // Bare require('x') or dynamic import('x')
+                const source = node.type === 'ImportExpression' ?
+                    (node.source && node.source.type === 'Literal' ? node.source.value : null) :
+                    requireSource(node);
+                if (typeof source === 'string') {
+                    imports.push({ source, imported: null, local: null, kind: node.type === 'ImportExpression' ? 'dynamic' : 'require', node });
+                }
+            }
+        }
+    });
+
+    return imports;
+}
+
+/**
+ * Collect the exports of a module.
+ *
+ * `local` is the identifier node of the exported binding when there is one.
+ * Re-exports carry the `source` module and the `imported` name; `export * from`
+ * is recorded with `exported: '*'`.
+ *
+ * @param {object} tree - Program node returned by parse()
+ * @returns {Array<{exported: string, local: object|null, source: string|null, imported: string|null, commonjs: boolean, node: object}>} Exports
+ */
+function collectExports(tree) {
+    const exports = [];
+    const add = (exported, local, node, extra = {}) => {
+        exports.push(Object.assign({ exported, local, source: null, imported: null, commonjs: false, node }, extra));
+    };
+
+    for (const statement of tree.body) {
+        switch (statement.type) {
+            case 'ExportNamedDeclaration': {
+                const declaration = statement.declaration;
+                if (declaration) {
+                    if (declaration.type === 'VariableDeclaration') {
+                        for (const declarator of declaration.declarations) {
+                            for (const id of getBindingIdentifiers(declarator.id)) {
+                                add(id.name, id, statement);
+                            }
+                        }
+                    } else if (declaration.id && declaration.id.type === 'Identifier') {
+                        add(declaration.id.name, declaration.id, statement);
+                    }
+                } else {
+                    for (const specifier of statement.specifiers) {
+                        const exported = exportName(specifier.exported);
+                        if (statement.source) {
+                            add(exported, null, statement, { source: statement.source.value, imported: exportName(specifier.local) });
+                        } else {
+                            add(exported, specifier.local.type === 'Identifier' ? specifier.local : null, statement);
+                        }
+                    }
+                }
+                break;
+            }
+
+            case 'ExportDefaultDeclaration':
+                add('default', valueIdentifier(statement.declaration), statement);
+                break;
+
+            case 'ExportAllDeclaration':
+                if (statement.exported) {
+                    add(exportName(statement.exported), null, statement, { source: statement.source.value, imported: '*' });
+                } else {
+                    add('*', null, statement, { source: statement.source.value, imported: '*' });
+                }
+                break;
+
+            case 'TSExportAssignment':
+                add('default', valueIdentifier(statement.expression), statement, { commonjs: true });
+                break;
+        }
+    }
+
+    walk(tree, {
+        enter: node => {
+            if (node.type !== 'AssignmentExpression' || node.operator !== '=') return;
+
+            if (isModuleExports(node.left)) {
+                if (node.right.type === 'ObjectExpression') {
+                    // module.exports = { a, b: c }
+                    for (const property of node.right.properties) {
+                        if (property.type !== 'Property' || property.computed) continue;
+                        add(exportName(property.key), valueIdentifier(property.value), property, { commonjs: true });
+                    }
+                } else {
+                    add('default', valueIdentifier(node.right), node, { commonjs: true });
+                }
+                return;
+            }
+
+            const name = commonJsExportName(node.left);
+            if (name) {
+                add(name, valueIdentifier(node.right), node, { commonjs: true });
+            }
+        }
+    });
+
+    return exports;
+}
+
+module.exports = {
+    collectImports,
+    collectExports
+};
@@ -0,0 +1,600 @@
+const { forEachChild, getBindingIdentifiers, isFunctionNode } = require('./syntaxTree');
+
+/**
+ * Scope Analyzer for WhiskerCode
+ * Resolves every identifier in a syntax tree to the binding it refers to,
+ * following JavaScript scoping rules (var hoisting, block-scoped let/const/class,
+ * parameters, catch clauses, named function expressions and imports).
+ */
+
+/**
+ * A declared name in a scope
+ */
+class Variable {
+    /**
+     * @param {string} name - Variable name
+     * @param {string} kind - var, let, const, function, class, param, catch, import, enum, namespace or global
+     * @param {Scope} scope - Scope that owns the binding
+     */
+    constructor(name, kind, scope) {
+        this.name = name;
+        this.kind = kind;
+        this.scope = scope;
+        this.identifiers = [];
+        this.references = [];
+    }
+}
+
+/**
+ * One occurrence of a name in the code
+ */
+class Reference {
+    /**
+     * @param {object} identifier - Identifier (or JSXIdentifier) node
+     * @param {Scope} scope - Scope in which the occurrence appears
+     * @param {string|null} access - 'read', 'write', 'readwrite', or null for declarations without a value
+     * @param {boolean} isDeclaration - Whether this occurrence declares the binding
+     * @param {Variable} variable - Resolved binding
+     */
+    constructor(identifier, scope, access, isDeclaration, variable) {
+        this.identifier = identifier;
+        this.name = identifier.name;
+        this.scope = scope;
+        this.access = access;
+        this.isDeclaration = isDeclaration;
+        this.variable = variable;
+    }
+
+    /**
+     * Whether the occurrence is inside a function nested below the one that declares the binding
+     * @returns {boolean} True for closure captures
+     */
+    get isCapture() {
+        return this.variable.kind !== 'global' &&
+            !this.isDeclaration &&
+            this.scope.functionScope !== this.variable.scope.functionScope;
+    }
+}
+
+/**
+ * A lexical scope
+ */
+class Scope {
+    /**
+     * @param {string} type - module, function, block, catch or class
+     * @param {object} node - Node that creates the scope
+     * @param {Scope|null} parent - Enclosing scope
+     */
+    constructor(type, node, parent) {
+        this.type = type;
+        this.node = node;
+        this.parent = parent;
+        this.variables = new Map();
+        this.children = [];
+        this.functionScope = type === 'function' || type === 'module' || !parent ? this : parent.functionScope;
+
+        if (parent) {
+            parent.children.push(this);
+        }
+    }
+
+    /**
+     * Declare a name in this scope, merging repeated declarations
+     * @param {string} name - Name to declare
+     * @param {string} kind - Declaration kind
+     * @param {object} [identifier] - Declaring identifier node
+     * @returns {Variable} The declared variable
+     */
+    declare(name, kind, identifier) {
+        let variable = this.variables.get(name);
+        if (!variable) {
+            variable = new Variable(name, kind, this);
+            this.variables.set(name, variable);
+        }
+        if (identifier && !variable.identifiers.includes(identifier)) {
+            variable.identifiers.push(identifier);
+        }
+        return variable;
+    }
+
+    /**
+     * Find the binding a name refers to from this scope
+     * @param {string} name - Name to resolve
+     * @returns {Variable|null} Resolved variable, or null if undeclared
+     */
+    resolve(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            const variable = scope.variables.get(name);
+            if (variable) return variable;
+        }
+        return null;
+    }
+}
+
+/**
+ * Result of analyzing a syntax tree
+ */
+class ScopeAnalysis {
+    constructor() {
+        this.globalScope = null;
+        this.scopes = [];
+        this.references = [];
+        this.implicitGlobals = new Map();
+    }
+
+    /**
+     * Find the occurrence covering an offset
+     * @param {number} offset - Character offset
+     * @returns {Reference|null} Reference at the offset
+     */
+    referenceAt(offset) {
+        return this.references.find(reference =>
+            reference.identifier.start <= offset && offset <= reference.identifier.end) || null;
+    }
+
+    /**
+     * Find all variables with a given name, in declaration order
+     * @param {string} name - Variable name
+     * @returns {Variable[]} Matching variables (implicit globals last)
+     */
+    variablesNamed(name) {
+        const variables = [];
+        for (const scope of this.scopes) {
+            const variable = scope.variables.get(name);
+            if (variable) variables.push(variable);
+        }
+
+        const firstOffset = variable => variable.identifiers.length > 0 ? variable.identifiers[0].start : Infinity;
+        variables.sort((a, b) => firstOffset(a) - firstOffset(b));
+
+        if (this.implicitGlobals.has(name)) {
+            variables.push(this.implicitGlobals.get(name));
+        }
+        return variables;
+    }
+}
+
+class ScopeBuilder {
+    constructor() {
+        this.analysis = new ScopeAnalysis();
+    }
+
+    /**
+     * Analyze a Program node
+     * @param {object} program - Program node from the syntax tree parser
+     * @returns {ScopeAnalysis} Scopes and resolved references
+     */
+    build(program) {
+        const scope = this._createScope('module', program, null);
+        this.analysis.globalScope = scope;
+
+        this._hoistVarDeclarations(program.body, scope);
+        this._declareLexical(program.body, scope);
+        for (const statement of program.body) {
+            this._visit(statement, scope);
+        }
+
+        return this.analysis;
+    }
+
+    /**
+     * Create and register a scope
+     * @private
+     */
+    _createScope(type, node, parent) {
+        const scope = new Scope(type, node, parent);
+        this.analysis.scopes.push(scope);
+        return scope;
+    }
+
+    /**
+     * Declare `var` bindings found anywhere in a function body (not inside nested functions)
+     * @private
+     */
+    _hoistVarDeclarations(statements, functionScope) {
+        const hoist = node => {
+            if (isFunctionNode(node) || node.type === 'ClassDeclaration' || node.type === 'ClassExpression' ||
+                node.type === 'TSModuleDeclaration') {
+                return;
+            }
+            if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+                for (const declarator of node.declarations) {
+                    for (const id of getBindingIdentifiers(declarator.id)) {
+                        functionScope.declare(id.name, 'var', id);
+                    }
+                }
+            }
+            forEachChild(node, hoist);
+        };
+
+        statements.forEach(hoist);
+    }
+
+    /**
+     * Declare block-scoped bindings of a statement list before visiting it
+     * @private
+     */
+    _declareLexical(statements, scope) {
+        for (const statement of statements) {
+            let target = statement;
+            if ((statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') && statement.declaration) {
+                target = statement.declaration;
+            }
+
+            switch (target.type) {
+                case 'VariableDeclaration':
+                    if (target.kind !== 'var') {
+                        for (const declarator of target.declarations) {
+                            for (const id of getBindingIdentifiers(declarator.id)) {
+                                scope.declare(id.name, target.kind, id);
+                            }
+                        }
+                    }
+                    break;
+                case 'FunctionDeclaration':
+                    if (target.id) scope.declare(target.id.name, 'function', target.id);
+                    break;
+                case 'ClassDeclaration':
+                    if (target.id) scope.declare(target.id.name, 'class', target.id);
+                    break;
+                case 'ImportDeclaration':
+                    for (const specifier of target.specifiers) {
+                        scope.declare(specifier.local.name, 'import', specifier.local);
+                    }
+                    break;
+                case 'TSImportEqualsDeclaration':
+                    scope.declare(target.id.name, 'import', target.id);
+                    break;
+                case 'TSEnumDeclaration':
+                    scope.declare(target.id.name, 'enum', target.id);
+                    break;
+                case 'TSModuleDeclaration':
+                    if (target.id.type === 'Identifier') scope.declare(target.id.name, 'namespace', target.id);
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Record an occurrence of a name
+     * @private
+     */
+    _reference(identifier, scope, access, isDeclaration) {
+        if (identifier.name === 'this') return;
+
+        let variable = scope.resolve(identifier.name);
+        if (!variable) {
+            // Undeclared names (window, console, ...) share one implicit global binding
+            variable = this.analysis.implicitGlobals.get(identifier.name);
+            if (!variable) {
+                variable = new Variable(identifier.name, 'global', this.analysis.globalScope);
+                this.analysis.implicitGlobals.set(identifier.name, variable);
+            }
+        }
+
+        const reference = new Reference(identifier, scope, access, isDeclaration, variable);
+        variable.references.push(reference);
+        this.analysis.references.push(reference);
+    }
+
+    /**
+     * Visit a binding or assignment target
+     * @private
+     */
+    _visitPattern(pattern, scope, access, isDeclaration) {
+        if (!pattern) return;
+
+        switch (pattern.type) {
+            case 'Identifier':
+                this._reference(pattern, scope, access, isDeclaration);
+                break;
+            case 'ObjectPattern':
+                for (const property of pattern.properties) {
+                    if (property.type === 'RestElement') {
+                        this._visitPattern(property.argument, scope, access, isDeclaration);
+                    } else {
+                        if (property.computed) this._visit(property.key, scope);
+                        this._visitPattern(property.value, scope, access, isDeclaration);
+                    }
+                }
+                break;
+            case 'ArrayPattern':
+                for (const element of pattern.elements) {
+                    this._visitPattern(element, scope, access, isDeclaration);
+                }
+                break;
+            case 'AssignmentPattern':
+                this._visitPattern(pattern.left, scope, access, isDeclaration);
+                this._visit(pattern.right, scope);
+                break;
+            case 'RestElement':
+                this._visitPattern(pattern.argument, scope, access, isDeclaration);
+                break;
+            default:
+                // Member expressions and other targets only read their parts
+                this._visit(pattern, scope);
+        }
+    }
+
+    /**
+     * Visit a function: parameters and body get their own scope
+     * @private
+     */
+    _visitFunction(node, scope) {
+        const functionScope = this._createScope('function', node, scope);
+
+        // A named function expression can refer to itself by name
+        if (node.type === 'FunctionExpression' && node.id) {
+            functionScope.declare(node.id.name, 'function', node.id);
+            this._reference(node.id, functionScope, null, true);
+        }
+
+        for (const param of node.params) {
+            for (const id of getBindingIdentifiers(param)) {
+                if (id.name !== 'this') functionScope.declare(id.name, 'param', id);
+            }
+        }
+        for (const param of node.params) {
+            this._visitPattern(param, functionScope, null, true);
+        }
+
+        if (!node.body) return;
+
+        if (node.body.type === 'BlockStatement') {
+            this._hoistVarDeclarations(node.body.body, functionScope);
+            this._declareLexical(node.body.body, functionScope);
+            for (const statement of node.body.body) {
+                this._visit(statement, functionScope);
+            }
+        } else {
+            this._visit(node.body, functionScope);
+        }
+    }
+
+    /**
+     * Visit a class declaration or expression
+     * @private
+     */
+    _visitClass(node, scope) {
+        if (node.type === 'ClassDeclaration' && node.id) {
+            this._reference(node.id, scope, null, true);
+        }
+
+        (node.decorators || []).forEach(decorator => this._visit(decorator, scope));
+        this._visit(node.superClass, scope);
+
+        const classScope = this._createScope('class', node, scope);
+        if (node.type === 'ClassExpression' && node.id) {
+            classScope.declare(node.id.name, 'class', node.id);
+            this._reference(node.id, classScope, null, true);
+        }
+
+        for (const member of node.body.body) {
+            this._visit(member, classScope);
+        }
+    }
+
+    /**
+     * Visit statements in a new block scope
+     * @private
+     */
+    _visitBlock(node, statements, scope, type = 'block') {
+        const blockScope = this._createScope(type, node, scope);
+        if (type === 'function') {
+            this._hoistVarDeclarations(statements, blockScope);
+        }
+        this._declareLexical(statements, blockScope);
+        for (const statement of statements) {
+            this._visit(statement, blockScope);
+        }
+        return blockScope;
+    }
+
+    /**
+     * Visit any node, recording references
+     * @private
+     */
+    _visit(node, scope) {
+        if (!node) return;
+
+        switch (node.type) {
+            case 'Identifier':
+                this._reference(node, scope, 'read', false);
+                return;
+
+            case 'VariableDeclaration':
+                for (const declarator of node.declarations) {
+                    this._visitPattern(declarator.id, scope, declarator.init ? 'write' : null, true);
+                    this._visit(declarator.init, scope);
+                }
+                return;
+
+            case 'FunctionDeclaration':
+                if (node.id) this._reference(node.id, scope, null, true);
+                this._visitFunction(node, scope);
+                return;
+
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                this._visitFunction(node, scope);
+                return;
+
+            case 'ClassDeclaration':
+            case 'ClassExpression':
+                this._visitClass(node, scope);
+                return;
+
+            case 'BlockStatement':
+                this._visitBlock(node, node.body, scope);
+                return;
+
+            case 'StaticBlock':
+                this._visitBlock(node, node.body, scope, 'function');
+                return;
+
+            case 'ForStatement': {
+                const loopScope = this._createScope('block', node, scope);
+                if (node.init && node.init.type === 'VariableDeclaration') {
+                    this._declareLexical([node.init], loopScope);
+                }
+                this._visit(node.init, loopScope);
+                this._visit(node.test, loopScope);
+                this._visit(node.update, loopScope);
+                this._visit(node.body, loopScope);
+                return;
+            }
+
+            case 'ForInStatement':
+            case 'ForOfStatement': {
+                const loopScope = this._createScope('block', node, scope);
+                if (node.left.type === 'VariableDeclaration') {
+                    this._declareLexical([node.left], loopScope);
+                    for (const declarator of node.left.declarations) {
+                        this._visitPattern(declarator.id, loopScope, 'write', true);
+                    }
+                } else {
+                    this._visitPattern(node.left, loopScope, 'write', false);
+                }
+                this._visit(node.right, loopScope);
+                this._visit(node.body, loopScope);
+                return;
+            }
+
+            case 'SwitchStatement': {
+                this._visit(node.discriminant, scope);
+                const caseScope = this._createScope('block', node, scope);
+                const statements = [].concat(...node.cases.map(switchCase => switchCase.consequent));
+                this._declareLexical(statements, caseScope);
+                for (const switchCase of node.cases) {
+                    this._visit(switchCase.test, caseScope);
+                    switchCase.consequent.forEach(statement => this._visit(statement, caseScope));
+                }
+                return;
+            }
+
+            case 'CatchClause': {
+                const catchScope = this._createScope('catch', node, scope);
+                for (const id of getBindingIdentifiers(node.param)) {
+                    catchScope.declare(id.name, 'catch', id);
+                }
+                this._visitPattern(node.param, catchScope, null, true);
+                this._visit(node.body, catchScope);
+                return;
+            }
+
+            case 'AssignmentExpression':
+                this._visitPattern(node.left, scope, node.operator === '=' ? 'write' : 'readwrite', false);
+                this._visit(node.right, scope);
+                return;
+
+            case 'UpdateExpression':
+                this._visitPattern(node.argument, scope, 'readwrite', false);
+                return;
+
+            case 'MemberExpression':
+                this._visit(node.object, scope);
+                if (node.computed) this._visit(node.property, scope);
+                return;
+
+            case 'Property':
+            case 'MethodDefinition':
+            case 'PropertyDefinition':
+                if (node.computed) this._visit(node.key, scope);
+                (node.decorators || []).forEach(decorator => this._visit(decorator, scope));
+                this._visit(node.value, scope);
+                return;
+
+            case 'LabeledStatement':
+                this._visit(node.body, scope);
+                return;
+
+            case 'ImportDeclaration':
+                for (const specifier of node.specifiers) {
+                    this._reference(specifier.local, scope, null, true);
+                }
+                return;
+
+            case 'TSImportEqualsDeclaration':
+                this._reference(node.id, scope, null, true);
+                this._visit(node.moduleReference, scope);
+                return;
+
+            case 'ExportNamedDeclaration':
+                if (node.declaration) {
+                    this._visit(node.declaration, scope);
+                } else if (!node.source) {
+                    for (const specifier of node.specifiers) {
+                        if (specifier.local.type === 'Identifier') {
+                            this._reference(specifier.local, scope, 'read', false);
+                        }
+                    }
+                }
+                return;
+
+            case 'TSEnumDeclaration':
+                this._reference(node.id, scope, null, true);
+                node.members.forEach(member => this._visit(member.initializer, scope));
+                return;
+
+            case 'TSModuleDeclaration':
+                if (node.id.type === 'Identifier') this._reference(node.id, scope, null, true);
+                if (node.body) this._visitBlock(node.body, node.body.body, scope, 'function');
+                return;
+
+            case 'JSXOpeningElement':
+                this._visitJsxName(node.name, scope);
+                node.attributes.forEach(attribute => this._visit(attribute, scope));
+                return;
+
+            case 'JSXAttribute':
+                this._visit(node.value, scope);
+                return;
+
+            case 'BreakStatement':
+            case 'ContinueStatement':
+            case 'ExportAllDeclaration':
+            case 'JSXClosingElement':
+            case 'JSXClosingFragment':
+            case 'MetaProperty':
+            case 'PrivateIdentifier':
+            case 'TypeAnnotation':
+            case 'TSTypeParameterList':
+            case 'TSInterfaceDeclaration':
+            case 'TSTypeAliasDeclaration':
+            case 'TSNamespaceExportDeclaration':
+                return;
+
+            default:
+                forEachChild(node, child => this._visit(child, scope));
+        }
+    }
+
+    /**
+     * Record a component reference from a JSX tag name (`<Foo>`, `<Foo.Bar>`)
+     * @private
+     */
+    _visitJsxName(name, scope) {
+        if (name.type === 'JSXMemberExpression') {
+            this._visitJsxName(name.object, scope);
+        } else if (name.type === 'JSXIdentifier' && /^[A-Z_$]/.test(name.name)) {
+            // Lowercase tags are intrinsic elements, not variables
+            this._reference(name, scope, 'read', false);
+        }
+    }
+}
+
+/**
+ * Resolve the scopes and references of a syntax tree
+ * @param {object} program - Program node returned by parse()
+ * @returns {ScopeAnalysis} Scopes, variables and references
+ */
+function analyzeScopes(program) {
+    return new ScopeBuilder().build(program);
+}
+
+module.exports = {
+    analyzeScopes,
+    Scope,
+    Variable,
+    Reference
+};
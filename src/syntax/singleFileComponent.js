@@ -0,0 +1,582 @@
+const { tokenize } = require('./tokenizer');
+
+/**
+ * Single-File Components for WhiskerCode
+ * Splits Vue (.vue) and Svelte (.svelte) components into script and template.
+ * The script comes back as a copy of the file with everything else blanked out,
+ * so offsets and line numbers found in it are those of the file. The template is
+ * scanned for child components, directives, list and conditional rendering, and
+ * the names its expressions read.
+ */
+
+// Display names of the component frameworks
+const FRAMEWORK_NAMES = {
+    vue: 'Vue',
+    svelte: 'Svelte'
+};
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+    'param', 'source', 'track', 'wbr'
+]);
+
+// Svelte directive prefixes: on:click, bind:value, class:active, ...
+const SVELTE_DIRECTIVES = new Set(['on', 'bind', 'class', 'style', 'use', 'transition', 'in', 'out', 'animate', 'let']);
+
+// Names template expressions can read that are not component state
+const TEMPLATE_GLOBALS = new Set([
+    '$event', '$attrs', '$slots', '$props', '$emit', '$refs', '$el', '$parent', '$root',
+    '$data', '$options', '$nextTick', '$forceUpdate', '$watch', '$$props', '$$restProps', '$$slots',
+    'undefined', 'NaN', 'Infinity', 'Math', 'Date', 'JSON', 'Number', 'String', 'Boolean',
+    'Array', 'Object', 'console', 'window', 'document'
+]);
+
+/**
+ * Replace everything but line breaks with spaces
+ * @private
+ */
+function blank(text) {
+    return text.replace(/[^\r\n]/g, ' ');
+}
+
+/**
+ * Blank out everything outside the given ranges, keeping line breaks
+ * @private
+ */
+function keepRanges(code, ranges) {
+    let result = '';
+    let position = 0;
+    for (const range of ranges) {
+        result += blank(code.substring(position, range.start)) + code.substring(range.start, range.end);
+        position = range.end;
+    }
+    return result + blank(code.substring(position));
+}
+
+/**
+ * Find the end of a {braced} expression, skipping strings
+ * @param {string} code - Source text
+ * @param {number} start - Offset of the opening brace
+ * @returns {number} Offset just after the matching closing brace
+ * @private
+ */
+function skipBraces(code, start) {
+    let depth = 0;
+    for (let i = start; i < code.length; i++) {
+        const ch = code[i];
+        if (ch === '"' || ch === '\'' || ch === '`') {
+            i++;
+            while (i < code.length && code[i] !== ch) {
+                if (code[i] === '\\') i++;
+                i++;
+            }
+        } else if (ch === '{') {
+            depth++;
+        } else if (ch === '}' && --depth === 0) {
+            return i + 1;
+        }
+    }
+    return code.length;
+}
+
+/**
+ * Read the attributes of a start tag
+ * @param {string} code - Source text
+ * @param {number} position - Offset just after the tag name
+ * @param {boolean} svelte - Whether attributes can be {expressions}
+ * @returns {{attributes: Array<object>, end: number, selfClosing: boolean}} Attributes with their
+ *          name, value, offsets and whether the value is an expression; the end is just after the tag
+ * @private
+ */
+function readAttributes(code, position, svelte) {
+    const attributes = [];
+    const namePattern = /[^\s"'>/=]+/y;
+    const equalsPattern = /\s*=\s*/y;
+    const unquotedPattern = /[^\s>]*/y;
+    let i = position;
+
+    while (i < code.length) {
+        const ch = code[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (ch === '>') {
+            return { attributes, end: i + 1, selfClosing: false };
+        }
+        if (ch === '/' && code[i + 1] === '>') {
+            return { attributes, end: i + 2, selfClosing: true };
+        }
+        if (svelte && ch === '{') {
+            // {shorthand} and {...spread} attributes
+            const end = skipBraces(code, i);
+            attributes.push({ name: null, value: code.substring(i + 1, end - 1), valueStart: i + 1, start: i, expression: true });
+            i = end;
+            continue;
+        }
+
+        namePattern.lastIndex = i;
+        const nameMatch = namePattern.exec(code);
+        if (!nameMatch) {
+            i++;
+            continue;
+        }
+        const attribute = { name: nameMatch[0], value: null, valueStart: -1, start: i, expression: false };
+        i += nameMatch[0].length;
+
+        equalsPattern.lastIndex = i;
+        const equals = equalsPattern.exec(code);
+        if (equals) {
+            i += equals[0].length;
+            const quote = code[i];
+            if (quote === '"' || quote === '\'') {
+                const close = code.indexOf(quote, i + 1);
+                const end = close === -1 ? code.length : close;
+                attribute.value = code.substring(i + 1, end);
+                attribute.valueStart = i + 1;
+                i = end + 1;
+            } else if (svelte && quote === '{') {
+                const end = skipBraces(code, i);
+                attribute.value = code.substring(i + 1, end - 1);
+                attribute.valueStart = i + 1;
+                attribute.expression = true;
+                i = end;
+            } else {
+                unquotedPattern.lastIndex = i;
+                attribute.value = unquotedPattern.exec(code)[0];
+                attribute.valueStart = i;
+                i += attribute.value.length;
+            }
+        }
+        attributes.push(attribute);
+    }
+
+    return { attributes, end: code.length, selfClosing: false };
+}
+
+/**
+ * Get the attribute values of a top-level block, by name
+ * @private
+ */
+function attributeMap(attributes) {
+    const map = {};
+    for (const attribute of attributes) {
+        if (attribute.name) map[attribute.name] = attribute.value === null ? true : attribute.value;
+    }
+    return map;
+}
+
+/**
+ * Split a directive attribute into its directive, argument and modifiers
+ * @returns {{name: string, argument: (string|null), modifiers: Array<string>}|null} Directive, or null for plain attributes
+ * @private
+ */
+function parseDirective(attributeName, svelte) {
+    if (svelte) {
+        // on:click|preventDefault, bind:value, class:active
+        const colon = attributeName.indexOf(':');
+        const prefix = attributeName.substring(0, colon);
+        if (colon === -1 || !SVELTE_DIRECTIVES.has(prefix)) return null;
+        const [argument, ...modifiers] = attributeName.substring(colon + 1).split('|');
+        return { name: prefix, argument, modifiers };
+    }
+
+    // v-if, v-on:click.stop, and the :prop, @event and #slot shorthands
+    let name;
+    let rest;
+    const shorthand = { ':': 'v-bind', '.': 'v-bind', '@': 'v-on', '#': 'v-slot' }[attributeName[0]];
+    if (shorthand) {
+        name = shorthand;
+        rest = attributeName.substring(1);
+    } else if (attributeName.startsWith('v-')) {
+        const match = /^(v-[\w-]+)(?::(.*))?((?:\.[\w-]+)*)$/.exec(attributeName);
+        if (!match) return null;
+        name = match[1];
+        rest = (match[2] || '') + match[3];
+    } else {
+        return null;
+    }
+
+    // Dynamic arguments ([name]) can contain dots of their own
+    const argumentMatch = /^(\[[^\]]*\]|[^.]*)((?:\.[\w-]+)*)$/.exec(rest) || ['', rest, ''];
+    return {
+        name,
+        argument: argumentMatch[1] || null,
+        modifiers: argumentMatch[2].split('.').filter(Boolean)
+    };
+}
+
+/**
+ * Collect the names an expression reads, skipping property accesses and object keys
+ * @param {string} expression - Expression text
+ * @param {number} offset - Offset of the expression in the file
+ * @returns {Array<{name: string, position: number}>} Names and their offsets
+ * @private
+ */
+function expressionNames(expression, offset) {
+    const names = [];
+    const tokens = tokenize(expression).tokens;
+    tokens.forEach((token, index) => {
+        if (token.type !== 'identifier') return;
+
+        const previous = tokens[index - 1];
+        const next = tokens[index + 1];
+        if (previous && (previous.value === '.' || previous.value === '?.')) return;
+        if (next && next.value === ':' && previous && (previous.value === '{' || previous.value === ',')) return;
+        names.push({ name: token.value, position: offset + token.start });
+    });
+    return names;
+}
+
+/**
+ * Split the aliases of a v-for or {#each} from the list they iterate
+ * @returns {{expression: string, expressionStart: number, aliases: Array<string>}} List expression and alias names
+ * @private
+ */
+function parseLoop(text, offset, svelte) {
+    // Vue: (item, index) in items; Svelte: items as item, index (item.id)
+    const match = svelte
+        ? /^([\s\S]+?)\s+as\s+([\s\S]+?)\s*(?:\(([\s\S]*)\))?\s*$/.exec(text)
+        : /^([\s\S]+?)\s+(?:in|of)\s+([\s\S]+)$/.exec(text);
+    if (!match) {
+        return { expression: text, expressionStart: offset, aliases: [], key: null };
+    }
+
+    const [aliasText, expression] = svelte ? [match[2], match[1]] : [match[1], match[2]];
+    return {
+        expression: expression.trim(),
+        expressionStart: offset + (svelte ? 0 : match[0].lastIndexOf(expression)) + expression.search(/\S/),
+        aliases: expressionNames(aliasText, 0).map(name => name.name),
+        key: svelte && match[3] !== undefined ? match[3].trim() : null
+    };
+}
+
+/**
+ * Scan the markup of a component
+ * @param {string} code - File content
+ * @param {Array<{start: number, end: number}>} ranges - Parts of the file that are template
+ * @param {boolean} svelte - Whether the markup uses Svelte syntax
+ * @returns {object} Template summary
+ * @private
+ */
+function scanTemplate(code, ranges, svelte) {
+    const template = {
+        ranges,
+        components: [],
+        directives: [],
+        loops: [],
+        conditionals: [],
+        references: []
+    };
+    // Names declared by loops and slots, with the range they are visible in
+    const scopes = [];
+    // Open elements and {#blocks}, with the entries that end where they close
+    const stack = [];
+    const tagPattern = /<(\/?)([A-Za-z][\w.:-]*)/y;
+
+    const addReferences = (expression, offset) => {
+        template.references.push(...expressionNames(expression, offset));
+    };
+    const close = (kind, name, end) => {
+        const index = stack.map(item => item.kind === kind && item.name === name).lastIndexOf(true);
+        if (index === -1) return;
+        for (const item of stack.splice(index)) {
+            for (const entry of item.pending) entry.end = end;
+        }
+    };
+
+    for (const range of ranges) {
+        let i = range.start;
+        while (i < range.end) {
+            if (code.startsWith('<!--', i)) {
+                const commentEnd = code.indexOf('-->', i + 4);
+                i = commentEnd === -1 ? range.end : commentEnd + 3;
+                continue;
+            }
+
+            if (!svelte && code.startsWith('{{', i)) {
+                const interpolationEnd = code.indexOf('}}', i + 2);
+                const end = interpolationEnd === -1 ? range.end : interpolationEnd;
+                addReferences(code.substring(i + 2, end), i + 2);
+                i = end + 2;
+                continue;
+            }
+
+            if (svelte && code[i] === '{') {
+                const end = skipBraces(code, i);
+                const content = code.substring(i + 1, end - 1);
+                const contentStart = i + 1;
+                const tag = /^\s*([#:/@])\s*(\w+)?/.exec(content);
+                const top = stack[stack.length - 1];
+
+                if (!tag) {
+                    addReferences(content, contentStart);
+                } else {
+                    const argumentStart = tag[0].length;
+                    const argument = content.substring(argumentStart);
+                    const keyword = tag[2];
+
+                    if (tag[1] === '#') {
+                        const block = { kind: 'block', name: keyword, pending: [] };
+                        if (keyword === 'each') {
+                            const loop = parseLoop(argument, contentStart + argumentStart, true);
+                            const entry = { type: 'each', position: i, end: range.end, expression: loop.expression, aliases: loop.aliases, key: loop.key };
+                            const scope = { start: i, end: range.end, names: loop.aliases };
+                            template.loops.push(entry);
+                            scopes.push(scope);
+                            block.pending.push(entry, scope);
+                            addReferences(loop.expression, loop.expressionStart);
+                            if (loop.key) addReferences(loop.key, contentStart + content.lastIndexOf(loop.key));
+                        } else {
+                            if (keyword === 'if' || keyword === 'await') {
+                                const entry = { type: keyword, position: i, end: range.end, expression: argument.trim() };
+                                template.conditionals.push(entry);
+                                block.pending.push(entry);
+                            }
+                            addReferences(argument, contentStart + argumentStart);
+                        }
+                        stack.push(block);
+                    } else if (tag[1] === ':') {
+                        // {:else}, {:else if x}, {:then value}, {:catch error}
+                        const pending = top && top.kind === 'block' ? top.pending : [];
+                        const elseIf = keyword === 'else' && /^\s*if\b/.exec(argument);
+                        if (keyword === 'else') {
+                            const entry = { type: elseIf ? 'else if' : 'else', position: i, end: range.end };
+                            template.conditionals.push(entry);
+                            pending.push(entry);
+                            if (elseIf) addReferences(argument.substring(elseIf[0].length), contentStart + argumentStart + elseIf[0].length);
+                        } else if (keyword === 'then' || keyword === 'catch') {
+                            const scope = { start: i, end: range.end, names: expressionNames(argument, 0).map(name => name.name) };
+                            scopes.push(scope);
+                            pending.push(scope);
+                        }
+                    } else if (tag[1] === '/') {
+                        close('block', keyword, end);
+                    } else if (keyword === 'const') {
+                        // {@const total = a + b} declares a name for the rest of its block
+                        const equals = argument.indexOf('=');
+                        const scope = { start: i, end: range.end, names: expressionNames(argument.substring(0, equals), 0).map(name => name.name) };
+                        scopes.push(scope);
+                        if (top) top.pending.push(scope);
+                        addReferences(argument.substring(equals + 1), contentStart + argumentStart + equals + 1);
+                    } else {
+                        // {@html x}, {@render snippet()}, {@debug x}
+                        addReferences(argument, contentStart + argumentStart);
+                    }
+                }
+                i = end;
+                continue;
+            }
+
+            tagPattern.lastIndex = i;
+            const tagMatch = code[i] === '<' ? tagPattern.exec(code) : null;
+            if (!tagMatch) {
+                i++;
+                continue;
+            }
+
+            const name = tagMatch[2];
+            if (tagMatch[1]) {
+                const tagEnd = code.indexOf('>', i);
+                const end = tagEnd === -1 ? range.end : tagEnd + 1;
+                close('element', name, end);
+                i = end;
+                continue;
+            }
+
+            const { attributes, end: tagEnd, selfClosing } = readAttributes(code, i + tagMatch[0].length, svelte);
+            const element = { kind: 'element', name, pending: [] };
+            const isComponent = svelte
+                ? (/^[A-Z]/.test(name) || name.includes('.')) && !name.startsWith('svelte:')
+                : /^[A-Z]/.test(name) || name.includes('-');
+            if (isComponent) {
+                template.components.push({ name, position: i });
+            }
+
+            for (const attribute of attributes) {
+                const directive = attribute.name ? parseDirective(attribute.name, svelte) : null;
+                const value = attribute.value;
+
+                if (!directive) {
+                    // Svelte reads {expressions} in shorthand, spread and interpolated attributes
+                    if (svelte && attribute.expression) {
+                        addReferences(value.replace(/^\.\.\./, '   '), attribute.valueStart);
+                    } else if (svelte && value) {
+                        let braceStart = value.indexOf('{');
+                        while (braceStart !== -1) {
+                            const braceEnd = skipBraces(value, braceStart);
+                            addReferences(value.substring(braceStart + 1, braceEnd - 1), attribute.valueStart + braceStart + 1);
+                            braceStart = value.indexOf('{', braceEnd);
+                        }
+                    }
+                    continue;
+                }
+
+                template.directives.push({
+                    name: directive.name,
+                    argument: directive.argument,
+                    modifiers: directive.modifiers,
+                    value,
+                    position: attribute.start
+                });
+
+                if (directive.name === 'v-for' && value !== null) {
+                    const loop = parseLoop(value, attribute.valueStart, false);
+                    const entry = { type: 'v-for', position: i, end: tagEnd, expression: loop.expression, aliases: loop.aliases };
+                    const scope = { start: i, end: tagEnd, names: loop.aliases };
+                    template.loops.push(entry);
+                    scopes.push(scope);
+                    element.pending.push(entry, scope);
+                    addReferences(loop.expression, loop.expressionStart);
+                } else if (['v-if', 'v-else-if', 'v-else', 'v-show'].includes(directive.name)) {
+                    const entry = { type: directive.name, position: i, end: tagEnd, expression: value };
+                    template.conditionals.push(entry);
+                    element.pending.push(entry);
+                    if (value) addReferences(value, attribute.valueStart);
+                } else if (directive.name === 'v-slot' || directive.name === 'let') {
+                    // Slot props are names declared for the element's content
+                    const names = directive.name === 'let'
+                        ? [value ? value.trim() : directive.argument]
+                        : (value ? expressionNames(value, 0).map(name => name.name) : []);
+                    const scope = { start: i, end: tagEnd, names };
+                    scopes.push(scope);
+                    element.pending.push(scope);
+                } else if (value !== null) {
+                    addReferences(value, attribute.valueStart);
+                } else if (svelte && ['bind', 'class', 'style'].includes(directive.name)) {
+                    // bind:value and class:active without a value read the variable of that name
+                    addReferences(directive.argument, attribute.start + directive.name.length + 1);
+                }
+            }
+
+            if (!selfClosing && !VOID_ELEMENTS.has(name.toLowerCase())) {
+                stack.push(element);
+            }
+            i = tagEnd;
+        }
+    }
+
+    // Names declared by loops and slots, and globals, are not component state
+    template.references = template.references.filter(reference =>
+        !TEMPLATE_GLOBALS.has(reference.name) &&
+        !scopes.some(scope => scope.start <= reference.position && reference.position < scope.end && scope.names.includes(reference.name)));
+
+    template.loops.sort((a, b) => a.position - b.position);
+    template.conditionals.sort((a, b) => a.position - b.position);
+    return template;
+}
+
+/**
+ * Find the closing tag matching a top-level block, counting nested blocks of the same name
+ * @returns {{contentEnd: number, end: number}} Offset of the closing tag and just after it
+ * @private
+ */
+function findClosingTag(code, name, from) {
+    const pattern = new RegExp(`<(/?)${name}\\b[^>]*>`, 'gi');
+    pattern.lastIndex = from;
+    let depth = 1;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+        // Scripts and styles cannot nest
+        if (!match[1] && name === 'template') {
+            depth++;
+        } else if (match[1] && --depth === 0) {
+            return { contentEnd: match.index, end: match.index + match[0].length };
+        }
+    }
+    return { contentEnd: code.length, end: code.length };
+}
+
+/**
+ * Split a single-file component into its script and template
+ * @param {string} code - Content of a .vue or .svelte file, or a selection from one
+ * @param {string} framework - 'vue' or 'svelte'
+ * @returns {object} Component with its `framework`, `scriptLanguage` (the language identifier
+ *          its script is analyzed as), `scripts` (content ranges with their lang, setup and
+ *          module attributes), `script` (the file with everything but script contents blanked
+ *          out), `template` (components, directives, loops, conditionals and references, or
+ *          null) and `start` (offset of the first top-level block)
+ */
+function parseSingleFileComponent(code, framework) {
+    const svelte = framework === 'svelte';
+    const blockPattern = svelte ? /<!--|<(script|style)\b/gi : /<!--|<(script|style|template)\b/gi;
+    const scripts = [];
+    const blocks = [];
+    let templateRanges = [];
+    let match;
+
+    while ((match = blockPattern.exec(code)) !== null) {
+        if (!match[1]) {
+            const commentEnd = code.indexOf('-->', match.index + 4);
+            blockPattern.lastIndex = commentEnd === -1 ? code.length : commentEnd + 3;
+            continue;
+        }
+
+        const name = match[1].toLowerCase();
+        const { attributes, end: contentStart } = readAttributes(code, match.index + match[0].length, false);
+        const { contentEnd, end } = findClosingTag(code, name, contentStart);
+        const attrs = attributeMap(attributes);
+        blocks.push({ start: match.index, end });
+
+        if (name === 'script') {
+            scripts.push({
+                start: contentStart,
+                end: contentEnd,
+                lang: typeof attrs.lang === 'string' ? attrs.lang : null,
+                setup: attrs.setup !== undefined,
+                module: attrs.context === 'module' || attrs.module !== undefined
+            });
+        } else if (name === 'template') {
+            templateRanges.push({ start: contentStart, end: contentEnd });
+        }
+        blockPattern.lastIndex = end;
+    }
+
+    if (svelte) {
+        // Svelte markup is whatever is not a script or style
+        let position = 0;
+        for (const block of blocks) {
+            if (block.start > position) templateRanges.push({ start: position, end: block.start });
+            position = block.end;
+        }
+        if (position < code.length) templateRanges.push({ start: position, end: code.length });
+        if (scripts.length === 0 && blocks.length === 0 && !/^\s*(?:<|\{[#:/@])/.test(code)) {
+            // A selection from inside the script
+            templateRanges = [];
+        }
+    } else if (blocks.length === 0) {
+        // A selection from inside the component: markup is template, anything else script
+        if (/^\s*</.test(code)) {
+            templateRanges.push({ start: 0, end: code.length });
+        }
+    }
+
+    if (blocks.length === 0 && templateRanges.length === 0) {
+        scripts.push({ start: 0, end: code.length, lang: null, setup: false, module: false });
+    }
+
+    const langs = scripts.map(script => script.lang);
+    let scriptLanguage = 'javascript';
+    if (langs.includes('tsx')) {
+        scriptLanguage = 'typescriptreact';
+    } else if (langs.includes('ts') || langs.includes('typescript')) {
+        scriptLanguage = 'typescript';
+    } else if (langs.includes('jsx')) {
+        scriptLanguage = 'javascriptreact';
+    }
+
+    return {
+        framework,
+        scriptLanguage,
+        scripts,
+        script: keepRanges(code, scripts),
+        template: templateRanges.length > 0 ? scanTemplate(code, templateRanges, svelte) : null,
+        start: blocks.length > 0 ? blocks[0].start : 0
+    };
+}
+
+module.exports = {
+    FRAMEWORK_NAMES,
+    parseSingleFileComponent
+};
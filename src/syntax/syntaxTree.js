@@ -0,0 +1,2916 @@
+const { Tokenizer } = require('./tokenizer');
+const { LineIndex } = require('./lineIndex');
+
+/**
+ * Syntax Tree builder for WhiskerCode
+ * A tolerant recursive-descent parser for JavaScript, TypeScript, JSX and TSX.
+ *
+ * Nodes follow the ESTree shape (`type`, `start`, `end`, `loc`) so analyzers
+ * can rely on familiar field names. TypeScript type syntax is recognized and
+ * skipped; annotations are kept as `TypeAnnotation` nodes holding their text.
+ * Syntax errors are recorded in `program.errors` and parsing resumes at the
+ * next statement, which keeps partial selections and half-typed code usable.
+ */
+
+// Binary operator precedence, higher binds tighter
+const BINARY_PRECEDENCE = {
+    '??': 1, '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+    '==': 6, '!=': 6, '===': 6, '!==': 6,
+    '<': 7, '>': 7, '<=': 7, '>=': 7, 'instanceof': 7, 'in': 7,
+    '<<': 8, '>>': 8, '>>>': 8,
+    '+': 9, '-': 9,
+    '*': 10, '/': 10, '%': 10,
+    '**': 11
+};
+
+const ASSIGNMENT_OPERATORS = new Set([
+    '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??='
+]);
+
+const UNARY_OPERATORS = new Set(['!', '~', '+', '-', 'typeof', 'void', 'delete']);
+
+// Modifiers that may precede a class member name
+const CLASS_MODIFIERS = new Set([
+    'static', 'public', 'private', 'protected', 'readonly', 'abstract', 'override', 'declare', 'accessor'
+]);
+
+// Tokens that cannot appear inside type arguments of a call
+const NON_TYPE_OPERATORS = new Set([
+    '&&', '||', ';', '==', '===', '!=', '!==', '+', '-', '*', '/', '%', '!', '++', '--', '=', '+=', '-='
+]);
+
+// Keys that never hold child nodes
+const NON_CHILD_KEYS = new Set(['type', 'start', 'end', 'loc', 'tokens', 'comments', 'errors', 'lineIndex']);
+
+/**
+ * Error raised while parsing; always caught and recorded by the parser
+ */
+class ParseError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'ParseError';
+        this.position = position;
+    }
+}
+
+class SyntaxTreeParser {
+    /**
+     * @param {string} code - Source code to parse
+     * @param {object} options - Parse options
+     * @param {boolean} [options.typescript] - Recognize TypeScript syntax
+     * @param {boolean} [options.jsx] - Recognize JSX elements
+     */
+    constructor(code, options = {}) {
+        this.code = code;
+        this.typescript = !!options.typescript;
+        this.jsx = !!options.jsx;
+        this.tokenizer = new Tokenizer(code);
+        this.lineIndex = new LineIndex(code);
+        this.tokens = [];
+        this.errors = [];
+        this.prevToken = null;
+        this.token = this.tokenizer.next();
+    }
+
+    /**
+     * Parse the whole source
+     * @returns {object} Program node with tokens, comments and errors attached
+     */
+    parseProgram() {
+        const body = this._parseStatementList(true);
+        const program = this._finishAt('Program', 0, this.code.length, { body });
+
+        program.tokens = this.tokens;
+        program.comments = this.tokenizer.comments;
+        program.errors = this.errors;
+        program.lineIndex = this.lineIndex;
+        return program;
+    }
+
+    // Token helpers
+
+    /**
+     * Advance to the next token
+     * @private
+     */
+    _next() {
+        if (this.token.type !== 'eof') {
+            this.tokens.push(this.token);
+        }
+        this.prevToken = this.token;
+        this.token = this.tokenizer.next();
+    }
+
+    /**
+     * Check whether the current token is a punctuator or keyword with the given value
+     * @private
+     */
+    _is(value) {
+        return this.token.value === value && (this.token.type === 'punctuator' || this.token.type === 'keyword');
+    }
+
+    /**
+     * Check whether the current token is an identifier (optionally with a given name)
+     * @private
+     */
+    _isIdent(name) {
+        return this.token.type === 'identifier' && (name === undefined || this.token.value === name);
+    }
+
+    /**
+     * Consume the current token if it matches
+     * @private
+     */
+    _eat(value) {
+        if (this._is(value)) {
+            this._next();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Consume the current token or fail
+     * @private
+     */
+    _expect(value) {
+        if (!this._eat(value)) {
+            throw this._unexpected(`Expected '${value}'`);
+        }
+    }
+
+    /**
+     * Consume a closing bracket; a missing one at end of input is recorded but tolerated
+     * @private
+     */
+    _expectClosing(value) {
+        if (this.token.type === 'eof') {
+            this._recordError(`Missing '${value}'`, this.token.start);
+            return;
+        }
+        this._expect(value);
+    }
+
+    /**
+     * Handle an optional semicolon using automatic semicolon insertion rules
+     * @private
+     */
+    _consumeSemicolon() {
+        if (this._eat(';')) return;
+        if (this._is('}') || this.token.type === 'eof' || this.token.newlineBefore) return;
+        throw this._unexpected('Expected \';\'');
+    }
+
+    /**
+     * Build an error for the current token
+     * @private
+     */
+    _unexpected(message) {
+        const found = this.token.type === 'eof' ? 'end of input' : `'${this.token.value}'`;
+        return new ParseError(`${message || 'Unexpected token'} (found ${found})`, this.token.start);
+    }
+
+    /**
+     * Record a syntax error
+     * @private
+     */
+    _recordError(message, position) {
+        const { line, column } = this.lineIndex.positionAt(position);
+        this.errors.push({ message, position, line, column });
+    }
+
+    /**
+     * Look at the token after the current one
+     * @private
+     */
+    _peek() {
+        const state = this._save();
+        this._next();
+        const token = this.token;
+        this._restore(state);
+        return token;
+    }
+
+    /**
+     * Capture parser state for speculative parsing
+     * @private
+     */
+    _save() {
+        return {
+            tokenizer: this.tokenizer.save(),
+            token: this.token,
+            prevToken: this.prevToken,
+            tokenCount: this.tokens.length,
+            errorCount: this.errors.length
+        };
+    }
+
+    /**
+     * Restore parser state captured with _save()
+     * @private
+     */
+    _restore(state) {
+        this.tokenizer.restore(state.tokenizer);
+        this.token = state.token;
+        this.prevToken = state.prevToken;
+        this.tokens.length = state.tokenCount;
+        this.errors.length = state.errorCount;
+    }
+
+    /**
+     * Run a speculative check and always rewind afterwards
+     * @private
+     */
+    _lookahead(check) {
+        const state = this._save();
+        try {
+            return check();
+        } catch (error) {
+            if (error instanceof ParseError) return false;
+            throw error;
+        } finally {
+            this._restore(state);
+        }
+    }
+
+    /**
+     * Skip a balanced bracket pair starting at the current token
+     * @private
+     */
+    _skipBalanced(open, close) {
+        let depth = 0;
+        do {
+            if (this.token.type === 'eof') throw this._unexpected(`Expected '${close}'`);
+            if (this._is(open)) depth++;
+            else if (this._is(close)) depth--;
+            this._next();
+        } while (depth > 0);
+    }
+
+    // Node helpers
+
+    /**
+     * Finish a node that ends at the last consumed token
+     * @private
+     */
+    _finish(type, start, props) {
+        const end = Math.max(start, this.prevToken ? this.prevToken.end : start);
+        return this._finishAt(type, start, end, props);
+    }
+
+    /**
+     * Finish a node with an explicit end offset
+     * @private
+     */
+    _finishAt(type, start, end, props) {
+        return Object.assign({
+            type,
+            start,
+            end,
+            loc: {
+                start: this.lineIndex.positionAt(start),
+                end: this.lineIndex.positionAt(end)
+            }
+        }, props);
+    }
+
+    // Statements
+
+    /**
+     * Parse statements until a closing brace (or end of input)
+     * @private
+     */
+    _parseStatementList(topLevel) {
+        const body = [];
+
+        while (this.token.type !== 'eof') {
+            if (this._is('}')) {
+                if (!topLevel) break;
+                this._recordError('Unexpected \'}\'', this.token.start);
+                this._next();
+                continue;
+            }
+
+            const before = this.token.start;
+            try {
+                body.push(this._parseStatement());
+            } catch (error) {
+                if (!(error instanceof ParseError)) throw error;
+                this._recordError(error.message, error.position);
+                this._recover(before);
+            }
+        }
+
+        return body;
+    }
+
+    /**
+     * Skip tokens after a syntax error until a likely statement boundary
+     * @private
+     */
+    _recover(startPosition) {
+        if (this.token.start === startPosition && this.token.type !== 'eof') {
+            this._next();
+        }
+
+        let depth = 0;
+        while (this.token.type !== 'eof') {
+            if (this._is('{')) {
+                depth++;
+            } else if (this._is('}')) {
+                if (depth === 0) return;
+                depth--;
+                this._next();
+                if (depth === 0 && this.token.newlineBefore) return;
+                continue;
+            } else if (depth === 0 && this._is(';')) {
+                this._next();
+                return;
+            } else if (depth === 0 && this.token.newlineBefore) {
+                return;
+            }
+            this._next();
+        }
+    }
+
+    /**
+     * Parse a single statement or declaration
+     * @private
+     */
+    _parseStatement() {
+        const token = this.token;
+        const start = token.start;
+
+        if (token.type === 'punctuator') {
+            switch (token.value) {
+                case '{':
+                    return this._parseBlock();
+                case ';':
+                    this._next();
+                    return this._finish('EmptyStatement', start, {});
+                case '@': {
+                    const decorators = this._parseDecorators();
+                    if (this._isIdent('abstract') || this._isIdent('export') || this._is('export')) {
+                        return this._withDecorators(this._parseStatement(), decorators);
+                    }
+                    return this._parseClass(start, true, decorators);
+                }
+            }
+        }
+
+        if (token.type === 'keyword') {
+            switch (token.value) {
+                case 'var':
+                    return this._parseVarStatement(start, 'var');
+                case 'const':
+                    if (this.typescript && this._peek().value === 'enum') {
+                        this._next();
+                        return this._parseEnum(start);
+                    }
+                    return this._parseVarStatement(start, 'const');
+                case 'function':
+                    return this._parseFunction(start, true, false);
+                case 'class':
+                    return this._parseClass(start, true, []);
+                case 'if':
+                    return this._parseIf(start);
+                case 'for':
+                    return this._parseFor(start);
+                case 'while':
+                    return this._parseWhile(start);
+                case 'do':
+                    return this._parseDoWhile(start);
+                case 'return':
+                    return this._parseReturn(start);
+                case 'break':
+                case 'continue':
+                    return this._parseBreakContinue(start, token.value);
+                case 'throw':
+                    return this._parseThrow(start);
+                case 'try':
+                    return this._parseTry(start);
+                case 'switch':
+                    return this._parseSwitch(start);
+                case 'with':
+                    return this._parseWith(start);
+                case 'debugger':
+                    this._next();
+                    this._consumeSemicolon();
+                    return this._finish('DebuggerStatement', start, {});
+                case 'import': {
+                    const next = this._peek();
+                    if (next.value === '(' || next.value === '.') break;
+                    return this._parseImport(start);
+                }
+                case 'export':
+                    return this._parseExport(start);
+                case 'enum':
+                    return this._parseEnum(start);
+            }
+        }
+
+        if (token.type === 'identifier') {
+            const declaration = this._tryParseContextualDeclaration(start);
+            if (declaration) return declaration;
+
+            // Labeled statement
+            if (this._peek().value === ':') {
+                const label = this._parseIdentifier();
+                this._expect(':');
+                const body = this._parseStatement();
+                return this._finish('LabeledStatement', start, { label, body });
+            }
+        }
+
+        return this._parseExpressionStatement(start);
+    }
+
+    /**
+     * Parse declarations introduced by contextual keywords (let, async, TypeScript declarations)
+     * @private
+     */
+    _tryParseContextualDeclaration(start) {
+        const value = this.token.value;
+        const next = this._peek();
+        const nextIsName = next.type === 'identifier' || (next.type === 'keyword' && !next.newlineBefore && next.value !== 'in' && next.value !== 'instanceof');
+
+        if (value === 'let' && (next.type === 'identifier' || next.value === '[' || next.value === '{')) {
+            return this._parseVarStatement(start, 'let');
+        }
+
+        if (value === 'async' && next.value === 'function' && !next.newlineBefore) {
+            this._next();
+            return this._parseFunction(start, true, true);
+        }
+
+        if (!this.typescript || next.newlineBefore) return null;
+
+        switch (value) {
+            case 'interface':
+                if (next.type === 'identifier') return this._parseInterface(start);
+                break;
+            case 'type':
+                if (next.type === 'identifier') return this._parseTypeAlias(start);
+                break;
+            case 'namespace':
+            case 'module':
+                if (next.type === 'identifier' || next.type === 'string') return this._parseModuleDeclaration(start);
+                break;
+            case 'global':
+                if (next.value === '{') return this._parseModuleDeclaration(start);
+                break;
+            case 'abstract':
+                if (next.value === 'class') {
+                    this._next();
+                    const node = this._parseClass(start, true, []);
+                    node.abstract = true;
+                    return node;
+                }
+                break;
+            case 'declare':
+                if (nextIsName || next.value === 'const' || next.value === 'var' || next.value === 'function' || next.value === 'class' || next.value === 'enum') {
+                    this._next();
+                    const node = this._parseStatement();
+                    node.declare = true;
+                    node.start = start;
+                    return node;
+                }
+                break;
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a block statement
+     * @private
+     */
+    _parseBlock() {
+        const start = this.token.start;
+        this._expect('{');
+        const body = this._parseStatementList(false);
+        this._expectClosing('}');
+        return this._finish('BlockStatement', start, { body });
+    }
+
+    /**
+     * Parse an expression statement
+     * @private
+     */
+    _parseExpressionStatement(start) {
+        const expression = this._parseExpression(false);
+        this._consumeSemicolon();
+        return this._finish('ExpressionStatement', start, { expression });
+    }
+
+    /**
+     * Parse var/let/const statement
+     * @private
+     */
+    _parseVarStatement(start, kind) {
+        this._next();
+        const declarations = this._parseVarDeclarations(false);
+        this._consumeSemicolon();
+        return this._finish('VariableDeclaration', start, { kind, declarations });
+    }
+
+    /**
+     * Parse a comma-separated list of variable declarators
+     * @private
+     */
+    _parseVarDeclarations(noIn) {
+        const declarations = [];
+
+        do {
+            const start = this.token.start;
+            const id = this._parseBindingTarget();
+
+            if (this.typescript) {
+                this._eat('!');
+                if (this._eat(':')) {
+                    id.typeAnnotation = this._parseType();
+                }
+            }
+
+            const init = this._eat('=') ? this._parseAssign(noIn) : null;
+            declarations.push(this._finish('VariableDeclarator', start, { id, init }));
+        } while (this._eat(','));
+
+        return declarations;
+    }
+
+    /**
+     * Parse an if statement
+     * @private
+     */
+    _parseIf(start) {
+        this._next();
+        this._expect('(');
+        const test = this._parseExpression(false);
+        this._expectClosing(')');
+        const consequent = this._parseStatement();
+        let alternate = null;
+        let elseStart = null;
+
+        if (this._is('else')) {
+            elseStart = this.token.start;
+            this._next();
+            alternate = this._parseStatement();
+        }
+
+        return this._finish('IfStatement', start, { test, consequent, alternate, elseStart });
+    }
+
+    /**
+     * Parse for, for-in and for-of statements
+     * @private
+     */
+    _parseFor(start) {
+        this._next();
+        const isAwait = this._isIdent('await');
+        if (isAwait) this._next();
+        this._expect('(');
+
+        let init = null;
+        if (!this._is(';')) {
+            const initStart = this.token.start;
+            const isLet = this._isIdent('let') && this._lookahead(() => {
+                this._next();
+                return this.token.type === 'identifier' || this._is('[') || this._is('{');
+            });
+
+            if (this._is('var') || this._is('const') || isLet) {
+                const kind = this.token.value;
+                this._next();
+                const declarations = this._parseVarDeclarations(true);
+                init = this._finish('VariableDeclaration', initStart, { kind, declarations });
+            } else {
+                init = this._parseExpression(true);
+            }
+
+            if (this._is('in') || this._isIdent('of')) {
+                const type = this._is('in') ? 'ForInStatement' : 'ForOfStatement';
+                this._next();
+                const left = init.type === 'VariableDeclaration' ? init : this._toPattern(init);
+                const right = type === 'ForOfStatement' ? this._parseAssign(false) : this._parseExpression(false);
+                this._expectClosing(')');
+                const body = this._parseStatement();
+                return this._finish(type, start, { left, right, body, await: isAwait });
+            }
+        }
+
+        this._expect(';');
+        const test = this._is(';') ? null : this._parseExpression(false);
+        this._expect(';');
+        const update = this._is(')') ? null : this._parseExpression(false);
+        this._expectClosing(')');
+        const body = this._parseStatement();
+        return this._finish('ForStatement', start, { init, test, update, body });
+    }
+
+    /**
+     * Parse a while loop
+     * @private
+     */
+    _parseWhile(start) {
+        this._next();
+        this._expect('(');
+        const test = this._parseExpression(false);
+        this._expectClosing(')');
+        const body = this._parseStatement();
+        return this._finish('WhileStatement', start, { test, body });
+    }
+
+    /**
+     * Parse a do-while loop
+     * @private
+     */
+    _parseDoWhile(start) {
+        this._next();
+        const body = this._parseStatement();
+        this._expect('while');
+        this._expect('(');
+        const test = this._parseExpression(false);
+        this._expectClosing(')');
+        this._eat(';');
+        return this._finish('DoWhileStatement', start, { body, test });
+    }
+
+    /**
+     * Parse a return statement
+     * @private
+     */
+    _parseReturn(start) {
+        this._next();
+        let argument = null;
+        if (!this._is(';') && !this._is('}') && this.token.type !== 'eof' && !this.token.newlineBefore) {
+            argument = this._parseExpression(false);
+        }
+        this._consumeSemicolon();
+        return this._finish('ReturnStatement', start, { argument });
+    }
+
+    /**
+     * Parse break or continue with an optional label
+     * @private
+     */
+    _parseBreakContinue(start, keyword) {
+        this._next();
+        let label = null;
+        if (this.token.type === 'identifier' && !this.token.newlineBefore) {
+            label = this._parseIdentifier();
+        }
+        this._consumeSemicolon();
+        return this._finish(keyword === 'break' ? 'BreakStatement' : 'ContinueStatement', start, { label });
+    }
+
+    /**
+     * Parse a throw statement
+     * @private
+     */
+    _parseThrow(start) {
+        this._next();
+        const argument = this._parseExpression(false);
+        this._consumeSemicolon();
+        return this._finish('ThrowStatement', start, { argument });
+    }
+
+    /**
+     * Parse try/catch/finally
+     * @private
+     */
+    _parseTry(start) {
+        this._next();
+        const block = this._parseBlock();
+        let handler = null;
+        let finalizer = null;
+
+        if (this._is('catch')) {
+            const catchStart = this.token.start;
+            this._next();
+            let param = null;
+            if (this._eat('(')) {
+                param = this._parseBindingTarget();
+                if (this.typescript && this._eat(':')) {
+                    param.typeAnnotation = this._parseType();
+                }
+                this._expectClosing(')');
+            }
+            const body = this._parseBlock();
+            handler = this._finish('CatchClause', catchStart, { param, body });
+        }
+
+        if (this._eat('finally')) {
+            finalizer = this._parseBlock();
+        }
+
+        return this._finish('TryStatement', start, { block, handler, finalizer });
+    }
+
+    /**
+     * Parse a switch statement
+     * @private
+     */
+    _parseSwitch(start) {
+        this._next();
+        this._expect('(');
+        const discriminant = this._parseExpression(false);
+        this._expectClosing(')');
+        this._expect('{');
+
+        const cases = [];
+        while (!this._is('}') && this.token.type !== 'eof') {
+            const caseStart = this.token.start;
+            let test = null;
+
+            if (this._eat('case')) {
+                test = this._parseExpression(false);
+            } else {
+                this._expect('default');
+            }
+            this._expect(':');
+
+            const consequent = [];
+            while (!this._is('case') && !this._is('default') && !this._is('}') && this.token.type !== 'eof') {
+                const before = this.token.start;
+                try {
+                    consequent.push(this._parseStatement());
+                } catch (error) {
+                    if (!(error instanceof ParseError)) throw error;
+                    this._recordError(error.message, error.position);
+                    this._recover(before);
+                }
+            }
+
+            cases.push(this._finish('SwitchCase', caseStart, { test, consequent }));
+        }
+
+        this._expectClosing('}');
+        return this._finish('SwitchStatement', start, { discriminant, cases });
+    }
+
+    /**
+     * Parse a with statement
+     * @private
+     */
+    _parseWith(start) {
+        this._next();
+        this._expect('(');
+        const object = this._parseExpression(false);
+        this._expectClosing(')');
+        const body = this._parseStatement();
+        return this._finish('WithStatement', start, { object, body });
+    }
+
+    // Modules
+
+    /**
+     * Parse an import declaration
+     * @private
+     */
+    _parseImport(start) {
+        this._next();
+        let importKind = 'value';
+        const specifiers = [];
+
+        if (this.typescript && this._isIdent('type')) {
+            const next = this._peek();
+            if (next.value === '{' || next.value === '*' || (next.type === 'identifier' && next.value !== 'from')) {
+                importKind = 'type';
+                this._next();
+            }
+        }
+
+        // Side-effect import
+        if (this.token.type === 'string') {
+            const source = this._parseLiteral();
+            this._skipImportAttributes();
+            this._consumeSemicolon();
+            return this._finish('ImportDeclaration', start, { specifiers, source, importKind });
+        }
+
+        if (this.token.type === 'identifier') {
+            const localStart = this.token.start;
+            const local = this._parseIdentifier();
+
+            // TypeScript: import x = require('y')
+            if (this.typescript && this._eat('=')) {
+                const moduleReference = this._parseExpression(false);
+                this._consumeSemicolon();
+                return this._finish('TSImportEqualsDeclaration', start, { id: local, moduleReference });
+            }
+
+            specifiers.push(this._finish('ImportDefaultSpecifier', localStart, { local }));
+            this._eat(',');
+        }
+
+        if (this._is('*')) {
+            const nsStart = this.token.start;
+            this._next();
+            this._expectContextual('as');
+            const local = this._parseIdentifier();
+            specifiers.push(this._finish('ImportNamespaceSpecifier', nsStart, { local }));
+        } else if (this._is('{')) {
+            this._next();
+            while (!this._is('}') && this.token.type !== 'eof') {
+                const specStart = this.token.start;
+                if (this.typescript && this._isIdent('type') && this._peek().value !== ',' && this._peek().value !== '}' && this._peek().value !== 'as') {
+                    this._next();
+                }
+                const imported = this.token.type === 'string' ? this._parseLiteral() : this._parsePropertyIdentifier();
+                let local = imported;
+                if (this._isIdent('as')) {
+                    this._next();
+                    local = this._parseIdentifier();
+                }
+                specifiers.push(this._finish('ImportSpecifier', specStart, { imported, local }));
+                if (!this._eat(',')) break;
+            }
+            this._expectClosing('}');
+        }
+
+        this._expectContextual('from');
+        const source = this._parseLiteral();
+        this._skipImportAttributes();
+        this._consumeSemicolon();
+        return this._finish('ImportDeclaration', start, { specifiers, source, importKind });
+    }
+
+    /**
+     * Skip `with { type: 'json' }` / `assert { ... }` import attributes
+     * @private
+     */
+    _skipImportAttributes() {
+        if ((this._is('with') || this._isIdent('assert')) && !this.token.newlineBefore) {
+            this._next();
+            this._skipBalanced('{', '}');
+        }
+    }
+
+    /**
+     * Parse an export declaration
+     * @private
+     */
+    _parseExport(start) {
+        this._next();
+
+        // export default ...
+        if (this._eat('default')) {
+            let declaration;
+            const declStart = this.token.start;
+
+            if (this._is('function')) {
+                declaration = this._parseFunction(declStart, true, false);
+            } else if (this._isIdent('async') && this._peek().value === 'function') {
+                this._next();
+                declaration = this._parseFunction(declStart, true, true);
+            } else if (this._is('class') || this._is('@')) {
+                const decorators = this._parseDecorators();
+                declaration = this._parseClass(declStart, true, decorators);
+            } else if (this.typescript && this._isIdent('interface')) {
+                declaration = this._parseInterface(declStart);
+            } else if (this.typescript && this._isIdent('abstract')) {
+                this._next();
+                declaration = this._parseClass(declStart, true, []);
+            } else {
+                declaration = this._parseAssign(false);
+                this._consumeSemicolon();
+            }
+
+            return this._finish('ExportDefaultDeclaration', start, { declaration });
+        }
+
+        // TypeScript: export = x;
+        if (this.typescript && this._is('=')) {
+            this._next();
+            const expression = this._parseExpression(false);
+            this._consumeSemicolon();
+            return this._finish('TSExportAssignment', start, { expression });
+        }
+
+        // TypeScript: export as namespace X;
+        if (this.typescript && this._isIdent('as')) {
+            this._next();
+            this._expectContextual('namespace');
+            const id = this._parseIdentifier();
+            this._consumeSemicolon();
+            return this._finish('TSNamespaceExportDeclaration', start, { id });
+        }
+
+        // export * from 'x' / export * as ns from 'x'
+        if (this._is('*')) {
+            this._next();
+            let exported = null;
+            if (this._isIdent('as')) {
+                this._next();
+                exported = this.token.type === 'string' ? this._parseLiteral() : this._parsePropertyIdentifier();
+            }
+            this._expectContextual('from');
+            const source = this._parseLiteral();
+            this._skipImportAttributes();
+            this._consumeSemicolon();
+            return this._finish('ExportAllDeclaration', start, { exported, source });
+        }
+
+        let exportKind = 'value';
+        if (this.typescript && this._isIdent('type') && this._peek().value === '{') {
+            exportKind = 'type';
+            this._next();
+        }
+
+        // export { a, b as c } [from 'x']
+        if (this._is('{')) {
+            this._next();
+            const specifiers = [];
+            while (!this._is('}') && this.token.type !== 'eof') {
+                const specStart = this.token.start;
+                if (this.typescript && this._isIdent('type') && this._peek().type === 'identifier' && this._peek().value !== 'as') {
+                    this._next();
+                }
+                const local = this.token.type === 'string' ? this._parseLiteral() : this._parsePropertyIdentifier();
+                let exported = local;
+                if (this._isIdent('as')) {
+                    this._next();
+                    exported = this.token.type === 'string' ? this._parseLiteral() : this._parsePropertyIdentifier();
+                }
+                specifiers.push(this._finish('ExportSpecifier', specStart, { local, exported }));
+                if (!this._eat(',')) break;
+            }
+            this._expectClosing('}');
+
+            let source = null;
+            if (this._isIdent('from')) {
+                this._next();
+                source = this._parseLiteral();
+                this._skipImportAttributes();
+            }
+            this._consumeSemicolon();
+            return this._finish('ExportNamedDeclaration', start, { declaration: null, specifiers, source, exportKind });
+        }
+
+        // export <declaration>
+        const declaration = this._parseStatement();
+        return this._finish('ExportNamedDeclaration', start, { declaration, specifiers: [], source: null, exportKind });
+    }
+
+    /**
+     * Expect a contextual keyword such as `from` or `as`
+     * @private
+     */
+    _expectContextual(name) {
+        if (!this._isIdent(name)) {
+            throw this._unexpected(`Expected '${name}'`);
+        }
+        this._next();
+    }
+
+    // TypeScript declarations
+
+    /**
+     * Parse an interface declaration; the body is skipped
+     * @private
+     */
+    _parseInterface(start) {
+        this._next();
+        const id = this._parseIdentifier();
+        const typeParameters = this._is('<') ? this._parseTypeParameters() : null;
+
+        const heritage = [];
+        if (this._is('extends')) {
+            this._next();
+            do {
+                heritage.push(this._parseType());
+            } while (this._eat(','));
+        }
+
+        const bodyStart = this.token.start;
+        this._skipBalanced('{', '}');
+        const body = this._finish('TSInterfaceBody', bodyStart, {});
+        return this._finish('TSInterfaceDeclaration', start, { id, typeParameters, heritage, body });
+    }
+
+    /**
+     * Parse a type alias declaration
+     * @private
+     */
+    _parseTypeAlias(start) {
+        this._next();
+        const id = this._parseIdentifier();
+        const typeParameters = this._is('<') ? this._parseTypeParameters() : null;
+        this._expect('=');
+        const typeAnnotation = this._parseType();
+        this._consumeSemicolon();
+        return this._finish('TSTypeAliasDeclaration', start, { id, typeParameters, typeAnnotation });
+    }
+
+    /**
+     * Parse an enum declaration
+     * @private
+     */
+    _parseEnum(start) {
+        this._next();
+        const id = this._parseIdentifier();
+        this._expect('{');
+
+        const members = [];
+        while (!this._is('}') && this.token.type !== 'eof') {
+            const memberStart = this.token.start;
+            const memberId = this.token.type === 'string' ? this._parseLiteral() : this._parsePropertyIdentifier();
+            const initializer = this._eat('=') ? this._parseAssign(false) : null;
+            members.push(this._finish('TSEnumMember', memberStart, { id: memberId, initializer }));
+            if (!this._eat(',')) break;
+        }
+
+        this._expectClosing('}');
+        return this._finish('TSEnumDeclaration', start, { id, members });
+    }
+
+    /**
+     * Parse a namespace/module declaration
+     * @private
+     */
+    _parseModuleDeclaration(start) {
+        let id;
+        if (this._isIdent('global')) {
+            id = this._parseIdentifier();
+        } else {
+            this._next();
+            id = this.token.type === 'string' ? this._parseLiteral() : this._parseIdentifier();
+            while (this._eat('.')) {
+                const property = this._parseIdentifier();
+                id = this._finish('TSQualifiedName', id.start, { left: id, right: property });
+            }
+        }
+
+        let body = null;
+        if (this._is('{')) {
+            const bodyStart = this.token.start;
+            this._next();
+            const statements = this._parseStatementList(false);
+            this._expectClosing('}');
+            body = this._finish('TSModuleBlock', bodyStart, { body: statements });
+        } else {
+            this._consumeSemicolon();
+        }
+
+        return this._finish('TSModuleDeclaration', start, { id, body });
+    }
+
+    // Functions and classes
+
+    /**
+     * Parse a function declaration or expression; the current token is `function`
+     * @private
+     */
+    _parseFunction(start, isStatement, isAsync) {
+        this._expect('function');
+        const generator = this._eat('*');
+
+        let id = null;
+        if (this.token.type === 'identifier') {
+            id = this._parseIdentifier();
+        }
+
+        const typeParameters = this.typescript && this._is('<') ? this._parseTypeParameters() : null;
+
+        const params = this._parseParams();
+        const returnType = this._parseReturnType();
+        let body = null;
+
+        if (this._is('{')) {
+            body = this._parseBlock();
+        } else if (this.typescript) {
+            // Overload signature or ambient declaration
+            this._consumeSemicolon();
+        } else {
+            throw this._unexpected('Expected function body');
+        }
+
+        return this._finish(isStatement ? 'FunctionDeclaration' : 'FunctionExpression', start, {
+            id, params, body, async: isAsync, generator, returnType, typeParameters
+        });
+    }
+
+    /**
+     * Parse a parameter list
+     * @private
+     */
+    _parseParams() {
+        this._expect('(');
+        const params = [];
+
+        while (!this._is(')') && this.token.type !== 'eof') {
+            if (this._is('@')) this._parseDecorators();
+
+            const start = this.token.start;
+
+            // TypeScript parameter properties and `this` parameters
+            if (this.typescript) {
+                while (this.token.type === 'identifier' && CLASS_MODIFIERS.has(this.token.value)) {
+                    const next = this._peek();
+                    if (next.type !== 'identifier' && next.value !== '{' && next.value !== '[' && next.value !== 'this') break;
+                    this._next();
+                }
+            }
+
+            let param;
+            if (this._eat('...')) {
+                const argument = this._parseBindingTarget();
+                this._parseOptionalParamType(argument);
+                param = this._finish('RestElement', start, { argument });
+            } else {
+                const target = this.typescript && this._is('this')
+                    ? this._finishThisParam()
+                    : this._parseBindingTarget();
+                this._parseOptionalParamType(target);
+                param = this._eat('=')
+                    ? this._finish('AssignmentPattern', start, { left: target, right: this._parseAssign(false) })
+                    : target;
+            }
+
+            params.push(param);
+            if (!this._eat(',')) break;
+        }
+
+        this._expectClosing(')');
+        return params;
+    }
+
+    /**
+     * Parse a TypeScript `this` parameter as an identifier
+     * @private
+     */
+    _finishThisParam() {
+        const start = this.token.start;
+        this._next();
+        return this._finish('Identifier', start, { name: 'this' });
+    }
+
+    /**
+     * Parse an optional `?` and type annotation after a parameter
+     * @private
+     */
+    _parseOptionalParamType(target) {
+        if (!this.typescript) return;
+        if (this._eat('?')) target.optional = true;
+        if (this._eat(':')) target.typeAnnotation = this._parseType();
+    }
+
+    /**
+     * Parse an optional TypeScript return type
+     * @private
+     */
+    _parseReturnType() {
+        if (this.typescript && this._eat(':')) {
+            return this._parseType();
+        }
+        return null;
+    }
+
+    /**
+     * Parse a class declaration or expression; the current token is `class`
+     * @private
+     */
+    _parseClass(start, isStatement, decorators) {
+        this._expect('class');
+
+        let id = null;
+        if (this.token.type === 'identifier' && !this._isIdent('implements')) {
+            id = this._parseIdentifier();
+        }
+        const typeParameters = this.typescript && this._is('<') ? this._parseTypeParameters() : null;
+
+        let superClass = null;
+        let superTypeArguments = null;
+        if (this._eat('extends')) {
+            const superStart = this.token.start;
+            superClass = this._parseSubscripts(this._parseExprAtom(), superStart, false);
+            if (this.typescript && this._is('<')) superTypeArguments = this._parseTypeParameters();
+        }
+
+        const implementsTypes = [];
+        if (this._isIdent('implements')) {
+            this._next();
+            do {
+                implementsTypes.push(this._parseType());
+            } while (this._eat(','));
+        }
+
+        const body = this._parseClassBody();
+        return this._finish(isStatement ? 'ClassDeclaration' : 'ClassExpression', start, {
+            id, superClass, body, decorators, implements: implementsTypes, typeParameters, superTypeArguments
+        });
+    }
+
+    /**
+     * Parse the body of a class
+     * @private
+     */
+    _parseClassBody() {
+        const start = this.token.start;
+        this._expect('{');
+        const body = [];
+
+        while (!this._is('}') && this.token.type !== 'eof') {
+            if (this._eat(';')) continue;
+
+            const before = this.token.start;
+            try {
+                const member = this._parseClassMember();
+                if (member) body.push(member);
+            } catch (error) {
+                if (!(error instanceof ParseError)) throw error;
+                this._recordError(error.message, error.position);
+                this._recover(before);
+            }
+        }
+
+        this._expectClosing('}');
+        return this._finish('ClassBody', start, { body });
+    }
+
+    /**
+     * Parse one class member
+     * @private
+     */
+    _parseClassMember() {
+        const start = this.token.start;
+        const decorators = this._is('@') ? this._parseDecorators() : [];
+        const modifiers = {};
+
+        // Modifiers are only modifiers when followed by a member name
+        for (;;) {
+            const value = this.token.value;
+            const isModifier = this.token.type === 'identifier' &&
+                (CLASS_MODIFIERS.has(value) || value === 'async' || value === 'get' || value === 'set');
+            if (!isModifier) break;
+
+            const next = this._peek();
+            if (['(', '=', ';', ':', '?', '!', '}', '<'].includes(next.value) && next.type === 'punctuator') break;
+            if (next.type === 'eof') break;
+            if ((value === 'async' || value === 'get' || value === 'set') && next.newlineBefore) break;
+
+            modifiers[value] = true;
+            this._next();
+
+            if (value === 'static' && this._is('{')) {
+                const block = this._parseBlock();
+                return this._finish('StaticBlock', start, { body: block.body });
+            }
+        }
+
+        const generator = this._eat('*');
+
+        // TypeScript index signature: [key: string]: Type;
+        if (this.typescript && this._is('[') && this._lookahead(() => {
+            this._next();
+            if (this.token.type !== 'identifier') return false;
+            this._next();
+            return this._is(':');
+        })) {
+            this._skipBalanced('[', ']');
+            if (this._eat(':')) this._parseType();
+            this._consumeSemicolon();
+            return null;
+        }
+
+        const { key, computed } = this._parsePropertyKey();
+        let optional = false;
+        if (this.typescript) {
+            optional = this._eat('?');
+            this._eat('!');
+        }
+
+        if (this._is('(') || this._is('<')) {
+            const isConstructor = !computed && !modifiers.static && (key.name === 'constructor' || key.value === '\'constructor\'' || key.value === '"constructor"');
+            const kind = isConstructor ? 'constructor' : modifiers.get ? 'get' : modifiers.set ? 'set' : 'method';
+            const value = this._parseMethodFunction(!!modifiers.async, generator);
+            return this._finish('MethodDefinition', start, {
+                key, value, kind, computed, static: !!modifiers.static, decorators, optional,
+                accessibility: modifiers.private ? 'private' : modifiers.protected ? 'protected' : modifiers.public ? 'public' : null,
+                abstract: !!modifiers.abstract
+            });
+        }
+
+        let typeAnnotation = null;
+        if (this.typescript && this._eat(':')) {
+            typeAnnotation = this._parseType();
+        }
+        const value = this._eat('=') ? this._parseAssign(false) : null;
+        this._consumeSemicolon();
+
+        return this._finish('PropertyDefinition', start, {
+            key, value, computed, static: !!modifiers.static, decorators, typeAnnotation, optional,
+            accessibility: modifiers.private ? 'private' : modifiers.protected ? 'protected' : modifiers.public ? 'public' : null
+        });
+    }
+
+    /**
+     * Parse the function part of a method (parameters and body)
+     * @private
+     */
+    _parseMethodFunction(isAsync, generator) {
+        const start = this.token.start;
+        const typeParameters = this.typescript && this._is('<') ? this._parseTypeParameters() : null;
+        const params = this._parseParams();
+        const returnType = this._parseReturnType();
+        let body = null;
+
+        if (this._is('{')) {
+            body = this._parseBlock();
+        } else if (this.typescript) {
+            // Abstract method or overload signature
+            this._consumeSemicolon();
+        } else {
+            throw this._unexpected('Expected method body');
+        }
+
+        return this._finish('FunctionExpression', start, {
+            id: null, params, body, async: isAsync, generator, returnType, typeParameters
+        });
+    }
+
+    /**
+     * Parse a property key (identifier, string, number, private name or computed)
+     * @private
+     */
+    _parsePropertyKey() {
+        if (this._is('[')) {
+            this._next();
+            const key = this._parseAssign(false);
+            this._expect(']');
+            return { key, computed: true };
+        }
+
+        if (this.token.type === 'string' || this.token.type === 'number') {
+            return { key: this._parseLiteral(), computed: false };
+        }
+
+        if (this.token.type === 'privateName') {
+            const start = this.token.start;
+            const name = this.token.value.substring(1);
+            this._next();
+            return { key: this._finish('PrivateIdentifier', start, { name }), computed: false };
+        }
+
+        return { key: this._parsePropertyIdentifier(), computed: false };
+    }
+
+    /**
+     * Parse decorators such as @Component({...})
+     * @private
+     */
+    _parseDecorators() {
+        const decorators = [];
+        while (this._is('@')) {
+            const start = this.token.start;
+            this._next();
+            const exprStart = this.token.start;
+            const expression = this._parseSubscripts(this._parseExprAtom(), exprStart, false);
+            decorators.push(this._finish('Decorator', start, { expression }));
+        }
+        return decorators;
+    }
+
+    /**
+     * Attach decorators to a parsed declaration
+     * @private
+     */
+    _withDecorators(node, decorators) {
+        const target = node.declaration || node;
+        if (target && target.type && target.type.startsWith('Class')) {
+            target.decorators = decorators.concat(target.decorators || []);
+        }
+        return node;
+    }
+
+    // Patterns
+
+    /**
+     * Parse a binding target: identifier, object pattern or array pattern
+     * @private
+     */
+    _parseBindingTarget() {
+        if (this._is('[')) return this._parseArrayPattern();
+        if (this._is('{')) return this._parseObjectPattern();
+        return this._parseIdentifier();
+    }
+
+    /**
+     * Parse a binding element with an optional default value
+     * @private
+     */
+    _parseBindingElement() {
+        const start = this.token.start;
+        const target = this._parseBindingTarget();
+        if (this._eat('=')) {
+            return this._finish('AssignmentPattern', start, { left: target, right: this._parseAssign(false) });
+        }
+        return target;
+    }
+
+    /**
+     * Parse an array destructuring pattern
+     * @private
+     */
+    _parseArrayPattern() {
+        const start = this.token.start;
+        this._expect('[');
+        const elements = [];
+
+        while (!this._is(']') && this.token.type !== 'eof') {
+            if (this._is(',')) {
+                this._next();
+                elements.push(null);
+                continue;
+            }
+
+            if (this._is('...')) {
+                const restStart = this.token.start;
+                this._next();
+                elements.push(this._finish('RestElement', restStart, { argument: this._parseBindingTarget() }));
+            } else {
+                elements.push(this._parseBindingElement());
+            }
+
+            if (!this._eat(',')) break;
+        }
+
+        this._expectClosing(']');
+        return this._finish('ArrayPattern', start, { elements });
+    }
+
+    /**
+     * Parse an object destructuring pattern
+     * @private
+     */
+    _parseObjectPattern() {
+        const start = this.token.start;
+        this._expect('{');
+        const properties = [];
+
+        while (!this._is('}') && this.token.type !== 'eof') {
+            const propStart = this.token.start;
+
+            if (this._eat('...')) {
+                properties.push(this._finish('RestElement', propStart, { argument: this._parseBindingTarget() }));
+            } else {
+                const { key, computed } = this._parsePropertyKey();
+                let value;
+                let shorthand = false;
+
+                if (this._eat(':')) {
+                    value = this._parseBindingElement();
+                } else {
+                    shorthand = true;
+                    value = this._finishAt('Identifier', key.start, key.end, { name: key.name });
+                    if (this._eat('=')) {
+                        value = this._finish('AssignmentPattern', propStart, { left: value, right: this._parseAssign(false) });
+                    }
+                }
+
+                properties.push(this._finish('Property', propStart, {
+                    key, value, kind: 'init', method: false, shorthand, computed
+                }));
+            }
+
+            if (!this._eat(',')) break;
+        }
+
+        this._expectClosing('}');
+        return this._finish('ObjectPattern', start, { properties });
+    }
+
+    /**
+     * Convert an expression node parsed in pattern position into a pattern
+     * @private
+     */
+    _toPattern(node) {
+        if (!node) return node;
+
+        switch (node.type) {
+            case 'ObjectExpression':
+                node.type = 'ObjectPattern';
+                for (const property of node.properties) {
+                    if (property.type === 'SpreadElement') {
+                        property.type = 'RestElement';
+                        this._toPattern(property.argument);
+                    } else {
+                        property.value = this._toPattern(property.value);
+                    }
+                }
+                break;
+            case 'ArrayExpression':
+                node.type = 'ArrayPattern';
+                node.elements = node.elements.map(element => this._toPattern(element));
+                break;
+            case 'SpreadElement':
+                node.type = 'RestElement';
+                node.argument = this._toPattern(node.argument);
+                break;
+            case 'AssignmentExpression':
+                if (node.operator === '=') {
+                    node.type = 'AssignmentPattern';
+                    delete node.operator;
+                    node.left = this._toPattern(node.left);
+                }
+                break;
+        }
+
+        return node;
+    }
+
+    // Expressions
+
+    /**
+     * Parse an expression, including comma sequences
+     * @private
+     */
+    _parseExpression(noIn) {
+        const start = this.token.start;
+        const expression = this._parseAssign(noIn);
+
+        if (this._is(',')) {
+            const expressions = [expression];
+            while (this._eat(',')) {
+                expressions.push(this._parseAssign(noIn));
+            }
+            return this._finish('SequenceExpression', start, { expressions });
+        }
+
+        return expression;
+    }
+
+    /**
+     * Parse an assignment expression (also arrows, yield and conditionals)
+     * @private
+     */
+    _parseAssign(noIn) {
+        const start = this.token.start;
+
+        const arrow = this._tryParseArrow(noIn);
+        if (arrow) return arrow;
+
+        if (this._isIdent('yield') && this._startsYieldArgument()) {
+            this._next();
+            const delegate = this._eat('*');
+            let argument = null;
+            if (!this.token.newlineBefore && this._startsExpression()) {
+                argument = this._parseAssign(noIn);
+            }
+            return this._finish('YieldExpression', start, { argument, delegate });
+        }
+
+        const left = this._parseConditional(noIn);
+
+        if (this.token.type === 'punctuator' && ASSIGNMENT_OPERATORS.has(this.token.value)) {
+            const operator = this.token.value;
+            this._next();
+            const right = this._parseAssign(noIn);
+            return this._finish('AssignmentExpression', start, {
+                operator,
+                left: operator === '=' ? this._toPattern(left) : left,
+                right
+            });
+        }
+
+        return left;
+    }
+
+    /**
+     * Check whether `yield` is used as an operator rather than an identifier
+     * @private
+     */
+    _startsYieldArgument() {
+        const next = this._peek();
+        if (next.type === 'punctuator') {
+            return ['*', '(', '[', '{', '!', '-', '+', '~', '...', ')', ']', '}', ',', ';'].includes(next.value) || next.value === '<';
+        }
+        return true;
+    }
+
+    /**
+     * Check whether the current token can start an expression
+     * @private
+     */
+    _startsExpression() {
+        const token = this.token;
+        if (token.type === 'eof') return false;
+        if (token.type === 'punctuator') {
+            return ['(', '[', '{', '!', '~', '+', '-', '++', '--', '<', '/', '/=', '...', '@'].includes(token.value);
+        }
+        if (token.type === 'keyword') {
+            return !['in', 'instanceof', 'case', 'default', 'else', 'catch', 'finally', 'extends'].includes(token.value);
+        }
+        return true;
+    }
+
+    /**
+     * Try to parse an arrow function at the current position
+     * @private
+     */
+    _tryParseArrow(noIn) {
+        const start = this.token.start;
+        let isAsync = false;
+
+        if (this._isIdent('async') && !this._peek().newlineBefore) {
+            const next = this._peek();
+            if (next.value === '(' || next.type === 'identifier' || (this.typescript && next.value === '<')) {
+                const isArrow = this._lookahead(() => {
+                    this._next();
+                    return this._scanArrowHead();
+                });
+                if (isArrow) {
+                    this._next();
+                    isAsync = true;
+                }
+            }
+        }
+
+        if (!isAsync) {
+            const canStart = this._is('(') || this.token.type === 'identifier' || (this.typescript && this._is('<'));
+            if (!canStart || !this._lookahead(() => this._scanArrowHead())) {
+                return null;
+            }
+        }
+
+        let params;
+        let typeParameters = null;
+        if (this.token.type === 'identifier') {
+            params = [this._parseIdentifier()];
+        } else {
+            if (this._is('<')) typeParameters = this._parseTypeParameters();
+            params = this._parseParams();
+        }
+        const returnType = this._parseReturnType();
+        this._expect('=>');
+
+        let body;
+        let expression = false;
+        if (this._is('{')) {
+            body = this._parseBlock();
+        } else {
+            body = this._parseAssign(noIn);
+            expression = true;
+        }
+
+        return this._finish('ArrowFunctionExpression', start, {
+            id: null, params, body, async: isAsync, generator: false, expression, returnType, typeParameters
+        });
+    }
+
+    /**
+     * Scan ahead to decide whether an arrow function head starts here
+     * @private
+     */
+    _scanArrowHead() {
+        if (this.token.type === 'identifier') {
+            this._next();
+            return this._is('=>') && !this.token.newlineBefore;
+        }
+
+        if (this._is('<')) {
+            this._parseTypeParameters();
+            if (!this._is('(')) return false;
+        }
+
+        if (!this._is('(')) return false;
+        this._skipBalanced('(', ')');
+
+        if (this.typescript && this._is(':')) {
+            this._next();
+            this._skipType();
+        }
+
+        return this._is('=>') && !this.token.newlineBefore;
+    }
+
+    /**
+     * Parse a conditional (ternary) expression
+     * @private
+     */
+    _parseConditional(noIn) {
+        const start = this.token.start;
+        const test = this._parseBinaryExpression(noIn);
+
+        if (this._is('?')) {
+            this._next();
+            const consequent = this._parseAssign(false);
+            this._expect(':');
+            const alternate = this._parseAssign(noIn);
+            return this._finish('ConditionalExpression', start, { test, consequent, alternate });
+        }
+
+        return test;
+    }
+
+    /**
+     * Parse binary and logical expressions with precedence climbing
+     * @private
+     */
+    _parseBinaryExpression(noIn) {
+        const start = this.token.start;
+        return this._parseBinaryOperators(this._parseUnary(), start, 0, noIn);
+    }
+
+    /**
+     * Get the precedence of the current token as a binary operator
+     * @private
+     */
+    _binaryPrecedence(noIn) {
+        const token = this.token;
+
+        if (this.typescript && token.type === 'identifier' && (token.value === 'as' || token.value === 'satisfies') && !token.newlineBefore) {
+            return 7;
+        }
+        if (token.type !== 'punctuator' && token.type !== 'keyword') return null;
+        if (noIn && token.value === 'in') return null;
+
+        return BINARY_PRECEDENCE[token.value] || null;
+    }
+
+    /**
+     * Combine operands while operators bind tighter than minPrecedence
+     * @private
+     */
+    _parseBinaryOperators(left, start, minPrecedence, noIn) {
+        for (;;) {
+            const precedence = this._binaryPrecedence(noIn);
+            if (precedence === null || precedence <= minPrecedence) return left;
+
+            const operator = this.token.value;
+            this._next();
+
+            if (operator === 'as' || operator === 'satisfies') {
+                const typeAnnotation = this._is('const') ? this._parseConstType() : this._parseType();
+                left = this._finish(operator === 'as' ? 'TSAsExpression' : 'TSSatisfiesExpression', start, {
+                    expression: left, typeAnnotation
+                });
+                continue;
+            }
+
+            const rightStart = this.token.start;
+            const right = this._parseBinaryOperators(
+                this._parseUnary(),
+                rightStart,
+                operator === '**' ? precedence - 1 : precedence,
+                noIn
+            );
+
+            const type = operator === '&&' || operator === '||' || operator === '??' ? 'LogicalExpression' : 'BinaryExpression';
+            left = this._finish(type, start, { operator, left, right });
+        }
+    }
+
+    /**
+     * Parse `as const`
+     * @private
+     */
+    _parseConstType() {
+        const start = this.token.start;
+        this._next();
+        return this._finish('TypeAnnotation', start, { text: 'const' });
+    }
+
+    /**
+     * Parse unary, update and await expressions
+     * @private
+     */
+    _parseUnary() {
+        const start = this.token.start;
+        const token = this.token;
+
+        if ((token.type === 'punctuator' || token.type === 'keyword') && UNARY_OPERATORS.has(token.value)) {
+            this._next();
+            const argument = this._parseUnary();
+            return this._finish('UnaryExpression', start, { operator: token.value, prefix: true, argument });
+        }
+
+        if (this._is('++') || this._is('--')) {
+            this._next();
+            const argument = this._parseUnary();
+            return this._finish('UpdateExpression', start, { operator: token.value, prefix: true, argument });
+        }
+
+        if (this._isIdent('await') && this._lookahead(() => {
+            this._next();
+            return !this.token.newlineBefore && this._startsExpression() && !this._is('<');
+        })) {
+            this._next();
+            const argument = this._parseUnary();
+            return this._finish('AwaitExpression', start, { argument });
+        }
+
+        // TypeScript angle-bracket type assertion: <T>value
+        if (this.typescript && !this.jsx && this._is('<')) {
+            this._next();
+            const typeAnnotation = this._parseType();
+            this._expect('>');
+            const expression = this._parseUnary();
+            return this._finish('TSTypeAssertion', start, { typeAnnotation, expression });
+        }
+
+        const expression = this._parseSubscripts(this._parseExprAtom(), start, false);
+
+        if ((this._is('++') || this._is('--')) && !this.token.newlineBefore) {
+            const operator = this.token.value;
+            this._next();
+            return this._finish('UpdateExpression', start, { operator, prefix: false, argument: expression });
+        }
+
+        return expression;
+    }
+
+    /**
+     * Parse member access, calls, tagged templates and non-null assertions
+     * @private
+     */
+    _parseSubscripts(base, start, noCalls) {
+        let node = base;
+        let typeArguments = null;
+
+        for (;;) {
+            if (this._is('.')) {
+                this._next();
+                const property = this._parseMemberProperty();
+                node = this._finish('MemberExpression', start, { object: node, property, computed: false, optional: false });
+            } else if (this._is('?.')) {
+                this._next();
+                if (this._is('(')) {
+                    const args = this._parseArguments();
+                    node = this._finish('CallExpression', start, { callee: node, arguments: args, optional: true });
+                } else if (this._is('[')) {
+                    this._next();
+                    const property = this._parseExpression(false);
+                    this._expect(']');
+                    node = this._finish('MemberExpression', start, { object: node, property, computed: true, optional: true });
+                } else {
+                    const property = this._parseMemberProperty();
+                    node = this._finish('MemberExpression', start, { object: node, property, computed: false, optional: true });
+                }
+            } else if (this._is('[')) {
+                this._next();
+                const property = this._parseExpression(false);
+                this._expect(']');
+                node = this._finish('MemberExpression', start, { object: node, property, computed: true, optional: false });
+            } else if (this._is('(') && !noCalls) {
+                const args = this._parseArguments();
+                node = this._finish('CallExpression', start, { callee: node, arguments: args, optional: false, typeArguments });
+                typeArguments = null;
+            } else if (this.token.type === 'template' && this.token.head) {
+                const quasi = this._parseTemplate();
+                node = this._finish('TaggedTemplateExpression', start, { tag: node, quasi });
+            } else if (this.typescript && this._is('!') && !this.token.newlineBefore) {
+                this._next();
+                node = this._finish('TSNonNullExpression', start, { expression: node });
+            } else if (this.typescript && this._is('<') && !this.token.newlineBefore && this._lookahead(() => {
+                this._parseTypeArguments();
+                return this._is('(') || (this.token.type === 'template' && this.token.head);
+            })) {
+                typeArguments = this._parseTypeArguments();
+            } else {
+                return node;
+            }
+        }
+    }
+
+    /**
+     * Parse the property name after a dot
+     * @private
+     */
+    _parseMemberProperty() {
+        if (this.token.type === 'privateName') {
+            const start = this.token.start;
+            const name = this.token.value.substring(1);
+            this._next();
+            return this._finish('PrivateIdentifier', start, { name });
+        }
+        return this._parsePropertyIdentifier();
+    }
+
+    /**
+     * Parse call arguments
+     * @private
+     */
+    _parseArguments() {
+        this._expect('(');
+        const args = [];
+
+        while (!this._is(')') && this.token.type !== 'eof') {
+            if (this._is('...')) {
+                const start = this.token.start;
+                this._next();
+                args.push(this._finish('SpreadElement', start, { argument: this._parseAssign(false) }));
+            } else {
+                args.push(this._parseAssign(false));
+            }
+            if (!this._eat(',')) break;
+        }
+
+        this._expectClosing(')');
+        return args;
+    }
+
+    /**
+     * Parse a primary expression
+     * @private
+     */
+    _parseExprAtom() {
+        const token = this.token;
+        const start = token.start;
+
+        switch (token.type) {
+            case 'identifier':
+                if (token.value === 'async' && this._peek().value === 'function' && !this._peek().newlineBefore) {
+                    this._next();
+                    return this._parseFunction(start, false, true);
+                }
+                return this._parseIdentifier();
+
+            case 'number':
+            case 'string':
+            case 'regex':
+                return this._parseLiteral();
+
+            case 'template':
+                return this._parseTemplate();
+
+            case 'privateName': {
+                const name = token.value.substring(1);
+                this._next();
+                return this._finish('PrivateIdentifier', start, { name });
+            }
+
+            case 'keyword':
+                switch (token.value) {
+                    case 'this':
+                        this._next();
+                        return this._finish('ThisExpression', start, {});
+                    case 'super':
+                        this._next();
+                        return this._finish('Super', start, {});
+                    case 'null':
+                    case 'true':
+                    case 'false':
+                        return this._parseLiteral();
+                    case 'function':
+                        return this._parseFunction(start, false, false);
+                    case 'class':
+                        return this._parseClass(start, false, []);
+                    case 'new':
+                        return this._parseNew();
+                    case 'import':
+                        return this._parseImportExpression();
+                }
+                break;
+
+            case 'punctuator':
+                switch (token.value) {
+                    case '(': {
+                        this._next();
+                        const expression = this._parseExpression(false);
+                        this._expectClosing(')');
+                        expression.parenthesized = true;
+                        return expression;
+                    }
+                    case '[':
+                        return this._parseArrayExpression();
+                    case '{':
+                        return this._parseObjectExpression();
+                    case '<':
+                        if (this.jsx) return this._parseJsxRoot();
+                        break;
+                    case '@': {
+                        const decorators = this._parseDecorators();
+                        return this._parseClass(this.token.start, false, decorators);
+                    }
+                }
+                break;
+        }
+
+        throw this._unexpected();
+    }
+
+    /**
+     * Parse an identifier
+     * @private
+     */
+    _parseIdentifier() {
+        if (this.token.type !== 'identifier') {
+            throw this._unexpected('Expected identifier');
+        }
+        const start = this.token.start;
+        const name = this.token.value;
+        this._next();
+        return this._finish('Identifier', start, { name });
+    }
+
+    /**
+     * Parse an identifier in property position, where keywords are allowed
+     * @private
+     */
+    _parsePropertyIdentifier() {
+        if (this.token.type !== 'identifier' && this.token.type !== 'keyword') {
+            throw this._unexpected('Expected property name');
+        }
+        const start = this.token.start;
+        const name = this.token.value;
+        this._next();
+        return this._finish('Identifier', start, { name });
+    }
+
+    /**
+     * Parse a literal token
+     * @private
+     */
+    _parseLiteral() {
+        const token = this.token;
+        const start = token.start;
+
+        if (!['number', 'string', 'regex', 'keyword'].includes(token.type)) {
+            throw this._unexpected('Expected literal');
+        }
+        this._next();
+
+        let value;
+        switch (token.type) {
+            case 'string':
+                value = token.value.slice(1, token.value.endsWith(token.value[0]) && token.value.length > 1 ? -1 : undefined);
+                break;
+            case 'number':
+                value = Number(token.value.replace(/_/g, '').replace(/n$/, ''));
+                break;
+            case 'regex':
+                return this._finish('Literal', start, {
+                    value: null,
+                    raw: token.value,
+                    regex: { pattern: token.pattern, flags: token.flags }
+                });
+            default:
+                value = token.value === 'null' ? null : token.value === 'true';
+        }
+
+        return this._finish('Literal', start, { value, raw: token.value });
+    }
+
+    /**
+     * Parse a template literal; the current token is its head
+     * @private
+     */
+    _parseTemplate() {
+        const start = this.token.start;
+        const quasis = [];
+        const expressions = [];
+
+        for (;;) {
+            const chunk = this.token;
+            if (chunk.type !== 'template') {
+                throw this._unexpected('Expected template continuation');
+            }
+            quasis.push(this._finishAt('TemplateElement', chunk.start, chunk.end, { raw: chunk.value, tail: chunk.tail }));
+            this._next();
+
+            if (chunk.tail) break;
+            expressions.push(this._parseExpression(false));
+        }
+
+        return this._finish('TemplateLiteral', start, { quasis, expressions });
+    }
+
+    /**
+     * Parse `new` expressions and new.target
+     * @private
+     */
+    _parseNew() {
+        const start = this.token.start;
+        this._next();
+
+        if (this._eat('.')) {
+            const property = this._parsePropertyIdentifier();
+            return this._finish('MetaProperty', start, {
+                meta: this._finishAt('Identifier', start, start + 3, { name: 'new' }),
+                property
+            });
+        }
+
+        const calleeStart = this.token.start;
+        const callee = this._parseSubscripts(this._parseExprAtom(), calleeStart, true);
+        const typeArguments = this.typescript && this._is('<') ? this._parseTypeArguments() : null;
+        const args = this._is('(') ? this._parseArguments() : [];
+        return this._finish('NewExpression', start, { callee, arguments: args, typeArguments });
+    }
+
+    /**
+     * Parse dynamic import() and import.meta
+     * @private
+     */
+    _parseImportExpression() {
+        const start = this.token.start;
+        this._next();
+
+        if (this._eat('.')) {
+            const property = this._parsePropertyIdentifier();
+            return this._finish('MetaProperty', start, {
+                meta: this._finishAt('Identifier', start, start + 6, { name: 'import' }),
+                property
+            });
+        }
+
+        this._expect('(');
+        const source = this._parseAssign(false);
+        if (this._eat(',') && !this._is(')')) {
+            this._parseAssign(false);
+            this._eat(',');
+        }
+        this._expectClosing(')');
+        return this._finish('ImportExpression', start, { source });
+    }
+
+    /**
+     * Parse an array literal
+     * @private
+     */
+    _parseArrayExpression() {
+        const start = this.token.start;
+        this._expect('[');
+        const elements = [];
+
+        while (!this._is(']') && this.token.type !== 'eof') {
+            if (this._is(',')) {
+                this._next();
+                elements.push(null);
+                continue;
+            }
+
+            if (this._is('...')) {
+                const spreadStart = this.token.start;
+                this._next();
+                elements.push(this._finish('SpreadElement', spreadStart, { argument: this._parseAssign(false) }));
+            } else {
+                elements.push(this._parseAssign(false));
+            }
+
+            if (!this._eat(',')) break;
+        }
+
+        this._expectClosing(']');
+        return this._finish('ArrayExpression', start, { elements });
+    }
+
+    /**
+     * Parse an object literal
+     * @private
+     */
+    _parseObjectExpression() {
+        const start = this.token.start;
+        this._expect('{');
+        const properties = [];
+
+        while (!this._is('}') && this.token.type !== 'eof') {
+            properties.push(this._parseObjectMember());
+            if (!this._eat(',')) break;
+        }
+
+        this._expectClosing('}');
+        return this._finish('ObjectExpression', start, { properties });
+    }
+
+    /**
+     * Parse a single object literal member
+     * @private
+     */
+    _parseObjectMember() {
+        const start = this.token.start;
+
+        if (this._is('...')) {
+            this._next();
+            return this._finish('SpreadElement', start, { argument: this._parseAssign(false) });
+        }
+
+        let isAsync = false;
+        let kind = 'init';
+
+        // async/get/set are modifiers only when a key follows
+        while (this._isIdent('async') || this._isIdent('get') || this._isIdent('set')) {
+            const next = this._peek();
+            if (next.type === 'punctuator' && [',', ':', '(', '}', '=', '<'].includes(next.value)) break;
+            if (this.token.value === 'async') {
+                if (next.newlineBefore) break;
+                isAsync = true;
+            } else {
+                kind = this.token.value;
+            }
+            this._next();
+        }
+
+        const generator = this._eat('*');
+        const { key, computed } = this._parsePropertyKey();
+
+        if (this._is('(') || this._is('<')) {
+            const value = this._parseMethodFunction(isAsync, generator);
+            return this._finish('Property', start, { key, value, kind, method: kind === 'init', shorthand: false, computed });
+        }
+
+        if (this._eat(':')) {
+            const value = this._parseAssign(false);
+            return this._finish('Property', start, { key, value, kind: 'init', method: false, shorthand: false, computed });
+        }
+
+        // Shorthand property, possibly with a default value (only valid in patterns)
+        let value = this._finishAt('Identifier', key.start, key.end, { name: key.name });
+        if (this._is('=')) {
+            this._next();
+            const right = this._parseAssign(false);
+            value = this._finish('AssignmentExpression', start, { operator: '=', left: value, right });
+        }
+        return this._finish('Property', start, { key, value, kind: 'init', method: false, shorthand: true, computed });
+    }
+
+    // TypeScript types
+
+    /**
+     * Parse a type and return it as an opaque annotation node
+     * @private
+     */
+    _parseType() {
+        const start = this.token.start;
+        this._skipType();
+        return this._finish('TypeAnnotation', start, { text: this.code.substring(start, this.prevToken.end) });
+    }
+
+    /**
+     * Skip a full type, including conditional types
+     * @private
+     */
+    _skipType() {
+        this._skipUnionType();
+
+        if (this._is('extends') && !this.token.newlineBefore) {
+            this._next();
+            this._skipUnionType();
+            this._expect('?');
+            this._skipType();
+            this._expect(':');
+            this._skipType();
+        }
+    }
+
+    /**
+     * Skip union and intersection types
+     * @private
+     */
+    _skipUnionType() {
+        if (this._is('|') || this._is('&')) this._next();
+        this._skipTypeOperator();
+        while (this._is('|') || this._is('&')) {
+            this._next();
+            this._skipTypeOperator();
+        }
+    }
+
+    /**
+     * Skip a type with prefix operators and postfix array/indexed access
+     * @private
+     */
+    _skipTypeOperator() {
+        while ((this.token.type === 'identifier' && ['keyof', 'unique', 'readonly', 'infer', 'asserts', 'abstract'].includes(this.token.value) &&
+                this._peek().type !== 'punctuator') || this._is('typeof')) {
+            const operator = this.token.value;
+            this._next();
+            if (operator === 'infer') {
+                this._parseIdentifier();
+                if (this._is('extends') && this._lookahead(() => {
+                    this._next();
+                    this._skipUnionType();
+                    return !this._is('?');
+                })) {
+                    this._next();
+                    this._skipUnionType();
+                }
+                return;
+            }
+        }
+
+        this._skipPrimaryType();
+
+        while (this._is('[') && !this.token.newlineBefore) {
+            this._next();
+            if (!this._is(']')) this._skipType();
+            this._expect(']');
+        }
+    }
+
+    /**
+     * Skip a primary type
+     * @private
+     */
+    _skipPrimaryType() {
+        const token = this.token;
+
+        if (token.type === 'punctuator') {
+            switch (token.value) {
+                case '(':
+                    this._skipBalanced('(', ')');
+                    if (this._eat('=>')) this._skipType();
+                    return;
+                case '<':
+                    this._parseTypeParameters();
+                    this._skipBalanced('(', ')');
+                    this._expect('=>');
+                    this._skipType();
+                    return;
+                case '{':
+                    this._skipBalanced('{', '}');
+                    return;
+                case '[':
+                    this._skipBalanced('[', ']');
+                    return;
+                case '-':
+                    this._next();
+                    this._next();
+                    return;
+            }
+        }
+
+        if (token.type === 'template') {
+            while (!this.token.tail) {
+                this._next();
+                this._skipType();
+                if (this.token.type !== 'template') throw this._unexpected('Expected template continuation');
+            }
+            this._next();
+            return;
+        }
+
+        if (token.type === 'string' || token.type === 'number') {
+            this._next();
+            return;
+        }
+
+        if (token.type === 'keyword') {
+            if (token.value === 'new') {
+                this._next();
+                this._skipPrimaryType();
+                return;
+            }
+            if (token.value === 'import') {
+                this._next();
+                this._skipBalanced('(', ')');
+                while (this._eat('.')) this._parsePropertyIdentifier();
+                if (this._is('<')) this._parseTypeArguments();
+                return;
+            }
+            if (token.value === 'typeof') {
+                this._next();
+                this._skipTypeReference();
+                return;
+            }
+            if (['void', 'null', 'true', 'false', 'this'].includes(token.value)) {
+                this._next();
+                if (token.value === 'this' && this._isIdent('is') && !this.token.newlineBefore) {
+                    this._next();
+                    this._skipType();
+                }
+                return;
+            }
+        }
+
+        if (token.type === 'identifier') {
+            this._skipTypeReference();
+
+            // Type predicate: x is Type
+            if (this._isIdent('is') && !this.token.newlineBefore) {
+                this._next();
+                this._skipType();
+            }
+            return;
+        }
+
+        throw this._unexpected('Expected type');
+    }
+
+    /**
+     * Skip a (qualified) type name with optional type arguments
+     * @private
+     */
+    _skipTypeReference() {
+        this._parsePropertyIdentifier();
+        while (this._is('.')) {
+            this._next();
+            this._parsePropertyIdentifier();
+        }
+        if (this._is('<') && !this.token.newlineBefore) {
+            this._parseTypeArguments();
+        }
+    }
+
+    /**
+     * Parse `<...>` type parameters or arguments, splitting `>>` tokens
+     * @private
+     */
+    _parseTypeParameters() {
+        const start = this.token.start;
+        let depth = 0;
+        do {
+            if (this.token.type === 'eof') throw this._unexpected('Expected \'>\'');
+            const value = this.token.type === 'punctuator' ? this.token.value : '';
+            if (value === '<') depth++;
+            else if (value === '>' || value === '>=') depth--;
+            else if (value === '>>' || value === '>>=') depth -= 2;
+            else if (value === '>>>' || value === '>>>=') depth -= 3;
+            this._next();
+        } while (depth > 0);
+
+        return this._finish('TSTypeParameterList', start, { text: this.code.substring(start, this.prevToken.end) });
+    }
+
+    /**
+     * Parse type arguments in expression position, rejecting tokens that
+     * only make sense as operators
+     * @private
+     */
+    _parseTypeArguments() {
+        const start = this.token.start;
+        let depth = 0;
+        do {
+            const token = this.token;
+            if (token.type === 'eof') throw this._unexpected('Expected \'>\'');
+            if (token.type === 'punctuator') {
+                if (NON_TYPE_OPERATORS.has(token.value)) throw this._unexpected();
+                if (token.value === '<') depth++;
+                else if (token.value === '>') depth--;
+                else if (token.value === '>>') depth -= 2;
+                else if (token.value === '>>>') depth -= 3;
+                else if (token.value === '(') {
+                    this._skipBalanced('(', ')');
+                    continue;
+                } else if (token.value === '{') {
+                    this._skipBalanced('{', '}');
+                    continue;
+                }
+            }
+            this._next();
+        } while (depth > 0);
+
+        return this._finish('TSTypeParameterList', start, { text: this.code.substring(start, this.prevToken.end) });
+    }
+
+    // JSX
+
+    /**
+     * Parse a JSX element or fragment in expression position; the current token is `<`
+     * @private
+     */
+    _parseJsxRoot() {
+        const element = this._parseJsxElement(this.token);
+
+        // Resume normal tokenization after the closing `>`
+        this.prevToken = this.tokens[this.tokens.length - 1];
+        this.token = this.tokenizer.next();
+        return element;
+    }
+
+    /**
+     * Record a token produced while scanning JSX by hand
+     * @private
+     */
+    _jsxToken(type, value, start, end) {
+        const token = { type, value, start, end, newlineBefore: false };
+        this.tokens.push(token);
+        this.tokenizer.lastToken = token;
+        return token;
+    }
+
+    /**
+     * Parse a JSX element whose `<` token has already been read
+     * @private
+     */
+    _parseJsxElement(openToken) {
+        const tokenizer = this.tokenizer;
+        const code = this.code;
+        const start = openToken.start;
+        this.tokens.push(openToken);
+        tokenizer.pos = openToken.end;
+
+        tokenizer.skipTrivia();
+
+        // Fragment
+        if (code[tokenizer.pos] === '>') {
+            this._jsxToken('punctuator', '>', tokenizer.pos, ++tokenizer.pos);
+            const children = this._parseJsxChildren();
+            this._parseJsxClosing(null);
+            return this._finishAt('JSXFragment', start, tokenizer.pos, { children });
+        }
+
+        const name = this._parseJsxName();
+        if (this.typescript && code[tokenizer.pos] === '<') {
+            // Generic component: <Select<Option> ...>
+            this._skipJsxTypeArguments();
+        }
+        const attributes = this._parseJsxAttributes();
+
+        tokenizer.skipTrivia();
+        let selfClosing = false;
+        if (code.startsWith('/>', tokenizer.pos)) {
+            selfClosing = true;
+            this._jsxToken('punctuator', '/', tokenizer.pos, tokenizer.pos + 1);
+            this._jsxToken('punctuator', '>', tokenizer.pos + 1, tokenizer.pos + 2);
+            tokenizer.pos += 2;
+        } else if (code[tokenizer.pos] === '>') {
+            this._jsxToken('punctuator', '>', tokenizer.pos, ++tokenizer.pos);
+        } else {
+            throw new ParseError('Expected \'>\' in JSX tag', tokenizer.pos);
+        }
+
+        const openingElement = this._finishAt('JSXOpeningElement', start, tokenizer.pos, { name, attributes, selfClosing });
+        if (selfClosing) {
+            return this._finishAt('JSXElement', start, tokenizer.pos, { openingElement, children: [], closingElement: null });
+        }
+
+        const children = this._parseJsxChildren();
+        const closingElement = this._parseJsxClosing(name);
+        return this._finishAt('JSXElement', start, tokenizer.pos, { openingElement, children, closingElement });
+    }
+
+    /**
+     * Skip `<...>` type arguments inside a JSX tag name
+     * @private
+     */
+    _skipJsxTypeArguments() {
+        const tokenizer = this.tokenizer;
+        let depth = 0;
+        do {
+            const ch = this.code[tokenizer.pos];
+            if (ch === undefined) throw new ParseError('Unterminated JSX type arguments', tokenizer.pos);
+            if (ch === '<') depth++;
+            else if (ch === '>') depth--;
+            tokenizer.pos++;
+        } while (depth > 0);
+    }
+
+    /**
+     * Parse a JSX tag name (identifier, member expression or namespaced name)
+     * @private
+     */
+    _parseJsxName() {
+        const tokenizer = this.tokenizer;
+        const code = this.code;
+        tokenizer.skipTrivia();
+
+        const readPart = () => {
+            const start = tokenizer.pos;
+            while (tokenizer.pos < code.length && /[\w$\-\u0080-￿]/.test(code[tokenizer.pos])) {
+                tokenizer.pos++;
+            }
+            if (tokenizer.pos === start) {
+                throw new ParseError('Expected JSX identifier', start);
+            }
+            const name = code.substring(start, tokenizer.pos);
+            this._jsxToken('jsxName', name, start, tokenizer.pos);
+            return this._finishAt('JSXIdentifier', start, tokenizer.pos, { name });
+        };
+
+        const start = tokenizer.pos;
+        let name = readPart();
+
+        if (code[tokenizer.pos] === ':') {
+            tokenizer.pos++;
+            const local = readPart();
+            return this._finishAt('JSXNamespacedName', start, tokenizer.pos, { namespace: name, name: local });
+        }
+
+        while (code[tokenizer.pos] === '.') {
+            this._jsxToken('punctuator', '.', tokenizer.pos, tokenizer.pos + 1);
+            tokenizer.pos++;
+            const property = readPart();
+            name = this._finishAt('JSXMemberExpression', start, tokenizer.pos, { object: name, property });
+        }
+
+        return name;
+    }
+
+    /**
+     * Parse the attributes of a JSX opening tag
+     * @private
+     */
+    _parseJsxAttributes() {
+        const tokenizer = this.tokenizer;
+        const code = this.code;
+        const attributes = [];
+
+        for (;;) {
+            tokenizer.skipTrivia();
+            const ch = code[tokenizer.pos];
+
+            if (ch === undefined || ch === '>' || code.startsWith('/>', tokenizer.pos)) {
+                return attributes;
+            }
+
+            const start = tokenizer.pos;
+            if (ch === '{') {
+                // Spread attribute: {...props}
+                const container = this._parseJsxExpressionContainer();
+                const expression = container.expression;
+                attributes.push(this._finishAt('JSXSpreadAttribute', start, tokenizer.pos, {
+                    argument: expression && expression.type === 'SpreadElement' ? expression.argument : expression
+                }));
+                continue;
+            }
+
+            const name = this._parseJsxName();
+            let value = null;
+            tokenizer.skipTrivia();
+
+            if (code[tokenizer.pos] === '=') {
+                this._jsxToken('punctuator', '=', tokenizer.pos, tokenizer.pos + 1);
+                tokenizer.pos++;
+                tokenizer.skipTrivia();
+                const valueChar = code[tokenizer.pos];
+
+                if (valueChar === '"' || valueChar === '\'') {
+                    const valueStart = tokenizer.pos;
+                    const end = code.indexOf(valueChar, valueStart + 1);
+                    tokenizer.pos = end === -1 ? code.length : end + 1;
+                    const raw = code.substring(valueStart, tokenizer.pos);
+                    this._jsxToken('string', raw, valueStart, tokenizer.pos);
+                    value = this._finishAt('Literal', valueStart, tokenizer.pos, { value: raw.slice(1, -1), raw });
+                } else if (valueChar === '{') {
+                    value = this._parseJsxExpressionContainer();
+                } else if (valueChar === '<') {
+                    const openToken = this._jsxToken('punctuator', '<', tokenizer.pos, tokenizer.pos + 1);
+                    this.tokens.pop();
+                    value = this._parseJsxElement(openToken);
+                } else {
+                    throw new ParseError('Expected JSX attribute value', tokenizer.pos);
+                }
+            }
+
+            attributes.push(this._finishAt('JSXAttribute', start, tokenizer.pos, { name, value }));
+        }
+    }
+
+    /**
+     * Parse `{expression}` inside JSX, leaving the tokenizer right after `}`
+     * @private
+     */
+    _parseJsxExpressionContainer() {
+        const tokenizer = this.tokenizer;
+        const start = tokenizer.pos;
+
+        this._jsxToken('punctuator', '{', start, start + 1);
+        tokenizer.pos++;
+        tokenizer.braceStack.push('brace');
+        this.token = tokenizer.next();
+
+        let expression;
+        if (this._is('}')) {
+            expression = this._finishAt('JSXEmptyExpression', start + 1, this.token.start, {});
+        } else if (this._is('...')) {
+            const spreadStart = this.token.start;
+            this._next();
+            expression = this._finish('SpreadElement', spreadStart, { argument: this._parseAssign(false) });
+        } else {
+            expression = this._parseExpression(false);
+        }
+
+        if (!this._is('}')) {
+            throw this._unexpected('Expected \'}\' in JSX expression');
+        }
+
+        // The closing brace was read by the tokenizer; keep scanning JSX by hand from here
+        this.tokens.push(this.token);
+        tokenizer.pos = this.token.end;
+        return this._finishAt('JSXExpressionContainer', start, tokenizer.pos, { expression });
+    }
+
+    /**
+     * Parse JSX children up to the closing tag
+     * @private
+     */
+    _parseJsxChildren() {
+        const tokenizer = this.tokenizer;
+        const code = this.code;
+        const children = [];
+
+        for (;;) {
+            const textStart = tokenizer.pos;
+            while (tokenizer.pos < code.length && code[tokenizer.pos] !== '<' && code[tokenizer.pos] !== '{') {
+                tokenizer.pos++;
+            }
+
+            if (tokenizer.pos > textStart) {
+                const raw = code.substring(textStart, tokenizer.pos);
+                this._jsxToken('jsxText', raw, textStart, tokenizer.pos);
+                children.push(this._finishAt('JSXText', textStart, tokenizer.pos, { value: raw, raw }));
+            }
+
+            if (tokenizer.pos >= code.length) {
+                throw new ParseError('Unterminated JSX element', tokenizer.pos);
+            }
+
+            if (code[tokenizer.pos] === '{') {
+                children.push(this._parseJsxExpressionContainer());
+                continue;
+            }
+
+            // '<' starts either a closing tag or a child element
+            let lookahead = tokenizer.pos + 1;
+            while (/\s/.test(code[lookahead] || '')) lookahead++;
+            if (code[lookahead] === '/') {
+                return children;
+            }
+
+            const openToken = { type: 'punctuator', value: '<', start: tokenizer.pos, end: tokenizer.pos + 1, newlineBefore: false };
+            children.push(this._parseJsxElement(openToken));
+        }
+    }
+
+    /**
+     * Parse a closing tag `</name>`
+     * @private
+     */
+    _parseJsxClosing(openingName) {
+        const tokenizer = this.tokenizer;
+        const code = this.code;
+        const start = tokenizer.pos;
+
+        this._jsxToken('punctuator', '<', tokenizer.pos, tokenizer.pos + 1);
+        tokenizer.pos++;
+        tokenizer.skipTrivia();
+        this._jsxToken('punctuator', '/', tokenizer.pos, tokenizer.pos + 1);
+        tokenizer.pos++;
+        tokenizer.skipTrivia();
+
+        let name = null;
+        if (code[tokenizer.pos] !== '>') {
+            name = this._parseJsxName();
+            tokenizer.skipTrivia();
+        }
+
+        if (code[tokenizer.pos] !== '>') {
+            throw new ParseError('Expected \'>\' in JSX closing tag', tokenizer.pos);
+        }
+        this._jsxToken('punctuator', '>', tokenizer.pos, tokenizer.pos + 1);
+        tokenizer.pos++;
+
+        if (openingName && name && this._jsxNameText(openingName) !== this._jsxNameText(name)) {
+            this._recordError(`Mismatched closing tag </${this._jsxNameText(name)}>`, start);
+        }
+
+        return this._finishAt(openingName ? 'JSXClosingElement' : 'JSXClosingFragment', start, tokenizer.pos, { name });
+    }
+
+    /**
+     * Get the source text of a JSX name
+     * @private
+     */
+    _jsxNameText(name) {
+        return this.code.substring(name.start, name.end);
+    }
+}
+
+/**
+ * Parse JavaScript/TypeScript source into a syntax tree
+ * @param {string} code - Source code
+ * @param {object} [options] - Parse options
+ * @param {boolean} [options.typescript] - Recognize TypeScript syntax
+ * @param {boolean} [options.jsx] - Recognize JSX elements
+ * @returns {object} Program node with `tokens`, `comments` and `errors`
+ */
+function parse(code, options = {}) {
+    return new SyntaxTreeParser(code, options).parseProgram();
+}
+
+/**
+ * Get parse options for a VS Code language identifier
+ * @param {string} language - Language identifier
+ * @returns {object|null} Parse options, or null if the language is not a JS dialect
+ */
+function getParseOptions(language) {
+    switch (language) {
+        case 'javascript':
+            return { typescript: false, jsx: true };
+        case 'javascriptreact':
+            return { typescript: false, jsx: true };
+        case 'typescript':
+            return { typescript: true, jsx: false };
+        case 'typescriptreact':
+            return { typescript: true, jsx: true };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Iterate over the direct child nodes of a node
+ * @param {object} node - Syntax tree node
+ * @param {function(object, string): void} callback - Called with each child and its key
+ */
+function forEachChild(node, callback) {
+    for (const key of Object.keys(node)) {
+        if (NON_CHILD_KEYS.has(key)) continue;
+
+        const value = node[key];
+        if (Array.isArray(value)) {
+            for (const item of value) {
+                if (item && typeof item.type === 'string') callback(item, key);
+            }
+        } else if (value && typeof value === 'object' && typeof value.type === 'string') {
+            callback(value, key);
+        }
+    }
+}
+
+/**
+ * Walk a syntax tree depth-first
+ * @param {object} node - Root node
+ * @param {object} visitor - Visitor with optional enter(node, parent, ancestors) and leave(node, parent, ancestors);
+ *                           returning false from enter skips the node's children
+ */
+function walk(node, visitor) {
+    const ancestors = [];
+
+    const visit = (current, parent) => {
+        if (visitor.enter && visitor.enter(current, parent, ancestors) === false) {
+            return;
+        }
+        ancestors.push(current);
+        forEachChild(current, child => visit(child, current));
+        ancestors.pop();
+        if (visitor.leave) {
+            visitor.leave(current, parent, ancestors);
+        }
+    };
+
+    visit(node, null);
+}
+
+/**
+ * Check whether a node is a function of any kind
+ * @param {object} node - Syntax tree node
+ * @returns {boolean} True for declarations, expressions and arrows
+ */
+function isFunctionNode(node) {
+    return !!node && (node.type === 'FunctionDeclaration' ||
+        node.type === 'FunctionExpression' ||
+        node.type === 'ArrowFunctionExpression');
+}
+
+/**
+ * Check whether a node is a loop statement
+ * @param {object} node - Syntax tree node
+ * @returns {boolean} True for for/for-in/for-of/while/do-while
+ */
+function isLoopNode(node) {
+    return !!node && (node.type === 'ForStatement' ||
+        node.type === 'ForInStatement' ||
+        node.type === 'ForOfStatement' ||
+        node.type === 'WhileStatement' ||
+        node.type === 'DoWhileStatement');
+}
+
+/**
+ * Get the identifiers bound by a declaration target or pattern
+ * @param {object} pattern - Identifier, ObjectPattern, ArrayPattern, AssignmentPattern or RestElement
+ * @returns {object[]} Identifier nodes in source order
+ */
+function getBindingIdentifiers(pattern) {
+    const identifiers = [];
+
+    const visit = node => {
+        if (!node) return;
+        switch (node.type) {
+            case 'Identifier':
+                identifiers.push(node);
+                break;
+            case 'ObjectPattern':
+                for (const property of node.properties) {
+                    visit(property.type === 'RestElement' ? property.argument : property.value);
+                }
+                break;
+            case 'ArrayPattern':
+                node.elements.forEach(visit);
+                break;
+            case 'AssignmentPattern':
+                visit(node.left);
+                break;
+            case 'RestElement':
+                visit(node.argument);
+                break;
+        }
+    };
+
+    visit(pattern);
+    return identifiers;
+}
+
+module.exports = {
+    parse,
+    getParseOptions,
+    forEachChild,
+    walk,
+    getBindingIdentifiers,
+    isFunctionNode,
+    isLoopNode,
+    ParseError
+};
@@ -0,0 +1,422 @@
+/**
+ * Tokenizer for WhiskerCode
+ * Splits JavaScript/TypeScript source into tokens while keeping comments,
+ * strings, template literals and regular expressions out of the code stream
+ */
+
+// Reserved words that can never be used as identifiers
+const KEYWORDS = new Set([
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+    'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'function', 'if',
+    'import', 'in', 'instanceof', 'new', 'return', 'super', 'switch', 'this', 'throw',
+    'try', 'typeof', 'var', 'void', 'while', 'with', 'null', 'true', 'false', 'enum'
+]);
+
+// Keywords after which a `/` ends an expression instead of starting a regex
+const VALUE_KEYWORDS = new Set(['this', 'super', 'null', 'true', 'false']);
+
+// Punctuators, longest first so that greedy matching works
+const PUNCTUATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+    '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+    '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%',
+    '&', '|', '^', '!', '~', '?', ':', '=', '.', '@'
+];
+
+/**
+ * Check whether a character code can start an identifier
+ * @private
+ */
+function isIdentifierStart(code) {
+    return (code >= 97 && code <= 122) || // a-z
+           (code >= 65 && code <= 90) ||  // A-Z
+           code === 36 || code === 95 ||  // $ _
+           code >= 0x80;
+}
+
+/**
+ * Check whether a character code can continue an identifier
+ * @private
+ */
+function isIdentifierPart(code) {
+    return isIdentifierStart(code) || (code >= 48 && code <= 57);
+}
+
+/**
+ * Check whether a character code is a decimal digit
+ * @private
+ */
+function isDigit(code) {
+    return code >= 48 && code <= 57;
+}
+
+/**
+ * On-demand tokenizer used by the syntax tree parser.
+ *
+ * Template literals are split into `template` tokens at each `${`; the
+ * tokenizer keeps a brace stack so that the `}` closing a substitution
+ * resumes the template instead of producing a punctuator.
+ */
+class Tokenizer {
+    /**
+     * @param {string} code - Source code to tokenize
+     */
+    constructor(code) {
+        this.code = code;
+        this.pos = 0;
+        this.braceStack = [];
+        this.comments = [];
+        this.lastToken = null;
+
+        // Treat a hashbang line as a comment
+        if (code.startsWith('#!')) {
+            const end = code.indexOf('\n');
+            this.pos = end === -1 ? code.length : end;
+            this.comments.push({ type: 'Line', value: code.substring(2, this.pos), start: 0, end: this.pos });
+        }
+    }
+
+    /**
+     * Capture the tokenizer state for speculative parsing
+     * @returns {object} Opaque state snapshot
+     */
+    save() {
+        return {
+            pos: this.pos,
+            braceStack: this.braceStack.slice(),
+            commentCount: this.comments.length,
+            lastToken: this.lastToken
+        };
+    }
+
+    /**
+     * Restore a state captured with save()
+     * @param {object} state - Snapshot returned by save()
+     */
+    restore(state) {
+        this.pos = state.pos;
+        this.braceStack = state.braceStack.slice();
+        this.comments.length = state.commentCount;
+        this.lastToken = state.lastToken;
+    }
+
+    /**
+     * Read the next token
+     * @returns {object} Token with type, value, start, end and newlineBefore
+     */
+    next() {
+        const newlineBefore = this.skipTrivia();
+        const start = this.pos;
+        let token;
+
+        if (start >= this.code.length) {
+            token = { type: 'eof', value: '', start, end: start };
+        } else {
+            token = this._readToken();
+        }
+
+        token.newlineBefore = newlineBefore || this.lastToken === null;
+        this.lastToken = token;
+        return token;
+    }
+
+    /**
+     * Skip whitespace and comments, recording the comments
+     * @returns {boolean} Whether a line break was skipped
+     */
+    skipTrivia() {
+        const code = this.code;
+        let newline = false;
+
+        while (this.pos < code.length) {
+            const ch = code.charCodeAt(this.pos);
+
+            if (ch === 10 || ch === 13 || ch === 0x2028 || ch === 0x2029) {
+                newline = true;
+                this.pos++;
+            } else if (ch === 32 || ch === 9 || ch === 11 || ch === 12 || ch === 0xa0 || ch === 0xfeff) {
+                this.pos++;
+            } else if (ch === 47 && code.charCodeAt(this.pos + 1) === 47) {
+                // Line comment
+                const start = this.pos;
+                let end = code.indexOf('\n', start);
+                if (end === -1) end = code.length;
+                this.comments.push({ type: 'Line', value: code.substring(start + 2, end).replace(/\r$/, ''), start, end });
+                this.pos = end;
+            } else if (ch === 47 && code.charCodeAt(this.pos + 1) === 42) {
+                // Block comment
+                const start = this.pos;
+                let end = code.indexOf('*/', start + 2);
+                end = end === -1 ? code.length : end + 2;
+                const value = code.substring(start + 2, Math.max(start + 2, end - 2));
+                if (value.includes('\n')) newline = true;
+                this.comments.push({ type: 'Block', value, start, end });
+                this.pos = end;
+            } else {
+                break;
+            }
+        }
+
+        return newline;
+    }
+
+    /**
+     * Read a single token at the current position
+     * @private
+     */
+    _readToken() {
+        const code = this.code;
+        const start = this.pos;
+        const ch = code.charCodeAt(start);
+
+        if (isIdentifierStart(ch) || ch === 92) {
+            const value = this._readWord();
+            return { type: KEYWORDS.has(value) ? 'keyword' : 'identifier', value, start, end: this.pos };
+        }
+
+        if (isDigit(ch) || (ch === 46 && isDigit(code.charCodeAt(start + 1)))) {
+            return this._readNumber();
+        }
+
+        if (ch === 34 || ch === 39) {
+            return this._readString(ch);
+        }
+
+        if (ch === 96) {
+            this.pos++;
+            return this._readTemplate(start, true);
+        }
+
+        if (ch === 35) {
+            // Private class member name
+            this.pos++;
+            const value = '#' + this._readWord();
+            return { type: 'privateName', value, start, end: this.pos };
+        }
+
+        if (ch === 125 && this.braceStack[this.braceStack.length - 1] === 'template') {
+            // Closing brace of a template substitution resumes the template
+            this.braceStack.pop();
+            this.pos++;
+            return this._readTemplate(start, false);
+        }
+
+        if (ch === 47 && this._regexAllowed()) {
+            const regex = this._readRegex();
+            if (regex) return regex;
+        }
+
+        return this._readPunctuator();
+    }
+
+    /**
+     * Read an identifier-like word
+     * @private
+     */
+    _readWord() {
+        const code = this.code;
+        const start = this.pos;
+        while (this.pos < code.length) {
+            const ch = code.charCodeAt(this.pos);
+            if (isIdentifierPart(ch)) {
+                this.pos++;
+            } else if (ch === 92 && code[this.pos + 1] === 'u') {
+                // Unicode escape inside an identifier
+                this.pos += code[this.pos + 2] === '{' ? code.indexOf('}', this.pos) - this.pos + 1 : 6;
+            } else {
+                break;
+            }
+        }
+        if (this.pos === start) this.pos++;
+        return code.substring(start, this.pos);
+    }
+
+    /**
+     * Read a numeric literal
+     * @private
+     */
+    _readNumber() {
+        const start = this.pos;
+        const match = /^(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*)?\.?[\d_]*(?:[eE][+-]?[\d_]+)?)n?/.exec(this.code.substring(start, start + 400));
+        this.pos += Math.max(1, match ? match[0].length : 1);
+        return { type: 'number', value: this.code.substring(start, this.pos), start, end: this.pos };
+    }
+
+    /**
+     * Read a quoted string literal
+     * @private
+     */
+    _readString(quote) {
+        const code = this.code;
+        const start = this.pos++;
+
+        while (this.pos < code.length) {
+            const ch = code.charCodeAt(this.pos);
+            if (ch === 92) {
+                this.pos += 2;
+            } else if (ch === quote) {
+                this.pos++;
+                break;
+            } else if (ch === 10) {
+                // Unterminated string - stop at the end of the line
+                break;
+            } else {
+                this.pos++;
+            }
+        }
+
+        this.pos = Math.min(this.pos, code.length);
+        return { type: 'string', value: code.substring(start, this.pos), start, end: this.pos };
+    }
+
+    /**
+     * Read a template literal chunk up to the next `${` or closing backtick
+     * @private
+     */
+    _readTemplate(start, head) {
+        const code = this.code;
+        let tail = true;
+
+        while (this.pos < code.length) {
+            const ch = code.charCodeAt(this.pos);
+            if (ch === 92) {
+                this.pos += 2;
+            } else if (ch === 96) {
+                this.pos++;
+                break;
+            } else if (ch === 36 && code.charCodeAt(this.pos + 1) === 123) {
+                this.pos += 2;
+                this.braceStack.push('template');
+                tail = false;
+                break;
+            } else {
+                this.pos++;
+            }
+        }
+
+        this.pos = Math.min(this.pos, code.length);
+        return { type: 'template', value: code.substring(start, this.pos), start, end: this.pos, head, tail };
+    }
+
+    /**
+     * Decide whether a `/` at the current position starts a regex literal,
+     * based on the previous significant token
+     * @private
+     */
+    _regexAllowed() {
+        const prev = this.lastToken;
+        if (!prev) return true;
+
+        switch (prev.type) {
+            case 'identifier':
+            case 'number':
+            case 'string':
+            case 'regex':
+            case 'privateName':
+                return false;
+            case 'template':
+                return !prev.tail;
+            case 'keyword':
+                return !VALUE_KEYWORDS.has(prev.value);
+            case 'punctuator':
+                return ![')', ']', '}', '++', '--'].includes(prev.value);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Read a regular expression literal, or return null if the slash
+     * cannot start one
+     * @private
+     */
+    _readRegex() {
+        const code = this.code;
+        const start = this.pos;
+        let pos = start + 1;
+        let inClass = false;
+
+        while (pos < code.length) {
+            const ch = code.charCodeAt(pos);
+            if (ch === 10) return null;
+            if (ch === 92) {
+                pos += 2;
+                continue;
+            }
+            if (ch === 91) inClass = true;
+            else if (ch === 93) inClass = false;
+            else if (ch === 47 && !inClass) break;
+            pos++;
+        }
+
+        if (pos >= code.length) return null;
+
+        const pattern = code.substring(start + 1, pos);
+        pos++;
+        const flagsStart = pos;
+        while (pos < code.length && isIdentifierPart(code.charCodeAt(pos))) pos++;
+
+        this.pos = pos;
+        return {
+            type: 'regex',
+            value: code.substring(start, pos),
+            start,
+            end: pos,
+            pattern,
+            flags: code.substring(flagsStart, pos)
+        };
+    }
+
+    /**
+     * Read a punctuator
+     * @private
+     */
+    _readPunctuator() {
+        const code = this.code;
+        const start = this.pos;
+
+        for (const punctuator of PUNCTUATORS) {
+            if (code.startsWith(punctuator, start)) {
+                // `?.` followed by a digit is a conditional operator, e.g. a?.5:b
+                if (punctuator === '?.' && isDigit(code.charCodeAt(start + 2))) continue;
+
+                this.pos += punctuator.length;
+                if (punctuator === '{') this.braceStack.push('brace');
+                else if (punctuator === '}') this.braceStack.pop();
+                return { type: 'punctuator', value: punctuator, start, end: this.pos };
+            }
+        }
+
+        // Unknown character - emit it so the parser can report it
+        this.pos++;
+        return { type: 'unknown', value: code[start], start, end: this.pos };
+    }
+}
+
+/**
+ * Tokenize a piece of JavaScript/TypeScript code without building a tree.
+ * Regex/division ambiguity is resolved from the previous token.
+ * @param {string} code - Code to tokenize
+ * @returns {{tokens: object[], comments: object[]}} Tokens and comments
+ */
+function tokenize(code) {
+    const tokenizer = new Tokenizer(code);
+    const tokens = [];
+
+    for (;;) {
+        const token = tokenizer.next();
+        if (token.type === 'eof') break;
+        tokens.push(token);
+    }
+
+    return { tokens, comments: tokenizer.comments };
+}
+
+module.exports = {
+    Tokenizer,
+    tokenize,
+    KEYWORDS,
+    isIdentifierStart,
+    isIdentifierPart
+};
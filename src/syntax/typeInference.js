@@ -0,0 +1,624 @@
+const { walk, forEachChild, isFunctionNode } = require('./syntaxTree');
+const { localFunction, functionBinding } = require('./localFunctions');
+
+/**
+ * Type Inference for WhiskerCode
+ * Fills in JSDoc types for a function from what the file itself shows:
+ *   - parameters from TypeScript annotations, default values, typeof/instanceof
+ *     and Array.isArray checks, the properties and methods used on them, how they
+ *     are used in arithmetic, and the arguments passed by calls in the same file
+ *   - the return type from the function's return expressions
+ *   - thrown types from throw statements that are not caught inside the function
+ * Types are JSDoc type expressions; anything that cannot be told is `any`.
+ */
+
+// Union types with more alternatives than this are reported as `any`
+const MAX_UNION = 3;
+
+// How deep expression types are followed through variables and local calls
+const MAX_DEPTH = 4;
+
+// Longest default value shown in `[name=value]`
+const MAX_DEFAULT_LENGTH = 20;
+
+// Methods that tell what a parameter is when called on it
+const USAGE_METHODS = {
+    Array: ['map', 'filter', 'forEach', 'reduce', 'reduceRight', 'push', 'pop', 'shift', 'unshift', 'splice',
+        'some', 'every', 'find', 'findIndex', 'flat', 'flatMap', 'sort', 'reverse', 'join', 'fill'],
+    string: ['toUpperCase', 'toLowerCase', 'trim', 'trimStart', 'trimEnd', 'split', 'startsWith', 'endsWith',
+        'charAt', 'charCodeAt', 'substring', 'substr', 'replace', 'replaceAll', 'padStart', 'padEnd', 'match', 'localeCompare'],
+    number: ['toFixed', 'toPrecision', 'toExponential'],
+    Promise: ['then', 'finally']
+};
+
+// Properties that several types share, so using them says nothing
+const SHARED_PROPERTIES = new Set(['length', 'slice', 'includes', 'indexOf', 'lastIndexOf', 'concat', 'at',
+    'toString', 'valueOf', 'catch', 'constructor', 'hasOwnProperty', 'entries', 'keys', 'values']);
+
+// Result types of calls, by callee
+const CALL_TYPES = {
+    String: 'string',
+    Number: 'number',
+    Boolean: 'boolean',
+    parseInt: 'number',
+    parseFloat: 'number',
+    isNaN: 'boolean',
+    'JSON.stringify': 'string',
+    'Array.isArray': 'boolean',
+    'Array.from': 'Array',
+    'Array.of': 'Array',
+    'Object.keys': 'Array<string>',
+    'Object.values': 'Array',
+    'Object.entries': 'Array',
+    'Object.assign': 'object',
+    'Object.freeze': 'object',
+    'Date.now': 'number',
+    'Number.isInteger': 'boolean',
+    'Number.isFinite': 'boolean',
+    'Promise.all': 'Promise',
+    'Promise.resolve': 'Promise',
+    'Promise.reject': 'Promise'
+};
+
+// Result types of methods, whatever they are called on
+const METHOD_TYPES = {
+    toString: 'string',
+    toUpperCase: 'string',
+    toLowerCase: 'string',
+    trim: 'string',
+    join: 'string',
+    padStart: 'string',
+    padEnd: 'string',
+    replace: 'string',
+    toFixed: 'string',
+    split: 'Array<string>',
+    map: 'Array',
+    filter: 'Array',
+    includes: 'boolean',
+    some: 'boolean',
+    every: 'boolean',
+    startsWith: 'boolean',
+    endsWith: 'boolean',
+    test: 'boolean',
+    has: 'boolean',
+    indexOf: 'number',
+    findIndex: 'number',
+    then: 'Promise'
+};
+
+// Types named by `typeof x === '...'`
+const TYPEOF_TYPES = {
+    string: 'string',
+    number: 'number',
+    boolean: 'boolean',
+    bigint: 'bigint',
+    symbol: 'symbol',
+    function: 'Function',
+    object: 'object',
+    undefined: 'undefined'
+};
+
+const ARITHMETIC_OPERATORS = new Set(['-', '*', '/', '%', '**', '<<', '>>', '>>>', '&', '|', '^']);
+const COMPARISON_OPERATORS = new Set(['==', '!=', '===', '!==', '<', '>', '<=', '>=', 'in', 'instanceof']);
+
+/**
+ * Combine types into one JSDoc type
+ * @param {Array<string|null>} types - Types to combine; null stands for an unknown type
+ * @returns {string|null} Union type, or null when any part is unknown or there are too many
+ */
+function union(types) {
+    const parts = [];
+    for (const type of types) {
+        if (!type || type === 'any') return null;
+        type.split('|').forEach(part => {
+            if (!parts.includes(part)) parts.push(part);
+        });
+    }
+
+    // Prefer the most specific form of a type
+    const specific = parts.filter(part =>
+        !(part === 'Array' && parts.some(other => other.startsWith('Array<'))) &&
+        !(part === 'Promise' && parts.some(other => other.startsWith('Promise<'))) &&
+        !(part === 'object' && parts.some(other => /^[A-Z]/.test(other) && other !== 'Function')));
+
+    if (specific.length === 0 || specific.length > MAX_UNION) return null;
+    return specific.join('|');
+}
+
+class TypeInferrer {
+    /**
+     * @param {object} tree - Program node
+     * @param {object} analysis - Scope analysis of the tree
+     * @param {string} code - Source the tree was parsed from
+     */
+    constructor(tree, analysis, code) {
+        this.code = code;
+
+        this.parents = new Map();
+        walk(tree, {
+            enter: (node, parent) => {
+                this.parents.set(node, parent);
+            }
+        });
+
+        this._references = new Map(analysis.references.map(reference => [reference.identifier, reference]));
+        this._returnTypes = new Map();
+    }
+
+    /**
+     * Infer the types to document for a function
+     * @param {object} func - Function node
+     * @returns {{params: Array<{name: string, type: string, optional: boolean, defaultValue: string|null}>,
+     *     returns: string|null, throws: Array<{type: string, description: string|null}>}}
+     *     Parameters in order, with destructured properties as `param0.key` entries; returns
+     *     is null for constructors and setters
+     */
+    infer(func) {
+        const params = [];
+        func.params.forEach((param, index) => this._describeParam(func, param, index, params));
+
+        const parent = this.parents.get(func);
+        const hasReturn = !(parent && parent.type === 'MethodDefinition' && ['constructor', 'set'].includes(parent.kind));
+
+        return {
+            params,
+            returns: hasReturn ? this._documentedReturnType(func) : null,
+            throws: this._throws(func)
+        };
+    }
+
+    /**
+     * Add the entries documenting one parameter, and the properties it destructures
+     * @private
+     */
+    _describeParam(func, param, index, params) {
+        let target = param;
+        let defaultValue = null;
+        if (target.type === 'AssignmentPattern') {
+            defaultValue = target.right;
+            target = target.left;
+        }
+        const rest = target.type === 'RestElement';
+        if (rest) target = target.argument;
+
+        const annotation = target.typeAnnotation || param.typeAnnotation;
+        const name = target.type === 'Identifier' ? target.name : `param${index}`;
+        // Calls that leave the parameter out make it optional rather than `undefined`
+        const argumentTypes = this._argumentTypes(func, index, rest);
+        const callTypes = argumentTypes.filter(type => type !== 'undefined');
+        const optional = !!(defaultValue || param.optional || (!rest && callTypes.length < argumentTypes.length));
+
+        let type;
+        if (annotation) {
+            type = annotation.text;
+        } else if (target.type === 'Identifier') {
+            type = this._bindingType(target, [defaultValue && this._typeOf(defaultValue, 0), ...callTypes]);
+        } else {
+            type = union([target.type === 'ArrayPattern' ? 'Array' : 'object', ...callTypes]) ||
+                (target.type === 'ArrayPattern' ? 'Array' : 'object');
+        }
+
+        params.push({
+            name,
+            type: rest ? `...${type}` : type,
+            optional,
+            defaultValue: defaultValue ? this._defaultText(defaultValue) : null
+        });
+
+        // Destructured properties are documented as `param0.key`
+        if (target.type === 'ObjectPattern') {
+            for (const property of target.properties) {
+                if (property.type !== 'Property' || property.computed) continue;
+
+                let value = property.value;
+                let propertyDefault = null;
+                if (value.type === 'AssignmentPattern') {
+                    propertyDefault = value.right;
+                    value = value.left;
+                }
+                if (value.type !== 'Identifier') continue;
+
+                params.push({
+                    name: `${name}.${property.key.name || property.key.value}`,
+                    type: this._bindingType(value, [propertyDefault && this._typeOf(propertyDefault, 0)]),
+                    optional: !!propertyDefault,
+                    defaultValue: propertyDefault ? this._defaultText(propertyDefault) : null
+                });
+            }
+        }
+    }
+
+    /**
+     * Infer the type of a parameter binding from how it is used
+     * @param {object} identifier - Binding identifier
+     * @param {Array<string|null>} knownTypes - Types already known to reach it, such as its default value's
+     * @returns {string} JSDoc type
+     * @private
+     */
+    _bindingType(identifier, knownTypes) {
+        const reference = this._references.get(identifier);
+        const types = knownTypes.filter(Boolean);
+
+        if (reference && reference.variable) {
+            for (const use of reference.variable.references) {
+                if (use.isDeclaration || use.access !== 'read') continue;
+                const type = this._usageType(use.identifier);
+                if (type) types.push(type);
+            }
+        }
+
+        return union(types) || 'any';
+    }
+
+    /**
+     * Tell what a value must be from one place it is read
+     * @private
+     */
+    _usageType(identifier) {
+        const parent = this.parents.get(identifier);
+        if (!parent) return null;
+
+        switch (parent.type) {
+            case 'MemberExpression': {
+                if (parent.object !== identifier || parent.computed) return null;
+                const property = parent.property.name;
+                if (SHARED_PROPERTIES.has(property)) return null;
+
+                const grandparent = this.parents.get(parent);
+                if (grandparent && grandparent.type === 'CallExpression' && grandparent.callee === parent) {
+                    const owner = Object.keys(USAGE_METHODS).find(type => USAGE_METHODS[type].includes(property));
+                    if (owner) return owner;
+                }
+                return 'object';
+            }
+            case 'CallExpression':
+                if (parent.callee === identifier) return 'Function';
+                return this._checkedByCall(parent);
+            case 'NewExpression':
+                return parent.callee === identifier ? 'Function' : null;
+            case 'UnaryExpression':
+                if (parent.operator === 'typeof') return this._typeofCheck(parent);
+                return parent.operator === '-' || parent.operator === '~' ? 'number' : null;
+            case 'UpdateExpression':
+                return 'number';
+            case 'BinaryExpression':
+                if (parent.operator === 'instanceof' && parent.left === identifier && parent.right.type === 'Identifier') {
+                    return parent.right.name;
+                }
+                return ARITHMETIC_OPERATORS.has(parent.operator) ? 'number' : null;
+            case 'ForOfStatement':
+                return parent.right === identifier ? 'Array' : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Read the type a `typeof x === '...'` comparison checks for
+     * @private
+     */
+    _typeofCheck(typeofExpression) {
+        const comparison = this.parents.get(typeofExpression);
+        if (!comparison || comparison.type !== 'BinaryExpression' || !/^[!=]==?$/.test(comparison.operator)) return null;
+
+        const other = comparison.left === typeofExpression ? comparison.right : comparison.left;
+        return other.type === 'Literal' && typeof other.value === 'string' ? TYPEOF_TYPES[other.value] || null : null;
+    }
+
+    /**
+     * Read the type checked by passing a value to Array.isArray() and the like
+     * @private
+     */
+    _checkedByCall(call) {
+        const name = this._calleeName(call.callee);
+        if (name === 'Array.isArray') return 'Array';
+        if (/^Number\.is(Integer|Finite|NaN|SafeInteger)$/.test(name)) return 'number';
+        return null;
+    }
+
+    /**
+     * Collect the types of the arguments calls in the file pass to a parameter
+     * @private
+     */
+    _argumentTypes(func, index, rest) {
+        const binding = functionBinding(func, this._references, this.parents);
+        if (!binding) return [];
+
+        const types = [];
+        for (const reference of binding.references) {
+            const call = this.parents.get(reference.identifier);
+            if (!call || call.type !== 'CallExpression' || call.callee !== reference.identifier) continue;
+
+            const args = rest ? call.arguments.slice(index) : [call.arguments[index]];
+            for (const argument of args) {
+                if (!argument) {
+                    // Left out: the parameter is undefined for this call
+                    types.push('undefined');
+                } else if (argument.type !== 'SpreadElement') {
+                    types.push(this._typeOf(argument, 0));
+                }
+            }
+        }
+
+        // Calls passing values of unknown type say nothing about the others
+        return types.filter(Boolean);
+    }
+
+    /**
+     * Get the return type to document for a function
+     * @private
+     */
+    _documentedReturnType(func) {
+        if (func.returnType) return func.returnType.text;
+        if (func.generator) return 'Generator';
+
+        const type = this._returnType(func, 0);
+        if (func.async) {
+            return type ? `Promise<${type === 'undefined' ? 'void' : type}>` : 'Promise';
+        }
+        return type || 'any';
+    }
+
+    /**
+     * Infer what a function returns; void when it never returns a value
+     * @private
+     */
+    _returnType(func, depth) {
+        if (this._returnTypes.has(func)) return this._returnTypes.get(func);
+
+        // Recursive calls are unknown until the function's other returns are in
+        this._returnTypes.set(func, null);
+
+        let type;
+        if (!func.body) {
+            // Overload signatures and abstract methods only declare their type
+            type = null;
+        } else if (func.body.type !== 'BlockStatement') {
+            type = this._typeOf(func.body, depth + 1);
+        } else {
+            const types = [];
+            let returnsValue = false;
+            const visit = node => {
+                if (isFunctionNode(node)) return;
+                if (node.type === 'ReturnStatement') {
+                    returnsValue = returnsValue || !!node.argument;
+                    types.push(node.argument ? this._typeOf(node.argument, depth + 1) : 'undefined');
+                    return;
+                }
+                forEachChild(node, visit);
+            };
+            forEachChild(func.body, visit);
+            type = returnsValue ? union(types) : 'void';
+        }
+
+        this._returnTypes.set(func, type);
+        return type;
+    }
+
+    /**
+     * Collect what a function throws without catching it itself
+     * @private
+     */
+    _throws(func) {
+        if (!func.body || func.body.type !== 'BlockStatement') return [];
+
+        const thrown = [];
+        const visit = node => {
+            if (isFunctionNode(node)) return;
+            if (node.type === 'TryStatement' && node.handler) {
+                // Throws inside the try block are caught here
+                visit(node.handler);
+                if (node.finalizer) visit(node.finalizer);
+                return;
+            }
+            if (node.type === 'ThrowStatement') {
+                const entry = this._thrownValue(node.argument);
+                if (!thrown.some(other => other.type === entry.type && other.description === entry.description)) {
+                    thrown.push(entry);
+                }
+                return;
+            }
+            forEachChild(node, visit);
+        };
+        forEachChild(func.body, visit);
+
+        return thrown;
+    }
+
+    /**
+     * Describe a thrown value: its type, and its message when that is a plain string
+     * @private
+     */
+    _thrownValue(argument) {
+        if ((argument.type === 'NewExpression' || argument.type === 'CallExpression') && argument.callee.type === 'Identifier') {
+            const message = argument.arguments[0];
+            let description = null;
+            if (message && message.type === 'Literal' && typeof message.value === 'string') {
+                description = message.value;
+            } else if (message && message.type === 'TemplateLiteral' && message.expressions.length === 0) {
+                description = message.quasis[0].raw.replace(/^`|`$/g, '');
+            }
+            return { type: argument.callee.name, description };
+        }
+        return { type: this._typeOf(argument, 0) || 'any', description: null };
+    }
+
+    /**
+     * Infer the type of an expression
+     * @returns {string|null} JSDoc type, or null when unknown
+     * @private
+     */
+    _typeOf(node, depth) {
+        if (!node || depth > MAX_DEPTH) return null;
+
+        switch (node.type) {
+            case 'Literal':
+                if (node.regex) return 'RegExp';
+                if (node.value === null) return 'null';
+                if (typeof node.value === 'number' && /n$/.test(node.raw)) return 'bigint';
+                return typeof node.value;
+            case 'TemplateLiteral':
+                return 'string';
+            case 'ArrayExpression': {
+                const elements = node.elements.filter(Boolean);
+                const element = elements.length && !elements.some(item => item.type === 'SpreadElement')
+                    ? union(elements.map(item => this._typeOf(item, depth + 1)))
+                    : null;
+                return element ? `Array<${element}>` : 'Array';
+            }
+            case 'ObjectExpression':
+                return 'object';
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+            case 'ClassExpression':
+                return 'Function';
+            case 'NewExpression':
+                return node.callee.type === 'Identifier' ? node.callee.name : null;
+            case 'UnaryExpression':
+                if (node.operator === '!' || node.operator === 'delete') return 'boolean';
+                if (node.operator === 'typeof') return 'string';
+                if (node.operator === 'void') return 'undefined';
+                return 'number';
+            case 'UpdateExpression':
+                return 'number';
+            case 'BinaryExpression':
+                return this._binaryType(node, depth);
+            case 'LogicalExpression':
+            case 'ConditionalExpression': {
+                const [first, second] = node.type === 'LogicalExpression' ? [node.left, node.right] : [node.consequent, node.alternate];
+                let firstType = this._typeOf(first, depth + 1);
+                if (node.operator === '??' && firstType) {
+                    // Only a value that is neither null nor undefined is kept
+                    firstType = firstType.split('|').filter(part => part !== 'null' && part !== 'undefined').join('|') || null;
+                }
+                return union([firstType, this._typeOf(second, depth + 1)]);
+            }
+            case 'AssignmentExpression':
+                return node.operator === '=' ? this._typeOf(node.right, depth + 1) : null;
+            case 'SequenceExpression':
+                return this._typeOf(node.expressions[node.expressions.length - 1], depth + 1);
+            case 'AwaitExpression': {
+                const type = this._typeOf(node.argument, depth + 1);
+                const promised = type && type.match(/^Promise<(.+)>$/);
+                return promised ? promised[1] : (type && !type.startsWith('Promise') ? type : null);
+            }
+            case 'JSXElement':
+            case 'JSXFragment':
+                return 'JSX.Element';
+            case 'TSAsExpression':
+                return node.typeAnnotation ? node.typeAnnotation.text : null;
+            case 'MemberExpression':
+                return !node.computed && node.property.name === 'length' ? 'number' : null;
+            case 'CallExpression':
+                return this._callType(node, depth);
+            case 'Identifier':
+                return this._identifierType(node, depth);
+            case 'ThisExpression':
+                return this._thisType(node);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Infer the type of a binary expression
+     * @private
+     */
+    _binaryType(node, depth) {
+        if (COMPARISON_OPERATORS.has(node.operator)) return 'boolean';
+        if (node.operator !== '+') return 'number';
+
+        const left = this._typeOf(node.left, depth + 1);
+        const right = this._typeOf(node.right, depth + 1);
+        if (left === 'string' || right === 'string') return 'string';
+        return left === 'number' && right === 'number' ? 'number' : null;
+    }
+
+    /**
+     * Infer the result of a call from well-known functions and methods, or from a local function's returns
+     * @private
+     */
+    _callType(call, depth) {
+        const name = this._calleeName(call.callee);
+        if (name && CALL_TYPES[name]) return CALL_TYPES[name];
+        if (name && name.startsWith('Math.')) return 'number';
+
+        if (call.callee.type === 'MemberExpression' && !call.callee.computed) {
+            return METHOD_TYPES[call.callee.property.name] || null;
+        }
+
+        const func = localFunction(call.callee, this._references, this.parents);
+        if (!func) return null;
+        if (func.generator) return 'Generator';
+
+        const type = this._returnType(func, depth);
+        if (func.async) return type ? `Promise<${type === 'undefined' || type === 'void' ? 'void' : type}>` : 'Promise';
+        return type === 'void' ? 'undefined' : type;
+    }
+
+    /**
+     * Infer the type of a variable read from its only assignment
+     * @private
+     */
+    _identifierType(identifier, depth) {
+        if (identifier.name === 'undefined') return 'undefined';
+        if (identifier.name === 'NaN' || identifier.name === 'Infinity') return 'number';
+
+        const reference = this._references.get(identifier);
+        const variable = reference && reference.variable;
+        if (!variable) return null;
+        if (variable.kind === 'function' || variable.kind === 'class') return 'Function';
+
+        // Only a variable written once, where it is declared, has one known value
+        const writes = variable.references.filter(other => other.isDeclaration || other.access !== 'read');
+        if (writes.length !== 1) return null;
+
+        const declarator = this.parents.get(writes[0].identifier);
+        if (!declarator || declarator.type !== 'VariableDeclarator' || declarator.id !== writes[0].identifier) return null;
+        if (declarator.id.typeAnnotation) return declarator.id.typeAnnotation.text;
+        return declarator.init ? this._typeOf(declarator.init, depth + 1) : null;
+    }
+
+    /**
+     * Get the class `this` is an instance of inside a method
+     * @private
+     */
+    _thisType(node) {
+        // Arrow functions keep the `this` of the code around them
+        let func = this.parents.get(node);
+        while (func && (!isFunctionNode(func) || func.type === 'ArrowFunctionExpression')) {
+            func = this.parents.get(func);
+        }
+
+        const method = func && this.parents.get(func);
+        if (!method || method.type !== 'MethodDefinition' || method.static) return null;
+
+        const classNode = this.parents.get(this.parents.get(method));
+        return classNode && classNode.id ? classNode.id.name : null;
+    }
+
+    /**
+     * Name a callee as written: `parse`, `JSON.parse`
+     * @private
+     */
+    _calleeName(callee) {
+        if (callee.type === 'Identifier') return callee.name;
+        if (callee.type === 'MemberExpression' && !callee.computed && callee.object.type === 'Identifier') {
+            return `${callee.object.name}.${callee.property.name}`;
+        }
+        return null;
+    }
+
+    /**
+     * Quote a default value for `[name=value]`, or nothing when it is too long to read there
+     * @private
+     */
+    _defaultText(node) {
+        const text = this.code.slice(node.start, node.end).replace(/\s+/g, ' ').trim();
+        return text.length <= MAX_DEFAULT_LENGTH ? text : null;
+    }
+}
+
+module.exports = {
+    TypeInferrer
+};
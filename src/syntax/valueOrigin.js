@@ -0,0 +1,529 @@
+const { walk, forEachChild, isFunctionNode } = require('./syntaxTree');
+const { localFunction, functionBinding } = require('./localFunctions');
+const { buildControlFlowGraph } = require('./controlFlowGraph');
+
+/**
+ * Value Origin for WhiskerCode
+ * Answers "where does this value come from" for a variable read: finds the
+ * definitions that reach the read along the function's control-flow graph
+ * (reaching definitions), then follows each definition's value backwards through
+ * other variables, destructuring, loop items, parameters and the arguments of
+ * local calls, and the return values of local functions.
+ */
+
+// How many definitions deep a chain is followed
+const MAX_DEPTH = 6;
+
+// Longest code snippet quoted in a description, in characters
+const MAX_SNIPPET_LENGTH = 60;
+
+// Patterns a destructured name can sit in, on the way up to the statement that binds it
+const PATTERN_TYPES = new Set(['ObjectPattern', 'ArrayPattern', 'ObjectExpression', 'ArrayExpression']);
+
+class ValueOriginTracer {
+    /**
+     * @param {object} tree - Program node
+     * @param {object} analysis - Scope analysis of the tree
+     * @param {string} code - Source the tree was parsed from
+     */
+    constructor(tree, analysis, code) {
+        this.tree = tree;
+        this.code = code;
+
+        this.parents = new Map();
+        walk(tree, {
+            enter: (node, parent) => {
+                this.parents.set(node, parent);
+            }
+        });
+
+        this._references = new Map(analysis.references.map(reference => [reference.identifier, reference]));
+        this._graphs = new Map();
+        this._definitions = new Map();
+        this._expanded = new Set();
+    }
+
+    /**
+     * Explain where the value of a reference comes from
+     * @param {object} reference - Reference from the scope analysis
+     * @returns {Array<object>} Origin steps, see explainValueOrigin()
+     */
+    explain(reference) {
+        // On a write, the origin is the value being written
+        if (reference.access !== 'read') {
+            return [this._definitionStep(this._definition(reference), 0)];
+        }
+        return this._reachingSteps(reference.variable, reference.identifier, 0);
+    }
+
+    /**
+     * Get the innermost function containing a node, or the program
+     * @private
+     */
+    _enclosingFunction(node) {
+        for (let current = this.parents.get(node); current; current = this.parents.get(current)) {
+            if (isFunctionNode(current)) return current;
+        }
+        return this.tree;
+    }
+
+    /**
+     * Get the control-flow graph of a function, with each node's predecessors
+     * @private
+     */
+    _graph(func) {
+        let graph = this._graphs.get(func);
+        if (!graph) {
+            graph = buildControlFlowGraph(func);
+            graph.predecessors = graph.nodes.map(() => []);
+            graph.edges.forEach(edge => graph.predecessors[edge.to].push(edge.from));
+            this._graphs.set(func, graph);
+        }
+        return graph;
+    }
+
+    /**
+     * Find the graph node that runs the code at an offset: the smallest one covering it
+     * @private
+     */
+    _graphNodeAt(graph, offset) {
+        let found = null;
+        for (const node of graph.nodes) {
+            if (node.type === 'entry' || node.type === 'exit') continue;
+            if (node.start <= offset && offset <= node.end &&
+                (!found || node.end - node.start < found.end - found.start)) {
+                found = node;
+            }
+        }
+        return found ? found.id : 0;
+    }
+
+    /**
+     * Describe the statement that gives a variable its value at a reference
+     * @param {object} reference - Declaring or writing reference
+     * @returns {object} Definition with its kind, value expression and position
+     * @private
+     */
+    _definition(reference) {
+        let definition = this._definitions.get(reference);
+        if (definition) return definition;
+
+        // Climb out of destructuring patterns, noting the path to the name and any default
+        let node = reference.identifier;
+        let path = '';
+        let defaultValue = null;
+        let parent = this.parents.get(node);
+        while (parent) {
+            if (parent.type === 'Property' && parent.value === node) {
+                path = (parent.computed ? `[${this._snippet(parent.key)}]` : `.${parent.key.name || parent.key.value}`) + path;
+            } else if (parent.type === 'ArrayPattern' || parent.type === 'ArrayExpression') {
+                path = `[${parent.elements.indexOf(node)}]` + path;
+            } else if (parent.type === 'RestElement' || parent.type === 'SpreadElement') {
+                path = '...' + path;
+            } else if ((parent.type === 'AssignmentPattern' || parent.type === 'AssignmentExpression' && PATTERN_TYPES.has(this.parents.get(parent).type)) &&
+                parent.left === node) {
+                defaultValue = defaultValue || parent.right;
+            } else if (!PATTERN_TYPES.has(parent.type)) {
+                break;
+            }
+            node = parent;
+            parent = this.parents.get(node);
+        }
+
+        definition = { reference, path, defaultValue, construct: parent, kind: 'other', value: null, position: reference.identifier.end };
+        const construct = parent;
+
+        if (!construct) {
+            definition.kind = 'other';
+        } else if (construct.type === 'VariableDeclarator' && construct.id === node) {
+            const declaration = this.parents.get(construct);
+            const loop = this.parents.get(declaration);
+            if (loop && (loop.type === 'ForOfStatement' || loop.type === 'ForInStatement') && loop.left === declaration) {
+                Object.assign(definition, { kind: loop.type === 'ForOfStatement' ? 'item' : 'key', value: loop.right, position: loop.right.end });
+            } else {
+                Object.assign(definition, {
+                    kind: construct.init ? 'declaration' : 'declared',
+                    declarationKind: declaration.kind,
+                    value: construct.init,
+                    position: construct.end
+                });
+            }
+        } else if (construct.type === 'AssignmentExpression' && construct.left === node) {
+            Object.assign(definition, {
+                kind: construct.operator === '=' ? 'assignment' : 'update',
+                operator: construct.operator,
+                value: construct.right,
+                position: construct.end
+            });
+        } else if (construct.type === 'UpdateExpression') {
+            Object.assign(definition, { kind: 'update', operator: construct.operator, position: construct.end });
+        } else if ((construct.type === 'ForOfStatement' || construct.type === 'ForInStatement') && construct.left === node) {
+            Object.assign(definition, { kind: construct.type === 'ForOfStatement' ? 'item' : 'key', value: construct.right, position: construct.right.end });
+        } else if (isFunctionNode(construct) && construct.params.includes(node)) {
+            Object.assign(definition, { kind: 'parameter', func: construct, index: construct.params.indexOf(node), position: construct.start });
+        } else if (isFunctionNode(construct) && construct.id === node) {
+            Object.assign(definition, { kind: 'function', value: construct, position: construct.start });
+        } else if (construct.type === 'CatchClause') {
+            Object.assign(definition, { kind: 'catch', position: construct.start });
+        } else if (construct.type === 'ClassDeclaration' || construct.type === 'ClassExpression') {
+            Object.assign(definition, { kind: 'class', value: construct, position: construct.end });
+        } else if (/^Import(Default|Namespace)?Specifier$/.test(construct.type)) {
+            Object.assign(definition, { kind: 'import', source: this.parents.get(construct).source.value, position: 0 });
+        }
+
+        // A function declaration's name belongs to the code around it; a function expression's to itself
+        definition.func = definition.kind === 'parameter' ||
+            (definition.kind === 'function' && construct.type !== 'FunctionDeclaration')
+            ? construct
+            : this._enclosingFunction(definition.kind === 'function' ? construct : reference.identifier);
+        // Parameters, imports and, by hoisting, functions hold their value from the start
+        definition.atEntry = ['parameter', 'import', 'function'].includes(definition.kind);
+
+        this._definitions.set(reference, definition);
+        return definition;
+    }
+
+    /**
+     * Find the definitions of a variable that can reach a node, walking the
+     * control-flow graph backwards from it
+     * @returns {{definitions: Array<object>, closures: Array<object>, undefinedOnSomePath: boolean, capturedFrom: object|null}}
+     * @private
+     */
+    _reachingDefinitions(variable, target) {
+        const func = this._enclosingFunction(target);
+        const graph = this._graph(func);
+        const position = target.start;
+
+        const byNode = new Map();
+        const closures = [];
+        for (const reference of variable.references) {
+            if (!reference.isDeclaration && reference.access === 'read') continue;
+
+            const definition = this._definition(reference);
+            if (definition.func === func) {
+                const id = definition.atEntry ? 0 : this._graphNodeAt(graph, definition.position);
+                if (!byNode.has(id)) byNode.set(id, []);
+                byNode.get(id).push(definition);
+            } else if (definition.func.start >= func.start && definition.func.end <= func.end) {
+                // Written inside a nested function, which may run whenever it is called
+                closures.push(definition);
+            }
+        }
+
+        const latest = definitions => definitions.reduce((last, definition) =>
+            !last || definition.position > last.position ? definition : last, null);
+
+        // A definition earlier in the same basic block hides everything before it
+        const start = this._graphNodeAt(graph, position);
+        const before = (byNode.get(start) || []).filter(definition => definition.position <= position);
+        if (before.length) {
+            return { definitions: [latest(before)], closures, undefinedOnSomePath: false, capturedFrom: null };
+        }
+
+        const definitions = new Set();
+        let reachedEntry = false;
+        const visited = new Set();
+        const queue = graph.predecessors[start].slice();
+        if (start === 0) reachedEntry = true;
+        while (queue.length) {
+            const id = queue.shift();
+            if (visited.has(id)) continue;
+            visited.add(id);
+
+            const here = byNode.get(id);
+            if (here) {
+                definitions.add(latest(here));
+            } else if (id === 0) {
+                reachedEntry = true;
+            } else {
+                queue.push(...graph.predecessors[id]);
+            }
+        }
+
+        // Declared in an enclosing function: the value it had when this function was created
+        const capturedFrom = reachedEntry && func !== this.tree && variable.scope.functionScope.node !== func &&
+            variable.kind !== 'global' ? func : null;
+
+        return {
+            definitions: Array.from(definitions).sort((a, b) => a.position - b.position),
+            closures,
+            undefinedOnSomePath: reachedEntry && !capturedFrom && variable.kind !== 'global' && variable.kind !== 'function',
+            capturedFrom
+        };
+    }
+
+    /**
+     * Build the steps for the definitions of a variable that reach a node
+     * @private
+     */
+    _reachingSteps(variable, target, depth) {
+        if (depth > MAX_DEPTH) return [];
+
+        const reaching = this._reachingDefinitions(variable, target);
+        const steps = reaching.definitions.map(definition => this._definitionStep(definition, depth));
+
+        if (reaching.capturedFrom) {
+            steps.push(this._step('captured', reaching.capturedFrom,
+                `Captured from the enclosing scope when this function is created`,
+                this._reachingSteps(variable, reaching.capturedFrom, depth + 1)));
+        } else if (reaching.undefinedOnSomePath && variable.references.some(reference => reference.isDeclaration)) {
+            const declaration = variable.references.find(reference => reference.isDeclaration).identifier;
+            steps.push(this._step('undefined', declaration, `\`${variable.name}\` can still be undefined here: no assignment on some path`, []));
+        }
+
+        if (!steps.length && !variable.references.some(reference => reference.isDeclaration)) {
+            steps.push(this._step('global', target, `\`${variable.name}\` is not declared in this file: a global or a value from the environment`, []));
+        }
+
+        reaching.closures.forEach(definition => {
+            const step = this._definitionStep(definition, depth);
+            step.description = `May also be set inside a closure: ${step.description.charAt(0).toLowerCase()}${step.description.slice(1)}`;
+            steps.push(step);
+        });
+
+        return steps;
+    }
+
+    /**
+     * Build the step for one definition, with where its own value comes from
+     * @private
+     */
+    _definitionStep(definition, depth) {
+        const { reference, kind, value, path, defaultValue } = definition;
+        const name = reference.name;
+        const key = reference.identifier.start;
+
+        // A definition already explained higher up the chain is not expanded again
+        const expand = !this._expanded.has(key) && depth < MAX_DEPTH;
+        this._expanded.add(key);
+
+        const from = [];
+        const source = value ? `\`${this._snippet(value)}\`` : '';
+        const pathText = path ? ` (${path})` : '';
+        let description;
+
+        switch (kind) {
+            case 'declaration':
+                description = path
+                    ? `Destructured${pathText} from ${source} when declared with ${definition.declarationKind}`
+                    : `Declared with ${definition.declarationKind} and set to ${source}`;
+                break;
+            case 'declared':
+                description = `Declared with ${definition.declarationKind} without a value`;
+                break;
+            case 'assignment':
+                description = path ? `Destructured${pathText} from ${source}` : `Assigned ${source}`;
+                break;
+            case 'update':
+                description = value
+                    ? `Updated with \`${name} ${definition.operator} ${this._snippet(value)}\``
+                    : `Updated with \`${definition.operator}\``;
+                if (expand) {
+                    // The new value builds on the one before the update
+                    from.push(...this._reachingSteps(reference.variable, definition.construct, depth + 1));
+                }
+                break;
+            case 'item':
+                description = `Each item${pathText} of ${source}`;
+                break;
+            case 'key':
+                description = `Each key${pathText} of ${source}`;
+                break;
+            case 'parameter':
+                description = `Parameter ${definition.index + 1}${pathText} of \`${this._functionName(definition.func)}\``;
+                if (expand) from.push(...this._argumentSteps(definition, depth + 1));
+                break;
+            case 'catch':
+                description = `The error${pathText} caught by this catch block`;
+                break;
+            case 'function':
+                description = `Declared as function \`${name}\``;
+                break;
+            case 'class':
+                description = `Declared as class \`${name}\``;
+                break;
+            case 'import':
+                description = `Imported from '${definition.source}'`;
+                break;
+            default:
+                description = `Set by \`${this._snippet(definition.construct || reference.identifier)}\``;
+        }
+
+        if (defaultValue) {
+            description += `, or \`${this._snippet(defaultValue)}\` when that is undefined`;
+        }
+
+        if (expand && value && kind !== 'function' && kind !== 'class') {
+            from.push(...this._valueSteps(value, depth + 1));
+        }
+        if (expand && defaultValue) {
+            from.push(...this._valueSteps(defaultValue, depth + 1));
+        }
+
+        return this._step(kind, reference.identifier, description, from);
+    }
+
+    /**
+     * Follow the variables an expression reads, and the return values of the
+     * local functions it calls
+     * @private
+     */
+    _valueSteps(expression, depth) {
+        if (depth > MAX_DEPTH) return [];
+
+        const steps = [];
+        const followed = new Set();
+        const visit = node => {
+            if (!node || isFunctionNode(node) || node.type === 'ClassExpression') return;
+
+            if (node.type === 'CallExpression' || node.type === 'NewExpression') {
+                const func = node.type === 'CallExpression' ? localFunction(node.callee, this._references, this.parents) : null;
+                if (func) {
+                    steps.push(...this._returnSteps(func, depth));
+                    return;
+                }
+            }
+
+            if (node.type === 'Identifier') {
+                const reference = this._references.get(node);
+                if (reference && reference.access === 'read' &&
+                    !followed.has(reference.variable)) {
+                    followed.add(reference.variable);
+                    steps.push(...this._reachingSteps(reference.variable, node, depth));
+                }
+                return;
+            }
+
+            forEachChild(node, (child, key) => {
+                // Property names are not variables
+                if ((node.type === 'MemberExpression' && key === 'property' && !node.computed) ||
+                    (node.type === 'Property' && key === 'key' && !node.computed)) {
+                    return;
+                }
+                visit(child);
+            });
+        };
+
+        visit(expression);
+        return steps;
+    }
+
+    /**
+     * Build steps for what a local function returns
+     * @private
+     */
+    _returnSteps(func, depth) {
+        const name = this._functionName(func);
+        if (!func.body) {
+            // Overload signatures and `declare function` only state the return type
+            return [this._step('return', func, `Returned by \`${name}()\`, declared without a body`, [])];
+        }
+        if (func.body.type !== 'BlockStatement') {
+            return [this._step('return', func.body, `Returned by \`${name}()\`: \`${this._snippet(func.body)}\``,
+                this._valueSteps(func.body, depth + 1))];
+        }
+
+        const steps = [];
+        const visit = node => {
+            if (!node || isFunctionNode(node)) return;
+            if (node.type === 'ReturnStatement') {
+                const description = node.argument
+                    ? `Returned by \`${name}()\`: \`${this._snippet(node.argument)}\``
+                    : `Returned by \`${name}()\` without a value`;
+                steps.push(this._step('return', node, description, this._valueSteps(node.argument, depth + 1)));
+                return;
+            }
+            forEachChild(node, visit);
+        };
+        forEachChild(func.body, visit);
+
+        if (!steps.length) {
+            steps.push(this._step('return', func, `\`${name}()\` returns nothing (undefined)`, []));
+        }
+        return steps;
+    }
+
+    /**
+     * Build steps for the arguments local calls pass to a parameter
+     * @private
+     */
+    _argumentSteps(definition, depth) {
+        const func = definition.func;
+        const binding = functionBinding(func, this._references, this.parents);
+        if (!binding) return [];
+
+        const steps = [];
+        for (const reference of binding.references) {
+            const call = this.parents.get(reference.identifier);
+            if (!call || call.type !== 'CallExpression' || call.callee !== reference.identifier) continue;
+
+            const argument = call.arguments[definition.index];
+            const line = this.tree.lineIndex.lineAt(call.start) + 1;
+            if (argument) {
+                steps.push(this._step('argument', argument, `Passed as \`${this._snippet(argument)}\` by the call on line ${line}`,
+                    this._valueSteps(argument, depth)));
+            } else {
+                steps.push(this._step('argument', call, `Left out by the call on line ${line}`, []));
+            }
+        }
+        return steps;
+    }
+
+    /**
+     * Name a function for descriptions
+     * @private
+     */
+    _functionName(func) {
+        if (func.id) return func.id.name;
+        const parent = this.parents.get(func);
+        if (parent && parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+        if (parent && (parent.type === 'MethodDefinition' || parent.type === 'Property') && !parent.computed && parent.key.name) {
+            return parent.key.name;
+        }
+        return 'anonymous function';
+    }
+
+    /**
+     * Quote a node's source on one line, shortened
+     * @private
+     */
+    _snippet(node) {
+        const text = this.code.slice(node.start, node.end).replace(/\s+/g, ' ').trim();
+        return text.length > MAX_SNIPPET_LENGTH ? `${text.slice(0, MAX_SNIPPET_LENGTH - 1)}…` : text;
+    }
+
+    /**
+     * Create a step of the origin chain
+     * @private
+     */
+    _step(kind, node, description, from) {
+        const { line, column } = this.tree.lineIndex.positionAt(node.start);
+        return {
+            kind,
+            description,
+            line: line + 1,
+            column,
+            lineText: this.tree.lineIndex.lineText(line),
+            from
+        };
+    }
+}
+
+/**
+ * Explain where the value read by a reference comes from
+ * @param {object} tree - Program node
+ * @param {object} analysis - Scope analysis of the tree
+ * @param {object} reference - Reference to explain, usually a read
+ * @param {string} code - Source the tree was parsed from
+ * @returns {Array<{kind: string, description: string, line: number, column: number, lineText: string, from: Array<object>}>}
+ *     The definitions that can reach the reference, each with the steps its own value comes from.
+ *     Kinds: declaration, declared, assignment, update, item, key, parameter, argument, return,
+ *     catch, function, class, import, captured, undefined, global and other. Lines are one-based.
+ */
+function explainValueOrigin(tree, analysis, reference, code) {
+    return new ValueOriginTracer(tree, analysis, code).explain(reference);
+}
+
+module.exports = {
+    explainValueOrigin
+};
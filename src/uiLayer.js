@@ -1,5 +1,6 @@
 const vscode = require('vscode');
 const path = require('path');
+const { FRAMEWORK_NAMES } = require('./syntax/singleFileComponent');
 
 /**
  * UILayer for CodeWhiskers
@@ -14,6 +15,8 @@ class UILayer {
         this.initialized = false;
         this._catThemeManager = null;
         this.learningPathButton = null;
+        this._duplicatesPanel = null;
+        this._duplicates = null;
         
         // Set default settings before trying to load
         this.settings = {
@@ -738,23 +741,37 @@ class UILayer {
         
         // Handle messages from the webview
         panel.webview.onDidReceiveMessage(
-            message => {
+            async message => {
                 switch (message.command) {
                     case 'jumpToLocation':
                         const line = parseInt(message.line);
                         const column = parseInt(message.column);
                         
                         if (!isNaN(line) && !isNaN(column)) {
+                            // Usages from other files open that file first
+                            let targetEditor = editor;
+                            if (message.file && message.file !== editor.document.uri.fsPath) {
+                                try {
+                                    const document = await vscode.workspace.openTextDocument(vscode.Uri.file(message.file));
+                                    targetEditor = await vscode.window.showTextDocument(document, vscode.ViewColumn.One);
+                                } catch (error) {
+                                    console.error('Error opening traced file:', error);
+                                    vscode.window.showErrorMessage(`Could not open ${message.file}`);
+                                    return;
+                                }
+                            }
+                            
                             // Jump to the location of the variable usage
                             const position = new vscode.Position(line - 1, column);
-                            editor.selection = new vscode.Selection(position, position);
-                            editor.revealRange(
+                            targetEditor.selection = new vscode.Selection(position, position);
+                            targetEditor.revealRange(
                                 new vscode.Range(position, position),
                                 vscode.TextEditorRevealType.InCenter
                             );
                             
                             // Apply decoration to highlight the usage
-                            const usage = variableUsages.find(u => u.line === line && u.column === column);
+                            const usage = variableUsages.find(u => u.line === line && u.column === column &&
+                                (!message.file || u.file === message.file));
                             if (usage) {
                                 const range = new vscode.Range(
                                     new vscode.Position(usage.line - 1, usage.column),
@@ -766,7 +783,7 @@ class UILayer {
                                     border: '1px solid #ffd700'
                                 });
                                 
-                                editor.setDecorations(decoration, [range]);
+                                targetEditor.setDecorations(decoration, [range]);
                                 
                                 // Remove decoration after a delay
                                 setTimeout(() => {
@@ -795,6 +812,14 @@ class UILayer {
             usage.type !== 'definition' && usage.type !== 'declaration'
         );
         
+        // Cross-file traces are grouped by file, in the order the tracer returned them
+        const files = [];
+        variableUsages.forEach(usage => {
+            if (!files.includes(usage.file)) {
+                files.push(usage.file);
+            }
+        });
+        
         return `
             <!DOCTYPE html>
             <html lang="en">
@@ -858,6 +883,9 @@ class UILayer {
                     .trace-card.write {
                         border-left-color: #ffb74d;
                     }
+                    .trace-card.capture {
+                        border-left-color: #ba68c8;
+                    }
                     .location {
                         font-family: monospace;
                         font-weight: bold;
@@ -883,7 +911,8 @@ class UILayer {
                         margin-left: 8px;
                         text-transform: uppercase;
                     }
-                    .type-definition {
+                    .type-definition,
+                    .type-declaration {
                         background-color: #81c784;
                         color: #1b5e20;
                     }
@@ -895,7 +924,8 @@ class UILayer {
                         background-color: #ffb74d;
                         color: #e65100;
                     }
-                    .type-update {
+                    .type-update,
+                    .type-capture {
                         background-color: #ba68c8;
                         color: #4a148c;
                     }
@@ -903,6 +933,17 @@ class UILayer {
                         color: var(--vscode-symbolIcon-variableForeground, #75beff);
                         font-weight: bold;
                     }
+                    .file-title {
+                        margin-top: 24px;
+                        font-family: monospace;
+                        font-size: 14px;
+                        font-weight: bold;
+                        color: var(--vscode-textLink-foreground, #3794ff);
+                    }
+                    .file-title::before {
+                        content: "📄";
+                        margin-right: 5px;
+                    }
                 </style>
             </head>
             <body>
@@ -913,40 +954,13 @@ class UILayer {
                     </div>
                     
                     <div class="summary">
-                        Found ${definitions.length} definition(s) and ${usages.length} usage(s).
+                        Found ${definitions.length} definition(s) and ${usages.length} usage(s)${files.length > 1 ? ` across ${files.length} files` : ''}.
                     </div>
                     
-                    ${definitions.length > 0 ? `
-                        <div class="section-title">Definitions</div>
-                        <div class="definitions-container">
-                            ${definitions.map(def => `
-                                <div class="trace-card definition" data-line="${def.line}" data-column="${def.column}">
-                                    <div class="location">
-                                        Line ${def.line}
-                                        <span class="usage-type type-definition">${def.type}</span>
-                                    </div>
-                                    <div class="description">${def.description || ''}</div>
-                                    <div class="context">${def.context.trim()}</div>
-                                </div>
-                            `).join('')}
-                        </div>
-                    ` : ''}
-                    
-                    ${usages.length > 0 ? `
-                        <div class="section-title">Usages</div>
-                        <div class="usages-container">
-                            ${usages.map(usage => `
-                                <div class="trace-card ${usage.type === 'read' ? 'read' : 'write'}" data-line="${usage.line}" data-column="${usage.column}">
-                                    <div class="location">
-                                        Line ${usage.line}
-                                        <span class="usage-type type-${usage.type}">${usage.type}</span>
-                                    </div>
-                                    <div class="description">${usage.description || ''}</div>
-                                    <div class="context">${usage.context.trim()}</div>
-                                </div>
-                            `).join('')}
-                        </div>
-                    ` : ''}
+                    ${files.map(file => this._generateTraceFileSectionHTML(
+                        variableUsages.filter(usage => usage.file === file),
+                        files.length > 1
+                    )).join('')}
                 </div>
                 
                 <script>
@@ -957,11 +971,13 @@ class UILayer {
                         card.addEventListener('click', () => {
                             const line = card.getAttribute('data-line');
                             const column = card.getAttribute('data-column');
+                            const file = card.getAttribute('data-file');
                             
                             vscode.postMessage({
                                 command: 'jumpToLocation',
                                 line: line,
-                                column: column
+                                column: column,
+                                file: file || undefined
                             });
                         });
                     });
@@ -971,6 +987,519 @@ class UILayer {
         `;
     }
     
+    /**
+     * Generate the definitions and usages of one file in the variable traces panel
+     * @private
+     */
+    _generateTraceFileSectionHTML(fileUsages, showFileTitle) {
+        const definitions = fileUsages.filter(usage => 
+            usage.type === 'definition' || usage.type === 'declaration'
+        );
+        const usages = fileUsages.filter(usage => 
+            usage.type !== 'definition' && usage.type !== 'declaration'
+        );
+        const file = fileUsages[0].file;
+        const fileAttribute = file ? ` data-file="${this._escapeHtml(file)}"` : '';
+        
+        return `
+            ${showFileTitle ? `
+                <div class="file-title">${this._escapeHtml(fileUsages[0].relativePath || file)}</div>
+            ` : ''}
+            
+            ${definitions.length > 0 ? `
+                <div class="section-title">Definitions</div>
+                <div class="definitions-container">
+                    ${definitions.map(def => `
+                        <div class="trace-card definition" data-line="${def.line}" data-column="${def.column}"${fileAttribute}>
+                            <div class="location">
+                                Line ${def.line}
+                                <span class="usage-type type-definition">${def.type}</span>
+                            </div>
+                            <div class="description">${def.description || ''}</div>
+                            <div class="context">${this._escapeHtml(def.context.trim())}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            
+            ${usages.length > 0 ? `
+                <div class="section-title">Usages</div>
+                <div class="usages-container">
+                    ${usages.map(usage => `
+                        <div class="trace-card ${usage.type === 'read' || usage.type === 'capture' ? usage.type : 'write'}" data-line="${usage.line}" data-column="${usage.column}"${fileAttribute}>
+                            <div class="location">
+                                Line ${usage.line}
+                                <span class="usage-type type-${usage.type}">${usage.type}</span>
+                            </div>
+                            <div class="description">${usage.description || ''}</div>
+                            <div class="context">${this._escapeHtml(usage.context.trim())}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Show where the value of a variable comes from using a WebView panel
+     * @param {object} result - Origin from Parser.explainValueOrigin()
+     * @param {vscode.TextEditor} editor - The active text editor
+     */
+    showValueOrigin(result, editor) {
+        if (result.origins.length === 0) {
+            vscode.window.showInformationMessage(`No definition of '${result.name}' reaches this point`);
+            return;
+        }
+
+        const panel = vscode.window.createWebviewPanel(
+            'codewhiskers.valueOrigin',
+            `Value Origin: ${result.name}`,
+            vscode.ViewColumn.Beside,
+            { enableScripts: true }
+        );
+
+        panel.webview.html = this._generateValueOriginHTML(result);
+
+        // Handle messages from the webview
+        panel.webview.onDidReceiveMessage(
+            message => {
+                switch (message.command) {
+                    case 'jumpToLocation':
+                        const line = parseInt(message.line);
+                        const column = parseInt(message.column);
+
+                        if (!isNaN(line) && !isNaN(column)) {
+                            const position = new vscode.Position(line - 1, column);
+                            editor.selection = new vscode.Selection(position, position);
+                            editor.revealRange(
+                                new vscode.Range(position, position),
+                                vscode.TextEditorRevealType.InCenter
+                            );
+                        }
+                        return;
+                }
+            },
+            undefined,
+            this.context.subscriptions
+        );
+    }
+
+    /**
+     * Generate HTML for the value origin panel
+     * @private
+     */
+    _generateValueOriginHTML(result) {
+        return `
+            <!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <title>Value Origin</title>
+                <style>
+                    body {
+                        font-family: -apple-system, BlinkMacSystemFont, 'Segoe WPC', 'Segoe UI', system-ui, 'Ubuntu', 'Droid Sans', sans-serif;
+                        padding: 0;
+                        margin: 0;
+                        color: var(--vscode-editor-foreground);
+                        background-color: var(--vscode-editor-background);
+                    }
+                    .container {
+                        max-width: 800px;
+                        margin: 0 auto;
+                        padding: 20px;
+                    }
+                    .header {
+                        margin-bottom: 20px;
+                        display: flex;
+                        align-items: center;
+                    }
+                    .header-icon {
+                        font-size: 24px;
+                        margin-right: 10px;
+                    }
+                    h2 {
+                        margin: 0;
+                    }
+                    .variable-name {
+                        color: var(--vscode-symbolIcon-variableForeground, #75beff);
+                        font-weight: bold;
+                    }
+                    .note {
+                        margin-bottom: 15px;
+                        font-style: italic;
+                        opacity: 0.8;
+                    }
+                    .origin-list {
+                        list-style: none;
+                        padding-left: 0;
+                        margin: 0;
+                    }
+                    .origin-list .origin-list {
+                        padding-left: 22px;
+                        border-left: 1px dashed var(--vscode-panel-border, #888888);
+                        margin-left: 8px;
+                    }
+                    .origin-card {
+                        background-color: var(--vscode-editor-inactiveSelectionBackground, #f5f5f5);
+                        color: var(--vscode-editor-foreground, #333333);
+                        border-radius: 5px;
+                        padding: 10px 12px;
+                        margin: 8px 0;
+                        cursor: pointer;
+                        border-left: 3px solid #81c784;
+                        transition: background-color 0.2s;
+                    }
+                    .origin-card:hover {
+                        background-color: var(--vscode-list-hoverBackground, #e0e0e0);
+                    }
+                    .origin-card.parameter,
+                    .origin-card.argument {
+                        border-left-color: #64b5f6;
+                    }
+                    .origin-card.return {
+                        border-left-color: #ffb74d;
+                    }
+                    .origin-card.captured,
+                    .origin-card.import,
+                    .origin-card.global {
+                        border-left-color: #ba68c8;
+                    }
+                    .origin-card.undefined {
+                        border-left-color: #e57373;
+                    }
+                    .location {
+                        font-family: monospace;
+                        font-weight: bold;
+                        margin-bottom: 5px;
+                    }
+                    .location::before {
+                        content: "📍";
+                        margin-right: 5px;
+                    }
+                    .context {
+                        font-family: monospace;
+                        white-space: pre-wrap;
+                        padding: 5px;
+                        background-color: var(--vscode-editor-background);
+                        border-radius: 3px;
+                        margin-top: 5px;
+                    }
+                    code {
+                        font-family: monospace;
+                        color: var(--vscode-textPreformat-foreground, #d7ba7d);
+                    }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <div class="header-icon">🧶</div>
+                        <h2>Where <span class="variable-name">${this._escapeHtml(result.name)}</span> on line ${result.line} comes from</h2>
+                    </div>
+
+                    ${result.approximate ? `
+                        <div class="note">This language is matched by text only, so only the last assignment before this point is shown.</div>
+                    ` : ''}
+
+                    ${this._generateOriginListHTML(result.origins)}
+                </div>
+
+                <script>
+                    const vscode = acquireVsCodeApi();
+
+                    // Clicking a step jumps to its code
+                    document.querySelectorAll('.origin-card').forEach(card => {
+                        card.addEventListener('click', () => {
+                            vscode.postMessage({
+                                command: 'jumpToLocation',
+                                line: card.getAttribute('data-line'),
+                                column: card.getAttribute('data-column')
+                            });
+                        });
+                    });
+                </script>
+            </body>
+            </html>
+        `;
+    }
+
+    /**
+     * Generate the nested list of origin steps, each followed by where its value comes from
+     * @private
+     */
+    _generateOriginListHTML(steps) {
+        if (steps.length === 0) {
+            return '';
+        }
+
+        // Descriptions quote code between backticks
+        const describe = text => this._escapeHtml(text).replace(/`([^`]*)`/g, '<code>$1</code>');
+
+        return `
+            <ul class="origin-list">
+                ${steps.map(step => `
+                    <li>
+                        <div class="origin-card ${step.kind}" data-line="${step.line}" data-column="${step.column}">
+                            <div class="location">Line ${step.line}</div>
+                            <div class="description">${describe(step.description)}</div>
+                            <div class="context">${this._escapeHtml(step.lineText.trim())}</div>
+                        </div>
+                        ${this._generateOriginListHTML(step.from)}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Show the duplicated code of the workspace side by side in a WebView panel,
+     * reusing the panel when it is already open
+     * @param {Array<object>} clones - Clones from CloneDetector.find()
+     * @param {Function} onExtract - Called with a clone to move its copies into a shared function
+     */
+    showDuplicates(clones, onExtract) {
+        this._duplicates = { clones, onExtract };
+
+        if (this._duplicatesPanel) {
+            this._duplicatesPanel.webview.html = this._generateDuplicatesHTML(clones);
+            this._duplicatesPanel.reveal(undefined, true);
+            return;
+        }
+
+        const panel = vscode.window.createWebviewPanel(
+            'codewhiskers.duplicates',
+            'Duplicates',
+            vscode.ViewColumn.Beside,
+            { enableScripts: true }
+        );
+        this._duplicatesPanel = panel;
+
+        panel.webview.html = this._generateDuplicatesHTML(clones);
+
+        panel.onDidDispose(() => {
+            this._duplicatesPanel = null;
+            this._duplicates = null;
+        }, undefined, this.context.subscriptions);
+
+        // Handle messages from the webview
+        panel.webview.onDidReceiveMessage(
+            async message => {
+                const clone = this._duplicates && this._duplicates.clones[message.index];
+                if (!clone) return;
+
+                switch (message.command) {
+                    case 'openCopy':
+                        const copy = message.side === 'b' ? clone.b : clone.a;
+                        try {
+                            const document = await vscode.workspace.openTextDocument(vscode.Uri.file(copy.file));
+                            const { start, end } = copy.range;
+                            await vscode.window.showTextDocument(document, {
+                                viewColumn: vscode.ViewColumn.One,
+                                selection: new vscode.Range(start.line, start.column, end.line, end.column)
+                            });
+                        } catch (error) {
+                            console.error('Error opening duplicate:', error);
+                            vscode.window.showErrorMessage(`Could not open ${copy.path}`);
+                        }
+                        return;
+                    case 'extract':
+                        this._duplicates.onExtract(clone);
+                        return;
+                }
+            },
+            undefined,
+            this.context.subscriptions
+        );
+    }
+
+    /**
+     * Generate HTML for the duplicates panel
+     * @private
+     */
+    _generateDuplicatesHTML(clones) {
+        const kindLabels = { exact: 'Exact', renamed: 'Renamed', 'near-miss': 'Near miss' };
+        const counts = Object.keys(kindLabels)
+            .map(kind => [kind, clones.filter(clone => clone.kind === kind).length])
+            .filter(([, count]) => count > 0)
+            .map(([kind, count]) => `${count} ${kindLabels[kind].toLowerCase()}`);
+
+        // Long copies are cut so the panel stays readable
+        const snippet = text => {
+            const lines = text.split('\n');
+            const shown = lines.length > 15 ? lines.slice(0, 15).concat(`… ${lines.length - 15} more lines`) : lines;
+            return this._escapeHtml(shown.join('\n'));
+        };
+        const copyHTML = (copy, index, side) => `
+            <div class="copy">
+                <div class="location" data-index="${index}" data-side="${side}">${this._escapeHtml(copy.path)}:${copy.range.start.line + 1}-${copy.range.end.line + 1}</div>
+                <pre>${snippet(copy.text)}</pre>
+            </div>
+        `;
+
+        return `
+            <!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <title>Duplicates</title>
+                <style>
+                    body {
+                        font-family: -apple-system, BlinkMacSystemFont, 'Segoe WPC', 'Segoe UI', system-ui, 'Ubuntu', 'Droid Sans', sans-serif;
+                        padding: 0;
+                        margin: 0;
+                        color: var(--vscode-editor-foreground);
+                        background-color: var(--vscode-editor-background);
+                    }
+                    .container {
+                        padding: 20px;
+                    }
+                    .header {
+                        margin-bottom: 10px;
+                        display: flex;
+                        align-items: center;
+                    }
+                    .header-icon {
+                        font-size: 24px;
+                        margin-right: 10px;
+                    }
+                    h2 {
+                        margin: 0;
+                    }
+                    .summary {
+                        margin-bottom: 20px;
+                        opacity: 0.8;
+                    }
+                    .clone-card {
+                        background-color: var(--vscode-editor-inactiveSelectionBackground, #f5f5f5);
+                        border-radius: 5px;
+                        padding: 12px;
+                        margin-bottom: 15px;
+                        border-left: 3px solid #81c784;
+                    }
+                    .clone-card.renamed {
+                        border-left-color: #64b5f6;
+                    }
+                    .clone-card.near-miss {
+                        border-left-color: #ffb74d;
+                    }
+                    .clone-header {
+                        display: flex;
+                        align-items: center;
+                        gap: 10px;
+                        margin-bottom: 10px;
+                    }
+                    .badge {
+                        font-size: 12px;
+                        font-weight: bold;
+                        padding: 2px 8px;
+                        border-radius: 10px;
+                        background-color: var(--vscode-badge-background, #4d4d4d);
+                        color: var(--vscode-badge-foreground, #ffffff);
+                    }
+                    .details {
+                        opacity: 0.8;
+                        flex: 1;
+                    }
+                    .copies {
+                        display: grid;
+                        grid-template-columns: 1fr 1fr;
+                        gap: 10px;
+                    }
+                    .copy {
+                        min-width: 0;
+                    }
+                    .location {
+                        font-family: monospace;
+                        font-weight: bold;
+                        margin-bottom: 5px;
+                        cursor: pointer;
+                        color: var(--vscode-textLink-foreground, #3794ff);
+                    }
+                    .location:hover {
+                        text-decoration: underline;
+                    }
+                    pre {
+                        margin: 0;
+                        padding: 8px;
+                        overflow-x: auto;
+                        font-size: 12px;
+                        background-color: var(--vscode-editor-background);
+                        border-radius: 3px;
+                    }
+                    button {
+                        background-color: var(--vscode-button-background);
+                        color: var(--vscode-button-foreground);
+                        border: none;
+                        padding: 4px 10px;
+                        border-radius: 3px;
+                        cursor: pointer;
+                    }
+                    button:hover:enabled {
+                        background-color: var(--vscode-button-hoverBackground);
+                    }
+                    button:disabled {
+                        opacity: 0.5;
+                        cursor: default;
+                    }
+                    .reason {
+                        margin-top: 8px;
+                        font-size: 12px;
+                        font-style: italic;
+                        opacity: 0.8;
+                    }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <div class="header-icon">🐾</div>
+                        <h2>Duplicates</h2>
+                    </div>
+                    <div class="summary">${clones.length} duplicated ${clones.length === 1 ? 'section' : 'sections'}: ${counts.join(', ')}</div>
+
+                    ${clones.map((clone, index) => `
+                        <div class="clone-card ${clone.kind}">
+                            <div class="clone-header">
+                                <span class="badge">${kindLabels[clone.kind]}</span>
+                                <span class="details">${Math.round(clone.similarity * 100)}% similar, ${clone.tokens} tokens</span>
+                                <button data-index="${index}" ${clone.extractable ? '' : 'disabled'}>Extract shared function</button>
+                            </div>
+                            <div class="copies">
+                                ${copyHTML(clone.a, index, 'a')}
+                                ${copyHTML(clone.b, index, 'b')}
+                            </div>
+                            ${clone.extractable ? '' : `<div class="reason">${this._escapeHtml(clone.reason)}</div>`}
+                        </div>
+                    `).join('')}
+                </div>
+
+                <script>
+                    const vscode = acquireVsCodeApi();
+
+                    // Clicking a location opens that copy
+                    document.querySelectorAll('.location').forEach(location => {
+                        location.addEventListener('click', () => {
+                            vscode.postMessage({
+                                command: 'openCopy',
+                                index: Number(location.getAttribute('data-index')),
+                                side: location.getAttribute('data-side')
+                            });
+                        });
+                    });
+
+                    document.querySelectorAll('button[data-index]').forEach(button => {
+                        button.addEventListener('click', () => {
+                            vscode.postMessage({ command: 'extract', index: Number(button.getAttribute('data-index')) });
+                        });
+                    });
+                </script>
+            </body>
+            </html>
+        `;
+    }
+
     /**
      * Show documentation suggestions in a WebView panel
      * @param {Array<object>} undocumentedSections - Array of code sections needing documentation
@@ -1001,10 +1530,15 @@ class UILayer {
                         const sectionIndex = parseInt(message.sectionIndex);
                         if (!isNaN(sectionIndex) && sectionIndex >= 0 && sectionIndex < undocumentedSections.length) {
                             const section = undocumentedSections[sectionIndex];
-                            const docTemplate = this._generateDocTemplate(section);
+                            
+                            // The parser's suggestion carries the inferred types; indent it like the function
+                            const indent = section.text.match(/^\s*/)[0];
+                            const docTemplate = section.suggestion
+                                ? section.suggestion.split('\n').map(line => indent + line).join('\n') + '\n'
+                                : this._generateDocTemplate(section);
                             
                             // Add documentation to the section
-                            const position = new vscode.Position(section.start.line, 0);
+                            const position = new vscode.Position(section.line, 0);
                             editor.edit(editBuilder => {
                                 editBuilder.insert(position, docTemplate);
                             }).then(success => {
@@ -1025,7 +1559,7 @@ class UILayer {
                             const section = undocumentedSections[index];
                             
                             // Jump to the section
-                            const position = new vscode.Position(section.start.line, section.start.character);
+                            const position = new vscode.Position(section.line, section.text.search(/\S|$/));
                             editor.selection = new vscode.Selection(position, position);
                             editor.revealRange(
                                 new vscode.Range(position, position),
@@ -1167,9 +1701,9 @@ class UILayer {
                             <div class="section-card" id="section-${index}">
                                 <div class="section-header">
                                     <div class="section-title" data-index="${index}">${section.type}: ${section.name || 'Unnamed'}</div>
-                                    <div class="section-location">Line ${section.start.line + 1}</div>
+                                    <div class="section-location">Line ${section.line + 1}</div>
                                 </div>
-                                <div class="code-preview">${section.code}</div>
+                                <div class="code-preview">${this._escapeHtml(section.suggestion || section.text)}</div>
                                 <div class="action-buttons">
                                     <button class="action-button add-doc-button" data-index="${index}">Add Documentation</button>
                                     <button class="action-button jump-button" data-index="${index}">Jump to Code</button>
@@ -1271,14 +1805,14 @@ class UILayer {
             message => {
                 switch (message.command) {
                     case 'generateDocumentation':
-                        const functionData = analyzedFunctions.find(fn => fn.name === message.functionName);
+                        const functionData = analyzedFunctions.find(fn => (fn.qualifiedName || fn.name) === message.functionName);
                         if (functionData) {
                             this._generateFunctionDocumentation(functionData, editor);
                         }
                         return;
                         
                     case 'jumpToFunction':
-                        const fnData = analyzedFunctions.find(fn => fn.name === message.functionName);
+                        const fnData = analyzedFunctions.find(fn => (fn.qualifiedName || fn.name) === message.functionName);
                         if (fnData && fnData.position) {
                             const position = new vscode.Position(fnData.position.line, fnData.position.character);
                             editor.selection = new vscode.Selection(position, position);
@@ -1430,8 +1964,8 @@ class UILayer {
                     <div class="functions-container">
                         ${analyzedFunctions.map(fn => `
                             <div class="function-card ${fn.analysis.complexity.level}-complexity">
-                                <div class="function-name" data-function="${fn.name}">
-                                    ${fn.name}
+                                <div class="function-name" data-function="${fn.qualifiedName || fn.name}">
+                                    ${fn.qualifiedName || fn.name}
                                     <span class="complexity-badge complexity-${fn.analysis.complexity.level}">
                                         ${fn.analysis.complexity.level.toUpperCase()}
                                     </span>
@@ -1452,7 +1986,7 @@ class UILayer {
                                     </div>
                                 ` : ''}
                                 <div class="action-buttons">
-                                    <button class="action-button doc-button" data-function="${fn.name}">Generate Documentation</button>
+                                    <button class="action-button doc-button" data-function="${fn.qualifiedName || fn.name}">Generate Documentation</button>
                                 </div>
                             </div>
                         `).join('')}
@@ -1887,7 +2421,10 @@ class UILayer {
         if (codeStructure.loops.length > 0) {
             const loopRanges = codeStructure.loops.map(loop => {
                 const pos = editor.document.positionAt(loop.position);
-                return new vscode.Range(pos, pos.translate(0, loop.type.length + 1));
+                return {
+                    range: new vscode.Range(pos, pos.translate(0, loop.type.length + 1)),
+                    hoverMessage: this._describeStructureEntry(`\`${loop.type}\` loop`, loop)
+                };
             });
             
             editor.setDecorations(loopDecoration, loopRanges);
@@ -1898,7 +2435,10 @@ class UILayer {
         if (codeStructure.conditionals.length > 0) {
             const conditionalRanges = codeStructure.conditionals.map(cond => {
                 const pos = editor.document.positionAt(cond.position);
-                return new vscode.Range(pos, pos.translate(0, cond.type.length + 1));
+                return {
+                    range: new vscode.Range(pos, pos.translate(0, cond.type.length + 1)),
+                    hoverMessage: this._describeStructureEntry(`\`${cond.type}\` condition`, cond)
+                };
             });
             
             editor.setDecorations(conditionalDecoration, conditionalRanges);
@@ -1909,7 +2449,10 @@ class UILayer {
         if (codeStructure.functions.length > 0) {
             const functionRanges = codeStructure.functions.map(func => {
                 const pos = editor.document.positionAt(func.position);
-                return new vscode.Range(pos, pos.translate(0, func.name.length + 10));
+                return {
+                    range: new vscode.Range(pos, pos.translate(0, func.name.length + 10)),
+                    hoverMessage: this._describeStructureEntry(`Function \`${func.qualifiedName || func.name}\``, func)
+                };
             });
             
             editor.setDecorations(functionDecoration, functionRanges);
@@ -1920,6 +2463,21 @@ class UILayer {
     
     // Private helper methods
     
+    /**
+     * Build the hover text for a structure entry, e.g. "`for` loop in `UILayer.show` (nesting depth 3)"
+     * @private
+     */
+    _describeStructureEntry(label, entry) {
+        let description = label;
+        if (entry.container && entry.container !== entry.qualifiedName && entry.container !== entry.name) {
+            description += ` in \`${entry.container}\``;
+        }
+        if (entry.depth) {
+            description += ` (nesting depth ${entry.depth})`;
+        }
+        return new vscode.MarkdownString(description);
+    }
+    
     /**
      * Register hover providers for languages
      * @private
@@ -3244,12 +3802,7 @@ class UILayer {
                         const issue = this._currentIssues.find(i => i.id === message.issueId);
                         if (issue) {
                             try {
-                                // Generate fixed code if not already available
-                                if (!issue.fixedCode) {
-                                    issue.fixedCode = this._generateFixedCode(issue);
-                                }
-                                
-                                // Apply the fix
+                                // Apply the fix suggested by the rule that found the issue
                                 if (issue.fixedCode) {
                                     this._applyFix(editor, issue, issue.fixedCode);
                                     
@@ -3363,6 +3916,43 @@ class UILayer {
         panel.webview.html = this._getWebviewContent(`React Analysis: ${componentName}`, content);
     }
     
+    /**
+     * Show Vue or Svelte component analysis
+     * @param {string} componentName - Name of the component, taken from its file
+     * @param {object} analysis - The advanced parser's componentAnalysis
+     * @param {vscode.TextEditor} editor - Current editor
+     */
+    showComponentAnalysis(componentName, analysis, editor) {
+        const framework = FRAMEWORK_NAMES[analysis.framework];
+        const list = (items, empty) => items.length > 0
+            ? `<ul>${items.map(item => `<li><code>${this._escapeHtml(item)}</code></li>`).join('')}</ul>`
+            : `<p>${empty}</p>`;
+        
+        const content = `
+            <div class="component-analysis">
+                <h2>${framework} Component Analysis: ${this._escapeHtml(componentName)}</h2>
+                <h3>Reactive State</h3>
+                ${list(analysis.reactiveState, 'No reactive state declared in the script.')}
+                <h3>Child Components</h3>
+                ${list(analysis.components, 'The template renders no other components.')}
+                <h3>Directives</h3>
+                ${list(analysis.directives, 'The template uses no directives.')}
+                <p>The template renders ${analysis.loops} list(s) and ${analysis.conditionals} conditional block(s).</p>
+            </div>
+        `;
+        
+        const panel = vscode.window.createWebviewPanel(
+            'componentAnalysis',
+            `WhiskerCode: ${framework} Analysis - ${componentName}`,
+            vscode.ViewColumn.Two,
+            {
+                enableScripts: true
+            }
+        );
+        
+        panel.webview.html = this._getWebviewContent(`${framework} Analysis: ${componentName}`, content);
+    }
+    
     /**
      * Show algorithmic complexity fix options
      * @param {object} issue - The performance issue
@@ -3402,10 +3992,9 @@ class UILayer {
             }
         );
         
-        // Generate the suggested fix based on the issue type
-        let fixedCode = this._generateFixedCode(issue);
+        // The rule that found the issue suggests the fix
+        const fixedCode = issue.fixedCode;
         if (!fixedCode) {
-            fixedCode = issue.match;
             vscode.window.showInformationMessage(`No automatic fix available for this issue. Manual suggestion: ${issue.suggestion}`);
             return;
         }
@@ -3515,11 +4104,11 @@ class UILayer {
                 <div class="code-comparison">
                     <div class="code-block">
                         <div class="code-title">Original Code:</div>
-                        <pre><code>${this._escapeHtml(issue.match)}</code></pre>
+                        <pre><code>${this._escapeHtml(issue.code)}</code></pre>
                     </div>
                     <div class="code-block">
                         <div class="code-title">Suggested Fix:</div>
-                        <pre><code>${this._highlightChanges(this._escapeHtml(issue.match), this._escapeHtml(fixedCode))}</code></pre>
+                        <pre><code>${this._highlightChanges(this._escapeHtml(issue.code), this._escapeHtml(fixedCode))}</code></pre>
                     </div>
                 </div>
                 
@@ -3560,100 +4149,6 @@ class UILayer {
         });
     }
     
-    /**
-     * Generate fixed code based on the issue type
-     * @param {object} issue - The performance issue
-     * @returns {string} The fixed code
-     * @private
-     */
-    _generateFixedCode(issue) {
-        let fixedCode = '';
-        
-        switch (issue.type) {
-            case 'stringConcatenation':
-                // Fix string concatenation in loops
-                if (issue.match.includes('+=') && issue.match.includes('for')) {
-                    fixedCode = issue.match.replace(
-                        /let\s+(\w+)\s*=\s*["'].*;/,
-                        'const parts = [];'
-                    );
-                    
-                    // Replace string concatenation with array push
-                    fixedCode = fixedCode.replace(
-                        /(\w+)\s*\+=\s*(.*);/g,
-                        'parts.push($2);'
-                    );
-                    
-                    // Add join at the end
-                    fixedCode = fixedCode.replace(
-                        /}(?:\s*return\s*(\w+);)?/,
-                        '}\nconst $1 = parts.join("");\nreturn $1;'
-                    );
-                }
-                break;
-                
-            case 'nestedLoops':
-                // Replace nested loops with more efficient structure
-                if (issue.match.includes('for') && issue.match.includes('for')) {
-                    // Use a Map or Set to avoid nested loops
-                    fixedCode = issue.match.replace(
-                        /for\s*\((.*?)\)\s*{\s*for\s*\((.*?)\)\s*{/g,
-                        'const seen = new Set();\nfor ($1) {\n  // Process in a single loop\n  if (!seen.has(key)) {\n    seen.add(key);'
-                    );
-                    
-                    fixedCode = fixedCode.replace(
-                        /}(?:\s*})/,
-                        '  }\n}'
-                    );
-                }
-                break;
-                
-            case 'domOperations':
-                // Fix DOM operations in loops
-                if (issue.match.includes('document') && issue.match.includes('appendChild') && issue.match.includes('for')) {
-                    fixedCode = issue.match.replace(
-                        /for\s*\((.*?)\)\s*{/,
-                        'const fragment = document.createDocumentFragment();\nfor ($1) {'
-                    );
-                    
-                    fixedCode = fixedCode.replace(
-                        /document\.body\.appendChild\((.*)\);/g,
-                        'fragment.appendChild($1);'
-                    );
-                    
-                    fixedCode = fixedCode.replace(
-                        /}(?:\s*})?/,
-                        '}\ndocument.body.appendChild(fragment);'
-                    );
-                }
-                break;
-                
-            case 'asyncAwait':
-                // Fix sequential awaits in loops
-                if (issue.match.includes('for') && issue.match.includes('await')) {
-                    fixedCode = `// Create an array of promises first
-const promises = items.map(async (item) => {
-    // Your async operation here
-    return await someAsyncOperation(item);
-});
-
-// Then await all promises at once
-const results = await Promise.all(promises);`;
-                }
-                break;
-                
-            default:
-                // Simple direct replacement if we have a suggestion code
-                if (issue.fixedCode) {
-                    fixedCode = issue.fixedCode;
-                } else {
-                    return null;
-                }
-        }
-        
-        return fixedCode || null;
-    }
-    
     /**
      * Apply the fix to the editor
      * @param {vscode.TextEditor} editor - The current editor
@@ -3665,15 +4160,15 @@ const results = await Promise.all(promises);`;
         const document = editor.document;
         const text = document.getText();
         
-        // Find the position of the issue in the document
-        const issueStart = text.indexOf(issue.match);
+        // Find the position of the issue in the document, searching for it if the text moved
+        const issueStart = text.substring(issue.start, issue.end) === issue.code ? issue.start : text.indexOf(issue.code);
         if (issueStart === -1) {
             vscode.window.showErrorMessage('Could not locate the issue in the document.');
             return;
         }
         
         const startPos = document.positionAt(issueStart);
-        const endPos = document.positionAt(issueStart + issue.match.length);
+        const endPos = document.positionAt(issueStart + issue.code.length);
         const range = new vscode.Range(startPos, endPos);
         
         // Apply the edit
@@ -3768,11 +4263,8 @@ const results = await Promise.all(promises);`;
      * @param {vscode.TextEditor} editor - Current editor
      */
     showAsyncFixOptions(issue, editor) {
-        const code = issue.match;
-        const selection = editor.selection;
-        
         // For sequential await in loop issue
-        if (issue.description.includes("Sequential await")) {
+        if (issue.ruleId === 'await_in_loop') {
             const fixedCode = `// Create an array of promises first
 const promises = items.map(async (item) => {
     // Your async operation here
@@ -3800,7 +4292,7 @@ const results = await Promise.all(promises);`;
                         <h2>Async Pattern Fix</h2>
                         <h3>Issue: ${issue.description}</h3>
                         <p><strong>Current Code:</strong></p>
-                        <pre><code>${issue.match}</code></pre>
+                        <pre><code>${this._escapeHtml(issue.code)}</code></pre>
                         <p><strong>Suggested Fix:</strong></p>
                         <pre><code>${fixedCode}</code></pre>
                         <p>${issue.suggestion}</p>
@@ -4070,7 +4562,7 @@ const results = await Promise.all(promises);`;
     
     _generatePerformanceHTML(issues, fileName) {
         // Group issues by severity
-        const highSeverity = issues.filter(issue => issue.severity === 'high');
+        const highSeverity = issues.filter(issue => issue.severity === 'critical' || issue.severity === 'high');
         const mediumSeverity = issues.filter(issue => issue.severity === 'medium');
         const lowSeverity = issues.filter(issue => issue.severity === 'low');
         
@@ -4678,7 +5170,7 @@ const results = await Promise.all(promises);`;
             const hasFixAvailable = this._hasFixAvailable(issue);
             
             html += `
-                <div class="issue-card ${issue.severity}" data-line="${issue.lineNumber || ''}" data-issue="${issue.id || index}">
+                <div class="issue-card ${issue.severity}" data-line="${issue.line}" data-issue="${issue.id || index}">
                     <div class="issue-header">
                         <div>
                             <span class="severity-badge ${issue.severity}">${issue.severity}</span>
@@ -4686,9 +5178,9 @@ const results = await Promise.all(promises);`;
                         </div>
                     </div>
                     <div class="issue-details">
-                        <pre class="code-context"><code>${issue.context || issue.match || ''}</code></pre>
+                        <pre class="code-context"><code>${this._escapeHtml(issue.context || issue.code)}</code></pre>
                         <p class="suggestion">${issue.suggestion}</p>
-                        ${issue.lineNumber ? `<p>Line: ${issue.lineNumber}</p>` : ''}
+                        <p>Line: ${issue.line}</p>
                     </div>
                     <button class="fix-button" data-issue="${issue.id || index}" ${!hasFixAvailable ? 'disabled' : ''}>
                         <span class="fix-icon">🐱</span> Fix Issue
@@ -4706,39 +5198,8 @@ const results = await Promise.all(promises);`;
      * @returns {boolean} Whether a fix is available
      */
     _hasFixAvailable(issue) {
-        // If there's a fixedCode property, a fix is available
-        if (issue.fixedCode) return true;
-        
-        // Check if we can generate a fix based on issue type
-        const issueTypes = ['stringConcatenation', 'nestedLoops', 'domOperations', 'asyncAwait'];
-        
-        if (!issue.type) return false;
-        
-        if (issueTypes.includes(issue.type)) {
-            // Specific checks for certain issue types
-            if (issue.type === 'stringConcatenation' && issue.match && 
-                issue.match.includes('+=') && issue.match.includes('for')) {
-                return true;
-            }
-            
-            if (issue.type === 'nestedLoops' && issue.match && 
-                issue.match.includes('for') && issue.match.match(/for\s*\(.*\)\s*{\s*for/)) {
-                return true;
-            }
-            
-            if (issue.type === 'domOperations' && issue.match && 
-                issue.match.includes('document') && issue.match.includes('appendChild') && 
-                issue.match.includes('for')) {
-                return true;
-            }
-            
-            if (issue.type === 'asyncAwait' && issue.match && 
-                issue.match.includes('for') && issue.match.includes('await')) {
-                return true;
-            }
-        }
-        
-        return false;
+        // Rules that can fix an issue suggest the fixed code with it
+        return Boolean(issue.fixedCode);
     }
     
     /**
@@ -5125,6 +5586,11 @@ const results = await Promise.all(promises);`;
                     description: 'See function relationships',
                     command: 'whiskercode.visualizeDependencies'
                 },
+                {
+                    label: '$(git-merge) Show Control Flow',
+                    description: 'Graph the paths through the function under the cursor',
+                    command: 'whiskercode.showControlFlow'
+                },
                 {
                     label: '$(flame) Performance Analysis',
                     description: 'Find and fix bottlenecks',
@@ -0,0 +1,250 @@
+const os = require('os');
+const { Worker } = require('worker_threads');
+
+/**
+ * Raised when a task is cancelled through its CancellationToken
+ */
+class CancelledError extends Error {
+    constructor() {
+        super('Analysis was cancelled');
+        this.name = 'CancelledError';
+    }
+}
+
+/**
+ * Worker Pool for WhiskerCode
+ * Runs analysis tasks on worker threads so the extension host stays responsive.
+ *
+ * Tasks with the same key (a document URI) always go to the same worker, which
+ * keeps that worker's per-document caches warm. A cancelled task is dropped if it
+ * is still queued; if it is already running its worker is terminated, since a
+ * synchronous analysis cannot be interrupted any other way.
+ */
+class WorkerPool {
+    /**
+     * @param {string} scriptPath - Worker script, see analysisWorker.js
+     * @param {number} [size] - Number of worker threads
+     */
+    constructor(scriptPath, size) {
+        this.scriptPath = scriptPath;
+        this.size = size || Math.max(1, Math.min(2, os.cpus().length - 1));
+        this._slots = Array.from({ length: this.size }, () => ({ worker: null, current: null, queue: [] }));
+        this._nextId = 1;
+
+        // Messages every worker receives when it starts, see addStartupMessage()
+        this._startupMessages = [];
+    }
+
+    /**
+     * Run a task on a worker
+     * @param {string} method - Method the worker should call
+     * @param {object} payload - Structured-cloneable task data
+     * @param {object} [options] - Task options
+     * @param {string} [options.key] - Affinity key; tasks with the same key share a worker
+     * @param {vscode.CancellationToken} [options.token] - Token that cancels the task
+     * @returns {Promise<*>} Task result; rejects with CancelledError when cancelled
+     */
+    run(method, payload, options = {}) {
+        const { key = '', token } = options;
+
+        if (token && token.isCancellationRequested) {
+            return Promise.reject(new CancelledError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const slot = this._slots[this._slotIndex(key)];
+            const task = { id: this._nextId++, method, payload, slot, resolve, reject, cancellation: null };
+
+            if (token) {
+                task.cancellation = token.onCancellationRequested(() => this._cancel(task));
+            }
+
+            slot.queue.push(task);
+            this._dispatch(slot);
+        });
+    }
+
+    /**
+     * Send a message to every running worker without waiting for a reply
+     * @param {object} message - Message to send
+     */
+    broadcast(message) {
+        for (const slot of this._slots) {
+            if (slot.worker) {
+                slot.worker.postMessage(message);
+            }
+        }
+    }
+
+    /**
+     * Send a message to every running worker, and to each worker started later before its first task
+     * @param {object} message - Message to send
+     * @returns {{dispose: function(): void}} Disposable that stops sending the message to new workers
+     */
+    addStartupMessage(message) {
+        this._startupMessages.push(message);
+        this.broadcast(message);
+        return {
+            dispose: () => {
+                const index = this._startupMessages.indexOf(message);
+                if (index !== -1) this._startupMessages.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Stop all workers and reject outstanding tasks
+     */
+    dispose() {
+        for (const slot of this._slots) {
+            const tasks = slot.current ? [slot.current, ...slot.queue] : slot.queue;
+            slot.queue = [];
+            slot.current = null;
+            this._stopWorker(slot);
+            tasks.forEach(task => this._settle(task, new CancelledError()));
+        }
+    }
+
+    /**
+     * Pick the slot for an affinity key
+     * @private
+     */
+    _slotIndex(key) {
+        let hash = 0;
+        for (let i = 0; i < key.length; i++) {
+            hash = (hash * 31 + key.charCodeAt(i)) | 0;
+        }
+        return Math.abs(hash) % this.size;
+    }
+
+    /**
+     * Start the next queued task of a slot if its worker is idle
+     * @private
+     */
+    _dispatch(slot) {
+        if (slot.current || slot.queue.length === 0) return;
+
+        const task = slot.queue.shift();
+        slot.current = task;
+
+        try {
+            const worker = this._workerFor(slot);
+            worker.ref();
+            worker.postMessage({ id: task.id, method: task.method, payload: task.payload });
+        } catch (error) {
+            slot.current = null;
+            this._settle(task, error);
+            this._dispatch(slot);
+        }
+    }
+
+    /**
+     * Get the worker of a slot, starting one if needed
+     * @private
+     */
+    _workerFor(slot) {
+        if (slot.worker) return slot.worker;
+
+        const worker = new Worker(this.scriptPath);
+        worker.on('message', message => {
+            const task = slot.current;
+            if (slot.worker !== worker || !task || task.id !== message.id) return;
+
+            slot.current = null;
+            worker.unref();
+            if (message.error) {
+                const error = new Error(message.error.message);
+                error.stack = message.error.stack;
+                this._settle(task, error);
+            } else {
+                this._settle(task, null, message.result);
+            }
+            this._dispatch(slot);
+        });
+        worker.on('error', error => {
+            console.error('Analysis worker failed:', error);
+            this._onWorkerLost(slot, worker, error);
+        });
+        worker.on('exit', code => {
+            this._onWorkerLost(slot, worker, new Error(`Analysis worker stopped with exit code ${code}`));
+        });
+
+        for (const message of this._startupMessages) {
+            worker.postMessage(message);
+        }
+
+        // Only workers with a running task keep the process alive
+        worker.unref();
+        slot.worker = worker;
+        return worker;
+    }
+
+    /**
+     * Fail the running task of a worker that crashed, then carry on with a new worker
+     * @private
+     */
+    _onWorkerLost(slot, worker, error) {
+        if (slot.worker !== worker) return;
+
+        slot.worker = null;
+        const task = slot.current;
+        slot.current = null;
+        if (task) this._settle(task, error);
+        this._dispatch(slot);
+    }
+
+    /**
+     * Cancel a queued or running task
+     * @private
+     */
+    _cancel(task) {
+        const slot = task.slot;
+        const index = slot.queue.indexOf(task);
+
+        if (index !== -1) {
+            slot.queue.splice(index, 1);
+        } else if (slot.current === task) {
+            slot.current = null;
+            this._stopWorker(slot);
+        } else {
+            return;
+        }
+
+        this._settle(task, new CancelledError());
+        this._dispatch(slot);
+    }
+
+    /**
+     * Terminate the worker of a slot
+     * @private
+     */
+    _stopWorker(slot) {
+        const worker = slot.worker;
+        if (!worker) return;
+
+        slot.worker = null;
+        worker.terminate().catch(error => console.error('Error stopping analysis worker:', error));
+    }
+
+    /**
+     * Resolve or reject a task and release its cancellation listener
+     * @private
+     */
+    _settle(task, error, result) {
+        if (task.cancellation) {
+            task.cancellation.dispose();
+            task.cancellation = null;
+        }
+
+        if (error) {
+            task.reject(error);
+        } else {
+            task.resolve(result);
+        }
+    }
+}
+
+module.exports = {
+    WorkerPool,
+    CancelledError
+};
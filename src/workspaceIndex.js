@@ -0,0 +1,290 @@
+const vscode = require('vscode');
+const path = require('path');
+const { collectImports, collectExports } = require('./syntax/moduleSymbols');
+const { ModuleResolver, parseConfigText } = require('./moduleResolver');
+const { buildModuleGraph } = require('./moduleGraph');
+const { CallGraph } = require('./callGraph');
+const { DeadCodeFinder } = require('./deadCode');
+const { CloneDetector } = require('./cloneDetection');
+const { CancelledError } = require('./workerPool');
+
+// Files that take part in workspace analysis
+const SOURCE_GLOB = '**/*.{js,jsx,mjs,cjs,ts,tsx,mts,cts,vue,svelte}';
+const CONFIG_GLOB = '**/{tsconfig,jsconfig}*.json';
+const EXCLUDE_GLOB = '**/{node_modules,dist,out,build,.git}/**';
+const MAX_FILES = 2000;
+
+// Language identifiers by file extension
+const LANGUAGE_BY_EXTENSION = {
+    '.js': 'javascript',
+    '.mjs': 'javascript',
+    '.cjs': 'javascript',
+    '.jsx': 'javascriptreact',
+    '.ts': 'typescript',
+    '.mts': 'typescript',
+    '.cts': 'typescript',
+    '.tsx': 'typescriptreact',
+    '.vue': 'vue',
+    '.svelte': 'svelte'
+};
+
+/**
+ * Workspace Index for WhiskerCode
+ * Reads and analyzes the JavaScript/TypeScript modules of the workspace, with
+ * their imports and exports, and resolves import specifiers between them
+ */
+class WorkspaceIndex {
+    /**
+     * @param {Parser} parser - Parser used to build syntax trees and scopes
+     * @param {WorkspaceSettings} [settings] - Include and exclude globs of the workspace folders
+     */
+    constructor(parser, settings = null) {
+        this.parser = parser;
+        this.settings = settings;
+        this.resolver = new ModuleResolver();
+
+        // Analyzed modules by absolute path, the listed source files and the path alias
+        // configs, kept until a file watcher reports a change
+        this._modules = new Map();
+        this._uris = null;
+        this._configs = null;
+
+        // Modules returned by the last load(), and the call graph built from them
+        this._files = null;
+        this._callGraph = null;
+
+        const sourceWatcher = vscode.workspace.createFileSystemWatcher(SOURCE_GLOB);
+        const configWatcher = vscode.workspace.createFileSystemWatcher(CONFIG_GLOB);
+        const forget = uri => this._modules.delete(uri.fsPath);
+        const relist = uri => {
+            forget(uri);
+            this._uris = null;
+        };
+        this._disposables = [
+            sourceWatcher,
+            sourceWatcher.onDidCreate(relist),
+            sourceWatcher.onDidChange(forget),
+            sourceWatcher.onDidDelete(relist),
+            configWatcher,
+            configWatcher.onDidCreate(() => { this._configs = null; }),
+            configWatcher.onDidChange(() => { this._configs = null; }),
+            configWatcher.onDidDelete(() => { this._configs = null; }),
+            vscode.workspace.onDidChangeWorkspaceFolders(() => {
+                this._uris = null;
+                this._configs = null;
+            })
+        ];
+    }
+
+    /**
+     * Read and analyze the modules of the workspace, except those the workspace configuration excludes.
+     * Modules are analyzed again only once they change on disk or in the editor.
+     * @param {vscode.TextDocument} [document] - Document whose unsaved text takes precedence, included even outside the workspace
+     * @param {vscode.CancellationToken} [token] - Token checked between files
+     * @returns {Promise<Map<string, object>>} Module information by absolute path: file, language, text, tree,
+     *     scope analysis, imports and exports; the same map as the previous call when nothing changed
+     * @throws {CancelledError} When the token is cancelled before every file is analyzed
+     */
+    async load(document, token) {
+        const files = new Map();
+        const openDocuments = new Map(vscode.workspace.textDocuments.map(doc => [doc.uri.fsPath, doc]));
+
+        // Unsaved edits in the current document take precedence over the file on disk
+        if (document) {
+            openDocuments.set(document.uri.fsPath, document);
+        }
+
+        let changed = false;
+        if (!this._configs) {
+            this._configs = await this._loadConfigs();
+            this.resolver = new ModuleResolver(this._configs);
+            changed = true;
+        }
+
+        if (!this._uris) {
+            try {
+                this._uris = await vscode.workspace.findFiles(SOURCE_GLOB, EXCLUDE_GLOB, MAX_FILES);
+            } catch (error) {
+                console.error('Error listing workspace files:', error);
+            }
+        }
+        let uris = this._uris || [];
+        if (this.settings) {
+            uris = uris.filter(uri => this.settings.includes(uri));
+        }
+        if (document && !uris.some(uri => uri.fsPath === document.uri.fsPath)) {
+            uris = [...uris, document.uri];
+        }
+
+        for (const uri of uris) {
+            if (token && token.isCancellationRequested) {
+                throw new CancelledError();
+            }
+
+            const file = uri.fsPath;
+            try {
+                const info = await this._analyze(uri, openDocuments.get(file));
+                if (!info) continue;
+
+                files.set(file, info);
+                changed = changed || !this._files || this._files.get(file) !== info;
+            } catch (error) {
+                console.error(`Error analyzing ${file}:`, error);
+            }
+        }
+
+        if (changed || !this._files || this._files.size !== files.size) {
+            this._files = files;
+            this._callGraph = null;
+        }
+        return this._files;
+    }
+
+    /**
+     * Stop watching the workspace files and drop the analyzed modules
+     */
+    dispose() {
+        this._disposables.forEach(disposable => disposable.dispose());
+        this._modules.clear();
+        this._files = null;
+        this._callGraph = null;
+    }
+
+    /**
+     * Resolve a module specifier to a workspace file
+     * @param {string} fromFile - Absolute path of the importing file
+     * @param {string} specifier - Specifier as written in the import
+     * @param {Map<string, object>} files - Modules returned by load()
+     * @returns {string|null} Absolute path of the imported module, or null for packages and missing files
+     */
+    resolveModule(fromFile, specifier, files) {
+        return this.resolver.resolve(fromFile, specifier, files);
+    }
+
+    /**
+     * Build the module dependency graph of the workspace
+     * @param {vscode.TextDocument} [document] - Document whose unsaved text takes precedence
+     * @param {vscode.CancellationToken} [token] - Token checked between files
+     * @returns {Promise<object>} Graph from buildModuleGraph(), with workspace-relative module ids
+     */
+    async getModuleGraph(document, token) {
+        const files = await this.load(document, token);
+        return buildModuleGraph(files, this, file => vscode.workspace.asRelativePath(file, false));
+    }
+
+    /**
+     * Build the call graph of the workspace
+     * @param {vscode.TextDocument} [document] - Document whose unsaved text takes precedence
+     * @param {vscode.CancellationToken} [token] - Token checked between files
+     * @returns {Promise<CallGraph>} Calls between the workspace functions, resolved across modules;
+     *     built again only once a module changes
+     */
+    async getCallGraph(document, token) {
+        const files = await this.load(document, token);
+        if (!this._callGraph) {
+            this._callGraph = new CallGraph(files, {
+                collectFunctions: tree => this.parser.getTreeFunctions(tree),
+                index: this,
+                relativePath: file => vscode.workspace.asRelativePath(file, false)
+            });
+        }
+        return this._callGraph;
+    }
+
+    /**
+     * Find the functions, exports, parameters and variables nothing in the workspace uses
+     * @param {vscode.TextDocument} [document] - Document whose unsaved text takes precedence
+     * @param {vscode.CancellationToken} [token] - Token checked between files
+     * @returns {Promise<Array<object>>} Findings from DeadCodeFinder.find()
+     */
+    async findDeadCode(document, token) {
+        const files = await this.load(document, token);
+        const callGraph = await this.getCallGraph(document, token);
+        return new DeadCodeFinder(files, callGraph, this).find();
+    }
+
+    /**
+     * Set up duplicate detection over the workspace modules
+     * @param {vscode.TextDocument} [document] - Document whose unsaved text takes precedence
+     * @returns {Promise<CloneDetector>} Detector whose find() lists the duplicated code and
+     *     whose extractSharedFunction() builds the edits that remove a duplicate
+     */
+    async getCloneDetector(document) {
+        const files = await this.load(document);
+        return new CloneDetector(files, {
+            index: this,
+            relativePath: file => vscode.workspace.asRelativePath(file, false)
+        });
+    }
+
+    /**
+     * Get the analysis of a module, reusing the previous one while its text is unchanged
+     * @private
+     */
+    async _analyze(uri, openDocument) {
+        const file = uri.fsPath;
+        const cached = this._modules.get(file);
+
+        // Open documents are compared by text, since their unsaved edits reach no file watcher;
+        // files on disk stay valid until the watcher forgets them
+        let text;
+        let language;
+        if (openDocument) {
+            text = openDocument.getText();
+            language = openDocument.languageId;
+            if (cached && cached.info.text === text && cached.info.language === language) {
+                return cached.info;
+            }
+        } else if (cached && !cached.fromDocument) {
+            return cached.info;
+        } else {
+            text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+            language = LANGUAGE_BY_EXTENSION[path.extname(file).toLowerCase()];
+            if (cached && cached.info.text === text && cached.info.language === language) {
+                this._modules.set(file, { info: cached.info, fromDocument: false });
+                return cached.info;
+            }
+        }
+
+        const tree = this.parser.getSyntaxTree(text, language);
+        const info = tree ? {
+            file,
+            language,
+            text,
+            tree,
+            analysis: this.parser.getScopeAnalysis(tree),
+            imports: collectImports(tree),
+            exports: collectExports(tree)
+        } : null;
+        if (info) {
+            this._modules.set(file, { info, fromDocument: Boolean(openDocument) });
+        } else {
+            this._modules.delete(file);
+        }
+        return info;
+    }
+
+    /**
+     * Read the tsconfig.json and jsconfig.json files of the workspace, for their path aliases
+     * @private
+     */
+    async _loadConfigs() {
+        const configs = [];
+        try {
+            const uris = await vscode.workspace.findFiles(CONFIG_GLOB, EXCLUDE_GLOB);
+            for (const uri of uris) {
+                const config = parseConfigText(Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8'));
+                if (config) {
+                    configs.push({ file: uri.fsPath, config });
+                } else {
+                    console.error(`Could not parse ${uri.fsPath}`);
+                }
+            }
+        } catch (error) {
+            console.error('Error reading tsconfig/jsconfig files:', error);
+        }
+        return configs;
+    }
+}
+
+module.exports = WorkspaceIndex;
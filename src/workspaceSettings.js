@@ -0,0 +1,139 @@
+const vscode = require('vscode');
+const path = require('path');
+const { RuleSettings } = require('./ruleSettings');
+const { parseConfigText } = require('./moduleResolver');
+
+// Configuration file at the root of a workspace folder; package.json is read when it is missing
+const CONFIG_FILE = '.whiskercode.json';
+const PACKAGE_KEY = 'whiskercode';
+
+/**
+ * Workspace Settings for WhiskerCode
+ * Reads the rule configuration of each workspace folder from `.whiskercode.json`,
+ * or the `whiskercode` key of its package.json, and reloads it when either changes
+ */
+class WorkspaceSettings {
+    constructor() {
+        // Settings by workspace folder URI
+        this._folders = new Map();
+        this._defaultSettings = new RuleSettings();
+
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+
+        // Only the files at the root of a workspace folder configure it
+        const reload = uri => {
+            const folder = vscode.workspace.getWorkspaceFolder(uri);
+            if (folder && path.dirname(uri.fsPath) === folder.uri.fsPath) {
+                this.load();
+            }
+        };
+        const watcher = vscode.workspace.createFileSystemWatcher(`**/{${CONFIG_FILE},package.json}`);
+        this._disposables = [
+            this._onDidChange,
+            watcher,
+            watcher.onDidCreate(reload),
+            watcher.onDidChange(reload),
+            watcher.onDidDelete(reload),
+            vscode.workspace.onDidChangeWorkspaceFolders(() => this.load())
+        ];
+    }
+
+    /**
+     * Read the configuration of every workspace folder, warning about settings that are ignored
+     * @returns {Promise<void>} Resolves once the settings are loaded and onDidChange has fired
+     */
+    async load() {
+        const folders = new Map();
+        for (const folder of vscode.workspace.workspaceFolders || []) {
+            const { config, source } = await this._read(folder.uri);
+            const settings = new RuleSettings(config);
+            if (settings.problems.length > 0) {
+                vscode.window.showWarningMessage(`WhiskerCode: ignored settings in ${source}: ${settings.problems.join('; ')}`);
+            }
+            folders.set(folder.uri.toString(), settings);
+        }
+
+        this._folders = folders;
+        this._onDidChange.fire();
+    }
+
+    /**
+     * Get the settings that apply to a document
+     * @param {vscode.TextDocument|vscode.Uri} documentOrUri - Document or its URI
+     * @returns {RuleSettings} Settings of the document's workspace folder, or the defaults outside the workspace
+     */
+    forDocument(documentOrUri) {
+        const folder = vscode.workspace.getWorkspaceFolder(documentOrUri.uri || documentOrUri);
+        return (folder && this._folders.get(folder.uri.toString())) || this._defaultSettings;
+    }
+
+    /**
+     * Check whether the include and exclude globs of its folder let WhiskerCode analyze a document
+     * @param {vscode.TextDocument|vscode.Uri} documentOrUri - Document or its URI
+     * @returns {boolean} True when the document is analyzed; documents outside the workspace always are
+     */
+    includes(documentOrUri) {
+        const uri = documentOrUri.uri || documentOrUri;
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        if (!folder) return true;
+
+        const relativePath = path.relative(folder.uri.fsPath, uri.fsPath).split(path.sep).join('/');
+        return this.forDocument(uri).includes(relativePath);
+    }
+
+    /**
+     * Get the configuration of each folder as plain data for AnalysisScheduler.configure()
+     * @returns {Array<{folder: string, config: object}>} Configuration by workspace folder URI
+     */
+    folderConfigs() {
+        return [...this._folders].map(([folder, settings]) => ({ folder, config: settings.config }));
+    }
+
+    /**
+     * Stop watching the configuration files
+     */
+    dispose() {
+        this._disposables.forEach(disposable => disposable.dispose());
+    }
+
+    /**
+     * Read the configuration of a workspace folder
+     * @private
+     */
+    async _read(folderUri) {
+        const configUri = vscode.Uri.joinPath(folderUri, CONFIG_FILE);
+        const text = await this._readText(configUri);
+        if (text !== null) {
+            const config = parseConfigText(text);
+            if (!config) {
+                vscode.window.showWarningMessage(`WhiskerCode: could not parse ${configUri.fsPath}`);
+            }
+            return { config: config || {}, source: configUri.fsPath };
+        }
+
+        const packageUri = vscode.Uri.joinPath(folderUri, 'package.json');
+        const packageJson = parseConfigText((await this._readText(packageUri)) || '');
+        if (packageJson && typeof packageJson === 'object' && PACKAGE_KEY in packageJson) {
+            return { config: packageJson[PACKAGE_KEY], source: `the "${PACKAGE_KEY}" key of ${packageUri.fsPath}` };
+        }
+        return { config: {}, source: configUri.fsPath };
+    }
+
+    /**
+     * Read a file, or null when it does not exist
+     * @private
+     */
+    async _readText(uri) {
+        try {
+            return Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+        } catch (error) {
+            if (!(error instanceof vscode.FileSystemError)) {
+                console.error(`Error reading ${uri.fsPath}:`, error);
+            }
+            return null;
+        }
+    }
+}
+
+module.exports = WorkspaceSettings;
@@ -0,0 +1,264 @@
+const vscode = require('vscode');
+const { walk } = require('./syntax/syntaxTree');
+const WorkspaceIndex = require('./workspaceIndex');
+
+/**
+ * Workspace Tracer for WhiskerCode
+ * Follows an exported symbol through the modules that import it, using ES
+ * import/export and CommonJS require/module.exports
+ */
+class WorkspaceTracer {
+    /**
+     * @param {Parser} parser - Parser used to build syntax trees and scopes
+     * @param {WorkspaceIndex} [index] - Index of the workspace modules, shared with other workspace analyses
+     */
+    constructor(parser, index = new WorkspaceIndex(parser)) {
+        this.parser = parser;
+        this.index = index;
+    }
+
+    /**
+     * Trace a symbol in a document and in every workspace module that imports it
+     * @param {vscode.TextDocument} document - Document containing the selected symbol
+     * @param {string} name - Symbol name
+     * @param {number} offset - Offset of the selected occurrence
+     * @returns {Promise<Array<object>>} Trace entries, each tagged with its file
+     */
+    async traceSymbol(document, name, offset) {
+        const currentFile = document.uri.fsPath;
+        const localTrace = this.parser.traceVariable(name, document.getText(), document.languageId, offset)
+            .map(usage => this._tagUsage(usage, currentFile));
+
+        const tree = this.parser.getSyntaxTree(document.getText(), document.languageId);
+        if (!tree || !this._isModuleBinding(this.parser.resolveBinding(name, tree, offset))) {
+            // Only module-level bindings can be exported or imported
+            return localTrace;
+        }
+
+        const files = await this.index.load(document);
+        const current = files.get(currentFile);
+        const variable = current ? this.parser.resolveBinding(name, current.tree, offset) : null;
+        const origins = this._isModuleBinding(variable) ? this._findOrigins(current, variable, files) : [];
+        if (origins.length === 0) {
+            return localTrace;
+        }
+
+        const usages = new Map();
+        const addUsages = entries => {
+            for (const usage of entries) {
+                const key = `${usage.file}:${usage.line}:${usage.column}`;
+                if (!usages.has(key)) usages.set(key, usage);
+            }
+        };
+        addUsages(localTrace);
+
+        // Origins are (file, export name) pairs; each importer can re-export the
+        // symbol under a new name, so keep following until nothing new turns up
+        const seen = new Set();
+        const pending = origins.slice();
+
+        while (pending.length > 0) {
+            const target = pending.shift();
+            const targetKey = `${target.file}\u0000${target.exported}`;
+            if (seen.has(targetKey)) continue;
+            seen.add(targetKey);
+
+            if (target.variable) {
+                addUsages(this._traceBinding(target.info, target.variable));
+            }
+
+            for (const info of files.values()) {
+                this._followImporters(info, target, files, pending, addUsages);
+            }
+        }
+
+        return this._sortUsages(Array.from(usages.values()), currentFile);
+    }
+
+    /**
+     * Check whether a variable is declared at the top level of its module
+     * @private
+     */
+    _isModuleBinding(variable) {
+        return !!variable && variable.kind !== 'global' && variable.scope.type === 'module';
+    }
+
+    /**
+     * Work out which module exports the traced binding, and under which names
+     * @private
+     */
+    _findOrigins(current, variable, files) {
+        if (!current) return [];
+
+        // Tracing an imported name: start from the module that exports it
+        if (variable.kind === 'import') {
+            const record = current.imports.find(entry => entry.local && variable.identifiers.includes(entry.local));
+            if (!record || record.imported === null) return [];
+
+            const file = this.index.resolveModule(current.file, record.source, files);
+            if (!file) return [];
+
+            if (record.imported === '*') {
+                // Whole-module require() of a module.exports = value module
+                const origin = files.get(file);
+                const defaultExport = origin.exports.find(entry => entry.exported === 'default' && entry.commonjs);
+                return defaultExport ? [this._origin(origin, 'default', defaultExport)] : [];
+            }
+
+            const origin = files.get(file);
+            const exportEntry = origin.exports.find(entry => entry.exported === record.imported && !entry.source);
+            return [exportEntry ? this._origin(origin, record.imported, exportEntry) : { file, exported: record.imported, info: origin, variable: null }];
+        }
+
+        return current.exports
+            .filter(entry => entry.local && !entry.source && this._bindingOf(current, entry.local) === variable)
+            .map(entry => ({ file: current.file, exported: entry.exported, info: current, variable }));
+    }
+
+    /**
+     * Build an origin record for an export entry of a module
+     * @private
+     */
+    _origin(info, exported, exportEntry) {
+        return {
+            file: info.file,
+            exported,
+            info,
+            variable: exportEntry.local ? this._bindingOf(info, exportEntry.local) : null
+        };
+    }
+
+    /**
+     * Record usages of a target export in one module, queueing any re-exports
+     * @private
+     */
+    _followImporters(info, target, files, pending, addUsages) {
+        for (const entry of info.exports) {
+            if (!entry.source || this.index.resolveModule(info.file, entry.source, files) !== target.file) continue;
+
+            // export { a as b } from './x' / export * from './x'
+            if (entry.imported === target.exported || (entry.exported === '*' && target.exported !== 'default')) {
+                const exported = entry.exported === '*' ? target.exported : entry.exported;
+                pending.push({ file: info.file, exported, info, variable: null });
+            }
+        }
+
+        for (const record of info.imports) {
+            if (!record.local || this.index.resolveModule(info.file, record.source, files) !== target.file) continue;
+
+            const variable = this._bindingOf(info, record.local);
+            if (!variable) continue;
+
+            const wholeModule = record.imported === '*';
+            const importsBinding = record.imported === target.exported ||
+                (wholeModule && record.kind === 'require' && target.exported === 'default' && this._hasCommonJsDefault(target.info));
+
+            if (importsBinding) {
+                addUsages(this._traceBinding(info, variable));
+
+                // The importer may pass the binding on under its own export name
+                for (const entry of info.exports) {
+                    if (entry.local && !entry.source && this._bindingOf(info, entry.local) === variable) {
+                        pending.push({ file: info.file, exported: entry.exported, info, variable });
+                    }
+                }
+            } else if (wholeModule && target.exported !== 'default') {
+                addUsages(this._traceNamespaceMembers(info, variable, target.exported));
+            }
+        }
+    }
+
+    /**
+     * Check whether a module assigns module.exports (or uses `export =`)
+     * @private
+     */
+    _hasCommonJsDefault(info) {
+        return !!info && info.exports.some(entry => entry.exported === 'default' && entry.commonjs);
+    }
+
+    /**
+     * Find the variable an identifier node declares or refers to
+     * @private
+     */
+    _bindingOf(info, identifier) {
+        const reference = info.analysis.referenceAt(identifier.start);
+        return reference ? reference.variable : null;
+    }
+
+    /**
+     * Describe every occurrence of a binding in a module
+     * @private
+     */
+    _traceBinding(info, variable) {
+        return this.parser.describeReferences(variable.references, info.tree)
+            .map(usage => this._tagUsage(usage, info.file));
+    }
+
+    /**
+     * Describe `ns.name` accesses through a namespace import or require() binding
+     * @private
+     */
+    _traceNamespaceMembers(info, namespace, memberName) {
+        const namespaceStarts = new Set(namespace.references.map(reference => reference.identifier.start));
+        const usages = [];
+
+        walk(info.tree, {
+            enter: (node, parent) => {
+                if (node.type !== 'MemberExpression' || node.computed ||
+                    node.object.type !== 'Identifier' || !namespaceStarts.has(node.object.start) ||
+                    node.property.name !== memberName) {
+                    return;
+                }
+
+                const isWrite = parent && parent.type === 'AssignmentExpression' && parent.left === node;
+                const { line, column } = info.tree.lineIndex.positionAt(node.property.start);
+                const lineText = info.tree.lineIndex.lineText(line);
+
+                usages.push(this._tagUsage({
+                    name: memberName,
+                    type: isWrite ? 'write' : 'read',
+                    access: isWrite ? 'write' : 'read',
+                    line: line + 1,
+                    column,
+                    context: lineText,
+                    description: `${isWrite ? 'Assigned' : 'Read'} through ${namespace.name}.${memberName}`,
+                    position: {
+                        line,
+                        character: column
+                    },
+                    lineText,
+                    isDefinition: false
+                }, info.file));
+            }
+        });
+
+        return usages;
+    }
+
+    /**
+     * Attach file information to a trace entry
+     * @private
+     */
+    _tagUsage(usage, file) {
+        usage.file = file;
+        usage.relativePath = vscode.workspace.asRelativePath(file);
+        return usage;
+    }
+
+    /**
+     * Order usages with the current file first, then by path and position
+     * @private
+     */
+    _sortUsages(usages, currentFile) {
+        return usages.sort((a, b) => {
+            if (a.file !== b.file) {
+                if (a.file === currentFile) return -1;
+                if (b.file === currentFile) return 1;
+                return a.relativePath.localeCompare(b.relativePath);
+            }
+            return a.line - b.line || a.column - b.column;
+        });
+    }
+}
+
+module.exports = WorkspaceTracer;
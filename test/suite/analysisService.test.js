@@ -0,0 +1,174 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+const AnalysisService = require('../../src/analysisService');
+const AnalysisScheduler = require('../../src/analysisScheduler');
+const { AdvancedParser } = require('../../src/advancedParser');
+const { EnhancedPerformanceAnalyzer } = require('../../src/enhancedPerformance');
+const { CancelledError } = require('../../src/workerPool');
+
+function fakeDocument(text, version) {
+  return {
+    uri: { toString: () => 'file:///sample.js' },
+    version,
+    languageId: 'javascript',
+    getText: () => text
+  };
+}
+
+function tokenSource() {
+  const listeners = [];
+  const token = {
+    isCancellationRequested: false,
+    onCancellationRequested: listener => {
+      listeners.push(listener);
+      return {
+        dispose: () => {
+          if (listeners.includes(listener)) listeners.splice(listeners.indexOf(listener), 1);
+        }
+      };
+    }
+  };
+  return {
+    token,
+    listeners,
+    cancel() {
+      token.isCancellationRequested = true;
+      listeners.slice().forEach(listener => listener());
+    }
+  };
+}
+
+suite('Analysis Service Test Suite', () => {
+  test('Results are reused until the document version changes', () => {
+    let runs = 0;
+    const advancedParser = {
+      parseCode: () => ({ run: ++runs }),
+      findRefactoringOpportunities: () => []
+    };
+    const service = new AnalysisService({ parser: new Parser(), advancedParser, performanceAnalyzer: {} });
+
+    const first = service.getAdvancedAnalysis(fakeDocument('let a = 1;', 1));
+    assert.strictEqual(service.getAdvancedAnalysis(fakeDocument('let a = 1;', 1)), first);
+    assert.notStrictEqual(service.getAdvancedAnalysis(fakeDocument('let a = 2;', 2)), first);
+    assert.strictEqual(runs, 2);
+  });
+
+  test('Only functions whose text changed are measured again', () => {
+    const parser = new Parser();
+    const measured = [];
+    const calculate = parser._calculateNodeComplexity.bind(parser);
+    parser._calculateNodeComplexity = (node, tree, functionCode) => {
+      measured.push(node.id.name);
+      return calculate(node, tree, functionCode);
+    };
+    const service = new AnalysisService({ parser, advancedParser: {}, performanceAnalyzer: {} });
+
+    const original = 'function a(x) { return x ? 1 : 2; }\nfunction b() { for (;;) {} }\n';
+    service.getFunctionComplexity(fakeDocument(original, 1));
+    const edited = service.getFunctionComplexity(fakeDocument(original.replace('2;', '3;'), 2));
+
+    assert.deepStrictEqual(measured, ['a', 'b', 'a']);
+    assert.deepStrictEqual(edited.map(f => f.name), ['a', 'b']);
+  });
+
+  test('Diagnostics locate performance, refactoring and documentation findings by rule', () => {
+    const parser = new Parser();
+    const service = new AnalysisService({
+      parser,
+      advancedParser: new AdvancedParser(undefined, parser),
+      performanceAnalyzer: new EnhancedPerformanceAnalyzer()
+    });
+    const text = `/**
+ * Draw every pair of rows
+ */
+function render(rows) {
+  for (const a of rows) {
+    for (const b of rows) { draw(a, b); }
+  }
+}
+
+function deep(a) {
+  if (a) {
+    if (a) {
+      if (a) {
+        if (a) {
+          return 1;
+        }
+      }
+    }
+  }
+}
+
+// whiskercode-disable-next-line missing_documentation
+function quiet() {}
+`;
+    const diagnostics = uri => service.getDiagnostics(Object.assign(fakeDocument(text, 1), { uri: { toString: () => uri } }))
+      .map(({ ruleId, kind, severity, range }) => [ruleId, kind, severity, range.start.line, range.start.column, range.end.line, range.end.column]);
+
+    assert.deepStrictEqual(diagnostics('file:///sample.js'), [
+      ['nested_loop', 'performance', 'high', 4, 2, 6, 3],
+      ['deep_nesting', 'refactoring', 'medium', 9, 0, 9, 18],
+      ['missing_documentation', 'documentation', 'low', 9, 0, 9, 18]
+    ]);
+
+    service.configure([{ folder: 'file:///strict', config: { rules: { nested_loop: 'off', missing_documentation: 'high' } } }]);
+    assert.deepStrictEqual(diagnostics('file:///strict/sample.js').map(([ruleId, , severity]) => `${ruleId}:${severity}`),
+      ['deep_nesting:medium', 'missing_documentation:high']);
+  });
+
+  test('Scheduler shares requests per version and honours cancellation', async () => {
+    let runs = 0;
+    const advancedParser = { parseCode: () => ({ run: ++runs }) };
+    const analysisService = new AnalysisService({ parser: new Parser(), advancedParser, performanceAnalyzer: {} });
+    const scheduler = new AnalysisScheduler({ workerPool: null, analysisService });
+    const cancelled = { isCancellationRequested: true, onCancellationRequested: () => ({ dispose() {} }) };
+
+    await assert.rejects(scheduler.getAdvancedAnalysis(fakeDocument('let a = 1;', 1), cancelled), CancelledError);
+    const first = scheduler.getAdvancedAnalysis(fakeDocument('let a = 1;', 1));
+    assert.strictEqual(scheduler.getAdvancedAnalysis(fakeDocument('let a = 1;', 1)), first);
+    assert.deepStrictEqual(await first, { run: 1 });
+  });
+
+  test('Shared requests are cancelled only once every caller has cancelled', async () => {
+    // Worker pool whose tasks finish on the next turn unless their token is cancelled first
+    const tasks = [];
+    const workerPool = {
+      run: (method, payload, { token }) => new Promise((resolve, reject) => {
+        tasks.push(token);
+        token.onCancellationRequested(() => reject(new CancelledError()));
+        setImmediate(() => resolve(`result ${tasks.length}`));
+      })
+    };
+    const scheduler = new AnalysisScheduler({ workerPool, analysisService: null });
+    const document = fakeDocument('let a = 1;', 1);
+
+    // Cancelling and asking again in the same tick, as a selection change does, starts over
+    const first = tokenSource();
+    const cancelled = scheduler.getStructure(document, first.token);
+    first.cancel();
+    const again = scheduler.getStructure(document, tokenSource().token);
+    await assert.rejects(cancelled, CancelledError);
+    assert.strictEqual(await again, 'result 2');
+    assert.strictEqual(tasks[0].isCancellationRequested, true);
+
+    // One caller giving up leaves the work running for the other
+    const leaving = tokenSource();
+    const left = scheduler.getDependencies(document, leaving.token);
+    const staying = scheduler.getDependencies(document, tokenSource().token);
+    leaving.cancel();
+    await assert.rejects(left, CancelledError);
+    assert.strictEqual(await staying, 'result 3');
+    assert.strictEqual(tasks.length, 3);
+
+    // A finished result stays shared after its callers' tokens are cancelled
+    leaving.cancel();
+    assert.strictEqual(await scheduler.getDependencies(document), 'result 3');
+
+    // Settled requests no longer listen to the tokens of the callers they served
+    const lasting = tokenSource();
+    assert.strictEqual(await scheduler.getPerformance(document, lasting.token), 'result 4');
+    assert.strictEqual(await scheduler.getPerformance(document, lasting.token), 'result 4');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(lasting.listeners.length, 0);
+  });
+});
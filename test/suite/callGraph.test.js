@@ -0,0 +1,77 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+const { CallGraph } = require('../../src/callGraph');
+const { file, relativePath, buildFiles, createIndex } = require('./workspaceFixture');
+
+suite('Call Graph Test Suite', () => {
+  test('Method calls resolve to the class or object that defines them', () => {
+    const code = `class Store {
+  save() { this.flush(); }
+  flush() {}
+}
+class Cache {
+  save() { helper(); }
+}
+function helper() { const store = new Store(); store.save(); }
+const util = { run() { this.stop(); }, stop() {} };
+function main() { util.run(); helper.call(null); }
+`;
+    const { dependencies } = new Parser().analyzeDependencies(code, 'javascript');
+
+    assert.deepStrictEqual(dependencies['Store.save'].calls, ['Store.flush']);
+    assert.deepStrictEqual(dependencies['Store.save'].calledBy, ['helper']);
+    assert.deepStrictEqual(dependencies['Cache.save'].calledBy, []);
+    assert.deepStrictEqual(dependencies.helper.calls, ['Store.save']);
+    assert.deepStrictEqual(dependencies.main.calls.sort(), ['helper', 'util.run']);
+    assert.deepStrictEqual(dependencies['util.run'].calls, ['util.stop']);
+  });
+
+  test('Calls are followed across modules through imports, re-exports and typed properties', () => {
+    const sources = {
+      'src/app.js': `import { format } from './lib';
+import Client from './client';
+export function start() {
+  const client = new Client();
+  client.send(format('hi'));
+}`,
+      'src/lib/index.js': "export { format } from './format';",
+      'src/lib/format.js': 'export function format(text) { return text.trim(); }',
+      'src/client.js': `const { Transport } = require('./transport');
+export default class Client {
+  /** @param {Transport} transport */
+  constructor(transport) { this.transport = transport; }
+  send(message) { this.transport.write(message); }
+}`,
+      'src/transport.js': 'class Transport { write(message) {} }\nmodule.exports = { Transport };'
+    };
+    const parser = new Parser();
+    const graph = new CallGraph(buildFiles(sources, parser), {
+      collectFunctions: tree => parser.getTreeFunctions(tree),
+      index: createIndex(),
+      relativePath
+    });
+
+    const start = graph.functionAt(file('src/app.js'), sources['src/app.js'].indexOf('client.send'));
+    assert.strictEqual(start.id, 'src/app.js#start');
+    assert.deepStrictEqual(graph.calleesOf(start.id).map(entry => entry.function.id).sort(), [
+      'src/client.js#Client.constructor',
+      'src/client.js#Client.send',
+      'src/lib/format.js#format'
+    ]);
+    assert.deepStrictEqual(graph.callersOf('src/transport.js#Transport.write').map(entry => entry.function.id), [
+      'src/client.js#Client.send'
+    ]);
+
+    const data = graph.toGraphData('src/transport.js#Transport.write', 'callers');
+    assert.deepStrictEqual(data.nodes.map(node => node.id).sort(), [
+      'src/app.js#start',
+      'src/client.js#Client.send',
+      'src/transport.js#Transport.write'
+    ]);
+    assert.deepStrictEqual(data.links.map(link => `${link.source}>${link.target}`).sort(), [
+      'src/app.js#start>src/client.js#Client.send',
+      'src/client.js#Client.send>src/transport.js#Transport.write'
+    ]);
+    assert.ok(data.links.every(link => !link.approximate));
+  });
+});
@@ -0,0 +1,115 @@
+const assert = require('assert');
+const { AdvancedParser } = require('../../src/advancedParser');
+const { CloneDetector, findTokenClones, normalizeToken } = require('../../src/cloneDetection');
+const { file, relativePath, buildFiles, createIndex, applyEdits } = require('./workspaceFixture');
+
+const SOURCES = {
+  'src/cart.js': `import { log } from './log';
+
+export function totalPrice(items, rate) {
+  let sum = 0;
+  for (const item of items) {
+    if (item.price > 0) {
+      sum += item.price * item.count;
+    }
+  }
+  log('price total', sum);
+  return Math.round(sum * rate * 100) / 100;
+}
+
+export function report(orders) {
+  const lines = [];
+  for (const order of orders) {
+    const label = order.name.trim().toUpperCase();
+    lines.push(label + ': ' + order.total.toFixed(2));
+  }
+  console.log(lines.join('\\n'));
+  return lines.length;
+}
+`,
+  'src/stock.js': `const { log } = require('./log');
+
+function totalWeight(parcels, factor) {
+  let total = 0;
+  for (const parcel of parcels) {
+    if (parcel.weight > 0) {
+      total += parcel.weight * parcel.count;
+    }
+  }
+  log('weight total', total);
+  return Math.round(total * factor * 100) / 100;
+}
+
+function summary(entries) {
+  const rows = [];
+  for (const entry of entries) {
+    const title = entry.name.trim().toUpperCase();
+    rows.push(title + ': ' + entry.total.toFixed(2));
+    rows.push('');
+  }
+  console.log(rows.join('\\n'));
+  return rows.length;
+}
+
+module.exports = { totalWeight, summary };
+`
+};
+
+// Build a detector over the sources, keyed by workspace-relative path
+const createDetector = sources => new CloneDetector(buildFiles(sources), { index: createIndex(), relativePath });
+
+suite('Clone Detection Test Suite', () => {
+  test('Finds renamed and near-miss clones across files and in a single token stream', () => {
+    const clones = createDetector(SOURCES).find();
+
+    assert.deepStrictEqual(clones.map(clone => `${clone.kind}:${clone.a.path}:${clone.a.range.start.line}:${clone.b.path}:${clone.b.range.start.line}`), [
+      'near-miss:src/cart.js:2:src/stock.js:2',
+      'renamed:src/cart.js:2:src/stock.js:2'
+    ]);
+    assert.strictEqual(clones[0].extractable, false);
+    assert.strictEqual(clones[0].reason, 'Only copies that differ in names and literals can be extracted');
+    assert.ok(clones[1].extractable);
+    assert.strictEqual(clones[1].similarity, 1);
+    assert.ok(clones[1].b.text.startsWith('function totalWeight(parcels, factor) {'));
+
+    const tokens = (value, type = 'identifier') => ({ type, value });
+    const call = name => [tokens(name), tokens('(', 'punctuator'), tokens('1', 'number'), tokens(')', 'punctuator'), tokens(';', 'punctuator')];
+    const stream = [...call('a'), ...call('b'), tokens('x'), ...call('c'), ...call('d')];
+    assert.strictEqual(normalizeToken(tokens('other')), normalizeToken(tokens('name')));
+    assert.deepStrictEqual(findTokenClones([stream], { minTokens: 10 }).map(clone => [clone.kind, clone.a.from, clone.b.from]), [
+      ['renamed', 0, 11]
+    ]);
+  });
+
+  test('Extracts a renamed clone into a shared function with parameters for its differences', () => {
+    const detector = createDetector(SOURCES);
+    const clone = detector.find().find(candidate => candidate.kind === 'renamed');
+
+    const edits = detector.extractSharedFunction(clone, 'sharedTotal');
+    const cart = applyEdits(SOURCES['src/cart.js'], edits.filter(edit => edit.file === file('src/cart.js')));
+    const stock = applyEdits(SOURCES['src/stock.js'], edits.filter(edit => edit.file === file('src/stock.js')));
+
+    assert.ok(cart.includes(`export function sharedTotal(items, key, value, rate) {
+  let sum = 0;
+  for (const item of items) {
+    if (item[key] > 0) {
+      sum += item[key] * item.count;
+    }
+  }
+  log(value, sum);`));
+    assert.ok(cart.includes(`export function totalPrice(items, rate) {
+  return sharedTotal(items, 'price', 'price total', rate);
+}`));
+    assert.ok(stock.startsWith(`const { log } = require('./log');
+const { sharedTotal } = require('./cart');
+
+function totalWeight(parcels, factor) {
+  return sharedTotal(parcels, 'weight', 'weight total', factor);
+}`));
+    assert.throws(() => detector.extractSharedFunction(clone, 'report'), /report/);
+
+    const opportunities = new AdvancedParser().findRefactoringOpportunities(SOURCES['src/stock.js'] + SOURCES['src/cart.js'].replace(/^import.*\n/, ''), 'javascript')
+      .filter(opportunity => opportunity.type === 'duplicated_code');
+    assert.strictEqual(opportunities[0].line, 3);
+  });
+});
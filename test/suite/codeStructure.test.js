@@ -0,0 +1,72 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+
+const SOURCE = `class Grid {
+  render(rows) {
+    for (const row of rows) {
+      if (row.hidden) {
+        continue;
+      }
+      const draw = cell => {
+        while (cell.next) {
+          cell = cell.next;
+        }
+      };
+      row.cells.forEach(draw);
+    }
+  }
+}
+function main() {
+  if (ready) {
+    new Grid().render([]);
+  } else {
+    wait();
+  }
+}
+`;
+
+// Flatten a hierarchy into `type:name-or-kind@line-endLine` lines, indented by depth
+const outline = (node, lines = []) => {
+  node.children.forEach(child => {
+    lines.push(`${'  '.repeat(child.depth - 1)}${child.type}:${child.name || child.kind}@${child.line}-${child.endLine}`);
+    outline(child, lines);
+  });
+  return lines;
+};
+
+suite('Code Structure Test Suite', () => {
+  test('Classes, methods, nested functions, loops and conditionals nest by containment', () => {
+    const { hierarchy } = new Parser().getCodeStructure({ getText: () => SOURCE, languageId: 'javascript' });
+
+    assert.strictEqual(hierarchy.type, 'module');
+    assert.strictEqual(hierarchy.depth, 0);
+    assert.deepStrictEqual(outline(hierarchy), [
+      'class:Grid@0-14',
+      '  function:Grid.render@1-13',
+      '    loop:for@2-12',
+      '      conditional:if@3-5',
+      '      function:draw@6-10',
+      '        loop:while@7-9',
+      'function:main@15-21',
+      '  conditional:if@16-20'
+    ]);
+  });
+
+  test('Flat entries and structure paths lead back to their enclosing function or class', () => {
+    const parser = new Parser();
+    const structure = parser.getCodeStructure({ getText: () => SOURCE, languageId: 'javascript' });
+    const describe = entry => `${entry.qualifiedName || entry.name || entry.type}@${entry.depth}<${entry.container}`;
+
+    assert.deepStrictEqual(structure.classes.map(describe), ['Grid@1<null']);
+    assert.deepStrictEqual(structure.functions.map(describe), ['Grid.render@2<Grid', 'draw@4<Grid.render', 'main@1<null']);
+    assert.deepStrictEqual(structure.loops.map(describe), ['for@3<Grid.render', 'while@5<draw']);
+
+    // The else branch has no node of its own and sits with its if statement
+    assert.deepStrictEqual(structure.conditionals.map(describe), ['if@4<Grid.render', 'if@2<main', 'else@2<main']);
+
+    const path = parser.getStructurePath(structure.hierarchy, SOURCE.indexOf('cell = cell.next'));
+    assert.deepStrictEqual(path.map(node => node.name || node.kind), ['Grid', 'Grid.render', 'for', 'draw', 'while']);
+    assert.deepStrictEqual(parser.getStructurePath(structure.hierarchy, SOURCE.indexOf('wait()')).map(node => node.name || node.kind),
+      ['main', 'if']);
+  });
+});
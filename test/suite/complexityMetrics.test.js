@@ -0,0 +1,90 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+
+const JS_SOURCE = `function add(a, b) {
+  return a + b;
+}
+
+function total(list) {
+  let sum = 0;
+  for (const x of list) {
+    if (x > 10 && x < 100) {
+      sum += x * 2;
+    } else if (x < 0) {
+      sum -= x;
+    }
+  }
+  return sum;
+}
+`;
+
+// The first example of the cognitive complexity paper, which scores 7
+const SUM_OF_PRIMES = `function sumOfPrimes(max) {
+  let total = 0;
+  OUT: for (let i = 1; i <= max; ++i) {
+    for (let j = 2; j < i; ++j) {
+      if (i % j == 0) {
+        continue OUT;
+      }
+    }
+    total += i;
+  }
+  return total;
+}
+`;
+
+suite('Complexity Metrics Test Suite', () => {
+  test('Halstead measures count operators and operands from the syntax tree', () => {
+    const parser = new Parser();
+    const [add, total] = parser.analyzeFunctionComplexity(JS_SOURCE, 'javascript');
+
+    // function ( , { return + ;  against  add a b
+    assert.strictEqual(add.halstead.distinctOperators, 7);
+    assert.strictEqual(add.halstead.distinctOperands, 3);
+    assert.strictEqual(add.halstead.length, 12);
+    assert.strictEqual(add.halstead.volume, 39.86);
+    assert.strictEqual(add.halstead.difficulty, 5.83);
+    assert.strictEqual(add.halstead.bugs, 0.013);
+
+    assert.ok(total.halstead.effort > add.halstead.effort);
+    assert.ok(total.maintainabilityIndex < add.maintainabilityIndex);
+    assert.strictEqual(add.maintainabilityLevel.level, 'good');
+  });
+
+  test('Cognitive complexity follows the published rules, line by line', () => {
+    const parser = new Parser();
+    const [sumOfPrimes] = parser.analyzeFunctionComplexity(SUM_OF_PRIMES, 'javascript');
+
+    assert.strictEqual(sumOfPrimes.cognitiveComplexity, 7);
+    assert.deepStrictEqual(sumOfPrimes.cognitiveBreakdown, [
+      { line: 2, complexity: 1, reasons: ['for (+1)'] },
+      { line: 3, complexity: 2, reasons: ['for (+1, nesting +1)'] },
+      { line: 4, complexity: 3, reasons: ['if (+1, nesting +2)'] },
+      { line: 5, complexity: 1, reasons: ['continue to label (+1)'] }
+    ]);
+
+    // Sequences of like operators, else-if chains, nested callbacks and recursion; `?.` and names like `format` are free
+    const code = 'function format(a, b) {\n  if (a && b || a) {\n    return list.map(x => x ? format(x) : a?.b);\n  } else if (b) {\n    return 1;\n  }\n}';
+    const { total, breakdown } = parser.calculateCognitiveComplexity(code, 'javascript');
+    assert.strictEqual(total, 8);
+    assert.deepStrictEqual(breakdown.map(entry => entry.reasons.join(', ')), [
+      'if (+1), && sequence (+1), || sequence (+1)',
+      'ternary (+1, nesting +2), recursion (+1)',
+      'else if (+1)'
+    ]);
+  });
+
+  test('Languages without a syntax tree are measured on their tokens', () => {
+    const parser = new Parser();
+    const [add] = parser.analyzeFunctionComplexity('def add(a, b="x"):\n    # sum\n    return a + b\n', 'python');
+
+    // def ( , = : return +  against  add a b "x"
+    assert.strictEqual(add.halstead.distinctOperators, 7);
+    assert.strictEqual(add.halstead.distinctOperands, 4);
+    assert.strictEqual(add.halstead.totalOperands, 6);
+    assert.ok(add.maintainabilityIndex > 0 && add.maintainabilityIndex <= 100);
+
+    const walk = 'def walk(node):\n    for child in node.children:\n        if child.ok and child.size:\n            walk(child)\n        elif child.bad:\n            pass\n';
+    assert.strictEqual(parser.calculateCognitiveComplexity(walk, 'python').total, 6);
+  });
+});
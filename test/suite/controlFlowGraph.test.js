@@ -0,0 +1,83 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+
+const SOURCE = `function load(items) {
+  try {
+    for (const item of items) {
+      if (!item || item.skip) continue;
+      if (item.last) break;
+      save(item);
+    }
+  } catch (error) {
+    return null;
+  } finally {
+    close();
+  }
+  return items.length;
+  log('never');
+}
+`;
+
+suite('Control Flow Graph Test Suite', () => {
+  test('Branches, loops, jumps and try/catch/finally become nodes and edges', () => {
+    const parser = new Parser();
+    const graph = parser.getControlFlowGraph(SOURCE, 'javascript', SOURCE.indexOf('save'));
+
+    assert.strictEqual(graph.name, 'load');
+    const describe = id => `${graph.nodes[id].type}:${graph.nodes[id].label}`;
+    const edges = graph.edges.map(edge => `${describe(edge.from)} -> ${describe(edge.to)}${edge.label ? ` (${edge.label})` : ''}`);
+
+    // `!item || item.skip` is two conditions, as `||` short-circuits
+    assert.ok(edges.includes('condition:item -> continue:continue; (false)'));
+    assert.ok(edges.includes('condition:item -> condition:item.skip (true)'));
+    assert.ok(edges.includes('continue:continue; -> condition:for (const item of items)'));
+    assert.ok(edges.includes('break:break; -> finally:finally'));
+    assert.ok(edges.includes('try:try -> catch:catch (error) (exception)'));
+
+    // The return in the catch block runs the finally block before leaving
+    assert.ok(edges.includes('return:return null; -> finally:finally'));
+    assert.ok(edges.includes('block:close(); -> exit:end'));
+    assert.ok(edges.includes('block:close(); -> return:return items.length;'));
+
+    const unreachable = graph.nodes.filter(node => !node.reachable);
+    assert.deepStrictEqual(unreachable.map(node => `${node.line}:${node.label}`), ["13:log('never');"]);
+  });
+
+  test('Cyclomatic complexity is E - N + 2 of the function graph', () => {
+    const parser = new Parser();
+    const graph = parser.getControlFlowGraph(SOURCE, 'javascript', 0);
+    const reachable = graph.nodes.filter(node => node.reachable);
+    const edges = graph.edges.filter(edge => graph.nodes[edge.from].reachable);
+    assert.strictEqual(graph.cyclomaticComplexity, edges.length - reachable.length + 2);
+
+    // for...of, two conditions, another if, catch and the second way out of finally
+    const [load] = parser.analyzeFunctionComplexity(SOURCE, 'javascript');
+    assert.strictEqual(load.cyclomaticComplexity, 7);
+    assert.strictEqual(parser.calculateCyclomaticComplexity(SOURCE, 'javascript').cyclomaticComplexity, 7);
+
+    // Callbacks have graphs of their own
+    const code = 'const check = list => list.some(x => x > 0 ? true : x === null);';
+    const [check] = parser.analyzeFunctionComplexity(code, 'javascript');
+    assert.strictEqual(check.cyclomaticComplexity, 1);
+    assert.strictEqual(parser.getControlFlowGraph(code, 'javascript', code.indexOf('x >')).cyclomaticComplexity, 2);
+    assert.strictEqual(parser.getControlFlowGraph('def f():\n    pass\n', 'python', 5), null);
+  });
+
+  test('Overload signatures and abstract methods flow from entry to exit', () => {
+    const parser = new Parser();
+    const code = `export function parse(a: string): number;
+export function parse(a: number): number;
+export function parse(a: any): number { return a ? 1 : 2; }
+abstract class Shape {
+  abstract area(): number;
+}
+`;
+    assert.deepStrictEqual(parser.analyzeFunctionComplexity(code, 'typescript').map(f => `${f.name}:${f.cyclomaticComplexity}`),
+      ['parse:1', 'parse:1', 'parse:2', 'area:1']);
+    assert.ok(parser.analyzeDependencies(code, 'typescript').nodes.length > 0);
+
+    const graph = parser.getControlFlowGraph(code, 'typescript', code.indexOf('area()') + 5);
+    assert.deepStrictEqual(graph.nodes.map(node => node.type), ['entry', 'exit']);
+    assert.strictEqual(graph.edges.length, 1);
+  });
+});
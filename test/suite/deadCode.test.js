@@ -0,0 +1,102 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+const { CallGraph } = require('../../src/callGraph');
+const { DeadCodeFinder } = require('../../src/deadCode');
+const { relativePath, buildFiles, createIndex, applyEdits } = require('./workspaceFixture');
+
+const SOURCES = {
+  'src/main.js': `import { format } from './format';
+const { Store } = require('./store');
+
+function unusedHelper() {
+  return 1;
+}
+
+function run(items, options) {
+  const store = new Store();
+  let total = 0;
+  total = 5;
+  items.forEach((item, index) => store.save(format(item)));
+  return items.length;
+}
+
+run([]);
+`,
+  'src/format.js': `export function format(text) {
+  return trim(text);
+}
+
+/** Trim a value */
+export function trim(text) {
+  return text.trim();
+}
+
+export const VERSION = '1.0';
+`,
+  'src/store.js': `class Store {
+  save(value) {
+    this.write(value);
+  }
+
+  write(value) {
+    return value;
+  }
+
+  reset() {}
+}
+
+class Provider {
+  provideItems(document, token) {
+    return document;
+  }
+}
+
+register(new Provider());
+
+module.exports = { Store };
+`
+};
+
+// Run the finder over the sources, keyed by workspace-relative path
+const findDeadCode = sources => {
+  const parser = new Parser();
+  const files = buildFiles(sources, parser);
+  const index = createIndex();
+  const callGraph = new CallGraph(files, { collectFunctions: tree => parser.getTreeFunctions(tree), index });
+  return new DeadCodeFinder(files, callGraph, index).find();
+};
+
+suite('Dead Code Test Suite', () => {
+  test('Finds unused functions, exports, parameters and variables across modules', () => {
+    const findings = findDeadCode(SOURCES);
+
+    assert.deepStrictEqual(findings.map(finding => `${relativePath(finding.file)}:${finding.rule}:${finding.name}`), [
+      'src/format.js:unused-export:trim',
+      'src/format.js:unused-export:VERSION',
+      'src/main.js:unused-function:unusedHelper',
+      'src/main.js:unused-parameter:options',
+      'src/main.js:unused-variable:total',
+      'src/main.js:unused-parameter:index',
+      'src/store.js:unused-function:Store.reset',
+      'src/store.js:unused-parameter:token'
+    ]);
+    assert.strictEqual(findings[0].message, "Export 'trim' is never imported in the workspace, only used in its own module");
+    assert.deepStrictEqual(findings[2].range, { start: { line: 3, column: 9 }, end: { line: 3, column: 21 } });
+  });
+
+  test('Quick fixes delete the unused code with its comments and separators', () => {
+    const findings = findDeadCode(SOURCES);
+    const fixed = name => {
+      const finding = findings.find(candidate => candidate.name === name);
+      return applyEdits(SOURCES[relativePath(finding.file)], finding.fix.edits);
+    };
+
+    assert.ok(fixed('trim').includes('/** Trim a value */\nfunction trim(text) {'));
+    assert.ok(!fixed('VERSION').includes('VERSION'));
+    assert.ok(fixed('unusedHelper').startsWith("import { format } from './format';\nconst { Store } = require('./store');\n\nfunction run("));
+    assert.ok(fixed('options').includes('function run(items) {'));
+    assert.ok(fixed('index').includes('items.forEach((item) => store.save'));
+    assert.ok(fixed('total').includes('  const store = new Store();\n  items.forEach'));
+    assert.ok(fixed('Store.reset').includes('    return value;\n  }\n}'));
+  });
+});
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const AnalysisScheduler = require('../../src/analysisScheduler');
+const { FindingDiagnostics } = require('../../src/findingDiagnostics');
+const { CancelledError } = require('../../src/workerPool');
+
+const FINDINGS = [{
+  ruleId: 'nested_loop',
+  kind: 'performance',
+  severity: 'high',
+  message: 'Nested loop detected',
+  suggestion: 'Use a lookup table',
+  range: { start: { line: 1, column: 2 }, end: { line: 3, column: 3 } },
+  finding: {}
+}];
+
+suite('Finding Diagnostics Test Suite', () => {
+  test('Updates in a row publish the findings of the latest version', async () => {
+    // Worker pool whose tasks finish on the next turn unless their token is cancelled first
+    const tasks = [];
+    const workerPool = {
+      run: (method, payload, { token }) => new Promise((resolve, reject) => {
+        tasks.push({ method, version: payload.document.version, token });
+        token.onCancellationRequested(() => reject(new CancelledError()));
+        setImmediate(() => resolve(FINDINGS));
+      })
+    };
+    const diagnostics = new FindingDiagnostics(new AnalysisScheduler({ workerPool, analysisService: null }));
+    const document = {
+      uri: vscode.Uri.file('/repo/sample.js'),
+      version: 1,
+      languageId: 'javascript',
+      isClosed: false,
+      getText: () => 'for (const a of rows) {\n  for (const b of rows) {\n    draw(a, b);\n  }\n}\n'
+    };
+
+    // Saving while the idle analysis of the same version runs waits for that analysis
+    await Promise.all([diagnostics.update(document), diagnostics.update(document)]);
+    const [diagnostic] = diagnostics.collection.get(document.uri);
+    assert.strictEqual(diagnostics.collection.get(document.uri).length, 1);
+    assert.strictEqual(diagnostic.severity, vscode.DiagnosticSeverity.Warning);
+    assert.strictEqual(diagnostic.code.value, 'nested_loop');
+    assert.deepStrictEqual([diagnostic.range.start.line, diagnostic.range.end.line], [1, 3]);
+    assert.strictEqual(tasks.length, 1);
+
+    // A newer version replaces the analysis of the older one
+    document.version = 2;
+    const older = diagnostics.update(document);
+    document.version = 3;
+    await Promise.all([older, diagnostics.update(document)]);
+    assert.deepStrictEqual(tasks.slice(1).map(task => `${task.version}:${task.token.isCancellationRequested}`), ['2:true', '3:false']);
+    assert.strictEqual(diagnostics.collection.get(document.uri).length, 1);
+    assert.strictEqual(diagnostics.findingOf(document, diagnostic), FINDINGS[0]);
+
+    diagnostics.dispose();
+  });
+});
@@ -0,0 +1,54 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+
+const SOURCE = `class UILayer {
+  constructor(context) { this.context = context; }
+  async fetch(url) { return url; }
+  static create() { return new UILayer(); }
+  get value() { return this._value; }
+  set value(next) { this._value = next; this.render(); }
+  render() {}
+}
+UILayer.showExplanation = (text) => text;
+UILayer.prototype.hide = function () {};
+const api = {
+  async load() {},
+  save() {},
+  double: x => x * 2
+};
+export default function () {}
+`;
+
+suite('Function Discovery Test Suite', () => {
+  test('Class members, object methods, assigned arrows and default exports are found with their owner', () => {
+    const functions = new Parser().findFunctions(SOURCE, 'javascript');
+
+    assert.deepStrictEqual(functions.map(func => `${func.qualifiedName}:${func.className}:${func.kind}`), [
+      'UILayer.constructor:UILayer:constructor',
+      'UILayer.fetch:UILayer:method',
+      'UILayer.create:UILayer:method',
+      'UILayer.value:UILayer:getter',
+      'UILayer.value:UILayer:setter',
+      'UILayer.render:UILayer:method',
+      'UILayer.showExplanation:null:arrow',
+      'UILayer.hide:UILayer:function',
+      'api.load:null:method',
+      'api.save:null:method',
+      'api.double:null:arrow',
+      'default:null:function'
+    ]);
+    assert.strictEqual(functions[2].isStatic, true);
+    assert.strictEqual(functions[3].name, 'value');
+    assert.deepStrictEqual(functions[10].params.map(param => param.name), ['x']);
+  });
+
+  test('A getter and its setter stay separate functions in the dependency graph', () => {
+    const { nodes, dependencies } = new Parser().analyzeDependencies(SOURCE, 'javascript');
+    const accessors = nodes.filter(node => node.label === 'UILayer.value');
+
+    assert.deepStrictEqual(accessors.map(node => node.id), ['UILayer.value@get', 'UILayer.value@set']);
+    assert.deepStrictEqual(dependencies['UILayer.value@set'].calls, ['UILayer.render']);
+    assert.deepStrictEqual(dependencies['UILayer.value@get'].calls, []);
+    assert.deepStrictEqual(dependencies['UILayer.render'].calledBy, ['UILayer.value@set']);
+  });
+});
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+
+const GO_SOURCE = `package store
+
+// Store keeps records in memory
+type Store struct {
+	items map[string]interface{}
+}
+
+func (s *Store) Load(keys []string, opts interface{}) ([]string, error) {
+	var out []string
+	for _, key := range keys {
+		if v, ok := s.items[key]; ok && v != nil {
+			out = append(out, key)
+		}
+	}
+	return out, nil
+}
+
+func notify(a, b int) {
+	done := make(chan bool)
+	done <- true
+}
+`;
+
+suite('Go Language Test Suite', () => {
+  test('Functions and methods with receivers are found with their bodies', () => {
+    const parser = new Parser();
+    const functions = parser.findFunctions(GO_SOURCE, 'go');
+
+    assert.deepStrictEqual(functions.map(f => f.qualifiedName), ['Store.Load', 'notify']);
+    assert.strictEqual(functions[0].kind, 'method');
+    assert.deepStrictEqual(functions[1].params.map(p => `${p.name} ${p.type}`), ['a int', 'b int']);
+    assert.ok(functions[0].body.includes('return out, nil'));
+
+    const [load] = parser.analyzeFunctionComplexity(GO_SOURCE, 'go');
+    assert.strictEqual(load.cyclomaticComplexity, 3);
+  });
+
+  test('Go hotspots cover append in loops and unbuffered channel sends', () => {
+    const parser = new Parser();
+    const types = parser.detectPerformanceHotspots(GO_SOURCE, 'go').map(h => `${h.function}:${h.type}`);
+
+    assert.ok(types.includes('Load:array_resize_in_loop'));
+    assert.ok(types.includes('notify:unbuffered_channel_send'));
+  });
+});
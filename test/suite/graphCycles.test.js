@@ -0,0 +1,47 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+const { buildModuleGraph } = require('../../src/moduleGraph');
+const { findCycles, markCycles } = require('../../src/graphCycles');
+const { relativePath, buildFiles, createIndex } = require('./workspaceFixture');
+
+suite('Graph Cycles Test Suite', () => {
+  test('Finds strongly connected components with the shortest path around each', () => {
+    const nodes = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].map(id => ({ id }));
+    const link = (source, target) => ({ source, target });
+    const links = [
+      link('a', 'b'), link('b', 'c'), link('c', 'a'), link('b', 'a'),
+      link('c', 'd'), link('d', 'e'), link('e', 'd'),
+      link('f', 'f'), link('f', 'g')
+    ];
+
+    assert.deepStrictEqual(findCycles(nodes, links), [
+      { nodes: ['a', 'b', 'c'], path: ['a', 'b', 'a'] },
+      { nodes: ['d', 'e'], path: ['d', 'e', 'd'] },
+      { nodes: ['f'], path: ['f', 'f'] }
+    ]);
+
+    const graph = { nodes, links };
+    assert.strictEqual(markCycles(graph, candidate => candidate.target !== 'e').length, 2);
+    assert.deepStrictEqual(nodes.map(node => node.cycle), [0, 0, 0, undefined, undefined, 1, undefined]);
+    assert.deepStrictEqual(links.filter(candidate => candidate.cyclic).map(candidate => candidate.source + candidate.target),
+      ['ab', 'bc', 'ca', 'ba', 'ff']);
+  });
+
+  test('Marks import cycles between modules and functions calling each other', () => {
+    const sources = {
+      'src/a.js': "import { b } from './b';\nexport const a = () => b;",
+      'src/b.js': "const { c } = require('./c');\nexport const b = () => c;",
+      'src/c.js': "module.exports = { c: () => import('./a') };\nrequire('./b');",
+      'src/d.js': "import './a';\nexport const d = () => import('./d.js');"
+    };
+    const graph = buildModuleGraph(buildFiles(sources), createIndex(), relativePath);
+    assert.deepStrictEqual(graph.cycles, [{ nodes: ['src/b.js', 'src/c.js'], path: ['src/b.js', 'src/c.js', 'src/b.js'] }]);
+    assert.ok(graph.links.filter(link => link.cyclic).every(link => !link.kinds.includes('dynamic')));
+
+    const { cycles, nodes } = new Parser().analyzeDependencies(`function isEven(n) { return n === 0 || isOdd(n - 1); }
+function isOdd(n) { return n !== 0 && isEven(n - 1); }
+function main() { return isEven(4); }`, 'javascript');
+    assert.deepStrictEqual(cycles, [{ nodes: ['isEven', 'isOdd'], path: ['isEven', 'isOdd', 'isEven'] }]);
+    assert.strictEqual(nodes.find(node => node.id === 'main').cycle, undefined);
+  });
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+const { createDefaultRegistry } = require('../../src/languages/languageRegistry');
+
+const KOTLIN_SOURCE = `class Cart {
+    fun total(items: List<Item>, discount: Int): Int {
+        var sum = 0
+        for (item in items) {
+            if (item.price > 0 && !item.free) sum += item.price // if for
+        }
+        return sum
+    }
+}
+`;
+
+// A language pack as another extension would write it: only what differs from the C-like defaults
+const kotlin = {
+  id: 'kotlin',
+  patterns: {
+    function: /\bfun\s+(\w+)\s*\(([^)]*)\)/g,
+    class: /\bclass\s+(\w+)/g,
+    loop: /\b(for|while)\b/g,
+    conditional: /\b(if|else|when)\b/g,
+    variable: /\b(?:val|var)\s+(\w+)/g
+  },
+  decisionPoints: {
+    conditionals: /\bif\b/g,
+    loops: /\bfor\b|\bwhile\b/g,
+    switches: /\bwhen\b/g,
+    logicalOperators: /&&|\|\|/g
+  },
+  matchFunction(match, context) {
+    return { name: match[1], params: match[2], className: context.enclosingClass(match.index) };
+  },
+  docTemplate(functionLine) {
+    return `/** ${functionLine.match(/\bfun\s+(\w+)/)[1]} */`;
+  }
+};
+
+suite('Language Registry Test Suite', () => {
+  test('Registered providers are analyzed like built-in languages', () => {
+    const registry = createDefaultRegistry();
+    const parser = new Parser(registry);
+    const registration = registry.register(kotlin);
+    assert.ok(parser.supportedLanguages.includes('kotlin'));
+
+    const functions = parser.findFunctions(KOTLIN_SOURCE, 'kotlin');
+    assert.deepStrictEqual(functions.map(f => f.qualifiedName), ['Cart.total']);
+    assert.deepStrictEqual(functions[0].params.map(p => `${p.name}: ${p.type}`), ['items: List<Item>', 'discount: Int']);
+    assert.ok(functions[0].body.endsWith('return sum'));
+
+    const total = parser.analyzeFunctionComplexity(KOTLIN_SOURCE, 'kotlin')[0];
+    assert.strictEqual(total.cyclomaticComplexity, 3);
+    assert.strictEqual(total.nestingLevel, 2);
+    assert.strictEqual(parser._generateDocTemplate('fun total() {', 'kotlin'), '/** total */');
+
+    registration.dispose();
+    assert.ok(!parser.supportedLanguages.includes('kotlin'));
+  });
+
+  test('Providers without the required patterns are rejected', () => {
+    const registry = createDefaultRegistry();
+    assert.throws(() => registry.register({ id: 'broken', patterns: { function: /fun/ } }), /patterns\.function/);
+    assert.throws(() => registry.register(Object.assign({}, kotlin, { id: '' })), /language id/);
+  });
+});
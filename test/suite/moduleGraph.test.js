@@ -0,0 +1,65 @@
+const assert = require('assert');
+const { ModuleResolver, parseConfigText } = require('../../src/moduleResolver');
+const { buildModuleGraph } = require('../../src/moduleGraph');
+const { file, relativePath, buildFiles, createIndex } = require('./workspaceFixture');
+
+const CONFIG = `{
+  // Aliases used across the app
+  "compilerOptions": {
+    "baseUrl": "src",
+    "paths": { "@utils/*": ["shared/utils/*"], },
+  },
+}`;
+
+suite('Module Graph Test Suite', () => {
+  test('Resolves relative paths, index files and tsconfig path aliases', () => {
+    const config = parseConfigText(CONFIG);
+    assert.deepStrictEqual(config.compilerOptions.paths, { '@utils/*': ['shared/utils/*'] });
+
+    const resolver = new ModuleResolver([{ file: file('tsconfig.json'), config }]);
+    const files = new Set(['src/app.ts', 'src/lib/index.js', 'src/shared/utils/format.ts', 'src/config.ts'].map(file));
+    const from = file('src/app.ts');
+
+    assert.strictEqual(resolver.resolve(from, './lib', files), file('src/lib/index.js'));
+    assert.strictEqual(resolver.resolve(from, './config.js', files), file('src/config.ts'));
+    assert.strictEqual(resolver.resolve(from, '@utils/format', files), file('src/shared/utils/format.ts'));
+    assert.strictEqual(resolver.resolve(from, 'config', files), file('src/config.ts'));
+    assert.strictEqual(resolver.resolve(from, 'lodash', files), null);
+  });
+
+  test('Files follow the nearest config, which inherits aliases only through extends', () => {
+    const root = parseConfigText(CONFIG);
+    const resolver = new ModuleResolver([
+      { file: file('tsconfig.json'), config: root },
+      { file: file('packages/app/tsconfig.json'), config: { compilerOptions: { strict: true } } },
+      { file: file('packages/web/tsconfig.json'), config: { extends: '../../tsconfig' } }
+    ]);
+    const files = new Set(['src/shared/utils/format.ts', 'packages/app/main.ts', 'packages/web/main.ts'].map(file));
+
+    assert.strictEqual(resolver.resolve(file('src/app.ts'), '@utils/format', files), file('src/shared/utils/format.ts'));
+    assert.strictEqual(resolver.resolve(file('packages/app/main.ts'), '@utils/format', files), null);
+    assert.strictEqual(resolver.resolve(file('packages/web/main.ts'), '@utils/format', files), file('src/shared/utils/format.ts'));
+  });
+
+  test('Builds module nodes, import links and folders from workspace files', () => {
+    const sources = {
+      'src/app.js': "import { run } from './lib';\nimport React from 'react';\nimport missing from './missing';",
+      'src/lib/index.js': "export { run } from './run';\nconst util = require('../util');",
+      'src/lib/run.js': 'export function run() {}',
+      'src/util.js': 'module.exports = {};'
+    };
+    const graph = buildModuleGraph(buildFiles(sources), createIndex(), relativePath);
+    const app = graph.nodes.find(node => node.id === 'src/app.js');
+
+    assert.deepStrictEqual(graph.nodes.map(node => node.id), ['src/app.js', 'src/lib/index.js', 'src/lib/run.js', 'src/util.js']);
+    assert.deepStrictEqual(graph.links.map(link => `${link.source}>${link.target}:${link.kinds.join(',')}`), [
+      'src/app.js>src/lib/index.js:import',
+      'src/lib/index.js>src/util.js:require',
+      'src/lib/index.js>src/lib/run.js:export'
+    ]);
+    assert.deepStrictEqual(app.packages, ['react']);
+    assert.strictEqual(app.folder, 'src');
+    assert.deepStrictEqual(graph.unresolved, [{ from: 'src/app.js', specifier: './missing' }]);
+    assert.deepStrictEqual(graph.folders.map(folder => `${folder.path}:${folder.modules}`), ['.:4', 'src:4', 'src/lib:2']);
+  });
+});
@@ -0,0 +1,34 @@
+const assert = require('assert');
+const { parse } = require('../../src/syntax/syntaxTree');
+const { collectImports, collectExports } = require('../../src/syntax/moduleSymbols');
+
+suite('Module Symbols Test Suite', () => {
+  test('Collects ES and CommonJS imports', () => {
+    const tree = parse([
+      "import def, { a as b } from './a';",
+      "import * as ns from './ns';",
+      "const { c, d: e } = require('./c');",
+      "const whole = require('./whole');"
+    ].join('\n'), {});
+    const imports = collectImports(tree).map(entry => `${entry.source}:${entry.imported}:${entry.local.name}`);
+
+    assert.deepStrictEqual(imports, [
+      './a:default:def', './a:a:b', './ns:*:ns', './c:c:c', './c:d:e', './whole:*:whole'
+    ]);
+  });
+
+  test('Collects exports, re-exports and module.exports assignments', () => {
+    const tree = parse([
+      'export const x = 1, { y } = obj;',
+      "export { x as z } from './other';",
+      "export * from './all';",
+      'module.exports = { helper, run: start };',
+      'exports.extra = extra;'
+    ].join('\n'), {});
+    const exports = collectExports(tree).map(entry => `${entry.exported}:${entry.local ? entry.local.name : entry.source}`);
+
+    assert.deepStrictEqual(exports, [
+      'x:x', 'y:y', 'z:./other', '*:./all', 'helper:helper', 'run:start', 'extra:extra'
+    ]);
+  });
+});
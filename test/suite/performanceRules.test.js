@@ -0,0 +1,131 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+const { createDefaultRegistry } = require('../../src/languages/languageRegistry');
+const { PerformanceRuleEngine, SEVERITIES } = require('../../src/performanceRules');
+
+const SOURCE = `async function load(ids, rows) {
+  for (const id of ids) {
+    const row = await fetchRow(id);
+    rows.push(row);
+  }
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      for (let k = 0; k < 3; k++) sum(i, j, k);
+    }
+  }
+  let html = '';
+  html += '<ul>';
+  html += \`<li>\${rows.length}</li>\`;
+  html += '</ul>';
+  const copies = [JSON.parse(JSON.stringify(rows)), JSON.parse(JSON.stringify(ids))];
+  return html + copies.length;
+}
+`;
+
+// Code each pattern of the former PerformanceAnalyzer flagged, and the rule that reports it now
+const FORMER_PATTERNS = [
+  ['javascript', 'for (let i = 0; i < n; i++) { log(`${i}`); }', 'template_in_loop'],
+  ['javascript', 'function f() { for (let i = 0; i < n; i++) { const d = new Date(); } }', 'object_creation_in_loop'],
+  ['javascript', 'function f() { for (let i = 0; i < n; i++) { items.splice(i, 1); } }', 'array_resize_in_loop'],
+  ['javascript', "const all = document.querySelectorAll('li');", 'query_selector_all'],
+  ['javascript', 'items.forEach(item => { document.body.append(item); });', 'dom_in_foreach'],
+  ['javascript', 'const copy = JSON.parse(JSON.stringify(data));', 'json_deep_clone'],
+  ['javascript', 'setInterval(tick, 100);', 'uncleared_interval'],
+  ['javascript', "button.addEventListener('click', onClick);", 'uncleaned_event_listeners'],
+  ['javascript', 'async function f() { await Promise.all([load(), save()]); }', 'promise_all_batch'],
+  ['javascript', 'async function f() { for (let i = 0; i < n; i++) { await load(i); } }', 'await_in_loop'],
+  ['javascript', 'function f() { for (const a of x) { for (const b of y) { f(a, b); } } }', 'nested_loop'],
+  ['javascript', `const table = [${Array(300).fill('1000').join(', ')}];`, 'large_literal'],
+  ['javascript', 'function draw(canvasContext, originX, originY, width, height, color) {}', 'excessive_params'],
+  ['typescript', 'const ids = values as string[];', 'array_type_assertion'],
+  ['typescriptreact', 'const ids = values as string[];', 'array_type_assertion'],
+  ['javascriptreact', 'useEffect(() => { load(); });', 'effect_without_deps'],
+  ['javascriptreact', "const [form, setForm] = useState({ name: '' });", 'object_state'],
+  ['javascriptreact', 'const list = <ul>{items.map(item => <li>{item}</li>)}</ul>;', 'unmemoized_list_item'],
+  ['javascriptreact', 'const style = new Style();', 'object_creation_in_render'],
+  ['javascriptreact', 'function Card() {}\nfunction List() {}\nfunction Page() {}', 'unmemoized_components']
+];
+
+suite('Performance Rules Test Suite', () => {
+  test('Reports one deduplicated finding shape from tree, pattern and file-wide rules', () => {
+    const findings = new PerformanceRuleEngine().analyze(SOURCE, 'javascript');
+
+    assert.deepStrictEqual(findings.map(finding => `${finding.ruleId}:${finding.line}`), [
+      'await_in_loop:2',
+      'array_resize_in_loop:2',
+      'deeply_nested_loop:6',
+      'nested_loop:7',
+      'string_concat:12',
+      'json_deep_clone:15'
+    ]);
+    assert.deepStrictEqual(findings[0].range, { start: { line: 1, column: 2 }, end: { line: 4, column: 3 } });
+    assert.strictEqual(findings[0].function, 'load');
+    assert.strictEqual(findings[0].category, 'asyncPatterns');
+    assert.strictEqual(findings[0].context, 'for (const id of ids) {');
+    assert.strictEqual(findings[2].severity, 'critical');
+
+    // Fixes replace the flagged code
+    assert.strictEqual(findings[0].fixedCode, `await Promise.all(ids.map(async (id) => {
+    const row = await fetchRow(id);
+    rows.push(row);
+  }));`);
+    assert.strictEqual(findings[4].fixedCode, "html += ['<ul>', `<li>${rows.length}</li>`, '</ul>'].join('');");
+    assert.strictEqual(findings[5].code, 'JSON.parse(JSON.stringify(rows))');
+    assert.strictEqual(findings[5].fixedCode, 'structuredClone(rows)');
+    assert.strictEqual(findings[1].fixedCode, null);
+  });
+
+  test('Reports what the former PerformanceAnalyzer patterns found', () => {
+    const engine = new PerformanceRuleEngine();
+    for (const [language, code, ruleId] of FORMER_PATTERNS) {
+      const found = engine.analyze(code, language).map(finding => finding.ruleId);
+      assert.ok(found.includes(ruleId), `${ruleId} not reported for ${language} \`${code.slice(0, 60)}\`: ${found}`);
+    }
+  });
+
+  test('Rules of one category report a line once, while other categories still report it', () => {
+    // Resizing and allocating in the loop are both memory management; the interpolation is not
+    const code = 'function f() {\n  for (let i = 0; i < n; i++) { rows.push(new Row(`${i}`)); }\n}\n';
+    const findings = new PerformanceRuleEngine().analyze(code, 'javascript');
+
+    assert.deepStrictEqual(findings.map(finding => `${finding.ruleId}:${finding.line}`), [
+      'template_in_loop:2',
+      'array_resize_in_loop:2'
+    ]);
+  });
+
+  test('Lists every rule with its languages, including those of registered languages', () => {
+    const registry = createDefaultRegistry();
+    registry.register({
+      id: 'kotlin',
+      patterns: {
+        function: /\bfun\s+(\w+)\s*\(([^)]*)\)/g,
+        class: /\bclass\s+(\w+)/g,
+        loop: /\b(for|while)\b/g,
+        conditional: /\b(if|else|when)\b/g,
+        variable: /\b(?:val|var)\s+(\w+)/g
+      },
+      performancePatterns: {
+        collections: [
+          { id: 'sequence_to_list', pattern: /\.asSequence\(\)[^\n]*\.toList\(\)/g, description: 'Sequence collected into a list', severity: 'low', suggestion: 'Keep the sequence lazy' }
+        ]
+      },
+      analyzePerformance: (code, functionName) => [{ type: 'boxing_in_loop', severity: 'high', description: 'Boxed value in loop', suggestion: 'Use primitive arrays', function: functionName, line: 2 }]
+    });
+    const engine = new PerformanceRuleEngine({ parser: new Parser(registry), registry });
+
+    const rules = engine.rules();
+    assert.strictEqual(new Set(rules.map(rule => rule.id)).size, rules.length);
+    assert.ok(rules.every(rule => rule.category && SEVERITIES.includes(rule.severity) && typeof rule.detect === 'function'));
+    assert.deepStrictEqual(rules.find(rule => rule.id === 'vfor_without_key').languages, ['vue']);
+    assert.deepStrictEqual(rules.find(rule => rule.id === 'effect_without_deps').languages, ['javascriptreact', 'typescriptreact']);
+    assert.deepStrictEqual(rules.find(rule => rule.id === 'sequence_to_list').languages, ['kotlin']);
+
+    const findings = engine.analyze('fun total(items: List<Int>) {\n    val xs = items.asSequence().map { it }.toList()\n}\n', 'kotlin');
+    assert.deepStrictEqual(findings.map(finding => `${finding.ruleId}:${finding.severity}:${finding.line}:${finding.function}`), [
+      'boxing_in_loop:high:2:total',
+      'sequence_to_list:low:2:null'
+    ]);
+    assert.strictEqual(findings[0].code, 'val xs = items.asSequence().map { it }.toList()');
+  });
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+
+const PHP_SOURCE = `<?php
+interface Repository
+{
+    public function find(int $id): ?array;
+}
+
+class UserController
+{
+    public function index(Request $request, ?int $limit = null): array
+    {
+        $users = [];
+        foreach ($this->repo->all() as $user) {
+            if ($user['active'] && $limit > 0) {
+                $users[] = $user;
+            }
+        }
+        return $users;
+    }
+}
+
+$double = fn($x) => $x * 2;
+`;
+
+const RUBY_SOURCE = `class Invoice
+  def self.build(*rows, &block)
+    new(rows.map { |r| r[:price] })
+  end
+
+  def total
+    sum = 0
+    items.each do |item|
+      next if item.nil?
+      sum += item > 100 ? item * 0.9 : item
+    end
+    sum
+  end
+end
+
+=begin
+def commented_out
+end
+=end
+`;
+
+suite('PHP and Ruby Language Test Suite', () => {
+  test('PHP methods, closures and PHPDoc templates', () => {
+    const parser = new Parser();
+    const functions = parser.findFunctions(PHP_SOURCE, 'php');
+
+    assert.deepStrictEqual(functions.map(f => `${f.qualifiedName}:${f.kind}`),
+      ['Repository.find:method', 'UserController.index:method', 'double:arrow']);
+    assert.deepStrictEqual(functions[1].params.map(p => `${p.type} ${p.name}`), ['Request request', '?int limit']);
+    assert.ok(functions[1].body.endsWith('return $users;'));
+
+    const index = parser.analyzeFunctionComplexity(PHP_SOURCE, 'php')[1];
+    assert.strictEqual(index.cyclomaticComplexity, 3);
+
+    const template = parser._generateDocTemplate('    public function index(Request $request): array', 'php');
+    assert.strictEqual(template, '/**\n * index\n *\n * @param Request $request Description\n * @return array Description\n */');
+  });
+
+  test('Ruby methods and blocks are closed by their matching end', () => {
+    const parser = new Parser();
+    const functions = parser.findFunctions(RUBY_SOURCE, 'ruby');
+
+    assert.deepStrictEqual(functions.map(f => f.qualifiedName), ['Invoice.build', 'Invoice.total']);
+    assert.strictEqual(functions[0].isStatic, true);
+    assert.strictEqual(functions[1].lineRange.end, 12);
+
+    const structure = parser.getCodeStructure({ getText: () => RUBY_SOURCE, languageId: 'ruby' });
+    assert.deepStrictEqual(structure.blocks.map(b => b.params), [['r'], ['item']]);
+
+    const total = parser.analyzeFunctionComplexity(RUBY_SOURCE, 'ruby')[1];
+    assert.strictEqual(total.cyclomaticComplexity, 3);
+    assert.strictEqual(total.nestingLevel, 2);
+
+    assert.strictEqual(parser._generateDocTemplate('  def self.build(*rows, &block)', 'ruby'),
+      '# build\n#\n# @param rows [Array] Description\n# @yield Description\n# @return [Object] Description');
+  });
+});
@@ -0,0 +1,82 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+const { AdvancedParser } = require('../../src/advancedParser');
+const { EnhancedPerformanceAnalyzer } = require('../../src/enhancedPerformance');
+const AnalysisService = require('../../src/analysisService');
+const { RuleSettings, DEFAULT_THRESHOLDS } = require('../../src/ruleSettings');
+
+const document = (uri, text) => ({
+  uri: { toString: () => uri },
+  version: 1,
+  languageId: 'javascript',
+  getText: () => text
+});
+
+suite('Rule Settings Test Suite', () => {
+  test('Reads rules, thresholds and globs, and reports what it ignores', () => {
+    const settings = new RuleSettings({
+      rules: { excessive_console: 'off', nested_loop: 'low', high_complexity: true, sync_xhr: 'blocker' },
+      thresholds: { cognitiveComplexity: 20, complexityLevels: { moderate: 8 }, explanationComplexity: { low: 9 } },
+      include: ['src/**', 'lib/*.{js,ts}'],
+      exclude: ['src/generated', '**/*.min.js'],
+      extends: 'strict'
+    });
+
+    assert.strictEqual(settings.isEnabled('excessive_console'), false);
+    assert.ok(settings.isEnabled('high_complexity') && settings.isEnabled('sync_xhr'));
+    assert.strictEqual(settings.severityOf('nested_loop', 'high'), 'low');
+    assert.strictEqual(settings.severityOf('sync_xhr', 'high'), 'high');
+    assert.deepStrictEqual(settings.thresholds.complexityLevels, { low: 5, moderate: 8, high: 20 });
+    assert.strictEqual(settings.thresholds.cognitiveComplexity, 20);
+    assert.deepStrictEqual(settings.thresholds.explanationComplexity, DEFAULT_THRESHOLDS.explanationComplexity);
+    assert.deepStrictEqual(settings.problems, [
+      "Unknown setting 'extends'",
+      'Rule \'sync_xhr\' must be "off", "on" or one of critical, high, medium, low',
+      "Threshold 'explanationComplexity' must set ascending numbers for low, medium, high"
+    ]);
+
+    assert.deepStrictEqual(['src/app.js', 'src/ui/view.ts', 'lib/util.ts', 'lib/deep/util.ts', 'test/app.test.js',
+      'src/generated/api.js', 'src/vendor.min.js'].filter(file => settings.includes(file)),
+    ['src/app.js', 'src/ui/view.ts', 'lib/util.ts']);
+    assert.ok(new RuleSettings().includes('anything/at/all.js'));
+  });
+
+  test('Analyzers skip disabled rules and use the settings of each workspace folder', () => {
+    const parser = new Parser();
+    const service = new AnalysisService({
+      parser,
+      advancedParser: new AdvancedParser(undefined, parser),
+      performanceAnalyzer: new EnhancedPerformanceAnalyzer()
+    });
+    service.configure([
+      { folder: 'file:///strict', config: { rules: { string_concat: 'off', nested_loop: 'critical' }, thresholds: { cognitiveComplexity: 2, complexityLevels: { low: 1, moderate: 2 } } } },
+      { folder: 'file:///lenient/', config: { rules: { high_complexity: 'off' } } }
+    ]);
+
+    const code = `function render(rows, cols) {
+  let html = '';
+  html += '<table>';
+  html += '<tbody>';
+  html += '</table>';
+  for (const row of rows) {
+    for (const col of cols) {
+      if (row && col) { if (row > col) { html += row; } }
+    }
+  }
+  return html;
+}
+`;
+    const ruleIds = uri => service.getPerformance(document(uri, code)).issues.map(issue => `${issue.ruleId}:${issue.severity}`);
+    assert.deepStrictEqual(ruleIds('file:///strict/a.js'), ['nested_loop:critical']);
+    assert.deepStrictEqual(ruleIds('file:///lenient/a.js'), ['string_concat:low', 'nested_loop:high']);
+    assert.deepStrictEqual(ruleIds('file:///strictly/a.js'), ruleIds('file:///lenient/a.js'));
+
+    const types = uri => service.getRefactoringOpportunities(document(uri, code)).map(opportunity => opportunity.type);
+    assert.ok(types('file:///strict/a.js').includes('high_complexity'));
+    assert.ok(!types('file:///lenient/a.js').includes('high_complexity'));
+
+    const level = uri => service.getFunctionComplexity(document(uri, code))[0].complexityLevel.level;
+    assert.strictEqual(level('file:///strict/a.js'), 'high');
+    assert.strictEqual(level('file:///lenient/a.js'), 'moderate');
+  });
+});
@@ -0,0 +1,27 @@
+const assert = require('assert');
+const { parse } = require('../../src/syntax/syntaxTree');
+const { analyzeScopes } = require('../../src/syntax/scopeAnalyzer');
+
+suite('Scope Analyzer Test Suite', () => {
+  test('Shadowed names resolve to separate bindings', () => {
+    const code = 'let i = 0;\nfor (let i = 0; i < 3; i++) { log(i); }\ni = 5;';
+    const analysis = analyzeScopes(parse(code, {}));
+    const [outer, loop] = analysis.variablesNamed('i');
+
+    assert.deepStrictEqual(outer.references.map(ref => ref.access), ['write', 'write']);
+    assert.deepStrictEqual(loop.references.map(ref => ref.access), ['write', 'read', 'readwrite', 'read']);
+    assert.strictEqual(analysis.referenceAt(code.indexOf('log(i)') + 4).variable, loop);
+  });
+
+  test('Destructured parameters and closure captures are classified', () => {
+    const code = 'function make({ step = 1 }) {\n  let total = 0;\n  return () => { total += step; return total; };\n}';
+    const analysis = analyzeScopes(parse(code, {}));
+    const total = analysis.variablesNamed('total')[0];
+    const step = analysis.variablesNamed('step')[0];
+
+    assert.strictEqual(step.kind, 'param');
+    assert.ok(step.references[0].isDeclaration);
+    assert.deepStrictEqual(total.references.map(ref => ref.isCapture), [false, true, true]);
+    assert.strictEqual(total.references[1].access, 'readwrite');
+  });
+});
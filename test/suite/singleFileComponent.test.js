@@ -0,0 +1,86 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+const { AdvancedParser } = require('../../src/advancedParser');
+
+const VUE_SOURCE = `<template>
+  <ul>
+    <TodoItem v-for="todo in visibleTodos" :key="todo.id" :todo="todo" @remove="remove" />
+  </ul>
+  <p v-if="visibleTodos.length === 0">{{ emptyText }}</p>
+</template>
+
+<script setup lang="ts">
+import { ref, computed } from 'vue';
+
+const props = defineProps<{ todos: Todo[]; emptyText?: string }>();
+const filter = ref('all');
+const visibleTodos = computed(() => props.todos.filter(t => filter.value === 'all' || t.done));
+
+function remove(todo: Todo): void {
+  if (todo.done) {
+    emit('remove', todo);
+  }
+}
+</script>
+`;
+
+const SVELTE_SOURCE = `<script>
+  import Button from './Button.svelte';
+
+  export let start = 0;
+  let count = start;
+  $: doubled = count * 2;
+
+  function increment() {
+    count += 1;
+  }
+</script>
+
+<Button on:click={increment}>{doubled}</Button>
+{#each [count] as value (value)}
+  <p>{value}</p>
+{/each}
+`;
+
+suite('Single-File Component Test Suite', () => {
+  test('Vue script setup is parsed as TypeScript and its template as structure', () => {
+    const parser = new Parser();
+    const structure = parser._analyzeStructure(VUE_SOURCE, 'vue');
+
+    assert.deepStrictEqual(structure.functions.map(f => f.name), ['remove']);
+    assert.deepStrictEqual(structure.loops.map(l => l.type), ['v-for']);
+    assert.deepStrictEqual(structure.conditionals.map(c => c.type), ['v-if', 'if']);
+    assert.deepStrictEqual(structure.template.components.map(c => c.name), ['TodoItem']);
+    assert.deepStrictEqual(structure.reactiveState.map(s => `${s.name}:${s.kind}:${s.usedInTemplate}`),
+      ['props:props:false', 'todos:prop:false', 'emptyText:prop:true', 'filter:ref:false', 'visibleTodos:computed:true']);
+
+    const features = parser._detectLanguageFeatures(VUE_SOURCE, 'vue');
+    assert.ok(features.includes('vue:script-setup'));
+    assert.ok(features.includes('vue:list-rendering'));
+
+    const remove = parser.analyzeFunctionComplexity(VUE_SOURCE, 'vue')[0];
+    assert.strictEqual(remove.cyclomaticComplexity, 2);
+    assert.strictEqual(remove.lineRange.start, 14);
+  });
+
+  test('Svelte state and blocks are found around the instance script', () => {
+    const parser = new Parser();
+    const structure = parser._analyzeStructure(SVELTE_SOURCE, 'svelte');
+
+    assert.deepStrictEqual(structure.reactiveState.map(s => `${s.name}:${s.kind}:${s.usedInTemplate}`),
+      ['start:prop:false', 'count:state:true', 'doubled:derived:true']);
+    assert.deepStrictEqual(structure.loops.map(l => l.type), ['each']);
+    assert.deepStrictEqual(structure.template.directives.map(d => `${d.name}:${d.argument}`), ['on:click']);
+  });
+
+  test('Advanced analysis reports the component and keeps file line numbers', () => {
+    const results = new AdvancedParser().parseCode(VUE_SOURCE, 'vue');
+
+    assert.strictEqual(results.language, 'vue');
+    assert.deepStrictEqual(results.patterns.function.map(f => f.line), [13, 15]);
+    assert.ok(results.typeAnalysis);
+    assert.deepStrictEqual(results.componentAnalysis.components, ['TodoItem']);
+    assert.deepStrictEqual(results.componentAnalysis.reactiveState, ['filter', 'visibleTodos']);
+    assert.strictEqual(results.componentAnalysis.line, 1);
+  });
+});
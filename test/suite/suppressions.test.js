@@ -0,0 +1,110 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+const { AdvancedParser } = require('../../src/advancedParser');
+const { EnhancedPerformanceAnalyzer } = require('../../src/enhancedPerformance');
+const AnalysisService = require('../../src/analysisService');
+const { CallGraph } = require('../../src/callGraph');
+const { DeadCodeFinder } = require('../../src/deadCode');
+const { languageRegistry } = require('../../src/languages/languageRegistry');
+const { Suppressions, suppressionComment } = require('../../src/suppressions');
+const { buildFiles } = require('./workspaceFixture');
+
+suite('Suppressions Test Suite', () => {
+  test('Reads next-line, block and file-wide directives, and builds suppression comments', () => {
+    const suppressions = new Suppressions(`// whiskercode-disable-file duplicated_code
+const a = 1; // whiskercode-disable-next-line excessive_console, sync_xhr -- CLI output
+console.log(a);
+/* whiskercode-disable nested_loop await_in_loop */
+loop();
+// whiskercode-enable nested_loop
+loop();
+// whiskercode-disable
+/* whiskercode-enable */
+done();
+/** whiskercode-disable sync_xhr */
+send();
+`, 'javascript');
+    const suppressed = (rule, line) => suppressions.isSuppressed(rule, line);
+
+    assert.ok(suppressed('duplicated_code', 1) && suppressed('duplicated_code', 40));
+    assert.ok(suppressed('excessive_console', 3) && suppressed('sync_xhr', 3));
+    assert.ok(!suppressed('excessive_console', 2) && !suppressed('excessive_console', 4) && !suppressed('CLI', 3));
+    assert.ok(suppressed('nested_loop', 5) && !suppressed('nested_loop', 7));
+    assert.ok(suppressed('await_in_loop', 7) && suppressed('anything', 8) && !suppressed('await_in_loop', 10));
+    assert.ok(suppressed('sync_xhr', 12) && !suppressed('sync_xhr', 10));
+    assert.deepStrictEqual(suppressions.apply([{ ruleId: 'nested_loop', line: 5 }, { ruleId: 'nested_loop', line: 7 }]),
+      [{ ruleId: 'nested_loop', line: 7 }]);
+
+    // Directives in strings, templates and regular expressions, or in another language's comment syntax, are text
+    const quoted = new Suppressions(`const a = "// whiskercode-disable";
+const b = \`
+/* whiskercode-disable-file */\`;
+const c = /\/\/ whiskercode-disable/;
+# whiskercode-disable
+<!-- whiskercode-disable -->
+console.log(a, b, c);
+`, 'typescript');
+    assert.ok(!quoted.isSuppressed('excessive_console', 7));
+    const python = new Suppressions('s = "# whiskercode-disable"\n# whiskercode-disable-next-line excessive_console\nprint(s)\nprint(s)\n', 'python');
+    assert.ok(python.isSuppressed('excessive_console', 3) && !python.isSuppressed('excessive_console', 4));
+    const svelte = new Suppressions('<script>\nconst html = "<!-- whiskercode-disable -->";\n// whiskercode-disable-next-line excessive_console\nconsole.log(html);\n</script>\n<!-- whiskercode-disable-next-line each_without_key -->\n{#each items as item}{item}{/each}\n', 'svelte');
+    assert.ok(svelte.isSuppressed('excessive_console', 4) && !svelte.isSuppressed('excessive_console', 5));
+    assert.ok(svelte.isSuppressed('each_without_key', 7));
+
+    const js = 'function f() {\n  console.log(1);\n}\n';
+    assert.deepStrictEqual(suppressionComment(js, 1, 'excessive_console', 'javascript', languageRegistry),
+      { offset: 15, text: '  // whiskercode-disable-next-line excessive_console\n' });
+    assert.strictEqual(suppressionComment('def f():\n    print(1)\n', 1, 'x', 'python', languageRegistry).text,
+      '    # whiskercode-disable-next-line x\n');
+    const vue = '<template>\n  <li v-for="item in items">{{ item }}</li>\n</template>\n<script>\nconsole.log(1);\n</script>\n';
+    assert.strictEqual(suppressionComment(vue, 1, 'vfor_without_key', 'vue', languageRegistry).text,
+      '  <!-- whiskercode-disable-next-line vfor_without_key -->\n');
+    assert.strictEqual(suppressionComment(vue, 4, 'excessive_console', 'vue', languageRegistry).text,
+      '// whiskercode-disable-next-line excessive_console\n');
+  });
+
+  test('Performance, refactoring and dead code analysis drop suppressed findings', () => {
+    const code = `// whiskercode-disable-file excessive_console
+function load(ids) {
+  // whiskercode-disable-next-line nested_loop
+  for (const a of ids) { for (const b of ids) { console.log(a, b); } }
+  for (const a of ids) { for (const b of ids) { console.log(a, b); } }
+  console.log(1); console.log(2); console.log(3); console.log(4); console.log(5); console.log(6);
+}
+`;
+    const engine = new EnhancedPerformanceAnalyzer();
+    assert.deepStrictEqual(engine.analyzePerformance(code, 'javascript').issues.map(issue => `${issue.ruleId}:${issue.line}`),
+      ['nested_loop:5']);
+
+    const parser = new Parser();
+    const advancedParser = new AdvancedParser(undefined, parser);
+    const nested = `function deep(a) {
+  if (a) {
+    if (a) {
+      if (a) {
+        if (a) {
+          return 1;
+        }
+      }
+    }
+  }
+}
+`;
+    assert.deepStrictEqual(advancedParser.findRefactoringOpportunities(nested, 'javascript').map(opportunity => opportunity.type),
+      ['deep_nesting']);
+    assert.deepStrictEqual(advancedParser.findRefactoringOpportunities(`// whiskercode-disable deep_nesting\n${nested}`, 'javascript'), []);
+
+    // A comment above a function reaches the function's own analysis
+    const service = new AnalysisService({ parser, advancedParser, performanceAnalyzer: engine });
+    const text = `// whiskercode-disable-next-line deep_nesting\n${nested}`;
+    const document = { uri: { toString: () => 'file:///deep.js' }, version: 1, languageId: 'javascript', getText: () => text };
+    assert.strictEqual(service.analyzeText(document, nested).refactoring.length, 1);
+    assert.strictEqual(service.analyzeText(document, nested, 2).refactoring.length, 0);
+
+    const source = 'function used() {}\n// whiskercode-disable-next-line unused-function\nfunction kept() {}\nfunction unused() {}\nexport const run = () => used();\n';
+    const files = buildFiles({ 'a.js': source }, parser);
+    const callGraph = new CallGraph(files, { collectFunctions: syntaxTree => parser.getTreeFunctions(syntaxTree) });
+    assert.deepStrictEqual(new DeadCodeFinder(files, callGraph).find().map(finding => `${finding.rule}:${finding.name}`),
+      ['unused-function:unused']);
+  });
+});
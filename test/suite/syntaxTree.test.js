@@ -0,0 +1,60 @@
+const assert = require('assert');
+const { parse, walk } = require('../../src/syntax/syntaxTree');
+const { tokenize } = require('../../src/syntax/tokenizer');
+
+function collectTypes(tree) {
+  const types = [];
+  walk(tree, { enter: node => { types.push(node.type); } });
+  return types;
+}
+
+suite('Syntax Tree Test Suite', () => {
+  test('Tokenizer keeps keywords in strings, comments and templates out of the code stream', () => {
+    const { tokens, comments } = tokenize('const s = "if (x) {"; // while (true)\nconst t = `for ${s} {`;');
+
+    assert.ok(!tokens.some(token => token.value === 'if' || token.value === 'while' || token.value === 'for'));
+    assert.strictEqual(comments.length, 1);
+    assert.strictEqual(tokens.filter(token => token.type === 'template').length, 2);
+  });
+
+  test('Parser distinguishes regex literals from division', () => {
+    const { tokens } = tokenize('const r = a / b / c; const re = /[/]+/g.test(x);');
+
+    assert.strictEqual(tokens.filter(token => token.type === 'regex').length, 1);
+    assert.strictEqual(tokens.find(token => token.type === 'regex').pattern, '[/]+');
+  });
+
+  test('Parser builds a tree for TypeScript with generics and annotations', () => {
+    const tree = parse(`
+      interface Props<T> { items: T[] }
+      function first<T>(items: Array<T>, fallback?: T): T | undefined {
+        return items.length > 0 ? items[0] : fallback;
+      }
+      const ok = a < b && c > d;
+    `, { typescript: true });
+
+    assert.deepStrictEqual(tree.errors, []);
+    const fn = tree.body[1];
+    assert.strictEqual(fn.type, 'FunctionDeclaration');
+    assert.strictEqual(fn.params[0].typeAnnotation.text, 'Array<T>');
+    assert.strictEqual(fn.returnType.text, 'T | undefined');
+    assert.strictEqual(tree.body[2].declarations[0].init.type, 'LogicalExpression');
+  });
+
+  test('Parser handles JSX with nested expressions', () => {
+    const tree = parse('const App = () => <ul>{items.map(i => <li key={i.id}>{`#${i.name}`}</li>)}</ul>;', { jsx: true });
+    const types = collectTypes(tree);
+
+    assert.deepStrictEqual(tree.errors, []);
+    assert.strictEqual(types.filter(type => type === 'JSXElement').length, 2);
+    assert.ok(types.includes('ArrowFunctionExpression'));
+    assert.ok(types.includes('TemplateLiteral'));
+  });
+
+  test('Parser recovers from syntax errors at the next statement', () => {
+    const tree = parse('function a() { if (x { return 1; } }\nfunction b() { return 2; }', {});
+
+    assert.ok(tree.errors.length > 0);
+    assert.ok(tree.body.some(node => node.type === 'FunctionDeclaration' && node.id.name === 'b'));
+  });
+});
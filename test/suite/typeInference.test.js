@@ -0,0 +1,82 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+
+const SOURCE = `function scale(value, factor = 2) {
+  if (typeof value !== 'number') {
+    throw new TypeError('value must be a number');
+  }
+  return value * factor;
+}
+function format(items, { prefix = '-' }, ...rest) {
+  try {
+    JSON.parse(prefix);
+  } catch (error) {
+    throw new SyntaxError('bad prefix');
+  }
+  return items.map(item => prefix + item).join(', ');
+}
+class Box {
+  grow(by) { return this; }
+}
+scale(3);
+format(['a'], {}, 1, 2);
+`;
+
+suite('Type Inference Test Suite', () => {
+  test('Parameter, return and thrown types are inferred for JSDoc suggestions', () => {
+    const parser = new Parser();
+    const [scale, format, grow] = parser.findUndocumentedCode(SOURCE, 'javascript').map(section => section.suggestion);
+
+    assert.ok(scale.includes(' * @param {number} value - Description'));
+    assert.ok(scale.includes(' * @param {number} [factor=2] - Description'));
+    assert.ok(scale.includes(' * @returns {number} - Description'));
+    assert.ok(scale.includes(' * @throws {TypeError} value must be a number'));
+
+    // Call sites, destructured properties and rest parameters; the SyntaxError escapes the catch
+    assert.ok(format.includes(' * @param {Array<string>} items - Description'));
+    assert.ok(format.includes(" * @param {string} [param1.prefix='-'] - Description"));
+    assert.ok(format.includes(' * @param {...number} rest - Description'));
+    assert.ok(format.includes(' * @returns {string} - Description'));
+    assert.ok(format.includes(' * @throws {SyntaxError} bad prefix'));
+
+    assert.ok(grow.includes(' * @param {any} by - Description'));
+    assert.ok(grow.includes(' * @returns {Box} - Description'));
+  });
+
+  test('Functions without a return value document void, and async ones a Promise', () => {
+    const parser = new Parser();
+    const code = 'function run(done) { done(); }\nconst load = async () => { return 1; };\n';
+    const [run, load] = parser.findUndocumentedCode(code, 'javascript').map(section => section.suggestion);
+
+    assert.ok(run.includes(' * @param {Function} done - Description'));
+    assert.ok(run.includes(' * @returns {void}'));
+    assert.ok(load.startsWith('/**\n * load\n'));
+    assert.ok(load.includes(' * @returns {Promise<number>} - Description'));
+  });
+
+  test('Overload signatures and abstract methods get suggestions from their declared types', () => {
+    const parser = new Parser();
+    const code = `export function parse(a: string): number;
+export function parse(a: any): number { if (!a) { throw new Error('empty'); } return 1; }
+abstract class Shape {
+  abstract area(): number;
+}
+`;
+    const [signature, parse, area] = parser.findUndocumentedCode(code, 'typescript').map(section => section.suggestion);
+
+    assert.ok(signature.includes(' * @param {string} a - Description'));
+    assert.ok(signature.includes(' * @returns {number} - Description'));
+    assert.ok(!signature.includes('@throws'));
+    assert.ok(parse.includes(' * @throws {Error} empty'));
+    assert.ok(area.includes(' * @returns {number} - Description'));
+  });
+
+  test('Calls to an overloaded function take the return type of its implementation', () => {
+    const parser = new Parser();
+    const code = "function size(x: string): number;\nfunction size(x: any) { return x.length; }\nfunction run() { return size('a'); }\n";
+    const run = parser.findUndocumentedCode(code, 'typescript').map(section => section.suggestion)[2];
+
+    assert.ok(run.startsWith('/**\n * run\n'));
+    assert.ok(run.includes(' * @returns {number} - Description'));
+  });
+});
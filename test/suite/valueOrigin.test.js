@@ -0,0 +1,83 @@
+const assert = require('assert');
+const Parser = require('../../src/parserModule');
+
+const SOURCE = `function scale(value, factor = 2) {
+  return value * factor;
+}
+function load(items, options) {
+  const { limit = 10, offset } = options;
+  let total = 0;
+  if (limit > 5) {
+    total = scale(limit);
+  } else {
+    total += offset;
+  }
+  return total;
+}
+load([1, 2], { limit: 3 });
+`;
+
+// Flatten the chain into "kind:line" entries, indented by depth
+const outline = (steps, depth = 0) => steps.reduce((lines, step) =>
+  lines.concat(`${'  '.repeat(depth)}${step.kind}:${step.line}`, outline(step.from, depth + 1)), []);
+
+suite('Value Origin Test Suite', () => {
+  test('Definitions reaching a read are followed through calls, parameters and destructuring', () => {
+    const parser = new Parser();
+    const result = parser.explainValueOrigin('total', SOURCE, 'javascript', SOURCE.indexOf('total;'));
+
+    assert.strictEqual(result.line, 12);
+    assert.strictEqual(result.approximate, false);
+
+    // Both branches reach the return; the initial `0` only through the `+=`
+    assert.deepStrictEqual(result.origins.map(step => `${step.kind}:${step.line}`), ['assignment:8', 'update:10']);
+    assert.ok(result.origins[1].description.includes('`total += offset`'));
+
+    const chain = outline(result.origins);
+    assert.ok(chain.includes('  return:2'));
+    assert.ok(chain.includes('      argument:8'));
+    assert.ok(chain.includes('            argument:14'));
+    assert.ok(chain.includes('  declaration:6'));
+
+    const limit = parser.explainValueOrigin('limit', SOURCE, 'javascript', SOURCE.indexOf('limit > 5'));
+    assert.ok(limit.origins[0].description.includes('(.limit)'));
+    assert.ok(limit.origins[0].description.includes('`10` when that is undefined'));
+  });
+
+  test('Captured, unassigned and text-matched values are explained', () => {
+    const parser = new Parser();
+    const code = 'let count;\nif (ready) count = 1;\nconst read = () => count;\n';
+    const [captured] = parser.explainValueOrigin('count', code, 'javascript', code.lastIndexOf('count')).origins;
+    assert.strictEqual(captured.kind, 'captured');
+    assert.deepStrictEqual(captured.from.map(step => step.kind), ['declared', 'assignment']);
+
+    const ready = parser.explainValueOrigin('ready', code, 'javascript', code.indexOf('ready'));
+    assert.deepStrictEqual(ready.origins.map(step => step.kind), ['global']);
+    assert.strictEqual(parser.explainValueOrigin('other', code, 'javascript', 0), null);
+
+    const python = 'def f(a):\n    x = 1\n    x = a\n    return x\n';
+    const result = parser.explainValueOrigin('x', python, 'python', python.indexOf('return x') + 7);
+    assert.strictEqual(result.approximate, true);
+    assert.deepStrictEqual(result.origins.map(step => step.line), [3]);
+  });
+
+  test('Calls to overloads return through the implementation, and declared functions through their signature', () => {
+    const parser = new Parser();
+    const code = `function parse(x: string): string;
+function parse(x: number): string;
+function parse(x: any): string {
+  return String(x);
+}
+declare function external(x: string): number;
+const v = parse(1);
+const w = external('a');
+use(v, w);
+`;
+    const [parsed] = parser.explainValueOrigin('v', code, 'typescript', code.lastIndexOf('v')).origins;
+    assert.deepStrictEqual(outline([parsed]), ['declaration:7', '  return:4', '    global:4', '    parameter:3', '      argument:7']);
+
+    const [declared] = parser.explainValueOrigin('w', code, 'typescript', code.lastIndexOf('w')).origins;
+    assert.deepStrictEqual(outline([declared]), ['declaration:8', '  return:6']);
+    assert.strictEqual(declared.from[0].description, 'Returned by `external()`, declared without a body');
+  });
+});
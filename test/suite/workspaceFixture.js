@@ -0,0 +1,40 @@
+const path = require('path');
+const Parser = require('../../src/parserModule');
+const { collectImports, collectExports } = require('../../src/syntax/moduleSymbols');
+const { ModuleResolver } = require('../../src/moduleResolver');
+
+// Workspace the fixture modules live in
+const ROOT = path.resolve('/repo');
+const file = relative => path.join(ROOT, ...relative.split('/'));
+const relativePath = absolute => path.relative(ROOT, absolute).split(path.sep).join('/');
+
+// Analyze sources keyed by workspace-relative path, like WorkspaceIndex.load()
+const buildFiles = (sources, parser = new Parser()) => new Map(Object.entries(sources).map(([relative, text]) => {
+  const tree = parser.getSyntaxTree(text, 'javascript');
+  return [file(relative), {
+    file: file(relative), language: 'javascript', text, tree,
+    analysis: parser.getScopeAnalysis(tree),
+    imports: collectImports(tree),
+    exports: collectExports(tree)
+  }];
+}));
+
+// Stand-in for the WorkspaceIndex, resolving specifiers between the fixture modules
+const createIndex = (configs = []) => {
+  const resolver = new ModuleResolver(configs);
+  return { resolveModule: (from, specifier, known) => resolver.resolve(from, specifier, known) };
+};
+
+// Apply text edits, last first so earlier offsets stay valid
+const applyEdits = (text, edits) => edits.slice()
+  .sort((a, b) => b.start - a.start)
+  .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), text);
+
+module.exports = {
+  ROOT,
+  file,
+  relativePath,
+  buildFiles,
+  createIndex,
+  applyEdits
+};
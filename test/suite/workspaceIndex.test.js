@@ -0,0 +1,74 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const Parser = require('../../src/parserModule');
+const WorkspaceIndex = require('../../src/workspaceIndex');
+const { CancelledError } = require('../../src/workerPool');
+
+suite('Workspace Index Test Suite', () => {
+  test('Modules are analyzed again only once their text changes', async () => {
+    const parser = new Parser();
+    let parsed = 0;
+    const getSyntaxTree = parser.getSyntaxTree.bind(parser);
+    parser.getSyntaxTree = (text, language) => {
+      parsed++;
+      return getSyntaxTree(text, language);
+    };
+
+    const index = new WorkspaceIndex(parser);
+    let text = 'function helper() {}\nfunction main() { helper(); }\n';
+    const document = {
+      uri: vscode.Uri.file('/outside/sample.js'),
+      languageId: 'javascript',
+      getText: () => text
+    };
+
+    try {
+      const files = await index.load(document);
+      const callGraph = await index.getCallGraph(document);
+      assert.strictEqual(parsed, 1);
+
+      // Commands in a row share the analyzed modules and the call graph built from them
+      assert.strictEqual(await index.load(document), files);
+      assert.strictEqual(await index.getCallGraph(document), callGraph);
+      assert.strictEqual(parsed, 1);
+
+      // Dead code is looked up in the same call graph rather than a fresh one
+      let collected = 0;
+      const getTreeFunctions = parser.getTreeFunctions.bind(parser);
+      parser.getTreeFunctions = tree => {
+        collected++;
+        return getTreeFunctions(tree);
+      };
+      await index.findDeadCode(document);
+      assert.strictEqual(collected, 0);
+
+      text += 'function unused() {}\n';
+      const edited = await index.load(document);
+      assert.notStrictEqual(edited, files);
+      assert.strictEqual(edited.get(document.uri.fsPath).text, text);
+      assert.notStrictEqual(await index.getCallGraph(document), callGraph);
+      assert.strictEqual(parsed, 2);
+    } finally {
+      index.dispose();
+    }
+  });
+
+  test('Loading stops between files once the token is cancelled', async () => {
+    const index = new WorkspaceIndex(new Parser());
+    const document = {
+      uri: vscode.Uri.file('/outside/sample.js'),
+      languageId: 'javascript',
+      getText: () => 'function helper() {}\n'
+    };
+    const source = new vscode.CancellationTokenSource();
+    source.cancel();
+
+    try {
+      await assert.rejects(index.getModuleGraph(document, source.token), CancelledError);
+      await assert.rejects(index.getCallGraph(document, source.token), CancelledError);
+      assert.strictEqual((await index.getCallGraph(document)).functionAt(document.uri.fsPath, 0).qualifiedName, 'helper');
+    } finally {
+      index.dispose();
+    }
+  });
+});
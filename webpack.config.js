@@ -3,10 +3,14 @@ const CopyPlugin = require('copy-webpack-plugin');
 
 module.exports = {
   target: 'node',
-  entry: './extension.js',
+  entry: {
+    extension: './extension.js',
+    // Loaded with new Worker() by the analysis worker pool, so it must be its own bundle
+    'src/analysisWorker': './src/analysisWorker.js'
+  },
   output: {
     path: path.resolve(__dirname, 'dist'),
-    filename: 'extension.js',
+    filename: '[name].js',
     libraryTarget: 'commonjs2',
     devtoolModuleFilenameTemplate: '../[resource-path]'
   },